@@ -5,14 +5,20 @@
 const EventEmitter = require('events');
 const AuthenticationModule = require('../../shared/modules/auth/authentication');
 const MarketDataService = require('../services/MarketDataService');
-const FixedBotRegistry = require('../services/FixedBotRegistry');
+const BotRegistry = require('../services/BotRegistry');
+const BotFleet = require('../../shared/modules/bots/BotFleet');
 const HealthMonitor = require('../services/HealthMonitor');
 const EventBroadcaster = require('../services/EventBroadcaster');
 const PositionReconciliationService = require('../services/PositionReconciliationService');
+const ContractRolloverService = require('../services/ContractRolloverService');
+const PaperBroker = require('../services/PaperBroker');
 const ConfigurationService = require('../services/ConfigurationService');
 const HistoricalDataService = require('../services/HistoricalDataService');
+const BarService = require('../services/BarService');
+const WorkingOrderService = require('../services/WorkingOrderService');
 const OrderMutex = require('../../shared/modules/concurrency/OrderMutex');
 const ContractMonths = require('../../shared/modules/contracts/ContractMonths');
+const instrumentRegistry = require('../../shared/modules/contracts/InstrumentRegistry');
 
 class ConnectionManager extends EventEmitter {
     constructor(config = {}) {
@@ -20,6 +26,7 @@ class ConnectionManager extends EventEmitter {
         
         this.config = {
             apiBaseUrl: config.urls?.api || config.apiBaseUrl || 'https://api.topstepx.com',
+            userApiUrl: config.urls?.userApi || config.userApiUrl || 'https://userapi.topstepx.com',
             marketHubUrl: config.urls?.marketHub || config.marketHubUrl || 'https://rtc.topstepx.com/hubs/market',
             userHubUrl: config.urls?.userHub || config.userHubUrl || 'https://rtc.topstepx.com/hubs/user',
             redisConfig: config.redisConfig || { host: 'localhost', port: 6379 },
@@ -27,6 +34,8 @@ class ConnectionManager extends EventEmitter {
             reconnectDelayMs: config.reconnectDelayMs || 5000,
             maxReconnectAttempts: config.maxReconnectAttempts || 5,
             heartbeatInterval: config.heartbeatInterval || 30000,
+            marketDataSettleMs: 5000,           // Wait after subscribing before verifying market data
+            marketDataVerificationMs: 15000,    // How long to listen for data from low-volume contracts
             ...config
         };
         
@@ -40,10 +49,17 @@ class ConnectionManager extends EventEmitter {
         this.healthMonitor = null;
         this.eventBroadcaster = null;
         this.positionReconciliationService = null;
+        this.contractRolloverService = null;
+        this.paperBroker = null;
         this.configurationService = null;
         this.historicalDataService = null;
+        this.barService = null;
+        this.workingOrderService = null;
         this.orderMutex = null;
         
+        // Delayed follow-ups (post-order position checks, resuming after a reconnect), cleared on shutdown
+        this.followUpTimers = new Set();
+        
         // Connection state
         this.state = 'INITIALIZING';
         this.isRunning = false;
@@ -89,11 +105,15 @@ class ConnectionManager extends EventEmitter {
                 retryDelay: 15000                    // 15 second retry delay
             });
             
-            // Initialize fixed bot registry for BOT_1 through BOT_6
-            this.instanceRegistry = new FixedBotRegistry();
+            // Bot registry seeded from config/bots/; the control panel keeps it current
+            this.instanceRegistry = new BotRegistry(await this.loadBotFleet());
             
             // Initialize event broadcaster
-            this.eventBroadcaster = new EventBroadcaster(this.config.redisConfig);
+            this.eventBroadcaster = new EventBroadcaster({
+                ...this.config.redisConfig,
+                messageValidation: this.config.messageValidation,
+                orderTransport: this.config.orderTransport
+            });
             await this.eventBroadcaster.connect();
             
             // Initialize health monitor
@@ -111,7 +131,16 @@ class ConnectionManager extends EventEmitter {
             this.positionReconciliationService = new PositionReconciliationService({
                 reconciliationIntervalMs: this.config.reconciliationIntervalMs || 30000,
                 enableAutoCorrection: this.config.enableAutoCorrection !== false,
-                logLevel: this.config.logLevel || 'INFO'
+                logLevel: this.config.logLevel || 'INFO',
+                ...this.config.reconciliation
+            });
+            this.positionReconciliationService.setBroker(this.createReconciliationBroker());
+            
+            // Initialize contract rollover service
+            this.contractRolloverService = new ContractRolloverService({
+                checkIntervalMs: this.config.rollover?.checkIntervalMs || 60 * 60 * 1000,
+                warningDays: this.config.rollover?.warningDays ?? 3,
+                positionPolicy: this.config.rollover?.positionPolicy || 'none'
             });
             
             // Initialize market data service
@@ -129,12 +158,20 @@ class ConnectionManager extends EventEmitter {
                 this.authModule,
                 this.eventBroadcaster,
                 {
+                    apiBaseUrl: this.config.apiBaseUrl,
                     maxRetries: this.config.historicalDataMaxRetries || 3,
                     cacheDuration: this.config.historicalDataCacheDuration || 300000,
-                    maxConcurrentRequests: this.config.historicalDataMaxConcurrentRequests || 5
+                    maxConcurrentRequests: this.config.historicalDataMaxConcurrentRequests || 5,
+                    barStore: this.config.historicalBars || {}
                 }
             );
             
+            // One set of session-aligned bars for every bot and the chart
+            this.barService = new BarService(this.eventBroadcaster, this.config.bars || {});
+            
+            // Order status, time in force and cancel/modify by client order ID
+            this.workingOrderService = new WorkingOrderService(this.eventBroadcaster, this.config.workingOrders || {});
+            
             // Initialize order mutex for server-side concurrency control
             this.orderMutex = new OrderMutex({
                 lockTimeout: this.config.orderLockTimeout || 30000,
@@ -143,6 +180,14 @@ class ConnectionManager extends EventEmitter {
                 logLevel: this.config.logLevel || 'info'
             });
             
+            // Paper trading - route order and position endpoints to the simulator
+            // before anything can reach TopStepX
+            if (this.config.paperTrading?.enabled) {
+                this.paperBroker = new PaperBroker(this.config.paperTrading);
+                this.paperBroker.install(require('axios'));
+                this.marketDataService.registerGatewayUserHandlers(this.paperBroker);
+            }
+            
             // Setup event handlers
             this.setupEventHandlers();
             
@@ -179,6 +224,7 @@ class ConnectionManager extends EventEmitter {
                             console.log(`📊 Subscribing to market data for ${contract}...`);
                             await this.marketDataService.subscribeToInstrument(contract);
                             console.log(`✅ Subscribed to market data for ${contract}`);
+                            this.contractRolloverService.track(contract);
                             
                             // Extract symbol from contract ID (e.g., CON.F.US.MGC.Z25 -> MGC)
                             const parts = contract.split('.');
@@ -199,8 +245,8 @@ class ConnectionManager extends EventEmitter {
                 }
                 
                 // VERIFICATION: Wait a moment then check if we're receiving market data for all contracts
-                console.log('⏳ Waiting 5 seconds to verify market data flow...');
-                await new Promise(resolve => setTimeout(resolve, 5000));
+                console.log(`⏳ Waiting ${this.config.marketDataSettleMs / 1000} seconds to verify market data flow...`);
+                await new Promise(resolve => setTimeout(resolve, this.config.marketDataSettleMs));
                 
                 console.log('🔍 Verifying market data reception for all subscribed contracts...');
                 const receivedDataContracts = new Set();
@@ -221,8 +267,8 @@ class ConnectionManager extends EventEmitter {
                 // Listen for market data briefly
                 this.marketDataService.on('marketData', dataCheckHandler);
                 
-                // Wait 15 seconds to collect data from low-volume contracts
-                await new Promise(resolve => setTimeout(resolve, 15000));
+                // Wait to collect data from low-volume contracts
+                await new Promise(resolve => setTimeout(resolve, this.config.marketDataVerificationMs));
                 
                 // Remove the handler
                 this.marketDataService.removeListener('marketData', dataCheckHandler);
@@ -260,6 +306,10 @@ class ConnectionManager extends EventEmitter {
             }
             this.healthMonitor.start();
             this.positionReconciliationService.start();
+            this.contractRolloverService.start();
+            
+            // Order commands the aggregator queued while we were down are handled now that the broker is reachable
+            await this.eventBroadcaster.startOrderStream();
             
             // Update state
             this.state = 'CONNECTED';
@@ -271,7 +321,7 @@ class ConnectionManager extends EventEmitter {
             await this.broadcastConnectionStatus('CONNECTED');
             
             console.log('✅ Connection Manager started successfully');
-            console.log('🤖 Fixed bot connections ready (BOT_1 through BOT_6)');
+            console.log(`🤖 Bot connections ready (${this.instanceRegistry.getBotIds().length} bots in the fleet)`);
             
             return true;
             
@@ -287,6 +337,19 @@ class ConnectionManager extends EventEmitter {
     }
     
     setupEventHandlers() {
+        // Contract rollover - warn bots ahead of time, then move products to the next month
+        this.contractRolloverService.on('rolloverWarning', async (info) => {
+            await this.eventBroadcaster.publish('CONTRACT_ROLLOVER_WARNING', info);
+        });
+        
+        this.contractRolloverService.on('rollover', async (event) => {
+            try {
+                await this.handleContractRollover(event);
+            } catch (error) {
+                console.error(`❌ Contract rollover ${event.contractId} -> ${event.nextContractId} failed:`, error.message);
+            }
+        });
+        
         // Handle instance registration requests
         this.eventBroadcaster.on('REGISTER_INSTANCE', async (data) => {
             await this.handleInstanceRegistration(data);
@@ -297,6 +360,11 @@ class ConnectionManager extends EventEmitter {
             await this.handleInstanceDeregistration(data);
         });
         
+        // Bots created, cloned, archived or deleted in the control panel
+        this.eventBroadcaster.on('BOT_FLEET_UPDATE', (data) => {
+            this.handleBotFleetUpdate(data);
+        });
+        
         // Handle market data subscriptions
         this.eventBroadcaster.on('SUBSCRIBE_MARKET_DATA', async (data) => {
             await this.handleMarketDataSubscription(data);
@@ -360,6 +428,11 @@ class ConnectionManager extends EventEmitter {
             await this.handleOrderCancellation(data);
         });
         
+        // Cancel/replace of working orders - new prices for a resting order
+        this.eventBroadcaster.on('MODIFY_ORDER', async (data) => {
+            await this.handleOrderModification(data);
+        });
+        
         // Handle position updates from bot instances
         this.eventBroadcaster.on('POSITION_UPDATE', async (data) => {
             await this.handlePositionUpdate(data);
@@ -370,6 +443,21 @@ class ConnectionManager extends EventEmitter {
             await this.handleReconciliationRequest(data);
         });
         
+        // Bots report whether they hold a position, so broker reconciliation can tell who owns what
+        this.eventBroadcaster.on('BOT_POSITION_STATE', (data) => {
+            this.positionReconciliationService?.updateBotState(data.botId, data);
+        });
+        
+        // Naked, unowned, untracked and phantom positions found at the broker
+        this.positionReconciliationService.on('brokerDiscrepancy', async (discrepancy) => {
+            const { position, ...alert } = discrepancy;
+            await this.eventBroadcaster.publish('POSITION_DISCREPANCY', alert);
+        });
+        
+        this.positionReconciliationService.on('brokerCorrection', async (correction) => {
+            await this.eventBroadcaster.publish('POSITION_RECONCILED', correction);
+        });
+        
         // Handle account balance requests
         this.eventBroadcaster.on('GET_ACCOUNT_BALANCE', async (data) => {
             await this.handleAccountBalanceRequest(data);
@@ -385,13 +473,6 @@ class ConnectionManager extends EventEmitter {
             await this.handleHistoricalDataRequest(data);
         });
         
-        // Handle SL/TP update requests from Trading Aggregator
-        this.eventBroadcaster.on('connection-manager:requests', async (data) => {
-            if (data.type === 'UPDATE_SLTP') {
-                await this.handleSLTPUpdateRequest(data);
-            }
-        });
-        
         // Handle instrument requests
         this.eventBroadcaster.on('instrument-request', async (data) => {
             console.log('🔍 Received instrument request:', data);
@@ -442,18 +523,78 @@ class ConnectionManager extends EventEmitter {
             this.distributeMarketData(data);
         });
         
+        // Bars follow market:data too, so replayed sessions build bars like live ones
+        this.eventBroadcaster.on('MARKET_DATA_TRADE', (data) => {
+            this.barService.onMarketData(data);
+        });
+        this.barService.start();
+        
+        // Paper fills use the market:data channel, so replayed data fills orders too
+        if (this.paperBroker) {
+            this.eventBroadcaster.on('MARKET_DATA', (data) => {
+                this.paperBroker.onMarketData(data);
+            });
+        }
+        
         this.marketDataService.on('connectionLost', () => {
             this.handleConnectionLoss();
         });
         
-        // No longer listening for ORDER_FILLED events - we trigger bracket orders
-        // immediately after successful order placement
+        // Market order brackets are applied right after placement; resting entries
+        // get theirs once the broker reports the fill
+        this.marketDataService.on('orderUpdate', (data) => {
+            this.workingOrderService.onBrokerOrder(data);
+        });
+        
+        this.workingOrderService.on('orderDone', (order) => {
+            const bracketInfo = this.pendingBrackets?.get(order.topStepOrderId);
+            if (!bracketInfo?.awaitFill) return;
+            
+            if (order.fillVolume > 0) {
+                this.checkAndApplyBracketOrders(order.topStepOrderId);
+            } else {
+                this.cleanupPendingBracket(order.topStepOrderId);
+            }
+        });
+        
+        this.workingOrderService.on('expire', (order) => {
+            this.cancelBrokerOrder(order.topStepOrderId)
+                .catch(error => this.workingOrderService.expiryFailed(order, error.response?.data?.errorMessage || error.message));
+        });
         
         this.marketDataService.on('reconnected', () => {
             this.handleReconnection();
         });
     }
     
+    async loadBotFleet() {
+        try {
+            // Accounts and instruments tell reconciliation which bot owns a broker position
+            this.botConfigs = await new BotFleet().list();
+            return Object.keys(this.botConfigs);
+        } catch (error) {
+            console.error('❌ Failed to load bot configurations:', error.message);
+            return [];
+        }
+    }
+    
+    handleBotFleetUpdate(data) {
+        const { action, botId } = data || {};
+        if (!botId) return;
+        
+        if (action === 'created' || action === 'cloned' || action === 'restored') {
+            this.instanceRegistry.addBot(botId);
+        } else if (action === 'archived' || action === 'deleted') {
+            this.instanceRegistry.removeBot(botId);
+            this.positionReconciliationService?.removeBotState(botId);
+        } else {
+            console.warn(`⚠️  Unknown bot fleet action: ${action}`);
+            return;
+        }
+        
+        this.loadBotFleet();
+    }
+    
     async handleInstanceRegistration(data) {
         try {
             const { instanceId, account, instrument, strategy } = data;
@@ -653,9 +794,11 @@ class ConnectionManager extends EventEmitter {
             if (stopLossPoints) console.log(`   Stop Loss Points: ${stopLossPoints}`);
             if (takeProfitPoints) console.log(`   Take Profit Points: ${takeProfitPoints}`);
             
-            // Check if this is a bracket order (has SL/TP)
-            const hasBracket = (limitPrice !== null && limitPrice !== undefined) || 
-                              (stopPrice !== null && stopPrice !== undefined) ||
+            // Check if this is a bracket order (has SL/TP). On resting entries limitPrice
+            // and stopPrice are the entry prices, so only points describe a bracket
+            const priceBracket = orderType === 'MARKET';
+            const hasBracket = (priceBracket && limitPrice !== null && limitPrice !== undefined) || 
+                              (priceBracket && stopPrice !== null && stopPrice !== undefined) ||
                               (stopLossPoints !== null && stopLossPoints !== undefined) ||
                               (takeProfitPoints !== null && takeProfitPoints !== undefined);
             if (hasBracket) {
@@ -711,12 +854,20 @@ class ConnectionManager extends EventEmitter {
                 case 'STOP':
                     result = await this.placeStopOrder(data);
                     break;
+                case 'STOP_LIMIT':
+                    result = await this.placeStopLimitOrder(data);
+                    break;
                 default:
                     result = { success: false, error: `Unknown order type: ${orderType}` };
             }
             console.log(`🎯 Final order result for ${orderId}: success=${result.success}`);
             if (result.error) console.log(`🎯 Order error: ${result.error}`);
             
+            // Follow the order until it is filled, cancelled or expires
+            if (result.success) {
+                this.workingOrderService.track(data, result.topStepOrderId);
+            }
+            
             // Send response back to instance
             await this.sendOrderResponse(instanceId, orderId, result.success, result.error, result.topStepOrderId);
             
@@ -724,8 +875,8 @@ class ConnectionManager extends EventEmitter {
             if (result.success && hasBracket) {
                 const bracketInfo = {
                     // Store both price-based and point-based values
-                    stopLoss: stopPrice,
-                    takeProfit: limitPrice,
+                    stopLoss: priceBracket ? stopPrice : null,
+                    takeProfit: priceBracket ? limitPrice : null,
                     stopLossPoints: stopLossPoints,
                     takeProfitPoints: takeProfitPoints,
                     side: side,  // Store side for point calculation
@@ -735,7 +886,9 @@ class ConnectionManager extends EventEmitter {
                     accountId: accountId,
                     retryCount: 0,
                     maxRetries: 10,
-                    fallbackTimeout: null
+                    fallbackTimeout: null,
+                    // Resting entries may work for hours - apply on the fill instead of polling
+                    awaitFill: orderType !== 'MARKET'
                 };
                 
                 this.pendingBrackets.set(result.topStepOrderId.toString(), bracketInfo);
@@ -751,12 +904,16 @@ class ConnectionManager extends EventEmitter {
                     console.log(`   - Take Profit: ${limitPrice || 'none'}`);
                 }
                 
-                // Since we have success=true and the order ID, start checking for position
-                // We don't need to wait for ORDER_FILLED events
-                console.log(`📋 [BRACKET] Order placed successfully, starting position check in 3 seconds...`);
-                setTimeout(async () => {
-                    await this.checkAndApplyBracketOrders(result.topStepOrderId);
-                }, 3000); // 3 second delay to allow position creation
+                if (bracketInfo.awaitFill) {
+                    console.log(`📋 [BRACKET] ${orderType} entry working - bracket will be applied when it fills`);
+                } else {
+                    // Since we have success=true and the order ID, start checking for position
+                    // We don't need to wait for ORDER_FILLED events
+                    console.log(`📋 [BRACKET] Order placed successfully, starting position check in 3 seconds...`);
+                    setTimeout(async () => {
+                        await this.checkAndApplyBracketOrders(result.topStepOrderId);
+                    }, 3000); // 3 second delay to allow position creation
+                }
             }
             
             // If successful, update position reconciliation service and broadcast
@@ -764,6 +921,7 @@ class ConnectionManager extends EventEmitter {
                 const positionData = {
                     orderId: result.topStepOrderId,
                     instanceId,
+                    accountId,
                     instrument,
                     side,
                     quantity,
@@ -790,7 +948,7 @@ class ConnectionManager extends EventEmitter {
                 console.log(`✅ Order ${orderId} placed successfully (TopStep ID: ${result.topStepOrderId})`);
                 
                 // Fetch position after order placement and notify Trading Aggregator
-                setTimeout(async () => {
+                this.scheduleFollowUp(async () => {
                     try {
                         console.log(`🔍 Fetching positions after order ${orderId} placement...`);
                         const positions = await this.getPositions(data.accountId);
@@ -823,7 +981,7 @@ class ConnectionManager extends EventEmitter {
                             } else {
                                 console.log(`⚠️ No matching position found for order ${orderId}, retrying in 2 seconds...`);
                                 // Retry once more
-                                setTimeout(async () => {
+                                this.scheduleFollowUp(async () => {
                                     try {
                                         const retryPositions = await this.getPositions(data.accountId);
                                         const retryPosition = retryPositions.find(pos => 
@@ -1257,6 +1415,15 @@ class ConnectionManager extends EventEmitter {
                     await this.handleGetAccountSummaryRequest(data);
                     break;
                     
+                case 'SUBSCRIBE_BARS':
+                    await this.handleSubscribeBarsRequest(data);
+                    break;
+                    
+                case 'PAUSE_ALL_TRADING':
+                case 'RESUME_ALL_TRADING':
+                    await this.handleTradingControlRequest(data);
+                    break;
+                    
                 case 'REQUEST_HISTORICAL_DATA':
                     // Extract payload and forward to historical data handler
                     const historicalRequest = data.payload || data;
@@ -1264,6 +1431,11 @@ class ConnectionManager extends EventEmitter {
                     await this.handleHistoricalDataRequest(historicalRequest);
                     break;
                     
+                case 'RPC_CANCEL':
+                    // The caller gave up - only historical data requests are worth stopping
+                    this.historicalDataService?.cancelRequest(requestId);
+                    break;
+                    
                 default:
                     console.error(`❌ Unknown request type: ${type}`);
                     // Send error response
@@ -1274,7 +1446,7 @@ class ConnectionManager extends EventEmitter {
                         error: `Unknown request type: ${type}`,
                         timestamp: Date.now()
                     };
-                    await this.eventBroadcaster.publisher.publish('connection-manager:response', JSON.stringify(errorData));
+                    await this.eventBroadcaster.publishRaw('connection-manager:response', errorData);
             }
             
         } catch (error) {
@@ -1287,7 +1459,7 @@ class ConnectionManager extends EventEmitter {
                     error: error.message,
                     timestamp: Date.now()
                 };
-                await this.eventBroadcaster.publisher.publish('connection-manager:response', JSON.stringify(errorData));
+                await this.eventBroadcaster.publishRaw('connection-manager:response', errorData);
             }
         }
     }
@@ -1311,7 +1483,7 @@ class ConnectionManager extends EventEmitter {
             const axios = require('axios');
             
             // Use the same API endpoint as the working Python bot
-            const url = `https://userapi.topstepx.com/Position?accountId=${accountId}`;
+            const url = `${this.config.userApiUrl}/Position?accountId=${accountId}`;
             console.log(`🔍 Requesting positions from: ${url}`);
             
             const response = await axios.get(url, {
@@ -1348,7 +1520,7 @@ class ConnectionManager extends EventEmitter {
                     accountId,
                     timestamp: Date.now()
                 };
-                await this.eventBroadcaster.publisher.publish('connection-manager:response', JSON.stringify(responseData));
+                await this.eventBroadcaster.publishRaw('connection-manager:response', responseData);
                 
                 console.log(`✅ Sent position response for request ${requestId}`);
                 
@@ -1363,7 +1535,7 @@ class ConnectionManager extends EventEmitter {
                     accountId,
                     timestamp: Date.now()
                 };
-                await this.eventBroadcaster.publisher.publish('connection-manager:response', JSON.stringify(emptyResponse));
+                await this.eventBroadcaster.publishRaw('connection-manager:response', emptyResponse);
             }
             
         } catch (error) {
@@ -1383,7 +1555,7 @@ class ConnectionManager extends EventEmitter {
                         accountId: data.accountId,
                         timestamp: Date.now()
                     };
-                    await this.eventBroadcaster.publisher.publish('connection-manager:response', JSON.stringify(notFoundResponse));
+                    await this.eventBroadcaster.publishRaw('connection-manager:response', notFoundResponse);
                     return;
                 }
             }
@@ -1397,7 +1569,7 @@ class ConnectionManager extends EventEmitter {
                 error: error.message,
                 timestamp: Date.now()
             };
-            await this.eventBroadcaster.publisher.publish('connection-manager:response', JSON.stringify(errorData));
+            await this.eventBroadcaster.publishRaw('connection-manager:response', errorData);
         }
     }
     
@@ -1424,7 +1596,7 @@ class ConnectionManager extends EventEmitter {
             console.log(`[DEBUG] Payload SL/TP:`, JSON.stringify(payload, null, 2));
             
             const response = await axios.post(
-                `https://userapi.topstepx.com/Order/editStopLossAccount`,
+                `${this.config.userApiUrl}/Order/editStopLossAccount`,
                 payload,
                 {
                     headers: this.authModule.getAuthHeaders(),
@@ -1445,7 +1617,7 @@ class ConnectionManager extends EventEmitter {
                     takeProfit,
                     timestamp: Date.now()
                 };
-                await this.eventBroadcaster.publisher.publish('connection-manager:response', JSON.stringify(successData));
+                await this.eventBroadcaster.publishRaw('connection-manager:response', successData);
                 
             } else {
                 throw new Error(`Unexpected response status: ${response.status}`);
@@ -1465,7 +1637,7 @@ class ConnectionManager extends EventEmitter {
                 error: error.message,
                 timestamp: Date.now()
             };
-            await this.eventBroadcaster.publisher.publish('connection-manager:response', JSON.stringify(errorData));
+            await this.eventBroadcaster.publishRaw('connection-manager:response', errorData);
         }
     }
     
@@ -1506,14 +1678,14 @@ class ConnectionManager extends EventEmitter {
             
             if (closeType === 'full' || !size) {
                 // Full close - use close position API
-                apiUrl = 'https://api.topstepx.com/api/Position/closeContract';
+                apiUrl = `${this.config.apiBaseUrl}/api/Position/closeContract`;
                 payload = {
                     accountId: accountId,
                     contractId: contractId
                 };
             } else {
                 // Partial close - use partial close position API
-                apiUrl = 'https://api.topstepx.com/api/Position/partialCloseContract';
+                apiUrl = `${this.config.apiBaseUrl}/api/Position/partialCloseContract`;
                 payload = {
                     accountId: accountId,
                     contractId: contractId,
@@ -1574,7 +1746,7 @@ class ConnectionManager extends EventEmitter {
                     data: response.data,
                     timestamp: Date.now()
                 };
-                await this.eventBroadcaster.publisher.publish('connection-manager:response', JSON.stringify(responseData));
+                await this.eventBroadcaster.publishRaw('connection-manager:response', responseData);
                 
                 console.log(`✅ Sent close position success response for request ${requestId}`);
             } else {
@@ -1591,7 +1763,7 @@ class ConnectionManager extends EventEmitter {
                     error: `TopStep API Error ${errorCode}: ${errorMessage}`,
                     timestamp: Date.now()
                 };
-                await this.eventBroadcaster.publisher.publish('connection-manager:response', JSON.stringify(errorResponse));
+                await this.eventBroadcaster.publishRaw('connection-manager:response', errorResponse);
                 
                 console.log(`❌ Sent close position error response for request ${requestId}`);
             }
@@ -1635,12 +1807,33 @@ class ConnectionManager extends EventEmitter {
                 error: errorDetails,
                 timestamp: Date.now()
             };
-            await this.eventBroadcaster.publisher.publish('connection-manager:response', JSON.stringify(errorData));
+            await this.eventBroadcaster.publishRaw('connection-manager:response', errorData);
             
             console.log(`❌ Sent close position error response for request ${data.requestId}`);
         }
     }
     
+    /**
+     * Pause or resume the whole bot fleet for another process (the aggregator's
+     * account risk guardian pauses everything before an account limit is breached)
+     */
+    async handleTradingControlRequest(data) {
+        const { requestId, type, reason } = data;
+        
+        if (type === 'PAUSE_ALL_TRADING') {
+            await this.pauseAllTrading(reason || 'Pause requested');
+        } else {
+            await this.resumeAllTrading(reason || 'Resume requested');
+        }
+        
+        await this.eventBroadcaster.publishRaw('connection-manager:response', {
+            requestId,
+            type,
+            success: true,
+            timestamp: Date.now()
+        });
+    }
+    
     async handleGetAccountsRequest(data) {
         try {
             const { requestId, forceFresh, responseChannel } = data;
@@ -1667,7 +1860,7 @@ class ConnectionManager extends EventEmitter {
                 };
                 
                 // Pass data as second parameter and channel as third parameter
-                await this.eventBroadcaster.publisher.publish(channel, JSON.stringify(responseData));
+                await this.eventBroadcaster.publishRaw(channel, responseData);
                 
                 console.log(`✅ Sent account data to channel: ${channel}`);
             } else {
@@ -1685,7 +1878,7 @@ class ConnectionManager extends EventEmitter {
                 };
                 
                 // Pass data as second parameter and channel as third parameter
-                await this.eventBroadcaster.publisher.publish(channel, JSON.stringify(errorData));
+                await this.eventBroadcaster.publishRaw(channel, errorData);
                 
                 console.log(`❌ Sent error response to channel: ${channel}`);
             }
@@ -1705,7 +1898,7 @@ class ConnectionManager extends EventEmitter {
             };
             
             // Publish directly to Redis channel
-            await this.eventBroadcaster.publisher.publish(channel, JSON.stringify(errorData));
+            await this.eventBroadcaster.publishRaw(channel, errorData);
         }
     }
     
@@ -1733,7 +1926,7 @@ class ConnectionManager extends EventEmitter {
                     timestamp: Date.now()
                 };
                 
-                await this.eventBroadcaster.publisher.publish(channel, JSON.stringify(responseData));
+                await this.eventBroadcaster.publishRaw(channel, responseData);
                 console.log(`✅ Sent contract data to channel: ${channel}`);
             } else {
                 console.error(`❌ Failed to fetch contracts: ${contractsResult.error}`);
@@ -1748,7 +1941,7 @@ class ConnectionManager extends EventEmitter {
                     timestamp: Date.now()
                 };
                 
-                await this.eventBroadcaster.publisher.publish(channel, JSON.stringify(errorData));
+                await this.eventBroadcaster.publishRaw(channel, errorData);
                 console.log(`❌ Sent error response to channel: ${channel}`);
             }
             
@@ -1766,7 +1959,7 @@ class ConnectionManager extends EventEmitter {
                 timestamp: Date.now()
             };
             
-            await this.eventBroadcaster.publisher.publish(channel, JSON.stringify(errorData));
+            await this.eventBroadcaster.publishRaw(channel, errorData);
         }
     }
     
@@ -1775,26 +1968,30 @@ class ConnectionManager extends EventEmitter {
             const { requestId, responseChannel, instanceId } = data;
             console.log(`📋 Processing GET_WORKING_ORDERS request, requestId: ${requestId}, instanceId: ${instanceId}`);
             
-            // Get working orders from order manager
-            const workingOrders = [];
-            
-            // Collect working orders from all accounts
-            if (this.orderManager && this.orderManager.workingOrders) {
-                for (const [orderId, order] of this.orderManager.workingOrders) {
-                    if (order.status === 'WORKING' || order.status === 'PENDING') {
-                        workingOrders.push({
-                            orderId: order.orderId,
-                            accountId: order.accountId,
-                            contractId: order.contractId,
-                            side: order.side,
-                            quantity: order.quantity,
-                            orderType: order.orderType,
-                            price: order.price,
-                            status: order.status,
-                            timestamp: order.timestamp
-                        });
-                    }
+            // Working orders at TopStepX, for one account or all tradable accounts
+            let accountIds = data.accountId ? [data.accountId] : [];
+            if (accountIds.length === 0) {
+                const accountsResult = await this.fetchAccountsFromTopStep();
+                if (!accountsResult.success) {
+                    throw new Error(`Accounts unavailable: ${accountsResult.error}`);
                 }
+                accountIds = accountsResult.accounts.map(account => account.id);
+            }
+            
+            const workingOrders = [];
+            for (const accountId of accountIds) {
+                const orders = await this.getWorkingOrders(accountId);
+                workingOrders.push(...orders.map(order => ({
+                    orderId: order.id,
+                    accountId: order.accountId,
+                    contractId: order.contractId,
+                    side: order.side === 0 ? 'BUY' : 'SELL',
+                    quantity: order.size,
+                    orderType: this.getOrderTypeName(order.type),
+                    price: order.limitPrice ?? order.stopPrice ?? null,
+                    status: 'WORKING',
+                    timestamp: order.creationTimestamp
+                })));
             }
             
             console.log(`✅ Found ${workingOrders.length} working orders`);
@@ -1810,7 +2007,7 @@ class ConnectionManager extends EventEmitter {
                 timestamp: Date.now()
             };
             
-            await this.eventBroadcaster.publisher.publish(channel, JSON.stringify(responseData));
+            await this.eventBroadcaster.publishRaw(channel, responseData);
             
         } catch (error) {
             console.error('❌ Error handling GET_WORKING_ORDERS request:', error);
@@ -1825,8 +2022,27 @@ class ConnectionManager extends EventEmitter {
                 timestamp: Date.now()
             };
             
-            await this.eventBroadcaster.publisher.publish(channel, JSON.stringify(errorData));
+            await this.eventBroadcaster.publishRaw(channel, errorData);
+        }
+    }
+    
+    /**
+     * Open orders for an account at TopStepX (raw API format)
+     */
+    async getWorkingOrders(accountId) {
+        const response = await this.authModule.apiRequest('/api/Order/searchOpen', {
+            method: 'POST',
+            data: { accountId: parseInt(accountId) }
+        });
+        
+        if (response.data?.success === false) {
+            throw new Error(response.data.errorMessage || `TopStep API error code ${response.data.errorCode}`);
         }
+        return response.data?.orders || [];
+    }
+    
+    getOrderTypeName(type) {
+        return { 1: 'LIMIT', 2: 'MARKET', 4: 'STOP', 5: 'TRAILING_STOP' }[type] || String(type);
     }
     
     async handleGetStatisticsRequest(data) {
@@ -1841,7 +2057,7 @@ class ConnectionManager extends EventEmitter {
             
             if (statisticsType === 'todaystats') {
                 // todaystats uses accountId as query parameter
-                const url = `https://userapi.topstepx.com/Statistics/todaystats?accountId=${accountId}`;
+                const url = `${this.config.userApiUrl}/Statistics/todaystats?accountId=${accountId}`;
                 console.log(`🔍 Requesting todaystats from: ${url}`);
                 
                 response = await axios.post(url, {}, {
@@ -1850,7 +2066,7 @@ class ConnectionManager extends EventEmitter {
                 });
             } else {
                 // lifetimestats and other endpoints use tradingAccountId in POST body
-                const url = `https://userapi.topstepx.com/Statistics/${statisticsType}`;
+                const url = `${this.config.userApiUrl}/Statistics/${statisticsType}`;
                 console.log(`🔍 Requesting ${statisticsType} from: ${url}`);
                 
                 const requestPayload = {
@@ -1917,7 +2133,8 @@ class ConnectionManager extends EventEmitter {
                     winningTrades: aggregated.winningTrades,
                     losingTrades: aggregated.losingTrades,
                     largestWin: Math.round(largestWin * 100) / 100,
-                    largestLoss: Math.round(largestLoss * 100) / 100
+                    largestLoss: Math.round(largestLoss * 100) / 100,
+                    totalFees: Math.round(aggregated.totalFees * 100) / 100
                 };
             } else {
                 // Empty array or no data - return zeros
@@ -1933,7 +2150,8 @@ class ConnectionManager extends EventEmitter {
                     winningTrades: 0,
                     losingTrades: 0,
                     largestWin: 0,
-                    largestLoss: 0
+                    largestLoss: 0,
+                    totalFees: 0
                 };
             }
             
@@ -1949,7 +2167,7 @@ class ConnectionManager extends EventEmitter {
                 statisticsType,
                 timestamp: Date.now()
             };
-            await this.eventBroadcaster.publisher.publish('connection-manager:response', JSON.stringify(responseData));
+            await this.eventBroadcaster.publishRaw('connection-manager:response', responseData);
             
             console.log(`✅ Sent statistics response for request ${requestId}`);
             
@@ -1969,7 +2187,7 @@ class ConnectionManager extends EventEmitter {
                 error: error.message,
                 timestamp: Date.now()
             };
-            await this.eventBroadcaster.publisher.publish('connection-manager:response', JSON.stringify(errorData));
+            await this.eventBroadcaster.publishRaw('connection-manager:response', errorData);
         }
     }
 
@@ -1996,7 +2214,7 @@ class ConnectionManager extends EventEmitter {
                     timestamp: Date.now()
                 };
                 
-                await this.eventBroadcaster.publisher.publish(channel, JSON.stringify(responseData));
+                await this.eventBroadcaster.publishRaw(channel, responseData);
             } else {
                 console.error(`❌ Failed to fetch active contracts: ${contractsResult.error}`);
                 
@@ -2009,7 +2227,7 @@ class ConnectionManager extends EventEmitter {
                     timestamp: Date.now()
                 };
                 
-                await this.eventBroadcaster.publisher.publish(channel, JSON.stringify(errorData));
+                await this.eventBroadcaster.publishRaw(channel, errorData);
             }
             
         } catch (error) {
@@ -2025,7 +2243,7 @@ class ConnectionManager extends EventEmitter {
                 timestamp: Date.now()
             };
             
-            await this.eventBroadcaster.publisher.publish(channel, JSON.stringify(errorData));
+            await this.eventBroadcaster.publishRaw(channel, errorData);
         }
     }
     
@@ -2079,7 +2297,7 @@ class ConnectionManager extends EventEmitter {
             // Get a test instrument from the active contracts
             const apiContracts = await this.fetchContractsFromTopStep();
             if (apiContracts && apiContracts.length > 0) {
-                this.testInstrument = apiContracts[0]; // Use first available contract
+                this.testInstrument = apiContracts[0].contractId; // Use first available contract
                 console.log(`🔍 Step 2: Testing market data access with ${this.testInstrument}...`);
             } else {
                 console.log('⚠️ No contracts available from API to test market data');
@@ -2378,35 +2596,37 @@ class ConnectionManager extends EventEmitter {
                 });
                 
                 // Return full contract objects with all properties
-                return filteredContracts.map(contract => ({
+                return this.seedInstrumentRegistry(filteredContracts.map(contract => ({
                     contractId: contract.id,
                     symbol: contract.symbolId || contract.symbol,
                     name: contract.name,
                     exchange: contract.exchange,
                     tickSize: contract.tickSize,
+                    tickValue: contract.tickValue,
                     pointValue: contract.tickValue / contract.tickSize, // Calculate dollar per point from tickValue/tickSize
                     currency: contract.currency,
                     expirationDate: contract.expirationDate,
                     isActive: contract.activeContract,
                     contractType: contract.contractType,
                     description: contract.description
-                }));
+                })));
             } else if (response.data && Array.isArray(response.data)) {
                 // Handle legacy format where response.data is directly an array
                 console.log(`📊 Received ${response.data.length} contracts from TopStep API (legacy format)`);
-                return response.data.map(contract => ({
+                return this.seedInstrumentRegistry(response.data.map(contract => ({
                     contractId: contract.id || contract.contractId,
                     symbol: contract.symbolId || contract.symbol,
                     name: contract.name,
                     exchange: contract.exchange || 'US',
                     tickSize: contract.tickSize,
+                    tickValue: contract.tickValue,
                     pointValue: contract.tickValue / contract.tickSize, // Calculate dollar per point from tickValue/tickSize
                     currency: contract.currency || 'USD',
                     expirationDate: contract.expirationDate,
                     isActive: contract.activeContract !== false,
                     contractType: contract.contractType,
                     description: contract.description
-                }));
+                })));
             }
             
             return null;
@@ -2417,6 +2637,21 @@ class ConnectionManager extends EventEmitter {
     }
     
     
+    /**
+     * Seed the shared instrument registry with the contracts TopStep returned so
+     * tick sizes, point values and active contracts follow the broker
+     */
+    seedInstrumentRegistry(contracts) {
+        try {
+            const seeded = instrumentRegistry.seedFromContracts(contracts);
+            console.log(`📋 Instrument registry seeded with ${seeded} TopStep contracts`);
+        } catch (error) {
+            console.error('❌ Failed to seed instrument registry:', error.message);
+        }
+        
+        return contracts;
+    }
+    
     // Contract caching methods
     cacheContracts(contracts) {
         if (!this.contractCache) {
@@ -2518,11 +2753,8 @@ class ConnectionManager extends EventEmitter {
             console.log(`📊 Subscribed to ${this.testInstrument} quotes`);
             
             try {
-                // Wait for first quote
-                const quote = await Promise.race([
-                    quotePromise,
-                    new Promise((_, reject) => setTimeout(() => reject(new Error('No quote received within 5 seconds')), 5000))
-                ]);
+                // Wait for first quote (quotePromise rejects after 5 seconds)
+                const quote = await quotePromise;
                 console.log(`✅ Live market data received via SignalR:`);
                 console.log(`   Symbol: ${quote.symbol || this.testInstrument}`);
                 
@@ -2765,7 +2997,7 @@ class ConnectionManager extends EventEmitter {
             //     console.log(`📡 Distributing changed DEPTH for ${data.instrument}`);
             // }
             
-            // Broadcast to Redis for all services
+            // Broadcast to Redis for all services - the only publication of each tick
             // Pass the entire market data structure that includes instrument, type, and data
             await this.eventBroadcaster.publish('MARKET_DATA', data);
             
@@ -2817,7 +3049,7 @@ class ConnectionManager extends EventEmitter {
         });
         
         // Resume trading after reconciliation delay
-        setTimeout(async () => {
+        this.scheduleFollowUp(async () => {
             console.log('▶️ Resuming trading after reconciliation');
             await this.eventBroadcaster.publish('RESUME_TRADING', {
                 reason: 'Connection restored and positions reconciled',
@@ -2848,7 +3080,11 @@ class ConnectionManager extends EventEmitter {
                 messagesDistributed: this.metrics.messagesDistributed,
                 reconnectionCount: this.metrics.reconnectionCount
             },
-            health: this.healthMonitor ? this.healthMonitor.getHealth() : null
+            health: this.healthMonitor ? this.healthMonitor.getHealth() : null,
+            rollover: this.contractRolloverService ? this.contractRolloverService.getStatus() : null,
+            paperTrading: this.paperBroker ? this.paperBroker.getStatus() : { enabled: false },
+            messageValidation: this.eventBroadcaster ? this.eventBroadcaster.getValidationStats() : null,
+            orderTransport: this.eventBroadcaster ? this.eventBroadcaster.getOrderTransportStats() : null
         };
     }
     
@@ -2894,6 +3130,15 @@ class ConnectionManager extends EventEmitter {
         console.log('✅ Shutdown command sent to all instances');
     }
     
+    // Run a task after a delay unless the Connection Manager shuts down first
+    scheduleFollowUp(task, delayMs) {
+        const timer = setTimeout(() => {
+            this.followUpTimers.delete(timer);
+            task();
+        }, delayMs);
+        this.followUpTimers.add(timer);
+    }
+    
     async shutdown() {
         console.log('🛑 Shutting down Connection Manager...');
         
@@ -2903,6 +3148,9 @@ class ConnectionManager extends EventEmitter {
         // Notify all instances
         await this.broadcastConnectionStatus('SHUTTING_DOWN');
         
+        this.followUpTimers.forEach(timer => clearTimeout(timer));
+        this.followUpTimers.clear();
+        
         // Stop services
         if (this.healthMonitor) {
             this.healthMonitor.stop();
@@ -2912,6 +3160,26 @@ class ConnectionManager extends EventEmitter {
             this.positionReconciliationService.stop();
         }
         
+        if (this.contractRolloverService) {
+            this.contractRolloverService.stop();
+        }
+        
+        if (this.barService) {
+            this.barService.stop();
+        }
+        
+        if (this.workingOrderService) {
+            this.workingOrderService.stop();
+        }
+        
+        if (this.historicalDataService) {
+            await this.historicalDataService.shutdown();
+        }
+        
+        if (this.paperBroker) {
+            this.paperBroker.uninstall();
+        }
+        
         if (this.configurationService) {
             await this.configurationService.cleanup();
         }
@@ -2921,7 +3189,7 @@ class ConnectionManager extends EventEmitter {
         }
         
         if (this.eventBroadcaster) {
-            await this.eventBroadcaster.disconnect();
+            await this.eventBroadcaster.shutdown();
         }
         
         // Clear auth
@@ -2948,6 +3216,12 @@ class ConnectionManager extends EventEmitter {
     async handlePositionUpdate(data) {
         const { instanceId, position } = data;
         
+        // POSITION_UPDATE shares market:data with our own broadcasts - flat broker
+        // position events and rebroadcasts would otherwise echo back here forever
+        if (!position || data.rebroadcast) {
+            return;
+        }
+        
         if (this.positionReconciliationService) {
             this.positionReconciliationService.updateInstancePosition(instanceId, position);
         }
@@ -2956,6 +3230,7 @@ class ConnectionManager extends EventEmitter {
         await this.eventBroadcaster.publish('POSITION_UPDATE', {
             instanceId,
             position,
+            rebroadcast: true,
             timestamp: Date.now()
         });
     }
@@ -3057,7 +3332,7 @@ class ConnectionManager extends EventEmitter {
             const axios = require('axios');
             
             console.log(`📋 [BRACKET] Making position search request:`, {
-                url: `https://userapi.topstepx.com/Position?accountId=${bracketInfo.accountId}`,
+                url: `${this.config.userApiUrl}/Position?accountId=${bracketInfo.accountId}`,
                 method: 'GET',
                 accountId: bracketInfo.accountId,
                 headers: this.authModule.getAuthHeaders()
@@ -3065,7 +3340,7 @@ class ConnectionManager extends EventEmitter {
             
             // Use the same endpoint as the working position fetching system
             const response = await axios.get(
-                `https://userapi.topstepx.com/Position?accountId=${bracketInfo.accountId}`,
+                `${this.config.userApiUrl}/Position?accountId=${bracketInfo.accountId}`,
                 {
                     headers: this.authModule.getAuthHeaders(),
                     timeout: 10000
@@ -3205,7 +3480,7 @@ class ConnectionManager extends EventEmitter {
             if (finalStopLoss !== null || finalTakeProfit !== null) {
                 console.log(`📋 [BRACKET] Applying SL/TP to position ${position.id}`);
                 console.log(`   - Position ID: ${position.id}`);
-                console.log(`   - Using endpoint: https://api.topstepx.com/api/Order/editStopLossAccount`);
+                console.log(`   - Using endpoint: ${this.config.apiBaseUrl}/api/Order/editStopLossAccount`);
                 
                 const updateResult = await this.updatePositionSLTP(
                     position.id, 
@@ -3299,7 +3574,7 @@ class ConnectionManager extends EventEmitter {
             
             // Now check for positions using same endpoint as working position queries
             const response = await axios.get(
-                `https://userapi.topstepx.com/Position?accountId=${bracketInfo.accountId}`,
+                `${this.config.userApiUrl}/Position?accountId=${bracketInfo.accountId}`,
                 {
                     headers: this.authModule.getAuthHeaders(),
                     timeout: 10000
@@ -3457,14 +3732,14 @@ class ConnectionManager extends EventEmitter {
             };
             
             console.log(`📋 [BRACKET] Sending SL/TP update request:`, {
-                url: 'https://userapi.topstepx.com/Order/editStopLossAccount',
+                url: `${this.config.userApiUrl}/Order/editStopLossAccount`,
                 method: 'POST',
                 payload: payload,
                 headers: this.authModule.getAuthHeaders()
             });
             
             const response = await axios.post(
-                `https://userapi.topstepx.com/Order/editStopLossAccount`,
+                `${this.config.userApiUrl}/Order/editStopLossAccount`,
                 payload,
                 {
                     headers: this.authModule.getAuthHeaders(),
@@ -3631,9 +3906,42 @@ class ConnectionManager extends EventEmitter {
         }
     }
     
+    /**
+     * A bot asks the bar service for timeframes beyond the configured ones;
+     * bars already in progress are published straight away
+     */
+    async handleSubscribeBarsRequest(data) {
+        const { instanceId, instrument, timeframes = [] } = data.payload || data;
+        if (!instrument) {
+            console.error(`❌ SUBSCRIBE_BARS from ${instanceId} without an instrument`);
+            return;
+        }
+        
+        const built = this.barService.subscribe(instrument, timeframes);
+        console.log(`📊 ${instanceId} subscribed to ${timeframes.join(', ')} bars for ${instrument} (building ${built.join(', ')})`);
+        
+        for (const bar of this.barService.getCurrentBars()) {
+            if (this.barService.getSubscriptionKey(bar.symbol) === this.barService.getSubscriptionKey(instrument)) {
+                this.barService.publish('BAR_UPDATE', bar);
+            }
+        }
+    }
+    
+    getBarServiceStatus(instrument = null) {
+        if (!this.barService) {
+            return { available: false, message: 'Bar service not available' };
+        }
+        
+        return {
+            available: true,
+            stats: this.barService.getStatistics(),
+            bars: this.barService.getCurrentBars(instrument)
+        };
+    }
+    
     async handleHistoricalDataRequest(data) {
         try {
-            const { instanceId, requestId, instrument, interval, periodMinutes, startTime, endTime, unit, unitNumber, limit, includePartialBar } = data;
+            const { instanceId, requestId, instrument, interval, periodMinutes, startTime, endTime, unit, unitNumber, limit, includePartialBar, streamChunkSize } = data;
             console.log(`📊 Historical data request from ${instanceId} for ${instrument}`);
             console.log(`   Request ID: ${requestId}`);
             console.log(`   Parameters received:`, { interval, periodMinutes, unit, unitNumber, limit, startTime, endTime });
@@ -3681,6 +3989,7 @@ class ConnectionManager extends EventEmitter {
                 requestId,
                 instanceId,
                 contractId: instrument,
+                streamChunkSize,
                 ...topStepParams
             };
             
@@ -3754,7 +4063,7 @@ class ConnectionManager extends EventEmitter {
         }
         
         // Validate order type
-        if (!['MARKET', 'LIMIT', 'STOP'].includes(orderType)) {
+        if (!['MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT'].includes(orderType)) {
             return { valid: false, reason: `Invalid order type: ${orderType}` };
         }
         
@@ -3769,7 +4078,7 @@ class ConnectionManager extends EventEmitter {
         }
         
         // Validate price for limit orders (accept either price or limitPrice)
-        if (orderType === 'LIMIT') {
+        if (orderType === 'LIMIT' || orderType === 'STOP_LIMIT') {
             const orderPrice = limitPrice || price;
             if (!orderPrice || orderPrice <= 0) {
                 return { valid: false, reason: 'Limit order requires valid limitPrice or price' };
@@ -3777,10 +4086,16 @@ class ConnectionManager extends EventEmitter {
         }
         
         // Validate stop price for stop orders
-        if (orderType === 'STOP' && (!stopPrice || stopPrice <= 0)) {
+        if ((orderType === 'STOP' || orderType === 'STOP_LIMIT') && (!stopPrice || stopPrice <= 0)) {
             return { valid: false, reason: 'Stop order requires valid stop price' };
         }
         
+        // Time in force of resting orders
+        const timeInForceError = this.workingOrderService?.validate(data);
+        if (timeInForceError) {
+            return { valid: false, reason: timeInForceError };
+        }
+        
         // Validate account exists
         if (this.cachedAccounts && !this.cachedAccounts.some(acc => acc.id === accountId)) {
             return { valid: false, reason: `Invalid account ID: ${accountId}` };
@@ -3789,13 +4104,368 @@ class ConnectionManager extends EventEmitter {
         return { valid: true };
     }
     
+    /**
+     * Move a product to its next contract: route orders and market data to the new
+     * month, tell bots to switch, then apply the position policy to the old month
+     */
+    async handleContractRollover(event) {
+        const { symbol, contractId, nextContractId } = event;
+        console.log(`🔄 Contract rollover ${symbol}: ${contractId} -> ${nextContractId} (positions: ${event.positionPolicy})`);
+        
+        // Orders for generic symbols (MGC, F.US.MGC) now resolve to the new month
+        this.contractCache.set(symbol, nextContractId);
+        
+        if (this.marketDataService) {
+            try {
+                await this.marketDataService.subscribeToInstrument(nextContractId);
+                console.log(`✅ Subscribed to market data for ${nextContractId}`);
+            } catch (error) {
+                console.error(`❌ Failed to subscribe to ${nextContractId}:`, error.message);
+            }
+        }
+        
+        // Bots switch their contract and rebuild strategy state on this event
+        await this.eventBroadcaster.publish('CONTRACT_ROLLOVER', event);
+        
+        const remainingPositions = await this.applyRolloverPositionPolicy(event);
+        
+        // Keep the old feed while positions on it still need managing
+        if (remainingPositions === 0 && this.marketDataService) {
+            await this.marketDataService.unsubscribeFromInstrument(contractId);
+            console.log(`📴 Unsubscribed from expiring contract ${contractId}`);
+        }
+    }
+    
+    /**
+     * Flatten or roll open positions on the expiring contract
+     * @returns {number} Positions left open on the expiring contract
+     */
+    async applyRolloverPositionPolicy(event) {
+        const { contractId, positionPolicy } = event;
+        let remainingPositions = 0;
+        
+        const accountsResult = await this.fetchAccountsFromTopStep();
+        if (!accountsResult.success) {
+            console.error(`❌ Cannot check positions on ${contractId} - accounts unavailable`);
+            return 1;
+        }
+        
+        for (const account of accountsResult.accounts) {
+            let positions = [];
+            try {
+                positions = await this.searchOpenPositions(account.id);
+            } catch (error) {
+                console.error(`❌ Failed to fetch positions for account ${account.id}:`, error.message);
+                remainingPositions++;
+                continue;
+            }
+            
+            for (const position of positions.filter(candidate => candidate.contractId === contractId)) {
+                const side = position.type === 1 ? 'LONG' : 'SHORT';
+                
+                if (positionPolicy === 'none') {
+                    console.warn(`⚠️  Account ${account.id} still holds ${side} ${position.size} ${contractId} after its roll date`);
+                    remainingPositions++;
+                    continue;
+                }
+                
+                if (positionPolicy === 'roll') {
+                    const rolled = await this.rollPosition(account.id, position, positions, event);
+                    if (!rolled) {
+                        remainingPositions++;
+                    }
+                    continue;
+                }
+                
+                const flattened = await this.flattenContract(account.id, contractId);
+                if (!flattened.success) {
+                    console.error(`❌ Failed to flatten ${contractId} on account ${account.id}:`, flattened.error);
+                    remainingPositions++;
+                    continue;
+                }
+                console.log(`✅ Flattened ${side} ${position.size} ${contractId} on account ${account.id}`);
+            }
+        }
+        
+        return remainingPositions;
+    }
+    
+    /**
+     * Move a position to the next contract with the same stop loss and take profit
+     * distances. The new position is opened and bracketed before the old one is
+     * closed; when it cannot be bracketed it is closed again and the old position,
+     * still protected, stays open. A failure is published as CONTRACT_ROLLOVER_FAILED.
+     * @returns {boolean} Whether the old position was closed
+     */
+    async rollPosition(accountId, position, accountPositions, event) {
+        const { symbol, contractId, nextContractId } = event;
+        const side = position.type === 1 ? 'LONG' : 'SHORT';
+        const entrySide = side === 'LONG' ? 'BUY' : 'SELL';
+        
+        const fail = async (error) => {
+            console.error(`❌ Failed to roll ${side} ${position.size} ${contractId} to ${nextContractId} on account ${accountId}: ${error}`);
+            await this.eventBroadcaster.publish('CONTRACT_ROLLOVER_FAILED', {
+                symbol,
+                contractId,
+                nextContractId,
+                accountId,
+                side,
+                size: position.size,
+                error
+            });
+            return false;
+        };
+        
+        // One position per contract - a roll would merge into whatever is held there
+        if (accountPositions.some(candidate => candidate.contractId === nextContractId)) {
+            return fail(`account already holds ${nextContractId}`);
+        }
+        
+        let bracket;
+        try {
+            bracket = await this.getRolloverBracket(accountId, position, nextContractId);
+        } catch (error) {
+            return fail(`stop loss of the old position unknown - ${error.message}`);
+        }
+        
+        const order = await this.placeMarketOrder({ accountId, instrument: nextContractId, side: entrySide, quantity: position.size });
+        if (!order.success) {
+            return fail(`order on ${nextContractId} rejected - ${order.error}`);
+        }
+        
+        const rolled = await this.waitForOpenPosition(accountId, nextContractId, position.size);
+        if (!rolled) {
+            await this.flattenContract(accountId, nextContractId);
+            return fail(`no ${nextContractId} position after the order`);
+        }
+        
+        let stopLoss = null;
+        let takeProfit = null;
+        let protection;
+        try {
+            ({ stopLoss = null, takeProfit = null } = this.calculateSLTPFromPoints(
+                rolled.averagePrice, entrySide, bracket.stopLossPoints, bracket.takeProfitPoints));
+            stopLoss = await this.roundToTickSize(stopLoss, nextContractId);
+            takeProfit = takeProfit !== null ? await this.roundToTickSize(takeProfit, nextContractId) : null;
+            protection = await this.updatePositionSLTP(rolled.id, stopLoss, takeProfit);
+        } catch (error) {
+            protection = { success: false, error: error.message };
+        }
+        
+        if (!protection.success || protection.response?.success === false) {
+            const closed = await this.flattenContract(accountId, nextContractId);
+            const error = protection.error || protection.response?.errorMessage || 'rejected';
+            return fail(`bracket on ${nextContractId} failed (${error}) - new position ${closed.success ? 'closed' : 'STILL OPEN, close it manually'}`);
+        }
+        
+        const flattened = await this.flattenContract(accountId, contractId);
+        if (!flattened.success) {
+            console.error(`❌ Rolled into ${nextContractId} but failed to close ${contractId} on account ${accountId}: ${flattened.error}`);
+            return false;
+        }
+        
+        console.log(`✅ Rolled ${side} ${position.size} ${contractId} to ${nextContractId} on account ${accountId} (SL: ${stopLoss} | TP: ${takeProfit || 'none'})`);
+        return true;
+    }
+    
+    /**
+     * Stop loss and take profit distances of a position from its working exit
+     * orders. Without a stop the rolled position gets the reconciliation
+     * protective stop.
+     * @returns {Object} { stopLossPoints, takeProfitPoints }
+     */
+    async getRolloverBracket(accountId, position, nextContractId) {
+        const exitSide = position.type === 1 ? 1 : 0; // TopStepX: 0 = BUY, 1 = SELL
+        const exits = (await this.getWorkingOrders(accountId)).filter(order =>
+            order.contractId === position.contractId && order.side === exitSide);
+        
+        const stop = exits.find(order => [4, 5].includes(order.type) && order.stopPrice);
+        const target = exits.find(order => order.type === 1 && order.limitPrice);
+        
+        let stopLossPoints = stop ? Math.abs(position.averagePrice - stop.stopPrice) : null;
+        if (!stop) {
+            const tickSize = instrumentRegistry.getTickSize(nextContractId);
+            if (!tickSize) {
+                throw new Error(`no stop and no tick size for ${nextContractId}`);
+            }
+            stopLossPoints = (this.config.reconciliation?.protectiveStopTicks || 40) * tickSize;
+            console.warn(`⚠️  ${position.contractId} on account ${accountId} has no stop - the rolled position gets a ${stopLossPoints} point stop`);
+        }
+        
+        return {
+            stopLossPoints,
+            takeProfitPoints: target ? Math.abs(target.limitPrice - position.averagePrice) : null
+        };
+    }
+    
+    /**
+     * Poll until the account holds at least `size` of a contract
+     * @returns {Object|null} The TopStepX position, null on timeout
+     */
+    async waitForOpenPosition(accountId, contractId, size) {
+        const deadline = Date.now() + (this.config.rollover?.fillTimeoutMs || 15000);
+        
+        while (Date.now() < deadline) {
+            try {
+                const position = (await this.searchOpenPositions(accountId))
+                    .find(candidate => candidate.contractId === contractId);
+                if (position && position.size >= size) {
+                    return position;
+                }
+            } catch (error) {
+                console.warn(`⚠️  Position check for ${contractId} on account ${accountId} failed:`, error.message);
+            }
+            await new Promise(resolve => setTimeout(resolve, 250));
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Open positions for an account at TopStepX (raw API format)
+     */
+    async searchOpenPositions(accountId) {
+        const response = await this.authModule.apiRequest('/api/Position/searchOpen', {
+            method: 'POST',
+            data: { accountId }
+        });
+        
+        if (response.data?.success === false) {
+            throw new Error(response.data.errorMessage || `TopStep API error code ${response.data.errorCode}`);
+        }
+        return response.data?.positions || [];
+    }
+    
+    /**
+     * Close a whole position at market
+     * @returns {Object} { success, error }
+     */
+    async flattenContract(accountId, contractId) {
+        try {
+            const response = await this.authModule.apiRequest('/api/Position/closeContract', {
+                method: 'POST',
+                data: { accountId, contractId }
+            });
+            
+            if (response.data?.success !== true) {
+                throw new Error(response.data?.errorMessage || `TopStep API error code ${response.data?.errorCode}`);
+            }
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.response?.data?.errorMessage || error.message };
+        }
+    }
+    
+    // Broker Reconciliation - what PositionReconciliationService needs from TopStepX
+    
+    createReconciliationBroker() {
+        return {
+            getSnapshot: () => this.getReconciliationSnapshot(),
+            
+            attachBracket: (discrepancy, { stopLoss, takeProfit }) =>
+                this.updatePositionSLTP(discrepancy.positionId, stopLoss, takeProfit),
+            
+            flatten: (discrepancy) => this.flattenContract(parseInt(discrepancy.accountId), discrepancy.contractId),
+            
+            adopt: async (discrepancy) => {
+                const { position } = discrepancy;
+                const published = await this.eventBroadcaster.publish('ADOPT_POSITION', {
+                    botId: discrepancy.instanceId,
+                    accountId: discrepancy.accountId,
+                    contractId: discrepancy.contractId,
+                    positionId: position.id,
+                    side: position.side,
+                    size: position.size,
+                    averagePrice: position.averagePrice,
+                    stopLoss: position.stopLoss,
+                    takeProfit: position.takeProfit
+                });
+                return published ? { success: true } : { success: false, error: 'Redis not connected' };
+            }
+        };
+    }
+    
+    /**
+     * Open positions and working orders on every tradable account, with the
+     * bot fleet's accounts and instruments
+     */
+    async getReconciliationSnapshot() {
+        const accountsResult = await this.fetchAccountsFromTopStep();
+        if (!accountsResult.success) {
+            throw new Error(`Accounts unavailable: ${accountsResult.error}`);
+        }
+        
+        const snapshot = { positions: [], orders: [], bots: {}, incompleteAccounts: [] };
+        
+        for (const account of accountsResult.accounts) {
+            const result = await this.getPositions(account.id);
+            if (!result.success) {
+                snapshot.incompleteAccounts.push(account.id);
+                continue;
+            }
+            
+            try {
+                snapshot.orders.push(...await this.getWorkingOrders(account.id));
+            } catch (error) {
+                // Without the orders a bracketed position would look naked
+                console.error(`❌ Failed to fetch working orders for account ${account.id}:`, error.message);
+                snapshot.incompleteAccounts.push(account.id);
+                continue;
+            }
+            
+            for (const position of result.positions) {
+                if (!position.quantity) continue;
+                snapshot.positions.push({
+                    id: position.id,
+                    accountId: position.accountId ?? account.id,
+                    contractId: position.instrument,
+                    side: ['SELL', 'SHORT'].includes(String(position.side).toUpperCase()) ? 'SHORT' : 'LONG',
+                    size: position.quantity,
+                    averagePrice: position.avgPrice,
+                    currentPrice: position.currentPrice || null,
+                    stopLoss: position.stopLoss,
+                    takeProfit: position.takeProfit
+                });
+            }
+        }
+        
+        for (const [botId, config] of Object.entries(this.botConfigs || {})) {
+            snapshot.bots[botId] = { accountId: config.accountId ?? config.account ?? null, instrument: config.instrument };
+        }
+        
+        return snapshot;
+    }
+    
+    /**
+     * Run a reconciliation pass now instead of waiting for the next interval
+     */
+    async reconcilePositionsNow() {
+        if (!this.positionReconciliationService) {
+            return { success: false, error: 'Position reconciliation service not available' };
+        }
+        
+        const results = await this.positionReconciliationService.performReconciliation();
+        const { discrepancies, ...summary } = results;
+        return {
+            success: true,
+            ...summary,
+            discrepancies: discrepancies.map(({ position, ...discrepancy }) => discrepancy)
+        };
+    }
+    
     /**
      * Get contract ID for instrument symbol (e.g., MGC -> CON.F.US.MGC.Z25)
      */
     async getContractIdForInstrument(instrument) {
-        // Check if we have cached mapping
-        if (this.contractCache.has(instrument)) {
-            return this.contractCache.get(instrument);
+        // Full contract IDs are used as-is
+        if (instrumentRegistry.getContractMonth(instrument)) {
+            return instrument;
+        }
+        
+        // Check if we have cached mapping (updated on contract rollover)
+        const symbol = instrumentRegistry.getSymbolRoot(instrument);
+        if (typeof this.contractCache.get(symbol) === 'string') {
+            return this.contractCache.get(symbol);
         }
         
         // If not cached, refresh from TopStep API
@@ -3803,22 +4473,13 @@ class ConnectionManager extends EventEmitter {
         const contracts = await this.fetchContractsFromTopStep();
         
         if (contracts && contracts.length > 0) {
-            // Update cache with symbol -> contract mappings
-            for (const contract of contracts) {
-                const contractId = typeof contract === 'string' ? contract : contract.contractId;
-                if (contractId && contractId.includes('.')) {
-                    // Extract symbol from contract ID (e.g., CON.F.US.MGC.Z25 -> MGC)
-                    const parts = contractId.split('.');
-                    if (parts.length >= 4) {
-                        const symbol = parts[3];
-                        this.contractCache.set(symbol, contractId);
-                        console.log(`📋 Cached contract mapping: ${symbol} -> ${contractId}`);
-                    }
-                }
+            // TopStep can list several months - use the one that has not reached its roll date
+            const contractId = instrumentRegistry.getActiveContract(symbol);
+            if (contracts.some(contract => contract.contractId === contractId)) {
+                this.contractCache.set(symbol, contractId);
+                console.log(`📋 Cached contract mapping: ${symbol} -> ${contractId}`);
+                return contractId;
             }
-            
-            // Return the requested contract if found
-            return this.contractCache.get(instrument) || null;
         }
         
         console.error(`❌ Failed to find contract for instrument: ${instrument}`);
@@ -4014,6 +4675,69 @@ class ConnectionManager extends EventEmitter {
         }
     }
     
+    async placeStopLimitOrder(orderData) {
+        try {
+            const axios = require('axios');
+            const { accountId, instrument, side, quantity, stopPrice } = orderData;
+            const limitPrice = orderData.limitPrice ?? orderData.price;
+            
+            // Convert side to TopStep format
+            const sideInt = side === 'BUY' ? 0 : 1;
+            
+            // Round both prices to valid tick size
+            const adjustedStopPrice = await this.roundToTickSize(stopPrice, instrument);
+            const adjustedLimitPrice = await this.roundToTickSize(limitPrice, instrument);
+            
+            // Convert instrument symbol to contract ID
+            const contractId = await this.getContractIdForInstrument(instrument);
+            if (!contractId) {
+                throw new Error(`Contract not found for instrument: ${instrument}`);
+            }
+            
+            const topStepOrderData = {
+                accountId: accountId,
+                contractId: contractId,
+                type: 3, // Stop-limit order
+                side: sideInt,
+                size: quantity,
+                limitPrice: adjustedLimitPrice,
+                stopPrice: adjustedStopPrice,
+                trailPrice: null,
+                customTag: null,
+                linkedOrderId: null
+            };
+            
+            console.log(`🔍 Sending stop-limit order to TopStep API...`);
+            
+            const response = await axios.post(
+                `${this.authModule.baseURL}/api/Order/place`,
+                topStepOrderData,
+                {
+                    headers: this.authModule.getAuthHeaders(),
+                    timeout: 15000
+                }
+            );
+            
+            if (response.data && response.data.orderId) {
+                return {
+                    success: true,
+                    topStepOrderId: response.data.orderId,
+                    response: response.data
+                };
+            } else {
+                throw new Error('Invalid response from order placement API');
+            }
+            
+        } catch (error) {
+            console.error('❌ Stop-limit order placement failed:', error.response?.data || error.message);
+            return {
+                success: false,
+                error: error.response?.data?.message || error.message,
+                details: error.response?.data
+            };
+        }
+    }
+    
     async sendOrderResponse(instanceId, orderId, success, error = null, topStepOrderId = null) {
         const responseData = {
             instanceId,
@@ -4073,7 +4797,8 @@ class ConnectionManager extends EventEmitter {
     // Order Cancellation
     async handleOrderCancellation(data) {
         try {
-            const { instanceId, orderId, topStepOrderId } = data;
+            const { instanceId, orderId } = data;
+            const topStepOrderId = data.topStepOrderId || this.workingOrderService?.find(instanceId, orderId)?.topStepOrderId;
             
             console.log(`🚫 Order cancellation request from instance ${instanceId}`);
             console.log(`   Order ID: ${orderId}`);
@@ -4084,10 +4809,78 @@ class ConnectionManager extends EventEmitter {
                 return;
             }
             
+            await this.cancelBrokerOrder(topStepOrderId);
+            console.log(`✅ Order ${orderId} cancelled successfully`);
+            await this.sendOrderCancellationResponse(instanceId, orderId, true);
+            
+        } catch (error) {
+            console.error('❌ Order cancellation failed:', error.response?.data || error.message);
+            await this.sendOrderCancellationResponse(
+                data.instanceId,
+                data.orderId,
+                false,
+                error.response?.data?.message || error.message
+            );
+        }
+    }
+    
+    async cancelBrokerOrder(topStepOrderId) {
+        const axios = require('axios');
+        const response = await axios.post(
+            `${this.authModule.baseURL}/api/Order/cancel`,
+            { accountId: this.workingOrderService?.orders.get(String(topStepOrderId))?.accountId, orderId: topStepOrderId },
+            {
+                headers: this.authModule.getAuthHeaders(),
+                timeout: 15000
+            }
+        );
+        
+        if (!response.data || !response.data.success) {
+            throw new Error(response.data?.errorMessage || 'Order cancellation API returned failure');
+        }
+    }
+    
+    async sendOrderCancellationResponse(instanceId, orderId, success, error = null) {
+        await this.eventBroadcaster.publish('ORDER_CANCELLATION_RESPONSE', {
+            instanceId,
+            orderId,
+            success,
+            error,
+            timestamp: Date.now()
+        });
+    }
+    
+    // Order Modification - moves the entry price of a working order
+    async handleOrderModification(data) {
+        const { instanceId, orderId } = data;
+        
+        try {
+            const workingOrder = this.workingOrderService?.find(instanceId, orderId);
+            const topStepOrderId = data.topStepOrderId || workingOrder?.topStepOrderId;
+            
+            console.log(`✏️ Order modification request from instance ${instanceId}`);
+            console.log(`   Order ID: ${orderId}`);
+            console.log(`   TopStep Order ID: ${topStepOrderId || 'Not provided'}`);
+            
+            if (!topStepOrderId) {
+                await this.sendOrderModificationResponse(instanceId, orderId, false, 'TopStep order ID required');
+                return;
+            }
+            
+            const instrument = data.instrument || workingOrder?.instrument;
+            const topStepModification = {
+                accountId: data.accountId || workingOrder?.accountId,
+                orderId: topStepOrderId,
+                size: data.quantity ?? null,
+                limitPrice: data.limitPrice != null ? await this.roundToTickSize(data.limitPrice, instrument) : null,
+                stopPrice: data.stopPrice != null ? await this.roundToTickSize(data.stopPrice, instrument) : null,
+                trailPrice: null
+            };
+            
             const axios = require('axios');
             const response = await axios.post(
-                `${this.authModule.baseURL}/api/Order/cancel`,
-                { orderId: topStepOrderId },
+                `${this.authModule.baseURL}/api/Order/modify`,
+                topStepModification,
                 {
                     headers: this.authModule.getAuthHeaders(),
                     timeout: 15000
@@ -4095,25 +4888,25 @@ class ConnectionManager extends EventEmitter {
             );
             
             if (response.data && response.data.success) {
-                console.log(`✅ Order ${orderId} cancelled successfully`);
-                await this.sendOrderCancellationResponse(instanceId, orderId, true);
+                console.log(`✅ Order ${orderId} modified successfully`);
+                await this.sendOrderModificationResponse(instanceId, orderId, true);
             } else {
-                throw new Error('Order cancellation API returned failure');
+                throw new Error(response.data?.errorMessage || 'Order modification API returned failure');
             }
             
         } catch (error) {
-            console.error('❌ Order cancellation failed:', error.response?.data || error.message);
-            await this.sendOrderCancellationResponse(
-                data.instanceId,
-                data.orderId,
+            console.error('❌ Order modification failed:', error.response?.data || error.message);
+            await this.sendOrderModificationResponse(
+                instanceId,
+                orderId,
                 false,
                 error.response?.data?.message || error.message
             );
         }
     }
     
-    async sendOrderCancellationResponse(instanceId, orderId, success, error = null) {
-        await this.eventBroadcaster.publish('ORDER_CANCELLATION_RESPONSE', {
+    async sendOrderModificationResponse(instanceId, orderId, success, error = null) {
+        await this.eventBroadcaster.publish('ORDER_MODIFICATION_RESPONSE', {
             instanceId,
             orderId,
             success,
@@ -4253,9 +5046,9 @@ class ConnectionManager extends EventEmitter {
                 
                 // Try multiple endpoints and parameters for complete position data
                 const endpoints = [
-                    `https://userapi.topstepx.com/Position?accountId=${accountId}&includeWorkingOrders=true`,
-                    `https://userapi.topstepx.com/Position?accountId=${accountId}`,
-                    `https://api.topstepx.com/api/Position?accountId=${accountId}`
+                    `${this.config.userApiUrl}/Position?accountId=${accountId}&includeWorkingOrders=true`,
+                    `${this.config.userApiUrl}/Position?accountId=${accountId}`,
+                    `${this.config.apiBaseUrl}/api/Position?accountId=${accountId}`
                 ];
                 
                 let response = null;
@@ -4292,7 +5085,7 @@ class ConnectionManager extends EventEmitter {
                 
                 for (const account of accounts) {
                     try {
-                        const url = `https://userapi.topstepx.com/Position?accountId=${account.id}`;
+                        const url = `${this.config.userApiUrl}/Position?accountId=${account.id}`;
                         console.log(`🔍 Requesting positions from: ${url}`);
                         
                         const response = await axios.get(url, {
@@ -4422,7 +5215,7 @@ class ConnectionManager extends EventEmitter {
             
             const axios = require('axios');
             const response = await axios.get(
-                `https://api.topstepx.com/api/Positions/${positionId}`,
+                `${this.config.apiBaseUrl}/api/Positions/${positionId}`,
                 {
                     headers: this.authModule.getAuthHeaders(),
                     timeout: 10000
@@ -4505,70 +5298,6 @@ class ConnectionManager extends EventEmitter {
         }
     }
 
-    /**
-     * Handle SL/TP update requests from Trading Aggregator
-     */
-    async handleSLTPUpdateRequest(data) {
-        const { requestId, positionId, stopLoss, takeProfit, attempt } = data;
-        
-        try {
-            console.log(`🎯 [SL/TP UPDATE] Received request: positionId=${positionId}, SL=${stopLoss}, TP=${takeProfit} (attempt ${attempt})`);
-            
-            if (!positionId) {
-                throw new Error('Position ID is required for SL/TP update');
-            }
-
-            // Build the payload for the userapi editStopLossAccount endpoint
-            const payload = {
-                positionId: positionId,
-                stopLoss: stopLoss !== undefined && stopLoss !== null ? Math.round(stopLoss * 100) / 100 : null,
-                takeProfit: takeProfit !== undefined && takeProfit !== null ? Math.round(takeProfit * 100) / 100 : null
-            };
-
-            console.log(`📤 [SL/TP UPDATE] Calling userapi with payload:`, payload);
-
-            // Make the API call to update SL/TP
-            const response = await this.authModule.makeAuthenticatedRequest({
-                url: 'https://userapi.topstepx.com/Order/editStopLossAccount',
-                method: 'POST',
-                data: payload
-            });
-
-            if (response.success) {
-                console.log(`✅ [SL/TP UPDATE] Successfully updated position ${positionId}`);
-                
-                // Send success response back to Trading Aggregator
-                await this.eventBroadcaster.publishEvent('sltp-response', {
-                    type: 'sltp-response',
-                    payload: {
-                        requestId: requestId,
-                        success: true,
-                        result: response.data,
-                        positionId: positionId,
-                        appliedStopLoss: stopLoss,
-                        appliedTakeProfit: takeProfit
-                    }
-                });
-            } else {
-                throw new Error(response.error || 'SL/TP update failed');
-            }
-
-        } catch (error) {
-            console.error(`❌ [SL/TP UPDATE] Failed to update position ${positionId}:`, error.message);
-            
-            // Send error response back to Trading Aggregator
-            await this.eventBroadcaster.publishEvent('sltp-response', {
-                type: 'sltp-response', 
-                payload: {
-                    requestId: requestId,
-                    success: false,
-                    error: error.message,
-                    positionId: positionId
-                }
-            });
-        }
-    }
-
     /**
      * Handle SEARCH_TRADES request - Search for trades within a date range and filter
      */
@@ -4624,7 +5353,7 @@ class ConnectionManager extends EventEmitter {
             };
             
             const channel = responseChannel || 'connection-manager:response';
-            await this.eventBroadcaster.publisher.publish(channel, JSON.stringify(responseData));
+            await this.eventBroadcaster.publishRaw(channel, responseData);
             console.log(`📤 Sent SEARCH_TRADES response to ${channel}`);
             
         } catch (error) {
@@ -4640,7 +5369,7 @@ class ConnectionManager extends EventEmitter {
                 timestamp: Date.now()
             };
             const channel = data.responseChannel || 'connection-manager:response';
-            await this.eventBroadcaster.publisher.publish(channel, JSON.stringify(errorData));
+            await this.eventBroadcaster.publishRaw(channel, errorData);
         }
     }
 
@@ -4725,7 +5454,7 @@ class ConnectionManager extends EventEmitter {
             };
             
             const channel = responseChannel || 'connection-manager:response';
-            await this.eventBroadcaster.publisher.publish(channel, JSON.stringify(responseData));
+            await this.eventBroadcaster.publishRaw(channel, responseData);
             console.log(`📤 Sent GET_TRADES response to ${channel}`);
             
         } catch (error) {
@@ -4741,7 +5470,7 @@ class ConnectionManager extends EventEmitter {
                 timestamp: Date.now()
             };
             const channel = data.responseChannel || 'connection-manager:response';
-            await this.eventBroadcaster.publisher.publish(channel, JSON.stringify(errorData));
+            await this.eventBroadcaster.publishRaw(channel, errorData);
             console.log(`📤 Sent GET_TRADES error response to ${channel}`);
         }
     }
@@ -4812,7 +5541,7 @@ class ConnectionManager extends EventEmitter {
             };
             
             const channel = responseChannel || 'connection-manager:response';
-            await this.eventBroadcaster.publisher.publish(channel, JSON.stringify(responseData));
+            await this.eventBroadcaster.publishRaw(channel, responseData);
             console.log(`📤 Sent GET_ACCOUNT_SUMMARY response to ${channel}`);
             
         } catch (error) {
@@ -4828,7 +5557,7 @@ class ConnectionManager extends EventEmitter {
                 timestamp: Date.now()
             };
             const channel = data.responseChannel || 'connection-manager:response';
-            await this.eventBroadcaster.publisher.publish(channel, JSON.stringify(errorData));
+            await this.eventBroadcaster.publishRaw(channel, errorData);
             console.log(`📤 Sent GET_ACCOUNT_SUMMARY error response to ${channel}`);
         }
     }
@@ -48,13 +48,23 @@ class ConnectionManagerApp {
     }
     
     loadConfiguration() {
-        // Load from environment variables - always use production/real API
+        // Load from environment variables - production API unless API_PROFILE=fake
+        // points every endpoint at the local TopStepX emulator (fake-api/)
+        const fakeApiUrl = process.env.API_PROFILE === 'fake' ?
+            (process.env.FAKE_API_URL || `http://localhost:${process.env.FAKE_API_PORT || 8888}`) : null;
+        
         const config = {
             port: process.env.CONNECTION_MANAGER_PORT || 7500,
             username: process.env.TOPSTEP_USERNAME_REAL,
             apiKey: process.env.TOPSTEP_API_KEY_REAL,
-            urls: {
+            urls: fakeApiUrl ? {
+                api: fakeApiUrl,
+                userApi: fakeApiUrl,
+                marketHub: `${fakeApiUrl}/hubs/market`,
+                userHub: `${fakeApiUrl}/hubs/user`
+            } : {
                 api: 'https://api.topstepx.com',
+                userApi: 'https://userapi.topstepx.com',
                 marketHub: 'https://rtc.topstepx.com/hubs/market',
                 userHub: 'https://rtc.topstepx.com/hubs/user'
             },
@@ -62,6 +72,51 @@ class ConnectionManagerApp {
             tradingAggregatorPath: '../trading-aggregator',
             corsOrigins: (process.env.CORS_ORIGINS || 'http://localhost:3000').split(','),
             restartBotFleetDelayMs: parseInt(process.env.RESTART_BOT_FLEET_DELAY_MS) || 60000, // 1 minute default
+            rollover: {
+                warningDays: parseInt(process.env.ROLLOVER_WARNING_DAYS) || 3,
+                positionPolicy: process.env.ROLLOVER_POSITION_POLICY || 'none' // none | flatten | roll
+            },
+            reconciliation: {
+                // alert | bracket | flatten | adopt - see PositionReconciliationService
+                brokerPolicies: {
+                    NAKED_POSITION: process.env.RECONCILE_NAKED_POLICY || 'alert',
+                    UNOWNED_POSITION: process.env.RECONCILE_UNOWNED_POLICY || 'alert',
+                    UNTRACKED_POSITION: process.env.RECONCILE_UNTRACKED_POLICY || 'alert',
+                    PHANTOM_POSITION: 'alert'
+                },
+                actionGracePeriodMs: parseInt(process.env.RECONCILE_GRACE_PERIOD_MS) || 30000,
+                protectiveStopTicks: parseInt(process.env.RECONCILE_PROTECTIVE_STOP_TICKS) || 40
+            },
+            historicalBars: {
+                // Durable bar store behind HistoricalDataService (data/historical-bars/)
+                enabled: process.env.HISTORICAL_BAR_STORE !== 'false',
+                directory: process.env.HISTORICAL_BAR_DIRECTORY || undefined
+            },
+            bars: {
+                // Session-aligned bars from TRADE ticks on market:bars - see BarService
+                enabled: process.env.BAR_SERVICE !== 'false',
+                timeframes: (process.env.BAR_TIMEFRAMES || '1m,5m,15m,1h,1d').split(',').map(timeframe => timeframe.trim())
+            },
+            workingOrders: {
+                // GTC | DAY | GTD for limit/stop entries that do not say - see WorkingOrderService
+                defaultTimeInForce: process.env.DEFAULT_TIME_IN_FORCE || 'DAY'
+            },
+            messageValidation: {
+                // false: invalid messages are dead-lettered and counted but still delivered
+                enforce: process.env.MESSAGE_VALIDATION_ENFORCE !== 'false'
+            },
+            orderTransport: {
+                // Orders, fills and positions to and from the aggregator over Redis Streams - see StreamTransport
+                streams: process.env.ORDER_TRANSPORT !== 'pubsub',
+                maxOrderAgeMs: parseInt(process.env.ORDER_MAX_AGE_MS ?? 60000)
+            },
+            paperTrading: {
+                enabled: process.env.PAPER_TRADING === 'true',
+                slippageTicks: parseInt(process.env.PAPER_SLIPPAGE_TICKS ?? 1),
+                latencyMs: parseInt(process.env.PAPER_LATENCY_MS ?? 250),
+                partialFillSlices: parseInt(process.env.PAPER_PARTIAL_FILL_SLICES) || 1,
+                startingBalance: parseFloat(process.env.PAPER_STARTING_BALANCE) || 50000
+            },
             microOnly: true // Default to true for backward compatibility
         };
         
@@ -85,7 +140,10 @@ class ConnectionManagerApp {
             username: config.username ? '***' : 'NOT SET',
             apiKey: config.apiKey ? '***' : 'NOT SET',
             startTradingAggregator: config.startTradingAggregator,
-            microOnly: config.microOnly
+            microOnly: config.microOnly,
+            rolloverPositionPolicy: config.rollover.positionPolicy,
+            reconciliationPolicies: config.reconciliation.brokerPolicies,
+            paperTrading: config.paperTrading.enabled
         });
         
         return config;
@@ -323,6 +381,25 @@ class ConnectionManagerApp {
             }
         });
         
+        // Position reconciliation against TopStepX - open discrepancies and bot reports
+        this.app.get('/api/reconciliation', (req, res) => {
+            res.json(this.connectionManager.getPositionReconciliationStatus());
+        });
+        
+        this.app.post('/api/reconciliation/run', async (req, res) => {
+            try {
+                res.json(await this.connectionManager.reconcilePositionsNow());
+            } catch (error) {
+                console.error('[ConnectionManager] Reconciliation failed:', error.message);
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+        
+        // Bars in progress from the bar service (?instrument=CON.F.US.MGC.Z26)
+        this.app.get('/api/bars', (req, res) => {
+            res.json(this.connectionManager.getBarServiceStatus(req.query.instrument || null));
+        });
+        
         // SL/TP update endpoint
         this.app.post('/api/position/update-sltp', async (req, res) => {
             const { accountId, positionId, stopLoss, takeProfit } = req.body;
@@ -338,7 +415,7 @@ class ConnectionManagerApp {
                 // Make the actual API call to TopStep userapi
                 const axios = require('axios');
                 const response = await axios.post(
-                    'https://userapi.topstepx.com/Order/editStopLossAccount',
+                    `${this.config.urls.userApi}/Order/editStopLossAccount`,
                     {
                         accountId,
                         positionId,
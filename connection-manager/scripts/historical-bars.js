@@ -0,0 +1,125 @@
+/**
+ * Maintain the historical bar store (data/historical-bars/)
+ *
+ * Usage:
+ *   node connection-manager/scripts/historical-bars.js status
+ *   node connection-manager/scripts/historical-bars.js backfill --contract CON.F.US.MGC.Z26 --timeframe 5m --from 2026-09-01 [--to 2026-10-01]
+ *   node connection-manager/scripts/historical-bars.js verify --contract CON.F.US.MGC.Z26 --timeframe 5m [--from ...] [--to ...]
+ *
+ * backfill fetches only the ranges the store does not cover yet, with the
+ * Connection Manager's credentials (.env; API_PROFILE=fake uses the emulator).
+ * verify exits with code 1 when the range has holes or malformed bars.
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '..', '.env') });
+
+const AuthenticationModule = require('../../shared/modules/auth/authentication');
+const HistoricalBarStore = require('../../shared/modules/market-data/HistoricalBarStore');
+const HistoricalDataService = require('../services/HistoricalDataService');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const command = args[0];
+
+function getArg(name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+function getSeriesArgs() {
+    const contractId = getArg('--contract');
+    const timeframe = HistoricalBarStore.parseTimeframe(getArg('--timeframe') || '1m');
+    if (!contractId || !timeframe) {
+        console.error('Missing or invalid arguments: --contract <contractId> --timeframe <30s|1m|5m|1h>');
+        process.exit(1);
+    }
+    return { contractId, timeframe };
+}
+
+function storeConfig() {
+    return process.env.HISTORICAL_BAR_DIRECTORY ? { directory: process.env.HISTORICAL_BAR_DIRECTORY } : {};
+}
+
+function printVerification(result) {
+    console.log(`🔎 ${result.contractId} ${result.timeframe}: ${result.from} -> ${result.to}, ${result.bars} bars`);
+    for (const [from, to] of result.missing) {
+        console.log(`   ❌ Missing ${from} -> ${to}`);
+    }
+    for (const issue of result.issues) {
+        console.log(`   ⚠️ ${issue.type} at ${issue.t}`);
+    }
+    console.log(result.complete ? '   ✅ Complete' : '   ❌ Incomplete');
+}
+
+async function status() {
+    const series = await new HistoricalBarStore(storeConfig()).listSeries();
+    if (series.length === 0) {
+        console.log('📭 The historical bar store is empty');
+        return;
+    }
+
+    for (const entry of series) {
+        console.log(`📚 ${entry.contractId} ${entry.timeframe}: ${entry.bars} bars (${entry.firstBar} -> ${entry.lastBar})`);
+        for (const [from, to] of entry.coverage) {
+            console.log(`   ✅ ${new Date(from).toISOString()} -> ${new Date(to).toISOString()}`);
+        }
+    }
+}
+
+async function verify() {
+    const { contractId, timeframe } = getSeriesArgs();
+    const result = await new HistoricalBarStore(storeConfig()).verify(contractId, timeframe, {
+        from: getArg('--from'),
+        to: getArg('--to')
+    });
+
+    if (result.empty) {
+        console.log(`📭 No stored ${timeframe.name} bars for ${contractId}`);
+        process.exit(1);
+    }
+    printVerification(result);
+    process.exit(result.complete ? 0 : 1);
+}
+
+async function backfill() {
+    const { contractId, timeframe } = getSeriesArgs();
+    if (!getArg('--from')) {
+        console.error('Missing required argument: --from <date>');
+        process.exit(1);
+    }
+
+    const apiBaseUrl = process.env.API_PROFILE === 'fake' ?
+        (process.env.FAKE_API_URL || `http://localhost:${process.env.FAKE_API_PORT || 8888}`) :
+        'https://api.topstepx.com';
+    const authModule = new AuthenticationModule({ apiBaseUrl, instanceId: 'HISTORICAL_BARS', autoRefresh: false });
+    const service = new HistoricalDataService(authModule, null, { apiBaseUrl, barStore: storeConfig() });
+
+    try {
+        console.log(`📥 Backfilling ${contractId} ${timeframe.name} bars from ${getArg('--from')}${getArg('--to') ? ` to ${getArg('--to')}` : ''}`);
+        const result = await service.backfill(contractId, {
+            unit: timeframe.unit,
+            unitNumber: timeframe.unitNumber,
+            from: getArg('--from'),
+            to: getArg('--to')
+        });
+
+        console.log(`📦 Fetched ${result.barsFetched} bars in ${result.rangesFetched} missing range(s), ${service.stats.apiFetches} API request(s)`);
+        printVerification(result.verification);
+        process.exitCode = result.verification.complete ? 0 : 1;
+    } finally {
+        await service.shutdown();
+        authModule.cleanup();
+    }
+}
+
+const commands = { status, verify, backfill };
+
+if (!commands[command]) {
+    console.error('Usage: historical-bars.js <status|backfill|verify> [--contract <id>] [--timeframe 5m] [--from <date>] [--to <date>]');
+    process.exit(1);
+}
+
+commands[command]().catch(error => {
+    console.error(`❌ ${command} failed:`, error.message);
+    process.exit(1);
+});
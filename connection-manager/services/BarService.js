@@ -0,0 +1,165 @@
+/**
+ * Bar Service - Connection Manager
+ * Builds one set of bars from TRADE ticks for every component: strategies,
+ * the chart and anything else subscribing to market:bars
+ *
+ *   { type: 'BAR_CLOSED', payload: { instrument, timeframe, bar } }  - a completed bar
+ *   { type: 'BAR_UPDATE', payload: { instrument, timeframe, bar } }  - the bar in progress,
+ *                                                                     at most once per updateIntervalMs
+ *
+ * Bars are aligned to the instrument's exchange session (see SessionBarAggregator).
+ * The configured timeframes are built for every contract; bots add others
+ * (e.g. '500t', '1000v', '10r') for their instrument with SUBSCRIBE_BARS.
+ */
+
+const EventEmitter = require('events');
+const SessionBarAggregator = require('../../shared/modules/market-data/SessionBarAggregator');
+const instrumentRegistry = require('../../shared/modules/contracts/InstrumentRegistry');
+
+class BarService extends EventEmitter {
+    constructor(eventBroadcaster, config = {}) {
+        super();
+
+        this.eventBroadcaster = eventBroadcaster;
+
+        this.config = {
+            enabled: true,
+            timeframes: ['1m', '5m', '15m', '1h', '1d'],
+            updateIntervalMs: 1000,   // In-progress bar publishing and time bar closing
+            closeDelayMs: 500,        // Grace for trades arriving just after a bar ends
+            ...config
+        };
+
+        this.aggregator = new SessionBarAggregator({ timeframes: this.config.timeframes });
+
+        // Extra timeframes bots asked for, by symbol root ('MGC' -> Set('500t'))
+        this.subscriptions = new Map();
+
+        // Wall clock minus the latest trade time per contract - time bars close on
+        // the market's clock, so replayed sessions close bars like live ones
+        this.clockOffsets = new Map();
+        this.pendingUpdates = new Map();
+        this.timer = null;
+
+        this.stats = {
+            tradesProcessed: 0,
+            barsClosed: 0,
+            updatesPublished: 0
+        };
+
+        console.log(`📊 Bar Service initialized (${this.config.timeframes.join(', ')})`);
+    }
+
+    start() {
+        if (this.timer || !this.config.enabled) return;
+
+        this.timer = setInterval(() => {
+            this.closeElapsedBars();
+            this.publishUpdates();
+        }, this.config.updateIntervalMs);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Build additional timeframes for an instrument
+     * @returns {Array<string>} The timeframes now built for it
+     */
+    subscribe(instrument, timeframes = []) {
+        const accepted = timeframes.filter(timeframe => {
+            if (SessionBarAggregator.parseTimeframe(timeframe)) return true;
+            console.warn(`⚠️ Ignoring unsupported bar timeframe ${timeframe} for ${instrument}`);
+            return false;
+        });
+
+        const key = this.getSubscriptionKey(instrument);
+        if (!this.subscriptions.has(key)) this.subscriptions.set(key, new Set());
+        accepted.forEach(timeframe => this.subscriptions.get(key).add(timeframe));
+
+        return this.getTimeframes(instrument);
+    }
+
+    getTimeframes(instrument) {
+        const extra = this.subscriptions.get(this.getSubscriptionKey(instrument)) || [];
+        return Array.from(new Set([...this.config.timeframes, ...extra]));
+    }
+
+    /**
+     * One market:data message ({ instrument, type, data }) from the EventBroadcaster
+     */
+    onMarketData(message) {
+        const trade = this.config.enabled ? SessionBarAggregator.toTrade(message, message?.timestamp || Date.now()) : null;
+        if (!trade) return;
+
+        this.stats.tradesProcessed++;
+        this.clockOffsets.set(message.instrument, Date.now() - trade.timestamp);
+
+        const { completed, updated } = this.aggregator.processTrade(trade, this.getTimeframes(message.instrument));
+
+        completed.forEach(bar => this.publishBar(bar));
+        for (const bar of updated) {
+            this.pendingUpdates.set(this.aggregator.getKey(bar.symbol, bar.timeframe), bar);
+        }
+    }
+
+    /**
+     * Close time bars whose period has passed on each contract's market clock
+     */
+    closeElapsedBars(now = Date.now()) {
+        for (const [instrument, offset] of this.clockOffsets) {
+            const marketTime = now - offset - this.config.closeDelayMs;
+            this.aggregator.completeBefore(instrument, marketTime).forEach(bar => this.publishBar(bar));
+        }
+    }
+
+    publishUpdates() {
+        const updates = Array.from(this.pendingUpdates.values());
+        this.pendingUpdates.clear();
+
+        for (const bar of updates) {
+            // Completed since the update was queued
+            if (!this.aggregator.getCurrentBar(bar.symbol, bar.timeframe)) continue;
+
+            this.stats.updatesPublished++;
+            this.publish('BAR_UPDATE', bar);
+        }
+    }
+
+    publishBar(bar) {
+        this.pendingUpdates.delete(this.aggregator.getKey(bar.symbol, bar.timeframe));
+        this.stats.barsClosed++;
+        this.emit('bar', bar);
+        this.publish('BAR_CLOSED', bar);
+    }
+
+    publish(type, bar) {
+        if (!this.eventBroadcaster) return;
+
+        this.eventBroadcaster.publish(type, { instrument: bar.symbol, timeframe: bar.timeframe, bar })
+            .catch(error => console.error(`❌ Failed to publish ${type}:`, error.message));
+    }
+
+    getCurrentBars(instrument = null) {
+        return this.aggregator.getCurrentBars().filter(bar => !instrument || bar.symbol === instrument);
+    }
+
+    getSubscriptionKey(instrument) {
+        return instrumentRegistry.getSymbolRoot(instrument) || instrument;
+    }
+
+    getStatistics() {
+        return {
+            ...this.stats,
+            timeframes: this.config.timeframes,
+            subscriptions: Object.fromEntries(Array.from(this.subscriptions, ([key, timeframes]) => [key, Array.from(timeframes)])),
+            barsInProgress: this.aggregator.getCurrentBars().length
+        };
+    }
+}
+
+module.exports = BarService;
@@ -1,25 +1,39 @@
 // connection-manager/services/BotConnectionTracker.js
-// Simple tracker for the 6 fixed trading bots
+// Simple tracker for the trading bots defined in config/bots/
 
 class BotConnectionTracker {
-    constructor() {
-        // Fixed bot configuration - simple and direct
-        this.bots = {
-            BOT_1: { connected: false, lastSeen: null, account: null, instrument: null, strategy: null },
-            BOT_2: { connected: false, lastSeen: null, account: null, instrument: null, strategy: null },
-            BOT_3: { connected: false, lastSeen: null, account: null, instrument: null, strategy: null },
-            BOT_4: { connected: false, lastSeen: null, account: null, instrument: null, strategy: null },
-            BOT_5: { connected: false, lastSeen: null, account: null, instrument: null, strategy: null },
-            BOT_6: { connected: false, lastSeen: null, account: null, instrument: null, strategy: null }
-        };
+    constructor(botIds = []) {
+        this.bots = {};
+        botIds.forEach(botId => this.addBot(botId));
         
-        console.log('🤖 Bot Connection Tracker initialized for 6 fixed bots');
+        console.log(`🤖 Bot Connection Tracker initialized for ${botIds.length} bots`);
+    }
+    
+    // Bot created (or restored) in the fleet
+    addBot(botId) {
+        if (!this.bots[botId]) {
+            this.bots[botId] = { connected: false, lastSeen: null, account: null, instrument: null, strategy: null };
+        }
+        return true;
+    }
+    
+    // Bot archived or deleted from the fleet
+    removeBot(botId) {
+        if (!this.bots[botId]) {
+            return false;
+        }
+        delete this.bots[botId];
+        return true;
+    }
+    
+    hasBot(botId) {
+        return !!this.bots[botId];
     }
     
     // Bot connects with its configuration
     connectBot(botId, config = {}) {
         if (!this.bots[botId]) {
-            console.log(`❌ Unknown bot ID: ${botId}. Valid IDs: BOT_1 through BOT_6`);
+            console.log(`❌ Unknown bot ID: ${botId}. Valid IDs: ${Object.keys(this.bots).join(', ') || 'none'}`);
             return false;
         }
         
@@ -94,7 +108,7 @@ class BotConnectionTracker {
     // Get summary for logging
     getSummary() {
         const connected = this.getConnectedCount();
-        return `${connected}/6 bots connected`;
+        return `${connected}/${Object.keys(this.bots).length} bots connected`;
     }
 }
 
@@ -1,24 +1,43 @@
-// connection-manager/services/FixedBotRegistry.js
-// Simplified registry for 6 fixed bots - wraps the simple bot tracker
-// to work with existing ConnectionManager code
+// connection-manager/services/BotRegistry.js
+// Registry of the bot fleet (config/bots/*.yaml) - wraps the simple bot
+// tracker to work with existing ConnectionManager code. The control panel
+// adds and removes bots at runtime through BOT_FLEET_UPDATE messages.
 
 const BotConnectionTracker = require('./BotConnectionTracker');
 
-class FixedBotRegistry {
-    constructor() {
-        this.botTracker = new BotConnectionTracker();
-        console.log('📋 Fixed Bot Registry initialized for BOT_1 through BOT_6');
+class BotRegistry {
+    constructor(botIds = []) {
+        this.botTracker = new BotConnectionTracker(botIds);
+        console.log(`📋 Bot Registry initialized: ${botIds.join(', ') || 'no bots'}`);
     }
     
-    // Validate that it's one of our 6 fixed bots
+    addBot(botId) {
+        this.botTracker.addBot(botId);
+        console.log(`📋 ${botId} added to the bot registry`);
+    }
+    
+    removeBot(botId) {
+        const status = this.botTracker.getBotStatus(botId);
+        if (status && status.connected) {
+            console.log(`⚠️  ${botId} removed from the fleet while connected`);
+        }
+        this.botTracker.removeBot(botId);
+        console.log(`📋 ${botId} removed from the bot registry`);
+    }
+    
+    getBotIds() {
+        return Object.keys(this.botTracker.getAllBotStatuses());
+    }
+    
+    // Validate that it's one of the fleet's bots
     validateRegistration(registration) {
         const { instanceId, account, instrument, strategy } = registration;
         
         // Check if it's a valid bot ID
-        if (!['BOT_1', 'BOT_2', 'BOT_3', 'BOT_4', 'BOT_5', 'BOT_6'].includes(instanceId)) {
+        if (!this.botTracker.hasBot(instanceId)) {
             return {
                 valid: false,
-                reason: `Invalid bot ID: ${instanceId}. Must be BOT_1 through BOT_6`
+                reason: `Unknown bot ID: ${instanceId}. Create it from the control panel first`
             };
         }
         
@@ -42,7 +61,7 @@ class FixedBotRegistry {
         return { valid: true };
     }
     
-    // Register one of the 6 fixed bots
+    // Register one of the fleet's bots
     registerInstance(registration) {
         const { instanceId, account, instrument, strategy } = registration;
         
@@ -105,4 +124,4 @@ class FixedBotRegistry {
     }
 }
 
-module.exports = FixedBotRegistry;
\ No newline at end of file
+module.exports = BotRegistry;
\ No newline at end of file
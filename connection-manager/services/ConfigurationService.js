@@ -38,7 +38,6 @@ class ConfigurationService extends EventEmitter {
         
         console.log('⚙️  Configuration Service initialized');
         console.log(`   Config path: ${this.config.configPath}`);
-        console.log(`   Fixed bot configurations: BOT_1 through BOT_6`);
     }
     
     async initialize() {
@@ -0,0 +1,170 @@
+// connection-manager/services/ContractRolloverService.js
+// Contract Rollover Service - moves traded products to the next contract month
+// Roll dates come from the instrument registry (TopStep expiry minus the product's
+// rolloverDaysBefore from config/instruments.yaml)
+
+const EventEmitter = require('events');
+const instrumentRegistry = require('../../shared/modules/contracts/InstrumentRegistry');
+
+const POSITION_POLICIES = ['none', 'flatten', 'roll'];
+
+class ContractRolloverService extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            checkIntervalMs: 60 * 60 * 1000,  // 1 hour
+            warningDays: 3,                   // Warn this many days before the roll date
+            positionPolicy: 'none',           // none | flatten | roll open positions on the expiring contract
+            ...config
+        };
+
+        if (!POSITION_POLICIES.includes(this.config.positionPolicy)) {
+            throw new Error(`Invalid rollover position policy: ${this.config.positionPolicy}`);
+        }
+
+        // Root symbol -> { contractId, warned, rolledFrom, rolledAt }
+        this.trackedContracts = new Map();
+        this.rolloverHistory = [];
+
+        this.isRunning = false;
+        this.checkTimer = null;
+
+        console.log('📅 Contract Rollover Service initialized');
+        console.log(`   Warning: ${this.config.warningDays} days before roll | Position policy: ${this.config.positionPolicy.toUpperCase()}`);
+    }
+
+    start() {
+        if (this.isRunning) {
+            console.log('⚠️  Contract Rollover Service already running');
+            return;
+        }
+
+        this.isRunning = true;
+        this.scheduleCheck(0);
+
+        console.log('▶️  Contract Rollover Service started');
+    }
+
+    stop() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.isRunning = false;
+
+        if (this.checkTimer) {
+            clearTimeout(this.checkTimer);
+            this.checkTimer = null;
+        }
+
+        console.log('⏹️  Contract Rollover Service stopped');
+    }
+
+    scheduleCheck(delayMs = this.config.checkIntervalMs) {
+        if (!this.isRunning) return;
+
+        this.checkTimer = setTimeout(async () => {
+            try {
+                await this.check();
+            } catch (error) {
+                console.error('❌ Contract rollover check failed:', error);
+            } finally {
+                this.scheduleCheck();
+            }
+        }, delayMs);
+    }
+
+    /**
+     * Track the contract currently traded for a product (one per root symbol)
+     */
+    track(contractId) {
+        const symbol = instrumentRegistry.getSymbolRoot(contractId);
+        if (!instrumentRegistry.getContractMonth(contractId)) {
+            return;
+        }
+
+        const current = this.trackedContracts.get(symbol);
+        if (current && current.contractId === contractId) {
+            return;
+        }
+
+        // TopStep can list several months - track the one that is active now
+        if (current && contractId !== instrumentRegistry.getActiveContract(symbol)) {
+            return;
+        }
+
+        this.trackedContracts.set(symbol, { contractId, warned: false });
+    }
+
+    /**
+     * Evaluate every tracked contract, emitting rolloverWarning once per contract
+     * and rollover when the roll date is reached
+     * @returns {Array} Roll info per tracked contract
+     */
+    async check(currentDate = new Date()) {
+        const results = [];
+
+        for (const [symbol, tracked] of this.trackedContracts) {
+            const info = instrumentRegistry.getRollInfo(tracked.contractId, currentDate, this.config.warningDays);
+            results.push(info);
+
+            if (info.phase === 'WARNING' && !tracked.warned) {
+                tracked.warned = true;
+                console.warn(`⚠️  ${symbol} rolls from ${info.contractId} to ${info.nextContractId} in ${info.daysToRoll.toFixed(1)} days (${info.rollDate.toISOString().slice(0, 10)})`);
+                this.emit('rolloverWarning', { ...info, positionPolicy: this.config.positionPolicy });
+            } else if (info.phase === 'ROLL') {
+                await this.roll(symbol, info);
+            }
+        }
+
+        return results;
+    }
+
+    async roll(symbol, info) {
+        console.log(`🔄 Rolling ${symbol}: ${info.contractId} -> ${info.nextContractId}`);
+
+        this.trackedContracts.set(symbol, {
+            contractId: info.nextContractId,
+            warned: false,
+            rolledFrom: info.contractId,
+            rolledAt: new Date()
+        });
+
+        const event = {
+            ...info,
+            positionPolicy: this.config.positionPolicy,
+            timestamp: Date.now()
+        };
+
+        this.rolloverHistory.push(event);
+        if (this.rolloverHistory.length > 100) {
+            this.rolloverHistory.shift();
+        }
+
+        this.emit('rollover', event);
+    }
+
+    /**
+     * Whether new entries on a contract must be refused (past its roll date)
+     */
+    isEntryBlocked(contractId, currentDate = new Date()) {
+        if (!instrumentRegistry.getContractMonth(contractId)) {
+            return false;
+        }
+
+        return instrumentRegistry.getRollInfo(contractId, currentDate, this.config.warningDays).phase === 'ROLL';
+    }
+
+    getStatus(currentDate = new Date()) {
+        return {
+            isRunning: this.isRunning,
+            positionPolicy: this.config.positionPolicy,
+            contracts: Array.from(this.trackedContracts.values()).map(tracked =>
+                instrumentRegistry.getRollInfo(tracked.contractId, currentDate, this.config.warningDays)),
+            history: this.rolloverHistory.slice(-10)
+        };
+    }
+}
+
+module.exports = ContractRolloverService;
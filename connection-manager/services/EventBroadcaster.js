@@ -4,11 +4,22 @@
 const EventEmitter = require('events');
 const redis = require('redis');
 const HeartbeatLogger = require('./HeartbeatLogger');
+const MessageValidator = require('../../shared/modules/messaging/MessageValidator');
+const { StreamTransport, STREAMS } = require('../../shared/modules/messaging/StreamTransport');
+
+// Order commands read from the aggregator's stream, and the events sent back on ours
+const ORDER_COMMAND_TYPES = ['PLACE_ORDER', 'CANCEL_ORDER', 'MODIFY_ORDER'];
+const ORDER_EVENT_TYPES = [
+    'ORDER_RESPONSE', 'ORDER_STATUS_UPDATE', 'ORDER_CANCELLATION_RESPONSE',
+    'ORDER_MODIFICATION_RESPONSE', 'ORDER_FILLED', 'POSITION_UPDATE'
+];
 
 class EventBroadcaster extends EventEmitter {
     constructor(redisConfig = {}) {
         super();
         
+        const { messageValidation, orderTransport, ...clientConfig } = redisConfig;
+        
         this.config = {
             host: redisConfig.host || 'localhost',
             port: redisConfig.port || 6379,
@@ -39,7 +50,7 @@ class EventBroadcaster extends EventEmitter {
                 }
                 return false;
             },
-            ...redisConfig
+            ...clientConfig
         };
         
         this.publisher = null;
@@ -49,6 +60,8 @@ class EventBroadcaster extends EventEmitter {
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 10;
         this.reconnectDelay = 1000; // Start with 1 second
+        this.reconnectTimer = null;
+        this.isShuttingDown = false;
         
         // Initialize heartbeat logger
         this.heartbeat = new HeartbeatLogger('EventBroadcaster', 30000);
@@ -58,6 +71,7 @@ class EventBroadcaster extends EventEmitter {
         this.channels = {
             connectionStatus: 'connection:status',
             marketData: 'market:data',
+            marketBars: 'market:bars',
             instanceControl: 'instance:control',
             orderManagement: 'order:management',
             systemEvents: 'system:events',
@@ -70,6 +84,18 @@ class EventBroadcaster extends EventEmitter {
             sltpResponse: 'sltp-response'
         };
         
+        // Shared message schemas - invalid messages go to the dead-letter channel instead
+        this.messageValidator = new MessageValidator({
+            service: 'CONNECTION_MANAGER',
+            ...messageValidation,
+            publish: (channel, message) => this.publisher.publish(channel, message)
+        });
+        
+        // Orders, fills and positions to and from the aggregator over Redis Streams - streams: false keeps them on pub/sub only
+        this.orderTransportConfig = { streams: true, ...orderTransport };
+        this.orderStream = null;
+        this.orderStreamStarted = false;
+        
         console.log('📢 Event Broadcaster initialized');
         
         // Add default error handler to prevent unhandled error crashes
@@ -123,11 +149,13 @@ class EventBroadcaster extends EventEmitter {
             // Setup end handlers
             this.publisher.on('end', () => {
                 console.log('⚠️ Redis publisher connection ended');
+                if (this.isShuttingDown) return;
                 this.handleDisconnection('publisher');
             });
             
             this.subscriber.on('end', () => {
                 console.log('⚠️ Redis subscriber connection ended');
+                if (this.isShuttingDown) return;
                 this.handleDisconnection('subscriber');
             });
             
@@ -144,6 +172,15 @@ class EventBroadcaster extends EventEmitter {
             // Setup Redis subscriptions
             await this.subscribeAll();
             
+            if (this.orderTransportConfig.streams) {
+                this.createOrderStream();
+                
+                // Back after a reconnect - pick up where the stream was left
+                if (this.orderStreamStarted) {
+                    await this.consumeOrderStream();
+                }
+            }
+            
             // Setup Redis health check ping
             this.setupHealthCheck();
             
@@ -217,6 +254,10 @@ class EventBroadcaster extends EventEmitter {
                 } else {
                     throw new Error(`Unexpected message type: ${typeof message}`);
                 }
+                
+                if (!this.messageValidator.accept(channel, data)) {
+                    return;
+                }
                 handler(data);
             } catch (error) {
                 console.error(`Error parsing message from ${channel}:`, error);
@@ -243,6 +284,40 @@ class EventBroadcaster extends EventEmitter {
         }
     }
     
+    // Start taking order commands from the aggregator's stream, once everything that handles them is in place
+    async startOrderStream() {
+        if (!this.orderTransportConfig.streams || this.orderStreamStarted) return;
+        
+        this.orderStreamStarted = true;
+        await this.consumeOrderStream();
+    }
+    
+    createOrderStream() {
+        const { streams, maxOrderAgeMs, ...streamConfig } = this.orderTransportConfig;
+        this.orderStream = new StreamTransport(this.publisher, {
+            ...streamConfig,
+            service: 'CONNECTION_MANAGER',
+            group: 'connection-manager',
+            validator: this.messageValidator
+        });
+        this.orderStream.on('expired', ({ message }) => {
+            console.warn(`⏰ ${message.type} for order ${message.payload?.orderId} expired on ${STREAMS.orderManagement} - not sent to the broker`);
+        });
+    }
+    
+    // Order commands from the aggregator's stream - acknowledged once the Connection Manager handled them
+    async consumeOrderStream() {
+        await this.orderStream.consume(STREAMS.orderManagement, async (data) => {
+            if (!ORDER_COMMAND_TYPES.includes(data.type)) {
+                console.log(`Unknown order stream message type: ${data.type}`);
+                return;
+            }
+            await Promise.all(this.listeners(data.type).map(listener => listener(data.payload)));
+        }, { maxAgeMs: this.orderTransportConfig.maxOrderAgeMs });
+        
+        console.log(`✅ Consuming order commands from ${STREAMS.orderManagement}`);
+    }
+    
     handleAccountRequest(data) {
         // Emit the account request for the connection manager to handle
         console.log(`[AccountRequest] Received account request:`, data);
@@ -282,6 +357,12 @@ class EventBroadcaster extends EventEmitter {
             case 'REGISTER_ACCOUNT':
                 this.emit('REGISTER_ACCOUNT', payload);
                 break;
+            case 'BOT_FLEET_UPDATE':
+                this.emit('BOT_FLEET_UPDATE', payload);
+                break;
+            case 'BOT_POSITION_STATE':
+                this.emit('BOT_POSITION_STATE', payload);
+                break;
             default:
                 // Ignore response messages that we send out
                 const responseTypes = [
@@ -313,6 +394,7 @@ class EventBroadcaster extends EventEmitter {
                 // Don't emit locally, this is for external subscribers
                 break;
             case 'ORDER_CANCELLATION_RESPONSE':
+            case 'ORDER_MODIFICATION_RESPONSE':
                 // Don't emit locally, this is for external subscribers
                 break;
             case 'ORDER_STATUS_UPDATE':
@@ -400,7 +482,8 @@ class EventBroadcaster extends EventEmitter {
                 if (!['ACCOUNTS_RESPONSE', 'ACCOUNT_RESPONSE', 'REGISTRATION_RESPONSE', 'CONFIG_RESPONSE', 
                      'PAUSE_TRADING', 'RESUME_TRADING', 'SHUTDOWN', 'CONNECTION_STATUS', 
                      'RECONCILIATION_REQUIRED', 'HISTORICAL_DATA_RESPONSE', 'position-response', 
-                     'BRACKET_ORDER_COMPLETE', 'MARKET_DATA', 'SLTP_RESPONSE', 'market:data'].includes(type)) {
+                     'BRACKET_ORDER_COMPLETE', 'MARKET_DATA', 'SLTP_RESPONSE', 'market:data',
+                     'CONTRACT_ROLLOVER', 'CONTRACT_ROLLOVER_WARNING', 'CONTRACT_ROLLOVER_FAILED'].includes(type)) {
                     console.log(`Unknown system event type: ${type}`);
                 }
         }
@@ -429,6 +512,7 @@ class EventBroadcaster extends EventEmitter {
                         break;
                     case 'ORDER_RESPONSE':
                     case 'ORDER_CANCELLATION_RESPONSE':
+                    case 'ORDER_MODIFICATION_RESPONSE':
                     case 'ORDER_STATUS_UPDATE':
                         channel = this.channels.orderManagement;
                         break;
@@ -441,6 +525,10 @@ class EventBroadcaster extends EventEmitter {
                     case 'HISTORICAL_DATA_RESPONSE':
                         channel = this.channels.historicalData;
                         break;
+                    case 'BAR_CLOSED':
+                    case 'BAR_UPDATE':
+                        channel = this.channels.marketBars;
+                        break;
                     default:
                         if (eventType === 'position-response') {
                             channel = this.channels.positionResponse;
@@ -458,11 +546,15 @@ class EventBroadcaster extends EventEmitter {
                     channel = this.channels.systemEvents;
             }
             
-            const messageObject = {
+            const { message: messageObject, errors } = this.messageValidator.prepare(channel, {
                 type: eventType,
                 payload: data,
                 timestamp: Date.now()
-            };
+            });
+            if (!messageObject) {
+                console.error(`❌ Invalid ${eventType} not published to ${channel} - sent to dead letters: ${errors.join('; ')}`);
+                return false;
+            }
             const message = JSON.stringify(messageObject);
             
             // Log important events to heartbeat
@@ -479,6 +571,11 @@ class EventBroadcaster extends EventEmitter {
             
             await this.publisher.publish(channel, message);
             
+            // The aggregator reads order events, fills and broker positions from its stream; pub/sub is for observers
+            if (this.orderStream && ORDER_EVENT_TYPES.includes(eventType) && !data.rebroadcast) {
+                await this.orderStream.publish(STREAMS.orderEvents, messageObject);
+            }
+            
             // Track publish metrics in heartbeat
             this.heartbeat.logEvent('PUBLISH', channel, { eventType, messageSize: message.length });
             
@@ -490,10 +587,32 @@ class EventBroadcaster extends EventEmitter {
         }
     }
     
+    // Publish an already-shaped message (request/response channels) without the type/payload envelope
+    async publishRaw(channel, data) {
+        const { message, errors } = this.messageValidator.prepare(channel, data);
+        if (!message) {
+            console.error(`❌ Invalid ${data.type || 'message'} not published to ${channel} - sent to dead letters: ${errors.join('; ')}`);
+            return false;
+        }
+        
+        await this.publisher.publish(channel, JSON.stringify(message));
+        return true;
+    }
+    
+    getValidationStats() {
+        return this.messageValidator.getStats();
+    }
+    
+    getOrderTransportStats() {
+        return this.orderStream ? this.orderStream.getStats() : null;
+    }
+    
     // Handle disconnection and attempt reconnection
     handleDisconnection(clientType) {
         console.log(`🔌 Handling ${clientType} disconnection...`);
         
+        if (this.isShuttingDown) return;
+        
         if (this.isReconnecting) {
             console.log('🔄 Already attempting to reconnect...');
             return;
@@ -524,7 +643,8 @@ class EventBroadcaster extends EventEmitter {
         
         console.log(`🔄 Reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${backoffDelay}ms...`);
         
-        setTimeout(async () => {
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
             try {
                 // Disconnect existing clients cleanly
                 await this.disconnect();
@@ -560,6 +680,12 @@ class EventBroadcaster extends EventEmitter {
                 this.healthCheckInterval = null;
             }
             
+            // Unacknowledged order commands stay pending on the stream for the next connect
+            if (this.orderStream) {
+                await this.orderStream.stop();
+                this.orderStream = null;
+            }
+            
             if (this.publisher) {
                 try {
                     await this.publisher.quit();
@@ -585,6 +711,19 @@ class EventBroadcaster extends EventEmitter {
             console.error('❌ Error during disconnect:', error);
         }
     }
+    
+    // Final disconnect - no reconnection attempts and no timers left behind
+    async shutdown() {
+        this.isShuttingDown = true;
+        
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        
+        await this.disconnect();
+        this.heartbeat.stop();
+    }
 }
 
 module.exports = EventBroadcaster;
\ No newline at end of file
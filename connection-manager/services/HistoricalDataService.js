@@ -6,6 +6,8 @@
 
 const axios = require('axios');
 const EventEmitter = require('events');
+const HistoricalBarStore = require('../../shared/modules/market-data/HistoricalBarStore');
+const { RpcServer } = require('../../shared/modules/messaging/RedisRpc');
 
 class HistoricalDataService extends EventEmitter {
     constructor(authModule, eventBroadcaster, config = {}) {
@@ -36,23 +38,41 @@ class HistoricalDataService extends EventEmitter {
             cacheDuration: 300000, // 5 minutes cache
             maxConcurrentRequests: 5,
             requestTimeout: 30000, // 30 seconds timeout per request
+            maxBarsPerRequest: 20000, // History/retrieveBars limit
+            // Bars younger than this may still be revised by the API and are not marked as stored
+            barSettleMs: 5000,
+            barStore: {},             // { enabled, directory } - see HistoricalBarStore
             ...config
         };
         
         // Cache for recent requests
         this.cache = new Map();
         
+        // Durable bars per contract and timeframe; only ranges it does not cover go to the API
+        this.barStore = this.config.barStore.enabled === false ? null :
+            new HistoricalBarStore(this.config.barStore.directory ? { directory: this.config.barStore.directory } : {});
+        this.seriesLocks = new Map();
+        
         // Request queue management
         this.activeRequests = new Set();
         this.requestQueue = [];
         
+        // Answers each request once - in chunks when the caller asked for a stream - and not at all once cancelled
+        this.rpc = new RpcServer({
+            service: 'HISTORICAL_DATA',
+            publish: (response) => this.eventBroadcaster.publish('HISTORICAL_DATA_RESPONSE', response)
+        });
+        
         // Statistics
         this.stats = {
             requestsReceived: 0,
             requestsProcessed: 0,
             requestsFailed: 0,
             cacheHits: 0,
-            cacheMisses: 0
+            cacheMisses: 0,
+            storeHits: 0,
+            apiFetches: 0,
+            barsFetched: 0
         };
         
         console.log(`📚 Historical Data Service initialized`);
@@ -71,12 +91,13 @@ class HistoricalDataService extends EventEmitter {
     async handleHistoricalDataRequest(data) {
         console.log(`🔍 Raw historical data request received:`, data);
         
-        const { requestId, instanceId, contractId, instrument, ...params } = data;
+        const { requestId, instanceId, contractId, instrument, streamChunkSize, ...params } = data;
         
         // Use instrument if contractId is not provided
         const finalContractId = contractId || instrument;
         
         this.stats.requestsReceived++;
+        this.rpc.accept('REQUEST_HISTORICAL_DATA', { requestId, streamChunkSize });
         
         console.log(`📊 Received historical data request ${requestId} from ${instanceId}`);
         console.log(`📈 Contract: ${finalContractId}, Unit: ${this.getUnitName(params.unit || 2)}`);
@@ -141,6 +162,11 @@ class HistoricalDataService extends EventEmitter {
         
         const { requestId, instanceId, contractId, params } = request;
         
+        // Cancelled by the caller while it waited
+        if (!this.rpc.isActive(requestId)) {
+            return;
+        }
+        
         this.activeRequests.add(requestId);
         
         // Add timeout handling
@@ -157,8 +183,8 @@ class HistoricalDataService extends EventEmitter {
         }, this.config.requestTimeout);
         
         try {
-            // Fetch data from TopStep API
-            const bars = await this.fetchHistoricalDataFromAPI(contractId, params);
+            // Stored bars first; the API only for ranges the store does not cover
+            const { bars, source } = await this.getBars(contractId, params);
             
             // Clear timeout since we succeeded
             clearTimeout(timeoutId);
@@ -175,7 +201,7 @@ class HistoricalDataService extends EventEmitter {
                 success: true,
                 data: bars, // Use 'data' instead of 'bars' for consistency
                 bars, // Keep both for backward compatibility
-                source: 'api'
+                source
             });
             
             this.stats.requestsProcessed++;
@@ -198,6 +224,155 @@ class HistoricalDataService extends EventEmitter {
         }
     }
     
+    /**
+     * Bars for a request, served from the bar store where it covers the range.
+     * Missing segments are fetched, stored and merged; requests the store cannot
+     * answer (no start time, daily and longer bars, partial bars) go to the API.
+     * @returns {Promise<Object>} { bars, source: 'store' | 'api' }
+     */
+    async getBars(contractId, params) {
+        const timeframe = HistoricalBarStore.getTimeframe(params.unit || 2, params.unitNumber || 1);
+        if (!this.barStore || !timeframe || !params.startTime || params.includePartialBar) {
+            const bars = await this.fetchHistoricalDataFromAPI(contractId, params);
+            this.recordApiFetch(bars);
+            return { bars, source: 'api' };
+        }
+
+        const { spanMs } = timeframe;
+        const now = Date.now();
+        const end = Math.min(params.endTime ? new Date(params.endTime).getTime() : now, now);
+        // Bar starts the API would return: the bar holding startTime up to the one holding
+        // endTime, without the bar still in progress
+        const from = Math.floor(new Date(params.startTime).getTime() / spanMs) * spanMs;
+        const to = Math.min(Math.floor(end / spanMs) * spanMs + spanMs, Math.floor(now / spanMs) * spanMs);
+
+        return this.withSeriesLock(`${contractId}|${timeframe.name}`, async () => {
+            const missing = from < to ? await this.barStore.getMissingRanges(contractId, timeframe, from, to) : [];
+            const fetched = [];
+
+            for (const [start, stop] of missing) {
+                fetched.push(...await this.backfillRange(contractId, timeframe, start, stop));
+            }
+
+            // Bars still settling were fetched but not stored
+            const stored = await this.barStore.getBars(contractId, timeframe, from, to);
+            const storedTimes = new Set(stored.map(bar => HistoricalBarStore.barTime(bar)));
+            const bars = stored
+                .concat(fetched.filter(bar => !storedTimes.has(HistoricalBarStore.barTime(bar))))
+                .sort((a, b) => HistoricalBarStore.barTime(a) - HistoricalBarStore.barTime(b))
+                .slice(-(params.limit || this.config.defaultLimit));
+
+            if (missing.length === 0) {
+                this.stats.storeHits++;
+                console.log(`💾 Served ${bars.length} ${timeframe.name} bars for ${contractId} from the bar store`);
+            }
+
+            return { bars, source: missing.length === 0 ? 'store' : 'api' };
+        });
+    }
+
+    /**
+     * Fetch [from, to) of a timeframe from the API into the bar store. The API
+     * returns the newest bars first, so a response that hits the limit is
+     * followed by another request for the older part.
+     * @returns {Promise<Array<Object>>} Every bar fetched, including unsettled ones
+     */
+    async backfillRange(contractId, timeframe, from, to) {
+        const { spanMs } = timeframe;
+        const settledTo = Math.min(to, Math.floor((Date.now() - this.config.barSettleMs) / spanMs) * spanMs);
+        const fetched = [];
+        let end = to;
+
+        while (end > from) {
+            const response = await this.fetchHistoricalDataFromAPI(contractId, {
+                unit: timeframe.unit,
+                unitNumber: timeframe.unitNumber,
+                startTime: from,
+                endTime: end - 1,
+                limit: this.config.maxBarsPerRequest,
+                includePartialBar: false
+            });
+            this.recordApiFetch(response);
+
+            const bars = response.filter(bar => {
+                const time = HistoricalBarStore.barTime(bar);
+                return time >= from && time < end;
+            });
+            fetched.push(...bars);
+
+            const truncated = response.length >= this.config.maxBarsPerRequest && bars.length > 0;
+            const coveredFrom = truncated ? HistoricalBarStore.barTime(bars[0]) : from;
+            const coveredTo = Math.min(end, settledTo);
+
+            await this.barStore.merge(
+                contractId,
+                timeframe,
+                bars.filter(bar => HistoricalBarStore.barTime(bar) < coveredTo),
+                coveredFrom,
+                coveredTo
+            );
+
+            if (!truncated) break;
+            end = coveredFrom;
+        }
+
+        console.log(`💾 Stored ${timeframe.name} bars for ${contractId} from ${new Date(from).toISOString()} to ${new Date(to).toISOString()}`);
+        return fetched;
+    }
+
+    /**
+     * Fill the bar store for a range and report what is still missing - used by
+     * the historical-bars maintenance command
+     * @param {Object} options - { unit, unitNumber, from, to }
+     */
+    async backfill(contractId, options) {
+        const timeframe = HistoricalBarStore.getTimeframe(options.unit || 2, options.unitNumber || 1);
+        if (!this.barStore || !timeframe) {
+            throw new Error('Backfill needs the bar store and a second, minute or hour timeframe');
+        }
+
+        const now = Date.now();
+        const from = Math.floor(new Date(options.from).getTime() / timeframe.spanMs) * timeframe.spanMs;
+        const to = Math.min(
+            Math.floor(new Date(options.to || now).getTime() / timeframe.spanMs) * timeframe.spanMs,
+            Math.floor((now - this.config.barSettleMs) / timeframe.spanMs) * timeframe.spanMs
+        );
+        if (isNaN(from) || isNaN(to)) throw new Error('Backfill needs a valid from/to range');
+
+        return this.withSeriesLock(`${contractId}|${timeframe.name}`, async () => {
+            const missing = from < to ? await this.barStore.getMissingRanges(contractId, timeframe, from, to) : [];
+            let barsFetched = 0;
+
+            for (const [start, stop] of missing) {
+                barsFetched += (await this.backfillRange(contractId, timeframe, start, stop)).length;
+            }
+
+            return {
+                rangesFetched: missing.length,
+                barsFetched,
+                verification: await this.barStore.verify(contractId, timeframe, { from, to })
+            };
+        });
+    }
+
+    // One fetch-and-merge per series at a time, so concurrent bot requests share the result
+    async withSeriesLock(key, task) {
+        const previous = this.seriesLocks.get(key) || Promise.resolve();
+        const current = previous.catch(() => {}).then(task);
+        this.seriesLocks.set(key, current);
+
+        try {
+            return await current;
+        } finally {
+            if (this.seriesLocks.get(key) === current) this.seriesLocks.delete(key);
+        }
+    }
+
+    recordApiFetch(bars) {
+        this.stats.apiFetches++;
+        this.stats.barsFetched += bars.length;
+    }
+    
     /**
      * Fetch historical data from TopStep API
      */
@@ -276,25 +451,42 @@ class HistoricalDataService extends EventEmitter {
     }
     
     /**
-     * Send historical data response to requesting bot
+     * Send historical data response to requesting bot - the bars in chunks if it asked for a stream
      */
     async sendHistoricalDataResponse(instanceId, requestId, response) {
         try {
             // Publish to the channel that ConnectionClient is subscribed to
-            await this.eventBroadcaster.publish('HISTORICAL_DATA_RESPONSE', {
+            const sent = await this.rpc.respond(requestId, {
                 instanceId,
                 requestId,
                 timestamp: Date.now(),
                 ...response
-            });
+            }, ['data', 'bars']);
             
-            console.log(`📤 Sent historical data response for request ${requestId} to ${instanceId}`);
+            if (sent) {
+                console.log(`📤 Sent historical data response for request ${requestId} to ${instanceId}`);
+            } else {
+                console.log(`🚫 Dropped historical data response for request ${requestId} - cancelled or already answered`);
+            }
             
         } catch (error) {
             console.error(`❌ Failed to send historical data response:`, error);
         }
     }
     
+    /**
+     * Stop working on a request whose caller gave up
+     */
+    cancelRequest(requestId) {
+        this.requestQueue = this.requestQueue.filter(request => request.requestId !== requestId);
+        
+        if (this.rpc.cancel(requestId)) {
+            console.log(`🚫 Cancelled historical data request ${requestId}`);
+            return true;
+        }
+        return false;
+    }
+    
     /**
      * Get unit name from unit code
      */
@@ -364,6 +556,8 @@ class HistoricalDataService extends EventEmitter {
             cacheSize: this.cache.size,
             activeRequests: this.activeRequests.size,
             queueLength: this.requestQueue.length,
+            barStore: this.barStore ? this.barStore.config.directory : null,
+            rpc: this.rpc.getMetrics(),
             cacheHitRate: this.stats.cacheHits / (this.stats.cacheHits + this.stats.cacheMisses) || 0
         };
     }
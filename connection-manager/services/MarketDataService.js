@@ -62,6 +62,7 @@ class MarketDataService extends EventEmitter {
         // Status check interval
         this.statusInterval = null;
         this.lastStatusTime = Date.now();
+        this.waitingForDataInterval = null;
     }
     
     async initialize() {
@@ -120,7 +121,8 @@ class MarketDataService extends EventEmitter {
             console.log('✅ Connected to market data hub');
             
             // Start a simple heartbeat to show we're waiting for data
-            setInterval(() => {
+            clearInterval(this.waitingForDataInterval);
+            this.waitingForDataInterval = setInterval(() => {
                 const now = Date.now();
                 const timeSinceLastData = this.metrics.lastDataTime ? now - this.metrics.lastDataTime : 'Never';
                 const quotes = this.metrics.quotesReceived;
@@ -244,6 +246,13 @@ class MarketDataService extends EventEmitter {
                 state: this.userConnection.state,
                 connectionId: this.userConnection.connectionId
             });
+
+            // Account subscriptions do not survive the reconnect
+            for (const accountId of this.activeAccounts) {
+                this.subscribeToAccountEvents(accountId).catch(err => {
+                    console.error('❌ Re-subscription failed:', err);
+                });
+            }
         });
         
         // COMPREHENSIVE EVENT LOGGING - Log ALL events from user hub
@@ -364,88 +373,7 @@ class MarketDataService extends EventEmitter {
         });
         
         // TopStep Gateway Events (as documented in API reference)
-        this.userConnection.on('GatewayUserAccount', (data) => {
-            console.log(`💼 [USER HUB] GatewayUserAccount event received:`, {
-                data: JSON.stringify(data, null, 2),
-                timestamp: new Date().toISOString()
-            });
-            // Handle account updates
-            if (data && data.id) {
-                this.eventBroadcaster.publish('ACCOUNT_UPDATE', {
-                    accountId: data.id,
-                    balance: data.balance,
-                    canTrade: data.canTrade,
-                    name: data.name,
-                    timestamp: new Date().toISOString()
-                });
-            }
-        });
-        
-        this.userConnection.on('GatewayUserPosition', (data) => {
-            console.log(`📊 [USER HUB] GatewayUserPosition event received:`, {
-                data: JSON.stringify(data, null, 2),
-                timestamp: new Date().toISOString()
-            });
-            // Handle position updates
-            if (data && data.accountId) {
-                this.handlePositionUpdate(data.accountId, data);
-                this.eventBroadcaster.publish('POSITION_UPDATE', {
-                    accountId: data.accountId,
-                    positionId: data.id,
-                    contractId: data.contractId,
-                    type: data.type === 1 ? 'LONG' : 'SHORT',
-                    size: data.size,
-                    averagePrice: data.averagePrice,
-                    timestamp: new Date().toISOString()
-                });
-            }
-        });
-        
-        this.userConnection.on('GatewayUserOrder', (data) => {
-            console.log(`📋 [USER HUB] GatewayUserOrder event received:`, {
-                data: JSON.stringify(data, null, 2),
-                timestamp: new Date().toISOString()
-            });
-            // Handle order updates
-            if (data && data.accountId) {
-                this.handleOrderUpdate(data.accountId, data);
-                
-                // Check if order is filled
-                if (data.status === 2) { // OrderStatus.Filled = 2
-                    this.eventBroadcaster.publish('ORDER_FILLED', {
-                        accountId: data.accountId,
-                        orderId: data.id,
-                        contractId: data.contractId,
-                        side: data.side === 0 ? 'BUY' : 'SELL',
-                        fillVolume: data.fillVolume,
-                        filledPrice: data.filledPrice,
-                        timestamp: new Date().toISOString()
-                    });
-                }
-            }
-        });
-        
-        this.userConnection.on('GatewayUserTrade', (data) => {
-            console.log(`📈 [USER HUB] GatewayUserTrade event received:`, {
-                data: JSON.stringify(data, null, 2),
-                timestamp: new Date().toISOString()
-            });
-            // Handle trade execution events
-            if (data && data.accountId) {
-                this.eventBroadcaster.publish('TRADE_EXECUTED', {
-                    accountId: data.accountId,
-                    tradeId: data.id,
-                    orderId: data.orderId,
-                    contractId: data.contractId,
-                    side: data.side === 0 ? 'BUY' : 'SELL',
-                    size: data.size,
-                    price: data.price,
-                    profitAndLoss: data.profitAndLoss,
-                    fees: data.fees,
-                    timestamp: new Date().toISOString()
-                });
-            }
-        });
+        this.registerGatewayUserHandlers(this.userConnection);
         
         // Status events
         this.userConnection.on('OrderStatusUpdate', (...args) => {
@@ -501,7 +429,8 @@ class MarketDataService extends EventEmitter {
         
         // Set up a periodic check to see if we're receiving any data
         let lastEventTime = Date.now();
-        setInterval(() => {
+        clearInterval(this.userHubHealthInterval);
+        this.userHubHealthInterval = setInterval(() => {
             if (this.isUserConnected) {
                 const timeSinceLastEvent = Date.now() - lastEventTime;
                 console.log('🔍 [USER HUB] Connection health check:', {
@@ -536,6 +465,98 @@ class MarketDataService extends EventEmitter {
         };
     }
     
+    /**
+     * Handle TopStep GatewayUser* events from a source - the user hub, or the
+     * paper broker when orders are simulated
+     */
+    registerGatewayUserHandlers(connection) {
+        connection.on('GatewayUserAccount', (data) => {
+            console.log(`💼 [USER HUB] GatewayUserAccount event received:`, {
+                data: JSON.stringify(data, null, 2),
+                timestamp: new Date().toISOString()
+            });
+            // Handle account updates
+            if (data && data.id) {
+                this.eventBroadcaster.publish('ACCOUNT_UPDATE', {
+                    accountId: data.id,
+                    balance: data.balance,
+                    canTrade: data.canTrade,
+                    name: data.name,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+        
+        connection.on('GatewayUserPosition', (data) => {
+            console.log(`📊 [USER HUB] GatewayUserPosition event received:`, {
+                data: JSON.stringify(data, null, 2),
+                timestamp: new Date().toISOString()
+            });
+            // Handle position updates
+            if (data && data.accountId) {
+                this.handlePositionUpdate(data.accountId, data);
+                this.eventBroadcaster.publish('POSITION_UPDATE', {
+                    accountId: data.accountId,
+                    positionId: data.id,
+                    contractId: data.contractId,
+                    type: data.type === 1 ? 'LONG' : 'SHORT',
+                    size: data.size,
+                    averagePrice: data.averagePrice,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+        
+        connection.on('GatewayUserOrder', (data) => {
+            console.log(`📋 [USER HUB] GatewayUserOrder event received:`, {
+                data: JSON.stringify(data, null, 2),
+                timestamp: new Date().toISOString()
+            });
+            // Handle order updates
+            if (data && data.accountId) {
+                this.handleOrderUpdate(data.accountId, data);
+                
+                // Every status change, for working order tracking
+                this.emit('orderUpdate', data);
+                
+                // Check if order is filled
+                if (data.status === 2) { // OrderStatus.Filled = 2
+                    this.eventBroadcaster.publish('ORDER_FILLED', {
+                        accountId: data.accountId,
+                        orderId: data.id,
+                        contractId: data.contractId,
+                        side: data.side === 0 ? 'BUY' : 'SELL',
+                        fillVolume: data.fillVolume,
+                        filledPrice: data.filledPrice,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+            }
+        });
+        
+        connection.on('GatewayUserTrade', (data) => {
+            console.log(`📈 [USER HUB] GatewayUserTrade event received:`, {
+                data: JSON.stringify(data, null, 2),
+                timestamp: new Date().toISOString()
+            });
+            // Handle trade execution events
+            if (data && data.accountId) {
+                this.eventBroadcaster.publish('TRADE_EXECUTED', {
+                    accountId: data.accountId,
+                    tradeId: data.id,
+                    orderId: data.orderId,
+                    contractId: data.contractId,
+                    side: data.side === 0 ? 'BUY' : 'SELL',
+                    size: data.size,
+                    price: data.price,
+                    profitAndLoss: data.profitAndLoss,
+                    fees: data.fees,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+    }
+    
     async subscribeToAccountEvents(accountId) {
         try {
             // Check both the flag and the actual connection state
@@ -715,8 +736,8 @@ class MarketDataService extends EventEmitter {
                     accountId: accountId,
                     instrument: orderData.contractId || orderData.symbol || orderData.contract,
                     side: orderData.side === 0 ? 'BUY' : orderData.side === 1 ? 'SELL' : orderData.side,
-                    filledPrice: orderData.averageFillPrice || orderData.fillPrice || orderData.price || orderData.avgFillPrice,
-                    filledQuantity: orderData.filledQuantity || orderData.quantity || orderData.size || orderData.filledQty,
+                    filledPrice: orderData.filledPrice || orderData.averageFillPrice || orderData.fillPrice || orderData.price || orderData.avgFillPrice,
+                    filledQuantity: orderData.fillVolume || orderData.filledQuantity || orderData.quantity || orderData.size || orderData.filledQty,
                     positionId: orderData.positionId || orderData.position?.id || orderData.posId,
                     timestamp: orderData.timestamp || orderData.time || Date.now(),
                     rawData: orderData // Include raw data for debugging
@@ -827,6 +848,8 @@ class MarketDataService extends EventEmitter {
             this.heartbeat.updateSystemHealth({ connected: true });
             // Clear cached data on reconnection to ensure fresh data is sent
             this.clearCachedData();
+            // Hub subscriptions belong to the old connection - subscribe again
+            this.resubscribeInstruments();
             this.emit('reconnected');
         });
         
@@ -852,6 +875,19 @@ class MarketDataService extends EventEmitter {
         });
     }
     
+    async resubscribeInstruments() {
+        const instruments = Array.from(this.subscribedInstruments);
+        this.subscribedInstruments.clear();
+        
+        for (const instrument of instruments) {
+            try {
+                await this.subscribeToInstrument(instrument);
+            } catch (error) {
+                console.error(`❌ Failed to resubscribe to ${instrument}:`, error.message);
+            }
+        }
+    }
+    
     async subscribeToInstrument(instrument) {
         try {
             if (!this.isConnected) {
@@ -1073,12 +1109,9 @@ class MarketDataService extends EventEmitter {
                 data: quoteData
             };
             
-            // Emit for local distribution
+            // Emit for local distribution - the Connection Manager publishes it on market:data
             this.emit('marketData', marketData);
             
-            // Publish to Redis - EventBroadcaster will wrap it
-            this.eventBroadcaster.publish('market:data', marketData);
-            
             this.metrics.dataDistributed++;
             
         } catch (error) {
@@ -1156,13 +1189,9 @@ class MarketDataService extends EventEmitter {
                     data: tradeData
                 };
                 
-                // Emit for local distribution
+                // Emit for local distribution - the Connection Manager publishes it on market:data
                 this.emit('marketData', marketData);
                 
-                // Publish to Redis for trading chart
-                // Publish to Redis - EventBroadcaster will wrap it
-                this.eventBroadcaster.publish('market:data', marketData);
-                
                 this.metrics.dataDistributed++;
             }); // End forEach loop
             
@@ -1207,13 +1236,9 @@ class MarketDataService extends EventEmitter {
                 data: depthData
             };
             
-            // Emit for local distribution
+            // Emit for local distribution - the Connection Manager publishes it on market:data
             this.emit('marketData', marketData);
             
-            // Publish to Redis for trading chart
-            // Publish to Redis - EventBroadcaster will wrap it
-            this.eventBroadcaster.publish('market:data', marketData);
-            
             this.metrics.dataDistributed++;
             
         } catch (error) {
@@ -1233,6 +1258,9 @@ class MarketDataService extends EventEmitter {
                 await this.userConnection.stop();
             }
             
+            clearInterval(this.waitingForDataInterval);
+            clearInterval(this.userHubHealthInterval);
+            
             this.isConnected = false;
             this.isUserConnected = false;
             this.subscribedInstruments.clear();
@@ -0,0 +1,706 @@
+// connection-manager/services/PaperBroker.js
+// Paper Broker - simulated TopStepX order execution for end-to-end dry runs
+// Answers the TopStepX order, position and trade endpoints the Connection Manager
+// calls (place, cancel, modify, search, close, editStopLossAccount) and fills
+// orders against the quotes on the market data feed - live or replayed - with
+// configurable slippage, latency and partial fills. Fills are reported through
+// the same GatewayUser* events the TopStepX user hub sends, so bracket handling,
+// reconciliation and the aggregator run exactly as they do against a real account.
+
+const EventEmitter = require('events');
+const instrumentRegistry = require('../../shared/modules/contracts/InstrumentRegistry');
+
+// TopStepX enums
+const ORDER_TYPE = { LIMIT: 1, MARKET: 2, STOP_LIMIT: 3, STOP: 4 };
+const ORDER_SIDE = { BUY: 0, SELL: 1 };
+const ORDER_STATUS = { OPEN: 1, FILLED: 2, CANCELLED: 3, REJECTED: 5 };
+const POSITION_TYPE = { LONG: 1, SHORT: 2 };
+
+class PaperBroker extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            slippageTicks: 1,             // Adverse ticks on market and stop fills
+            latencyMs: 250,               // Time before an order can fill
+            partialFillSlices: 1,         // Fill orders in up to this many slices, one per quote
+            commissionPerSide: 0.62,      // Per contract per side
+            startingBalance: 50000,       // Paper balance per account
+            ...config
+        };
+
+        this.quotes = new Map();      // contractId -> { bid, ask, last, timestamp }
+        this.orders = new Map();      // orderId -> TopStepX order
+        this.positions = new Map();   // `${accountId}:${contractId}` -> position
+        this.trades = [];
+        this.accounts = new Map();    // accountId -> { balance, realizedPnL, fees }
+        this.timers = new Set();
+
+        this.nextId = 1;
+        this.interceptorId = null;
+        this.stats = {
+            ordersPlaced: 0,
+            ordersRejected: 0,
+            fills: 0,
+            quotesProcessed: 0
+        };
+
+        // METHOD /path (without the /api prefix) -> handler
+        this.routes = {
+            'POST /Order/place': body => this.placeOrder(body),
+            'POST /Order/cancel': body => this.cancelOrder(body),
+            'POST /Order/modify': body => this.modifyOrder(body),
+            'POST /Order/searchOpen': body => this.searchOpenOrders(body),
+            'POST /Order/search': body => this.searchOrders(body),
+            'POST /Order/editStopLossAccount': body => this.editStopLoss(body),
+            'POST /Order/editStopLoss': body => this.editStopLoss(body),
+            'POST /Position/searchOpen': body => this.searchOpenPositions(body),
+            'POST /Position/closeContract': body => this.closeContract(body),
+            'POST /Position/partialCloseContract': body => this.partialCloseContract(body),
+            'GET /Position': (body, params) => this.getUserPositions(params.accountId),
+            'POST /Trade/search': body => this.searchTrades(body)
+        };
+
+        console.log('🧻 Paper Broker initialized - orders will NOT reach TopStepX');
+        console.log(`   Slippage: ${this.config.slippageTicks} ticks | Latency: ${this.config.latencyMs}ms | Fill slices: ${this.config.partialFillSlices}`);
+    }
+
+    // ==================== HTTP routing ====================
+
+    /**
+     * Route TopStepX trading endpoints on an axios instance to the paper broker.
+     * Everything else (auth, accounts, contracts, history) still reaches TopStepX.
+     */
+    install(axios) {
+        this.axios = axios;
+        this.interceptorId = axios.interceptors.request.use(config => {
+            const route = this.matchRoute(config);
+            if (route) {
+                config.adapter = requestConfig => this.handleRequest(route, requestConfig);
+            }
+            return config;
+        });
+    }
+
+    uninstall() {
+        if (this.axios && this.interceptorId !== null) {
+            this.axios.interceptors.request.eject(this.interceptorId);
+            this.interceptorId = null;
+        }
+
+        for (const timer of this.timers) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+
+    matchRoute(config) {
+        let url;
+        try {
+            url = new URL(config.url, config.baseURL || 'https://api.topstepx.com');
+        } catch (error) {
+            return null;
+        }
+
+        const pathname = url.pathname.replace(/^\/api(?=\/)/, '').replace(/\/$/, '');
+        const method = (config.method || 'get').toUpperCase();
+
+        const positionById = pathname.match(/^\/Positions\/(\d+)$/);
+        if (method === 'GET' && positionById) {
+            return { handler: () => this.getPositionById(Number(positionById[1])), url };
+        }
+
+        const handler = this.routes[`${method} ${pathname}`];
+        return handler ? { handler, url } : null;
+    }
+
+    async handleRequest(route, config) {
+        const body = typeof config.data === 'string' ? JSON.parse(config.data || '{}') : (config.data || {});
+        const params = { ...Object.fromEntries(route.url.searchParams), ...(config.params || {}) };
+
+        let data;
+        let status = 200;
+        try {
+            data = route.handler(body, params);
+        } catch (error) {
+            status = 400;
+            data = { success: false, errorCode: 1, errorMessage: error.message, message: error.message };
+        }
+
+        const response = { data, status, statusText: status === 200 ? 'OK' : 'Bad Request', headers: {}, config, request: {} };
+        if (status !== 200) {
+            const error = new Error(`Paper broker rejected request: ${data.errorMessage}`);
+            error.response = response;
+            error.config = config;
+            throw error;
+        }
+
+        return response;
+    }
+
+    // ==================== Orders ====================
+
+    placeOrder(body) {
+        const { accountId, contractId, type, side, size } = body;
+
+        if (!accountId || !contractId) {
+            return this.reject('accountId and contractId are required');
+        }
+        if (!Object.values(ORDER_TYPE).includes(type)) {
+            return this.reject(`Unsupported order type: ${type}`);
+        }
+        if (![ORDER_SIDE.BUY, ORDER_SIDE.SELL].includes(side) || !(size > 0)) {
+            return this.reject('Invalid side or size');
+        }
+        if (type === ORDER_TYPE.LIMIT && !body.limitPrice) {
+            return this.reject('Limit order requires limitPrice');
+        }
+        if (type === ORDER_TYPE.STOP && !body.stopPrice) {
+            return this.reject('Stop order requires stopPrice');
+        }
+        if (type === ORDER_TYPE.STOP_LIMIT && !(body.stopPrice && body.limitPrice)) {
+            return this.reject('Stop-limit order requires stopPrice and limitPrice');
+        }
+        if (!this.quotes.has(contractId)) {
+            return this.reject(`No market data for ${contractId} - subscribe before trading`);
+        }
+        if (!instrumentRegistry.getPointValue(contractId)) {
+            return this.reject(`No point value for ${contractId} - fills cannot be priced`);
+        }
+
+        const order = this.createOrder({
+            accountId,
+            contractId,
+            type,
+            side,
+            size,
+            limitPrice: body.limitPrice ?? null,
+            stopPrice: body.stopPrice ?? null,
+            customTag: body.customTag ?? null
+        });
+
+        this.stats.ordersPlaced++;
+        console.log(`🧻 [PAPER] Order ${order.id} accepted: ${side === ORDER_SIDE.BUY ? 'BUY' : 'SELL'} ${size} ${contractId} (${this.getTypeName(type)})`);
+
+        return { orderId: order.id, success: true, errorCode: 0, errorMessage: null };
+    }
+
+    createOrder(fields) {
+        const now = new Date().toISOString();
+        const order = {
+            id: this.nextId++,
+            creationTimestamp: now,
+            updateTimestamp: now,
+            status: ORDER_STATUS.OPEN,
+            fillVolume: 0,
+            filledPrice: null,
+            linkedPositionId: null,
+            ...fields,
+            // Orders reach the simulated exchange after the configured latency
+            workingAt: Date.now() + this.config.latencyMs
+        };
+
+        this.orders.set(order.id, order);
+        this.emit('GatewayUserOrder', this.formatOrder(order));
+        this.scheduleEvaluation(order);
+
+        return order;
+    }
+
+    scheduleEvaluation(order) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            this.evaluateOrder(order);
+        }, this.config.latencyMs);
+        this.timers.add(timer);
+    }
+
+    cancelOrder(body) {
+        const order = this.orders.get(Number(body.orderId));
+        if (!order || order.status !== ORDER_STATUS.OPEN) {
+            return this.reject(`Order ${body.orderId} is not open`);
+        }
+
+        this.updateOrderStatus(order, ORDER_STATUS.CANCELLED);
+        console.log(`🧻 [PAPER] Order ${order.id} cancelled`);
+        return { success: true, errorCode: 0, errorMessage: null };
+    }
+
+    modifyOrder(body) {
+        const order = this.orders.get(Number(body.orderId));
+        if (!order || order.status !== ORDER_STATUS.OPEN) {
+            return this.reject(`Order ${body.orderId} is not open`);
+        }
+
+        if (body.size != null) order.size = body.size;
+        if (body.limitPrice != null) order.limitPrice = body.limitPrice;
+        if (body.stopPrice != null) order.stopPrice = body.stopPrice;
+        order.updateTimestamp = new Date().toISOString();
+
+        this.emit('GatewayUserOrder', this.formatOrder(order));
+        this.evaluateOrder(order);
+        return { success: true, errorCode: 0, errorMessage: null };
+    }
+
+    searchOpenOrders(body) {
+        return {
+            orders: [...this.orders.values()]
+                .filter(order => order.status === ORDER_STATUS.OPEN && this.sameAccount(order, body.accountId))
+                .map(order => this.formatOrder(order)),
+            success: true,
+            errorCode: 0,
+            errorMessage: null
+        };
+    }
+
+    searchOrders(body) {
+        return {
+            orders: [...this.orders.values()]
+                .filter(order => this.sameAccount(order, body.accountId) && this.inRange(order.creationTimestamp, body))
+                .map(order => this.formatOrder(order)),
+            success: true,
+            errorCode: 0,
+            errorMessage: null
+        };
+    }
+
+    // ==================== Positions ====================
+
+    searchOpenPositions(body) {
+        return {
+            positions: this.getOpenPositions(body.accountId).map(position => ({
+                id: position.id,
+                accountId: position.accountId,
+                contractId: position.contractId,
+                creationTimestamp: position.creationTimestamp,
+                type: position.type,
+                size: position.size,
+                averagePrice: position.averagePrice
+            })),
+            success: true,
+            errorCode: 0,
+            errorMessage: null
+        };
+    }
+
+    /**
+     * userapi /Position response - a bare array with signed sizes and P&L
+     */
+    getUserPositions(accountId) {
+        return this.getOpenPositions(accountId).map(position => this.formatUserPosition(position));
+    }
+
+    getPositionById(positionId) {
+        const position = [...this.positions.values()].find(candidate => candidate.id === positionId);
+        if (!position) {
+            throw new Error(`Position ${positionId} not found`);
+        }
+        return { positionId: position.id, quantity: this.getSignedSize(position), ...this.formatUserPosition(position) };
+    }
+
+    closeContract(body) {
+        const position = this.positions.get(this.getPositionKey(body.accountId, body.contractId));
+        if (!position) {
+            return this.reject(`No open position on ${body.contractId}`);
+        }
+
+        return this.placeClosingOrder(position, position.size);
+    }
+
+    partialCloseContract(body) {
+        const position = this.positions.get(this.getPositionKey(body.accountId, body.contractId));
+        if (!position) {
+            return this.reject(`No open position on ${body.contractId}`);
+        }
+        if (!(body.size > 0) || body.size > position.size) {
+            return this.reject(`Invalid partial close size ${body.size} for position of ${position.size}`);
+        }
+
+        return this.placeClosingOrder(position, body.size);
+    }
+
+    placeClosingOrder(position, size) {
+        const result = this.placeOrder({
+            accountId: position.accountId,
+            contractId: position.contractId,
+            type: ORDER_TYPE.MARKET,
+            side: position.type === POSITION_TYPE.LONG ? ORDER_SIDE.SELL : ORDER_SIDE.BUY,
+            size
+        });
+
+        return { success: result.success, errorCode: result.errorCode, errorMessage: result.errorMessage };
+    }
+
+    /**
+     * Attach stop loss / take profit to a position as working stop and limit
+     * orders. The two are one-cancels-other and follow the position size.
+     */
+    editStopLoss(body) {
+        const position = [...this.positions.values()].find(candidate => candidate.id === Number(body.positionId));
+        if (!position) {
+            return this.reject(`Position ${body.positionId} not found`);
+        }
+
+        position.stopLoss = body.stopLoss ?? null;
+        position.takeProfit = body.takeProfit ?? null;
+        this.cancelBracket(position);
+
+        const exitSide = position.type === POSITION_TYPE.LONG ? ORDER_SIDE.SELL : ORDER_SIDE.BUY;
+        const bracket = { accountId: position.accountId, contractId: position.contractId, side: exitSide, size: position.size, linkedPositionId: position.id };
+
+        if (position.stopLoss) {
+            position.stopLossOrderId = this.createOrder({ ...bracket, type: ORDER_TYPE.STOP, stopPrice: position.stopLoss, limitPrice: null }).id;
+        }
+        if (position.takeProfit) {
+            position.takeProfitOrderId = this.createOrder({ ...bracket, type: ORDER_TYPE.LIMIT, limitPrice: position.takeProfit, stopPrice: null }).id;
+        }
+
+        console.log(`🧻 [PAPER] Position ${position.id} SL: ${position.stopLoss || 'none'} | TP: ${position.takeProfit || 'none'}`);
+        this.emit('GatewayUserPosition', this.formatGatewayPosition(position));
+
+        return { success: true, errorCode: 0, errorMessage: null };
+    }
+
+    cancelBracket(position) {
+        for (const order of this.orders.values()) {
+            if (order.linkedPositionId === position.id && order.status === ORDER_STATUS.OPEN) {
+                this.updateOrderStatus(order, ORDER_STATUS.CANCELLED);
+            }
+        }
+        position.stopLossOrderId = null;
+        position.takeProfitOrderId = null;
+    }
+
+    searchTrades(body) {
+        return {
+            trades: this.trades.filter(trade => this.sameAccount(trade, body.accountId) && this.inRange(trade.creationTimestamp, body)),
+            success: true,
+            errorCode: 0,
+            errorMessage: null
+        };
+    }
+
+    // ==================== Market data & fills ====================
+
+    /**
+     * Feed a market data message ({ instrument, type: 'QUOTE'|'TRADE', data })
+     */
+    onMarketData(message) {
+        if (!message || !message.instrument || !message.data) return;
+
+        const quote = this.quotes.get(message.instrument) || {};
+        if (message.type === 'QUOTE') {
+            if (message.data.bid) quote.bid = message.data.bid;
+            if (message.data.ask) quote.ask = message.data.ask;
+            if (message.data.last) quote.last = message.data.last;
+        } else if (message.type === 'TRADE') {
+            quote.last = message.data.price;
+        } else {
+            return;
+        }
+
+        quote.timestamp = Date.now();
+        this.quotes.set(message.instrument, quote);
+        this.stats.quotesProcessed++;
+
+        // Remaining partial-fill slices fill one per quote
+        for (const order of [...this.orders.values()]) {
+            if (order.contractId === message.instrument) {
+                this.evaluateOrder(order);
+            }
+        }
+    }
+
+    evaluateOrder(order) {
+        if (order.status !== ORDER_STATUS.OPEN || Date.now() < order.workingAt) return;
+
+        const quote = this.quotes.get(order.contractId);
+        if (!quote) return;
+
+        const price = this.getFillPrice(order, quote);
+        if (price === null) return;
+
+        const remaining = order.size - order.fillVolume;
+        const sliceSize = Math.ceil(order.size / Math.max(1, this.config.partialFillSlices));
+        this.fill(order, Math.min(remaining, sliceSize), price);
+    }
+
+    /**
+     * Execution price for an order against a quote, or null if it does not fill
+     */
+    getFillPrice(order, quote) {
+        const isBuy = order.side === ORDER_SIDE.BUY;
+        const marketPrice = isBuy ? (quote.ask ?? quote.last) : (quote.bid ?? quote.last);
+        if (!marketPrice) return null;
+
+        const tickSize = instrumentRegistry.getTickSize(order.contractId) || 0.01;
+        const slippage = this.config.slippageTicks * tickSize;
+
+        switch (order.type) {
+            case ORDER_TYPE.MARKET:
+                return this.roundToTick(isBuy ? marketPrice + slippage : marketPrice - slippage, tickSize);
+            case ORDER_TYPE.LIMIT:
+                if (isBuy ? marketPrice <= order.limitPrice : marketPrice >= order.limitPrice) {
+                    return this.roundToTick(isBuy ? Math.min(marketPrice, order.limitPrice) : Math.max(marketPrice, order.limitPrice), tickSize);
+                }
+                return null;
+            case ORDER_TYPE.STOP:
+                // Triggered stops fill as market orders - at the gap price if the market jumped through
+                if (isBuy ? marketPrice >= order.stopPrice : marketPrice <= order.stopPrice) {
+                    return this.roundToTick(isBuy ? Math.max(marketPrice, order.stopPrice) + slippage : Math.min(marketPrice, order.stopPrice) - slippage, tickSize);
+                }
+                return null;
+            case ORDER_TYPE.STOP_LIMIT:
+                // Rests as a limit order once the stop has traded
+                if (!order.triggered && (isBuy ? marketPrice >= order.stopPrice : marketPrice <= order.stopPrice)) {
+                    order.triggered = true;
+                }
+                if (order.triggered && (isBuy ? marketPrice <= order.limitPrice : marketPrice >= order.limitPrice)) {
+                    return this.roundToTick(isBuy ? Math.min(marketPrice, order.limitPrice) : Math.max(marketPrice, order.limitPrice), tickSize);
+                }
+                return null;
+            default:
+                return null;
+        }
+    }
+
+    fill(order, size, price) {
+        const now = new Date().toISOString();
+
+        order.filledPrice = order.fillVolume > 0 ?
+            parseFloat(((order.filledPrice * order.fillVolume + price * size) / (order.fillVolume + size)).toFixed(6)) :
+            price;
+        order.fillVolume += size;
+        order.updateTimestamp = now;
+        if (order.fillVolume >= order.size) {
+            order.status = ORDER_STATUS.FILLED;
+        }
+
+        const fees = this.config.commissionPerSide * size;
+        const profitAndLoss = this.applyFill(order, size, price);
+        const account = this.getAccount(order.accountId);
+        account.realizedPnL += profitAndLoss || 0;
+        account.fees += fees;
+        account.balance = Math.round((account.balance + (profitAndLoss || 0) - fees) * 100) / 100;
+
+        const trade = {
+            id: this.nextId++,
+            accountId: order.accountId,
+            contractId: order.contractId,
+            creationTimestamp: now,
+            price,
+            // TopStepX reports null P&L for opening (half-turn) trades
+            profitAndLoss,
+            fees,
+            side: order.side,
+            size,
+            voided: false,
+            orderId: order.id
+        };
+        this.trades.push(trade);
+        this.stats.fills++;
+
+        console.log(`🧻 [PAPER] Filled ${size} (${order.fillVolume}/${order.size}) of order ${order.id} @ ${price}${profitAndLoss !== null ? ` | P&L: $${profitAndLoss.toFixed(2)}` : ''}`);
+
+        this.emit('GatewayUserOrder', this.formatOrder(order));
+        this.emit('GatewayUserTrade', trade);
+        this.emit('GatewayUserAccount', {
+            id: order.accountId,
+            name: `PAPER-${order.accountId}`,
+            balance: account.balance,
+            canTrade: true,
+            isVisible: true
+        });
+    }
+
+    /**
+     * Net a fill into the account's position on the contract
+     * @returns {number|null} Realized P&L of the closed part, null if nothing closed
+     */
+    applyFill(order, size, price) {
+        const key = this.getPositionKey(order.accountId, order.contractId);
+        const fillType = order.side === ORDER_SIDE.BUY ? POSITION_TYPE.LONG : POSITION_TYPE.SHORT;
+        let position = this.positions.get(key);
+
+        if (!position) {
+            this.openPosition(key, order, fillType, size, price);
+            return null;
+        }
+
+        if (position.type === fillType) {
+            position.averagePrice = parseFloat(((position.averagePrice * position.size + price * size) / (position.size + size)).toFixed(6));
+            position.size += size;
+            this.syncBracket(position);
+            this.emit('GatewayUserPosition', this.formatGatewayPosition(position));
+            return null;
+        }
+
+        const closing = Math.min(size, position.size);
+        const direction = position.type === POSITION_TYPE.LONG ? 1 : -1;
+        const pointValue = instrumentRegistry.getPointValue(order.contractId);
+        const profitAndLoss = Math.round((price - position.averagePrice) * closing * pointValue * direction * 100) / 100;
+
+        position.size -= closing;
+        this.emit('GatewayUserPosition', this.formatGatewayPosition(position));
+
+        if (position.size === 0) {
+            this.cancelBracket(position);
+            this.positions.delete(key);
+            console.log(`🧻 [PAPER] Position ${position.id} closed`);
+        } else {
+            this.syncBracket(position);
+        }
+
+        // Reversal - the rest of the fill opens a position the other way
+        if (size > closing) {
+            this.openPosition(key, order, fillType, size - closing, price);
+        }
+
+        return profitAndLoss;
+    }
+
+    openPosition(key, order, type, size, price) {
+        const position = {
+            id: this.nextId++,
+            accountId: order.accountId,
+            contractId: order.contractId,
+            creationTimestamp: new Date().toISOString(),
+            type,
+            size,
+            averagePrice: price,
+            stopLoss: null,
+            takeProfit: null,
+            stopLossOrderId: null,
+            takeProfitOrderId: null
+        };
+
+        this.positions.set(key, position);
+        console.log(`🧻 [PAPER] Position ${position.id} opened: ${type === POSITION_TYPE.LONG ? 'LONG' : 'SHORT'} ${size} ${order.contractId} @ ${price}`);
+        this.emit('GatewayUserPosition', this.formatGatewayPosition(position));
+    }
+
+    /**
+     * Keep bracket orders sized to the open position and cancel the other
+     * leg once one has filled
+     */
+    syncBracket(position) {
+        for (const order of this.orders.values()) {
+            if (order.linkedPositionId !== position.id || order.status !== ORDER_STATUS.OPEN) continue;
+
+            order.size = order.fillVolume + position.size;
+            order.updateTimestamp = new Date().toISOString();
+            this.emit('GatewayUserOrder', this.formatOrder(order));
+        }
+    }
+
+    updateOrderStatus(order, status) {
+        order.status = status;
+        order.updateTimestamp = new Date().toISOString();
+        this.emit('GatewayUserOrder', this.formatOrder(order));
+    }
+
+    // ==================== Helpers ====================
+
+    reject(message) {
+        this.stats.ordersRejected++;
+        throw new Error(message);
+    }
+
+    getOpenPositions(accountId) {
+        return [...this.positions.values()].filter(position => this.sameAccount(position, accountId));
+    }
+
+    getAccount(accountId) {
+        const key = String(accountId);
+        if (!this.accounts.has(key)) {
+            this.accounts.set(key, { balance: this.config.startingBalance, realizedPnL: 0, fees: 0 });
+        }
+        return this.accounts.get(key);
+    }
+
+    getPositionKey(accountId, contractId) {
+        return `${accountId}:${contractId}`;
+    }
+
+    getSignedSize(position) {
+        return position.type === POSITION_TYPE.LONG ? position.size : -position.size;
+    }
+
+    sameAccount(record, accountId) {
+        return accountId == null || String(record.accountId) === String(accountId);
+    }
+
+    inRange(timestamp, body) {
+        if (body.startTimestamp && timestamp < new Date(body.startTimestamp).toISOString()) return false;
+        if (body.endTimestamp && timestamp > new Date(body.endTimestamp).toISOString()) return false;
+        return true;
+    }
+
+    roundToTick(price, tickSize) {
+        const rounded = Math.round(price / tickSize) * tickSize;
+        return parseFloat(rounded.toFixed(tickSize < 0.01 ? 4 : 2));
+    }
+
+    getTypeName(type) {
+        return Object.keys(ORDER_TYPE).find(name => ORDER_TYPE[name] === type) || String(type);
+    }
+
+    formatOrder(order) {
+        const { workingAt, triggered, ...fields } = order;
+        return fields;
+    }
+
+    formatGatewayPosition(position) {
+        return {
+            id: position.id,
+            accountId: position.accountId,
+            contractId: position.contractId,
+            creationTimestamp: position.creationTimestamp,
+            type: position.type,
+            size: position.size,
+            averagePrice: position.averagePrice
+        };
+    }
+
+    formatUserPosition(position) {
+        const quote = this.quotes.get(position.contractId) || {};
+        const markPrice = quote.last ?? (position.type === POSITION_TYPE.LONG ? quote.bid : quote.ask);
+        const pointValue = instrumentRegistry.getPointValue(position.contractId);
+        const direction = position.type === POSITION_TYPE.LONG ? 1 : -1;
+
+        return {
+            id: position.id,
+            accountId: position.accountId,
+            contractId: position.contractId,
+            entryTime: position.creationTimestamp,
+            creationTimestamp: position.creationTimestamp,
+            positionSize: this.getSignedSize(position),
+            averagePrice: position.averagePrice,
+            currentPrice: markPrice ?? null,
+            profitAndLoss: markPrice ? (markPrice - position.averagePrice) * position.size * pointValue * direction : 0,
+            stopLoss: position.stopLoss,
+            takeProfit: position.takeProfit,
+            stopLossOrderId: position.stopLossOrderId,
+            takeProfitOrderId: position.takeProfitOrderId
+        };
+    }
+
+    getStatus() {
+        return {
+            enabled: true,
+            installed: this.interceptorId !== null,
+            config: this.config,
+            openOrders: [...this.orders.values()].filter(order => order.status === ORDER_STATUS.OPEN).length,
+            openPositions: this.positions.size,
+            accounts: Object.fromEntries(this.accounts),
+            contractsQuoted: this.quotes.size,
+            ...this.stats
+        };
+    }
+}
+
+PaperBroker.ORDER_TYPE = ORDER_TYPE;
+PaperBroker.ORDER_SIDE = ORDER_SIDE;
+PaperBroker.ORDER_STATUS = ORDER_STATUS;
+
+module.exports = PaperBroker;
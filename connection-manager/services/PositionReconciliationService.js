@@ -1,8 +1,23 @@
 // connection-manager/services/PositionReconciliationService.js
 // Position Reconciliation Service for Distributed Trading Architecture
-// Ensures position consistency between Connection Manager and bot instances
+// Ensures position consistency between Connection Manager and bot instances,
+// and between the bots and the positions and working orders actually held at
+// TopStepX (naked, unowned, untracked and phantom positions)
 
 const EventEmitter = require('events');
+const instrumentRegistry = require('../../shared/modules/contracts/InstrumentRegistry');
+
+// TopStepX working order types that protect a position
+const STOP_ORDER_TYPES = [4, 5]; // Stop, TrailingStop
+
+// What each broker discrepancy policy may do, in order of precedence
+const BROKER_POLICY_ACTIONS = {
+    NAKED_POSITION: ['alert', 'bracket', 'flatten'],              // No stop loss at the broker
+    UNOWNED_POSITION: ['alert', 'bracket', 'flatten', 'adopt'],   // No bot trades this account/contract
+    UNTRACKED_POSITION: ['alert', 'bracket', 'flatten', 'adopt'], // The owning bot thinks it is flat
+    PHANTOM_POSITION: ['alert']                                   // A bot holds a position the broker does not
+};
+const ACTION_PRECEDENCE = ['flatten', 'adopt', 'bracket', 'alert'];
 
 class PositionReconciliationService extends EventEmitter {
     constructor(config = {}) {
@@ -15,8 +30,20 @@ class PositionReconciliationService extends EventEmitter {
             positionTimeoutMs: 300000,        // 5 minutes timeout for stale positions
             enableAutoCorrection: true,       // Auto-correct minor discrepancies
             logLevel: 'INFO',
+            // Broker reconciliation - alert | bracket | flatten | adopt per discrepancy type
+            brokerPolicies: {
+                NAKED_POSITION: 'alert',
+                UNOWNED_POSITION: 'alert',
+                UNTRACKED_POSITION: 'alert',
+                PHANTOM_POSITION: 'alert'
+            },
+            actionGracePeriodMs: 30000,       // A discrepancy must persist this long before bracket/flatten/adopt
+            botStateTimeoutMs: 90000,         // Bot position reports older than this are not trusted
+            protectiveStopTicks: 40,          // Stop distance of a protective bracket
+            protectiveTargetTicks: null,      // Optional target of a protective bracket
             ...config
         };
+        this.config.brokerPolicies = this.validateBrokerPolicies(this.config.brokerPolicies);
         
         // Position tracking
         this.masterPositions = new Map();     // Authoritative position state
@@ -33,12 +60,69 @@ class PositionReconciliationService extends EventEmitter {
         this.pendingReconciliations = new Set();
         this.reconciliationHistory = [];
         
+        // Broker reconciliation
+        this.broker = null;                   // Set by the Connection Manager - see setBroker()
+        this.botStates = new Map();           // botId -> last reported position state
+        this.lastOrderByMarket = new Map();   // `${accountId}:${symbolRoot}` -> { instanceId, timestamp }, outlives stale cleanup
+        this.brokerDiscrepancies = new Map(); // key -> open discrepancy, until it resolves
+        this.brokerReconciliationInProgress = false;
+        
         this.isRunning = false;
         this.reconciliationTimer = null;
         
         console.log('🔄 Position Reconciliation Service initialized');
         console.log(`   Interval: ${this.config.reconciliationIntervalMs / 1000}s`);
         console.log(`   Auto-correction: ${this.config.enableAutoCorrection ? 'ENABLED' : 'DISABLED'}`);
+        console.log(`   Broker policies: ${Object.entries(this.config.brokerPolicies).map(([type, action]) => `${type}=${action}`).join(', ')}`);
+    }
+    
+    validateBrokerPolicies(policies = {}) {
+        const validated = {};
+        
+        for (const [type, actions] of Object.entries(BROKER_POLICY_ACTIONS)) {
+            const action = String(policies[type] || 'alert').toLowerCase();
+            if (!actions.includes(action)) {
+                throw new Error(`Invalid reconciliation policy ${type}=${action} (allowed: ${actions.join(', ')})`);
+            }
+            validated[type] = action;
+        }
+        
+        return validated;
+    }
+    
+    /**
+     * Connect reconciliation to the broker
+     * @param {Object} broker - {
+     *   getSnapshot(): { positions, orders, bots, incompleteAccounts },
+     *   attachBracket(discrepancy, { stopLoss, takeProfit }),
+     *   flatten(discrepancy),
+     *   adopt(discrepancy)
+     * } - each action resolves to { success, error }
+     */
+    setBroker(broker) {
+        this.broker = broker;
+    }
+    
+    /**
+     * Position state reported by a bot - position is null when the bot is flat
+     * @param {string} botId
+     * @param {Object} state - { accountId, contractId, position: { side, size, brokerPositionId }, pendingEntry }
+     */
+    updateBotState(botId, state) {
+        if (!botId) return;
+        
+        this.botStates.set(botId, {
+            botId,
+            accountId: state.accountId != null ? String(state.accountId) : null,
+            contractId: state.contractId || null,
+            position: state.position || null,
+            pendingEntry: !!state.pendingEntry,
+            lastUpdate: Date.now()
+        });
+    }
+    
+    removeBotState(botId) {
+        this.botStates.delete(botId);
     }
     
     start() {
@@ -100,6 +184,11 @@ class PositionReconciliationService extends EventEmitter {
                 source: 'MASTER'
             });
             
+            if (positionInfo.accountId != null && positionInfo.instrument) {
+                const marketKey = `${positionInfo.accountId}:${instrumentRegistry.getSymbolRoot(positionInfo.instrument)}`;
+                this.lastOrderByMarket.set(marketKey, { instanceId, timestamp: positionInfo.timestamp || Date.now() });
+            }
+            
             if (this.config.logLevel === 'DEBUG') {
                 console.log(`🔄 Master position updated: ${orderId} (${instanceId})`);
             }
@@ -180,6 +269,11 @@ class PositionReconciliationService extends EventEmitter {
                 await this.applyAutoCorrections(results);
             }
             
+            // Compare the bots with what TopStepX actually holds
+            if (this.broker) {
+                await this.reconcileBroker(results);
+            }
+            
             // Update statistics
             this.reconciliationStats.totalReconciliations++;
             this.reconciliationStats.discrepanciesFound += results.discrepancies.length;
@@ -405,6 +499,334 @@ class PositionReconciliationService extends EventEmitter {
         return null;
     }
     
+    /**
+     * Pull positions and working orders from the broker, detect discrepancies
+     * and apply the configured policy to each
+     */
+    async reconcileBroker(results) {
+        if (this.brokerReconciliationInProgress) {
+            console.log('⚠️  Broker reconciliation already in progress - skipping');
+            return;
+        }
+        
+        this.brokerReconciliationInProgress = true;
+        try {
+            let snapshot;
+            try {
+                snapshot = await this.broker.getSnapshot();
+            } catch (error) {
+                // Never act on partial broker data
+                console.error('❌ Broker reconciliation skipped - snapshot failed:', error.message);
+                results.errors.push({ orderId: null, error: `Broker snapshot failed: ${error.message}` });
+                return;
+            }
+            
+            const now = Date.now();
+            const found = this.detectBrokerDiscrepancies(snapshot, now);
+            results.brokerPositions = snapshot.positions.length;
+            results.discrepancies.push(...found);
+            
+            // Discrepancies not seen in this pass have resolved
+            const seen = new Set(found.map(discrepancy => discrepancy.key));
+            for (const [key, open] of this.brokerDiscrepancies) {
+                if (!seen.has(key)) {
+                    this.brokerDiscrepancies.delete(key);
+                    console.log(`✅ Resolved: ${open.description}`);
+                    this.emit('brokerDiscrepancyResolved', open);
+                }
+            }
+            
+            // One decision per broker position, so a naked untracked position is not flattened and adopted
+            const byPosition = new Map();
+            for (const discrepancy of found) {
+                const open = this.trackBrokerDiscrepancy(discrepancy, now);
+                const group = byPosition.get(discrepancy.positionKey) || [];
+                group.push(open);
+                byPosition.set(discrepancy.positionKey, group);
+            }
+            
+            for (const discrepancies of byPosition.values()) {
+                await this.applyBrokerPolicy(discrepancies, now, results);
+            }
+        } finally {
+            this.brokerReconciliationInProgress = false;
+        }
+    }
+    
+    /**
+     * @param {Object} snapshot - {
+     *   positions: [{ id, accountId, contractId, side: 'LONG'|'SHORT', size, averagePrice, currentPrice, stopLoss, takeProfit }],
+     *   orders: [{ id, accountId, contractId, type, side }],
+     *   bots: { <botId>: { accountId, instrument } },
+     *   incompleteAccounts: [accountId] - accounts whose positions could not be fetched
+     * }
+     * @returns {Array<Object>} Discrepancies
+     */
+    detectBrokerDiscrepancies(snapshot, now = Date.now()) {
+        const discrepancies = [];
+        const bots = snapshot.bots || {};
+        const incompleteAccounts = new Set((snapshot.incompleteAccounts || []).map(String));
+        const heldPositions = new Set();
+        
+        for (const position of snapshot.positions) {
+            const accountId = String(position.accountId);
+            const positionKey = this.getBrokerPositionKey(accountId, position.contractId);
+            const base = {
+                positionKey,
+                positionId: position.id,
+                accountId,
+                contractId: position.contractId,
+                position
+            };
+            heldPositions.add(positionKey);
+            
+            if (!this.isProtected(position, snapshot.orders)) {
+                discrepancies.push({
+                    ...base,
+                    type: 'NAKED_POSITION',
+                    description: `${position.side} ${position.size} ${position.contractId} on account ${accountId} has no stop loss`,
+                    severity: 'HIGH'
+                });
+            }
+            
+            const owner = this.findOwner(position, bots, now);
+            if (owner.status === 'UNOWNED') {
+                discrepancies.push({
+                    ...base,
+                    type: 'UNOWNED_POSITION',
+                    candidateBotIds: owner.candidates,
+                    description: `${position.side} ${position.size} ${position.contractId} on account ${accountId} is not traded by any bot`,
+                    severity: 'HIGH'
+                });
+            } else if (owner.status === 'UNTRACKED') {
+                discrepancies.push({
+                    ...base,
+                    type: 'UNTRACKED_POSITION',
+                    instanceId: owner.botId,
+                    description: `${owner.botId} thinks it is flat but holds ${position.side} ${position.size} ${position.contractId} on account ${accountId}`,
+                    severity: 'HIGH'
+                });
+            }
+        }
+        
+        for (const state of this.getFreshBotStates(now)) {
+            if (!state.position || !state.accountId || !state.contractId) continue;
+            if (incompleteAccounts.has(state.accountId)) continue;
+            
+            const positionKey = this.getBrokerPositionKey(state.accountId, state.contractId);
+            if (heldPositions.has(positionKey)) continue;
+            
+            discrepancies.push({
+                positionKey: `${positionKey}:${state.botId}`,
+                positionId: state.position.brokerPositionId || null,
+                accountId: state.accountId,
+                contractId: state.contractId,
+                instanceId: state.botId,
+                type: 'PHANTOM_POSITION',
+                description: `${state.botId} holds ${state.position.side} ${state.position.size} ${state.contractId} but account ${state.accountId} is flat`,
+                severity: 'MEDIUM'
+            });
+        }
+        
+        for (const discrepancy of discrepancies) {
+            discrepancy.key = `${discrepancy.type}:${discrepancy.positionKey}`;
+            discrepancy.policy = this.config.brokerPolicies[discrepancy.type];
+        }
+        
+        return discrepancies;
+    }
+    
+    /**
+     * A position is protected by a stop loss attached to it or by a working
+     * stop order on the opposite side
+     */
+    isProtected(position, orders = []) {
+        if (position.stopLoss) return true;
+        
+        const exitSide = position.side === 'LONG' ? 1 : 0; // TopStepX: 0 = BUY, 1 = SELL
+        return orders.some(order =>
+            String(order.accountId) === String(position.accountId) &&
+            order.contractId === position.contractId &&
+            STOP_ORDER_TYPES.includes(order.type) &&
+            order.side === exitSide
+        );
+    }
+    
+    /**
+     * Which bot a broker position belongs to
+     * @returns {Object} { status: 'TRACKED'|'UNTRACKED'|'UNOWNED'|'UNKNOWN'|'EXTERNAL', botId, candidates }
+     */
+    findOwner(position, bots, now = Date.now()) {
+        const accountId = String(position.accountId);
+        const root = instrumentRegistry.getSymbolRoot(position.contractId);
+        const sameMarket = (botAccountId, instrument) =>
+            String(botAccountId) === accountId && !!instrument && instrumentRegistry.getSymbolRoot(instrument) === root;
+        
+        const freshStates = this.getFreshBotStates(now).filter(state => sameMarket(state.accountId, state.contractId));
+        const tracking = freshStates.find(state => state.position);
+        if (tracking) {
+            return { status: 'TRACKED', botId: tracking.botId };
+        }
+        
+        const candidates = Object.entries(bots)
+            .filter(([botId, config]) => sameMarket(config.accountId, config.instrument))
+            .map(([botId]) => botId);
+        for (const state of freshStates) {
+            if (!candidates.includes(state.botId)) candidates.push(state.botId);
+        }
+        
+        // Orders placed through the Connection Manager say who opened it
+        const lastOrder = this.lastOrderByMarket.get(`${accountId}:${root}`);
+        
+        if (candidates.length === 0) {
+            // Manual trading and other non-bot clients own what they opened
+            return lastOrder && !bots[lastOrder.instanceId] ?
+                { status: 'EXTERNAL', botId: lastOrder.instanceId } :
+                { status: 'UNOWNED', candidates };
+        }
+        
+        const botId = candidates.length === 1 ? candidates[0] :
+            (lastOrder && candidates.includes(lastOrder.instanceId) ? lastOrder.instanceId : null);
+        const state = freshStates.find(candidate => candidate.botId === botId);
+        
+        // Without a fresh report we cannot tell whether the bot knows - and a bot
+        // that is entering may see its fill after the broker does
+        if (!botId || !state || state.pendingEntry) {
+            return { status: 'UNKNOWN', candidates };
+        }
+        
+        return { status: 'UNTRACKED', botId, candidates };
+    }
+    
+    getFreshBotStates(now = Date.now()) {
+        return [...this.botStates.values()].filter(state => now - state.lastUpdate <= this.config.botStateTimeoutMs);
+    }
+    
+    getBrokerPositionKey(accountId, contractId) {
+        return `${accountId}:${contractId}`;
+    }
+    
+    /**
+     * Remember when a discrepancy was first seen; alert once when it appears
+     */
+    trackBrokerDiscrepancy(discrepancy, now) {
+        const existing = this.brokerDiscrepancies.get(discrepancy.key);
+        const open = {
+            ...discrepancy,
+            firstSeen: existing ? existing.firstSeen : now,
+            lastSeen: now,
+            lastAction: existing ? existing.lastAction : null,
+            lastActionAt: existing ? existing.lastActionAt : null
+        };
+        this.brokerDiscrepancies.set(discrepancy.key, open);
+        
+        if (!existing) {
+            console.warn(`🚨 ${discrepancy.type}: ${discrepancy.description} (policy: ${discrepancy.policy})`);
+            this.emit('brokerDiscrepancy', open);
+        }
+        
+        return open;
+    }
+    
+    async applyBrokerPolicy(discrepancies, now, results) {
+        const due = discrepancies.filter(discrepancy =>
+            discrepancy.policy !== 'alert' &&
+            now - discrepancy.firstSeen >= this.config.actionGracePeriodMs &&
+            (!discrepancy.lastActionAt || now - discrepancy.lastActionAt >= this.config.actionGracePeriodMs));
+        if (due.length === 0) return;
+        
+        // Flatten wins over everything else on the same position
+        const flatten = due.find(discrepancy => discrepancy.policy === 'flatten');
+        const actions = flatten ? [flatten] : [...due].sort((a, b) =>
+            ACTION_PRECEDENCE.indexOf(a.policy) - ACTION_PRECEDENCE.indexOf(b.policy));
+        
+        for (const discrepancy of actions) {
+            discrepancy.lastAction = discrepancy.policy;
+            discrepancy.lastActionAt = now;
+            
+            try {
+                const outcome = await this.executeBrokerAction(discrepancy);
+                const correction = {
+                    orderId: discrepancy.positionId,
+                    instanceId: discrepancy.instanceId || null,
+                    accountId: discrepancy.accountId,
+                    contractId: discrepancy.contractId,
+                    type: discrepancy.type,
+                    action: discrepancy.policy.toUpperCase(),
+                    success: outcome.success,
+                    details: outcome.success ? outcome.details : outcome.error
+                };
+                
+                if (outcome.success) {
+                    results.corrections.push(correction);
+                    console.log(`✅ ${correction.action} applied to ${discrepancy.contractId} on account ${discrepancy.accountId}: ${outcome.details}`);
+                } else {
+                    results.errors.push({ orderId: discrepancy.positionId, error: outcome.error });
+                    console.error(`❌ ${correction.action} failed for ${discrepancy.contractId} on account ${discrepancy.accountId}: ${outcome.error}`);
+                }
+                this.emit('brokerCorrection', correction);
+            } catch (error) {
+                console.error(`❌ Reconciliation action ${discrepancy.policy} failed:`, error.message);
+                results.errors.push({ orderId: discrepancy.positionId, error: error.message });
+            }
+        }
+    }
+    
+    async executeBrokerAction(discrepancy) {
+        switch (discrepancy.policy) {
+            case 'bracket': {
+                const bracket = this.calculateProtectiveBracket(discrepancy.position);
+                if (!bracket) {
+                    return { success: false, error: `No tick size known for ${discrepancy.contractId}` };
+                }
+                const outcome = await this.broker.attachBracket(discrepancy, bracket);
+                return { ...outcome, details: `SL ${bracket.stopLoss}${bracket.takeProfit ? ` / TP ${bracket.takeProfit}` : ''}` };
+            }
+            case 'flatten': {
+                const outcome = await this.broker.flatten(discrepancy);
+                return { ...outcome, details: 'position closed at market' };
+            }
+            case 'adopt': {
+                const botId = discrepancy.instanceId ||
+                    (discrepancy.candidateBotIds?.length === 1 ? discrepancy.candidateBotIds[0] : null);
+                if (!botId) {
+                    return { success: false, error: 'No single bot trades this account and contract - cannot adopt' };
+                }
+                const outcome = await this.broker.adopt({ ...discrepancy, instanceId: botId });
+                return { ...outcome, details: `adopted by ${botId}` };
+            }
+            default:
+                return { success: false, error: `Unknown policy ${discrepancy.policy}` };
+        }
+    }
+    
+    /**
+     * Stop (and optional target) a fixed number of ticks from the entry price,
+     * or from the current price once the market is already past that stop
+     */
+    calculateProtectiveBracket(position) {
+        const tickSize = position && instrumentRegistry.getTickSize(position.contractId);
+        if (!tickSize) return null;
+        
+        const direction = position.side === 'LONG' ? 1 : -1;
+        const round = price => parseFloat((Math.round(price / tickSize) * tickSize).toFixed(tickSize < 0.01 ? 4 : 2));
+        const stopDistance = this.config.protectiveStopTicks * tickSize;
+        
+        let stopLoss = position.averagePrice - direction * stopDistance;
+        if (position.currentPrice && (position.currentPrice - stopLoss) * direction <= 0) {
+            stopLoss = position.currentPrice - direction * stopDistance;
+        }
+        
+        const takeProfit = position.takeProfit || (this.config.protectiveTargetTicks ?
+            round(position.averagePrice + direction * this.config.protectiveTargetTicks * tickSize) : null);
+        
+        return { stopLoss: round(stopLoss), takeProfit };
+    }
+    
+    getBrokerDiscrepancies() {
+        return [...this.brokerDiscrepancies.values()].map(({ position, ...discrepancy }) => discrepancy);
+    }
+    
     // Force reconciliation for specific position
     async forceReconciliation(orderId, reason = 'Manual request') {
         console.log(`🔄 Force reconciliation for position: ${orderId} (${reason})`);
@@ -462,7 +884,7 @@ class PositionReconciliationService extends EventEmitter {
         if (corrections.length > 0) {
             console.log('\n🔧 CORRECTIONS APPLIED:');
             corrections.forEach(correction => {
-                console.log(`   ${correction.orderId}: ${correction.action}`);
+                console.log(`   ${correction.contractId || correction.orderId}: ${correction.action}`);
             });
         }
         
@@ -490,6 +912,9 @@ class PositionReconciliationService extends EventEmitter {
                     instanceId,
                     positionCount: posMap.size
                 })),
+            brokerPolicies: this.config.brokerPolicies,
+            brokerDiscrepancies: this.getBrokerDiscrepancies(),
+            botStates: Array.from(this.botStates.values()),
             recentReconciliations: this.reconciliationHistory.slice(-10)
         };
     }
@@ -535,6 +960,8 @@ class PositionReconciliationService extends EventEmitter {
             lastReconciliation: this.reconciliationStats.lastReconciliation,
             timeSinceLastReconciliation,
             pendingReconciliations: this.pendingReconciliations.size,
+            brokerConnected: !!this.broker,
+            openBrokerDiscrepancies: this.brokerDiscrepancies.size,
             stats: this.reconciliationStats
         };
     }
@@ -0,0 +1,297 @@
+/**
+ * Working Order Service - Connection Manager
+ * Follows every order the Connection Manager places from acceptance until it is
+ * filled, cancelled, expired or rejected, and tells the instance that sent it:
+ *
+ *   { type: 'ORDER_STATUS_UPDATE', payload: { instanceId, orderId, topStepOrderId, status, ... } }
+ *
+ * status: WORKING | PARTIALLY_FILLED | FILLED | CANCELLED | EXPIRED | REJECTED
+ *
+ * Broker order events (GatewayUserOrder) only carry the TopStep order ID; the
+ * service maps them back to the client order ID. Price changes from a modify are
+ * published as a WORKING update with the new prices.
+ *
+ * Time in force for resting orders: GTC works until filled or cancelled, DAY until
+ * the instrument's session closes and GTD until expireAt. The broker has no
+ * expiry of its own, so the service emits 'expire' and the Connection Manager
+ * cancels the order; the cancellation is then reported as EXPIRED.
+ */
+
+const EventEmitter = require('events');
+const TradingSchedule = require('../../shared/modules/market-data/TradingSchedule');
+const instrumentRegistry = require('../../shared/modules/contracts/InstrumentRegistry');
+
+const TIME_IN_FORCE = ['GTC', 'DAY', 'GTD'];
+const TERMINAL = ['FILLED', 'CANCELLED', 'EXPIRED', 'REJECTED'];
+
+// TopStepX OrderStatus -> status reported to instances
+const BROKER_STATUS = { 1: 'WORKING', 2: 'FILLED', 3: 'CANCELLED', 4: 'EXPIRED', 5: 'REJECTED', 6: 'WORKING' };
+
+class WorkingOrderService extends EventEmitter {
+    constructor(eventBroadcaster, config = {}) {
+        super();
+
+        this.eventBroadcaster = eventBroadcaster;
+
+        this.config = {
+            defaultTimeInForce: 'DAY',     // For resting orders that do not say
+            maxUnmatchedEvents: 200,       // Broker events held until their placement returns
+            ...config
+        };
+
+        this.orders = new Map();           // TopStep order ID -> tracked order
+        this.clientOrders = new Map();     // 'instanceId:orderId' -> TopStep order ID
+
+        // The broker reports an order before placeOrder returns its ID
+        this.unmatchedEvents = new Map();  // TopStep order ID -> latest broker order event
+
+        this.calendars = new Map();
+
+        this.stats = {
+            ordersTracked: 0,
+            ordersFilled: 0,
+            ordersCancelled: 0,
+            ordersExpired: 0
+        };
+    }
+
+    stop() {
+        for (const order of this.orders.values()) {
+            if (order.expiryTimer) clearTimeout(order.expiryTimer);
+        }
+        this.orders.clear();
+        this.clientOrders.clear();
+        this.unmatchedEvents.clear();
+    }
+
+    /**
+     * Check an order request's time in force
+     * @returns {string|null} Why the request is invalid, null if it is fine
+     */
+    validate(request) {
+        if (request.orderType === 'MARKET') return null;
+
+        const timeInForce = request.timeInForce || this.config.defaultTimeInForce;
+        if (!TIME_IN_FORCE.includes(timeInForce)) {
+            return `Invalid time in force: ${timeInForce} (expected ${TIME_IN_FORCE.join(', ')})`;
+        }
+        if (timeInForce === 'GTD') {
+            const expireAt = new Date(request.expireAt).getTime();
+            if (!Number.isFinite(expireAt)) return 'GTD order requires expireAt';
+            if (expireAt <= Date.now()) return `expireAt ${request.expireAt} is in the past`;
+        }
+        return null;
+    }
+
+    /**
+     * Start following an order the broker accepted
+     */
+    track(request, topStepOrderId) {
+        const brokerOrderId = String(topStepOrderId);
+        const resting = request.orderType !== 'MARKET';
+        const timeInForce = resting ? (request.timeInForce || this.config.defaultTimeInForce) : null;
+
+        const order = {
+            instanceId: request.instanceId,
+            orderId: request.orderId,
+            topStepOrderId: brokerOrderId,
+            accountId: request.accountId,
+            instrument: request.instrument,
+            orderType: request.orderType,
+            side: request.side,
+            quantity: request.quantity,
+            limitPrice: request.orderType === 'LIMIT' || request.orderType === 'STOP_LIMIT' ?
+                (request.limitPrice ?? request.price ?? null) : null,
+            stopPrice: request.orderType === 'STOP' || request.orderType === 'STOP_LIMIT' ? (request.stopPrice ?? null) : null,
+            timeInForce,
+            expireAt: resting ? this.getExpiry(timeInForce, request.expireAt, request.instrument) : null,
+            status: 'WORKING',
+            fillVolume: 0,
+            filledPrice: null,
+            expiring: false,
+            expiryTimer: null,
+            placedAt: Date.now()
+        };
+
+        this.orders.set(brokerOrderId, order);
+        this.clientOrders.set(this.getClientKey(order.instanceId, order.orderId), brokerOrderId);
+        this.stats.ordersTracked++;
+
+        if (order.expireAt) {
+            // setTimeout overflows past ~24.8 days - GTD orders that far out are re-armed
+            const delay = Math.min(Math.max(0, order.expireAt - Date.now()), 2 ** 31 - 1);
+            order.expiryTimer = setTimeout(() => this.expire(order), delay);
+            order.expiryTimer.unref?.();
+        }
+
+        this.publish(order);
+
+        const pending = this.unmatchedEvents.get(brokerOrderId);
+        if (pending) {
+            this.unmatchedEvents.delete(brokerOrderId);
+            this.onBrokerOrder(pending);
+        }
+
+        return order;
+    }
+
+    /**
+     * A working order by the client order ID its instance knows it by
+     */
+    find(instanceId, orderId) {
+        const brokerOrderId = this.clientOrders.get(this.getClientKey(instanceId, orderId));
+        return brokerOrderId ? this.orders.get(brokerOrderId) || null : null;
+    }
+
+    /**
+     * GatewayUserOrder event from the user hub or the paper broker
+     */
+    onBrokerOrder(data) {
+        if (!data || data.id === undefined || data.id === null) return;
+
+        const brokerOrderId = String(data.id);
+        const order = this.orders.get(brokerOrderId);
+        if (!order) {
+            this.holdUnmatched(brokerOrderId, data);
+            return;
+        }
+
+        let status = BROKER_STATUS[data.status] || order.status;
+        if (status === 'CANCELLED' && order.expiring) status = 'EXPIRED';
+
+        const fillVolume = data.fillVolume ?? order.fillVolume;
+        if (status === 'WORKING' && fillVolume > 0) status = 'PARTIALLY_FILLED';
+
+        const limitPrice = data.limitPrice ?? order.limitPrice;
+        const stopPrice = data.stopPrice ?? order.stopPrice;
+        const quantity = data.size ?? order.quantity;
+        const changed = status !== order.status || fillVolume !== order.fillVolume || quantity !== order.quantity ||
+            limitPrice !== order.limitPrice || stopPrice !== order.stopPrice;
+        if (!changed) return;
+
+        order.status = status;
+        order.fillVolume = fillVolume;
+        order.filledPrice = data.filledPrice ?? order.filledPrice;
+        order.limitPrice = limitPrice;
+        order.stopPrice = stopPrice;
+        order.quantity = quantity;
+
+        this.publish(order);
+
+        if (TERMINAL.includes(status)) {
+            this.finish(order);
+        }
+    }
+
+    /**
+     * The order's time in force ran out - the Connection Manager cancels it
+     */
+    expire(order) {
+        order.expiryTimer = null;
+        if (!this.orders.has(order.topStepOrderId)) return;
+
+        const remaining = order.expireAt - Date.now();
+        if (remaining > 0) {
+            order.expiryTimer = setTimeout(() => this.expire(order), Math.min(remaining, 2 ** 31 - 1));
+            order.expiryTimer.unref?.();
+            return;
+        }
+
+        console.log(`⏰ [ORDERS] ${order.timeInForce} order ${order.orderId} (${order.topStepOrderId}) expired - cancelling`);
+        order.expiring = true;
+        this.emit('expire', order);
+    }
+
+    /**
+     * The expiry cancel failed - the order is still working
+     */
+    expiryFailed(order, error) {
+        order.expiring = false;
+        console.error(`❌ [ORDERS] Could not cancel expired order ${order.orderId}: ${error}`);
+    }
+
+    finish(order) {
+        if (order.expiryTimer) {
+            clearTimeout(order.expiryTimer);
+            order.expiryTimer = null;
+        }
+
+        this.orders.delete(order.topStepOrderId);
+        this.clientOrders.delete(this.getClientKey(order.instanceId, order.orderId));
+
+        if (order.status === 'FILLED') this.stats.ordersFilled++;
+        if (order.status === 'CANCELLED') this.stats.ordersCancelled++;
+        if (order.status === 'EXPIRED') this.stats.ordersExpired++;
+
+        this.emit('orderDone', order);
+    }
+
+    publish(order) {
+        this.eventBroadcaster.publish('ORDER_STATUS_UPDATE', {
+            instanceId: order.instanceId,
+            orderId: order.orderId,
+            topStepOrderId: order.topStepOrderId,
+            accountId: order.accountId,
+            instrument: order.instrument,
+            status: order.status,
+            orderType: order.orderType,
+            side: order.side,
+            quantity: order.quantity,
+            fillVolume: order.fillVolume,
+            filledPrice: order.filledPrice,
+            limitPrice: order.limitPrice,
+            stopPrice: order.stopPrice,
+            timeInForce: order.timeInForce,
+            expireAt: order.expireAt ? new Date(order.expireAt).toISOString() : null,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * When a resting order stops working
+     * @returns {number|null} Epoch ms, null for GTC
+     */
+    getExpiry(timeInForce, expireAt, instrument) {
+        if (timeInForce === 'GTD') return new Date(expireAt).getTime();
+        if (timeInForce !== 'DAY') return null;
+
+        // The close of the session the order was placed in - or of the next one while the market is closed
+        const calendar = this.getCalendar(instrument);
+        let session = calendar.getSession(Date.now());
+        if (!session.inSession) session = calendar.getSession(session.close);
+        return session.close;
+    }
+
+    getCalendar(instrument) {
+        const root = instrumentRegistry.getSymbolRoot(instrument) || instrument;
+        if (!this.calendars.has(root)) {
+            this.calendars.set(root, new TradingSchedule(instrumentRegistry.getTradingHours(instrument) || {}));
+        }
+        return this.calendars.get(root);
+    }
+
+    holdUnmatched(brokerOrderId, data) {
+        this.unmatchedEvents.delete(brokerOrderId);
+        this.unmatchedEvents.set(brokerOrderId, data);
+
+        // Orders placed by other clients on the account are never matched
+        if (this.unmatchedEvents.size > this.config.maxUnmatchedEvents) {
+            this.unmatchedEvents.delete(this.unmatchedEvents.keys().next().value);
+        }
+    }
+
+    getClientKey(instanceId, orderId) {
+        return `${instanceId}:${orderId}`;
+    }
+
+    getStatus() {
+        return {
+            working: [...this.orders.values()].map(({ expiryTimer, ...order }) => order),
+            stats: { ...this.stats }
+        };
+    }
+}
+
+WorkingOrderService.TIME_IN_FORCE = TIME_IN_FORCE;
+
+module.exports = WorkingOrderService;
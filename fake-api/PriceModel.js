@@ -0,0 +1,192 @@
+// fake-api/PriceModel.js
+// Deterministic synthetic price path for one instrument
+// Prices are a pure function of time (layered daily / multi-day / intraday waves
+// plus hashed noise), so the same request always returns the same bars and the
+// live feed lines up with history without storing anything. The futures week is
+// respected: no bars between Friday 21:00 and Sunday 22:00 UTC or during the
+// daily 21:00-22:00 UTC maintenance break.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// TopStepX History/retrieveBars units
+const BAR_UNIT_MS = {
+    1: 1000,                       // Second
+    2: MINUTE_MS,                  // Minute
+    3: 60 * MINUTE_MS,             // Hour
+    4: DAY_MINUTES * MINUTE_MS,    // Day
+    5: 7 * DAY_MINUTES * MINUTE_MS, // Week
+    6: 30 * DAY_MINUTES * MINUTE_MS // Month (approximate)
+};
+
+const MAX_BARS = 20000;
+
+class PriceModel {
+    /**
+     * @param {Object} config - { symbol, basePrice, tickSize, dailyRangePct, seed, alwaysOpen }
+     */
+    constructor(config = {}) {
+        this.config = {
+            basePrice: 100,
+            tickSize: 0.25,
+            dailyRangePct: 0.01,      // Typical high-low range as a fraction of price
+            seed: 1,
+            alwaysOpen: false,        // Ignore the futures week (tests that must not depend on the clock)
+            ...config
+        };
+
+        // Derive a per-symbol seed so instruments do not move in lockstep
+        this.seed = this.hash(String(this.config.symbol || '').split('').reduce(
+            (seed, char) => seed * 31 + char.charCodeAt(0), this.config.seed));
+    }
+
+    /**
+     * Price at a moment, rounded to the tick
+     */
+    priceAt(time) {
+        const t = new Date(time).getTime();
+        const minute = Math.floor(t / MINUTE_MS);
+        const fraction = (t - minute * MINUTE_MS) / MINUTE_MS;
+
+        const from = this.midAt(minute);
+        const to = this.midAt(minute + 1);
+        const wiggle = this.noise(Math.floor(t / 1000), 7) * this.config.tickSize;
+
+        return this.roundToTick(from + (to - from) * fraction + wiggle);
+    }
+
+    /**
+     * Mid price at the start of an epoch minute
+     */
+    midAt(minute) {
+        const { basePrice, dailyRangePct, tickSize } = this.config;
+        const phase = (this.seed % 1000) / 1000 * 2 * Math.PI;
+        const amplitude = basePrice * dailyRangePct / 2;
+
+        const wave =
+            Math.sin(2 * Math.PI * minute / DAY_MINUTES + phase) * amplitude * 0.6 +
+            Math.sin(2 * Math.PI * minute / (DAY_MINUTES * 5.3) + phase * 2) * amplitude * 1.5 +
+            Math.sin(2 * Math.PI * minute / 97 + phase * 3) * amplitude * 0.25;
+
+        return basePrice + wave + this.noise(minute, 1) * tickSize * 3;
+    }
+
+    /**
+     * One-minute bar starting at an epoch minute, or null when the market is closed
+     */
+    minuteBar(minute) {
+        if (!this.isOpen(minute * MINUTE_MS)) return null;
+
+        const { tickSize } = this.config;
+        const open = this.roundToTick(this.midAt(minute));
+        const close = this.roundToTick(this.midAt(minute + 1));
+
+        return {
+            t: minute * MINUTE_MS,
+            o: open,
+            h: this.roundToTick(Math.max(open, close) + Math.abs(this.noise(minute, 2)) * tickSize * 2),
+            l: this.roundToTick(Math.min(open, close) - Math.abs(this.noise(minute, 3)) * tickSize * 2),
+            c: close,
+            v: Math.round(40 + Math.abs(this.noise(minute, 4)) * 260)
+        };
+    }
+
+    /**
+     * Bars in the TopStepX History/retrieveBars shape, newest first
+     * @param {Object} request - { startTime, endTime, unit, unitNumber, limit, includePartialBar }
+     */
+    getBars(request = {}) {
+        const unitMs = BAR_UNIT_MS[request.unit] || MINUTE_MS;
+        const spanMs = unitMs * Math.max(1, parseInt(request.unitNumber, 10) || 1);
+        const now = Date.now();
+        const end = Math.min(request.endTime ? new Date(request.endTime).getTime() : now, now);
+        const start = request.startTime ? new Date(request.startTime).getTime() : end - spanMs * 100;
+        const limit = Math.min(parseInt(request.limit, 10) || MAX_BARS, MAX_BARS);
+
+        const bars = [];
+        let barStart = Math.floor(end / spanMs) * spanMs;
+
+        while (barStart >= Math.floor(start / spanMs) * spanMs && bars.length < limit) {
+            const partial = barStart + spanMs > now;
+            if (!partial || request.includePartialBar) {
+                const bar = this.aggregate(barStart, Math.min(barStart + spanMs, now), unitMs < MINUTE_MS);
+                if (bar) bars.push(bar);
+            }
+            barStart -= spanMs;
+        }
+
+        return bars;
+    }
+
+    aggregate(from, to, subMinute) {
+        if (subMinute) {
+            if (!this.isOpen(from)) return null;
+            const open = this.priceAt(from);
+            const close = this.priceAt(to);
+            return {
+                t: new Date(from).toISOString(),
+                o: open,
+                h: Math.max(open, close),
+                l: Math.min(open, close),
+                c: close,
+                v: Math.round(1 + Math.abs(this.noise(Math.floor(from / 1000), 5)) * 10)
+            };
+        }
+
+        let bar = null;
+        for (let minute = Math.floor(from / MINUTE_MS); minute * MINUTE_MS < to; minute++) {
+            const candle = this.minuteBar(minute);
+            if (!candle) continue;
+
+            if (!bar) {
+                bar = { ...candle, t: new Date(from).toISOString() };
+            } else {
+                bar.h = Math.max(bar.h, candle.h);
+                bar.l = Math.min(bar.l, candle.l);
+                bar.c = candle.c;
+                bar.v += candle.v;
+            }
+        }
+
+        return bar;
+    }
+
+    /**
+     * CME Globex hours for metals / equity index futures, in UTC
+     */
+    isOpen(time) {
+        if (this.config.alwaysOpen) return true;
+
+        const date = new Date(time);
+        const day = date.getUTCDay();
+        const hour = date.getUTCHours();
+
+        if (day === 6) return false;                  // Saturday
+        if (day === 5 && hour >= 21) return false;    // Friday close
+        if (day === 0 && hour < 22) return false;     // Sunday open
+        return hour !== 21;                           // Daily maintenance break
+    }
+
+    roundToTick(price) {
+        const { tickSize } = this.config;
+        return parseFloat((Math.round(price / tickSize) * tickSize).toFixed(tickSize < 0.01 ? 4 : 2));
+    }
+
+    /**
+     * Deterministic noise in [-1, 1] for an integer position and channel
+     */
+    noise(position, channel) {
+        return (this.hash(position * 16 + channel + this.seed) / 0xffffffff) * 2 - 1;
+    }
+
+    hash(value) {
+        let h = (value | 0) ^ 0x9e3779b9;
+        h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+        h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+}
+
+PriceModel.BAR_UNIT_MS = BAR_UNIT_MS;
+
+module.exports = PriceModel;
@@ -0,0 +1,713 @@
+// fake-api/RedisServer.js
+// In-process Redis stand-in for tests and offline runs
+// Implements the RESP2 subset the services use: pub/sub (SUBSCRIBE, PSUBSCRIBE,
+// PUBLISH), plain keys, hashes, lists and streams with consumer groups (including
+// blocking XREADGROUP), plus the connection commands node-redis sends on connect.
+// Data lives in memory and disappears when the server stops.
+
+const net = require('net');
+
+class RedisServer {
+    /**
+     * @param {Object} config - { host, port } - port 0 picks a free port
+     */
+    constructor(config = {}) {
+        this.config = {
+            host: '127.0.0.1',
+            port: 0,
+            ...config
+        };
+
+        this.server = null;
+        this.clients = new Set();
+        this.strings = new Map();     // key -> { value, expiresAt }
+        this.hashes = new Map();      // key -> Map(field -> value)
+        this.lists = new Map();       // key -> array
+        this.streams = new Map();     // key -> { entries, lastId, groups }
+        this.blocked = new Set();     // clients waiting in XREADGROUP BLOCK
+        this.stats = {
+            connections: 0,
+            commands: 0,
+            published: 0
+        };
+    }
+
+    async start() {
+        this.server = net.createServer(socket => this.handleConnection(socket));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, resolve);
+        });
+
+        this.port = this.server.address().port;
+        this.url = `redis://${this.config.host}:${this.port}`;
+        console.log(`🧪 [FAKE REDIS] Listening on ${this.url}`);
+        return this.url;
+    }
+
+    async stop() {
+        for (const client of this.blocked) {
+            clearTimeout(client.blocked.timer);
+        }
+        this.blocked.clear();
+
+        for (const client of this.clients) {
+            client.socket.destroy();
+        }
+        this.clients.clear();
+
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    handleConnection(socket) {
+        const client = {
+            socket,
+            buffer: Buffer.alloc(0),
+            channels: new Set(),
+            patterns: new Set(),
+            name: null,
+            blocked: null
+        };
+        this.clients.add(client);
+        this.stats.connections++;
+
+        socket.setNoDelay(true);
+        socket.on('data', data => {
+            client.buffer = Buffer.concat([client.buffer, data]);
+            this.drain(client);
+        });
+        socket.on('close', () => this.disconnectClient(client));
+        socket.on('error', () => this.disconnectClient(client));
+    }
+
+    /**
+     * Run every complete command on the client's buffer. A blocked client's
+     * later commands wait until its XREADGROUP has answered, as in Redis.
+     */
+    drain(client) {
+        let command;
+        while (!client.blocked && (command = this.parseCommand(client))) {
+            this.execute(client, command);
+        }
+    }
+
+    disconnectClient(client) {
+        if (client.blocked) {
+            clearTimeout(client.blocked.timer);
+            this.blocked.delete(client);
+            client.blocked = null;
+        }
+        this.clients.delete(client);
+    }
+
+    /**
+     * Take one complete command (RESP array of bulk strings, or an inline
+     * command) off the client's buffer. Returns null until a full command arrived.
+     */
+    parseCommand(client) {
+        const buffer = client.buffer;
+        if (buffer.length === 0) return null;
+
+        if (buffer[0] !== 0x2a) { // '*'
+            const end = buffer.indexOf('\r\n');
+            if (end === -1) return null;
+            client.buffer = buffer.subarray(end + 2);
+            const inline = buffer.subarray(0, end).toString().trim();
+            return inline ? inline.split(/\s+/) : this.parseCommand(client);
+        }
+
+        let offset = buffer.indexOf('\r\n');
+        if (offset === -1) return null;
+        const count = parseInt(buffer.subarray(1, offset).toString(), 10);
+        offset += 2;
+
+        const args = [];
+        for (let i = 0; i < count; i++) {
+            const lineEnd = buffer.indexOf('\r\n', offset);
+            if (lineEnd === -1) return null;
+            const length = parseInt(buffer.subarray(offset + 1, lineEnd).toString(), 10);
+            const start = lineEnd + 2;
+            if (buffer.length < start + length + 2) return null;
+            args.push(buffer.subarray(start, start + length).toString());
+            offset = start + length + 2;
+        }
+
+        client.buffer = buffer.subarray(offset);
+        return args;
+    }
+
+    execute(client, [name, ...args]) {
+        this.stats.commands++;
+        const command = String(name).toUpperCase();
+
+        try {
+            switch (command) {
+                // Connection
+                case 'PING':
+                    if (client.channels.size + client.patterns.size > 0) {
+                        return this.write(client, ['pong', args[0] || '']);
+                    }
+                    return this.write(client, args.length ? args[0] : { status: 'PONG' });
+                case 'ECHO':
+                    return this.write(client, args[0]);
+                case 'SELECT':
+                case 'AUTH':
+                    return this.write(client, { status: 'OK' });
+                case 'CLIENT':
+                    if (String(args[0]).toUpperCase() === 'SETNAME') client.name = args[1];
+                    if (String(args[0]).toUpperCase() === 'GETNAME') return this.write(client, client.name);
+                    return this.write(client, { status: 'OK' });
+                case 'INFO':
+                    return this.write(client, `# Server\r\nredis_version:7.0.0-fake\r\nconnected_clients:${this.clients.size}\r\n`);
+                case 'QUIT':
+                    this.write(client, { status: 'OK' });
+                    return client.socket.end();
+
+                // Pub/sub
+                case 'PUBLISH':
+                    return this.write(client, this.publish(args[0], args[1]));
+                case 'SUBSCRIBE':
+                    return this.subscribe(client, args, client.channels, 'subscribe');
+                case 'PSUBSCRIBE':
+                    return this.subscribe(client, args, client.patterns, 'psubscribe');
+                case 'UNSUBSCRIBE':
+                    return this.unsubscribe(client, args, client.channels, 'unsubscribe');
+                case 'PUNSUBSCRIBE':
+                    return this.unsubscribe(client, args, client.patterns, 'punsubscribe');
+
+                // Keys
+                case 'GET':
+                    return this.write(client, this.getString(args[0]));
+                case 'SET':
+                    return this.write(client, this.setString(args));
+                case 'SETEX':
+                    return this.write(client, this.setString([args[0], args[2], 'EX', args[1]]));
+                case 'DEL':
+                    return this.write(client, args.filter(key => this.deleteKey(key)).length);
+                case 'EXISTS':
+                    return this.write(client, args.filter(key => this.hasKey(key)).length);
+                case 'EXPIRE':
+                    return this.write(client, this.expire(args[0], parseInt(args[1], 10) * 1000));
+                case 'KEYS':
+                    return this.write(client, this.keys(args[0]));
+                case 'INCR':
+                case 'INCRBY': {
+                    const value = (parseInt(this.getString(args[0]) || '0', 10)) + (command === 'INCR' ? 1 : parseInt(args[1], 10));
+                    this.strings.set(args[0], { value: String(value), expiresAt: null });
+                    return this.write(client, value);
+                }
+                case 'FLUSHDB':
+                case 'FLUSHALL':
+                    this.strings.clear();
+                    this.hashes.clear();
+                    this.lists.clear();
+                    this.streams.clear();
+                    return this.write(client, { status: 'OK' });
+
+                // Hashes
+                case 'HSET':
+                case 'HMSET': {
+                    const hash = this.hashes.get(args[0]) || new Map();
+                    let added = 0;
+                    for (let i = 1; i < args.length; i += 2) {
+                        if (!hash.has(args[i])) added++;
+                        hash.set(args[i], args[i + 1]);
+                    }
+                    this.hashes.set(args[0], hash);
+                    return this.write(client, command === 'HMSET' ? { status: 'OK' } : added);
+                }
+                case 'HGET':
+                    return this.write(client, this.hashes.get(args[0])?.get(args[1]) ?? null);
+                case 'HGETALL':
+                    return this.write(client, [...(this.hashes.get(args[0]) || new Map())].flat());
+                case 'HDEL': {
+                    const hash = this.hashes.get(args[0]);
+                    return this.write(client, hash ? args.slice(1).filter(field => hash.delete(field)).length : 0);
+                }
+
+                // Lists
+                case 'LPUSH':
+                case 'RPUSH': {
+                    const list = this.lists.get(args[0]) || [];
+                    for (const value of args.slice(1)) {
+                        command === 'LPUSH' ? list.unshift(value) : list.push(value);
+                    }
+                    this.lists.set(args[0], list);
+                    return this.write(client, list.length);
+                }
+                case 'LRANGE':
+                    return this.write(client, this.range(this.lists.get(args[0]) || [], args[1], args[2]));
+                case 'LTRIM':
+                    this.lists.set(args[0], this.range(this.lists.get(args[0]) || [], args[1], args[2]));
+                    return this.write(client, { status: 'OK' });
+                case 'LLEN':
+                    return this.write(client, (this.lists.get(args[0]) || []).length);
+
+                // Streams
+                case 'XADD':
+                    return this.write(client, this.streamAdd(args));
+                case 'XLEN':
+                    return this.write(client, this.streams.get(args[0])?.entries.length || 0);
+                case 'XRANGE':
+                    return this.write(client, this.streamRange(args));
+                case 'XGROUP':
+                    return this.write(client, this.streamGroup(args));
+                case 'XREADGROUP':
+                    return this.streamReadGroup(client, args);
+                case 'XACK':
+                    return this.write(client, this.streamAck(args));
+                case 'XAUTOCLAIM':
+                    return this.write(client, this.streamAutoClaim(args));
+                case 'XPENDING':
+                    return this.write(client, this.streamPending(args));
+
+                default:
+                    return this.write(client, { error: `ERR unknown command '${name}'` });
+            }
+        } catch (error) {
+            return this.write(client, { error: `ERR ${error.message}` });
+        }
+    }
+
+    publish(channel, message) {
+        let receivers = 0;
+        this.stats.published++;
+
+        for (const client of this.clients) {
+            if (client.channels.has(channel)) {
+                this.write(client, ['message', channel, message]);
+                receivers++;
+            }
+            for (const pattern of client.patterns) {
+                if (this.matches(pattern, channel)) {
+                    this.write(client, ['pmessage', pattern, channel, message]);
+                    receivers++;
+                }
+            }
+        }
+
+        return receivers;
+    }
+
+    subscribe(client, names, set, kind) {
+        for (const name of names) {
+            set.add(name);
+            this.write(client, [kind, name, client.channels.size + client.patterns.size]);
+        }
+    }
+
+    unsubscribe(client, names, set, kind) {
+        const targets = names.length ? names : [...set];
+        if (targets.length === 0) {
+            return this.write(client, [kind, null, client.channels.size + client.patterns.size]);
+        }
+        for (const name of targets) {
+            set.delete(name);
+            this.write(client, [kind, name, client.channels.size + client.patterns.size]);
+        }
+    }
+
+    getString(key) {
+        const entry = this.strings.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.strings.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    setString([key, value, ...options]) {
+        let expiresAt = null;
+        let condition = null;
+
+        for (let i = 0; i < options.length; i++) {
+            const option = String(options[i]).toUpperCase();
+            if (option === 'EX') expiresAt = Date.now() + parseInt(options[++i], 10) * 1000;
+            else if (option === 'PX') expiresAt = Date.now() + parseInt(options[++i], 10);
+            else if (option === 'NX' || option === 'XX') condition = option;
+        }
+
+        const exists = this.getString(key) !== null;
+        if ((condition === 'NX' && exists) || (condition === 'XX' && !exists)) {
+            return null;
+        }
+
+        this.strings.set(key, { value, expiresAt });
+        return { status: 'OK' };
+    }
+
+    hasKey(key) {
+        return this.getString(key) !== null || this.hashes.has(key) || this.lists.has(key) || this.streams.has(key);
+    }
+
+    deleteKey(key) {
+        const existed = this.hasKey(key);
+        this.strings.delete(key);
+        this.hashes.delete(key);
+        this.lists.delete(key);
+        this.streams.delete(key);
+        return existed;
+    }
+
+    expire(key, ms) {
+        const entry = this.strings.get(key);
+        if (!entry) return 0;
+        entry.expiresAt = Date.now() + ms;
+        return 1;
+    }
+
+    keys(pattern) {
+        const names = new Set([...this.strings.keys(), ...this.hashes.keys(), ...this.lists.keys(), ...this.streams.keys()]);
+        return [...names].filter(key => this.hasKey(key) && this.matches(pattern, key));
+    }
+
+    range(list, start, stop) {
+        const length = list.length;
+        let from = parseInt(start, 10);
+        let to = parseInt(stop, 10);
+        if (from < 0) from = Math.max(0, length + from);
+        if (to < 0) to = length + to;
+        return list.slice(from, to + 1);
+    }
+
+    /**
+     * XADD key [NOMKSTREAM] [MAXLEN [~|=] n] <* | id> field value ...
+     */
+    streamAdd(args) {
+        const key = args[0];
+        let i = 1;
+        let create = true;
+        let maxLength = null;
+        for (;;) {
+            const option = String(args[i]).toUpperCase();
+            if (option === 'NOMKSTREAM') {
+                create = false;
+                i++;
+            } else if (option === 'MAXLEN') {
+                i++;
+                if (args[i] === '~' || args[i] === '=') i++;
+                maxLength = parseInt(args[i++], 10);
+                if (String(args[i]).toUpperCase() === 'LIMIT') i += 2;
+            } else {
+                break;
+            }
+        }
+
+        let stream = this.streams.get(key);
+        if (!stream) {
+            if (!create) return null;
+            stream = { entries: [], lastId: [0, 0], groups: new Map() };
+            this.streams.set(key, stream);
+        }
+
+        const id = this.nextStreamId(stream, args[i]);
+        stream.entries.push({ id, fields: args.slice(i + 1) });
+        stream.lastId = this.parseStreamId(id);
+        if (maxLength !== null && stream.entries.length > maxLength) {
+            stream.entries.splice(0, stream.entries.length - maxLength);
+        }
+
+        this.wakeStreamReaders(key);
+        return id;
+    }
+
+    nextStreamId(stream, requested) {
+        const [lastMs, lastSeq] = stream.lastId;
+        if (requested === '*') {
+            const now = Date.now();
+            return now > lastMs ? `${now}-0` : `${lastMs}-${lastSeq + 1}`;
+        }
+
+        const [ms, seq] = this.parseStreamId(requested);
+        if (this.compareStreamIds([ms, seq], stream.lastId) <= 0) {
+            throw new Error('The ID specified in XADD is equal or smaller than the target stream top item');
+        }
+        return `${ms}-${seq}`;
+    }
+
+    parseStreamId(id, missingSequence = 0) {
+        if (id === '-') return [0, 0];
+        if (id === '+') return [Infinity, Infinity];
+        const [ms, seq] = String(id).split('-');
+        return [parseInt(ms, 10), seq === undefined ? missingSequence : parseInt(seq, 10)];
+    }
+
+    compareStreamIds(a, b) {
+        return a[0] !== b[0] ? Math.sign(a[0] - b[0]) : Math.sign(a[1] - b[1]);
+    }
+
+    streamEntry(stream, id) {
+        return stream.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * XRANGE key start end [COUNT n]
+     */
+    streamRange([key, start, end, countOption, count]) {
+        const stream = this.streams.get(key);
+        if (!stream) return [];
+
+        const from = this.parseStreamId(start);
+        const to = this.parseStreamId(end, Infinity);
+        const limit = String(countOption).toUpperCase() === 'COUNT' ? parseInt(count, 10) : Infinity;
+        return stream.entries
+            .filter(entry => {
+                const id = this.parseStreamId(entry.id);
+                return this.compareStreamIds(id, from) >= 0 && this.compareStreamIds(id, to) <= 0;
+            })
+            .slice(0, limit)
+            .map(entry => [entry.id, entry.fields]);
+    }
+
+    /**
+     * XGROUP CREATE key group <id | $> [MKSTREAM], XGROUP DESTROY key group
+     */
+    streamGroup([subcommand, key, group, id, ...options]) {
+        let stream = this.streams.get(key);
+
+        switch (String(subcommand).toUpperCase()) {
+            case 'CREATE':
+                if (!stream) {
+                    if (!options.some(option => String(option).toUpperCase() === 'MKSTREAM')) {
+                        throw new Error('The XGROUP subcommand requires the key to exist');
+                    }
+                    stream = { entries: [], lastId: [0, 0], groups: new Map() };
+                    this.streams.set(key, stream);
+                }
+                if (stream.groups.has(group)) {
+                    return { error: 'BUSYGROUP Consumer Group name already exists' };
+                }
+                stream.groups.set(group, {
+                    lastDeliveredId: id === '$' ? [...stream.lastId] : this.parseStreamId(id),
+                    pending: new Map()          // entry id -> { consumer, deliveredAt, deliveries }
+                });
+                return { status: 'OK' };
+            case 'DESTROY':
+                return stream?.groups.delete(group) ? 1 : 0;
+            default:
+                throw new Error(`unknown XGROUP subcommand '${subcommand}'`);
+        }
+    }
+
+    /**
+     * XREADGROUP GROUP group consumer [COUNT n] [BLOCK ms] [NOACK] STREAMS key ... id ...
+     * '>' reads entries no consumer of the group has seen; any other id re-reads
+     * this consumer's own pending entries after it.
+     */
+    streamReadGroup(client, args) {
+        const request = { group: args[1], consumer: args[2], count: Infinity, block: null, noAck: false, keys: [], ids: [] };
+        let i = 3;
+        for (; i < args.length; i++) {
+            const option = String(args[i]).toUpperCase();
+            if (option === 'COUNT') request.count = parseInt(args[++i], 10);
+            else if (option === 'BLOCK') request.block = parseInt(args[++i], 10);
+            else if (option === 'NOACK') request.noAck = true;
+            else if (option === 'STREAMS') break;
+        }
+        const streams = args.slice(i + 1);
+        request.keys = streams.slice(0, streams.length / 2);
+        request.ids = streams.slice(streams.length / 2);
+
+        for (const key of request.keys) {
+            if (!this.streams.get(key)?.groups.has(request.group)) {
+                return this.write(client, { error: `NOGROUP No such key '${key}' or consumer group '${request.group}' in XREADGROUP with GROUP option` });
+            }
+        }
+
+        const reply = this.readGroupEntries(request);
+        if (reply || request.block === null || !request.ids.includes('>')) {
+            return this.write(client, reply);
+        }
+
+        // Nothing new yet - answer when an entry arrives or the block times out
+        client.blocked = { request, timer: null };
+        if (request.block > 0) {
+            client.blocked.timer = setTimeout(() => this.unblock(client, null), request.block);
+        }
+        this.blocked.add(client);
+    }
+
+    readGroupEntries({ group: groupName, consumer, count, noAck, keys, ids }) {
+        const reply = [];
+
+        keys.forEach((key, index) => {
+            const stream = this.streams.get(key);
+            const group = stream.groups.get(groupName);
+            const now = Date.now();
+
+            if (ids[index] !== '>') {
+                const after = this.parseStreamId(ids[index]);
+                const history = [...group.pending]
+                    .filter(([id, pending]) => pending.consumer === consumer && this.compareStreamIds(this.parseStreamId(id), after) > 0)
+                    .sort(([a], [b]) => this.compareStreamIds(this.parseStreamId(a), this.parseStreamId(b)))
+                    .slice(0, count)
+                    .map(([id, pending]) => {
+                        pending.deliveries++;
+                        pending.deliveredAt = now;
+                        return [id, this.streamEntry(stream, id)?.fields ?? null];
+                    });
+                reply.push([key, history]);
+                return;
+            }
+
+            const entries = stream.entries
+                .filter(entry => this.compareStreamIds(this.parseStreamId(entry.id), group.lastDeliveredId) > 0)
+                .slice(0, count);
+            if (entries.length === 0) return;
+
+            group.lastDeliveredId = this.parseStreamId(entries[entries.length - 1].id);
+            if (!noAck) {
+                for (const entry of entries) {
+                    group.pending.set(entry.id, { consumer, deliveredAt: now, deliveries: 1 });
+                }
+            }
+            reply.push([key, entries.map(entry => [entry.id, entry.fields])]);
+        });
+
+        return reply.length ? reply : null;
+    }
+
+    wakeStreamReaders(key) {
+        for (const client of this.blocked) {
+            const { request } = client.blocked;
+            if (!request.keys.includes(key)) continue;
+            const reply = this.readGroupEntries(request);
+            if (reply) this.unblock(client, reply);
+        }
+    }
+
+    unblock(client, reply) {
+        clearTimeout(client.blocked.timer);
+        client.blocked = null;
+        this.blocked.delete(client);
+        this.write(client, reply);
+        this.drain(client);
+    }
+
+    /**
+     * XACK key group id ...
+     */
+    streamAck([key, groupName, ...ids]) {
+        const group = this.streams.get(key)?.groups.get(groupName);
+        return group ? ids.filter(id => group.pending.delete(id)).length : 0;
+    }
+
+    /**
+     * XAUTOCLAIM key group consumer min-idle-time start [COUNT n] - hands entries
+     * pending longer than min-idle-time to consumer and counts a delivery
+     */
+    streamAutoClaim([key, groupName, consumer, minIdle, start, countOption, count]) {
+        const stream = this.streams.get(key);
+        const group = stream?.groups.get(groupName);
+        if (!group) {
+            throw new Error(`NOGROUP No such key '${key}' or consumer group '${groupName}'`);
+        }
+
+        const now = Date.now();
+        const limit = String(countOption).toUpperCase() === 'COUNT' ? parseInt(count, 10) : 100;
+        const from = this.parseStreamId(start);
+        const candidates = [...group.pending]
+            .filter(([id, pending]) => this.compareStreamIds(this.parseStreamId(id), from) >= 0 && now - pending.deliveredAt >= parseInt(minIdle, 10))
+            .sort(([a], [b]) => this.compareStreamIds(this.parseStreamId(a), this.parseStreamId(b)));
+
+        const claimed = [];
+        const deleted = [];
+        for (const [id, pending] of candidates.slice(0, limit)) {
+            const entry = this.streamEntry(stream, id);
+            if (!entry) {
+                group.pending.delete(id);
+                deleted.push(id);
+                continue;
+            }
+            pending.consumer = consumer;
+            pending.deliveredAt = now;
+            pending.deliveries++;
+            claimed.push([id, entry.fields]);
+        }
+
+        const next = candidates[limit] ? candidates[limit][0] : '0-0';
+        return [next, claimed, deleted];
+    }
+
+    /**
+     * XPENDING key group - the summary, or
+     * XPENDING key group [IDLE ms] start end count [consumer] - one row per entry
+     */
+    streamPending([key, groupName, ...options]) {
+        const group = this.streams.get(key)?.groups.get(groupName);
+        if (!group) {
+            throw new Error(`NOGROUP No such key '${key}' or consumer group '${groupName}'`);
+        }
+
+        const now = Date.now();
+        const pending = [...group.pending]
+            .sort(([a], [b]) => this.compareStreamIds(this.parseStreamId(a), this.parseStreamId(b)));
+
+        if (options.length === 0) {
+            if (pending.length === 0) return [0, null, null, null];
+            const perConsumer = new Map();
+            for (const [, entry] of pending) {
+                perConsumer.set(entry.consumer, (perConsumer.get(entry.consumer) || 0) + 1);
+            }
+            return [
+                pending.length,
+                pending[0][0],
+                pending[pending.length - 1][0],
+                [...perConsumer].map(([consumer, total]) => [consumer, String(total)])
+            ];
+        }
+
+        let minIdle = 0;
+        if (String(options[0]).toUpperCase() === 'IDLE') {
+            minIdle = parseInt(options[1], 10);
+            options = options.slice(2);
+        }
+        const [start, end, count, consumer] = options;
+        const from = this.parseStreamId(start);
+        const to = this.parseStreamId(end, Infinity);
+        return pending
+            .filter(([id, entry]) => {
+                const parsed = this.parseStreamId(id);
+                return this.compareStreamIds(parsed, from) >= 0 &&
+                    this.compareStreamIds(parsed, to) <= 0 &&
+                    now - entry.deliveredAt >= minIdle &&
+                    (!consumer || entry.consumer === consumer);
+            })
+            .slice(0, parseInt(count, 10))
+            .map(([id, entry]) => [id, entry.consumer, now - entry.deliveredAt, entry.deliveries]);
+    }
+
+    /**
+     * Redis glob-style pattern match (*, ? and [...])
+     */
+    matches(pattern, value) {
+        const source = String(pattern).replace(/[.+^${}()|\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return new RegExp(`^${source}$`).test(value);
+    }
+
+    write(client, value) {
+        if (!client.socket.destroyed) {
+            client.socket.write(this.encode(value));
+        }
+    }
+
+    encode(value) {
+        if (value === null || value === undefined) return '$-1\r\n';
+        if (Array.isArray(value)) return `*${value.length}\r\n${value.map(item => this.encode(item)).join('')}`;
+        if (typeof value === 'number') return `:${value}\r\n`;
+        if (value.status) return `+${value.status}\r\n`;
+        if (value.error) return `-${value.error}\r\n`;
+
+        const text = String(value);
+        return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+    }
+}
+
+module.exports = RedisServer;
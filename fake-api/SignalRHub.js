@@ -0,0 +1,215 @@
+// fake-api/SignalRHub.js
+// Minimal SignalR hub server (JSON protocol over WebSockets)
+// Speaks just enough of the protocol for @microsoft/signalr clients that connect
+// with skipNegotiation + WebSockets, the way MarketDataService does: handshake,
+// client invocations with completions, server-to-client invocations, pings and close.
+
+const EventEmitter = require('events');
+const { WebSocketServer } = require('ws');
+
+const RECORD_SEPARATOR = '\x1e';
+
+// SignalR hub message types
+const MESSAGE_TYPE = {
+    INVOCATION: 1,
+    COMPLETION: 3,
+    PING: 6,
+    CLOSE: 7
+};
+
+class SignalRHub extends EventEmitter {
+    /**
+     * @param {string} name - Hub name, used in logs (e.g. 'market')
+     * @param {Object} config - { pingIntervalMs, authenticate(token) => boolean }
+     */
+    constructor(name, config = {}) {
+        super();
+
+        this.name = name;
+        this.config = {
+            pingIntervalMs: 10000,
+            authenticate: () => true,
+            ...config
+        };
+
+        this.methods = new Map();     // hub method name -> handler(client, ...args)
+        this.clients = new Set();
+        this.nextClientId = 1;
+
+        this.wss = new WebSocketServer({ noServer: true });
+        this.wss.on('connection', (socket, request) => this.handleConnection(socket, request));
+    }
+
+    /**
+     * Register a hub method clients can invoke. The handler's return value
+     * (or resolved promise) is sent back as the completion result; a thrown
+     * error becomes the completion error.
+     */
+    method(name, handler) {
+        this.methods.set(name, handler);
+        return this;
+    }
+
+    /**
+     * Hand an HTTP upgrade request for this hub to the WebSocket server
+     */
+    handleUpgrade(request, socket, head) {
+        // Browsers send the token in the query string, the Node client as a header
+        const url = new URL(request.url, 'http://localhost');
+        const header = request.headers.authorization || '';
+        const token = url.searchParams.get('access_token') || (header.startsWith('Bearer ') ? header.slice(7) : null);
+
+        if (!this.config.authenticate(token)) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        this.wss.handleUpgrade(request, socket, head, ws => {
+            this.wss.emit('connection', ws, request);
+        });
+    }
+
+    handleConnection(socket) {
+        const client = {
+            id: `${this.name}-${this.nextClientId++}`,
+            socket,
+            handshakeComplete: false,
+            subscriptions: new Set()
+        };
+        this.clients.add(client);
+
+        client.pingTimer = setInterval(() => this.send(client, { type: MESSAGE_TYPE.PING }), this.config.pingIntervalMs);
+
+        socket.on('message', data => {
+            for (const frame of data.toString().split(RECORD_SEPARATOR)) {
+                if (frame) this.handleFrame(client, frame);
+            }
+        });
+
+        socket.on('close', () => {
+            clearInterval(client.pingTimer);
+            this.clients.delete(client);
+            this.emit('disconnected', client);
+        });
+
+        socket.on('error', error => {
+            console.error(`❌ [FAKE API] ${this.name} hub socket error:`, error.message);
+        });
+    }
+
+    handleFrame(client, frame) {
+        let message;
+        try {
+            message = JSON.parse(frame);
+        } catch (error) {
+            console.error(`❌ [FAKE API] ${this.name} hub received unreadable frame`);
+            return;
+        }
+
+        if (!client.handshakeComplete) {
+            if (message.protocol !== 'json') {
+                this.send(client, { error: `Protocol '${message.protocol}' is not supported` });
+                client.socket.close();
+                return;
+            }
+
+            client.handshakeComplete = true;
+            this.send(client, {});
+            this.emit('connected', client);
+            return;
+        }
+
+        switch (message.type) {
+            case MESSAGE_TYPE.INVOCATION:
+                this.handleInvocation(client, message);
+                break;
+            case MESSAGE_TYPE.PING:
+                break;
+            case MESSAGE_TYPE.CLOSE:
+                client.socket.close();
+                break;
+            default:
+                // Streaming messages are not used by the TopStepX hubs
+                break;
+        }
+    }
+
+    async handleInvocation(client, message) {
+        const handler = this.methods.get(message.target);
+        let result = null;
+        let error = null;
+
+        if (!handler) {
+            error = `Method '${message.target}' does not exist.`;
+        } else {
+            try {
+                result = await handler(client, ...(message.arguments || []));
+            } catch (invocationError) {
+                error = invocationError.message;
+            }
+        }
+
+        this.emit('invocation', { client, target: message.target, arguments: message.arguments || [], error });
+
+        // Non-blocking invocations (connection.send) carry no invocationId
+        if (message.invocationId === undefined) return;
+
+        this.send(client, error ?
+            { type: MESSAGE_TYPE.COMPLETION, invocationId: message.invocationId, error } :
+            { type: MESSAGE_TYPE.COMPLETION, invocationId: message.invocationId, result: result ?? null });
+    }
+
+    /**
+     * Invoke a client-side handler (connection.on(target, ...)) on one client
+     */
+    invoke(client, target, ...args) {
+        this.send(client, { type: MESSAGE_TYPE.INVOCATION, target, arguments: args });
+    }
+
+    /**
+     * Invoke a client-side handler on every client that passes the filter
+     */
+    broadcast(target, args, filter = () => true) {
+        let delivered = 0;
+        for (const client of this.clients) {
+            if (client.handshakeComplete && filter(client)) {
+                this.invoke(client, target, ...args);
+                delivered++;
+            }
+        }
+        return delivered;
+    }
+
+    send(client, message) {
+        if (client.socket.readyState === client.socket.OPEN) {
+            client.socket.send(JSON.stringify(message) + RECORD_SEPARATOR);
+        }
+    }
+
+    /**
+     * Drop every connection, optionally with a SignalR close message so clients
+     * see a server-initiated disconnect (and reconnect if they are configured to)
+     */
+    disconnectAll(reason = null) {
+        for (const client of [...this.clients]) {
+            if (reason !== null) {
+                this.send(client, { type: MESSAGE_TYPE.CLOSE, error: reason, allowReconnect: true });
+            }
+            client.socket.close();
+        }
+    }
+
+    close() {
+        for (const client of [...this.clients]) {
+            clearInterval(client.pingTimer);
+            client.socket.terminate();
+        }
+        this.clients.clear();
+        this.wss.close();
+    }
+}
+
+SignalRHub.MESSAGE_TYPE = MESSAGE_TYPE;
+
+module.exports = SignalRHub;
@@ -0,0 +1,639 @@
+// fake-api/TopStepXEmulator.js
+// Local TopStepX emulator - REST API, user API and the market / user SignalR hubs
+// Serves everything the Connection Manager and HistoricalDataService call on
+// api.topstepx.com, userapi.topstepx.com and rtc.topstepx.com from one port,
+// driven by a scenario (accounts, instruments, price model, scripted market
+// events). Orders, positions and trades are executed by the PaperBroker, whose
+// GatewayUser* events are pushed to user hub subscribers like TopStepX does.
+
+const EventEmitter = require('events');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const SignalRHub = require('./SignalRHub');
+const PriceModel = require('./PriceModel');
+const PaperBroker = require('../connection-manager/services/PaperBroker');
+const ContractMonths = require('../shared/modules/contracts/ContractMonths');
+const instrumentRegistry = require('../shared/modules/contracts/InstrumentRegistry');
+
+const USER_EVENTS = {
+    GatewayUserAccount: 'accounts',
+    GatewayUserOrder: 'orders',
+    GatewayUserPosition: 'positions',
+    GatewayUserTrade: 'trades'
+};
+
+class TopStepXEmulator extends EventEmitter {
+    /**
+     * @param {Object} config - { port, host, scenario, requireAuth }
+     *   scenario is a name from fake-api/scenarios, a path to a scenario module
+     *   or a scenario object
+     */
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            port: 8888,
+            host: '127.0.0.1',
+            scenario: 'default',
+            requireAuth: true,
+            autoRunScript: true,    // false: call runScript() once clients are connected
+            ...config
+        };
+
+        this.scenario = TopStepXEmulator.loadScenario(this.config.scenario);
+        this.tokens = new Set();
+        this.timers = new Set();
+        this.server = null;
+        this.startedAt = null;
+        this.stats = {
+            requests: 0,
+            quotesPublished: 0,
+            tradesPublished: 0,
+            depthPublished: 0,
+            scriptStepsRun: 0
+        };
+
+        this.broker = new PaperBroker(this.scenario.broker || {});
+        for (const account of this.scenario.accounts) {
+            this.broker.accounts.set(String(account.id), { balance: account.balance, realizedPnL: 0, fees: 0 });
+        }
+
+        this.markets = new Map();     // contractId -> { contract, model, offset, bid, ask, last, open, high, low, volume }
+        for (const instrument of this.scenario.instruments) {
+            const contract = this.buildContract(instrument);
+            this.markets.set(contract.id, {
+                contract,
+                model: new PriceModel({
+                    alwaysOpen: this.scenario.market?.alwaysOpen,
+                    ...instrument,
+                    tickSize: contract.tickSize
+                }),
+                offset: 0,
+                anchor: null,
+                volume: 0
+            });
+        }
+
+        this.marketHub = this.createMarketHub();
+        this.userHub = this.createUserHub();
+
+        // Broker fills go out on the user hub exactly like TopStepX account events
+        for (const [event, subscription] of Object.entries(USER_EVENTS)) {
+            this.broker.on(event, data => this.publishUserEvent(event, subscription, data));
+        }
+
+        this.app = this.createApp();
+    }
+
+    /**
+     * Resolve a scenario name, module path or object
+     */
+    static loadScenario(scenario) {
+        if (scenario && typeof scenario === 'object') {
+            return { ...require('./scenarios/default'), ...scenario };
+        }
+
+        const name = scenario || 'default';
+        const modulePath = /[\\/]|\.js(on)?$/.test(name) ?
+            path.resolve(name) :
+            path.join(__dirname, 'scenarios', `${name}.js`);
+
+        return require(modulePath);
+    }
+
+    // ==================== Lifecycle ====================
+
+    async start() {
+        this.server = http.createServer(this.app);
+        this.server.on('upgrade', (request, socket, head) => {
+            const pathname = new URL(request.url, 'http://localhost').pathname.toLowerCase();
+            if (pathname === '/hubs/market') {
+                this.marketHub.handleUpgrade(request, socket, head);
+            } else if (pathname === '/hubs/user') {
+                this.userHub.handleUpgrade(request, socket, head);
+            } else {
+                socket.destroy();
+            }
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, resolve);
+        });
+
+        this.port = this.server.address().port;
+        this.url = `http://${this.config.host}:${this.port}`;
+        this.startedAt = Date.now();
+
+        // Every instrument has a quote before the first order can arrive
+        for (const market of this.markets.values()) {
+            market.anchor = market.model.priceAt(this.startedAt);
+            this.updateQuote(market, this.getModelPrice(market));
+        }
+
+        if (this.scenario.market?.autoQuotes) {
+            this.quoteTimer = setInterval(() => this.streamQuotes(), this.scenario.market.quoteIntervalMs || 250);
+        }
+
+        if (this.config.autoRunScript) {
+            this.runScript();
+        }
+
+        console.log(`🧪 [FAKE API] TopStepX emulator listening on ${this.url} (scenario: ${this.scenario.name})`);
+        console.log(`   Market hub: ${this.url}/hubs/market | User hub: ${this.url}/hubs/user`);
+        return this.url;
+    }
+
+    async stop() {
+        clearInterval(this.quoteTimer);
+        for (const timer of this.timers) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+        this.broker.uninstall();
+
+        this.marketHub.close();
+        this.userHub.close();
+
+        if (this.server) {
+            this.server.closeAllConnections?.();
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+
+        console.log('🧪 [FAKE API] TopStepX emulator stopped');
+    }
+
+    /**
+     * URLs to hand to the Connection Manager config (config.urls)
+     */
+    getUrls() {
+        return {
+            api: this.url,
+            userApi: this.url,
+            marketHub: `${this.url}/hubs/market`,
+            userHub: `${this.url}/hubs/user`
+        };
+    }
+
+    /**
+     * Schedule the scenario script relative to now. Resolves after the last step.
+     */
+    runScript() {
+        const steps = this.scenario.script || [];
+        const lastAt = Math.max(0, ...steps.map(step => step.at || 0));
+
+        for (const step of steps) {
+            this.schedule(() => this.runStep(step), step.at || 0);
+        }
+
+        return new Promise(resolve => this.schedule(resolve, lastAt + 1));
+    }
+
+    schedule(callback, delayMs) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delayMs);
+        this.timers.add(timer);
+    }
+
+    // ==================== REST API ====================
+
+    createApp() {
+        const app = express();
+        app.use(express.json());
+
+        app.use((req, res, next) => {
+            this.stats.requests++;
+            this.emit('request', { method: req.method, path: req.path, body: req.body });
+            next();
+        });
+
+        app.get('/health', (req, res) => res.json({
+            status: 'healthy',
+            service: 'fake-api',
+            scenario: this.scenario.name,
+            uptime: this.startedAt ? Date.now() - this.startedAt : 0,
+            stats: this.stats
+        }));
+
+        app.post('/api/Auth/loginKey', (req, res) => this.loginKey(req, res));
+        app.post('/api/Auth/validate', (req, res) => {
+            const token = this.getBearerToken(req);
+            res.json(this.tokens.has(token) ?
+                { success: true, newToken: token, errorCode: 0, errorMessage: null } :
+                { success: false, errorCode: 1, errorMessage: 'Invalid token' });
+        });
+
+        app.use((req, res, next) => {
+            if (!this.config.requireAuth || this.tokens.has(this.getBearerToken(req))) {
+                return next();
+            }
+            res.status(401).json({ success: false, errorCode: 401, errorMessage: 'Unauthorized' });
+        });
+
+        app.post('/api/Account/search', (req, res) => res.json(this.ok({
+            accounts: this.getAccounts(req.body.onlyActiveAccounts)
+        })));
+
+        app.post('/api/Contract/available', (req, res) => res.json(this.ok({
+            contracts: this.getContracts()
+        })));
+        app.post('/api/Contract/search', (req, res) => {
+            const text = String(req.body.searchText || req.body.symbol || '');
+            res.json(this.ok({ contracts: this.getContracts().filter(contract => this.contractMatches(contract, text)) }));
+        });
+        app.post('/api/Contract/searchById', (req, res) => {
+            const market = this.findMarket(req.body.contractId);
+            res.json(market ? this.ok({ contract: market.contract }) : this.error(`Contract ${req.body.contractId} not found`));
+        });
+
+        app.post('/api/History/retrieveBars', (req, res) => {
+            const market = this.findMarket(req.body.contractId);
+            if (!market) {
+                return res.json({ bars: null, ...this.error(`Contract ${req.body.contractId} not found`) });
+            }
+            res.json(this.ok({ bars: market.model.getBars(req.body) }));
+        });
+
+        // userapi.topstepx.com statistics, computed from the paper broker's trades
+        app.post('/Statistics/todaystats', (req, res) => {
+            res.json(this.getDailyStatistics(req.query.accountId, new Date().toISOString().slice(0, 10)));
+        });
+        app.post('/Statistics/:type', (req, res) => {
+            res.json(this.getDailyStatistics(req.body.tradingAccountId ?? req.query.accountId));
+        });
+
+        // Orders, positions and trades (api and userapi paths) go to the paper broker
+        app.use((req, res, next) => {
+            const route = this.broker.matchRoute({ url: req.originalUrl, method: req.method, baseURL: this.url });
+            if (!route) return next();
+
+            try {
+                res.json(route.handler(req.body || {}, { ...req.query }));
+            } catch (error) {
+                res.status(400).json({ success: false, errorCode: 1, errorMessage: error.message, message: error.message });
+            }
+        });
+
+        app.use((req, res) => {
+            res.status(404).json({ success: false, errorCode: 404, errorMessage: `No emulated endpoint for ${req.method} ${req.path}` });
+        });
+
+        return app;
+    }
+
+    loginKey(req, res) {
+        const { userName, apiKey } = req.body || {};
+        const credentials = this.scenario.credentials;
+
+        const valid = credentials ?
+            userName === credentials.userName && apiKey === credentials.apiKey :
+            Boolean(userName && apiKey);
+
+        if (!valid) {
+            return res.json({ token: null, success: false, errorCode: 3, errorMessage: 'Invalid credentials' });
+        }
+
+        const token = `fake-${crypto.randomBytes(16).toString('hex')}`;
+        this.tokens.add(token);
+        res.json(this.ok({ token }));
+    }
+
+    getBearerToken(req) {
+        const header = req.headers.authorization || '';
+        return header.startsWith('Bearer ') ? header.slice(7) : null;
+    }
+
+    ok(fields) {
+        return { ...fields, success: true, errorCode: 0, errorMessage: null };
+    }
+
+    error(message) {
+        return { success: false, errorCode: 1, errorMessage: message };
+    }
+
+    getAccounts(onlyActive = false) {
+        return this.scenario.accounts
+            .filter(account => !onlyActive || account.canTrade !== false || account.isVisible)
+            .map(account => ({
+                ...account,
+                balance: this.broker.getAccount(account.id).balance
+            }));
+    }
+
+    getContracts() {
+        return [...this.markets.values()].map(market => market.contract);
+    }
+
+    buildContract(instrument) {
+        const spec = instrumentRegistry.resolve(instrument.symbol) || {};
+        const contractId = instrument.contractId || ContractMonths.getActiveContractId(instrument.symbol);
+        const tickSize = instrument.tickSize ?? spec.tickSize;
+        const tickValue = instrument.tickValue ?? spec.tickValue;
+        const monthYear = contractId.split('.').pop();
+
+        return {
+            id: contractId,
+            name: `${instrument.symbol}${monthYear.charAt(0)}${monthYear.slice(-1)}`,
+            description: `${instrument.name || spec.name || instrument.symbol} (${monthYear})`,
+            tickSize,
+            tickValue,
+            activeContract: true,
+            symbolId: `F.US.${instrument.symbol}`
+        };
+    }
+
+    contractMatches(contract, text) {
+        if (!text) return true;
+        const root = instrumentRegistry.getSymbolRoot(text);
+        return contract.id === text || contract.symbolId === text ||
+            instrumentRegistry.getSymbolRoot(contract.id) === root ||
+            contract.description.toLowerCase().includes(text.toLowerCase());
+    }
+
+    /**
+     * Find a market by contract ID, TopStepX symbol ('F.US.MGC') or root ('MGC')
+     */
+    findMarket(symbol) {
+        if (!symbol) return null;
+        if (this.markets.has(symbol)) return this.markets.get(symbol);
+
+        const root = instrumentRegistry.getSymbolRoot(symbol);
+        return [...this.markets.values()].find(market =>
+            instrumentRegistry.getSymbolRoot(market.contract.id) === root) || null;
+    }
+
+    /**
+     * Daily statistics rows as userapi /Statistics returns them
+     */
+    getDailyStatistics(accountId, day = null) {
+        const days = new Map();
+
+        for (const trade of this.broker.trades) {
+            if (accountId != null && String(trade.accountId) !== String(accountId)) continue;
+            if (trade.voided) continue;
+
+            const date = trade.creationTimestamp.slice(0, 10);
+            if (day && date !== day) continue;
+
+            const stats = days.get(date) || {
+                date,
+                totalTrades: 0,
+                winningTrades: 0,
+                losingTrades: 0,
+                totalPnL: 0,
+                totalFees: 0
+            };
+
+            stats.totalFees = Math.round((stats.totalFees + trade.fees) * 100) / 100;
+            if (trade.profitAndLoss !== null) {
+                stats.totalTrades++;
+                stats.totalPnL = Math.round((stats.totalPnL + trade.profitAndLoss) * 100) / 100;
+                if (trade.profitAndLoss > 0) stats.winningTrades++;
+                else if (trade.profitAndLoss < 0) stats.losingTrades++;
+            }
+            days.set(date, stats);
+        }
+
+        return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // ==================== SignalR hubs ====================
+
+    createMarketHub() {
+        const hub = new SignalRHub('market', { authenticate: token => this.authenticateHub(token) });
+
+        const subscribe = kind => (client, contractId) => {
+            const market = this.findMarket(contractId);
+            if (!market) throw new Error(`Unknown contract ${contractId}`);
+
+            client.subscriptions.add(`${kind}:${contractId}`);
+
+            // TopStepX answers a quote subscription with the current snapshot
+            if (kind === 'quotes') {
+                hub.invoke(client, 'GatewayQuote', contractId, this.formatQuote(market, contractId));
+            }
+        };
+        const unsubscribe = kind => (client, contractId) => {
+            client.subscriptions.delete(`${kind}:${contractId}`);
+        };
+
+        return hub
+            .method('SubscribeContractQuotes', subscribe('quotes'))
+            .method('SubscribeContractTrades', subscribe('trades'))
+            .method('SubscribeContractMarketDepth', subscribe('depth'))
+            .method('UnsubscribeContractQuotes', unsubscribe('quotes'))
+            .method('UnsubscribeContractTrades', unsubscribe('trades'))
+            .method('UnsubscribeContractMarketDepth', unsubscribe('depth'));
+    }
+
+    createUserHub() {
+        const hub = new SignalRHub('user', { authenticate: token => this.authenticateHub(token) });
+
+        const subscribe = kind => (client, accountId) => {
+            client.subscriptions.add(kind === 'accounts' ? kind : `${kind}:${accountId}`);
+        };
+        const unsubscribe = kind => (client, accountId) => {
+            client.subscriptions.delete(kind === 'accounts' ? kind : `${kind}:${accountId}`);
+        };
+
+        return hub
+            .method('SubscribeAccounts', subscribe('accounts'))
+            .method('SubscribeOrders', subscribe('orders'))
+            .method('SubscribePositions', subscribe('positions'))
+            .method('SubscribeTrades', subscribe('trades'))
+            .method('UnsubscribeAccounts', unsubscribe('accounts'))
+            .method('UnsubscribeOrders', unsubscribe('orders'))
+            .method('UnsubscribePositions', unsubscribe('positions'))
+            .method('UnsubscribeTrades', unsubscribe('trades'));
+    }
+
+    authenticateHub(token) {
+        return !this.config.requireAuth || this.tokens.has(token);
+    }
+
+    publishUserEvent(event, kind, data) {
+        if (event === 'GatewayUserAccount') {
+            const account = this.scenario.accounts.find(candidate => String(candidate.id) === String(data.id));
+            data = { ...data, name: account?.name || data.name, canTrade: account?.canTrade ?? data.canTrade };
+        }
+
+        const subscription = kind === 'accounts' ? kind : `${kind}:${data.accountId}`;
+        this.userHub.broadcast(event, [data], client => client.subscriptions.has(subscription));
+    }
+
+    // ==================== Market data ====================
+
+    /**
+     * Price the market is at now: the model (or the start price when quotes
+     * only come from the script) plus whatever the script has moved it
+     */
+    getModelPrice(market) {
+        const base = this.scenario.market?.autoQuotes ? market.model.priceAt(Date.now()) : market.anchor;
+        return market.model.roundToTick(base + market.offset);
+    }
+
+    streamQuotes() {
+        for (const market of this.markets.values()) {
+            this.publishQuote(market.contract.id);
+        }
+    }
+
+    updateQuote(market, price) {
+        const spread = (this.scenario.market?.spreadTicks ?? 1) * market.contract.tickSize;
+
+        market.last = price;
+        market.bid = market.model.roundToTick(price - spread / 2);
+        market.ask = market.model.roundToTick(market.bid + spread);
+        market.open = market.open ?? price;
+        market.high = Math.max(market.high ?? price, price);
+        market.low = Math.min(market.low ?? price, price);
+
+        this.broker.onMarketData({
+            instrument: market.contract.id,
+            type: 'QUOTE',
+            data: { bid: market.bid, ask: market.ask, last: market.last }
+        });
+    }
+
+    /**
+     * Publish a quote. Without a price the market's current model price is used.
+     */
+    publishQuote(symbol, price = null) {
+        const market = this.findMarket(symbol);
+        if (!market) throw new Error(`Unknown contract ${symbol}`);
+
+        this.updateQuote(market, price ?? this.getModelPrice(market));
+        const contractId = market.contract.id;
+        this.marketHub.broadcast('GatewayQuote', [contractId, this.formatQuote(market, contractId)],
+            client => client.subscriptions.has(`quotes:${contractId}`));
+        this.stats.quotesPublished++;
+    }
+
+    publishTrade(symbol, { price = null, size = 1, side = 'BUY' } = {}) {
+        const market = this.findMarket(symbol);
+        if (!market) throw new Error(`Unknown contract ${symbol}`);
+
+        const tradePrice = price ?? this.getModelPrice(market);
+        market.volume += size;
+        this.publishQuote(symbol, tradePrice);
+
+        const contractId = market.contract.id;
+        const trade = {
+            symbolId: market.contract.symbolId,
+            price: tradePrice,
+            timestamp: new Date().toISOString(),
+            type: side === 'SELL' ? 1 : 0,
+            volume: size
+        };
+
+        this.broker.onMarketData({ instrument: contractId, type: 'TRADE', data: { price: tradePrice } });
+        this.marketHub.broadcast('GatewayTrade', [contractId, [trade]],
+            client => client.subscriptions.has(`trades:${contractId}`));
+        this.stats.tradesPublished++;
+    }
+
+    publishDepth(symbol, levels = null) {
+        const market = this.findMarket(symbol);
+        if (!market) throw new Error(`Unknown contract ${symbol}`);
+
+        const count = levels || this.scenario.market?.depthLevels || 5;
+        const tickSize = market.contract.tickSize;
+        const level = (price, index) => ({
+            price: market.model.roundToTick(price),
+            volume: 5 + ((index * 7 + Math.round(price / tickSize)) % 20)
+        });
+
+        const contractId = market.contract.id;
+        const depth = {
+            bids: Array.from({ length: count }, (_, index) => level(market.bid - index * tickSize, index)),
+            asks: Array.from({ length: count }, (_, index) => level(market.ask + index * tickSize, index)),
+            timestamp: new Date().toISOString()
+        };
+
+        this.marketHub.broadcast('GatewayDepth', [contractId, depth],
+            client => client.subscriptions.has(`depth:${contractId}`));
+        this.stats.depthPublished++;
+    }
+
+    formatQuote(market, contractId) {
+        const now = new Date().toISOString();
+        const change = market.last - market.open;
+
+        return {
+            symbol: contractId,
+            symbolName: market.contract.name,
+            lastPrice: market.last,
+            bestBid: market.bid,
+            bestAsk: market.ask,
+            change: market.model.roundToTick(change),
+            changePercent: market.open ? change / market.open : 0,
+            open: market.open,
+            high: market.high,
+            low: market.low,
+            volume: market.volume,
+            lastUpdated: now,
+            timestamp: now
+        };
+    }
+
+    /**
+     * Run one scripted step:
+     *   { quote|trade|depth: 'MGC', price, moveTicks, size, side, levels }
+     *   { disconnect: 'market'|'user' }
+     */
+    runStep(step) {
+        this.stats.scriptStepsRun++;
+
+        try {
+            if (step.disconnect) {
+                const hub = step.disconnect === 'user' ? this.userHub : this.marketHub;
+                console.log(`🧪 [FAKE API] Script: dropping ${step.disconnect} hub connections`);
+                hub.disconnectAll(step.reason || 'Scripted disconnect');
+                return;
+            }
+
+            const symbol = step.quote || step.trade || step.depth;
+            const market = this.findMarket(symbol);
+            if (!market) throw new Error(`Unknown contract ${symbol}`);
+
+            if (step.moveTicks) {
+                market.offset += step.moveTicks * market.contract.tickSize;
+            }
+            const price = step.price ?? null;
+            if (step.price !== undefined) {
+                market.offset = 0;
+                market.anchor = step.price;
+            }
+
+            if (step.trade) {
+                this.publishTrade(symbol, { price, size: step.size, side: step.side });
+            } else if (step.quote) {
+                this.publishQuote(symbol, price);
+            } else {
+                this.publishDepth(symbol, step.levels);
+            }
+        } catch (error) {
+            console.error('❌ [FAKE API] Script step failed:', error.message);
+        }
+
+        this.emit('step', step);
+    }
+
+    getStatus() {
+        return {
+            url: this.url,
+            scenario: this.scenario.name,
+            marketHubClients: this.marketHub.clients.size,
+            userHubClients: this.userHub.clients.size,
+            broker: this.broker.getStatus(),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = TopStepXEmulator;
@@ -0,0 +1,42 @@
+// fake-api/scenarios/default.js
+// Two practice accounts, micro gold and micro Nasdaq, quotes streaming
+// continuously from the price model - a quiet session for general testing
+
+module.exports = {
+    name: 'default',
+    description: 'Two practice accounts, MGC and MNQ streaming from the price model',
+
+    // null accepts any userName / apiKey
+    credentials: null,
+
+    accounts: [
+        { id: 9001, name: 'PRACTICE-9001', balance: 50000, canTrade: true, isVisible: true, simulated: true },
+        { id: 9002, name: 'EXPRESS-9002', balance: 150000, canTrade: true, isVisible: true, simulated: true },
+        { id: 9003, name: 'BREACHED-9003', balance: 47500, canTrade: false, isVisible: true, simulated: true }
+    ],
+
+    // Contract specs come from config/instruments.yaml unless given here
+    instruments: [
+        { symbol: 'MGC', basePrice: 2650, dailyRangePct: 0.012 },
+        { symbol: 'MNQ', basePrice: 21000, dailyRangePct: 0.015 }
+    ],
+
+    market: {
+        autoQuotes: true,       // Stream model prices for every instrument
+        quoteIntervalMs: 250,
+        spreadTicks: 1,
+        depthLevels: 5,
+        alwaysOpen: false       // true: bars around the clock, ignoring futures hours
+    },
+
+    // PaperBroker settings for order execution
+    broker: {
+        slippageTicks: 0,
+        latencyMs: 50,
+        partialFillSlices: 1,
+        commissionPerSide: 0.62
+    },
+
+    // Timed steps run once when the emulator starts (see TopStepXEmulator.runStep)
+    script: []
+};
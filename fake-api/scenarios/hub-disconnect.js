@@ -0,0 +1,18 @@
+// fake-api/scenarios/hub-disconnect.js
+// Normal streaming, then the market and user hubs drop their connections -
+// exercises MarketDataService automatic reconnect and resubscription
+
+const base = require('./default');
+
+module.exports = {
+    ...base,
+    name: 'hub-disconnect',
+    description: 'Both SignalR hubs drop every client after three seconds and again after ten',
+
+    script: [
+        { at: 3000, disconnect: 'market' },
+        { at: 3000, disconnect: 'user' },
+        { at: 10000, disconnect: 'market' },
+        { at: 10000, disconnect: 'user' }
+    ]
+};
@@ -0,0 +1,41 @@
+// fake-api/scenarios/trending-session.js
+// Scripted micro gold rally and reversal - no automatic quotes, so every price
+// the services see comes from the script and runs are fully repeatable
+
+const base = require('./default');
+
+const rally = Array.from({ length: 20 }, (_, index) => ({
+    at: 500 + index * 250,
+    trade: 'MGC',
+    moveTicks: 2,
+    size: 3 + (index % 4),
+    side: 'BUY'
+}));
+
+const reversal = Array.from({ length: 10 }, (_, index) => ({
+    at: 5750 + index * 250,
+    trade: 'MGC',
+    moveTicks: -5,
+    size: 8,
+    side: 'SELL'
+}));
+
+module.exports = {
+    ...base,
+    name: 'trending-session',
+    description: 'MGC rallies 40 ticks over five seconds, then gives back 50 ticks',
+
+    market: {
+        ...base.market,
+        autoQuotes: false
+    },
+
+    script: [
+        { at: 0, quote: 'MGC' },
+        { at: 0, quote: 'MNQ' },
+        { at: 250, depth: 'MGC' },
+        ...rally,
+        { at: 5500, depth: 'MGC' },
+        ...reversal
+    ]
+};
@@ -0,0 +1,62 @@
+/**
+ * Run the TopStepX emulator as a standalone server
+ *
+ * Usage:
+ *   node fake-api/server.js [--scenario default|trending-session|hub-disconnect|path/to/scenario.js]
+ *        [--port 8888] [--host 127.0.0.1] [--redis 6379]
+ *
+ * Start the Connection Manager with API_PROFILE=fake to point it here.
+ * --redis also starts the in-memory Redis stand-in on the given port for
+ * machines without a Redis server.
+ */
+
+const TopStepXEmulator = require('./TopStepXEmulator');
+const RedisServer = require('./RedisServer');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+function getArg(name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function startFakeApi() {
+    const emulator = new TopStepXEmulator({
+        scenario: getArg('--scenario') || process.env.FAKE_API_SCENARIO || 'default',
+        port: parseInt(getArg('--port') || process.env.FAKE_API_PORT || '8888', 10),
+        host: getArg('--host') || '127.0.0.1'
+    });
+
+    let redis = null;
+    if (getArg('--redis')) {
+        redis = new RedisServer({ port: parseInt(getArg('--redis'), 10) });
+        await redis.start();
+    }
+
+    const url = await emulator.start();
+
+    console.log('\n✅ Fake TopStep API Server Started');
+    console.log(`   Scenario:   ${emulator.scenario.name} - ${emulator.scenario.description}`);
+    console.log(`   REST API:   ${url}/api`);
+    console.log(`   Health:     ${url}/health`);
+    if (redis) {
+        console.log(`   Redis:      ${redis.url}`);
+    }
+    console.log('   Connection Manager: set API_PROFILE=fake');
+
+    const shutdown = async () => {
+        console.log('\n🛑 Shutting down fake API...');
+        await emulator.stop();
+        if (redis) await redis.stop();
+        process.exit(0);
+    };
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+startFakeApi().catch(error => {
+    console.error('❌ Failed to start fake API:', error.message);
+    process.exit(1);
+});
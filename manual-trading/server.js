@@ -22,6 +22,7 @@ const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
 const FileLogger = require('../shared/utils/FileLogger');
+const { RpcClient } = require('../shared/modules/messaging/RedisRpc');
 
 class ManualTradingServerV2 {
     constructor() {
@@ -289,6 +290,16 @@ class ManualTradingServerV2 {
             this.log('✅ Connected to Redis subscriber');
             
             this.log('✅ Connected to Redis (publisher and subscriber)');
+            
+            // Lookups through the aggregator, all answered on one channel
+            this.rpc = new RpcClient({
+                service: 'MANUAL_TRADING',
+                requestChannel: 'aggregator:requests',
+                responseChannel: 'manual-trading:responses',
+                requestIdPrefix: 'manual',
+                publish: (channel, message) => this.redisClient.publish(channel, JSON.stringify(message)),
+                subscribe: (channel, onMessage) => this.redisSubscriber.subscribe(channel, onMessage)
+            });
         } catch (error) {
             this.log(`Failed to connect to Redis: ${error.message}`, 'ERROR');
             this.log(`Stack: ${error.stack}`, 'ERROR');
@@ -603,50 +614,20 @@ class ManualTradingServerV2 {
             
             // Request working orders through Trading Aggregator
             this.log('📝 Requesting working orders through Trading Aggregator...');
-            const requestId = `MT-WORK-${Date.now()}`;
-            const responseChannel = `manual-trading:working-orders-response:${requestId}`;
-            
-            // Set up response listener first
-            const workingOrdersPromise = new Promise((resolve) => {
-                const timeout = setTimeout(() => {
-                    this.log('⚠️ Working orders request timed out', 'WARN');
-                    this.redisSubscriber.unsubscribe(responseChannel);
-                    resolve(null);
-                }, 10000);
+            try {
+                const response = await this.rpc.call('GET_WORKING_ORDERS', {
+                    instanceId: 'MANUAL_TRADING'  // Fixed service identifier
+                }, { timeoutMs: 10000 });
                 
-                this.redisSubscriber.subscribe(responseChannel, (message) => {
-                    try {
-                        clearTimeout(timeout);
-                        const response = JSON.parse(message);
-                        this.redisSubscriber.unsubscribe(responseChannel);
-                        
-                        if (response.success && response.orders) {
-                            this.log(`📝 Received ${response.orders.length} working orders`);
-                            // Process the working orders
-                            response.orders.forEach(order => {
-                                this.workingOrders.set(order.orderId, order);
-                            });
-                            resolve(response.orders);
-                        } else {
-                            this.log('⚠️ Failed to get working orders', 'WARN');
-                            resolve(null);
-                        }
-                    } catch (err) {
-                        this.log(`Failed to parse working orders response: ${err.message}`, 'ERROR');
-                        resolve(null);
-                    }
+                const orders = response.orders || [];
+                this.log(`📝 Received ${orders.length} working orders`);
+                // Process the working orders
+                orders.forEach(order => {
+                    this.workingOrders.set(order.orderId, order);
                 });
-            });
-            
-            await this.redisClient.publish('aggregator:requests', JSON.stringify({
-                type: 'GET_WORKING_ORDERS',
-                requestId: requestId,
-                responseChannel: responseChannel,
-                instanceId: 'MANUAL_TRADING',  // Fixed service identifier
-                timestamp: Date.now()
-            }));
-            
-            await workingOrdersPromise;
+            } catch (error) {
+                this.log(`⚠️ Failed to get working orders: ${error.message}`, 'WARN');
+            }
             
             this.log('📝 Order tracking initialized - listening for order updates');
             this.log('ℹ️ Note: Working orders will be loaded as Connection Manager sends updates');
@@ -1416,33 +1397,11 @@ class ManualTradingServerV2 {
         
         try {
             // Request contracts via Redis through aggregator
-            const requestId = `manual-contracts-${Date.now()}`;
-            
-            // Subscribe to response first
-            const contractPromise = new Promise((resolve) => {
-                const timeout = setTimeout(() => resolve(null), 10000);
-                
-                this.redisSubscriber.subscribe('contract-response', (message) => {
-                    try {
-                        const response = JSON.parse(message);
-                        if (response.requestId === requestId) {
-                            clearTimeout(timeout);
-                            resolve(response);
-                        }
-                    } catch (error) {
-                        this.log(`Error parsing contract response: ${error.message}`, 'ERROR');
-                    }
+            const response = await this.rpc.call('GET_CONTRACTS', {}, { timeoutMs: 10000 })
+                .catch(error => {
+                    this.log(`Contract request failed: ${error.message}`, 'ERROR');
+                    return null;
                 });
-            });
-            
-            // Send request to aggregator
-            await this.redisClient.publish('aggregator:requests', JSON.stringify({
-                type: 'GET_CONTRACTS',
-                requestId: requestId,
-                responseChannel: 'contract-response'
-            }));
-            
-            const response = await contractPromise;
             
             if (response && response.success && response.contracts) {
                 this.log(`✅ Loaded ${response.contracts.length} contracts via Aggregator`);
@@ -1547,49 +1506,14 @@ class ManualTradingServerV2 {
         this.log(`Loading accounts through Aggregator... ${forceFresh ? '(forcing fresh data)' : ''}`);
         
         try {
-            // Request accounts via Redis using the correct format for Connection Manager
-            const requestId = `manual-acc-${Date.now()}`;
-            
-            // Subscribe to response first
-            const accountPromise = new Promise((resolve) => {
-                const timeout = setTimeout(() => resolve(null), 10000); // Increased timeout
-                
-                this.redisSubscriber.subscribe('account-response', (message) => {
-                    try {
-                        const data = JSON.parse(message);
-                        console.log('📨 Raw account response received:', JSON.stringify(data, null, 2));
-                        
-                        // Handle both direct message and EventBroadcaster wrapped message
-                        let accountData;
-                        if (data.type === 'account-response' && data.payload) {
-                            // EventBroadcaster wrapped message
-                            accountData = data.payload;
-                        } else {
-                            // Direct message
-                            accountData = data;
-                        }
-                        
-                        if (accountData.requestId === requestId) {
-                            clearTimeout(timeout);
-                            console.log('✅ Found matching request ID, resolving with accounts:', accountData.accounts);
-                            resolve(accountData.accounts);
-                        }
-                    } catch (e) {
-                        console.error('❌ Error parsing account response:', e);
-                    }
-                });
-            });
-            
             // Request accounts through aggregator for consistent data flow
             // Add forceFresh flag to request fresh data from API instead of cache
-            await this.redisClient.publish('aggregator:requests', JSON.stringify({
-                type: 'GET_ACCOUNTS',
-                requestId: requestId,
-                forceFresh: forceFresh,
-                responseChannel: 'account-response'  // Tell aggregator where to forward the response
-            }));
-            
-            const accounts = await accountPromise;
+            const accounts = await this.rpc.call('GET_ACCOUNTS', { forceFresh }, { timeoutMs: 10000 })
+                .then(response => response.accounts)
+                .catch(error => {
+                    this.log(`Account request failed: ${error.message}`, 'ERROR');
+                    return null;
+                });
             
             if (accounts && accounts.length > 0) {
                 this.accounts = accounts;
@@ -1854,67 +1778,12 @@ class ManualTradingServerV2 {
         // Re-enabled Connection Manager integration with fixed request type
         try {
             // Request instruments through Trading Aggregator
-            const requestId = `manual-inst-${Date.now()}`;
-            const responseChannel = `manual-trading:instrument-response:${requestId}`;
-            
-            // Create promise for instrument response with proper async handling
-            const instrumentPromise = new Promise(async (resolve, reject) => {
-                let timeout;
-                
-                try {
-                    // Subscribe to response channel
-                    this.redisSubscriber.subscribe(responseChannel, (message) => {
-                        try {
-                            const data = JSON.parse(message);
-                            this.log('📨 Raw instrument response received:', JSON.stringify(data, null, 2));
-                            
-                            // Handle both direct message and EventBroadcaster wrapped message
-                            let instrumentData;
-                            if (data.type === 'instrument-response' && data.payload) {
-                                // EventBroadcaster wrapped message
-                                instrumentData = data.payload;
-                            } else {
-                                // Direct message
-                                instrumentData = data;
-                            }
-                            
-                            if (instrumentData.requestId === requestId) {
-                                this.log('✅ Found matching request ID, processing instruments...');
-                                clearTimeout(timeout);
-                                this.redisSubscriber.unsubscribe(responseChannel);
-                                resolve(instrumentData.contracts || instrumentData.instruments || []);
-                            }
-                        } catch (e) {
-                            this.log(`❌ Error parsing instrument response: ${e.message}`, 'ERROR');
-                        }
-                    });
-                    this.log(`✅ Subscribed to ${responseChannel} channel`);
-                    
-                    // Set timeout AFTER setting up the listener and subscription
-                    timeout = setTimeout(() => {
-                        this.log('⚠️ Instrument request timed out, using default instruments');
-                        this.redisSubscriber.unsubscribe(responseChannel);
-                        resolve(null);
-                    }, 10000);
-                    
-                    // Now publish the request through Trading Aggregator
-                    await this.redisClient.publish('aggregator:requests', JSON.stringify({
-                        type: 'GET_ACTIVE_CONTRACTS',  // Fixed: Use correct request type
-                        requestId: requestId,
-                        responseChannel: responseChannel,
-                        timestamp: Date.now()
-                    }));
-                    this.log(`📤 Published instrument request through aggregator with ID: ${requestId}`);
-                    
-                } catch (err) {
-                    this.log(`Failed to setup instrument request: ${err.message}`, 'ERROR');
-                    if (timeout) clearTimeout(timeout);
-                    this.redisSubscriber.unsubscribe(responseChannel);
-                    resolve(null);
-                }
-            });
-            
-            const contracts = await instrumentPromise;
+            const contracts = await this.rpc.call('GET_ACTIVE_CONTRACTS', {}, { timeoutMs: 10000 })
+                .then(response => response.contracts || response.instruments || [])
+                .catch(error => {
+                    this.log(`⚠️ Instrument request failed (${error.message}), using default instruments`);
+                    return null;
+                });
             
             if (contracts && Array.isArray(contracts)) {
                 // Clear existing and populate with new data
@@ -2831,6 +2700,17 @@ class ManualTradingServerV2 {
             }
         });
         
+        // Health check (readiness probe for the control panel's process supervisor)
+        this.app.get('/health', (req, res) => {
+            res.json({
+                status: 'healthy',
+                service: 'manual-trading',
+                port: this.port,
+                redisConnected: !!(this.redisClient && this.redisClient.isOpen),
+                uptime: process.uptime()
+            });
+        });
+        
         // 🚨 Trading Status Endpoint - Critical Safety Feature
         this.app.get('/api/trading-status', (req, res) => {
             res.json(this.getTradingStatus());
@@ -4870,6 +4750,10 @@ class ManualTradingServerV2 {
             clearInterval(this.positionSyncInterval);
         }
         
+        if (this.rpc) {
+            this.rpc.close('Manual Trading shutting down');
+        }
+        
         if (this.redisClient) {
             await this.redisClient.quit();
         }
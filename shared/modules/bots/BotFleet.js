@@ -0,0 +1,290 @@
+/**
+ * BotFleet - The trading bot instances defined under config/bots/
+ *
+ * Every bot is one YAML file, config/bots/<botId>.yaml. Archived bots move to
+ * config/bots/archive/ - they keep their id, so journal history stays
+ * attributable, but are no longer started or registered. Ports are allocated
+ * from system.ports.botRange in global.yaml.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const CONFIG_DIRECTORY = path.join(__dirname, '../../../config');
+const BOT_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+const DEFAULT_PORT_RANGE = { start: 3004, end: 3099 };
+
+// error.code tells callers such as the control panel API what went wrong
+function fleetError(code, message) {
+    const error = new Error(message);
+    error.code = code;              // INVALID, NOT_FOUND, EXISTS
+    return error;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Overrides merge into nested sections, so { strategy: { parameters: { fastEMA: 12 } } }
+// changes one parameter of a clone and keeps the rest
+function deepMerge(target, source) {
+    const result = { ...target };
+    for (const [key, value] of Object.entries(source || {})) {
+        result[key] = isPlainObject(value) && isPlainObject(result[key]) ? deepMerge(result[key], value) : value;
+    }
+    return result;
+}
+
+function botNumber(botId) {
+    const match = /^BOT_(\d+)$/.exec(botId);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+function compareBotIds(a, b) {
+    const numberA = botNumber(a);
+    const numberB = botNumber(b);
+    if (numberA !== null && numberB !== null) return numberA - numberB;
+    if (numberA !== null) return -1;
+    if (numberB !== null) return 1;
+    return a.localeCompare(b);
+}
+
+class BotFleet {
+    /**
+     * @param {Object} config - { configDirectory }
+     */
+    constructor(config = {}) {
+        this.config = {
+            configDirectory: CONFIG_DIRECTORY,
+            ...config
+        };
+
+        this.botsDirectory = path.join(this.config.configDirectory, 'bots');
+        this.archiveDirectory = path.join(this.botsDirectory, 'archive');
+    }
+
+    /**
+     * Active bots, keyed by bot id in BOT_1, BOT_2, ... order
+     * @returns {Promise<Object>}
+     */
+    async list() {
+        return this.readDirectory(this.botsDirectory);
+    }
+
+    async listArchived() {
+        return this.readDirectory(this.archiveDirectory);
+    }
+
+    async get(botId) {
+        const bots = await this.list();
+        if (!bots[botId]) {
+            throw fleetError('NOT_FOUND', `Bot ${botId} not found`);
+        }
+        return bots[botId];
+    }
+
+    /**
+     * Create a bot from a configuration. The bot starts disabled unless the
+     * configuration says otherwise.
+     * @param {Object} config - Bot YAML content; needs instrument and strategy.type
+     * @param {Object} options - { botId } to choose the id instead of the next BOT_n
+     * @returns {Promise<{botId: string, config: Object}>}
+     */
+    async create(config = {}, options = {}) {
+        if (!config.instrument) {
+            throw fleetError('INVALID', 'A new bot needs an instrument');
+        }
+        if (!config.strategy || !config.strategy.type) {
+            throw fleetError('INVALID', 'A new bot needs a strategy type');
+        }
+
+        const botId = await this.reserveBotId(options.botId);
+        const port = await this.allocatePort();
+        const { botId: ignoredId, port: ignoredPort, ...rest } = config;
+
+        const botConfig = { botId, port, enabled: false, ...rest };
+        await this.write(this.botsDirectory, botId, botConfig);
+
+        console.log(`🤖 Created ${botId} on port ${port}`);
+        return { botId, config: botConfig };
+    }
+
+    /**
+     * Copy an active or archived bot under a new id and port
+     * @param {string} sourceId
+     * @param {Object} overrides - Merged into the copy (nested sections merge)
+     * @param {Object} options - { botId }
+     */
+    async clone(sourceId, overrides = {}, options = {}) {
+        const active = await this.list();
+        const source = active[sourceId] || (await this.listArchived())[sourceId];
+        if (!source) {
+            throw fleetError('NOT_FOUND', `Bot ${sourceId} not found`);
+        }
+
+        const botId = await this.reserveBotId(options.botId);
+        const port = await this.allocatePort();
+        const { botId: ignoredId, port: ignoredPort, ...rest } = deepMerge(source, overrides);
+
+        const botConfig = {
+            botId,
+            port,
+            ...rest,
+            enabled: overrides.enabled ?? false,
+            description: overrides.description || `${source.description || sourceId} (clone of ${sourceId})`
+        };
+        await this.write(this.botsDirectory, botId, botConfig, `cloned from ${sourceId}`);
+
+        console.log(`🤖 Cloned ${sourceId} as ${botId} on port ${port}`);
+        return { botId, config: botConfig };
+    }
+
+    /**
+     * Move a bot to config/bots/archive/. Its port becomes free for new bots.
+     */
+    async archive(botId) {
+        await this.get(botId);
+        await fs.promises.mkdir(this.archiveDirectory, { recursive: true });
+        await fs.promises.rename(this.filePath(this.botsDirectory, botId), this.filePath(this.archiveDirectory, botId));
+
+        console.log(`📦 Archived ${botId}`);
+        return { botId };
+    }
+
+    /**
+     * Bring an archived bot back, on a new port if its old one was taken
+     */
+    async restore(botId) {
+        const archived = await this.listArchived();
+        const config = archived[botId];
+        if (!config) {
+            throw fleetError('NOT_FOUND', `Archived bot ${botId} not found`);
+        }
+        if ((await this.list())[botId]) {
+            throw fleetError('EXISTS', `Bot ${botId} already exists`);
+        }
+
+        const usedPorts = Object.values(await this.list()).map(bot => bot.port);
+        const port = usedPorts.includes(config.port) || !this.isInRange(config.port, await this.getPortRange())
+            ? await this.allocatePort()
+            : config.port;
+
+        const botConfig = { ...config, botId, port };
+        await this.write(this.botsDirectory, botId, botConfig);
+        await fs.promises.unlink(this.filePath(this.archiveDirectory, botId));
+
+        console.log(`📤 Restored ${botId} on port ${port}`);
+        return { botId, config: botConfig };
+    }
+
+    /**
+     * Delete a bot's configuration, active or archived
+     */
+    async delete(botId) {
+        for (const directory of [this.botsDirectory, this.archiveDirectory]) {
+            try {
+                await fs.promises.unlink(this.filePath(directory, botId));
+                console.log(`🗑️  Deleted ${botId}`);
+                return { botId };
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        throw fleetError('NOT_FOUND', `Bot ${botId} not found`);
+    }
+
+    async getPortRange() {
+        try {
+            const content = await fs.promises.readFile(path.join(this.config.configDirectory, 'global.yaml'), 'utf8');
+            const range = yaml.load(content)?.system?.ports?.botRange;
+            return { ...DEFAULT_PORT_RANGE, ...range };
+        } catch (error) {
+            return { ...DEFAULT_PORT_RANGE };
+        }
+    }
+
+    /**
+     * Lowest port in the bot range that no active bot uses
+     */
+    async allocatePort() {
+        const range = await this.getPortRange();
+        const used = new Set(Object.values(await this.list()).map(bot => bot.port));
+
+        for (let port = range.start; port <= range.end; port++) {
+            if (!used.has(port)) return port;
+        }
+        throw new Error(`No free bot port in ${range.start}-${range.end} (system.ports.botRange in global.yaml)`);
+    }
+
+    isInRange(port, range) {
+        return Number.isInteger(port) && port >= range.start && port <= range.end;
+    }
+
+    /**
+     * Validate a requested id, or pick the next BOT_n. Numbers are never
+     * reused while an archived bot still holds them.
+     */
+    async reserveBotId(requested) {
+        const existing = [
+            ...Object.keys(await this.list()),
+            ...Object.keys(await this.listArchived())
+        ];
+
+        if (requested) {
+            if (!BOT_ID_PATTERN.test(requested)) {
+                throw fleetError('INVALID', `Invalid bot id ${requested}: use letters, digits, _ and - (max 40)`);
+            }
+            if (existing.includes(requested)) {
+                throw fleetError('EXISTS', `Bot ${requested} already exists`);
+            }
+            return requested;
+        }
+
+        const highest = Math.max(0, ...existing.map(botNumber).filter(number => number !== null));
+        return `BOT_${highest + 1}`;
+    }
+
+    async readDirectory(directory) {
+        let files;
+        try {
+            files = await fs.promises.readdir(directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+
+        const bots = {};
+        for (const file of files.filter(name => name.endsWith('.yaml'))) {
+            const fileId = path.basename(file, '.yaml');
+            try {
+                const config = yaml.load(await fs.promises.readFile(path.join(directory, file), 'utf8')) || {};
+                // The file name is the bot's id - a different botId inside would shadow another bot
+                if (config.botId !== undefined && config.botId !== fileId) {
+                    console.warn(`⚠️  Skipping ${file}: botId ${config.botId} does not match the file name`);
+                    continue;
+                }
+                bots[fileId] = config;
+            } catch (error) {
+                console.warn(`⚠️  Skipping ${file}: ${error.message}`);
+            }
+        }
+
+        return Object.fromEntries(Object.keys(bots).sort(compareBotIds).map(botId => [botId, bots[botId]]));
+    }
+
+    async write(directory, botId, config, note = null) {
+        await fs.promises.mkdir(directory, { recursive: true });
+        const header = `# ${botId} Configuration${note ? ` (${note})` : ''}\n`;
+        await fs.promises.writeFile(this.filePath(directory, botId), header + yaml.dump(config, { lineWidth: 120, noRefs: true }));
+    }
+
+    filePath(directory, botId) {
+        if (!BOT_ID_PATTERN.test(botId)) {
+            throw fleetError('INVALID', `Invalid bot id ${botId}`);
+        }
+        return path.join(directory, `${botId}.yaml`);
+    }
+}
+
+module.exports = BotFleet;
@@ -30,48 +30,17 @@ class ContractMonths {
     };
 
     /**
-     * Contract rollover schedules by product
+     * Contract rollover schedules by product (config/instruments.yaml `rollover`)
      * These are approximate - actual rollover dates vary
      */
-    static ROLLOVER_SCHEDULE = {
-        // Gold typically trades quarterly (Mar, Jun, Sep, Dec)
-        // But micro gold (MGC) often uses Dec as primary
-        'MGC': {
-            activeMonths: [3, 6, 9, 12], // H, M, U, Z
-            preferredMonth: 12, // Z (December)
-            rolloverDaysBefore: 5
-        },
-        // Equity indices typically trade quarterly
-        'MES': {
-            activeMonths: [3, 6, 9, 12], // H, M, U, Z
-            rolloverDaysBefore: 8
-        },
-        'MNQ': {
-            activeMonths: [3, 6, 9, 12], // H, M, U, Z
-            rolloverDaysBefore: 8
-        },
-        'M2K': {
-            activeMonths: [3, 6, 9, 12], // H, M, U, Z
-            rolloverDaysBefore: 8
-        },
-        'MYM': {
-            activeMonths: [3, 6, 9, 12], // H, M, U, Z
-            rolloverDaysBefore: 8
-        },
-        // Currencies often trade all months
-        'M6E': {
-            activeMonths: [3, 6, 9, 12], // Quarterly for micros
-            rolloverDaysBefore: 5
-        },
-        // Crude oil trades all months
-        'MCL': {
-            activeMonths: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], // All months
-            rolloverDaysBefore: 3
-        }
-    };
+    static get ROLLOVER_SCHEDULE() {
+        // Required lazily - the registry itself depends on this module
+        return require('./InstrumentRegistry').getRolloverSchedules();
+    }
 
     /**
      * Get the currently active contract month for a symbol
+     * A contract stays active until its roll date (expiry minus rolloverDaysBefore)
      * @param {string} symbol - The base symbol (e.g., 'MGC', 'MES')
      * @param {Date} currentDate - Current date (optional, defaults to now)
      * @returns {string} The contract month code and year (e.g., 'Z25')
@@ -83,40 +52,66 @@ class ContractMonths {
             return this.getNextQuarterlyMonth(currentDate);
         }
 
-        // Special handling for MGC - prefer December
-        if (symbol === 'MGC' && schedule.preferredMonth) {
-            const currentYear = currentDate.getFullYear();
-            const preferredMonthCode = this.MONTH_CODES[schedule.preferredMonth];
-            const yearSuffix = String(currentYear).slice(-2);
-            
-            // Check if December contract is still active
-            const decemberDate = new Date(currentYear, schedule.preferredMonth - 1, 15);
-            if (currentDate < decemberDate) {
-                return `${preferredMonthCode}${yearSuffix}`;
-            } else {
-                // Roll to next year's December
-                return `${preferredMonthCode}${String(currentYear + 1).slice(-2)}`;
+        // Products with a preferred month (e.g. MGC December) stay in it until it rolls
+        const months = schedule.preferredMonth ? [schedule.preferredMonth] : schedule.activeMonths;
+        const currentYear = currentDate.getFullYear();
+
+        for (const year of [currentYear, currentYear + 1]) {
+            for (const month of months) {
+                const monthYear = `${this.MONTH_CODES[month]}${String(year).slice(-2)}`;
+                if (currentDate < this.getRollDate(monthYear, schedule)) {
+                    return monthYear;
+                }
             }
         }
 
-        // For other contracts, find the next active month
-        const currentMonth = currentDate.getMonth() + 1;
-        const currentYear = currentDate.getFullYear();
-        
-        // Find next active month
-        let targetMonth = schedule.activeMonths.find(month => month >= currentMonth);
-        let targetYear = currentYear;
-        
-        if (!targetMonth) {
-            // Roll to next year
-            targetMonth = schedule.activeMonths[0];
-            targetYear = currentYear + 1;
-        }
+        return `${this.MONTH_CODES[months[0]]}${String(currentYear + 2).slice(-2)}`;
+    }
 
-        const monthCode = this.MONTH_CODES[targetMonth];
-        const yearSuffix = String(targetYear).slice(-2);
-        
-        return `${monthCode}${yearSuffix}`;
+    /**
+     * Get the contract month that follows a contract in the product's schedule
+     * @param {string} symbol - Base symbol (e.g., 'MES')
+     * @param {string} monthYear - Current month and year code (e.g., 'Z25')
+     * @returns {string} Next month and year code (e.g., 'H26')
+     */
+    static getNextContractMonth(symbol, monthYear) {
+        const schedule = this.ROLLOVER_SCHEDULE[symbol];
+        const months = schedule ?
+            (schedule.preferredMonth ? [schedule.preferredMonth] : schedule.activeMonths) :
+            [3, 6, 9, 12];
+        const month = this.CODE_TO_MONTH[monthYear[0]];
+        const year = 2000 + parseInt(monthYear.slice(1), 10);
+
+        const nextMonth = months.find(candidate => candidate > month);
+        return nextMonth ?
+            `${this.MONTH_CODES[nextMonth]}${String(year).slice(-2)}` :
+            `${this.MONTH_CODES[months[0]]}${String(year + 1).slice(-2)}`;
+    }
+
+    /**
+     * Estimated last trading day of a contract month (the 20th - typical expiry)
+     * @param {string} monthYear - Month and year code (e.g., 'Z25')
+     * @returns {Date|null} Estimated expiry, null for an unknown month code
+     */
+    static getEstimatedExpiration(monthYear) {
+        const month = this.CODE_TO_MONTH[monthYear[0]];
+        if (!month) return null;
+
+        return new Date(2000 + parseInt(monthYear.slice(1), 10), month - 1, 20);
+    }
+
+    /**
+     * Date from which positions should be on the next contract
+     * @param {string} monthYear - Month and year code (e.g., 'Z25')
+     * @param {object} schedule - Rollover schedule ({ rolloverDaysBefore })
+     * @param {Date|string} expirationDate - Exchange expiry when known (TopStep contract data)
+     * @returns {Date} Roll date
+     */
+    static getRollDate(monthYear, schedule = {}, expirationDate = null) {
+        const expiry = expirationDate ? new Date(expirationDate) : this.getEstimatedExpiration(monthYear);
+        const rollDate = new Date(expiry);
+        rollDate.setDate(rollDate.getDate() - (schedule.rolloverDaysBefore || 0));
+        return rollDate;
     }
 
     /**
@@ -211,14 +206,9 @@ class ContractMonths {
      * @returns {boolean} True if likely expired
      */
     static isLikelyExpired(monthYear, currentDate = new Date()) {
-        const monthCode = monthYear[0];
-        const year = parseInt('20' + monthYear.slice(1));
-        const month = this.CODE_TO_MONTH[monthCode];
-        
-        if (!month) return true;
-        
-        // Create date for the 20th of the contract month (typical expiry)
-        const expiryDate = new Date(year, month - 1, 20);
+        // Typical expiry is around the 20th of the contract month
+        const expiryDate = this.getEstimatedExpiration(monthYear);
+        if (!expiryDate) return true;
         
         return currentDate > expiryDate;
     }
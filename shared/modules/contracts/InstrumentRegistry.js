@@ -0,0 +1,349 @@
+/**
+ * InstrumentRegistry - Single source of contract specifications
+ *
+ * Resolves any symbol form - 'MGC', 'F.US.MGC' or 'CON.F.US.MGC.Z25' - to its
+ * tick size, tick value, point value, session hours and active contract.
+ *
+ * Specs are seeded from config/instruments.yaml and overlaid with the contracts
+ * the Connection Manager fetches from TopStep (seedFromContracts). Seeded
+ * contracts are persisted to data/contracts/topstep-contracts.json (or
+ * TOPSTEP_CONTRACTS_CACHE_PATH) so the bots and the aggregator, which run in
+ * their own processes, resolve the same broker specs and contract months.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const ContractMonths = require('./ContractMonths');
+
+const INSTRUMENTS_PATH = path.join(__dirname, '../../../config/instruments.yaml');
+const CONTRACTS_CACHE_PATH = path.join(__dirname, '../../../data/contracts/topstep-contracts.json');
+
+// Futures month codes used in contract IDs (e.g. Z25)
+const CONTRACT_MONTH_PATTERN = /^[FGHJKMNQUVXZ]\d{1,2}$/;
+
+class InstrumentRegistry {
+    constructor(config = {}) {
+        this.config = {
+            instrumentsPath: config.instrumentsPath || INSTRUMENTS_PATH,
+            contractsCachePath: config.contractsCachePath || process.env.TOPSTEP_CONTRACTS_CACHE_PATH || CONTRACTS_CACHE_PATH
+        };
+
+        this.instruments = new Map(); // root -> spec from instruments.yaml
+        this.contracts = new Map();   // root -> TopStep contracts, nearest expiry first
+        this.loaded = false;
+    }
+
+    /**
+     * Point the shared registry at other files; they are read on next use
+     * @param {Object} config - { instrumentsPath, contractsCachePath }
+     */
+    configure(config = {}) {
+        this.config = {
+            instrumentsPath: config.instrumentsPath || this.config.instrumentsPath,
+            contractsCachePath: config.contractsCachePath || this.config.contractsCachePath
+        };
+        this.loaded = false;
+        return this;
+    }
+
+    /**
+     * Load instruments.yaml and any contracts cached by the Connection Manager
+     */
+    load() {
+        this.loaded = true;
+        this.instruments.clear();
+        this.contracts.clear();
+
+        try {
+            const config = yaml.load(fs.readFileSync(this.config.instrumentsPath, 'utf8')) || {};
+            Object.entries(config.instruments || {}).forEach(([symbol, spec]) => {
+                this.instruments.set(this.getSymbolRoot(symbol), spec);
+            });
+        } catch (error) {
+            console.error('❌ Failed to load instrument registry:', error.message);
+        }
+
+        try {
+            if (fs.existsSync(this.config.contractsCachePath)) {
+                const cache = JSON.parse(fs.readFileSync(this.config.contractsCachePath, 'utf8'));
+                this.applyContracts(cache.contracts || []);
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable TopStep contract cache:', error.message);
+        }
+
+        return this;
+    }
+
+    ensureLoaded() {
+        if (!this.loaded) {
+            this.load();
+        }
+    }
+
+    /**
+     * Extract the root symbol from any instrument form
+     * 'CON.F.US.MES.Z25' -> 'MES', 'F.US.MES' -> 'MES', 'MES' -> 'MES'
+     */
+    getSymbolRoot(symbol) {
+        if (!symbol) return symbol;
+
+        const parts = String(symbol).toUpperCase().split('.')
+            .filter(part => !['CON', 'F', 'US'].includes(part) && !CONTRACT_MONTH_PATTERN.test(part));
+
+        return parts.length > 0 ? parts[parts.length - 1] : String(symbol);
+    }
+
+    /**
+     * Full specification for an instrument, or null if it is unknown
+     * @returns {Object|null} { symbol, name, tickSize, tickValue, pointValue, currency,
+     *                          tradingHours, activeContract, expirationDate, source }
+     */
+    resolve(symbol, currentDate = new Date()) {
+        this.ensureLoaded();
+
+        const root = this.getSymbolRoot(symbol);
+        const spec = this.instruments.get(root);
+        const activeContract = this.getActiveContract(root, currentDate);
+        const contracts = this.contracts.get(root) || [];
+        const contract = contracts.find(candidate => candidate.contractId === activeContract) || contracts[0];
+
+        if (!spec && !contract) {
+            return null;
+        }
+
+        const tickSize = contract?.tickSize ?? spec?.tickSize;
+        const pointValue = contract?.pointValue ?? spec?.pointValue;
+
+        return {
+            symbol: root,
+            name: contract?.name || spec?.name || root,
+            tickSize,
+            tickValue: contract?.tickValue ?? spec?.tickValue ?? tickSize * pointValue,
+            pointValue,
+            currency: contract?.currency || spec?.currency || 'USD',
+            tradingHours: spec?.tradingHours || null,
+            activeContract,
+            expirationDate: contract?.expirationDate || null,
+            source: contract ? 'topstep' : 'config'
+        };
+    }
+
+    has(symbol) {
+        return this.resolve(symbol) !== null;
+    }
+
+    getTickSize(symbol) {
+        return this.resolve(symbol)?.tickSize ?? null;
+    }
+
+    getTickValue(symbol) {
+        return this.resolve(symbol)?.tickValue ?? null;
+    }
+
+    /**
+     * Dollars per 1.0 price move per contract
+     */
+    getPointValue(symbol) {
+        return this.resolve(symbol)?.pointValue ?? null;
+    }
+
+    getTradingHours(symbol) {
+        return this.resolve(symbol)?.tradingHours ?? null;
+    }
+
+    /**
+     * Active contract ID for an instrument (e.g. 'MGC' -> 'CON.F.US.MGC.Z25')
+     *
+     * Uses the nearest TopStep contract that has not reached its roll date,
+     * otherwise derives the contract month from the instrument's rollover schedule.
+     */
+    getActiveContract(symbol, currentDate = new Date()) {
+        this.ensureLoaded();
+
+        const root = this.getSymbolRoot(symbol);
+        const contract = (this.contracts.get(root) || []).find(candidate =>
+            currentDate < this.getRollDate(candidate.contractId, candidate.expirationDate));
+
+        if (contract) {
+            return contract.contractId;
+        }
+
+        return ContractMonths.buildContractId(root, ContractMonths.getActiveContractMonth(root, currentDate));
+    }
+
+    /**
+     * Roll status of a contract - when to move to the next month
+     * @param {string} symbol - Contract ID, or any symbol form for the active contract
+     * @param {Date} currentDate - Evaluation time
+     * @param {number} warningDays - Days before the roll date that count as WARNING
+     * @returns {Object} { symbol, contractId, nextContractId, expirationDate, rollDate, daysToRoll, phase }
+     *                   phase is ACTIVE, WARNING or ROLL (past the roll date)
+     */
+    getRollInfo(symbol, currentDate = new Date(), warningDays = 3) {
+        this.ensureLoaded();
+
+        const root = this.getSymbolRoot(symbol);
+        const contractId = this.getContractMonth(symbol) ?
+            ContractMonths.buildContractId(root, this.getContractMonth(symbol)) :
+            this.getActiveContract(root, currentDate);
+        const monthYear = this.getContractMonth(contractId);
+
+        const contracts = this.contracts.get(root) || [];
+        const index = contracts.findIndex(candidate => candidate.contractId === contractId);
+        const seeded = index >= 0 ? contracts[index] : null;
+        const listedNext = index >= 0 ? contracts[index + 1] : null;
+
+        const rollDate = this.getRollDate(contractId, seeded?.expirationDate);
+        const daysToRoll = (rollDate.getTime() - currentDate.getTime()) / (24 * 60 * 60 * 1000);
+
+        let phase = 'ACTIVE';
+        if (daysToRoll <= 0) {
+            phase = 'ROLL';
+        } else if (daysToRoll <= warningDays) {
+            phase = 'WARNING';
+        }
+
+        return {
+            symbol: root,
+            contractId,
+            // Prefer the next month TopStep lists, otherwise follow the schedule
+            nextContractId: listedNext ?
+                listedNext.contractId :
+                ContractMonths.buildContractId(root, ContractMonths.getNextContractMonth(root, monthYear)),
+            expirationDate: seeded?.expirationDate ?
+                new Date(seeded.expirationDate) :
+                ContractMonths.getEstimatedExpiration(monthYear),
+            rollDate,
+            daysToRoll,
+            phase
+        };
+    }
+
+    getRollDate(contractId, expirationDate = null) {
+        const monthYear = this.getContractMonth(contractId);
+        if (!monthYear && !expirationDate) {
+            // Undated contract - nothing to roll
+            return new Date(8640000000000000);
+        }
+
+        return ContractMonths.getRollDate(monthYear, this.getRolloverSchedule(contractId) || {}, expirationDate);
+    }
+
+    /**
+     * Month code of a contract ID ('CON.F.US.MES.Z25' -> 'Z25'), null for generic symbols
+     */
+    getContractMonth(symbol) {
+        const last = String(symbol || '').toUpperCase().split('.').pop();
+        return CONTRACT_MONTH_PATTERN.test(last) ? last : null;
+    }
+
+    /**
+     * Rollover schedule for a root symbol
+     */
+    getRolloverSchedule(symbol) {
+        this.ensureLoaded();
+        return this.instruments.get(this.getSymbolRoot(symbol))?.rollover || null;
+    }
+
+    /**
+     * Rollover schedules for every configured instrument, keyed by root symbol
+     */
+    getRolloverSchedules() {
+        this.ensureLoaded();
+
+        const schedules = {};
+        for (const [root, spec] of this.instruments) {
+            if (spec.rollover) {
+                schedules[root] = spec.rollover;
+            }
+        }
+        return schedules;
+    }
+
+    getSymbols() {
+        this.ensureLoaded();
+        return [...new Set([...this.instruments.keys(), ...this.contracts.keys()])];
+    }
+
+    /**
+     * Overlay contracts returned by ConnectionManager.fetchContractsFromTopStep()
+     * @param {Array} contracts - { contractId, symbol, name, tickSize, tickValue, pointValue, expirationDate, isActive }
+     * @param {Object} options - { persist } writes the contract cache for other services
+     */
+    seedFromContracts(contracts, options = {}) {
+        this.ensureLoaded();
+
+        // A fresh fetch replaces whatever was cached for those symbols
+        for (const contract of contracts || []) {
+            if (contract?.contractId) {
+                this.contracts.delete(this.getSymbolRoot(contract.symbol || contract.contractId));
+            }
+        }
+
+        const seeded = this.applyContracts(contracts);
+
+        if (options.persist !== false && seeded > 0) {
+            this.saveContractCache();
+        }
+
+        return seeded;
+    }
+
+    applyContracts(contracts) {
+        let seeded = 0;
+
+        for (const contract of contracts || []) {
+            if (!contract || !contract.contractId || contract.isActive === false) continue;
+
+            const root = this.getSymbolRoot(contract.symbol || contract.contractId);
+            const contracts = (this.contracts.get(root) || [])
+                .filter(existing => existing.contractId !== contract.contractId);
+
+            const tickSize = Number(contract.tickSize) || null;
+            const pointValue = Number(contract.pointValue) || null;
+
+            contracts.push({
+                contractId: contract.contractId,
+                symbol: contract.symbol || null,
+                name: contract.name || null,
+                tickSize,
+                tickValue: Number(contract.tickValue) || (tickSize && pointValue ? tickSize * pointValue : null),
+                pointValue,
+                currency: contract.currency || null,
+                expirationDate: contract.expirationDate || null
+            });
+
+            // Several months can be listed - keep them nearest expiry first
+            contracts.sort((a, b) => this.getExpiryTime(a) - this.getExpiryTime(b));
+            this.contracts.set(root, contracts);
+            seeded++;
+        }
+
+        return seeded;
+    }
+
+    saveContractCache() {
+        try {
+            fs.mkdirSync(path.dirname(this.config.contractsCachePath), { recursive: true });
+            fs.writeFileSync(this.config.contractsCachePath, JSON.stringify({
+                updatedAt: new Date().toISOString(),
+                contracts: [...this.contracts.values()].flat()
+            }, null, 2));
+        } catch (error) {
+            console.error('❌ Failed to save TopStep contract cache:', error.message);
+        }
+    }
+
+    getExpiryTime(contract) {
+        const monthYear = this.getContractMonth(contract.contractId);
+        const expiry = contract.expirationDate ? new Date(contract.expirationDate) :
+            (monthYear ? ContractMonths.getEstimatedExpiration(monthYear) : null);
+        const time = expiry ? expiry.getTime() : NaN;
+        return isNaN(time) ? Infinity : time;
+    }
+}
+
+// Export singleton instance
+module.exports = new InstrumentRegistry();
@@ -0,0 +1,245 @@
+/**
+ * TradeJournal - Durable record of signals, orders, fills, SL/TP changes and closes
+ *
+ * Entries are appended as JSON lines to data/journal/<source>/<YYYY-MM-DD>.jsonl
+ * (UTC date). Every writer - each bot and the aggregator - owns its own source
+ * directory, so processes never append to the same file. Queries read every
+ * source, which lets the aggregator serve the whole fleet's history.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const instrumentRegistry = require('../contracts/InstrumentRegistry');
+
+const JOURNAL_DIRECTORY = path.join(__dirname, '../../../data/journal');
+
+const ENTRY_TYPES = [
+    'SIGNAL',          // Strategy signal, with indicator / environment snapshot
+    'ORDER',           // Order submitted for execution
+    'ORDER_REJECTED',  // Blocked by risk controls or the queue
+    'ORDER_FAILED',    // Accepted but failed at the broker
+    'ORDER_MODIFIED',  // Working entry order moved to a new price
+    'ORDER_CANCELLED', // Working entry order cancelled, expired or rejected before it (fully) filled
+    'FILL',            // Entry or exit fill
+    'SLTP_MODIFIED',   // Stop loss / take profit moved (breakeven, trailing, bracket applied)
+    'PARTIAL_EXIT',    // Part of the position closed
+    'CLOSE'            // Position closed, with realized P&L
+];
+
+class TradeJournal {
+    /**
+     * @param {Object} config - { source, directory, enabled }
+     */
+    constructor(config = {}) {
+        this.config = {
+            source: 'default',
+            directory: JOURNAL_DIRECTORY,
+            enabled: true,
+            ...config
+        };
+
+        // Directory names must be safe on every platform
+        this.source = String(this.config.source).replace(/[^A-Za-z0-9_-]/g, '_');
+        this.writeChain = Promise.resolve();
+        this.sequence = 0;
+        this.stats = {
+            recorded: 0,
+            dropped: 0,
+            writeErrors: 0,
+            lastEntryAt: null
+        };
+    }
+
+    /**
+     * Append an entry. Writes are queued so entries land in recording order;
+     * failures are logged and never thrown into the trading path - entries
+     * that cannot be recorded are dropped.
+     * @param {string} type - One of TradeJournal.TYPES
+     * @param {Object} entry - { botId, instrument, strategy, accountId, orderId, positionId, data, context, timestamp }
+     * @returns {Object|null} The recorded entry, null if disabled or dropped
+     */
+    record(type, entry = {}) {
+        if (!this.config.enabled) return null;
+
+        if (!ENTRY_TYPES.includes(type)) {
+            return this.drop(type, `unknown entry type ${type}`);
+        }
+
+        const timestamp = entry.timestamp != null ? new Date(entry.timestamp) : new Date();
+        if (isNaN(timestamp.getTime())) {
+            return this.drop(type, `invalid timestamp ${entry.timestamp}`);
+        }
+
+        const record = {
+            id: `${this.source}_${timestamp.getTime()}_${++this.sequence}`,
+            type,
+            timestamp: timestamp.toISOString(),
+            source: this.source,
+            botId: entry.botId || null,
+            instrument: entry.instrument || null,
+            strategy: entry.strategy || null,
+            accountId: entry.accountId != null ? String(entry.accountId) : null,
+            orderId: entry.orderId || null,
+            positionId: entry.positionId || null,
+            data: entry.data || {},
+            context: entry.context || null
+        };
+
+        let line;
+        try {
+            line = JSON.stringify(record) + '\n';
+        } catch (error) {
+            // Circular or otherwise unserializable data / context
+            return this.drop(type, error.message);
+        }
+
+        const filePath = this.getFilePath(timestamp);
+
+        this.writeChain = this.writeChain
+            .then(() => fs.promises.mkdir(path.dirname(filePath), { recursive: true }))
+            .then(() => fs.promises.appendFile(filePath, line))
+            .catch(error => {
+                this.stats.writeErrors++;
+                console.error(`❌ Failed to write trade journal entry (${type}):`, error.message);
+            });
+
+        this.stats.recorded++;
+        this.stats.lastEntryAt = record.timestamp;
+
+        return record;
+    }
+
+    drop(type, reason) {
+        this.stats.dropped++;
+        console.error(`❌ Dropped trade journal entry (${type}): ${reason}`);
+        return null;
+    }
+
+    /**
+     * Wait for queued writes to reach disk
+     */
+    flush() {
+        return this.writeChain;
+    }
+
+    /**
+     * Query entries from every source, newest first
+     * @param {Object} filters - { botId, instrument, strategy, type, accountId, source,
+     *                             from, to, limit, offset }. instrument matches by root
+     *                             symbol, type accepts a comma-separated list.
+     * @returns {Promise<Object>} { entries, total, limit, offset }
+     */
+    async query(filters = {}) {
+        await this.flush();
+
+        const from = filters.from ? new Date(filters.from) : null;
+        const to = filters.to ? new Date(filters.to) : null;
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            throw new Error('Invalid journal date range');
+        }
+
+        const types = filters.type ? String(filters.type).toUpperCase().split(',').map(type => type.trim()) : null;
+        const root = filters.instrument ? instrumentRegistry.getSymbolRoot(filters.instrument) : null;
+        const limit = Math.max(1, Math.min(parseInt(filters.limit) || 500, 5000));
+        const offset = Math.max(0, parseInt(filters.offset) || 0);
+
+        const matches = [];
+        for (const filePath of await this.listFiles(filters.source, from, to)) {
+            for (const entry of await this.readFile(filePath)) {
+                const timestamp = new Date(entry.timestamp);
+
+                if (from && timestamp < from) continue;
+                if (to && timestamp > to) continue;
+                if (types && !types.includes(entry.type)) continue;
+                if (filters.botId && entry.botId !== filters.botId) continue;
+                if (filters.strategy && entry.strategy !== filters.strategy) continue;
+                if (filters.accountId && entry.accountId !== String(filters.accountId)) continue;
+                if (root && (!entry.instrument || instrumentRegistry.getSymbolRoot(entry.instrument) !== root)) continue;
+
+                matches.push(entry);
+            }
+        }
+
+        matches.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+        return {
+            entries: matches.slice(offset, offset + limit),
+            total: matches.length,
+            limit,
+            offset
+        };
+    }
+
+    /**
+     * Journal files within a date range, optionally limited to one source
+     */
+    async listFiles(source = null, from = null, to = null) {
+        let sources;
+        try {
+            sources = source ?
+                [String(source).replace(/[^A-Za-z0-9_-]/g, '_')] :
+                await fs.promises.readdir(this.config.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const fromDay = from ? from.toISOString().slice(0, 10) : null;
+        const toDay = to ? to.toISOString().slice(0, 10) : null;
+        const files = [];
+
+        for (const name of sources) {
+            const directory = path.join(this.config.directory, name);
+            let fileNames;
+            try {
+                fileNames = await fs.promises.readdir(directory);
+            } catch (error) {
+                continue;
+            }
+
+            for (const fileName of fileNames) {
+                const day = fileName.replace(/\.jsonl$/, '');
+                if (day === fileName) continue;
+                if (fromDay && day < fromDay) continue;
+                if (toDay && day > toDay) continue;
+                files.push(path.join(directory, fileName));
+            }
+        }
+
+        return files;
+    }
+
+    async readFile(filePath) {
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        const entries = [];
+
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // A torn last line from a crash must not hide the rest of the day
+                console.warn(`⚠️ Skipping unreadable journal line in ${path.basename(filePath)}`);
+            }
+        }
+
+        return entries;
+    }
+
+    getFilePath(date = new Date()) {
+        return path.join(this.config.directory, this.source, `${date.toISOString().slice(0, 10)}.jsonl`);
+    }
+
+    getStatus() {
+        return {
+            enabled: this.config.enabled,
+            source: this.source,
+            directory: this.config.directory,
+            ...this.stats
+        };
+    }
+}
+
+TradeJournal.TYPES = ENTRY_TYPES;
+
+module.exports = TradeJournal;
@@ -0,0 +1,293 @@
+/**
+ * HistoricalBarStore - Historical bars on disk, with the ranges they cover
+ *
+ * One JSON file per contract and timeframe under data/historical-bars/:
+ *
+ *   data/historical-bars/<contractId>/<timeframe>.json
+ *     { contractId, timeframe, spanMs, coverage: [[from, to], ...], bars: [{ t, o, h, l, c, v }, ...] }
+ *
+ * Bars are kept exactly as History/retrieveBars returned them, oldest first.
+ * coverage lists the bar-start ranges ([from, to) in ms) that were fetched in
+ * full, so a range without bars that is covered is a market closure, not a
+ * hole - only uncovered ranges need the API. Fixed-length timeframes only
+ * (seconds, minutes, hours); daily and longer bars follow the exchange calendar.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HISTORICAL_BAR_DIRECTORY = path.join(__dirname, '../../../data/historical-bars');
+
+// History/retrieveBars units with a fixed bar length
+const UNITS = {
+    1: { suffix: 's', ms: 1000 },
+    2: { suffix: 'm', ms: 60 * 1000 },
+    3: { suffix: 'h', ms: 60 * 60 * 1000 }
+};
+
+class HistoricalBarStore {
+    /**
+     * @param {Object} config - { directory }
+     */
+    constructor(config = {}) {
+        this.config = {
+            directory: HISTORICAL_BAR_DIRECTORY,
+            ...config
+        };
+
+        this.series = new Map();
+        this.writeChains = new Map();
+    }
+
+    /**
+     * Timeframe for a History/retrieveBars unit, or null when bars have no fixed length
+     * @returns {Object|null} { name: '5m', spanMs, unit, unitNumber }
+     */
+    static getTimeframe(unit = 2, unitNumber = 1) {
+        const definition = UNITS[unit];
+        const count = parseInt(unitNumber, 10);
+        if (!definition || !(count > 0)) return null;
+
+        return { name: `${count}${definition.suffix}`, spanMs: definition.ms * count, unit: Number(unit), unitNumber: count };
+    }
+
+    /**
+     * '5m' -> the same object as getTimeframe(2, 5)
+     */
+    static parseTimeframe(name) {
+        const match = /^(\d+)([smh])$/.exec(String(name));
+        if (!match) return null;
+
+        const unit = Object.keys(UNITS).find(key => UNITS[key].suffix === match[2]);
+        return HistoricalBarStore.getTimeframe(Number(unit), Number(match[1]));
+    }
+
+    static barTime(bar) {
+        return new Date(bar.t).getTime();
+    }
+
+    // ==================== Reading ====================
+
+    /**
+     * Stored bars starting in [from, to), oldest first
+     */
+    async getBars(contractId, timeframe, from, to) {
+        const series = await this.load(contractId, timeframe);
+        return series.bars.filter(bar => {
+            const time = HistoricalBarStore.barTime(bar);
+            return time >= from && time < to;
+        });
+    }
+
+    /**
+     * Parts of [from, to) no fetch has covered yet
+     * @returns {Promise<Array<Array<number>>>} [[from, to], ...]
+     */
+    async getMissingRanges(contractId, timeframe, from, to) {
+        const series = await this.load(contractId, timeframe);
+        return this.subtractCoverage(series.coverage, from, to);
+    }
+
+    async getCoverage(contractId, timeframe) {
+        return (await this.load(contractId, timeframe)).coverage;
+    }
+
+    /**
+     * Every stored series with its size and coverage
+     */
+    async listSeries() {
+        const result = [];
+
+        for (const directoryName of await this.readDirectory(this.config.directory)) {
+            for (const fileName of await this.readDirectory(path.join(this.config.directory, directoryName))) {
+                if (!fileName.endsWith('.json')) continue;
+
+                const series = await this.readFile(path.join(this.config.directory, directoryName, fileName));
+                if (!series) continue;
+
+                const { bars, coverage } = series;
+                result.push({
+                    contractId: series.contractId,
+                    timeframe: series.timeframe,
+                    bars: bars.length,
+                    firstBar: bars[0]?.t || null,
+                    lastBar: bars[bars.length - 1]?.t || null,
+                    coverage
+                });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Check a series for holes in its coverage and for malformed bars
+     * @param {Object} options - { from, to } (defaults to the covered span)
+     * @returns {Promise<Object>} { complete, missing, bars, issues }
+     */
+    async verify(contractId, timeframe, options = {}) {
+        const series = await this.load(contractId, timeframe);
+        const { coverage, spanMs } = series;
+
+        const from = options.from !== undefined ? this.alignDown(new Date(options.from).getTime(), spanMs) : coverage[0]?.[0];
+        const to = options.to !== undefined ? this.alignDown(new Date(options.to).getTime(), spanMs) : coverage[coverage.length - 1]?.[1];
+        if (from === undefined || to === undefined) {
+            return { contractId, timeframe: timeframe.name, complete: false, missing: [], bars: 0, issues: [], empty: true };
+        }
+
+        const missing = this.subtractCoverage(coverage, from, to);
+        const issues = [];
+        let previous = null;
+        let count = 0;
+
+        for (const bar of series.bars) {
+            const time = HistoricalBarStore.barTime(bar);
+            if (time < from || time >= to) continue;
+            count++;
+
+            if (time % spanMs !== 0) issues.push({ type: 'MISALIGNED', t: bar.t });
+            if (previous !== null && time <= previous) issues.push({ type: 'OUT_OF_ORDER', t: bar.t });
+            if (!(bar.h >= Math.max(bar.o, bar.c) && bar.l <= Math.min(bar.o, bar.c))) issues.push({ type: 'INVALID_OHLC', t: bar.t });
+            if (this.subtractCoverage(coverage, time, time + 1).length > 0) issues.push({ type: 'OUTSIDE_COVERAGE', t: bar.t });
+            previous = time;
+        }
+
+        return {
+            contractId,
+            timeframe: timeframe.name,
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            complete: missing.length === 0 && issues.length === 0,
+            missing: missing.map(([start, end]) => [new Date(start).toISOString(), new Date(end).toISOString()]),
+            bars: count,
+            issues
+        };
+    }
+
+    // ==================== Writing ====================
+
+    /**
+     * Add fetched bars and mark [coveredFrom, coveredTo) as fetched in full.
+     * Bars already stored are replaced by the newer copy.
+     */
+    async merge(contractId, timeframe, bars, coveredFrom, coveredTo) {
+        const series = await this.load(contractId, timeframe);
+
+        if (bars.length > 0) {
+            const byTime = new Map(series.bars.map(bar => [HistoricalBarStore.barTime(bar), bar]));
+            for (const bar of bars) {
+                byTime.set(HistoricalBarStore.barTime(bar), bar);
+            }
+            series.bars = Array.from(byTime.entries())
+                .sort((a, b) => a[0] - b[0])
+                .map(([, bar]) => bar);
+        }
+
+        if (coveredTo > coveredFrom) {
+            series.coverage = this.addCoverage(series.coverage, coveredFrom, coveredTo);
+        }
+
+        await this.save(series);
+        return series;
+    }
+
+    async load(contractId, timeframe) {
+        const key = `${contractId}|${timeframe.name}`;
+        if (this.series.has(key)) return this.series.get(key);
+
+        const stored = await this.readFile(this.getFilePath(contractId, timeframe.name));
+        const series = stored && stored.spanMs === timeframe.spanMs ? stored : {
+            contractId,
+            timeframe: timeframe.name,
+            spanMs: timeframe.spanMs,
+            coverage: [],
+            bars: []
+        };
+
+        this.series.set(key, series);
+        return series;
+    }
+
+    // Written to a temporary file and renamed, so a crash never leaves half a series
+    save(series) {
+        const filePath = this.getFilePath(series.contractId, series.timeframe);
+        const previous = this.writeChains.get(filePath) || Promise.resolve();
+
+        const write = previous.then(async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify(series));
+            await fs.promises.rename(`${filePath}.tmp`, filePath);
+        });
+
+        this.writeChains.set(filePath, write.catch(error => {
+            console.error(`❌ Failed to write historical bars to ${filePath}:`, error.message);
+        }));
+        return write;
+    }
+
+    // ==================== Helpers ====================
+
+    addCoverage(coverage, from, to) {
+        const ranges = [...coverage, [from, to]].sort((a, b) => a[0] - b[0]);
+        const merged = [];
+
+        for (const [start, end] of ranges) {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        }
+
+        return merged;
+    }
+
+    subtractCoverage(coverage, from, to) {
+        const missing = [];
+        let cursor = from;
+
+        for (const [start, end] of coverage) {
+            if (end <= cursor) continue;
+            if (start >= to) break;
+            if (start > cursor) missing.push([cursor, start]);
+            cursor = Math.max(cursor, end);
+            if (cursor >= to) break;
+        }
+
+        if (cursor < to) missing.push([cursor, to]);
+        return missing;
+    }
+
+    alignDown(time, spanMs) {
+        return Math.floor(time / spanMs) * spanMs;
+    }
+
+    getFilePath(contractId, timeframeName) {
+        // Directory names must be safe on every platform
+        const directory = String(contractId).replace(/[^A-Za-z0-9._-]/g, '_');
+        return path.join(this.config.directory, directory, `${timeframeName}.json`);
+    }
+
+    async readFile(filePath) {
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ Ignoring unreadable historical bar file ${filePath}: ${error.message}`);
+            }
+            return null;
+        }
+    }
+
+    async readDirectory(directory) {
+        try {
+            return await fs.promises.readdir(directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+}
+
+module.exports = HistoricalBarStore;
@@ -0,0 +1,364 @@
+/**
+ * MarketDataStore - Recorded market data on disk
+ *
+ * Every contract has its own directory under data/market-data/, with one pair
+ * of gzip-compressed JSON-lines files per UTC day:
+ *
+ *   data/market-data/<contractId>/<YYYY-MM-DD>.ticks.jsonl.gz   QUOTE/TRADE/DEPTH messages
+ *   data/market-data/<contractId>/<YYYY-MM-DD>.1m.jsonl.gz      completed 1-minute bars
+ *
+ * Ticks are stored as { t, type, data } - t is when the message was published
+ * on market:data (ms), data is the payload exactly as MarketDataService sent it.
+ * Each append adds a gzip member, so files are valid after every write and a
+ * crash loses at most the last unflushed batch.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+
+const MARKET_DATA_DIRECTORY = path.join(__dirname, '../../../data/market-data');
+const TICK_TYPES = ['QUOTE', 'TRADE', 'DEPTH'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.(ticks|1m)\.jsonl\.gz$/;
+
+class MarketDataStore {
+    /**
+     * @param {Object} config - { directory }
+     */
+    constructor(config = {}) {
+        this.config = {
+            directory: MARKET_DATA_DIRECTORY,
+            ...config
+        };
+
+        this.writeChain = Promise.resolve();
+        this.stats = {
+            bytesWritten: 0,
+            writeErrors: 0
+        };
+    }
+
+    // ==================== Writing ====================
+
+    /**
+     * Append ticks ({ t, type, data }) for one contract. Records are split by
+     * UTC day; writes are queued so they land in call order.
+     * @returns {Promise<void>} Resolves once written; failures are logged, not thrown
+     */
+    appendTicks(contractId, ticks) {
+        return this.appendRecords(contractId, 'ticks', ticks, tick => tick.t);
+    }
+
+    /**
+     * Append completed 1-minute bars for one contract
+     */
+    appendBars(contractId, bars) {
+        return this.appendRecords(contractId, '1m', bars, bar => bar.timestamp);
+    }
+
+    appendRecords(contractId, kind, records, getTime) {
+        if (!records || records.length === 0) return this.writeChain;
+
+        const byDay = new Map();
+        for (const record of records) {
+            const day = this.toDay(getTime(record));
+            if (!byDay.has(day)) byDay.set(day, []);
+            byDay.get(day).push(JSON.stringify(record));
+        }
+
+        for (const [day, lines] of byDay) {
+            const filePath = this.getFilePath(contractId, day, kind);
+
+            this.writeChain = this.writeChain
+                .then(async () => {
+                    const compressed = await gzip(lines.join('\n') + '\n');
+                    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+                    await fs.promises.appendFile(filePath, compressed);
+                    this.stats.bytesWritten += compressed.length;
+                })
+                .catch(error => {
+                    this.stats.writeErrors++;
+                    console.error(`❌ Failed to write market data to ${filePath}:`, error.message);
+                });
+        }
+
+        return this.writeChain;
+    }
+
+    /**
+     * Wait for queued writes to reach disk
+     */
+    flush() {
+        return this.writeChain;
+    }
+
+    /**
+     * Delete days older than the retention period
+     * @param {number} retentionDays - Days kept, counting today
+     * @returns {Promise<Array<string>>} Deleted file paths
+     */
+    async prune(retentionDays, now = Date.now()) {
+        const oldestKept = this.toDay(now - (retentionDays - 1) * DAY_MS);
+        const deleted = [];
+
+        for (const contractId of await this.listContracts()) {
+            const directory = this.getContractDirectory(contractId);
+
+            for (const fileName of await this.readDirectory(directory)) {
+                const match = FILE_PATTERN.exec(fileName);
+                if (!match || match[1] >= oldestKept) continue;
+
+                const filePath = path.join(directory, fileName);
+                try {
+                    await fs.promises.unlink(filePath);
+                    deleted.push(filePath);
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        console.error(`❌ Failed to delete ${filePath}:`, error.message);
+                    }
+                }
+            }
+
+            if ((await this.readDirectory(directory)).length === 0) {
+                await fs.promises.rmdir(directory).catch(() => {});
+            }
+        }
+
+        return deleted;
+    }
+
+    // ==================== Reading ====================
+
+    /**
+     * Contracts with recorded data
+     * @returns {Promise<Array<string>>}
+     */
+    async listContracts() {
+        const names = await this.readDirectory(this.config.directory);
+        return names.filter(name => !name.startsWith('.')).sort();
+    }
+
+    /**
+     * Recorded UTC days of a contract, oldest first
+     * @returns {Promise<Array<string>>} YYYY-MM-DD
+     */
+    async listDays(contractId) {
+        const days = new Set();
+        for (const fileName of await this.readDirectory(this.getContractDirectory(contractId))) {
+            const match = FILE_PATTERN.exec(fileName);
+            if (match) days.add(match[1]);
+        }
+        return Array.from(days).sort();
+    }
+
+    /**
+     * Recorded contracts with their days and file sizes
+     */
+    async getSummary() {
+        const contracts = {};
+
+        for (const contractId of await this.listContracts()) {
+            const directory = this.getContractDirectory(contractId);
+            let bytes = 0;
+            for (const fileName of await this.readDirectory(directory)) {
+                const stat = await fs.promises.stat(path.join(directory, fileName)).catch(() => null);
+                bytes += stat ? stat.size : 0;
+            }
+
+            const days = await this.listDays(contractId);
+            contracts[contractId] = { days, firstDay: days[0] || null, lastDay: days[days.length - 1] || null, bytes };
+        }
+
+        return { directory: this.config.directory, contracts };
+    }
+
+    /**
+     * Stream recorded ticks in time order. With several contracts the streams
+     * are merged, so replay sees messages in the order they were published.
+     * @param {string|Array<string>} contractIds
+     * @param {Object} options - { from, to, types }
+     * @returns {AsyncGenerator<Object>} { t, instrument, type, data }
+     */
+    async *iterateTicks(contractIds, options = {}) {
+        const ids = Array.isArray(contractIds) ? contractIds : [contractIds];
+        const streams = ids.map(contractId => this.iterateContractTicks(contractId, options));
+
+        const heads = [];
+        for (const stream of streams) {
+            const next = await stream.next();
+            if (!next.done) heads.push({ stream, value: next.value });
+        }
+
+        try {
+            while (heads.length > 0) {
+                let earliest = 0;
+                for (let i = 1; i < heads.length; i++) {
+                    if (heads[i].value.t < heads[earliest].value.t) earliest = i;
+                }
+
+                const head = heads[earliest];
+                yield head.value;
+
+                const next = await head.stream.next();
+                if (next.done) {
+                    heads.splice(earliest, 1);
+                } else {
+                    head.value = next.value;
+                }
+            }
+        } finally {
+            // Consumers that stop early close the files still open
+            for (const head of heads) {
+                await head.stream.return();
+            }
+        }
+    }
+
+    async *iterateContractTicks(contractId, options = {}) {
+        const { from, to } = this.parseRange(options);
+        const types = options.types ? options.types.map(type => String(type).toUpperCase()) : null;
+
+        for (const day of await this.listDays(contractId)) {
+            if (!this.dayInRange(day, from, to)) continue;
+
+            for await (const tick of this.readLines(this.getFilePath(contractId, day, 'ticks'))) {
+                if (from !== null && tick.t < from) continue;
+                if (to !== null && tick.t > to) continue;
+                if (types && !types.includes(tick.type)) continue;
+
+                yield { t: tick.t, instrument: contractId, type: tick.type, data: tick.data };
+            }
+        }
+    }
+
+    /**
+     * Recorded ticks as an array
+     * @param {Object} options - { from, to, types, limit }
+     */
+    async getTicks(contractIds, options = {}) {
+        const limit = options.limit || Infinity;
+        const ticks = [];
+
+        for await (const tick of this.iterateTicks(contractIds, options)) {
+            ticks.push(tick);
+            if (ticks.length >= limit) break;
+        }
+
+        return ticks;
+    }
+
+    /**
+     * Recorded 1-minute bars, oldest first
+     * @param {Object} options - { from, to }
+     * @returns {Promise<Array<Object>>} { symbol, timeframe, timestamp, open, high, low, close, volume, trades }
+     */
+    async getBars(contractId, options = {}) {
+        const { from, to } = this.parseRange(options);
+        const bars = [];
+
+        for (const day of await this.listDays(contractId)) {
+            if (!this.dayInRange(day, from, to)) continue;
+
+            for await (const bar of this.readLines(this.getFilePath(contractId, day, '1m'))) {
+                if (from !== null && bar.timestamp < from) continue;
+                if (to !== null && bar.timestamp > to) continue;
+                bars.push(bar);
+            }
+        }
+
+        return bars.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Parse a gzip JSON-lines file line by line. A torn gzip member or line at
+     * the end (crash mid-write) ends the file instead of failing the read.
+     */
+    async *readLines(filePath) {
+        let input;
+        try {
+            await fs.promises.access(filePath);
+            input = fs.createReadStream(filePath).pipe(zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH }));
+            input.setEncoding('utf8');
+        } catch (error) {
+            return;
+        }
+
+        let pending = '';
+        try {
+            for await (const chunk of input) {
+                pending += chunk;
+                const lines = pending.split('\n');
+                pending = lines.pop();
+
+                for (const line of lines) {
+                    const record = this.parseLine(line, filePath);
+                    if (record) yield record;
+                }
+            }
+        } catch (error) {
+            console.warn(`⚠️ ${path.basename(filePath)} is truncated: ${error.message}`);
+        } finally {
+            input.destroy();
+        }
+
+        const record = this.parseLine(pending, filePath);
+        if (record) yield record;
+    }
+
+    parseLine(line, filePath) {
+        if (!line.trim()) return null;
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            console.warn(`⚠️ Skipping unreadable market data line in ${path.basename(filePath)}`);
+            return null;
+        }
+    }
+
+    // ==================== Helpers ====================
+
+    parseRange(options) {
+        const from = options.from !== undefined && options.from !== null ? new Date(options.from).getTime() : null;
+        const to = options.to !== undefined && options.to !== null ? new Date(options.to).getTime() : null;
+        if ((from !== null && isNaN(from)) || (to !== null && isNaN(to))) {
+            throw new Error('Invalid market data time range');
+        }
+        return { from, to };
+    }
+
+    dayInRange(day, from, to) {
+        if (from !== null && day < this.toDay(from)) return false;
+        if (to !== null && day > this.toDay(to)) return false;
+        return true;
+    }
+
+    toDay(time) {
+        return new Date(time).toISOString().slice(0, 10);
+    }
+
+    getContractDirectory(contractId) {
+        // Directory names must be safe on every platform
+        return path.join(this.config.directory, String(contractId).replace(/[^A-Za-z0-9._-]/g, '_'));
+    }
+
+    getFilePath(contractId, day, kind) {
+        return path.join(this.getContractDirectory(contractId), `${day}.${kind}.jsonl.gz`);
+    }
+
+    async readDirectory(directory) {
+        try {
+            return await fs.promises.readdir(directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+}
+
+MarketDataStore.TICK_TYPES = TICK_TYPES;
+
+module.exports = MarketDataStore;
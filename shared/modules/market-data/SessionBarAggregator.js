@@ -0,0 +1,285 @@
+/**
+ * SessionBarAggregator - Builds bars from trades, aligned to exchange sessions
+ *
+ * Timeframes:
+ *   '1m', '5m', '15m', '1h' - time bars counted from the session open, the last
+ *                             one cut short at the session close
+ *   '1d'                    - one bar per session (trade date = closing date)
+ *   '500t'                  - tick bars, closed after 500 trades
+ *   '1000v'                 - volume bars, closed once 1000 contracts traded
+ *   '10r'                   - range bars, closed once high - low spans 10 ticks
+ *
+ * Every bar belongs to one session: a session boundary closes whatever is in
+ * progress, so no bar spans the daily break or a weekend. Bars close on the
+ * trade timestamps, never on the wall clock - completeBefore() closes time
+ * bars during quiet periods - so recorded and replayed trades build the same
+ * bars as live ones. Only trades count; quotes do not move bars.
+ */
+
+const EventEmitter = require('events');
+const TradingSchedule = require('./TradingSchedule');
+const instrumentRegistry = require('../contracts/InstrumentRegistry');
+
+const TIME_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000 };
+const COUNT_TYPES = { t: 'tick', v: 'volume', r: 'range' };
+
+class SessionBarAggregator extends EventEmitter {
+    /**
+     * @param {Object} config - { timeframes, instrumentRegistry }
+     */
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            timeframes: ['1m', '5m', '15m', '1h', '1d'],
+            instrumentRegistry,
+            ...config
+        };
+
+        for (const timeframe of this.config.timeframes) {
+            if (!SessionBarAggregator.parseTimeframe(timeframe)) {
+                throw new Error(`Unsupported timeframe ${timeframe}`);
+            }
+        }
+
+        this.buffers = new Map();
+        this.calendars = new Map();
+        this.sessions = new Map();
+    }
+
+    /**
+     * '5m' -> { name, type: 'time', spanMs }, '1d' -> { type: 'session' },
+     * '500t' / '1000v' / '10r' -> { type: 'tick' | 'volume' | 'range', size }
+     * @returns {Object|null}
+     */
+    static parseTimeframe(name) {
+        const match = /^(\d+)([mhdtvr])$/.exec(String(name));
+        if (!match) return null;
+
+        const count = parseInt(match[1], 10);
+        const unit = match[2];
+        if (!(count > 0)) return null;
+
+        if (TIME_UNITS[unit]) return { name, type: 'time', spanMs: count * TIME_UNITS[unit] };
+        if (unit === 'd') return count === 1 ? { name, type: 'session' } : null;
+        return { name, type: COUNT_TYPES[unit], size: count };
+    }
+
+    /**
+     * Convert a market:data payload ({ instrument, type, data }) into a trade
+     * @returns {Object|null} { symbol, price, volume, timestamp, side } - null for anything but a TRADE
+     */
+    static toTrade(marketData, fallbackTimestamp = Date.now()) {
+        const data = marketData?.data;
+        if (marketData?.type !== 'TRADE' || !data || !(data.price > 0)) return null;
+
+        const timestamp = new Date(data.timestamp || fallbackTimestamp).getTime();
+        if (!Number.isFinite(timestamp)) return null;
+
+        return { symbol: marketData.instrument, price: data.price, volume: data.size || 0, timestamp, side: data.side };
+    }
+
+    /**
+     * Add a trade to every timeframe
+     * @param {Object} trade - { symbol, price, volume, timestamp, side }
+     * @returns {Object} { completed: [bars], updated: [in-progress bars] }
+     */
+    processTrade(trade, timeframes = this.config.timeframes) {
+        const completed = [];
+        const updated = [];
+
+        const session = this.getSession(trade.symbol, trade.timestamp);
+        if (session.open !== this.sessions.get(trade.symbol)?.open) {
+            // A new session closes everything built in the previous one
+            completed.push(...this.completeSymbol(trade.symbol));
+            this.sessions.set(trade.symbol, session);
+        }
+
+        for (const name of timeframes) {
+            const timeframe = SessionBarAggregator.parseTimeframe(name);
+            if (!timeframe) continue;
+
+            const key = this.getKey(trade.symbol, name);
+            let buffer = this.buffers.get(key);
+
+            if (buffer && buffer.endTime !== null && trade.timestamp >= buffer.endTime) {
+                completed.push(this.completeBar(buffer));
+                buffer = null;
+            }
+
+            if (!buffer) {
+                buffer = this.createBuffer(trade, timeframe, session);
+                this.buffers.set(key, buffer);
+            }
+
+            // Late trades for an already completed bar are folded into the current one
+            if (buffer.open === null) buffer.open = trade.price;
+            if (buffer.high === null || trade.price > buffer.high) buffer.high = trade.price;
+            if (buffer.low === null || trade.price < buffer.low) buffer.low = trade.price;
+            buffer.close = trade.price;
+            buffer.volume += trade.volume || 0;
+            buffer.trades += 1;
+            buffer.lastTime = Math.max(buffer.lastTime || 0, trade.timestamp);
+            if (trade.side === 'BUY') buffer.buyVolume += trade.volume || 0;
+            if (trade.side === 'SELL') buffer.sellVolume += trade.volume || 0;
+
+            if (this.isFull(buffer, timeframe)) {
+                completed.push(this.completeBar(buffer));
+            } else {
+                updated.push(this.bufferToBar(buffer, false));
+            }
+        }
+
+        return { completed, updated };
+    }
+
+    createBuffer(trade, timeframe, session) {
+        let startTime = trade.timestamp;
+        let endTime = null;
+
+        if (timeframe.type === 'time') {
+            startTime = session.open + Math.floor((trade.timestamp - session.open) / timeframe.spanMs) * timeframe.spanMs;
+            endTime = Math.min(startTime + timeframe.spanMs, session.close);
+        } else if (timeframe.type === 'session') {
+            startTime = session.open;
+            endTime = session.close;
+        }
+
+        return {
+            symbol: trade.symbol,
+            timeframe: timeframe.name,
+            type: timeframe.type,
+            tradeDate: session.tradeDate,
+            sessionClose: session.close,
+            startTime,
+            endTime,
+            lastTime: null,
+            open: null,
+            high: null,
+            low: null,
+            close: null,
+            volume: 0,
+            buyVolume: 0,
+            sellVolume: 0,
+            trades: 0
+        };
+    }
+
+    isFull(buffer, timeframe) {
+        switch (timeframe.type) {
+            case 'tick':
+                return buffer.trades >= timeframe.size;
+            case 'volume':
+                return buffer.volume >= timeframe.size;
+            case 'range': {
+                const tickSize = this.config.instrumentRegistry.getTickSize(buffer.symbol) || 0.01;
+                // Rounded to ticks so floating point never decides a close
+                return Math.round((buffer.high - buffer.low) / tickSize) >= timeframe.size;
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Complete bars of a symbol that ended at or before a time: time bars whose
+     * period passed and anything left from a session that closed
+     * @returns {Array<Object>}
+     */
+    completeBefore(symbol, time) {
+        const completed = [];
+
+        for (const buffer of Array.from(this.buffers.values())) {
+            if (buffer.symbol !== symbol) continue;
+            if ((buffer.endTime !== null && buffer.endTime <= time) || buffer.sessionClose <= time) {
+                completed.push(this.completeBar(buffer));
+            }
+        }
+
+        return completed;
+    }
+
+    /**
+     * Complete every open bar of a symbol
+     * @returns {Array<Object>}
+     */
+    completeSymbol(symbol) {
+        const completed = [];
+
+        for (const buffer of Array.from(this.buffers.values())) {
+            if (buffer.symbol === symbol) completed.push(this.completeBar(buffer));
+        }
+
+        return completed;
+    }
+
+    completeBar(buffer) {
+        this.buffers.delete(this.getKey(buffer.symbol, buffer.timeframe));
+        const bar = this.bufferToBar(buffer, true);
+        this.emit('bar', bar);
+        return bar;
+    }
+
+    getCurrentBar(symbol, timeframe) {
+        const buffer = this.buffers.get(this.getKey(symbol, timeframe));
+        return buffer && buffer.open !== null ? this.bufferToBar(buffer, false) : null;
+    }
+
+    /**
+     * Bars of every symbol and timeframe in progress
+     */
+    getCurrentBars() {
+        return Array.from(this.buffers.values())
+            .filter(buffer => buffer.open !== null)
+            .map(buffer => this.bufferToBar(buffer, false));
+    }
+
+    getSession(symbol, timestamp) {
+        const current = this.sessions.get(symbol);
+        if (current && timestamp >= current.open && timestamp < current.close) return current;
+
+        const root = this.config.instrumentRegistry.getSymbolRoot(symbol) || symbol;
+        if (!this.calendars.has(root)) {
+            this.calendars.set(root, new TradingSchedule(this.config.instrumentRegistry.getTradingHours(symbol) || {}));
+        }
+
+        // Late trades from the previous session keep the current one
+        const session = this.calendars.get(root).getSession(timestamp);
+        return current && session.open < current.open ? current : session;
+    }
+
+    bufferToBar(buffer, complete) {
+        return {
+            symbol: buffer.symbol,
+            timeframe: buffer.timeframe,
+            type: buffer.type,
+            tradeDate: buffer.tradeDate,
+            timestamp: buffer.startTime,
+            // Count-based bars end with their last trade
+            endTime: buffer.endTime !== null ? buffer.endTime : buffer.lastTime,
+            open: buffer.open,
+            high: buffer.high,
+            low: buffer.low,
+            close: buffer.close,
+            volume: buffer.volume,
+            buyVolume: buffer.buyVolume,
+            sellVolume: buffer.sellVolume,
+            trades: buffer.trades,
+            complete
+        };
+    }
+
+    clearSymbol(symbol) {
+        for (const key of Array.from(this.buffers.keys())) {
+            if (key.startsWith(`${symbol}|`)) this.buffers.delete(key);
+        }
+        this.sessions.delete(symbol);
+    }
+
+    // '|' appears in neither contract ids nor timeframes
+    getKey(symbol, timeframe) {
+        return `${symbol}|${timeframe}`;
+    }
+}
+
+module.exports = SessionBarAggregator;
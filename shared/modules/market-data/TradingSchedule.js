@@ -0,0 +1,332 @@
+/**
+ * TradingSchedule - Timezone-aware trading session evaluation
+ *
+ * Evaluates a timestamp against:
+ * - Named sessions, each with its own IANA timezone and weekday filter
+ *   (0 = Sunday ... 6 = Saturday). A session whose end is before its start
+ *   runs overnight; its `days` refer to the day the session opens.
+ * - Exchange calendars (config/calendars.yaml) and inline holidays / early
+ *   closes. Sessions become concrete windows in epoch ms whose trade date is
+ *   the local date they close on (the CME Globex session opening Sunday 17:00
+ *   CT trades for Monday). A session trading for a holiday has no window and
+ *   an early close cuts short the one window it falls in, so the evening
+ *   reopen on a holiday or early-close date still trades. Without sessions a
+ *   holiday closes its whole local date and an early close the rest of it.
+ *
+ * getStatus() treats session end times as inclusive to the minute ('16:00'
+ * allows 16:00:59). getSession() serves bars and trading days: a window
+ * closes at its end minute, and time between windows (the daily break,
+ * weekends, holidays) forms an out-of-session window from one close to the
+ * next open, so ticks that arrive there still have a home.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+const CALENDARS_PATH = path.join(__dirname, '../../../config/calendars.yaml');
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Look this many days either side of a timestamp for session windows - enough
+// to bridge a weekend, a holiday or a session configured for a single weekday
+const SEARCH_DAYS = 8;
+
+// Intl formatters are expensive to build - share one per timezone
+const formatterCache = new Map();
+let calendarFileCache = null;
+
+class TradingSchedule {
+    /**
+     * @param {Object} config - { timezone, sessions[], calendar, holidays[], earlyCloses[] }
+     *                          or a legacy single window { start, end }
+     */
+    constructor(config = {}) {
+        const timezone = config.timezone || DEFAULT_TIMEZONE;
+
+        // Legacy single window from allowedTradingHours { start, end }
+        const sessions = config.sessions ||
+            (config.start && config.end ? [{ name: 'Default', start: config.start, end: config.end }] : []);
+
+        this.config = {
+            timezone,
+            sessions: sessions.map((session, index) => this.normalizeSession(session, index, timezone)),
+            calendars: this.loadCalendars(config, timezone)
+        };
+    }
+
+    /**
+     * Whether trading is allowed at a point in time
+     */
+    isOpen(timestamp = new Date()) {
+        return this.getStatus(timestamp).open;
+    }
+
+    /**
+     * Evaluate a point in time against calendars and sessions
+     * @returns {Object} { open, session, reason }
+     */
+    getStatus(timestamp = new Date()) {
+        const date = timestamp instanceof Date ? timestamp : new Date(timestamp);
+
+        // No sessions configured - only the calendars restrict trading, by local date
+        if (this.config.sessions.length === 0) {
+            for (const calendar of this.config.calendars) {
+                const local = this.getLocalTime(date, calendar.timezone);
+
+                if (calendar.holidays.has(local.date)) {
+                    return { open: false, session: null, reason: `HOLIDAY (${calendar.name} ${local.date})` };
+                }
+
+                const earlyClose = calendar.earlyCloses.get(local.date);
+                if (earlyClose !== undefined && local.minutes > earlyClose) {
+                    return { open: false, session: null, reason: `EARLY_CLOSE (${calendar.name} ${local.date})` };
+                }
+            }
+
+            return { open: true, session: null, reason: null };
+        }
+
+        // End minutes are inclusive, for early closes too
+        const time = date.getTime();
+        const containing = this.getWindows(time, true)
+            .filter(window => window.open <= time && time < (window.scheduledClose ?? window.close) + MINUTE_MS);
+
+        const open = containing.find(window => !window.holiday && time < window.close + MINUTE_MS);
+        if (open) {
+            return { open: true, session: open.name, reason: null };
+        }
+
+        // Inside a session that a calendar closed
+        const closed = containing[0];
+        if (closed?.holiday) {
+            return { open: false, session: null, reason: `HOLIDAY (${closed.holiday} ${closed.tradeDate})` };
+        }
+        if (closed) {
+            return { open: false, session: null, reason: `EARLY_CLOSE (${closed.earlyClose})` };
+        }
+
+        return { open: false, session: null, reason: 'OUTSIDE_SESSIONS' };
+    }
+
+    /**
+     * The session window a timestamp belongs to. Without sessions a window is one UTC day
+     * @returns {Object} { open, close, tradeDate, name, inSession }
+     */
+    getSession(timestamp = new Date()) {
+        const time = (timestamp instanceof Date ? timestamp : new Date(timestamp)).getTime();
+
+        if (this.config.sessions.length === 0) {
+            const open = Math.floor(time / DAY_MS) * DAY_MS;
+            return { open, close: open + DAY_MS, tradeDate: new Date(open).toISOString().slice(0, 10), name: 'UTC', inSession: true };
+        }
+
+        const windows = this.getWindows(time);
+        const current = windows.find(window => window.open <= time && time < window.close);
+        if (current) return { ...current, inSession: true };
+
+        // Between sessions: from the last close to the next open
+        const previous = windows.filter(window => window.close <= time).pop();
+        const next = windows.find(window => window.open > time);
+        return {
+            open: previous ? previous.close : time,
+            close: next ? next.open : time + DAY_MS,
+            tradeDate: previous ? previous.tradeDate : this.getLocalTime(new Date(time), this.config.timezone).date,
+            name: 'Closed',
+            inSession: false
+        };
+    }
+
+    /**
+     * Every session window opening within SEARCH_DAYS of a time, by open time,
+     * with early closes applied. Holiday windows are left out, or kept and
+     * marked with the calendar's name when includeHolidays is set
+     */
+    getWindows(time, includeHolidays = false) {
+        const windows = [];
+
+        for (const session of this.config.sessions) {
+            const [year, month, day] = this.getLocalTime(new Date(time), session.timezone).date.split('-').map(Number);
+
+            for (let offset = -SEARCH_DAYS; offset <= SEARCH_DAYS; offset++) {
+                const openDate = new Date(Date.UTC(year, month - 1, day + offset));
+                if (session.days && !session.days.has(openDate.getUTCDay())) continue;
+
+                const closeDate = new Date(openDate.getTime() + (session.end <= session.start ? DAY_MS : 0));
+                const tradeDate = this.formatDate(closeDate);
+                const holiday = this.config.calendars.find(calendar => calendar.holidays.has(tradeDate));
+                if (holiday && !includeHolidays) continue;
+
+                windows.push({
+                    name: session.name,
+                    open: this.toEpoch(openDate, session.start, session.timezone),
+                    close: this.toEpoch(closeDate, session.end, session.timezone),
+                    tradeDate,
+                    ...(holiday ? { holiday: holiday.name } : {})
+                });
+            }
+        }
+        windows.sort((a, b) => a.open - b.open);
+
+        for (const calendar of this.config.calendars) {
+            for (const [date, minutes] of calendar.earlyCloses) {
+                const [year, month, day] = date.split('-').map(Number);
+                const closeTime = this.toEpoch(new Date(Date.UTC(year, month - 1, day)), minutes, calendar.timezone);
+                const window = windows.find(candidate => !candidate.holiday && candidate.open < closeTime && closeTime < candidate.close);
+                if (window) {
+                    window.scheduledClose = window.close;
+                    window.close = closeTime;
+                    window.earlyClose = `${calendar.name} ${date}`;
+                }
+            }
+        }
+
+        return windows;
+    }
+
+    /**
+     * Epoch ms of a local wall-clock time on a date (a UTC-midnight Date) in a timezone
+     */
+    toEpoch(date, minutes, timezone) {
+        const wallClock = date.getTime() + minutes * 60 * 1000;
+
+        // The offset at the guess can differ from the offset at the answer around
+        // a DST change - one correction settles it
+        let epoch = wallClock - this.getOffset(wallClock, timezone);
+        epoch = wallClock - this.getOffset(epoch, timezone);
+        return epoch;
+    }
+
+    /**
+     * Local wall clock minus UTC at an instant, in ms
+     */
+    getOffset(time, timezone) {
+        const parts = this.getParts(new Date(time), timezone);
+        const wallClock = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+            Number(parts.hour) % 24, Number(parts.minute), Number(parts.second));
+        return wallClock - Math.floor(time / 1000) * 1000;
+    }
+
+    /**
+     * Wall-clock components of a timestamp in a timezone
+     */
+    getLocalTime(date, timezone) {
+        const parts = this.getParts(date, timezone);
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            weekday: WEEKDAYS[parts.weekday],
+            minutes: (parseInt(parts.hour, 10) % 24) * 60 + parseInt(parts.minute, 10)
+        };
+    }
+
+    getParts(date, timezone) {
+        const parts = {};
+        for (const part of this.getFormatter(timezone).formatToParts(date)) {
+            parts[part.type] = part.value;
+        }
+        return parts;
+    }
+
+    getFormatter(timezone) {
+        if (!formatterCache.has(timezone)) {
+            try {
+                formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+                    timeZone: timezone,
+                    hourCycle: 'h23',
+                    weekday: 'short',
+                    year: 'numeric',
+                    month: '2-digit',
+                    day: '2-digit',
+                    hour: '2-digit',
+                    minute: '2-digit',
+                    second: '2-digit'
+                }));
+            } catch (error) {
+                throw new Error(`Invalid trading hours timezone: ${timezone}`);
+            }
+        }
+
+        return formatterCache.get(timezone);
+    }
+
+    normalizeSession(session, index, defaultTimezone) {
+        const timezone = session.timezone || defaultTimezone;
+        // Fail fast on an invalid timezone rather than on the first order
+        this.getFormatter(timezone);
+
+        return {
+            name: session.name || `Session ${index + 1}`,
+            timezone,
+            start: this.parseTime(session.start, 'start'),
+            end: this.parseTime(session.end, 'end'),
+            days: Array.isArray(session.days) && session.days.length > 0 ?
+                new Set(session.days.map(Number)) : null
+        };
+    }
+
+    /**
+     * Resolve named calendars plus inline holidays / early closes
+     */
+    loadCalendars(config, defaultTimezone) {
+        const calendars = [];
+        const names = config.calendar ? [].concat(config.calendar) : [];
+
+        for (const name of names) {
+            const definition = this.getCalendarDefinitions()[name];
+            if (!definition) {
+                throw new Error(`Unknown trading calendar: ${name}`);
+            }
+            calendars.push(this.normalizeCalendar(name, definition, defaultTimezone));
+        }
+
+        if (config.holidays?.length || config.earlyCloses?.length) {
+            calendars.push(this.normalizeCalendar('custom', config, defaultTimezone));
+        }
+
+        return calendars;
+    }
+
+    normalizeCalendar(name, definition, defaultTimezone) {
+        const timezone = definition.timezone || defaultTimezone;
+        this.getFormatter(timezone);
+
+        return {
+            name,
+            timezone,
+            // Holidays may be plain dates or { date, name } entries
+            holidays: new Set((definition.holidays || []).map(holiday => this.formatDate(holiday?.date ?? holiday))),
+            earlyCloses: new Map((definition.earlyCloses || []).map(entry =>
+                [this.formatDate(entry.date), this.parseTime(entry.close, `early close ${entry.date}`)]))
+        };
+    }
+
+    getCalendarDefinitions() {
+        if (!calendarFileCache) {
+            const content = fs.readFileSync(CALENDARS_PATH, 'utf8');
+            calendarFileCache = yaml.load(content)?.calendars || {};
+        }
+
+        return calendarFileCache;
+    }
+
+    /**
+     * YAML parses unquoted dates into Date objects - normalize back to YYYY-MM-DD
+     */
+    formatDate(value) {
+        return value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+    }
+
+    parseTime(value, label) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            throw new Error(`Invalid trading hours ${label} time: ${value}`);
+        }
+
+        return Number(match[1]) * 60 + Number(match[2]);
+    }
+}
+
+module.exports = TradingSchedule;
@@ -0,0 +1,175 @@
+// shared/modules/messaging/MessageSchemas.js
+// Every message type carried on the Redis channels, with its versioned schema.
+//
+// Each type says where its fields live:
+//   payload - { type, payload: {...}, timestamp }   (EventBroadcaster / SharedEventBus envelope)
+//   flat    - { type, ...fields }                   (aggregator, bots, request/response channels)
+//   either  - both are in use for the same type; the schema applies to payload when present
+// and which versions exist. Publishers stamp the current version as schemaVersion;
+// a message without one is version 1. A breaking change adds a version instead of
+// editing one, so consumers still validate what older producers send.
+//
+// Schemas pin what consumers rely on - identifiers, sides, quantities, statuses -
+// and leave every other field open, so adding a field is never a breaking change.
+// Legacy spellings of a type are listed in ALIASES and validated as the canonical one.
+
+const DEAD_LETTER_CHANNEL = 'messages:dead-letter';
+
+const id = { type: ['string', 'number'] };
+const text = { type: 'string', minLength: 1 };
+const number = { type: 'number' };
+const flag = { type: 'boolean' };
+const object = { type: 'object' };
+const quantity = { type: 'number', exclusiveMinimum: 0 };
+const side = { enum: ['BUY', 'SELL'] };
+const orderType = { enum: ['MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT'] };
+const timeInForce = { enum: ['GTC', 'DAY', 'GTD'] };
+const lifecycleState = { enum: ['NEW', 'RISK_CHECKED', 'QUEUED', 'SENT', 'WORKING', 'PARTIAL', 'FILLED', 'REJECTED', 'CANCELLED', 'EXPIRED'] };
+const marketDataType = { enum: ['QUOTE', 'TRADE', 'DEPTH'] };
+const streamChunk = fields(['seq', 'done'], { seq: { type: 'integer', minimum: 0 }, done: flag, fields: { type: 'array', items: text }, total: number });
+
+function fields(required, properties = {}) {
+    return { type: 'object', required, properties };
+}
+
+// The order a bot or manual trading hands to the aggregator / the aggregator to the Connection Manager
+const orderFields = {
+    orderId: text,
+    instrument: text,
+    side,
+    quantity,
+    orderType,
+    limitPrice: number,
+    stopPrice: number,
+    timeInForce,
+    stopLossPoints: number,
+    takeProfitPoints: number
+};
+
+// Connection Manager requests share their type with the response that answers them
+function request(required = [], properties = {}) {
+    return fields(['requestId', ...required], { requestId: id, responseChannel: text, success: flag, ...properties });
+}
+
+const MESSAGE_TYPES = {
+    // aggregator:orders - bots and manual trading to the aggregator
+    MANUAL_ORDER: { envelope: 'flat', versions: { 1: fields(['order'], { source: text, order: fields(['orderId', 'instrument', 'side', 'quantity'], orderFields) }) } },
+    CANCEL_ORDER: { envelope: 'either', versions: { 1: fields(['orderId'], { orderId: id }) } },
+    MODIFY_ORDER: { envelope: 'either', versions: { 1: fields(['orderId'], { orderId: id, limitPrice: number, stopPrice: number }) } },
+
+    // order:management - the aggregator to the Connection Manager and back
+    PLACE_ORDER: { envelope: 'payload', versions: { 1: fields(['instanceId', 'orderId', 'instrument', 'side', 'quantity'], { instanceId: text, ...orderFields }) } },
+    ORDER_RESPONSE: { envelope: 'either', versions: { 1: fields(['orderId', 'success'], { orderId: id, success: flag }) } },
+    ORDER_STATUS_UPDATE: { envelope: 'payload', versions: { 1: fields(['orderId', 'status'], { orderId: id, status: text, quantity: number, fillVolume: number }) } },
+    ORDER_CANCELLATION_RESPONSE: { envelope: 'payload', versions: { 1: fields(['orderId', 'success'], { orderId: id, success: flag }) } },
+    ORDER_MODIFICATION_RESPONSE: { envelope: 'payload', versions: { 1: fields(['orderId', 'success'], { orderId: id, success: flag }) } },
+
+    // bot:{id}:responses and aggregator:status - the aggregator to the instance that placed an order
+    ORDER_UPDATE: { envelope: 'flat', versions: { 1: fields(['orderId', 'status'], { orderId: id, status: lifecycleState, previousStatus: { anyOf: [lifecycleState, { type: 'null' }] } }) } },
+    ORDER_STUCK: { envelope: 'flat', versions: { 1: fields(['orderId', 'status'], { orderId: id, status: lifecycleState, stuckForMs: number }) } },
+    ORDER_REJECTED: { envelope: 'flat', versions: { 1: fields(['orderId'], { orderId: id }) } },
+    ORDER_AMEND_RESPONSE: { envelope: 'flat', versions: { 1: fields(['orderId', 'action', 'success'], { orderId: id, action: { enum: ['CANCEL', 'MODIFY'] }, success: flag }) } },
+    EXPOSURE_UPDATE: { envelope: 'flat', versions: { 1: fields(['accountId', 'instrument', 'netPosition'], { accountId: id, instrument: text, netPosition: number }) } },
+    ERROR: { envelope: 'flat', versions: { 1: fields([], { error: { type: ['string', 'object'] } }) } },
+    FILL_PROCESSED: { envelope: 'flat', versions: { 1: fields(['orderId', 'fill'], { orderId: id, fill: object }) } },
+    AGGREGATOR_STATUS: { envelope: 'flat', versions: { 1: fields(['status'], { status: text, details: object }) } },
+    AGGREGATOR_METRICS: { envelope: 'flat', versions: { 1: fields(['metrics'], { metrics: object }) } },
+
+    // market:data, market:bars and aggregator:market-data
+    MARKET_DATA: { envelope: 'payload', versions: { 1: fields(['instrument', 'type', 'data'], { instrument: text, type: marketDataType, data: object }) } },
+    QUOTE: { envelope: 'either', versions: { 1: fields(['data'], { instrument: text, data: object }) } },
+    TRADE: { envelope: 'either', versions: { 1: fields(['data'], { instrument: text, data: object }) } },
+    DEPTH: { envelope: 'either', versions: { 1: fields(['data'], { instrument: text, data: object }) } },
+    ORDER_FILLED: { envelope: 'either', versions: { 1: fields(['orderId'], { orderId: id, filledPrice: number, filledQuantity: number }) } },
+    POSITION_UPDATE: {
+        envelope: 'payload',
+        versions: {
+            // A bot's own position ({ instanceId, position }) or the broker's ({ positionId, ... })
+            1: { type: 'object', anyOf: [{ required: ['position'] }, { required: ['positionId'] }], properties: { position: { type: ['object', 'null'] }, positionId: id } }
+        }
+    },
+    BAR_UPDATE: { envelope: 'payload', versions: { 1: fields(['instrument', 'timeframe', 'bar'], { instrument: text, timeframe: text, bar: object }) } },
+    BAR_CLOSED: { envelope: 'payload', versions: { 1: fields(['instrument', 'timeframe', 'bar'], { instrument: text, timeframe: text, bar: object }) } },
+
+    // market:replay - the market data replay's clock and state
+    REPLAY_STATUS: { envelope: 'payload', versions: { 1: fields(['state', 'clock'], { state: text, clock: number, speed: { type: ['number', 'string'] } }) } },
+
+    // connection-manager:requests / connection-manager:response, aggregator:requests
+    GET_POSITIONS: { envelope: 'flat', versions: { 1: request([], { positions: { type: 'array' } }) } },
+    GET_ACCOUNTS: { envelope: 'flat', versions: { 1: request([], { accounts: { type: 'array' } }) } },
+    GET_CONTRACTS: { envelope: 'flat', versions: { 1: request() } },
+    GET_ACTIVE_CONTRACTS: { envelope: 'flat', versions: { 1: request() } },
+    GET_WORKING_ORDERS: { envelope: 'flat', versions: { 1: request() } },
+    GET_STATISTICS: { envelope: 'flat', versions: { 1: request() } },
+    GET_TRADES: { envelope: 'flat', versions: { 1: request() } },
+    SEARCH_TRADES: { envelope: 'flat', versions: { 1: request() } },
+    GET_ACCOUNT_SUMMARY: { envelope: 'flat', versions: { 1: request() } },
+    UPDATE_SLTP: { envelope: 'flat', versions: { 1: request([], { positionId: id, stopLoss: { type: ['number', 'null'] }, takeProfit: { type: ['number', 'null'] } }) } },
+    CLOSE_POSITION: { envelope: 'flat', versions: { 1: request([], { contractId: text, closeType: { enum: ['full', 'partial'] } }) } },
+    PAUSE_ALL_TRADING: { envelope: 'flat', versions: { 1: request() } },
+    RESUME_ALL_TRADING: { envelope: 'flat', versions: { 1: request() } },
+    SUBSCRIBE_BARS: { envelope: 'payload', versions: { 1: fields(['instrument', 'timeframes'], { instrument: text, timeframes: { type: 'array', items: text, minItems: 1 } }) } },
+    REQUEST_HISTORICAL_DATA: { envelope: 'either', versions: { 1: fields(['requestId'], { requestId: id, instanceId: text, streamChunkSize: { type: ['integer', 'boolean'] } }) } },
+    HISTORICAL_DATA_RESPONSE: { envelope: 'payload', versions: { 1: fields(['requestId'], { requestId: id, success: flag, bars: { type: 'array' }, stream: streamChunk }) } },
+    // Any request channel - the caller gave up on a request (see RedisRpc)
+    RPC_CANCEL: { envelope: 'flat', versions: { 1: fields(['requestId'], { requestId: id, method: text }) } },
+
+    // aggregator:pnl_requests / pnl:responses - the P&L module
+    GET_ACCOUNT_PNL: { envelope: 'flat', versions: { 1: request(['accountId'], { accountId: id }) } },
+    PNL_RESPONSE: { envelope: 'flat', versions: { 1: fields(['requestId', 'success'], { requestId: id, success: flag, pnl: object }) } },
+
+    // instance:control - instances and the control panel to the Connection Manager and back
+    BOT_POSITION_STATE: { envelope: 'payload', versions: { 1: fields(['botId', 'contractId'], { botId: text, contractId: text, position: { type: ['object', 'null'] } }) } },
+    BOT_FLEET_UPDATE: { envelope: 'payload', versions: { 1: fields(['action', 'botId'], { action: text, botId: text }) } },
+    REGISTER_ACCOUNT: { envelope: 'payload', versions: { 1: fields(['accountId'], { accountId: id, instanceId: text }) } },
+    REGISTRATION_RESPONSE: { envelope: 'payload', versions: { 1: fields(['instanceId'], { instanceId: text, success: flag }) } },
+    CONFIG_RESPONSE: { envelope: 'payload', versions: { 1: fields([], { success: flag, config: object }) } },
+    ACCOUNTS_RESPONSE: { envelope: 'payload', versions: { 1: fields(['accounts'], { success: flag, accounts: { type: 'array' } }) } },
+    ACCOUNT_RESPONSE: { envelope: 'payload', versions: { 1: fields([], { requestId: id, success: flag, accounts: { type: 'array' } }) } },
+    ACCOUNT_BALANCE_RESPONSE: { envelope: 'payload', versions: { 1: fields([], { success: flag }) } },
+    MARKET_DATA_SUBSCRIPTION_RESPONSE: { envelope: 'payload', versions: { 1: fields(['instrument'], { instrument: text, success: flag }) } },
+
+    // system:events and connection:status - the Connection Manager to everyone
+    CONNECTION_STATUS: { envelope: 'payload', versions: { 1: fields(['status'], { status: text }) } },
+    PAUSE_TRADING: { envelope: 'payload', versions: { 1: fields([], { reason: text, manual: flag }) } },
+    RESUME_TRADING: { envelope: 'payload', versions: { 1: fields([], { reason: text }) } },
+    ACCOUNT_UPDATE: { envelope: 'payload', versions: { 1: fields(['accountId'], { accountId: id, balance: number, canTrade: flag }) } },
+    TRADE_EXECUTED: { envelope: 'payload', versions: { 1: fields(['accountId', 'orderId', 'contractId', 'size', 'price'], { accountId: id, orderId: id, contractId: text, size: quantity, price: number }) } },
+    BRACKET_ORDER_COMPLETE: { envelope: 'payload', versions: { 1: fields(['orderId', 'success'], { orderId: id, success: flag }) } },
+    ADOPT_POSITION: { envelope: 'payload', versions: { 1: fields(['botId', 'contractId', 'side', 'size'], { botId: text, contractId: text, side: text, size: quantity }) } },
+    POSITION_DISCREPANCY: { envelope: 'payload', versions: { 1: fields(['contractId', 'type'], { contractId: text, type: text, severity: text }) } },
+    POSITION_RECONCILED: { envelope: 'payload', versions: { 1: fields(['contractId', 'action', 'success'], { contractId: text, action: text, success: flag }) } },
+    RECONCILIATION_REQUIRED: { envelope: 'payload', versions: { 1: fields([]) } },
+    CONTRACT_ROLLOVER: { envelope: 'payload', versions: { 1: fields(['contractId', 'nextContractId'], { symbol: text, contractId: text, nextContractId: text }) } },
+    CONTRACT_ROLLOVER_WARNING: { envelope: 'payload', versions: { 1: fields(['contractId'], { symbol: text, contractId: text }) } },
+    CONTRACT_ROLLOVER_FAILED: { envelope: 'payload', versions: { 1: fields(['contractId', 'nextContractId', 'error'], { contractId: text, nextContractId: text, accountId: id, size: quantity, error: text }) } },
+    SHUTDOWN: { envelope: 'payload', versions: { 1: fields([]) } }
+};
+
+// Legacy spellings still sent by some producers
+const ALIASES = {
+    'market:data': 'MARKET_DATA',
+    'order-response': 'ORDER_RESPONSE',
+    'account-response': 'ACCOUNT_RESPONSE'
+};
+
+/**
+ * Canonical type for a message type as sent, null if the catalogue does not know it
+ */
+function resolveType(type) {
+    if (typeof type !== 'string') return null;
+    if (MESSAGE_TYPES[type]) return type;
+    return ALIASES[type] || null;
+}
+
+function currentVersion(type) {
+    return Math.max(...Object.keys(MESSAGE_TYPES[type].versions).map(Number));
+}
+
+module.exports = {
+    MESSAGE_TYPES,
+    ALIASES,
+    DEAD_LETTER_CHANNEL,
+    resolveType,
+    currentVersion
+};
@@ -0,0 +1,170 @@
+// shared/modules/messaging/MessageValidator.js
+// Checks Redis messages against the shared schemas on publish and on receipt.
+// Messages that fail are held back from their channel (or from the handler) and
+// re-published on the dead-letter channel with the reasons, so a bad producer
+// shows up in one place instead of as a consumer crashing on a missing field.
+// Types the catalogue does not know yet pass through and are only counted.
+
+const EventEmitter = require('events');
+const Ajv = require('ajv');
+const { MESSAGE_TYPES, DEAD_LETTER_CHANNEL, resolveType, currentVersion } = require('./MessageSchemas');
+
+class MessageValidator extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            service: 'unknown',                         // Reported on dead letters
+            deadLetterChannel: DEAD_LETTER_CHANNEL,
+            enforce: true,                              // false: dead-letter and count, but still deliver
+            publish: null,                              // (channel, serializedMessage) used for dead letters
+            ...config
+        };
+
+        this.ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+        this.validators = new Map();                    // 'TYPE@version' -> compiled schema
+
+        this.stats = {
+            validated: 0,
+            invalid: 0,
+            unknown: 0,
+            deadLettered: 0,
+            invalidByType: {},
+            unknownTypes: {}
+        };
+    }
+
+    /**
+     * Check an outgoing message and stamp its schema version
+     * @returns {{ message: Object|null, errors: string[] }} message is null if it was dead-lettered instead
+     */
+    prepare(channel, message) {
+        const result = this.validate(message);
+        if (!result.valid) {
+            return { message: this.reject(channel, 'publish', message, result), errors: result.errors };
+        }
+
+        if (result.known && message.schemaVersion === undefined) {
+            return { message: { ...message, schemaVersion: result.version }, errors: [] };
+        }
+        return { message, errors: [] };
+    }
+
+    /**
+     * Parse and check an incoming message
+     * @returns {Object|null} The parsed message, null if it was dead-lettered instead
+     */
+    accept(channel, raw) {
+        let message = raw;
+        if (typeof raw === 'string') {
+            try {
+                message = JSON.parse(raw);
+            } catch (error) {
+                return this.reject(channel, 'subscribe', raw, { type: null, errors: [`not JSON: ${error.message}`] });
+            }
+        }
+
+        const result = this.validate(message);
+        if (!result.valid) {
+            return this.reject(channel, 'subscribe', message, result);
+        }
+        return message;
+    }
+
+    /**
+     * Check a message against the schema for its type and version
+     * @returns {{ valid: boolean, known: boolean, type: string|null, version: number|null, errors: string[] }}
+     */
+    validate(message) {
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            this.stats.invalid++;
+            return { valid: false, known: false, type: null, version: null, errors: ['message must be an object'] };
+        }
+
+        const type = resolveType(message.type);
+        if (!type) {
+            const key = message.type === undefined ? '(none)' : String(message.type);
+            this.stats.unknown++;
+            this.stats.unknownTypes[key] = (this.stats.unknownTypes[key] || 0) + 1;
+            return { valid: true, known: false, type: message.type ?? null, version: null, errors: [] };
+        }
+
+        const version = message.schemaVersion ?? 1;
+        const validator = this.getValidator(type, version);
+        let errors = [];
+        if (!validator) {
+            errors = [`unsupported schemaVersion ${version} (current ${currentVersion(type)})`];
+        } else if (!validator(message)) {
+            errors = validator.errors
+                .filter(err => err.keyword !== 'if')
+                .map(err => `${err.instancePath || '/'} ${err.message}`);
+        }
+
+        if (errors.length > 0) {
+            this.stats.invalid++;
+            this.stats.invalidByType[type] = (this.stats.invalidByType[type] || 0) + 1;
+            return { valid: false, known: true, type, version, errors };
+        }
+
+        this.stats.validated++;
+        return { valid: true, known: true, type, version, errors };
+    }
+
+    getValidator(type, version) {
+        const key = `${type}@${version}`;
+        if (!this.validators.has(key)) {
+            const definition = MESSAGE_TYPES[type];
+            const body = definition.versions[version];
+            if (!body) return null;
+
+            let schema;
+            if (definition.envelope === 'payload') {
+                schema = { type: 'object', required: ['type', 'payload'], properties: { payload: body } };
+            } else if (definition.envelope === 'either') {
+                schema = { type: 'object', required: ['type'], if: { required: ['payload'] }, then: { properties: { payload: body } }, else: body };
+            } else {
+                schema = { ...body, required: ['type', ...(body.required || [])] };
+            }
+            this.validators.set(key, this.ajv.compile(schema));
+        }
+        return this.validators.get(key);
+    }
+
+    reject(channel, direction, message, result) {
+        const deadLetter = {
+            type: 'INVALID_MESSAGE',
+            channel,
+            direction,
+            service: this.config.service,
+            messageType: result.type,
+            errors: result.errors,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.emit('invalid', deadLetter);
+        if (this.config.publish) {
+            this.stats.deadLettered++;
+            Promise.resolve()
+                .then(() => this.config.publish(this.config.deadLetterChannel, JSON.stringify(deadLetter)))
+                .catch(() => {});
+        }
+
+        if (!this.config.enforce) {
+            return typeof message === 'string' ? null : message;
+        }
+        return null;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            invalidByType: { ...this.stats.invalidByType },
+            unknownTypes: { ...this.stats.unknownTypes },
+            enforce: this.config.enforce,
+            deadLetterChannel: this.config.deadLetterChannel
+        };
+    }
+}
+
+module.exports = MessageValidator;
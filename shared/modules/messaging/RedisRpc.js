@@ -0,0 +1,467 @@
+// shared/modules/messaging/RedisRpc.js
+// Request/response over Redis pub/sub. A request is published with a requestId
+// and the channel to answer on; the answer carries the requestId back, flat or in
+// the EventBroadcaster payload envelope, with success: false for a failure.
+//
+// RpcClient matches answers to calls, times out, retries and cancels them, and
+// reassembles answers the server streams in chunks. RpcServer sends answers -
+// split into numbered chunks when the caller asked for a stream - and drops the
+// answer to a call that was cancelled. Both keep counts and latency per method.
+
+const EventEmitter = require('events');
+
+// Published on the request channel when a caller gives up on a call
+const CANCEL_TYPE = 'RPC_CANCEL';
+
+function rpcError(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;              // TIMEOUT, CANCELLED, REMOTE_ERROR, PUBLISH_FAILED, STREAM_GAP, CLOSED
+    return Object.assign(error, details);
+}
+
+/**
+ * The part of an answer that carries the requestId: the message itself, or its payload
+ */
+function responseBody(message) {
+    if (!message || typeof message !== 'object') return null;
+    if (message.requestId !== undefined) return message;
+    if (message.payload && typeof message.payload === 'object' && message.payload.requestId !== undefined) {
+        return message.payload;
+    }
+    return null;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function reportMetrics(metrics) {
+    return Object.fromEntries(Object.entries(metrics).map(([method, counts]) => {
+        const finished = counts.succeeded + counts.failed;
+        return [method, { ...counts, avgMs: finished > 0 ? Math.round(counts.totalMs / finished) : 0 }];
+    }));
+}
+
+class RpcClient extends EventEmitter {
+    /**
+     * @param {Object} config - { service, requestChannel, responseChannel, publish, subscribe, ...timings }
+     */
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            service: 'unknown',
+            requestChannel: null,                       // Where calls go unless a call names its own
+            responseChannel: null,                      // Where answers are expected unless a call names its own
+            timeoutMs: 10000,                           // Without an answer - or, streaming, without the next chunk
+            retries: 0,                                 // Attempts after a timeout, each under a new requestId
+            retryDelayMs: 1000,                         // Doubled per attempt, up to maxRetryDelayMs
+            maxRetryDelayMs: 5000,
+            requestIdPrefix: 'rpc',
+            publish: null,                              // async (channel, message) - message is an object
+            subscribe: null,                            // async (channel, onMessage); null when the owner hands answers to handleResponse
+            ...config
+        };
+
+        this.pending = new Map();                       // requestId -> call waiting for its answer
+        this.listening = new Map();                     // response channel -> subscription
+        this.metrics = {};                              // method -> counts and latency
+        this.sequence = 0;
+    }
+
+    /**
+     * Send a request and wait for its answer
+     * @param {string} method - The request type
+     * @param {Object} params - Request fields
+     * @param {Object} options - { channel, responseChannel, timeoutMs, retries, requestId, signal,
+     *   envelope: 'payload' to send the fields as { type, requestId, payload },
+     *   onChunk: called with each chunk of a streamed answer }
+     * @returns {Promise<Object>} The answer; a streamed one with its chunks' arrays joined
+     */
+    async call(method, params = {}, options = {}) {
+        const retries = options.retries ?? this.config.retries;
+        const metrics = this.methodMetrics(method);
+        const startedAt = Date.now();
+        metrics.calls++;
+        metrics.inFlight++;
+
+        try {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    const result = await this.attempt(method, params, options, attempt);
+                    metrics.succeeded++;
+                    return result;
+                } catch (error) {
+                    if (!error.retryable || attempt >= retries) throw error;
+
+                    metrics.retries++;
+                    this.emit('retry', { method, attempt: attempt + 1, error: error.message });
+                    await sleep(Math.min(this.config.retryDelayMs * 2 ** attempt, this.config.maxRetryDelayMs));
+                }
+            }
+        } catch (error) {
+            metrics.failed++;
+            if (error.code === 'TIMEOUT') metrics.timeouts++;
+            if (error.code === 'CANCELLED') metrics.cancelled++;
+            throw error;
+        } finally {
+            const elapsed = Date.now() - startedAt;
+            metrics.inFlight--;
+            metrics.totalMs += elapsed;
+            metrics.maxMs = Math.max(metrics.maxMs, elapsed);
+        }
+    }
+
+    attempt(method, params, options, attempt) {
+        const channel = options.channel || this.config.requestChannel;
+        const responseChannel = options.responseChannel || this.config.responseChannel;
+        const requestId = attempt === 0 && options.requestId ? options.requestId : this.generateRequestId();
+
+        if (options.signal?.aborted) {
+            return Promise.reject(rpcError('CANCELLED', `${method} cancelled`, { method, requestId }));
+        }
+
+        return new Promise((resolve, reject) => {
+            const call = {
+                method,
+                requestId,
+                channel,
+                timeoutMs: options.timeoutMs ?? this.config.timeoutMs,
+                onChunk: options.onChunk || null,
+                signal: options.signal || null,
+                onAbort: null,
+                timer: null,
+                nextSeq: 0,
+                collected: null,
+                resolve,
+                reject
+            };
+            this.pending.set(requestId, call);
+            this.armTimeout(call);
+
+            if (call.signal) {
+                call.onAbort = () => this.cancel(requestId);
+                call.signal.addEventListener('abort', call.onAbort, { once: true });
+            }
+
+            const fields = { ...params, requestId };
+            if (responseChannel) fields.responseChannel = responseChannel;
+            const request = options.envelope === 'payload' ?
+                { type: method, requestId, payload: fields, timestamp: Date.now() } :
+                { type: method, timestamp: Date.now(), ...fields };
+
+            this.listen(responseChannel)
+                .then(() => this.config.publish(channel, request))
+                .catch(error => this.settle(call, rpcError('PUBLISH_FAILED', `${method} could not be sent: ${error.message}`, {
+                    method,
+                    requestId,
+                    retryable: true
+                })));
+        });
+    }
+
+    /**
+     * Answers arrive on channels where the client only subscribes once
+     */
+    listen(channel) {
+        if (!channel || !this.config.subscribe) return Promise.resolve();
+
+        if (!this.listening.has(channel)) {
+            const subscription = Promise.resolve().then(() => this.config.subscribe(channel, message => this.handleResponse(message)));
+            subscription.catch(() => this.listening.delete(channel));
+            this.listening.set(channel, subscription);
+        }
+        return this.listening.get(channel);
+    }
+
+    /**
+     * Match an answer to its call
+     * @param {string|Object} raw - The message as received
+     * @returns {boolean} true if it answered one of this client's calls
+     */
+    handleResponse(raw) {
+        let message = raw;
+        if (typeof raw === 'string') {
+            try {
+                message = JSON.parse(raw);
+            } catch (error) {
+                return false;
+            }
+        }
+
+        const body = responseBody(message);
+        const call = body && this.pending.get(body.requestId);
+        if (!call) return false;
+
+        if (body.success === false) {
+            this.settle(call, rpcError('REMOTE_ERROR', body.error || `${call.method} failed`, {
+                method: call.method,
+                requestId: call.requestId,
+                response: body
+            }));
+        } else if (body.stream) {
+            this.receiveChunk(call, body);
+        } else {
+            this.settle(call, null, body);
+        }
+        return true;
+    }
+
+    receiveChunk(call, body) {
+        const { seq, done, fields = [] } = body.stream;
+        if (seq !== call.nextSeq) {
+            this.settle(call, rpcError('STREAM_GAP', `${call.method} chunk ${seq} arrived, expected ${call.nextSeq}`, {
+                method: call.method,
+                requestId: call.requestId
+            }));
+            return;
+        }
+
+        call.nextSeq++;
+        this.methodMetrics(call.method).chunks++;
+        call.collected = call.collected || Object.fromEntries(fields.map(field => [field, []]));
+        for (const field of fields) {
+            if (Array.isArray(body[field])) call.collected[field] = call.collected[field].concat(body[field]);
+        }
+
+        if (call.onChunk) {
+            try {
+                call.onChunk(body);
+            } catch (error) {
+                this.emit('chunkError', { method: call.method, requestId: call.requestId, error: error.message });
+            }
+        }
+
+        if (done) {
+            this.settle(call, null, { ...body, ...call.collected });
+        } else {
+            this.armTimeout(call);
+        }
+    }
+
+    armTimeout(call) {
+        clearTimeout(call.timer);
+        call.timer = setTimeout(() => {
+            // The server stops working on it; a late answer finds nothing to match
+            this.sendCancel(call);
+            this.settle(call, rpcError('TIMEOUT', `Request ${call.method} timed out after ${call.timeoutMs}ms`, {
+                method: call.method,
+                requestId: call.requestId,
+                retryable: call.nextSeq === 0               // Not once part of a stream was handed out
+            }));
+        }, call.timeoutMs);
+    }
+
+    /**
+     * Give up on a call; its promise rejects with code CANCELLED and the server is told
+     * @returns {boolean} false if the call had already finished
+     */
+    cancel(requestId) {
+        const call = this.pending.get(requestId);
+        if (!call) return false;
+
+        this.sendCancel(call);
+        this.settle(call, rpcError('CANCELLED', `${call.method} ${requestId} cancelled`, {
+            method: call.method,
+            requestId
+        }));
+        return true;
+    }
+
+    sendCancel(call) {
+        Promise.resolve()
+            .then(() => this.config.publish(call.channel, {
+                type: CANCEL_TYPE,
+                requestId: call.requestId,
+                method: call.method,
+                source: this.config.service,
+                timestamp: Date.now()
+            }))
+            .catch(() => {});
+    }
+
+    settle(call, error, result) {
+        if (this.pending.get(call.requestId) !== call) return;
+
+        clearTimeout(call.timer);
+        this.pending.delete(call.requestId);
+        if (call.onAbort) call.signal.removeEventListener('abort', call.onAbort);
+
+        if (error) {
+            call.reject(error);
+        } else {
+            call.resolve(result);
+        }
+    }
+
+    /**
+     * Fail every call still waiting, e.g. when the owner disconnects
+     */
+    close(reason = 'RPC client closed') {
+        for (const call of Array.from(this.pending.values())) {
+            this.settle(call, rpcError('CLOSED', reason, { method: call.method, requestId: call.requestId }));
+        }
+        this.listening.clear();
+    }
+
+    generateRequestId() {
+        return `${this.config.requestIdPrefix}-${Date.now()}-${++this.sequence}`;
+    }
+
+    methodMetrics(method) {
+        if (!this.metrics[method]) {
+            this.metrics[method] = {
+                calls: 0,
+                succeeded: 0,
+                failed: 0,
+                timeouts: 0,
+                cancelled: 0,
+                retries: 0,
+                chunks: 0,
+                inFlight: 0,
+                totalMs: 0,
+                maxMs: 0
+            };
+        }
+        return this.metrics[method];
+    }
+
+    getMetrics() {
+        return {
+            service: this.config.service,
+            pending: this.pending.size,
+            methods: reportMetrics(this.metrics)
+        };
+    }
+}
+
+class RpcServer extends EventEmitter {
+    /**
+     * @param {Object} config - { service, chunkSize, publish: async (response, request) sending one answer message }
+     */
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            service: 'unknown',
+            chunkSize: 500,                             // Items per chunk when a caller asks for a stream without a size
+            publish: null,
+            ...config
+        };
+
+        this.active = new Map();                        // requestId -> request being worked on
+        this.metrics = {};
+    }
+
+    /**
+     * Start work on a request. A request with streamChunkSize (a number, or true for the
+     * default) gets its answer in chunks.
+     */
+    accept(method, request) {
+        const chunkSize = request.streamChunkSize === true ? this.config.chunkSize : request.streamChunkSize;
+        this.active.set(request.requestId, {
+            method,
+            request,
+            startedAt: Date.now(),
+            chunkSize: Number.isInteger(chunkSize) && chunkSize > 0 ? chunkSize : null,
+            answered: false,
+            cancelled: false
+        });
+        this.methodMetrics(method).received++;
+    }
+
+    /**
+     * Still wanted - not answered or cancelled yet
+     */
+    isActive(requestId) {
+        const entry = this.active.get(requestId);
+        return Boolean(entry) && !entry.answered;
+    }
+
+    /**
+     * The caller gave up: nothing more is sent for this request
+     * @returns {boolean} false if it was not being worked on
+     */
+    cancel(requestId) {
+        const entry = this.active.get(requestId);
+        if (!entry) return false;
+
+        entry.cancelled = true;
+        this.active.delete(requestId);
+        this.methodMetrics(entry.method).cancelled++;
+        this.emit('cancelled', { method: entry.method, requestId });
+        return true;
+    }
+
+    /**
+     * Answer a request once. A streamed answer carries the listed array fields in chunks of
+     * { seq, done, fields, total }, every chunk repeating the other fields.
+     * @param {Object} response - The whole answer, including requestId
+     * @param {string[]} streamFields - Array fields to split when the caller asked for a stream
+     * @returns {Promise<boolean>} false if the request was cancelled, already answered or never accepted
+     */
+    async respond(requestId, response, streamFields = []) {
+        const entry = this.active.get(requestId);
+        if (!entry || entry.answered) return false;
+        entry.answered = true;
+
+        const metrics = this.methodMetrics(entry.method);
+        const elapsed = Date.now() - entry.startedAt;
+        metrics[response.success === false ? 'failed' : 'succeeded']++;
+        metrics.totalMs += elapsed;
+        metrics.maxMs = Math.max(metrics.maxMs, elapsed);
+
+        try {
+            const fields = streamFields.filter(field => Array.isArray(response[field]));
+            if (!entry.chunkSize || response.success === false || fields.length === 0) {
+                await this.config.publish(response, entry.request);
+                return true;
+            }
+
+            const total = response[fields[0]].length;
+            const count = Math.max(1, Math.ceil(total / entry.chunkSize));
+            for (let seq = 0; seq < count; seq++) {
+                if (entry.cancelled) return false;
+
+                const chunk = { ...response, stream: { seq, done: seq === count - 1, fields, total } };
+                for (const field of fields) {
+                    chunk[field] = response[field].slice(seq * entry.chunkSize, (seq + 1) * entry.chunkSize);
+                }
+                await this.config.publish(chunk, entry.request);
+                metrics.chunks++;
+            }
+            return true;
+        } finally {
+            if (this.active.get(requestId) === entry) this.active.delete(requestId);
+        }
+    }
+
+    methodMetrics(method) {
+        if (!this.metrics[method]) {
+            this.metrics[method] = {
+                received: 0,
+                succeeded: 0,
+                failed: 0,
+                cancelled: 0,
+                chunks: 0,
+                totalMs: 0,
+                maxMs: 0
+            };
+        }
+        return this.metrics[method];
+    }
+
+    getMetrics() {
+        return {
+            service: this.config.service,
+            active: this.active.size,
+            methods: reportMetrics(this.metrics)
+        };
+    }
+}
+
+module.exports = {
+    RpcClient,
+    RpcServer,
+    CANCEL_TYPE
+};
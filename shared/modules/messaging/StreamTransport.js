@@ -0,0 +1,304 @@
+// shared/modules/messaging/StreamTransport.js
+// Durable delivery of order, fill and position traffic over Redis Streams.
+// Producers append entries; every consuming service reads through its own
+// consumer group and acknowledges an entry only once its handler has finished.
+// Whatever a restart interrupted is still pending and is read again when the
+// service comes back, and entries left pending by a failing handler are claimed
+// and retried until they are dead-lettered. Order commands and broker responses
+// carry an idempotency key built from their order id, so a resent order or a
+// redelivered entry is acknowledged without running the handler twice.
+// High-rate market data stays on pub/sub.
+
+const EventEmitter = require('events');
+const { DEAD_LETTER_CHANNEL } = require('./MessageSchemas');
+
+const STREAMS = {
+    aggregatorOrders: 'stream:aggregator:orders',     // bots -> aggregator
+    orderManagement: 'stream:order:management',       // aggregator -> Connection Manager
+    orderEvents: 'stream:order:events'                // Connection Manager -> aggregator: responses, status, fills, positions
+};
+
+/**
+ * Stream carrying the aggregator's order updates for one bot
+ */
+function botResponseStream(botId) {
+    return `stream:bot:${botId}:responses`;
+}
+
+// Messages that must take effect once per order
+const ONCE_PER_ORDER_TYPES = ['MANUAL_ORDER', 'PLACE_ORDER', 'CANCEL_ORDER', 'ORDER_RESPONSE'];
+
+/**
+ * Idempotency key for placing or cancelling an order and for its broker response.
+ * null for anything else - a replace is a new request every time and a status may
+ * be reported again with new prices - which is then only kept from being handled
+ * twice by its entry id.
+ */
+function orderKey(message) {
+    if (!ONCE_PER_ORDER_TYPES.includes(message.type)) return null;
+
+    const body = message.payload && typeof message.payload === 'object' ? message.payload : message;
+    const orderId = body.orderId ?? body.order?.orderId;
+    if (orderId === undefined || orderId === null) return null;
+
+    return `${message.type}:${orderId}`;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class StreamTransport extends EventEmitter {
+    /**
+     * @param {Object} client - Connected node-redis client for appends and acknowledgements;
+     *   each consumed stream gets a duplicate of it for blocking reads
+     * @param {Object} config - { service, group, consumer, validator, ...timings }
+     */
+    constructor(client, config = {}) {
+        super();
+
+        this.client = client;
+        this.config = {
+            service: 'unknown',
+            group: null,                                // One consumer group per consuming service
+            consumer: null,                             // Defaults to the group - must stay the same across restarts
+            blockMs: 1000,
+            batchSize: 10,
+            claimIdleMs: 30000,                         // Pending this long: claimed and handled again
+            claimIntervalMs: 5000,
+            maxDeliveries: 3,                           // Then dead-lettered instead of retried
+            maxLength: 10000,                           // Approximate cap per stream
+            idempotencyTtlSeconds: 86400,
+            deadLetterChannel: DEAD_LETTER_CHANNEL,
+            validator: null,                            // MessageValidator for entries read
+            ...config
+        };
+        this.config.consumer = this.config.consumer || this.config.group;
+
+        this.consumers = new Map();                     // stream -> consumer state
+        this.stats = {
+            published: 0,
+            delivered: 0,
+            replayed: 0,
+            duplicates: 0,
+            failed: 0,
+            expired: 0,
+            deadLettered: 0
+        };
+    }
+
+    /**
+     * Append a message to a stream
+     * @returns {Promise<string>} The entry id
+     */
+    async publish(stream, message, idempotencyKey = orderKey(message)) {
+        const fields = { data: JSON.stringify(message) };
+        if (idempotencyKey) {
+            fields.key = String(idempotencyKey);
+        }
+
+        const id = await this.client.xAdd(stream, '*', fields, {
+            TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.config.maxLength }
+        });
+        this.stats.published++;
+        return id;
+    }
+
+    /**
+     * Read a stream through this service's consumer group. Entries this consumer
+     * read but never acknowledged - before a restart - are handled first.
+     * @param {Function} handler - async (message, { id, stream, redelivered }); throw to leave the entry pending
+     * @param {Object} options - { maxAgeMs: entries older than this are dead-lettered unhandled }
+     */
+    async consume(stream, handler, options = {}) {
+        if (!this.config.group) {
+            throw new Error('StreamTransport needs a consumer group to consume');
+        }
+        if (this.consumers.has(stream)) {
+            throw new Error(`Already consuming ${stream}`);
+        }
+
+        await this.ensureGroup(stream);
+
+        const reader = this.client.duplicate();
+        reader.on('error', () => {});
+        await reader.connect();
+
+        const consumer = {
+            stream,
+            handler,
+            reader,
+            maxAgeMs: options.maxAgeMs ?? null,
+            running: true,
+            lastClaim: Date.now(),
+            loop: null
+        };
+        this.consumers.set(stream, consumer);
+
+        await this.replayPending(consumer);
+        consumer.loop = this.readLoop(consumer);
+    }
+
+    async ensureGroup(stream) {
+        try {
+            // From the start of the stream, so entries added before the first consumer ever ran are not skipped
+            await this.client.xGroupCreate(stream, this.config.group, '0', { MKSTREAM: true });
+        } catch (error) {
+            if (!String(error.message).includes('BUSYGROUP')) throw error;
+        }
+    }
+
+    async replayPending(consumer) {
+        let after = '0';
+        for (;;) {
+            const reply = await consumer.reader.xReadGroup(this.config.group, this.config.consumer,
+                { key: consumer.stream, id: after }, { COUNT: this.config.batchSize });
+            const entries = reply?.[0]?.messages || [];
+            if (entries.length === 0) return;
+
+            for (const entry of entries) {
+                after = entry.id;
+                this.stats.replayed++;
+                await this.deliver(consumer, entry, true);
+            }
+        }
+    }
+
+    async readLoop(consumer) {
+        while (consumer.running) {
+            try {
+                if (Date.now() - consumer.lastClaim >= this.config.claimIntervalMs) {
+                    consumer.lastClaim = Date.now();
+                    await this.claimStale(consumer);
+                }
+
+                const reply = await consumer.reader.xReadGroup(this.config.group, this.config.consumer,
+                    { key: consumer.stream, id: '>' }, { COUNT: this.config.batchSize, BLOCK: this.config.blockMs });
+                for (const entry of reply?.[0]?.messages || []) {
+                    await this.deliver(consumer, entry, false);
+                }
+            } catch (error) {
+                if (!consumer.running) return;
+                this.emit('readError', { stream: consumer.stream, error: error.message });
+                await sleep(this.config.blockMs);
+            }
+        }
+    }
+
+    /**
+     * Take back entries left pending by a failed handler or by a consumer that is gone
+     */
+    async claimStale(consumer) {
+        const { messages } = await consumer.reader.xAutoClaim(consumer.stream, this.config.group,
+            this.config.consumer, this.config.claimIdleMs, '0-0', { COUNT: this.config.batchSize });
+
+        for (const entry of messages) {
+            if (entry) await this.deliver(consumer, entry, true);
+        }
+    }
+
+    async deliver(consumer, entry, redelivered) {
+        const { stream } = consumer;
+        const key = entry.message.key || null;
+        const processed = this.processedKey(key || `${stream}:${entry.id}`);
+
+        let message;
+        try {
+            message = JSON.parse(entry.message.data);
+        } catch (error) {
+            await this.deadLetter(consumer, entry, 'NOT_JSON', error.message, entry.message.data);
+            return;
+        }
+
+        // The validator dead-letters what fails its schema
+        if (this.config.validator && !this.config.validator.accept(stream, message)) {
+            await this.acknowledge(stream, entry.id);
+            return;
+        }
+
+        if (consumer.maxAgeMs !== null && Date.now() - parseInt(entry.id, 10) > consumer.maxAgeMs) {
+            this.stats.expired++;
+            this.emit('expired', { stream, id: entry.id, message });
+            await this.deadLetter(consumer, entry, 'EXPIRED', `older than ${consumer.maxAgeMs}ms`, message);
+            return;
+        }
+
+        if (await this.client.exists(processed)) {
+            this.stats.duplicates++;
+            this.emit('duplicate', { stream, id: entry.id, key });
+            await this.acknowledge(stream, entry.id);
+            return;
+        }
+
+        try {
+            await consumer.handler(message, { id: entry.id, stream, redelivered });
+        } catch (error) {
+            this.stats.failed++;
+            this.emit('handlerError', { stream, id: entry.id, key, error: error.message });
+
+            // Left pending to be claimed again, unless it has had its chances
+            const [pending] = await this.client.xPendingRange(stream, this.config.group, entry.id, entry.id, 1);
+            if (pending && pending.deliveriesCounter >= this.config.maxDeliveries) {
+                await this.deadLetter(consumer, entry, 'HANDLER_FAILED', error.message, message);
+            }
+            return;
+        }
+
+        // Marked before the acknowledgement, so a crash between the two does not run the handler again
+        await this.client.set(processed, entry.id, { EX: this.config.idempotencyTtlSeconds });
+        await this.acknowledge(stream, entry.id);
+        this.stats.delivered++;
+    }
+
+    async acknowledge(stream, id) {
+        await this.client.xAck(stream, this.config.group, id);
+    }
+
+    async deadLetter(consumer, entry, reason, error, message) {
+        this.stats.deadLettered++;
+        await this.client.publish(this.config.deadLetterChannel, JSON.stringify({
+            type: 'UNDELIVERABLE_MESSAGE',
+            stream: consumer.stream,
+            group: this.config.group,
+            service: this.config.service,
+            entryId: entry.id,
+            reason,
+            error,
+            message,
+            timestamp: new Date().toISOString()
+        })).catch(() => {});
+        await this.acknowledge(consumer.stream, entry.id);
+    }
+
+    processedKey(key) {
+        return `stream:processed:${this.config.group}:${key}`;
+    }
+
+    /**
+     * Stop reading; whatever was not acknowledged stays pending for the next start
+     */
+    async stop() {
+        for (const consumer of this.consumers.values()) {
+            consumer.running = false;
+            await consumer.reader.disconnect().catch(() => {});
+            await consumer.loop?.catch(() => {});
+        }
+        this.consumers.clear();
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            group: this.config.group,
+            consumer: this.config.consumer,
+            streams: Array.from(this.consumers.keys())
+        };
+    }
+}
+
+module.exports = {
+    StreamTransport,
+    STREAMS,
+    botResponseStream,
+    orderKey
+};
@@ -8,6 +8,9 @@
 
 const EventEmitter = require('events');
 const RiskManager = require('./core/RiskManager');
+const AccountRiskGuardian = require('./core/AccountRiskGuardian');
+const ExposureManager = require('./core/ExposureManager');
+const OrderLifecycle = require('./core/OrderLifecycle');
 const QueueManager = require('./core/QueueManager');
 const SLTPCalculator = require('./core/SLTPCalculator');
 const BotRegistry = require('./core/BotRegistry');
@@ -17,6 +20,18 @@ const MetricsCollector = require('./monitoring/MetricsCollector');
 const MonitoringServer = require('./monitoring/MonitoringServer');
 const RedisMetricsPublisher = require('./monitoring/RedisMetricsPublisher');
 const FileLogger = require('../../../shared/utils/FileLogger');
+const TradeJournal = require('../../../shared/modules/journal/TradeJournal');
+const instrumentRegistry = require('../../../shared/modules/contracts/InstrumentRegistry');
+
+// Connection Manager order status -> lifecycle state
+const BROKER_ORDER_STATES = {
+    WORKING: 'WORKING',
+    PARTIALLY_FILLED: 'PARTIAL',
+    FILLED: 'FILLED',
+    CANCELLED: 'CANCELLED',
+    EXPIRED: 'EXPIRED',
+    REJECTED: 'REJECTED'
+};
 
 class TradingAggregator extends EventEmitter {
     constructor(config = {}) {
@@ -38,6 +53,10 @@ class TradingAggregator extends EventEmitter {
             queueConfig: config.queueConfig || {},
             sltpConfig: config.sltpConfig || {},
             registryConfig: config.registryConfig || {},
+            journalConfig: config.journalConfig || {},
+            guardianConfig: config.guardianConfig || {},
+            exposureConfig: config.exposureConfig || {},
+            lifecycleConfig: config.lifecycleConfig || {},
             
             // Aggregator settings
             enableLogging: config.enableLogging !== false,
@@ -69,6 +88,21 @@ class TradingAggregator extends EventEmitter {
         this.sltpCalculator = new SLTPCalculator(this.config.sltpConfig);
         this.botRegistry = new BotRegistry(this.config.registryConfig);
         
+        // TopStep trailing drawdown / daily loss limits on live account equity (opt-in)
+        this.accountGuardian = this.config.guardianConfig.enabled ?
+            new AccountRiskGuardian(this.config.guardianConfig) : null;
+        
+        // Net position per account/instrument across bots, with per-bot attribution
+        this.exposureManager = this.config.exposureConfig.enabled === false ? null :
+            new ExposureManager(this.config.exposureConfig);
+        
+        // NEW -> ... -> FILLED / REJECTED / CANCELLED / EXPIRED for every order, reported to its instance
+        this.orderLifecycle = new OrderLifecycle(this.config.lifecycleConfig);
+        
+        // Durable order/fill journal (data/journal/aggregator/)
+        this.journal = this.config.journalConfig.enabled === false ? null :
+            new TradeJournal({ source: 'aggregator', ...this.config.journalConfig });
+        
         // State tracking
         this.state = {
             status: 'INITIALIZING',
@@ -76,6 +110,7 @@ class TradingAggregator extends EventEmitter {
             orders: new Map(),
             fills: new Map(),
             positions: new Map(),
+            lastPrices: new Map(), // Root symbol -> last traded/quoted price (risk exposure checks)
             metrics: {
                 ordersReceived: 0,
                 ordersProcessed: 0,
@@ -106,6 +141,11 @@ class TradingAggregator extends EventEmitter {
             this.queueManager.on('processOrder', this.handleProcessOrder.bind(this));
             this.queueManager.on('orderProcessingFailed', this.handleOrderFailure.bind(this));
             
+            // Journal order flow from the aggregator's own events
+            if (this.journal) {
+                this.setupJournal();
+            }
+            
             // Start metrics reporting
             if (this.config.enableLogging) {
                 this.metricsInterval = setInterval(() => {
@@ -122,11 +162,27 @@ class TradingAggregator extends EventEmitter {
                 await this.initializeConnectionManager();
             }
             
+            if (this.accountGuardian) {
+                await this.initializeAccountGuardian();
+            }
+            
+            if (this.exposureManager) {
+                this.initializeExposureManager();
+            }
+            
+            this.initializeOrderLifecycle();
+            
             // Initialize monitoring if enabled
             if (this.config.enableMonitoring) {
                 await this.initializeMonitoring();
             }
             
+            // Last, once every adapter and listener is in place: orders and order events
+            // left pending by the last run are replayed into a fully wired aggregator
+            if (this.config.redisConfig) {
+                await this.redisAdapter.startOrderStreams();
+            }
+            
             this.state.status = 'READY';
             this.emit('ready', { riskEnforced: true });
             
@@ -147,6 +203,188 @@ class TradingAggregator extends EventEmitter {
         }
     }
     
+    /**
+     * Record orders, rejections, fills and applied SL/TP in the trade journal
+     */
+    setupJournal() {
+        const orderEntry = (order) => ({
+            botId: order.source,
+            instrument: order.instrument,
+            strategy: order.metadata?.strategyName || null,
+            accountId: order.accountId,
+            orderId: order.id
+        });
+        
+        this.on('orderSubmitted', ({ order, queueId, priority }) => {
+            this.journal.record('ORDER', {
+                ...orderEntry(order),
+                data: {
+                    action: order.action,
+                    type: order.type,
+                    quantity: order.quantity,
+                    price: order.price,
+                    stopLoss: order.stopLoss,
+                    takeProfit: order.takeProfit,
+                    queueId,
+                    priority
+                }
+            });
+        });
+        
+        this.on('orderRejected', ({ order, reason, violations }) => {
+            this.journal.record('ORDER_REJECTED', {
+                ...orderEntry(order),
+                data: { action: order.action, quantity: order.quantity, reason, violations: violations || [] }
+            });
+        });
+        
+        this.on('orderFailed', ({ order, error }) => {
+            this.journal.record('ORDER_FAILED', {
+                ...orderEntry(order),
+                data: { action: order.action, quantity: order.quantity, error }
+            });
+        });
+        
+        this.on('fillProcessed', ({ fill, sltpLevels }) => {
+            const order = this.state.orders.get(fill.orderId);
+            this.journal.record('FILL', {
+                ...(order ? orderEntry(order) : { botId: fill.source, instrument: fill.instrument, accountId: fill.accountId }),
+                orderId: fill.orderId,
+                positionId: fill.positionId,
+                data: {
+                    side: fill.side,
+                    fillPrice: fill.fillPrice,
+                    quantity: fill.quantity,
+                    sltpLevels
+                }
+            });
+        });
+        
+        this.on('sltpApplied', ({ orderId, positionId, stopLossPrice, takeProfitPrice }) => {
+            const order = this.state.orders.get(orderId);
+            this.journal.record('SLTP_MODIFIED', {
+                ...(order ? orderEntry(order) : {}),
+                orderId,
+                positionId,
+                data: { stopLoss: stopLossPrice, takeProfit: takeProfitPrice, reasons: ['BRACKET_APPLIED'] }
+            });
+        });
+    }
+    
+    /**
+     * Start the account risk guardian once Redis is available
+     */
+    async initializeAccountGuardian() {
+        if (!this.redisAdapter) {
+            throw new Error('Account risk guardian requires the Redis integration');
+        }
+        
+        this.accountGuardian.redisAdapter = this.redisAdapter;
+        
+        this.accountGuardian.on('statusChanged', ({ accountId, status, previous, metrics }) => {
+            this.log(status === 'OK' ? 'info' : 'warn', 'Account risk status changed', {
+                accountId,
+                status,
+                previous,
+                equity: metrics.equity,
+                dailyPnL: metrics.dailyPnL,
+                threshold: metrics.threshold,
+                room: metrics.room
+            });
+            
+            this.redisAdapter.publishStatusUpdate('ACCOUNT_RISK', { accountId, status, previous, metrics })
+                .catch(error => this.log('error', 'Failed to publish account risk status', { error: error.message }));
+        });
+        
+        this.accountGuardian.on('accountLocked', ({ accountId, lock }) => {
+            this.log('error', 'Account locked by risk guardian - flattening and pausing all trading', { accountId, ...lock });
+        });
+        
+        // Fills move realized P&L - refresh the account instead of waiting for the next sync
+        this.on('fillProcessed', ({ fill }) => {
+            if (fill.accountId !== undefined && fill.accountId !== null) {
+                this.accountGuardian.syncAccounts([String(fill.accountId)]).catch(() => {});
+            }
+        });
+        
+        await this.accountGuardian.start();
+    }
+    
+    /**
+     * Feed broker order responses and fills to the exposure manager and report attribution
+     */
+    initializeExposureManager() {
+        this.exposureManager.on('exposureChanged', (report) => {
+            this.emit('exposureChanged', report);
+            if (!this.redisAdapter) return;
+            
+            this.redisAdapter.publishStatusUpdate('EXPOSURE', report)
+                .catch(error => this.log('error', 'Failed to publish exposure', { error: error.message }));
+            
+            // Each bot gets its own slice of the book - its P&L, not the account's
+            for (const { source, ...entry } of report.sources) {
+                if (source === 'UNATTRIBUTED') continue;
+                this.redisAdapter.publish(`bot:${source}:responses`, {
+                    type: 'EXPOSURE_UPDATE',
+                    accountId: report.accountId,
+                    instrument: report.instrument,
+                    contractId: report.contractId,
+                    netPosition: report.netPosition,
+                    markPrice: report.markPrice,
+                    ...entry
+                }).catch(() => {});
+            }
+        });
+        
+        if (this.redisAdapter) {
+            this.redisAdapter.on('orderResponse', (response) => this.exposureManager.handleOrderResponse(response));
+            this.redisAdapter.on('orderFilled', (fill) => this.exposureManager.handleBrokerFill(fill));
+            this.redisAdapter.on('orderStatus', (update) => this.exposureManager.handleOrderStatus(update));
+        }
+    }
+    
+    /**
+     * Follow orders through their lifecycle and tell the instance that placed each one
+     */
+    initializeOrderLifecycle() {
+        this.orderLifecycle.on('transition', ({ order, from, to }) => {
+            const trackedOrder = this.state.orders.get(order.orderId);
+            if (trackedOrder) {
+                trackedOrder.status = to;
+                trackedOrder.lastUpdated = new Date();
+            }
+            
+            this.emit('orderLifecycle', { order, from, to });
+            this.publishOrderStatus(order, from);
+        });
+        
+        this.orderLifecycle.on('stuck', ({ order, state, stuckForMs }) => {
+            this.log('warn', `Order stuck in ${state}`, {
+                orderId: order.orderId,
+                instanceId: order.instanceId,
+                stuckForMs
+            });
+            this.emit('orderStuck', { order, state, stuckForMs });
+            
+            if (!order.instanceId || !this.redisAdapter) return;
+            this.redisAdapter.publish(`bot:${order.instanceId}:responses`, {
+                type: 'ORDER_STUCK',
+                orderId: order.orderId,
+                status: state,
+                stuckForMs
+            }).catch(() => {});
+        });
+        
+        // Working orders: the Connection Manager follows them once they reach the broker
+        if (this.redisAdapter) {
+            this.redisAdapter.on('orderStatus', (update) => this.handleBrokerOrderStatus(update));
+            this.redisAdapter.on('orderResponse', (response) => {
+                if (!response.success) this.handleBrokerOrderStatus({ ...response, status: 'REJECTED' });
+            });
+            this.redisAdapter.on('orderAmendResponse', (response) => this.relayAmendResponse(response));
+        }
+    }
+    
     /**
      * Initialize monitoring components
      */
@@ -205,6 +443,7 @@ class TradingAggregator extends EventEmitter {
      */
     async submitOrder(order) {
         const submitTime = Date.now();
+        let normalizedOrder = null;
         
         try {
             this.log('info', 'Starting order submission', {
@@ -216,13 +455,19 @@ class TradingAggregator extends EventEmitter {
             this.state.metrics.ordersReceived++;
             
             // Ensure order has required fields
-            const normalizedOrder = this.normalizeOrder(order);
+            normalizedOrder = this.normalizeOrder(order);
             
             this.log('info', 'Order normalized successfully', {
                 orderId: normalizedOrder.id,
                 hasMetadata: !!normalizedOrder.metadata
             });
             
+            // An order ID that is still live belongs to that order - a resend must not reset its state
+            if (!this.orderLifecycle.create(normalizedOrder)) {
+                this.log('warn', 'Duplicate order ignored', { orderId: normalizedOrder.id, source: normalizedOrder.source });
+                return { success: false, orderId: normalizedOrder.id, reason: 'DUPLICATE_ORDER' };
+            }
+            
             // Record order received in metrics
             if (this.metricsCollector) {
                 this.metricsCollector.recordOrderReceived(normalizedOrder);
@@ -236,7 +481,30 @@ class TradingAggregator extends EventEmitter {
             }
             
             // Risk validation - ALWAYS ENFORCED
-            const riskValidation = await this.riskManager.validateOrder(normalizedOrder);
+            const riskValidation = await this.riskManager.validateOrder(normalizedOrder, {
+                marketPrice: this.getLastPrice(normalizedOrder.instrument)
+            });
+            
+            // Account-level drawdown / daily loss limits
+            if (this.accountGuardian) {
+                const accountViolations = await this.accountGuardian.validateOrder(normalizedOrder, {
+                    riskAmount: riskValidation.riskMetrics?.riskAmount,
+                    openOrders: this.orderLifecycle.getOpenOrders()
+                });
+                if (accountViolations.length > 0) {
+                    riskValidation.valid = false;
+                    riskValidation.violations.push(...accountViolations);
+                }
+            }
+            
+            // Other bots' positions on the same account/instrument
+            if (this.exposureManager) {
+                const exposureViolations = this.exposureManager.validateOrder(normalizedOrder);
+                if (exposureViolations.length > 0) {
+                    riskValidation.valid = false;
+                    riskValidation.violations.push(...exposureViolations);
+                }
+            }
             
             if (!riskValidation.valid) {
                 // CRITICAL SAFETY: Always block risk violations - NO BYPASS
@@ -247,6 +515,11 @@ class TradingAggregator extends EventEmitter {
                     this.metricsCollector.recordOrderRejected(normalizedOrder, 'RISK_VIOLATION', riskValidation.violations);
                 }
                 
+                this.orderLifecycle.transition(normalizedOrder.id, 'REJECTED', {
+                    reason: 'RISK_VIOLATION',
+                    violations: riskValidation.violations
+                });
+                
                 this.emit('orderRejected', {
                     order: normalizedOrder,
                     reason: 'RISK_VIOLATION',
@@ -266,6 +539,8 @@ class TradingAggregator extends EventEmitter {
                 };
             }
             
+            this.orderLifecycle.transition(normalizedOrder.id, 'RISK_CHECKED');
+            
             // Add to queue
             const queueResult = this.queueManager.enqueue(normalizedOrder);
             
@@ -275,6 +550,8 @@ class TradingAggregator extends EventEmitter {
                     this.metricsCollector.recordOrderRejected(normalizedOrder, queueResult.reason, []);
                 }
                 
+                this.orderLifecycle.transition(normalizedOrder.id, 'REJECTED', { reason: queueResult.reason });
+                
                 this.emit('orderRejected', {
                     order: normalizedOrder,
                     reason: queueResult.reason
@@ -295,12 +572,18 @@ class TradingAggregator extends EventEmitter {
             // Track order
             this.state.orders.set(normalizedOrder.id, {
                 ...normalizedOrder,
-                status: 'QUEUED',
+                status: 'RISK_CHECKED',
                 queueId: queueResult.queueId,
                 riskValidation,
                 submittedAt: new Date()
             });
             
+            if (this.exposureManager) {
+                this.exposureManager.trackOrder(normalizedOrder);
+            }
+            
+            this.orderLifecycle.transition(normalizedOrder.id, 'QUEUED', { queueId: queueResult.queueId });
+            
             this.emit('orderSubmitted', {
                 order: normalizedOrder,
                 queueId: queueResult.queueId,
@@ -322,6 +605,10 @@ class TradingAggregator extends EventEmitter {
                 error: error.message 
             });
             
+            if (normalizedOrder) {
+                this.orderLifecycle.transition(normalizedOrder.id, 'REJECTED', { reason: 'SUBMISSION_ERROR', error: error.message });
+            }
+            
             return {
                 success: false,
                 orderId: order?.id || 'UNKNOWN',
@@ -340,10 +627,8 @@ class TradingAggregator extends EventEmitter {
         try {
             this.state.metrics.ordersProcessed++;
             
-            // Update order status
             const trackedOrder = this.state.orders.get(order.id);
             if (trackedOrder) {
-                trackedOrder.status = 'PROCESSING';
                 trackedOrder.processingStarted = new Date();
             }
             
@@ -433,6 +718,14 @@ class TradingAggregator extends EventEmitter {
                 metadata: order.metadata || {},
             };
             
+            // Time in force of resting entries - the Connection Manager expires them
+            if (order.timeInForce) {
+                orderPayload.timeInForce = order.timeInForce;
+            }
+            if (order.expireAt) {
+                orderPayload.expireAt = order.expireAt;
+            }
+            
             // Include points data if available for fill-based calculation
             if (order.metadata?.stopLoss?.type === 'points') {
                 orderPayload.stopLoss = { points: order.metadata.stopLoss.value };
@@ -463,17 +756,12 @@ class TradingAggregator extends EventEmitter {
                     result
                 });
                 
-                // Update order status
                 const trackedOrder = this.state.orders.get(order.id);
                 if (trackedOrder) {
-                    trackedOrder.status = 'SENT_TO_BROKER';
                     trackedOrder.sentAt = new Date();
                 }
                 
-                // Publish order update via Redis
-                if (this.redisAdapter) {
-                    await this.redisAdapter.publishOrderUpdate(order, 'SENT_TO_BROKER');
-                }
+                this.orderLifecycle.transition(order.id, 'SENT');
                 
             } else {
                 throw new Error(`Order execution failed: ${result.error || result.reason}`);
@@ -485,14 +773,6 @@ class TradingAggregator extends EventEmitter {
                 error: error.message
             });
             
-            // Update order status to failed
-            const trackedOrder = this.state.orders.get(order.id);
-            if (trackedOrder) {
-                trackedOrder.status = 'EXECUTION_FAILED';
-                trackedOrder.error = error.message;
-                trackedOrder.failedAt = new Date();
-            }
-            
             throw error;
         }
     }
@@ -697,12 +977,13 @@ class TradingAggregator extends EventEmitter {
             // Update position tracking
             this.updatePosition(fill);
             
-            // Update risk manager
-            this.riskManager.updatePosition(fill.orderId, {
+            // Net the fill into the risk manager's account/contract position
+            this.riskManager.updatePosition({
                 instrument: fill.instrument,
                 quantity: fill.quantity,
                 side: fill.side,
-                fillPrice: fill.fillPrice
+                fillPrice: fill.fillPrice,
+                accountId: this.state.orders.get(fill.orderId)?.accountId || fill.accountId
             });
             
             // Record fill latency
@@ -795,6 +1076,13 @@ class TradingAggregator extends EventEmitter {
                         value: orderMessage.order.takeProfitPoints
                     } : null,
                     accountId: orderMessage.order.accountId,
+                    // Entry prices and time in force of LIMIT / STOP / STOP_LIMIT orders
+                    limitPrice: orderMessage.order.limitPrice,
+                    stopPrice: orderMessage.order.stopPrice,
+                    timeInForce: orderMessage.order.timeInForce,
+                    expireAt: orderMessage.order.expireAt,
+                    stopLossPoints: orderMessage.order.stopLossPoints,
+                    takeProfitPoints: orderMessage.order.takeProfitPoints
                 };
                 
                 // DEBUG: Log SL/TP extraction
@@ -833,11 +1121,11 @@ class TradingAggregator extends EventEmitter {
                 });
                 
                 // Log SL/TP details specifically
-                if (order.metadata.stopLoss || order.metadata.takeProfit) {
-                    this.logger.logSLTP('Manual Order SL/TP Extracted', {
+                if (order.stopLoss || order.takeProfit) {
+                    this.fileLogger.logSLTP('Manual Order SL/TP Extracted', {
                         orderId: order.id,
-                        stopLoss: order.metadata.stopLoss,
-                        takeProfit: order.metadata.takeProfit,
+                        stopLoss: order.stopLoss,
+                        takeProfit: order.takeProfit,
                         stopLossPoints: orderMessage.order.stopLossPoints,
                         takeProfitPoints: orderMessage.order.takeProfitPoints
                     });
@@ -856,6 +1144,9 @@ class TradingAggregator extends EventEmitter {
                 });
                 
                 return result;
+            } else if (orderMessage.type === 'CANCEL_ORDER' || orderMessage.type === 'MODIFY_ORDER') {
+                // A bot pulling or moving one of its working entry orders
+                return await this.handleWorkingOrderRequest(orderMessage);
             } else if (orderMessage.type === 'PLACE_ORDER' && orderMessage.payload) {
                 // Legacy format for backward compatibility
                 const order = {
@@ -922,6 +1213,139 @@ class TradingAggregator extends EventEmitter {
         }
     }
     
+    /**
+     * Cancel or move a working order for the bot that placed it
+     */
+    async handleWorkingOrderRequest(request) {
+        const order = this.state.orders.get(request.orderId);
+        const action = request.type === 'CANCEL_ORDER' ? 'CANCEL' : 'MODIFY';
+        
+        if (!order || order.source !== request.source) {
+            this.log('warn', `${action} for unknown order ignored`, { orderId: request.orderId, source: request.source });
+            this.relayAmendResponse({ orderId: request.orderId, action, success: false, error: 'Unknown order', source: request.source });
+            return { success: false, error: 'Unknown order' };
+        }
+        
+        // Still in the queue - nothing to ask the broker
+        if (action === 'CANCEL' && this.orderLifecycle.getState(order.id) === 'QUEUED' &&
+            this.queueManager.removeFromQueue(order.queueId)) {
+            this.exposureManager?.releaseOrder(order.id, 'CANCELLED');
+            this.orderLifecycle.transition(order.id, 'CANCELLED', { reason: 'CANCELLED_BEFORE_SEND' });
+            this.relayAmendResponse({ orderId: order.id, action, success: true, source: request.source });
+            return { success: true, orderId: order.id };
+        }
+        
+        if (!this.connectionManagerAdapter) {
+            throw new Error('Connection Manager adapter not initialized');
+        }
+        
+        this.log('info', `Working order ${action.toLowerCase()} requested`, {
+            orderId: order.id,
+            source: order.source,
+            limitPrice: request.limitPrice,
+            stopPrice: request.stopPrice
+        });
+        
+        const result = action === 'CANCEL' ?
+            await this.connectionManagerAdapter.cancelOrder({ orderId: order.id, accountId: order.accountId }) :
+            await this.connectionManagerAdapter.modifyOrder({
+                orderId: order.id,
+                accountId: order.accountId,
+                instrument: order.instrument,
+                limitPrice: request.limitPrice,
+                stopPrice: request.stopPrice
+            });
+        
+        if (!result.success) {
+            this.relayAmendResponse({ orderId: order.id, action, success: false, error: result.error || result.reason });
+        }
+        return result;
+    }
+    
+    /**
+     * Connection Manager ORDER_STATUS_UPDATE (or a failed ORDER_RESPONSE) for an order the aggregator routed
+     */
+    handleBrokerOrderStatus(update) {
+        if (update.instanceId !== 'TRADING_AGGREGATOR') return;
+        if (!this.state.orders.has(update.orderId)) return;
+        
+        const state = BROKER_ORDER_STATES[update.status];
+        if (!state) return;
+        
+        const moved = this.orderLifecycle.transition(update.orderId, state, {
+            brokerOrderId: update.topStepOrderId,
+            quantity: update.quantity,
+            filledQuantity: update.fillVolume,
+            filledPrice: update.filledPrice,
+            limitPrice: update.limitPrice,
+            stopPrice: update.stopPrice,
+            timeInForce: update.timeInForce,
+            expireAt: update.expireAt,
+            error: update.error
+        });
+        
+        if (!moved) {
+            this.log('debug', 'Order status update out of sequence ignored', {
+                orderId: update.orderId,
+                status: update.status,
+                current: this.orderLifecycle.getState(update.orderId)
+            });
+            return;
+        }
+        
+        this.handleOrderStatusUpdate({ orderId: update.orderId, status: state, topstepOrderId: update.topStepOrderId });
+    }
+    
+    /**
+     * Tell the instance that placed an order where it is in its lifecycle
+     */
+    publishOrderStatus(order, previousStatus) {
+        if (!this.redisAdapter) return;
+        
+        this.redisAdapter.publishOrderUpdate({ id: order.orderId, ...order }, order.state).catch(() => {});
+        
+        if (!order.instanceId) return;
+        this.redisAdapter.publish(`bot:${order.instanceId}:responses`, {
+            type: 'ORDER_UPDATE',
+            orderId: order.orderId,
+            status: order.state,
+            previousStatus,
+            reason: order.reason || null,
+            violations: order.violations || [],
+            error: order.error || null,
+            orderType: order.orderType,
+            instrument: order.instrument,
+            side: order.side,
+            quantity: order.quantity,
+            filledQuantity: order.filledQuantity || 0,
+            filledPrice: order.filledPrice ?? null,
+            limitPrice: order.limitPrice ?? null,
+            stopPrice: order.stopPrice ?? null,
+            timeInForce: order.timeInForce || null,
+            expireAt: order.expireAt || null,
+            queueId: order.queueId || null,
+            timestamp: order.updatedAt
+        }).catch(() => {});
+    }
+    
+    /**
+     * Result of a bot's cancel or modify request
+     */
+    relayAmendResponse(response) {
+        if (response.instanceId && response.instanceId !== 'TRADING_AGGREGATOR') return;
+        
+        const source = response.source || this.state.orders.get(response.orderId)?.source;
+        if (!source || !this.redisAdapter) return;
+        
+        this.redisAdapter.publish(`bot:${source}:responses`, {
+            type: 'ORDER_AMEND_RESPONSE',
+            orderId: response.orderId,
+            action: response.action || (response.type === 'ORDER_CANCELLATION_RESPONSE' ? 'CANCEL' : 'MODIFY'),
+            success: response.success,
+            error: response.error || null
+        }).catch(() => {});
+    }
+    
     /**
      * Handle order failure
      */
@@ -932,11 +1356,16 @@ class TradingAggregator extends EventEmitter {
         
         const trackedOrder = this.state.orders.get(order.id);
         if (trackedOrder) {
-            trackedOrder.status = 'FAILED';
             trackedOrder.error = error.message;
             trackedOrder.failedAt = new Date();
         }
         
+        if (this.exposureManager) {
+            this.exposureManager.releaseOrder(order.id, 'EXECUTION_FAILED');
+        }
+        
+        this.orderLifecycle.transition(order.id, 'REJECTED', { reason: 'EXECUTION_FAILED', error: error.message });
+        
         if (order.source) {
             this.botRegistry.recordOrder(order.source, order, { 
                 success: false, 
@@ -993,7 +1422,9 @@ class TradingAggregator extends EventEmitter {
             stopPrice: order.stopPrice !== undefined ? parseFloat(order.stopPrice) : undefined,
             stopLossPoints: order.stopLossPoints !== undefined ? parseFloat(order.stopLossPoints) : undefined,
             limitPrice: order.limitPrice !== undefined ? parseFloat(order.limitPrice) : undefined,
-            takeProfitPoints: order.takeProfitPoints !== undefined ? parseFloat(order.takeProfitPoints) : undefined
+            takeProfitPoints: order.takeProfitPoints !== undefined ? parseFloat(order.takeProfitPoints) : undefined,
+            timeInForce: order.timeInForce,
+            expireAt: order.expireAt
         };
     }
     
@@ -1051,6 +1482,11 @@ class TradingAggregator extends EventEmitter {
                 this.log('error', 'Redis message parse error', error);
             });
             
+            // Position snapshots the Connection Manager writes to the order event stream
+            this.redisAdapter.on('positionUpdate', (positionData) => {
+                this.handlePositionUpdate(positionData);
+            });
+            
             // Subscribe to orders from manual trading and other sources
             await this.redisAdapter.subscribeToOrders(async (orderMessage) => {
                 await this.handleIncomingOrder(orderMessage);
@@ -1167,6 +1603,11 @@ class TradingAggregator extends EventEmitter {
             risk: riskReport,
             registry: registryStats,
             sltp: sltpStats,
+            accountRisk: this.accountGuardian ? this.accountGuardian.getStatus() : null,
+            exposure: this.exposureManager ? this.exposureManager.getReport() : null,
+            lifecycle: this.orderLifecycle.getStatus(),
+            messageValidation: this.redisAdapter?.messageValidator ? this.redisAdapter.messageValidator.getStats() : null,
+            orderTransport: this.redisAdapter?.orderStream ? this.redisAdapter.orderStream.getStats() : null,
             positions: Array.from(this.state.positions.values())
         };
     }
@@ -1302,6 +1743,16 @@ class TradingAggregator extends EventEmitter {
      * Handle market data updates with proper channel separation
      */
     async handleMarketDataUpdate(marketData) {
+        this.recordLastPrice(marketData);
+        
+        if (this.accountGuardian) {
+            this.accountGuardian.onMarketData(marketData);
+        }
+        
+        if (this.exposureManager) {
+            this.exposureManager.onMarketData(marketData);
+        }
+        
         // Update position P&L calculations if needed
         this.emit('marketDataUpdate', marketData);
         
@@ -1393,6 +1844,31 @@ class TradingAggregator extends EventEmitter {
         }
     }
     
+    /**
+     * Remember the latest price per instrument for risk checks on market orders
+     */
+    recordLastPrice(marketData) {
+        const quote = marketData.payload || marketData;
+        const data = quote.data || quote;
+        if (!quote.instrument) return;
+        
+        let price = data.last ?? data.price;
+        if ((price === undefined || price === null) && data.bid !== undefined && data.ask !== undefined) {
+            price = (data.bid + data.ask) / 2;
+        }
+        
+        if (typeof price === 'number' && !isNaN(price) && price > 0) {
+            this.state.lastPrices.set(this.riskManager.getSymbolRoot(quote.instrument), price);
+        }
+    }
+    
+    /**
+     * Latest known price for any instrument form (MES, F.US.MES, CON.F.US.MES.Z25)
+     */
+    getLastPrice(instrument) {
+        return this.state.lastPrices.get(this.riskManager.getSymbolRoot(instrument)) || null;
+    }
+    
     /**
      * Handle control messages from Redis
      */
@@ -1422,6 +1898,13 @@ class TradingAggregator extends EventEmitter {
                 this.queueManager.resumeProcessing();
                 break;
                 
+            case 'UNLOCK_ACCOUNT':
+                // Operator reviewed an account the risk guardian locked
+                if (this.accountGuardian && data?.accountId) {
+                    this.accountGuardian.unlockAccount(data.accountId);
+                }
+                break;
+                
             default:
                 this.log('warn', 'Unknown control command', { command });
         }
@@ -1583,16 +2066,18 @@ class TradingAggregator extends EventEmitter {
     }
     
     /**
-     * Get point value for an instrument
-     * TODO: This should retrieve from actual contract data
+     * Point value for an instrument from the contract data in the instrument registry
+     * @returns {number|null} null when unknown - never a guessed default
      */
     getPointValueForInstrument(instrument) {
-        // WARNING: This should be getting the actual point value from contract data
-        // For now, we'll return null which will cause SL/TP calculations to fail
-        // This forces the system to use proper contract data
-        this.log('warn', `⚠️ getPointValueForInstrument called but contract data not available for ${instrument}`);
-        this.log('warn', '⚠️ SL/TP calculations will fail until contract data is properly passed through the system');
-        return null;
+        const pointValue = instrumentRegistry.getPointValue(instrument);
+        
+        if (!pointValue) {
+            this.log('warn', `⚠️ No contract data available for ${instrument} - SL/TP calculations will fail`);
+            return null;
+        }
+        
+        return pointValue;
     }
     
     /**
@@ -1602,8 +2087,7 @@ class TradingAggregator extends EventEmitter {
         let stopLossPrice = null;
         let takeProfitPrice = null;
         
-        // Get point value for the instrument from contract data
-        // This should be passed in or retrieved from the contract data
+        // Risk validation rejects orders without a point value, so this only fails if contract data went away
         const pointValue = this.getPointValueForInstrument(instrument);
         
         if (!pointValue) {
@@ -1706,6 +2190,16 @@ class TradingAggregator extends EventEmitter {
             await this.redisMetricsPublisher.disconnect();
         }
         
+        if (this.accountGuardian) {
+            await this.accountGuardian.stop();
+        }
+        
+        if (this.exposureManager) {
+            this.exposureManager.stop();
+        }
+        
+        this.orderLifecycle.stop();
+        
         // Disconnect adapters
         if (this.redisAdapter) {
             await this.redisAdapter.disconnect();
@@ -1718,6 +2212,10 @@ class TradingAggregator extends EventEmitter {
         // Report final metrics
         this.reportMetrics();
         
+        if (this.journal) {
+            await this.journal.flush();
+        }
+        
         this.state.status = 'STOPPED';
         this.emit('shutdown');
     }
@@ -8,6 +8,8 @@ const EventEmitter = require('events');
 const axios = require('axios');
 const WebSocket = require('ws');
 const redis = require('redis');
+const instrumentRegistry = require('../../../../shared/modules/contracts/InstrumentRegistry');
+const { StreamTransport, STREAMS } = require('../../../../shared/modules/messaging/StreamTransport');
 
 class ConnectionManagerAdapter extends EventEmitter {
     constructor(config = {}) {
@@ -21,7 +23,9 @@ class ConnectionManagerAdapter extends EventEmitter {
             maxRetries: config.maxRetries || 5,
             enableWebSocket: config.enableWebSocket !== false,
             enableDebugLogging: config.enableDebugLogging || false,
-            redis: config.redis || { host: 'localhost', port: 6379 }
+            redis: config.redis || { host: 'localhost', port: 6379 },
+            // Order commands on the Connection Manager's stream - streams: false publishes them on order:management
+            orderTransport: { streams: true, ...config.orderTransport }
         };
         
         this.state = {
@@ -37,6 +41,7 @@ class ConnectionManagerAdapter extends EventEmitter {
         this.ws = null;
         this.httpClient = null;
         this.redisClient = null;
+        this.orderStream = null;
         this.reconnectTimer = null;
         this.heartbeatTimer = null;
         
@@ -88,6 +93,11 @@ class ConnectionManagerAdapter extends EventEmitter {
             await this.redisClient.connect();
             this.log('✅ Redis client connected for order publishing');
             
+            if (this.config.orderTransport.streams) {
+                const { streams, maxOrderAgeMs, ...streamConfig } = this.config.orderTransport;
+                this.orderStream = new StreamTransport(this.redisClient, { ...streamConfig, service: 'TRADING_AGGREGATOR' });
+            }
+            
             // Test HTTP connection
             const healthCheck = await this.httpClient.get('/health');
             if (healthCheck.status === 200 || healthCheck.status === 206) {
@@ -309,6 +319,14 @@ class ConnectionManagerAdapter extends EventEmitter {
                 orderPayload.takeProfitPoints = order.takeProfitPoints;
             }
             
+            // Time in force of LIMIT / STOP / STOP_LIMIT entries
+            if (order.timeInForce) {
+                orderPayload.timeInForce = order.timeInForce;
+            }
+            if (order.expireAt) {
+                orderPayload.expireAt = order.expireAt;
+            }
+            
             // Send order via Redis to Connection Manager (same as manual trading)
             const redisMessage = {
                 type: 'PLACE_ORDER',
@@ -317,10 +335,10 @@ class ConnectionManagerAdapter extends EventEmitter {
                 timestamp: new Date().toISOString()
             };
             
-            await this.redisClient.publish('order:management', JSON.stringify(redisMessage));
+            await this.sendOrderCommand(redisMessage);
             
             this.log(`📤 Order sent via Redis to Connection Manager`);
-            this.log(`   - Channel: order:management`);
+            this.log(`   - ${this.orderStream ? `Stream: ${STREAMS.orderManagement}` : 'Channel: order:management'}`);
             this.log(`   - OrderId: ${order.id}`);
             
             // Simulate successful response for now
@@ -369,6 +387,17 @@ class ConnectionManagerAdapter extends EventEmitter {
         }
     }
     
+    /**
+     * Hand an order command to the Connection Manager - on its stream when orders
+     * travel on streams, so it is still there if the Connection Manager is restarting
+     */
+    async sendOrderCommand(message) {
+        if (this.orderStream) {
+            return await this.orderStream.publish(STREAMS.orderManagement, message);
+        }
+        return await this.redisClient.publish('order:management', JSON.stringify(message));
+    }
+    
     /**
      * Send order modification
      */
@@ -396,7 +425,23 @@ class ConnectionManagerAdapter extends EventEmitter {
                 };
             }
             
-            // TODO: Implement actual modification
+            // New entry prices for a working order - the result comes back as ORDER_MODIFICATION_RESPONSE
+            await this.sendOrderCommand({
+                type: 'MODIFY_ORDER',
+                payload: {
+                    instanceId: 'TRADING_AGGREGATOR',
+                    orderId: modification.orderId,
+                    accountId: modification.accountId,
+                    instrument: modification.instrument,
+                    limitPrice: modification.limitPrice,
+                    stopPrice: modification.stopPrice,
+                    timestamp: Date.now()
+                },
+                source: 'TRADING_AGGREGATOR',
+                timestamp: new Date().toISOString()
+            });
+            
+            this.log(`✏️ Order modification sent via Redis: ${modification.orderId}`);
             
             this.emit('orderModified', {
                 modification,
@@ -440,7 +485,20 @@ class ConnectionManagerAdapter extends EventEmitter {
                 };
             }
             
-            // TODO: Implement actual cancellation
+            // The result comes back as ORDER_CANCELLATION_RESPONSE, the cancel itself as ORDER_STATUS_UPDATE
+            await this.sendOrderCommand({
+                type: 'CANCEL_ORDER',
+                payload: {
+                    instanceId: 'TRADING_AGGREGATOR',
+                    orderId: cancellation.orderId,
+                    accountId: cancellation.accountId,
+                    timestamp: Date.now()
+                },
+                source: 'TRADING_AGGREGATOR',
+                timestamp: new Date().toISOString()
+            });
+            
+            this.log(`🚫 Order cancellation sent via Redis: ${cancellation.orderId}`);
             
             this.emit('orderCancelled', {
                 cancellation,
@@ -788,6 +846,7 @@ class ConnectionManagerAdapter extends EventEmitter {
                 if (position.instrument === instrument && currentPrice) {
                     const priceDiff = currentPrice - position.averagePrice;
                     const multiplier = this.getInstrumentMultiplier(instrument);
+                    if (!multiplier) return;
                     
                     let unrealizedPnL;
                     if (position.side === 'LONG' || position.side === 'BUY') {
@@ -808,29 +867,10 @@ class ConnectionManagerAdapter extends EventEmitter {
     
     /**
      * Get instrument multiplier for P&L calculation
+     * @returns {number|null} null without contract data - P&L is then left unpriced
      */
     getInstrumentMultiplier(instrument) {
-        const multipliers = {
-            'MES': 5,     // Micro E-mini S&P 500
-            'MNQ': 2,     // Micro E-mini NASDAQ-100
-            'MGC': 10,    // Micro Gold
-            'MCL': 100,   // Micro Crude Oil
-            'M2K': 5,     // Micro Russell 2000
-            'MYM': 0.5,   // Micro Dow
-            'ES': 50,     // E-mini S&P 500
-            'NQ': 20,     // E-mini NASDAQ-100
-            'GC': 100,    // Gold
-            'CL': 1000,   // Crude Oil
-            'RTY': 50,    // Russell 2000
-            'YM': 5       // Dow
-        };
-        
-        // Extract base symbol from contract ID
-        const baseSymbol = instrument.includes('.') ? 
-            instrument.split('.').pop().split('.')[0] : 
-            instrument;
-            
-        return multipliers[baseSymbol] || 1;
+        return instrumentRegistry.getPointValue(instrument);
     }
     
     /**
@@ -1031,6 +1071,7 @@ class ConnectionManagerAdapter extends EventEmitter {
         }
         
         // Close Redis connection
+        this.orderStream = null;
         if (this.redisClient) {
             await this.redisClient.quit();
             this.redisClient = null;
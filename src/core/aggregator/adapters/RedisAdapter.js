@@ -6,6 +6,15 @@
 
 const EventEmitter = require('events');
 const { createClient } = require('redis');
+const MessageValidator = require('../../../../shared/modules/messaging/MessageValidator');
+const { StreamTransport, STREAMS, botResponseStream } = require('../../../../shared/modules/messaging/StreamTransport');
+const { RpcClient, CANCEL_TYPE } = require('../../../../shared/modules/messaging/RedisRpc');
+
+// Broker order events that reach the aggregator from the Connection Manager's stream when orders travel on streams
+const ORDER_EVENT_TYPES = [
+    'ORDER_RESPONSE', 'ORDER_STATUS_UPDATE', 'ORDER_CANCELLATION_RESPONSE',
+    'ORDER_MODIFICATION_RESPONSE', 'ORDER_FILLED', 'POSITION_UPDATE'
+];
 
 class RedisAdapter extends EventEmitter {
     constructor(config = {}) {
@@ -42,6 +51,13 @@ class RedisAdapter extends EventEmitter {
             maxRetries: config.maxRetries || 10,
             heartbeatInterval: config.heartbeatInterval || 30000,
             
+            // Orders, fills and positions over Redis Streams - streams: false keeps them on pub/sub only
+            orderTransport: {
+                streams: true,
+                maxOrderAgeMs: 60000,   // Orders waiting longer than this on the stream are dead-lettered, not placed
+                ...config.orderTransport
+            }
+            
             // Connection settings (removed shadow mode)
         };
         
@@ -60,19 +76,39 @@ class RedisAdapter extends EventEmitter {
         
         // Message handlers and request tracking
         this.messageHandlers = new Map();
-        this.pendingRequests = new Map();
         this.pendingForwardRequests = new Map(); // Track requests that need response forwarding
         this.requestId = 0;
         
+        // Our own requests to the connection manager - answers are handed over by the connection-manager:response handler
+        this.rpc = new RpcClient({
+            service: 'TRADING_AGGREGATOR',
+            requestChannel: this.config.channels.connectionManagerRequests,
+            responseChannel: 'connection-manager:response',
+            requestIdPrefix: 'AGG',
+            publish: (channel, message) => this.publish(channel, message)
+        });
+        
         // Error handling and metrics
         this.errorCount = 0;
         this.lastError = null;
         this.messageStats = {
             received: 0,
             published: 0,
-            errors: 0
+            errors: 0,
+            invalid: 0
         };
         
+        // Shared message schemas - invalid messages go to the dead-letter channel instead
+        this.messageValidator = new MessageValidator({
+            service: 'TRADING_AGGREGATOR',
+            ...config.messageValidation,
+            publish: (channel, message) => this.publisher.publish(channel, message)
+        });
+        
+        // Durable order transport, created once connected
+        this.orderStream = null;
+        this.orderHandler = null;
+        
         // Don't auto-initialize - let the startup script control this
         // this.initialize();
     }
@@ -90,6 +126,10 @@ class RedisAdapter extends EventEmitter {
             await this.setupEventHandlers();
             await this.connectClients();
             
+            if (this.config.orderTransport.streams && !this.orderStream) {
+                this.createOrderStream();
+            }
+            
             this.state.connected = true;
             this.state.reconnectAttempts = 0;
             this.log('✅ Redis connections established successfully');
@@ -199,6 +239,27 @@ class RedisAdapter extends EventEmitter {
         }
     }
     
+    /**
+     * Stream transport for orders in from bots, order events in from the
+     * Connection Manager and order updates out to each bot
+     */
+    createOrderStream() {
+        const { streams, maxOrderAgeMs, ...streamConfig } = this.config.orderTransport;
+        this.orderStream = new StreamTransport(this.publisher, {
+            ...streamConfig,
+            service: 'TRADING_AGGREGATOR',
+            group: 'trading-aggregator',
+            validator: this.messageValidator
+        });
+        
+        this.orderStream.on('expired', ({ stream, message }) => {
+            this.log(`⏰ ${message.type} for order ${message.order?.orderId || message.orderId} waited too long on ${stream} - dead-lettered, not placed`, 'WARN');
+        });
+        this.orderStream.on('handlerError', ({ stream, id, error }) => {
+            this.log(`❌ Handler failed for ${stream} entry ${id}: ${error} - left pending for retry`, 'ERROR');
+        });
+    }
+    
     /**
      * Subscribe to a Redis channel with error handling
      */
@@ -249,7 +310,14 @@ class RedisAdapter extends EventEmitter {
                 messageId: this.generateRequestId()
             };
             
-            const serializedMessage = JSON.stringify(enrichedMessage);
+            const { message: checkedMessage, errors } = this.messageValidator.prepare(channel, enrichedMessage);
+            if (!checkedMessage) {
+                this.log(`❌ Invalid ${message.type || 'message'} not published to ${channel} - sent to dead letters: ${errors.join('; ')}`, 'ERROR');
+                this.messageStats.invalid++;
+                return false;
+            }
+            
+            const serializedMessage = JSON.stringify(checkedMessage);
             
             // Always publish to real Redis
             
@@ -257,9 +325,16 @@ class RedisAdapter extends EventEmitter {
             await this.publisher.publish(channel, serializedMessage);
             this.messageStats.published++;
             
+            // Bots read their order updates from their own stream; the channel stays for monitoring
+            const botResponse = this.orderStream && channel.match(/^bot:(.+):responses$/);
+            if (botResponse) {
+                await this.orderStream.publish(botResponseStream(botResponse[1]), checkedMessage);
+            }
+            
             // Comment out debug logging to prevent spam
             // this.log(`📤 Published to ${channel}: ${message.type || 'message'}`, 'DEBUG');
-            this.emit('published', { channel, message: enrichedMessage });
+            this.emit('published', { channel, message: checkedMessage });
+            return true;
             
         } catch (error) {
             this.log(`❌ Failed to publish to ${channel}: ${error.message}`, 'ERROR');
@@ -278,10 +353,17 @@ class RedisAdapter extends EventEmitter {
         }
         
         try {
-            const serializedMessage = typeof message === 'string' ? message : JSON.stringify(message);
-            await this.publisher.publish(channel, serializedMessage);
+            const { message: checkedMessage, errors } = this.messageValidator.prepare(channel, typeof message === 'string' ? JSON.parse(message) : message);
+            if (!checkedMessage) {
+                this.log(`❌ Invalid raw message not published to ${channel} - sent to dead letters: ${errors.join('; ')}`, 'ERROR');
+                this.messageStats.invalid++;
+                return false;
+            }
+            
+            await this.publisher.publish(channel, JSON.stringify(checkedMessage));
             this.messageStats.published++;
             // this.log(`📤 Published raw to ${channel}`, 'DEBUG');
+            return true;
             
         } catch (error) {
             this.log(`❌ Failed to publish raw to ${channel}: ${error.message}`, 'ERROR');
@@ -291,12 +373,15 @@ class RedisAdapter extends EventEmitter {
     }
     
     /**
-     * Subscribe to order events from manual-trading and other components
+     * Subscribe to order events from manual-trading and other components.
+     * Orders and order events on streams are only read once startOrderStreams() is called.
      */
     async subscribeToOrders(handler) {
         this.log('📋 Setting up order subscription...');
         
-        // Subscribe to aggregator-specific order channel
+        this.orderHandler = handler;
+        
+        // Subscribe to aggregator-specific order channel - producers still on pub/sub, such as manual trading
         await this.subscribe(this.config.channels.aggregatorOrders, (message) => {
             try {
                 const orderData = JSON.parse(message);
@@ -312,12 +397,13 @@ class RedisAdapter extends EventEmitter {
             try {
                 const orderData = JSON.parse(message);
                 
-                // Skip ORDER_RESPONSE messages - these are responses, not new orders
-                if (orderData.type === 'ORDER_RESPONSE') {
-                    this.log(`📋 Skipping ORDER_RESPONSE message for order ${orderData.payload?.orderId || 'unknown'}`, 'DEBUG');
+                // Responses and status updates for orders already placed, not new orders - read
+                // from the Connection Manager's stream instead when orders travel on streams
+                if (ORDER_EVENT_TYPES.includes(orderData.type)) {
+                    if (!this.orderStream) this.dispatchOrderEvent(orderData);
                     return;
                 }
-                
+
                 // Only process orders from manual-trading or external sources
                 if (orderData.source !== 'TRADING_AGGREGATOR') {
                     this.log(`📋 Received order from ${orderData.source || 'unknown'}`, 'DEBUG');
@@ -329,6 +415,62 @@ class RedisAdapter extends EventEmitter {
         });
     }
     
+    /**
+     * Start reading orders and order events from their streams - entries left
+     * pending by the last run first. Call once every order handler and order
+     * event listener is in place: whatever is read before would be acknowledged
+     * without having been handled.
+     */
+    async startOrderStreams() {
+        if (!this.orderStream) return;
+        if (!this.orderHandler) {
+            throw new Error('subscribeToOrders() must be called before startOrderStreams()');
+        }
+        
+        this.log('📋 Starting order stream consumers...');
+        
+        // Orders from bots - acknowledged once handled, so a restart picks up the rest
+        await this.orderStream.consume(STREAMS.aggregatorOrders, async (orderData) => {
+            this.log(`📋 Received order from stream: ${orderData.type || 'unknown'}`, 'DEBUG');
+            await this.orderHandler(orderData);
+        }, { maxAgeMs: this.config.orderTransport.maxOrderAgeMs });
+        
+        // Broker order events, fills and positions from the Connection Manager - left
+        // pending, and retried, while nothing listens for them
+        await this.orderStream.consume(STREAMS.orderEvents, async (event) => {
+            if (!this.dispatchOrderEvent(event)) {
+                throw new Error(`No listener for ${event.type}`);
+            }
+        });
+    }
+    
+    /**
+     * Broker order events from the Connection Manager, whichever way they arrived
+     * @returns {boolean} true if a listener received the event
+     */
+    dispatchOrderEvent(event) {
+        const payload = event.payload;
+        if (!payload) return false;
+        
+        switch (event.type) {
+            case 'ORDER_RESPONSE':
+                // Maps client to broker order IDs
+                return this.emit('orderResponse', payload);
+            case 'ORDER_STATUS_UPDATE':
+                // Working order lifecycle
+                return this.emit('orderStatus', payload);
+            case 'ORDER_CANCELLATION_RESPONSE':
+            case 'ORDER_MODIFICATION_RESPONSE':
+                return this.emit('orderAmendResponse', { type: event.type, ...payload });
+            case 'ORDER_FILLED':
+                return this.emit('orderFilled', payload);
+            case 'POSITION_UPDATE':
+                return this.emit('positionUpdate', payload);
+            default:
+                return false;
+        }
+    }
+    
     /**
      * Publish order updates to connection-manager for execution
      */
@@ -448,6 +590,10 @@ class RedisAdapter extends EventEmitter {
                 else if (marketData.type === 'MARKET_DATA' || marketData.type === 'PRICE_UPDATE') {
                     handler(marketData);
                 }
+                // Broker fills share the channel - unless they come from the order events stream
+                else if (marketData.type === 'ORDER_FILLED' && !this.orderStream) {
+                    this.dispatchOrderEvent(marketData);
+                }
             } catch (error) {
                 this.handleParseError('market:data', message, error);
             }
@@ -517,20 +663,7 @@ class RedisAdapter extends EventEmitter {
                 }
                 
                 // First check for direct sendConnectionManagerRequest requests
-                const directRequest = this.pendingRequests.get(response.requestId);
-                if (directRequest) {
-                    console.log(`✅ [connection-manager:response] Found direct pending request for ${response.requestId}`);
-                    
-                    // Clear timeout and remove from pending
-                    clearTimeout(directRequest.timeout);
-                    this.pendingRequests.delete(response.requestId);
-                    
-                    // Resolve with the response
-                    if (response.success === false) {
-                        directRequest.reject(new Error(response.error || 'Request failed'));
-                    } else {
-                        directRequest.resolve(response);
-                    }
+                if (this.rpc.handleResponse(response)) {
                     return; // Done with this response
                 }
                 
@@ -559,17 +692,17 @@ class RedisAdapter extends EventEmitter {
                     }
                     
                     // Clean up
-                    this.pendingForwardRequests.delete(response.requestId);
+                    this.removeForwardRequest(response.requestId);
                 } else {
-                    this.log(`⚠️ No pending request found for ${response.requestId}, pendingRequests: ${this.pendingRequests.size}, pendingForwardRequests: ${this.pendingForwardRequests.size}`);
+                    this.log(`⚠️ No pending request found for ${response.requestId}, pendingRequests: ${this.rpc.pending.size}, pendingForwardRequests: ${this.pendingForwardRequests.size}`);
                     
                     // Debug: Log all pending request IDs
                     if (this.pendingForwardRequests.size > 0) {
                         const pendingIds = Array.from(this.pendingForwardRequests.keys());
                         this.log(`🔍 [DEBUG] Current forward request IDs: ${pendingIds.join(', ')}`);
                     }
-                    if (this.pendingRequests.size > 0) {
-                        const directIds = Array.from(this.pendingRequests.keys());
+                    if (this.rpc.pending.size > 0) {
+                        const directIds = Array.from(this.rpc.pending.keys());
                         this.log(`🔍 [DEBUG] Current direct request IDs: ${directIds.join(', ')}`);
                     }
                 }
@@ -584,11 +717,17 @@ class RedisAdapter extends EventEmitter {
                 const requestData = JSON.parse(message);
                 this.log(`🔄 Received aggregator request: ${requestData.type || 'unknown'}, requestId: ${requestData.requestId}`);
                 
+                // The caller gave up - no answer to forward, but the connection manager can stop working on it
+                if (requestData.type === CANCEL_TYPE) {
+                    this.removeForwardRequest(requestData.requestId);
+                }
+                
                 // Handle responses for requests that need forwarding back
                 const responseNeededTypes = ['GET_POSITIONS', 'GET_ACCOUNTS', 'GET_CONTRACTS', 'UPDATE_SLTP', 'CLOSE_POSITION', 'GET_WORKING_ORDERS', 'GET_ACTIVE_CONTRACTS', 'GET_STATISTICS'];
                 if (responseNeededTypes.includes(requestData.type) && requestData.responseChannel) {
                     this.log(`📌 Storing pending request ${requestData.requestId} for response forwarding to ${requestData.responseChannel}`);
                     // Store the request info for response forwarding
+                    this.removeForwardRequest(requestData.requestId);
                     this.pendingForwardRequests.set(requestData.requestId, {
                         responseChannel: requestData.responseChannel,
                         timestamp: Date.now(),
@@ -604,11 +743,8 @@ class RedisAdapter extends EventEmitter {
                     }
                     
                     // Clean up old pending requests after timeout
-                    setTimeout(() => {
-                        const req = this.pendingForwardRequests.get(requestData.requestId);
-                        if (req) {
-                            this.log(`⏰ Timeout: Removing pending request ${requestData.requestId} after 35s`);
-                        }
+                    this.pendingForwardRequests.get(requestData.requestId).expiryTimer = setTimeout(() => {
+                        this.log(`⏰ Timeout: Removing pending request ${requestData.requestId} after 35s`);
                         this.pendingForwardRequests.delete(requestData.requestId);
                     }, 35000);
                 }
@@ -662,6 +798,7 @@ class RedisAdapter extends EventEmitter {
                         
                         // Send error response back to P&L module
                         const errorResponse = {
+                            type: 'PNL_RESPONSE',
                             requestId: request.requestId,
                             success: false,
                             error: `Unknown P&L request type: ${request.type}`,
@@ -715,6 +852,7 @@ class RedisAdapter extends EventEmitter {
         
         // Send P&L response to P&L module with full position data included
         const pnlResponse = {
+            type: 'PNL_RESPONSE',
             requestId: response.requestId,
             success: response.success,
             pnl: {
@@ -736,77 +874,14 @@ class RedisAdapter extends EventEmitter {
     }
     
     /**
-     * Send request to connection-manager and wait for response with automatic retry on Redis connection issues
-     */
-    async sendConnectionManagerRequest(requestType, data, timeout = 30000, maxRetries = 3) {
-        let lastError;
-        
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                console.log(`📤 [sendConnectionManagerRequest] Attempt ${attempt}/${maxRetries}: ${requestType}`);
-                
-                const result = await this.sendConnectionManagerRequestOnce(requestType, data, timeout, attempt);
-                
-                if (attempt > 1) {
-                    console.log(`✅ [sendConnectionManagerRequest] ${requestType} succeeded on attempt ${attempt}`);
-                }
-                
-                return result;
-                
-            } catch (error) {
-                lastError = error;
-                const isRetryableError = error.message.includes('timed out') || 
-                                       error.message.includes('ECONNRESET') ||
-                                       error.message.includes('connection lost');
-                
-                if (isRetryableError && attempt < maxRetries) {
-                    const retryDelay = Math.min(1000 * Math.pow(2, attempt - 1), 5000); // Exponential backoff, max 5s
-                    console.log(`🔄 [sendConnectionManagerRequest] ${requestType} attempt ${attempt} failed (${error.message}), retrying in ${retryDelay}ms...`);
-                    
-                    // Wait before retry
-                    await new Promise(resolve => setTimeout(resolve, retryDelay));
-                } else {
-                    console.log(`❌ [sendConnectionManagerRequest] ${requestType} failed after ${attempt} attempts: ${error.message}`);
-                    break;
-                }
-            }
-        }
-        
-        throw lastError;
-    }
-    
-    /**
-     * Internal method: Send single request to connection-manager (no retry logic)
+     * Send request to connection-manager and wait for response, retried with backoff when it times out
+     * @param {Object} options - { signal, onChunk, ... } passed on to RpcClient.call
      */
-    async sendConnectionManagerRequestOnce(requestType, data, timeout, attemptNumber = 1) {
-        return new Promise((resolve, reject) => {
-            const requestId = this.generateRequestId();
-            
-            console.log(`📤 [sendConnectionManagerRequestOnce] Creating request: ${requestType}, ID: ${requestId} (attempt ${attemptNumber})`);
-            
-            // Set up timeout
-            const timeoutHandle = setTimeout(() => {
-                console.log(`⏰ [sendConnectionManagerRequestOnce] Request ${requestId} timed out after ${timeout}ms`);
-                this.pendingRequests.delete(requestId);
-                reject(new Error(`Request ${requestType} timed out after ${timeout}ms`));
-            }, timeout);
-            
-            // Store pending request - the response will come through the existing connection-manager:response handler
-            this.pendingRequests.set(requestId, {
-                resolve,
-                reject,
-                timeout: timeoutHandle,
-                type: requestType
-            });
-            
-            console.log(`📝 [sendConnectionManagerRequestOnce] Stored pending request ${requestId}, total pending: ${this.pendingRequests.size}`);
-            
-            // Send request directly to connection manager
-            this.publish(this.config.channels.connectionManagerRequests, {
-                type: requestType,
-                requestId,
-                ...data
-            }).catch(reject);
+    async sendConnectionManagerRequest(requestType, data, timeout = 30000, maxRetries = 3, options = {}) {
+        return this.rpc.call(requestType, data, {
+            ...options,
+            timeoutMs: timeout,
+            retries: maxRetries - 1
         });
     }
     
@@ -818,6 +893,12 @@ class RedisAdapter extends EventEmitter {
         this.state.lastMessage = new Date();
         this.messageStats.received++;
         
+        // Handlers parse the raw message themselves - only ones that match their schema reach them
+        if (!this.messageValidator.accept(channel, message)) {
+            this.messageStats.invalid++;
+            return;
+        }
+        
         const handler = this.messageHandlers.get(channel);
         if (handler) {
             try {
@@ -1031,7 +1112,10 @@ class RedisAdapter extends EventEmitter {
             errorCount: this.errorCount,
             lastError: this.lastError,
             messageStats: this.messageStats,
-            pendingRequests: this.pendingRequests.size,
+            messageValidation: this.messageValidator.getStats(),
+            orderTransport: this.orderStream ? this.orderStream.getStats() : null,
+            pendingRequests: this.rpc.pending.size,
+            rpc: this.rpc.getMetrics(),
             config: {
                 host: this.config.host,
                 port: this.config.port,
@@ -1053,7 +1137,18 @@ class RedisAdapter extends EventEmitter {
             errorRate: this.messageStats.errors / Math.max(this.messageStats.received, 1)
         };
     }
-    
+
+    /**
+     * Stop forwarding the response to a request, cancelling its expiry timer
+     */
+    removeForwardRequest(requestId) {
+        const pending = this.pendingForwardRequests.get(requestId);
+        if (pending) {
+            clearTimeout(pending.expiryTimer);
+            this.pendingForwardRequests.delete(requestId);
+        }
+    }
+
     /**
      * Gracefully disconnect from Redis with cleanup
      */
@@ -1073,12 +1168,17 @@ class RedisAdapter extends EventEmitter {
             this.heartbeatInterval = null;
         }
         
-        // Clear pending requests
-        for (const [requestId, request] of this.pendingRequests) {
-            clearTimeout(request.timeout);
-            request.reject(new Error('Redis adapter disconnected'));
+        // Unacknowledged orders and events stay pending on their streams for the next start
+        if (this.orderStream) {
+            await this.orderStream.stop();
+            this.orderStream = null;
+        }
+        
+        // Fail pending requests
+        this.rpc.close('Redis adapter disconnected');
+        for (const requestId of Array.from(this.pendingForwardRequests.keys())) {
+            this.removeForwardRequest(requestId);
         }
-        this.pendingRequests.clear();
         
         // Close Redis connections
         try {
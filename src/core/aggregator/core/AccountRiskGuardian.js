@@ -0,0 +1,627 @@
+/**
+ * AccountRiskGuardian - TopStep account rules enforced on live equity
+ *
+ * TopStep combine and funded accounts fail on two limits:
+ *   - Maximum Loss Limit: a threshold trailing the account's high-water mark by
+ *     trailingDrawdown. END_OF_DAY trails end-of-day balances (current combine
+ *     rules), INTRADAY trails equity including open P&L. With lockAtStartingBalance
+ *     the threshold stops trailing once it reaches the starting balance.
+ *   - Daily Loss Limit: realized plus unrealized P&L of the trading day, which
+ *     resets at dayResetTime (17:00 Chicago).
+ *
+ * Balances, today's realized P&L and open positions are synced from the
+ * Connection Manager (PnLModule for positions); between syncs every quote
+ * reprices the open positions. When the room left to either limit falls to
+ * blockBuffer new orders are rejected; at flattenBuffer every position of the
+ * account is closed, all bots are paused through the Connection Manager and the
+ * account stays locked - for the rest of the day after a daily loss, until
+ * unlocked after a drawdown.
+ *
+ * An order is only checked against fresh state: an account never synced, or
+ * last synced more than staleSyncIntervals sync intervals ago, is synced first
+ * and the order rejected if that fails.
+ *
+ * High-water marks and locks are kept in stateFile so a restart does not reset them.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const PnLModule = require('../../pnl/PnLModule');
+const TradingSchedule = require('../../../../shared/modules/market-data/TradingSchedule');
+const instrumentRegistry = require('../../../../shared/modules/contracts/InstrumentRegistry');
+
+const STATE_FILE = path.join(__dirname, '../../../../data/risk/account-guardian.json');
+
+class AccountRiskGuardian extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            // Account limits - defaults for every account, overridden per account ID in accounts
+            startingBalance: null,          // Account size; null = first balance seen
+            trailingDrawdown: 2000,         // Maximum Loss Limit distance (TopStep 50K)
+            dailyLossLimit: 1000,           // null = no daily limit
+            trailMode: 'END_OF_DAY',        // END_OF_DAY | INTRADAY
+            lockAtStartingBalance: true,
+            accounts: {},                   // { '<accountId>': { startingBalance, trailingDrawdown, ... } }
+
+            // Dollars of room left at which orders are blocked / the account is flattened
+            blockBuffer: 250,
+            flattenBuffer: 100,
+
+            // Trading day boundary
+            dayResetTime: '17:00',
+            timezone: 'America/Chicago',
+
+            syncIntervalMs: 10000,
+            staleSyncIntervals: 3,          // Account state older than this many sync intervals is refreshed before an order
+            requestTimeoutMs: 10000,
+            stateFile: STATE_FILE,          // null = keep state in memory only
+            ...config
+        };
+
+        // Set by the aggregator once Redis is up
+        this.redisAdapter = null;
+        this.pnlModule = null;
+        this.ownsPnLModule = false;
+
+        // One 24h session per trading day
+        this.calendar = new TradingSchedule({
+            timezone: this.config.timezone,
+            sessions: [{ name: 'Trading day', start: this.config.dayResetTime, end: this.config.dayResetTime }]
+        });
+
+        this.accounts = new Map();      // accountId -> tracked account
+        this.syncTimer = null;
+        this.saveTimer = null;
+        this.syncing = null;
+
+        this.stats = {
+            syncs: 0,
+            syncErrors: 0,
+            ordersBlocked: 0,
+            flattens: 0
+        };
+
+        this.loadState();
+    }
+
+    /**
+     * Start syncing the configured accounts (and any account orders arrive for)
+     */
+    async start() {
+        if (!this.redisAdapter) {
+            throw new Error('Account risk guardian needs the Redis adapter');
+        }
+
+        if (!this.pnlModule) {
+            this.pnlModule = new PnLModule({
+                redis: { host: this.redisAdapter.config.host, port: this.redisAdapter.config.port },
+                refreshInterval: 60 * 60 * 1000,    // The guardian drives its own refreshes
+                requestTimeout: this.config.requestTimeoutMs
+            });
+            this.ownsPnLModule = true;
+            if (!await this.pnlModule.initialize()) {
+                throw new Error('P&L module failed to connect');
+            }
+        }
+
+        Object.keys(this.config.accounts).forEach(accountId => this.getAccount(accountId));
+
+        this.syncTimer = setInterval(() => {
+            this.syncAccounts().catch(() => {});
+        }, this.config.syncIntervalMs);
+
+        await this.syncAccounts().catch(error => {
+            console.warn(`⚠️ [GUARDIAN] Initial account sync failed, retrying every ${this.config.syncIntervalMs}ms: ${error.message}`);
+        });
+
+        console.log(`🛡️ Account risk guardian watching ${this.accounts.size} account(s)`);
+    }
+
+    async stop() {
+        if (this.syncTimer) {
+            clearInterval(this.syncTimer);
+            this.syncTimer = null;
+        }
+
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this.saveState();
+        }
+
+        if (this.pnlModule && this.ownsPnLModule) {
+            await this.pnlModule.disconnect();
+            this.pnlModule = null;
+        }
+    }
+
+    /**
+     * Limits of an account: the defaults with its own overrides
+     */
+    getLimits(accountId) {
+        const { accounts, ...defaults } = this.config;
+        return { ...defaults, ...(accounts[accountId] || {}) };
+    }
+
+    getAccount(accountId) {
+        const id = String(accountId);
+
+        if (!this.accounts.has(id)) {
+            const saved = this.savedState?.[id] || {};
+            this.accounts.set(id, {
+                accountId: id,
+                startingBalance: this.getLimits(id).startingBalance ?? saved.startingBalance ?? null,
+                highWaterMark: saved.highWaterMark ?? null,
+                tradeDate: saved.tradeDate ?? null,
+                lock: saved.lock ?? null,
+                balance: null,
+                realizedPnL: 0,
+                positions: [],
+                status: saved.lock ? 'LOCKED' : 'UNKNOWN',
+                flattening: false,
+                lastSync: null
+            });
+        }
+
+        return this.accounts.get(id);
+    }
+
+    /**
+     * Refresh balances, today's realized P&L and open positions from the Connection Manager
+     * @param {Array<string>} accountIds - Defaults to every tracked account
+     */
+    async syncAccounts(accountIds = Array.from(this.accounts.keys())) {
+        if (accountIds.length === 0) return;
+
+        // Syncs never overlap - a caller arriving mid-sync waits for it and runs its own
+        while (this.syncing) {
+            await this.syncing.catch(() => {});
+        }
+
+        this.syncing = (async () => {
+            const { accounts } = await this.request('GET_ACCOUNTS', { forceFresh: true });
+
+            for (const accountId of accountIds) {
+                // Positions before statistics: a position read as closed has its trade in the statistics
+                const pnl = await this.pnlModule.getAccountPnL(String(accountId));
+                const statistics = await this.request('GET_STATISTICS', { accountId: String(accountId), statisticsType: 'todaystats' });
+
+                const brokerAccount = (accounts || []).find(candidate => String(candidate.id) === String(accountId));
+                if (!brokerAccount) {
+                    throw new Error(`Account ${accountId} not found at the broker`);
+                }
+
+                const stats = statistics.statistics || {};
+                this.updateAccount(accountId, {
+                    balance: brokerAccount.balance,
+                    realizedPnL: (stats.totalPnL || 0) - (stats.totalFees || 0),
+                    positions: pnl.positions || []
+                });
+            }
+
+            this.stats.syncs++;
+        })();
+
+        try {
+            await this.syncing;
+        } catch (error) {
+            this.stats.syncErrors++;
+            console.error(`❌ [GUARDIAN] Account sync failed: ${error.message}`);
+            throw error;
+        } finally {
+            this.syncing = null;
+        }
+    }
+
+    /**
+     * Apply a balance / realized P&L / positions snapshot and re-evaluate the account
+     * @param {Object} snapshot - { balance, realizedPnL, positions: userapi positions }
+     */
+    updateAccount(accountId, snapshot) {
+        const account = this.getAccount(accountId);
+        const firstSync = account.lastSync === null;
+
+        account.balance = snapshot.balance;
+        account.realizedPnL = snapshot.realizedPnL;
+        account.positions = snapshot.positions
+            .map(position => this.toTrackedPosition(position, account.positions))
+            .filter(position => position.size !== 0);
+        account.lastSync = Date.now();
+
+        if (account.startingBalance === null) {
+            account.startingBalance = account.balance - account.realizedPnL;
+        }
+        if (firstSync && account.highWaterMark === null) {
+            // Without history the last end-of-day balance is the best high-water mark
+            account.highWaterMark = Math.max(account.startingBalance, account.balance - account.realizedPnL);
+            this.scheduleSave();
+        }
+
+        this.evaluate(account);
+    }
+
+    toTrackedPosition(position, previous = []) {
+        const contractId = position.contractId;
+        const size = position.positionSize ?? (position.type === 2 ? -position.size : position.size) ?? 0;
+
+        // A quote seen since the last sync is fresher than the broker's mark
+        const known = previous.find(candidate => candidate.contractId === contractId && candidate.size === size &&
+            candidate.averagePrice === position.averagePrice);
+
+        return {
+            contractId,
+            size,
+            averagePrice: position.averagePrice,
+            markPrice: known?.markPrice ?? position.currentPrice ?? null,
+            unrealizedPnL: known ? known.unrealizedPnL : (position.profitAndLoss || 0)
+        };
+    }
+
+    /**
+     * Reprice open positions from a market:data message ({ type, payload: { instrument, type, data } })
+     */
+    onMarketData(marketData) {
+        const quote = marketData.payload || marketData;
+        const data = quote.data || {};
+        if (!quote.instrument || !['QUOTE', 'TRADE'].includes(quote.type)) return;
+
+        for (const account of this.accounts.values()) {
+            let changed = false;
+
+            for (const position of account.positions) {
+                if (position.contractId !== quote.instrument) continue;
+
+                // Longs are marked at the bid, shorts at the ask - what closing would get
+                const price = quote.type === 'TRADE' ? data.price :
+                    (position.size > 0 ? data.bid : data.ask) ?? data.last;
+                // Without a point value the broker's P&L from the last sync stands
+                const pointValue = instrumentRegistry.getPointValue(position.contractId);
+                if (!(price > 0) || !pointValue) continue;
+
+                position.markPrice = price;
+                position.unrealizedPnL = (price - position.averagePrice) * position.size * pointValue;
+                changed = true;
+            }
+
+            if (changed) this.evaluate(account);
+        }
+    }
+
+    /**
+     * Equity, daily P&L, the drawdown threshold and the room left to each limit
+     */
+    getMetrics(account) {
+        const limits = this.getLimits(account.accountId);
+        const unrealizedPnL = account.positions.reduce((sum, position) => sum + position.unrealizedPnL, 0);
+        const equity = (account.balance || 0) + unrealizedPnL;
+        const dailyPnL = account.realizedPnL + unrealizedPnL;
+        const threshold = this.getThreshold(account);
+
+        const drawdownRoom = equity - threshold;
+        const dailyRoom = limits.dailyLossLimit ? limits.dailyLossLimit + dailyPnL : Infinity;
+
+        return {
+            balance: account.balance,
+            equity,
+            realizedPnL: account.realizedPnL,
+            unrealizedPnL,
+            dailyPnL,
+            highWaterMark: account.highWaterMark,
+            threshold,
+            drawdownRoom,
+            dailyRoom,
+            room: Math.min(drawdownRoom, dailyRoom),
+            limit: drawdownRoom <= dailyRoom ? 'TRAILING_DRAWDOWN' : 'DAILY_LOSS'
+        };
+    }
+
+    /**
+     * Maximum Loss Limit threshold - the high-water mark less the trailing drawdown
+     */
+    getThreshold(account) {
+        const limits = this.getLimits(account.accountId);
+        const threshold = account.highWaterMark - limits.trailingDrawdown;
+
+        return limits.lockAtStartingBalance && account.startingBalance !== null ?
+            Math.min(threshold, account.startingBalance) :
+            threshold;
+    }
+
+    /**
+     * Roll the trading day, trail the high-water mark and act on the room left
+     */
+    evaluate(account, now = Date.now()) {
+        if (account.balance === null) return;
+
+        const limits = this.getLimits(account.accountId);
+        const tradeDate = this.calendar.getSession(now).tradeDate;
+        if (account.tradeDate !== tradeDate) {
+            this.rollTradeDate(account, tradeDate);
+        }
+
+        let metrics = this.getMetrics(account);
+
+        if (limits.trailMode === 'INTRADAY' && metrics.equity > account.highWaterMark) {
+            account.highWaterMark = metrics.equity;
+            metrics = this.getMetrics(account);
+            this.scheduleSave();
+        }
+
+        let status = 'OK';
+        if (account.lock) {
+            status = 'LOCKED';
+        } else if (metrics.room <= limits.flattenBuffer) {
+            status = 'LOCKED';
+            this.lockAccount(account, metrics);
+        } else if (metrics.room <= limits.blockBuffer) {
+            status = 'BLOCKED';
+        }
+
+        if (status !== account.status) {
+            const previous = account.status;
+            account.status = status;
+
+            console.log(`🛡️ [GUARDIAN] Account ${account.accountId} ${previous} -> ${status} | ` +
+                `equity $${metrics.equity.toFixed(2)}, day $${metrics.dailyPnL.toFixed(2)}, ` +
+                `threshold $${metrics.threshold.toFixed(2)}, room $${metrics.room.toFixed(2)}`);
+            this.emit('statusChanged', { accountId: account.accountId, status, previous, metrics });
+        }
+    }
+
+    /**
+     * A new trading day: end-of-day trailing and daily loss locks reset
+     */
+    rollTradeDate(account, tradeDate) {
+        const limits = this.getLimits(account.accountId);
+
+        if (account.tradeDate !== null) {
+            if (limits.trailMode === 'END_OF_DAY' && account.balance > account.highWaterMark) {
+                account.highWaterMark = account.balance;
+            }
+
+            // The new day's trades have not been synced yet
+            account.realizedPnL = 0;
+            this.syncAccounts([account.accountId]).catch(() => {});
+        }
+
+        if (account.lock?.reason === 'DAILY_LOSS') {
+            console.log(`🛡️ [GUARDIAN] Daily loss lock on account ${account.accountId} released for ${tradeDate}`);
+            account.lock = null;
+        }
+
+        account.tradeDate = tradeDate;
+        this.scheduleSave();
+    }
+
+    /**
+     * Stop trading an account before it breaches: flatten everything and pause all bots
+     */
+    lockAccount(account, metrics) {
+        const reason = metrics.limit === 'DAILY_LOSS' ?
+            `daily loss limit ($${metrics.dailyPnL.toFixed(2)} of -$${this.getLimits(account.accountId).dailyLossLimit})` :
+            `trailing drawdown (equity $${metrics.equity.toFixed(2)}, threshold $${metrics.threshold.toFixed(2)})`;
+
+        account.lock = {
+            reason: metrics.limit,
+            message: `Account ${account.accountId} within $${metrics.room.toFixed(2)} of its ${reason}`,
+            tradeDate: account.tradeDate,
+            lockedAt: new Date().toISOString()
+        };
+        this.scheduleSave();
+
+        console.error(`🚨 [GUARDIAN] ${account.lock.message} - flattening and pausing all trading`);
+        this.emit('accountLocked', { accountId: account.accountId, lock: account.lock, metrics });
+
+        this.flattenAccount(account).catch(error => {
+            console.error(`❌ [GUARDIAN] Flattening account ${account.accountId} failed: ${error.message}`);
+        });
+    }
+
+    /**
+     * Close every open position of the account, then pause all bots
+     */
+    async flattenAccount(account) {
+        if (account.flattening) return;
+        account.flattening = true;
+        this.stats.flattens++;
+
+        const results = [];
+        try {
+            for (const position of account.positions) {
+                try {
+                    await this.request('CLOSE_POSITION', {
+                        accountId: parseInt(account.accountId, 10) || account.accountId,
+                        contractId: position.contractId,
+                        closeType: 'full'
+                    });
+                    results.push({ contractId: position.contractId, size: position.size, success: true });
+                } catch (error) {
+                    results.push({ contractId: position.contractId, size: position.size, success: false, error: error.message });
+                }
+            }
+
+            await this.request('PAUSE_ALL_TRADING', { reason: `Account risk guardian: ${account.lock.message}` });
+        } finally {
+            account.flattening = false;
+        }
+
+        this.emit('accountFlattened', { accountId: account.accountId, lock: account.lock, positions: results });
+
+        // Confirm the account is flat - the broker's position book can trail the close acknowledgement
+        for (let attempt = 1; attempt <= 5; attempt++) {
+            await this.syncAccounts([account.accountId]).catch(() => {});
+            if (account.positions.length === 0) return;
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+        console.error(`❌ [GUARDIAN] Account ${account.accountId} still shows ${account.positions.length} open position(s) after flattening`);
+    }
+
+    /**
+     * Clear an account's lock (e.g. after the operator reviewed a drawdown lock)
+     */
+    unlockAccount(accountId) {
+        const account = this.getAccount(accountId);
+        if (!account.lock) return false;
+
+        console.log(`🛡️ [GUARDIAN] Account ${account.accountId} unlocked (was: ${account.lock.message})`);
+        account.lock = null;
+        this.scheduleSave();
+        this.evaluate(account);
+        return true;
+    }
+
+    /**
+     * Violations for a new order on a guarded account ({ type, message, severity })
+     * Orders that only reduce an open position are always allowed.
+     * @param {Object} context - { riskAmount, openOrders }: dollars at risk to the order's stop and
+     *   the aggregator's orders that have not ended (OrderLifecycle reports)
+     */
+    async validateOrder(order, context = {}) {
+        if (order.accountId === null || order.accountId === undefined) return [];
+
+        const account = this.getAccount(order.accountId);
+
+        // A sync already under way (e.g. after a fill) is fresher than the state it replaces
+        if (this.syncing) await this.syncing.catch(() => {});
+
+        const maxSyncAge = this.config.syncIntervalMs * this.config.staleSyncIntervals;
+        const syncAge = account.lastSync === null ? Infinity : Date.now() - account.lastSync;
+        if (syncAge > maxSyncAge) {
+            try {
+                await this.syncAccounts([account.accountId]);
+            } catch (error) {
+                this.stats.ordersBlocked++;
+                return [{
+                    type: 'ACCOUNT_STATE_UNKNOWN',
+                    message: account.lastSync === null ?
+                        `Cannot evaluate account ${account.accountId} drawdown limits: ${error.message}` :
+                        `Account ${account.accountId} state is ${Math.round(syncAge / 1000)}s old and could not be refreshed: ${error.message}`,
+                    severity: 'HIGH'
+                }];
+            }
+        }
+
+        this.evaluate(account);
+        if (this.isReducing(order, account, context.openOrders)) return [];
+
+        const limits = this.getLimits(account.accountId);
+        const metrics = this.getMetrics(account);
+        const violations = [];
+
+        if (account.lock) {
+            violations.push({
+                type: 'ACCOUNT_LOCKED',
+                message: `${account.lock.message} - locked since ${account.lock.lockedAt}`,
+                severity: 'CRITICAL'
+            });
+        } else if (metrics.room <= limits.blockBuffer) {
+            violations.push({
+                type: metrics.limit === 'DAILY_LOSS' ? 'DAILY_LOSS_LIMIT' : 'TRAILING_DRAWDOWN_LIMIT',
+                message: `Only $${metrics.room.toFixed(2)} left before the ${metrics.limit === 'DAILY_LOSS' ? 'daily loss limit' : 'trailing drawdown threshold'} (block at $${limits.blockBuffer})`,
+                severity: 'CRITICAL'
+            });
+        } else if (context.riskAmount && metrics.room - context.riskAmount <= limits.flattenBuffer) {
+            violations.push({
+                type: 'ACCOUNT_RISK_LIMIT',
+                message: `Stop risk $${context.riskAmount.toFixed(2)} exceeds the $${(metrics.room - limits.flattenBuffer).toFixed(2)} left to account limits`,
+                severity: 'HIGH'
+            });
+        }
+
+        if (violations.length > 0) this.stats.ordersBlocked++;
+        return violations;
+    }
+
+    /**
+     * An order against an open position no larger than what the account's other
+     * working exits on it leave - together they may close it, never reverse it
+     * @param {Array<Object>} openOrders - OrderLifecycle reports of orders that have not ended
+     */
+    isReducing(order, account, openOrders = []) {
+        const root = instrumentRegistry.getSymbolRoot(order.instrument);
+        const position = account.positions.find(candidate =>
+            candidate.contractId === order.instrument || instrumentRegistry.getSymbolRoot(candidate.contractId) === root);
+        if (!position) return false;
+
+        const side = position.size > 0 ? 'SELL' : 'BUY';
+        if (order.action !== side) return false;
+
+        const workingExits = openOrders
+            .filter(open => open.orderId !== order.id && String(open.accountId) === account.accountId &&
+                open.side === side && instrumentRegistry.getSymbolRoot(open.instrument) === root)
+            .reduce((sum, open) => sum + open.quantity - (open.filledQuantity || 0), 0);
+
+        return order.quantity + workingExits <= Math.abs(position.size);
+    }
+
+    request(type, data) {
+        return this.redisAdapter.sendConnectionManagerRequest(type, data, this.config.requestTimeoutMs, 1);
+    }
+
+    getStatus() {
+        return {
+            accounts: Array.from(this.accounts.values())
+                .filter(account => account.balance !== null)
+                .map(account => ({
+                    accountId: account.accountId,
+                    status: account.status,
+                    tradeDate: account.tradeDate,
+                    startingBalance: account.startingBalance,
+                    lock: account.lock,
+                    positions: account.positions.length,
+                    lastSync: account.lastSync,
+                    ...this.getMetrics(account)
+                })),
+            stats: this.stats
+        };
+    }
+
+    // ==================== Persistence ====================
+
+    loadState() {
+        this.savedState = {};
+        if (!this.config.stateFile || !fs.existsSync(this.config.stateFile)) return;
+
+        try {
+            this.savedState = JSON.parse(fs.readFileSync(this.config.stateFile, 'utf8')).accounts || {};
+        } catch (error) {
+            console.error(`❌ [GUARDIAN] Could not read ${this.config.stateFile}: ${error.message}`);
+        }
+    }
+
+    scheduleSave() {
+        if (!this.config.stateFile || this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveState();
+        }, 1000);
+        this.saveTimer.unref?.();
+    }
+
+    saveState() {
+        if (!this.config.stateFile) return;
+
+        const accounts = { ...this.savedState };
+        for (const account of this.accounts.values()) {
+            accounts[account.accountId] = {
+                startingBalance: account.startingBalance,
+                highWaterMark: account.highWaterMark,
+                tradeDate: account.tradeDate,
+                lock: account.lock
+            };
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.config.stateFile), { recursive: true });
+            fs.writeFileSync(this.config.stateFile, JSON.stringify({ savedAt: new Date().toISOString(), accounts }, null, 2));
+        } catch (error) {
+            console.error(`❌ [GUARDIAN] Could not save ${this.config.stateFile}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = AccountRiskGuardian;
@@ -0,0 +1,469 @@
+/**
+ * ExposureManager - Net position per account/instrument across every order source
+ *
+ * Several bots (and manual trading) can trade the same instrument on the same
+ * account, but the broker only holds one net position. The manager keeps a book
+ * per account and instrument root in which every source has its own attributed
+ * position, average price and P&L; the broker position is their sum.
+ *
+ * Policies for an order that would open or add against another source's position:
+ *   - REJECT_OPPOSING: refused; reducing the source's own position is always allowed
+ *   - NET: accepted - the broker carries the net, each source keeps its own book
+ *   - CAP: as NET, but no order may take the account's net position past maxContracts
+ *
+ * Working orders count towards a source's position until they fill, are rejected
+ * or workingTtlMs passes. Resting LIMIT / STOP entries have no TTL - they count
+ * until the Connection Manager reports them cancelled, expired or rejected. Fills are matched to the order that caused them through
+ * the Connection Manager's ORDER_RESPONSE (client order ID -> broker order ID).
+ * Fills of orders the aggregator never routed (bracket stops and targets, manual
+ * closes) are attributed to the only source whose position they reduce, otherwise
+ * to UNATTRIBUTED.
+ */
+
+const EventEmitter = require('events');
+const instrumentRegistry = require('../../../../shared/modules/contracts/InstrumentRegistry');
+
+const POLICIES = ['REJECT_OPPOSING', 'NET', 'CAP'];
+const UNATTRIBUTED = 'UNATTRIBUTED';
+
+class ExposureManager extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            policy: 'REJECT_OPPOSING',      // REJECT_OPPOSING | NET | CAP
+            maxContracts: null,             // CAP: largest net position per account/instrument
+            instruments: {},                // { MGC: { policy, maxContracts } } per instrument root
+            exemptSources: [],              // Sources never rejected for opposing others (still tracked)
+            workingTtlMs: 30000,            // Unfilled orders stop counting as exposure after this
+            unmatchedFillGraceMs: 2000,     // Wait for the order response before treating a fill as external
+            maxTrackedOrders: 5000,
+            ...config
+        };
+
+        this.books = new Map();             // 'accountId:ROOT' -> book
+        this.orders = new Map();            // client order ID -> tracked order
+        this.brokerOrders = new Map();      // broker order ID -> client order ID
+        this.pendingFills = new Map();      // broker order ID -> { fill, timer } awaiting its order
+        this.externalFills = new Set();     // broker order IDs already attributed as external
+
+        this.stats = {
+            ordersTracked: 0,
+            ordersRejected: 0,
+            fillsAttributed: 0,
+            externalFills: 0
+        };
+    }
+
+    stop() {
+        for (const { timer } of this.pendingFills.values()) {
+            clearTimeout(timer);
+        }
+        this.pendingFills.clear();
+
+        for (const order of this.orders.values()) {
+            if (order.expiryTimer) clearTimeout(order.expiryTimer);
+        }
+    }
+
+    /**
+     * Policy and cap of an instrument: the defaults with its own overrides
+     */
+    getPolicy(instrument) {
+        const overrides = this.config.instruments[this.getRoot(instrument)] || {};
+        const policy = overrides.policy || this.config.policy;
+        if (!POLICIES.includes(policy)) {
+            throw new Error(`Unknown exposure policy ${policy} (expected ${POLICIES.join(', ')})`);
+        }
+
+        return {
+            policy,
+            maxContracts: overrides.maxContracts !== undefined ? overrides.maxContracts : this.config.maxContracts
+        };
+    }
+
+    getRoot(instrument) {
+        return instrumentRegistry.getSymbolRoot(instrument) || instrument;
+    }
+
+    getBook(accountId, instrument) {
+        const root = this.getRoot(instrument);
+        const key = `${accountId}:${root}`;
+
+        if (!this.books.has(key)) {
+            this.books.set(key, {
+                accountId: String(accountId),
+                instrument: root,
+                contractId: null,
+                markPrice: null,
+                sources: new Map()
+            });
+        }
+
+        return this.books.get(key);
+    }
+
+    getSource(book, source) {
+        if (!book.sources.has(source)) {
+            book.sources.set(source, {
+                source,
+                position: 0,
+                averagePrice: 0,
+                realizedPnL: 0,
+                workingBuy: 0,
+                workingSell: 0,
+                fills: 0
+            });
+        }
+        return book.sources.get(source);
+    }
+
+    /**
+     * Position a source is heading for once its working orders fill
+     */
+    projected(entry) {
+        return entry.position + entry.workingBuy - entry.workingSell;
+    }
+
+    /**
+     * Violations for an order, in the RiskManager format
+     */
+    validateOrder(order) {
+        const violations = [];
+        if (order.accountId === undefined || order.accountId === null || !order.instrument) return violations;
+
+        const quantity = Math.abs(parseInt(order.quantity, 10) || 0);
+        const signed = order.action === 'BUY' ? quantity : order.action === 'SELL' ? -quantity : 0;
+        if (signed === 0) return violations;
+
+        const book = this.getBook(order.accountId, order.instrument);
+        const source = order.source || 'UNKNOWN';
+        const { policy, maxContracts } = this.getPolicy(order.instrument);
+
+        const own = book.sources.get(source);
+        const ownBefore = own ? this.projected(own) : 0;
+        const ownAfter = ownBefore + signed;
+        const opensOrAdds = ownAfter !== 0 &&
+            (Math.sign(ownAfter) !== Math.sign(ownBefore) || Math.abs(ownAfter) > Math.abs(ownBefore));
+
+        if (policy === 'REJECT_OPPOSING' && opensOrAdds && !this.config.exemptSources.includes(source)) {
+            const opposing = Array.from(book.sources.values()).find(entry =>
+                entry.source !== source && Math.sign(this.projected(entry)) === -Math.sign(ownAfter));
+
+            if (opposing) {
+                violations.push({
+                    type: 'OPPOSING_EXPOSURE',
+                    message: `${source} ${order.action} ${quantity} ${book.instrument} would oppose ${opposing.source}'s ` +
+                        `${this.projected(opposing) > 0 ? 'long' : 'short'} ${Math.abs(this.projected(opposing))} on account ${book.accountId}`,
+                    severity: 'HIGH'
+                });
+            }
+        }
+
+        if (policy === 'CAP' && maxContracts !== null && maxContracts !== undefined) {
+            const netBefore = this.getNetPosition(book, true);
+            const netAfter = netBefore + signed;
+
+            if (Math.abs(netAfter) > maxContracts && Math.abs(netAfter) > Math.abs(netBefore)) {
+                violations.push({
+                    type: 'EXPOSURE_CAP',
+                    message: `${source} ${order.action} ${quantity} ${book.instrument} would take account ${book.accountId} ` +
+                        `to ${netAfter} contracts (cap ${maxContracts})`,
+                    severity: 'HIGH'
+                });
+            }
+        }
+
+        if (violations.length > 0) this.stats.ordersRejected++;
+        return violations;
+    }
+
+    /**
+     * Count an accepted order as working exposure of its source
+     */
+    trackOrder(order) {
+        if (order.accountId === undefined || order.accountId === null || !order.instrument) return;
+        if (!['BUY', 'SELL'].includes(order.action)) return;
+
+        const book = this.getBook(order.accountId, order.instrument);
+        const entry = this.getSource(book, order.source || 'UNKNOWN');
+        const quantity = Math.abs(parseInt(order.quantity, 10) || 0);
+
+        const tracked = {
+            orderId: order.id,
+            source: entry.source,
+            book,
+            action: order.action,
+            quantity,
+            filled: 0,
+            working: quantity,
+            brokerOrderId: null,
+            trackedAt: Date.now(),
+            expiryTimer: null
+        };
+
+        entry[order.action === 'BUY' ? 'workingBuy' : 'workingSell'] += quantity;
+
+        if ((order.type || 'MARKET') === 'MARKET') {
+            tracked.expiryTimer = setTimeout(() => {
+                tracked.expiryTimer = null;
+                this.releaseOrder(order.id, 'WORKING_TTL');
+            }, this.config.workingTtlMs);
+            tracked.expiryTimer.unref?.();
+        }
+
+        this.orders.set(order.id, tracked);
+        this.stats.ordersTracked++;
+        this.pruneOrders();
+        this.publish(book);
+    }
+
+    /**
+     * Stop counting an order's unfilled quantity (rejected, failed or expired)
+     */
+    releaseOrder(orderId, reason) {
+        const tracked = this.orders.get(orderId);
+        if (!tracked || tracked.working === 0) return;
+
+        if (tracked.expiryTimer) {
+            clearTimeout(tracked.expiryTimer);
+            tracked.expiryTimer = null;
+        }
+
+        const entry = this.getSource(tracked.book, tracked.source);
+        entry[tracked.action === 'BUY' ? 'workingBuy' : 'workingSell'] -= tracked.working;
+        tracked.working = 0;
+        tracked.releaseReason = reason;
+
+        this.publish(tracked.book);
+    }
+
+    /**
+     * Connection Manager ORDER_STATUS_UPDATE - a working order that will not fill any further
+     */
+    handleOrderStatus(update) {
+        if (['CANCELLED', 'EXPIRED', 'REJECTED'].includes(update.status)) {
+            this.releaseOrder(update.orderId, update.status);
+        }
+    }
+
+    /**
+     * Connection Manager ORDER_RESPONSE for an order the aggregator routed
+     */
+    handleOrderResponse(response) {
+        const tracked = this.orders.get(response.orderId);
+        if (!tracked) return;
+
+        if (!response.success) {
+            this.releaseOrder(response.orderId, response.error || 'BROKER_REJECTED');
+            return;
+        }
+
+        if (response.topStepOrderId === undefined || response.topStepOrderId === null) return;
+
+        const brokerOrderId = String(response.topStepOrderId);
+        tracked.brokerOrderId = brokerOrderId;
+        this.brokerOrders.set(brokerOrderId, response.orderId);
+
+        // The fill beat the response here
+        const pending = this.pendingFills.get(brokerOrderId);
+        if (pending) {
+            clearTimeout(pending.timer);
+            this.pendingFills.delete(brokerOrderId);
+            this.applyOrderFill(tracked, pending.fill);
+        }
+    }
+
+    /**
+     * ORDER_FILLED from the Connection Manager; quantities are cumulative per broker order
+     * @param {Object} fill - { orderId (broker), accountId, contractId|instrument, side, fillVolume|filledQuantity, filledPrice }
+     */
+    handleBrokerFill(fill) {
+        const normalized = {
+            brokerOrderId: String(fill.orderId),
+            accountId: fill.accountId,
+            instrument: fill.contractId || fill.instrument,
+            side: fill.side,
+            quantity: Math.abs(parseFloat(fill.fillVolume ?? fill.filledQuantity ?? fill.quantity) || 0),
+            price: parseFloat(fill.filledPrice ?? fill.fillPrice ?? fill.price)
+        };
+        if (!normalized.quantity || !(normalized.price > 0)) return;
+
+        const orderId = this.brokerOrders.get(normalized.brokerOrderId);
+        if (orderId && this.orders.has(orderId)) {
+            this.applyOrderFill(this.orders.get(orderId), normalized);
+            return;
+        }
+
+        if (this.externalFills.has(normalized.brokerOrderId) || this.pendingFills.has(normalized.brokerOrderId)) return;
+        if (normalized.accountId === undefined || !normalized.instrument) return;
+
+        const timer = setTimeout(() => {
+            this.pendingFills.delete(normalized.brokerOrderId);
+            this.applyExternalFill(normalized);
+        }, this.config.unmatchedFillGraceMs);
+        timer.unref?.();
+        this.pendingFills.set(normalized.brokerOrderId, { fill: normalized, timer });
+    }
+
+    applyOrderFill(tracked, fill) {
+        const quantity = Math.min(fill.quantity, tracked.quantity) - tracked.filled;
+        if (quantity <= 0) return;     // Repeated fill event
+
+        tracked.filled += quantity;
+        const entry = this.getSource(tracked.book, tracked.source);
+        const workingFilled = Math.min(quantity, tracked.working);
+        entry[tracked.action === 'BUY' ? 'workingBuy' : 'workingSell'] -= workingFilled;
+        tracked.working -= workingFilled;
+
+        if (tracked.working === 0 && tracked.expiryTimer) {
+            clearTimeout(tracked.expiryTimer);
+            tracked.expiryTimer = null;
+        }
+
+        this.applyFill(tracked.book, entry, tracked.action === 'BUY' ? quantity : -quantity, fill.price, fill.instrument);
+        this.stats.fillsAttributed++;
+    }
+
+    /**
+     * A fill of an order the aggregator did not route
+     */
+    applyExternalFill(fill) {
+        this.externalFills.add(fill.brokerOrderId);
+        if (this.externalFills.size > this.config.maxTrackedOrders) {
+            this.externalFills.delete(this.externalFills.values().next().value);
+        }
+
+        const book = this.getBook(fill.accountId, fill.instrument);
+        const signed = fill.side === 'BUY' ? fill.quantity : -fill.quantity;
+
+        // A stop or target closes the position of whoever holds the other side
+        const holders = Array.from(book.sources.values()).filter(entry => Math.sign(entry.position) === -Math.sign(signed));
+        const owner = holders.length === 1 && Math.abs(holders[0].position) >= fill.quantity ?
+            holders[0] : this.getSource(book, UNATTRIBUTED);
+
+        this.applyFill(book, owner, signed, fill.price, fill.instrument);
+        this.stats.externalFills++;
+    }
+
+    /**
+     * Average-price position keeping with realized P&L on the closed part
+     */
+    applyFill(book, entry, signed, price, contractId) {
+        const pointValue = instrumentRegistry.getPointValue(contractId || book.instrument);
+
+        if (entry.position === 0 || Math.sign(entry.position) === Math.sign(signed)) {
+            const size = Math.abs(entry.position) + Math.abs(signed);
+            entry.averagePrice = (entry.averagePrice * Math.abs(entry.position) + price * Math.abs(signed)) / size;
+            entry.position += signed;
+        } else {
+            const closed = Math.min(Math.abs(signed), Math.abs(entry.position));
+            // P&L is only attributed with a known point value - positions are tracked either way
+            if (pointValue) {
+                entry.realizedPnL += (price - entry.averagePrice) * closed * Math.sign(entry.position) * pointValue;
+            }
+
+            const previous = entry.position;
+            entry.position += signed;
+            if (entry.position === 0) {
+                entry.averagePrice = 0;
+            } else if (Math.sign(entry.position) !== Math.sign(previous)) {
+                entry.averagePrice = price;     // Flipped - the rest opened at this fill
+            }
+        }
+
+        entry.fills++;
+        if (contractId) book.contractId = contractId;
+        if (book.markPrice === null) book.markPrice = price;
+
+        this.publish(book);
+    }
+
+    /**
+     * Mark every book of the instrument (quotes at mid, trades at their price)
+     */
+    onMarketData(marketData) {
+        const quote = marketData.payload || marketData;
+        const data = quote.data || {};
+        if (!quote.instrument || !['QUOTE', 'TRADE'].includes(quote.type)) return;
+
+        const price = quote.type === 'TRADE' ? data.price :
+            (data.bid > 0 && data.ask > 0 ? (data.bid + data.ask) / 2 : data.last);
+        if (!(price > 0)) return;
+
+        const root = this.getRoot(quote.instrument);
+        for (const book of this.books.values()) {
+            if (book.instrument === root) book.markPrice = price;
+        }
+    }
+
+    getNetPosition(book, includeWorking = false) {
+        return Array.from(book.sources.values())
+            .reduce((sum, entry) => sum + (includeWorking ? this.projected(entry) : entry.position), 0);
+    }
+
+    /**
+     * Net position and each source's attributed position and P&L for one book
+     */
+    getBookReport(book) {
+        const pointValue = instrumentRegistry.getPointValue(book.contractId || book.instrument);
+        const round = value => Math.round(value * 100) / 100;
+
+        return {
+            accountId: book.accountId,
+            instrument: book.instrument,
+            contractId: book.contractId,
+            policy: this.getPolicy(book.instrument).policy,
+            netPosition: this.getNetPosition(book),
+            markPrice: book.markPrice,
+            sources: Array.from(book.sources.values()).map(entry => ({
+                source: entry.source,
+                position: entry.position,
+                averagePrice: entry.averagePrice,
+                working: entry.workingBuy - entry.workingSell,
+                realizedPnL: pointValue ? round(entry.realizedPnL) : null,
+                unrealizedPnL: !pointValue ? null : entry.position !== 0 && book.markPrice !== null ?
+                    round((book.markPrice - entry.averagePrice) * entry.position * pointValue) : 0,
+                fills: entry.fills
+            }))
+        };
+    }
+
+    getExposure(accountId, instrument) {
+        const book = this.books.get(`${accountId}:${this.getRoot(instrument)}`);
+        return book ? this.getBookReport(book) : null;
+    }
+
+    /**
+     * Every book, optionally only one account's
+     */
+    getReport(accountId = null) {
+        return {
+            books: Array.from(this.books.values())
+                .filter(book => accountId === null || book.accountId === String(accountId))
+                .map(book => this.getBookReport(book)),
+            stats: this.stats
+        };
+    }
+
+    publish(book) {
+        this.emit('exposureChanged', this.getBookReport(book));
+    }
+
+    /**
+     * Forget the oldest orders that can no longer change a book
+     */
+    pruneOrders() {
+        if (this.orders.size <= this.config.maxTrackedOrders) return;
+
+        for (const [orderId, tracked] of this.orders) {
+            if (this.orders.size <= this.config.maxTrackedOrders) break;
+            if (tracked.working > 0) continue;
+
+            this.orders.delete(orderId);
+            if (tracked.brokerOrderId) this.brokerOrders.delete(tracked.brokerOrderId);
+        }
+    }
+}
+
+module.exports = ExposureManager;
@@ -0,0 +1,226 @@
+/**
+ * OrderLifecycle - Where every order the aggregator accepted is between submission and its end
+ *
+ *   NEW -> RISK_CHECKED -> QUEUED -> SENT -> WORKING -> PARTIAL -> FILLED
+ *                                                              \-> REJECTED | CANCELLED | EXPIRED
+ *
+ * The aggregator drives the first states itself (received, risk checks passed,
+ * queued, handed to the Connection Manager); the rest come from the Connection
+ * Manager's ORDER_STATUS_UPDATEs. Broker events can overtake each other, so an
+ * order may skip states (SENT -> FILLED for a market order whose WORKING update
+ * was lost) but never moves backwards. WORKING and PARTIAL may repeat to carry
+ * new prices or fill volume.
+ *
+ * Every accepted transition is emitted as 'transition' for routing back to the
+ * instance that placed the order. An order that stays too long in a state the
+ * aggregator or Connection Manager should move it out of is emitted once as
+ * 'stuck' - resting LIMIT / STOP orders have no timeout once WORKING.
+ */
+
+const EventEmitter = require('events');
+
+const STATES = ['NEW', 'RISK_CHECKED', 'QUEUED', 'SENT', 'WORKING', 'PARTIAL', 'FILLED', 'REJECTED', 'CANCELLED', 'EXPIRED'];
+const TERMINAL_STATES = ['FILLED', 'REJECTED', 'CANCELLED', 'EXPIRED'];
+
+const TRANSITIONS = {
+    NEW: ['RISK_CHECKED', 'REJECTED'],
+    RISK_CHECKED: ['QUEUED', 'REJECTED'],
+    QUEUED: ['SENT', 'WORKING', 'PARTIAL', 'FILLED', 'REJECTED', 'CANCELLED', 'EXPIRED'],
+    SENT: ['WORKING', 'PARTIAL', 'FILLED', 'REJECTED', 'CANCELLED', 'EXPIRED'],
+    WORKING: ['WORKING', 'PARTIAL', 'FILLED', 'REJECTED', 'CANCELLED', 'EXPIRED'],
+    PARTIAL: ['PARTIAL', 'FILLED', 'CANCELLED', 'EXPIRED']
+};
+
+// Transition details kept on the order and reported with every later state
+const DETAIL_FIELDS = ['reason', 'violations', 'error', 'queueId', 'brokerOrderId', 'quantity', 'filledQuantity',
+    'filledPrice', 'limitPrice', 'stopPrice', 'timeInForce', 'expireAt'];
+
+class OrderLifecycle extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            maxFinishedOrders: 1000,       // Ended orders kept for lookups
+            ...config,
+
+            // Longest an order may stay in a state before it is reported stuck (null: no limit)
+            timeouts: {
+                NEW: 5000,
+                RISK_CHECKED: 5000,
+                QUEUED: 30000,
+                SENT: 10000,
+                ...config.timeouts
+            }
+        };
+
+        this.orders = new Map();           // Order ID -> lifecycle record
+
+        this.stats = {
+            ordersCreated: 0,
+            ordersStuck: 0,
+            invalidTransitions: 0,
+            ended: Object.fromEntries(TERMINAL_STATES.map(state => [state, 0]))
+        };
+    }
+
+    stop() {
+        for (const record of this.orders.values()) {
+            this.clearTimer(record);
+        }
+    }
+
+    /**
+     * Start an order's lifecycle in NEW
+     * @returns {Object|null} The record, null if a live order already has this ID
+     */
+    create(order) {
+        const existing = this.orders.get(order.id);
+        if (existing && !this.isTerminal(existing.state)) return null;
+
+        const now = Date.now();
+        const record = {
+            orderId: order.id,
+            instanceId: order.metadata?.instanceId || order.source || null,
+            source: order.source || null,
+            accountId: order.accountId ?? null,
+            instrument: order.instrument,
+            side: order.action,
+            orderType: order.type,
+            quantity: order.quantity,
+            state: 'NEW',
+            history: [{ state: 'NEW', at: now }],
+            createdAt: now,
+            updatedAt: now,
+            stuck: false,
+            timer: null
+        };
+
+        this.orders.delete(order.id);
+        this.orders.set(order.id, record);
+        this.stats.ordersCreated++;
+
+        this.armTimer(record);
+        this.emit('transition', { order: this.toReport(record), from: null, to: 'NEW' });
+        this.pruneFinished();
+
+        return record;
+    }
+
+    /**
+     * Move an order to a new state
+     * @returns {Object|null} The record, null for unknown orders and transitions the machine does not allow
+     */
+    transition(orderId, state, details = {}) {
+        const record = this.orders.get(orderId);
+        if (!record) return null;
+
+        const from = record.state;
+        if (!TRANSITIONS[from]?.includes(state)) {
+            this.stats.invalidTransitions++;
+            return null;
+        }
+
+        for (const field of DETAIL_FIELDS) {
+            if (details[field] !== undefined) record[field] = details[field];
+        }
+
+        const now = Date.now();
+        record.state = state;
+        record.updatedAt = now;
+        record.stuck = false;
+        if (state !== from) {
+            record.history.push({ state, at: now, ...(details.reason ? { reason: details.reason } : {}) });
+        }
+
+        this.clearTimer(record);
+        if (this.isTerminal(state)) {
+            this.stats.ended[state]++;
+        } else {
+            this.armTimer(record);
+        }
+
+        this.emit('transition', { order: this.toReport(record), from, to: state });
+        return record;
+    }
+
+    get(orderId) {
+        const record = this.orders.get(orderId);
+        return record ? this.toReport(record) : null;
+    }
+
+    getState(orderId) {
+        return this.orders.get(orderId)?.state || null;
+    }
+
+    /**
+     * Orders that have not ended yet, from NEW to PARTIAL
+     */
+    getOpenOrders() {
+        return Array.from(this.orders.values())
+            .filter(record => !this.isTerminal(record.state))
+            .map(record => this.toReport(record));
+    }
+
+    isTerminal(state) {
+        return TERMINAL_STATES.includes(state);
+    }
+
+    armTimer(record) {
+        const timeout = this.config.timeouts[record.state];
+        if (!timeout) return;
+
+        record.timer = setTimeout(() => {
+            record.timer = null;
+            record.stuck = true;
+            this.stats.ordersStuck++;
+            this.emit('stuck', { order: this.toReport(record), state: record.state, stuckForMs: Date.now() - record.updatedAt });
+        }, timeout);
+        record.timer.unref?.();
+    }
+
+    clearTimer(record) {
+        if (record.timer) {
+            clearTimeout(record.timer);
+            record.timer = null;
+        }
+    }
+
+    toReport(record) {
+        const { timer, history, ...report } = record;
+        return { ...report, history: history.map(entry => ({ ...entry })) };
+    }
+
+    /**
+     * Forget the oldest ended orders past maxFinishedOrders
+     */
+    pruneFinished() {
+        let finished = 0;
+        for (const record of this.orders.values()) {
+            if (this.isTerminal(record.state)) finished++;
+        }
+
+        for (const [orderId, record] of this.orders) {
+            if (finished <= this.config.maxFinishedOrders) break;
+            if (!this.isTerminal(record.state)) continue;
+
+            this.orders.delete(orderId);
+            finished--;
+        }
+    }
+
+    getStatus() {
+        const byState = Object.fromEntries(STATES.map(state => [state, 0]));
+        const stuck = [];
+        for (const record of this.orders.values()) {
+            byState[record.state]++;
+            if (record.stuck) stuck.push({ orderId: record.orderId, instanceId: record.instanceId, state: record.state, since: record.updatedAt });
+        }
+
+        return { byState, stuck, stats: { ...this.stats, ended: { ...this.stats.ended } } };
+    }
+}
+
+OrderLifecycle.STATES = STATES;
+OrderLifecycle.TERMINAL_STATES = TERMINAL_STATES;
+
+module.exports = OrderLifecycle;
@@ -3,6 +3,9 @@
  * Ensures all orders meet risk criteria before processing
  */
 
+const TradingSchedule = require('../../../../shared/modules/market-data/TradingSchedule');
+const instrumentRegistry = require('../../../../shared/modules/contracts/InstrumentRegistry');
+
 class RiskManager {
     constructor(config = {}) {
         this.config = {
@@ -19,9 +22,16 @@ class RiskManager {
             
             // Risk calculations
             defaultRiskPercent: config.defaultRiskPercent || 1,
-            maxRiskPerTrade: config.maxRiskPerTrade || 2,
+            maxRiskPerTrade: config.maxRiskPerTrade || 2, // Percent of account balance
+            
+            // Notional exposure limits (price x dollar-per-point x contracts), null = unlimited.
+            // A number applies to every instrument/account, a map is keyed by root symbol /
+            // account ID with an optional 'default' entry
+            maxInstrumentNotional: config.maxInstrumentNotional ?? null,
+            maxAccountNotional: config.maxAccountNotional ?? null,
             
-            // Time-based restrictions
+            // Time-based restrictions - legacy { start, end } or
+            // { timezone, sessions[], calendar, holidays[], earlyCloses[] } (see TradingSchedule)
             allowedTradingHours: config.allowedTradingHours !== undefined ? config.allowedTradingHours : { start: '09:30', end: '16:00' },
             blockedDates: config.blockedDates || [],
             
@@ -30,6 +40,10 @@ class RiskManager {
             enforceRisk: true
         };
         
+        // Timezone-aware session schedule (null = trade at all times)
+        this.tradingSchedule = this.config.allowedTradingHours ?
+            new TradingSchedule(this.config.allowedTradingHours) : null;
+        
         // Store reference to ConnectionManagerAdapter for real account data
         this.connectionManagerAdapter = config.connectionManagerAdapter || null;
         
@@ -121,7 +135,8 @@ class RiskManager {
      */
     async validateOrder(order, context = {}) {
         const violations = [];
-        const timestamp = new Date();
+        // Evaluate against the market data time when provided (backtests replay past data)
+        const timestamp = context.timestamp ? new Date(context.timestamp) : new Date();
         
         // Position size check
         if (order.quantity > this.config.maxOrderSize) {
@@ -140,9 +155,10 @@ class RiskManager {
             });
         }
         
-        // Check open positions limit
+        // Check open positions limit - only an order that opens a new position counts against it
         const currentPositions = this.state.openPositions.size;
-        if (currentPositions >= this.config.maxOpenPositions && order.action === 'BUY') {
+        const existingPosition = this.state.openPositions.get(this.getPositionKey(order.accountId, order.instrument));
+        if (currentPositions >= this.config.maxOpenPositions && !existingPosition) {
             violations.push({
                 type: 'MAX_POSITIONS',
                 message: `Maximum open positions (${this.config.maxOpenPositions}) reached`,
@@ -169,10 +185,11 @@ class RiskManager {
         }
         
         // Trading hours check
-        if (!this.isWithinTradingHours(timestamp)) {
+        const tradingHoursStatus = this.getTradingHoursStatus(timestamp);
+        if (!tradingHoursStatus.open) {
             violations.push({
                 type: 'OUTSIDE_TRADING_HOURS',
-                message: 'Order placed outside allowed trading hours',
+                message: `Order placed outside allowed trading hours: ${tradingHoursStatus.reason}`,
                 severity: 'HIGH'
             });
         }
@@ -180,20 +197,54 @@ class RiskManager {
         // Get real account balance for risk calculations
         const accountBalance = await this.getCurrentAccountBalance(order.accountId || order.account);
         
-        // Risk per trade check
-        if (order.stopLoss) {
-            const riskAmount = this.calculateRiskAmount(order, context);
+        // Dollar risk and exposure can only be priced for instruments in the registry
+        const instrumentSpecs = this.getInstrumentSpecs(order.instrument);
+        if (!instrumentSpecs) {
+            violations.push({
+                type: 'UNKNOWN_INSTRUMENT',
+                message: `No contract specification with a point value for ${order.instrument}`,
+                severity: 'HIGH'
+            });
+        }
+
+        // No new entries on a contract past its roll date - liquidity has moved to the next month
+        if (instrumentSpecs && instrumentRegistry.getContractMonth(order.instrument)) {
+            const rollInfo = instrumentRegistry.getRollInfo(order.instrument, timestamp);
+            if (rollInfo.phase === 'ROLL') {
+                violations.push({
+                    type: 'CONTRACT_ROLLED',
+                    message: `${order.instrument} passed its roll date ${rollInfo.rollDate.toISOString().slice(0, 10)} - trade ${instrumentRegistry.getActiveContract(order.instrument, timestamp)}`,
+                    severity: 'HIGH'
+                });
+            }
+        }
+
+        // Risk per trade check (dollars at risk vs. account balance)
+        let riskAmount = 0;
+        if (instrumentSpecs && (order.stopLoss || order.stopLossPoints)) {
+            riskAmount = this.calculateRiskAmount(order, context);
             const riskPercent = (riskAmount / accountBalance) * 100;
             
-            if (riskPercent > this.config.maxRiskPerTrade) {
+            if (riskAmount === null) {
+                violations.push({
+                    type: 'RISK_UNKNOWN',
+                    message: `Cannot evaluate stop risk for ${order.instrument} without an entry or market price`,
+                    severity: 'HIGH'
+                });
+            } else if (riskPercent > this.config.maxRiskPerTrade) {
                 violations.push({
                     type: 'EXCESSIVE_RISK',
-                    message: `Risk ${riskPercent.toFixed(2)}% exceeds maximum ${this.config.maxRiskPerTrade}%`,
+                    message: `Risk $${riskAmount.toFixed(2)} (${riskPercent.toFixed(2)}%) exceeds maximum ${this.config.maxRiskPerTrade}%`,
                     severity: 'HIGH'
                 });
             }
         }
         
+        // Notional exposure checks
+        if (instrumentSpecs) {
+            violations.push(...this.checkExposureLimits(order, context));
+        }
+        
         // Store violations for analysis
         if (violations.length > 0) {
             this.violationHistory.push({
@@ -213,55 +264,222 @@ class RiskManager {
                 currentPositions,
                 dailyPnL: this.state.dailyPnL,
                 accountBalance: accountBalance,
+                riskAmount,
                 timestamp
             }
         };
     }
     
     /**
-     * Calculate risk amount for an order
+     * Calculate dollar risk for an order
+     * Stop distance is rounded up to whole ticks and priced at the instrument's tick value
+     * @returns {number|null} 0 without a stop, null when the stop cannot be priced
      */
-    calculateRiskAmount(order, context) {
-        if (!order.stopLoss) return 0;
+    calculateRiskAmount(order, context = {}) {
+        let stopDistance;
         
-        const entryPrice = order.price || context.marketPrice || 0;
-        const stopPrice = order.stopLoss;
-        const quantity = order.quantity;
+        if (order.stopLossPoints !== undefined && order.stopLossPoints !== null) {
+            stopDistance = Math.abs(order.stopLossPoints);
+        } else if (order.stopLoss) {
+            const entryPrice = order.price || context.marketPrice;
+            // Without an entry price the distance to the stop is unknown
+            if (!entryPrice) return null;
+            stopDistance = Math.abs(entryPrice - order.stopLoss);
+        } else {
+            return 0;
+        }
+        
+        const specs = this.getInstrumentSpecs(order.instrument);
+        if (!specs) return null;
         
-        return Math.abs(entryPrice - stopPrice) * quantity;
+        const { tickSize, tickValue } = specs;
+        const stopTicks = Math.ceil(stopDistance / tickSize - 1e-9);
+        
+        return stopTicks * tickValue * (order.quantity || 0);
     }
     
     /**
-     * Check if current time is within trading hours
+     * Tick size / tick value / dollar-per-point for an instrument (instrument registry)
+     * @returns {Object|null} null when the instrument is unknown or has no point value
      */
-    isWithinTradingHours(timestamp = new Date()) {
-        // If trading hours are not configured or null, allow trading at all times
-        if (!this.config.allowedTradingHours || this.config.allowedTradingHours === null) {
-            return true;
+    getInstrumentSpecs(instrument) {
+        const spec = instrumentRegistry.resolve(instrument);
+        if (!spec || !(spec.pointValue > 0)) return null;
+        
+        return {
+            tickSize: spec.tickSize,
+            tickValue: spec.tickValue,
+            dollarPerPoint: spec.pointValue
+        };
+    }
+    
+    getSymbolRoot(instrument) {
+        return instrumentRegistry.getSymbolRoot(instrument);
+    }
+    
+    /**
+     * Notional value of a quantity at a price
+     */
+    calculateNotional(instrument, price, quantity) {
+        const specs = this.getInstrumentSpecs(instrument);
+        if (!price || !specs) return 0;
+        return Math.abs(price * quantity) * specs.dollarPerPoint;
+    }
+    
+    /**
+     * Current notional exposure from tracked net positions
+     * @param {Function} filter - Optional position filter
+     */
+    getNotionalExposure(filter = () => true) {
+        let exposure = 0;
+        
+        for (const position of this.state.openPositions.values()) {
+            if (!filter(position)) continue;
+            exposure += this.calculateNotional(position.instrument, position.price, position.quantity);
+        }
+        
+        return exposure;
+    }
+    
+    /**
+     * Check per-instrument and per-account notional exposure limits against the
+     * net position the order would leave. Orders that shrink the net position
+     * always pass - a limit must never stop a position from being closed
+     */
+    checkExposureLimits(order, context = {}) {
+        const violations = [];
+        const price = order.price || context.marketPrice;
+        
+        const key = this.getPositionKey(order.accountId, order.instrument);
+        const currentQuantity = this.state.openPositions.get(key)?.quantity || 0;
+        const resultingQuantity = currentQuantity + this.getSignedQuantity(order.action, order.quantity);
+        
+        if (Math.abs(resultingQuantity) <= Math.abs(currentQuantity)) {
+            return violations;
+        }
+        
+        const instrumentLimit = this.getLimit(this.config.maxInstrumentNotional, instrumentRegistry.getSymbolRoot(order.instrument));
+        const accountLimit = this.getLimit(this.config.maxAccountNotional, order.accountId);
+        
+        if (instrumentLimit === null && accountLimit === null) {
+            return violations;
         }
         
-        const hours = timestamp.getHours();
-        const minutes = timestamp.getMinutes();
-        const currentTime = hours * 60 + minutes;
+        if (!price) {
+            violations.push({
+                type: 'EXPOSURE_UNKNOWN',
+                message: `Cannot evaluate notional exposure for ${order.instrument} without a price`,
+                severity: 'HIGH'
+            });
+            return violations;
+        }
         
-        const [startHour, startMin] = this.config.allowedTradingHours.start.split(':').map(Number);
-        const [endHour, endMin] = this.config.allowedTradingHours.end.split(':').map(Number);
+        // The order's contract is priced at the resulting net position, everything else as held
+        const resultingNotional = this.calculateNotional(order.instrument, price, resultingQuantity);
+        const isOtherPosition = position => this.getPositionKey(position.accountId, position.instrument) !== key;
         
-        const startTime = startHour * 60 + startMin;
-        const endTime = endHour * 60 + endMin;
+        if (instrumentLimit !== null) {
+            const root = instrumentRegistry.getSymbolRoot(order.instrument);
+            const exposure = resultingNotional + this.getNotionalExposure(position =>
+                isOtherPosition(position) && instrumentRegistry.getSymbolRoot(position.instrument) === root);
+            
+            if (exposure > instrumentLimit) {
+                violations.push({
+                    type: 'MAX_INSTRUMENT_EXPOSURE',
+                    message: `${root} notional $${exposure.toFixed(0)} exceeds limit $${instrumentLimit}`,
+                    severity: 'HIGH'
+                });
+            }
+        }
         
-        return currentTime >= startTime && currentTime <= endTime;
+        if (accountLimit !== null) {
+            const exposure = resultingNotional + this.getNotionalExposure(position => isOtherPosition(position) &&
+                (!position.accountId || !order.accountId || String(position.accountId) === String(order.accountId)));
+            
+            if (exposure > accountLimit) {
+                violations.push({
+                    type: 'MAX_ACCOUNT_EXPOSURE',
+                    message: `Account notional $${exposure.toFixed(0)} exceeds limit $${accountLimit}`,
+                    severity: 'HIGH'
+                });
+            }
+        }
+        
+        return violations;
     }
     
     /**
-     * Update position tracking
+     * Resolve a limit that is either a number or a map keyed by symbol / account
      */
-    updatePosition(orderId, position) {
-        if (position.quantity === 0) {
-            this.state.openPositions.delete(orderId);
-        } else {
-            this.state.openPositions.set(orderId, position);
+    getLimit(limit, key) {
+        if (limit === null || limit === undefined) return null;
+        if (typeof limit === 'number') return limit;
+        
+        const value = limit[key] ?? limit.default;
+        return value === undefined ? null : Number(value);
+    }
+    
+    /**
+     * Check if current time is within trading hours
+     */
+    isWithinTradingHours(timestamp = new Date()) {
+        return this.getTradingHoursStatus(timestamp).open;
+    }
+    
+    /**
+     * Evaluate trading hours in the sessions' own timezones (not the server's)
+     * @returns {Object} { open, session, reason }
+     */
+    getTradingHoursStatus(timestamp = new Date()) {
+        // If trading hours are not configured or null, allow trading at all times
+        if (!this.tradingSchedule) {
+            return { open: true, session: null, reason: null };
         }
+        
+        return this.tradingSchedule.getStatus(timestamp);
+    }
+    
+    /**
+     * Key of a net position - one per account and contract
+     */
+    getPositionKey(accountId, instrument) {
+        return `${accountId ?? ''}|${instrument}`;
+    }
+    
+    /**
+     * Contracts with sign: BUY positive, SELL negative
+     */
+    getSignedQuantity(side, quantity) {
+        return side === 'SELL' ? -Math.abs(quantity) : Math.abs(quantity);
+    }
+    
+    /**
+     * Net a fill into the account's position on the contract; flat positions are dropped
+     * @param {Object} fill - { accountId, instrument, side, quantity, fillPrice }
+     * @returns {Object|null} Resulting { accountId, instrument, quantity, price }, null when flat
+     */
+    updatePosition(fill) {
+        const key = this.getPositionKey(fill.accountId, fill.instrument);
+        const existing = this.state.openPositions.get(key);
+        const previousQuantity = existing?.quantity || 0;
+        const quantity = previousQuantity + this.getSignedQuantity(fill.side, fill.quantity);
+        
+        if (quantity === 0) {
+            this.state.openPositions.delete(key);
+            return null;
+        }
+        
+        // Adding averages the entry price, reducing keeps it, flipping starts at the fill price
+        let price = fill.fillPrice || existing?.price;
+        if (existing && Math.sign(previousQuantity) === Math.sign(quantity)) {
+            price = Math.abs(quantity) > Math.abs(previousQuantity) && fill.fillPrice
+                ? (existing.price * Math.abs(previousQuantity) + fill.fillPrice * Math.abs(quantity - previousQuantity)) / Math.abs(quantity)
+                : existing.price;
+        }
+        
+        const position = { accountId: fill.accountId, instrument: fill.instrument, quantity, price };
+        this.state.openPositions.set(key, position);
+        return position;
     }
     
     /**
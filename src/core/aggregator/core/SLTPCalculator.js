@@ -6,6 +6,8 @@
  * their own SL/TP strategies and don't rely on aggregator calculations.
  */
 
+const instrumentRegistry = require('../../../../shared/modules/contracts/InstrumentRegistry');
+
 class SLTPCalculator {
     constructor(config = {}) {
         this.config = {
@@ -13,7 +15,7 @@ class SLTPCalculator {
             defaultStopLossPercent: config.defaultStopLossPercent || 1.0,
             defaultTakeProfitPercent: config.defaultTakeProfitPercent || 2.0,
             
-            // Tick sizes for different instruments
+            // Tick size overrides - instruments default to the instrument registry
             tickSizes: {
                 MES: config.tickSizeMES,
                 MNQ: config.tickSizeMNQ,
@@ -332,16 +334,11 @@ class SLTPCalculator {
      * Get tick size for instrument
      */
     getTickSize(instrument) {
-        const symbol = instrument.toUpperCase();
-        
-        // Check configured tick sizes
-        for (const [key, value] of Object.entries(this.config.tickSizes)) {
-            if (symbol.includes(key)) {
-                return value;
-            }
-        }
+        const symbol = instrumentRegistry.getSymbolRoot(instrument);
         
-        return this.config.tickSizes.default;
+        return this.config.tickSizes[symbol] ||
+            instrumentRegistry.getTickSize(instrument) ||
+            this.config.tickSizes.default;
     }
     
     /**
@@ -10,6 +10,7 @@ const cors = require('cors');
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const PerformanceReport = require('../../analytics/PerformanceReport');
 
 class MonitoringServer {
     constructor(config = {}) {
@@ -312,6 +313,51 @@ class MonitoringServer {
             });
         });
         
+        // Trade journal query - filter by bot, instrument, strategy, type and date range
+        this.app.get('/api/journal', async (req, res) => {
+            if (!this.aggregator?.journal) {
+                return res.status(503).json({ error: 'Trade journal not enabled' });
+            }
+            
+            try {
+                const { botId, instrument, strategy, type, accountId, source, from, to, limit, offset } = req.query;
+                const result = await this.aggregator.journal.query({
+                    botId, instrument, strategy, type, accountId, source, from, to, limit, offset
+                });
+                res.json(result);
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+        
+        // Performance report from journaled closes (?format=json|csv|html)
+        this.app.get('/api/report', async (req, res) => {
+            if (!this.aggregator?.journal) {
+                return res.status(503).json({ error: 'Trade journal not enabled' });
+            }
+            
+            try {
+                const { botId, instrument, strategy, from, to, timezone, format = 'json' } = req.query;
+                const reporter = new PerformanceReport(timezone ? { timezone } : {});
+                const { entries } = await this.aggregator.journal.query({
+                    botId, instrument, strategy, from, to, type: 'CLOSE', limit: 5000
+                });
+                const report = reporter.build(PerformanceReport.tradesFromJournal(entries), {
+                    filters: { botId, instrument, strategy, from, to }
+                });
+                
+                if (format === 'csv') {
+                    res.type('text/csv').send(reporter.toCSV(report));
+                } else if (format === 'html') {
+                    res.type('html').send(reporter.toHTML(report));
+                } else {
+                    res.type('json').send(reporter.toJSON(report));
+                }
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+        
         // System logs endpoint
         this.app.get('/api/logs', (req, res) => {
             const limit = parseInt(req.query.limit) || 100;
@@ -58,12 +58,13 @@ async function startProductionAggregator() {
             pauseOnDailyLoss: aggregatorConfig.globalRisk?.pauseOnDailyLoss || true,
             maxPositionSize: aggregatorConfig.positionLimits?.maxPositionSize || 20,
             maxPositionValue: aggregatorConfig.positionLimits?.maxPositionValue || 50000,
+            maxInstrumentNotional: aggregatorConfig.positionLimits?.maxInstrumentNotional ?? null,
+            maxAccountNotional: aggregatorConfig.positionLimits?.maxAccountNotional ?? null,
+            maxRiskPerTrade: aggregatorConfig.globalRisk?.maxRiskPerTrade || 2,
             maxOrdersPerMinute: aggregatorConfig.rateLimits?.maxOrdersPerMinute || 30,
             maxOrdersPerSymbol: aggregatorConfig.rateLimits?.maxOrdersPerSymbol || 5,
-            allowedTradingHours: aggregatorConfig.tradingHours?.enabled ? {
-                start: aggregatorConfig.tradingHours.sessions[0]?.start || '00:00',
-                end: aggregatorConfig.tradingHours.sessions[0]?.end || '23:59'
-            } : { start: '00:00', end: '23:59' }
+            // All sessions are evaluated in their own timezone (falls back to tradingHours.timezone)
+            allowedTradingHours: aggregatorConfig.tradingHours?.enabled ? aggregatorConfig.tradingHours : null
         },
         
         queueConfig: {
@@ -74,21 +75,18 @@ async function startProductionAggregator() {
                 Math.floor(aggregatorConfig.rateLimits.maxOrdersPerMinute / 60) : 10
         },
         
+        // TopStep trailing drawdown / daily loss limits (see AccountRiskGuardian)
+        guardianConfig: aggregatorConfig.accountGuardian || {},
+        exposureConfig: aggregatorConfig.exposure || {},
+        // Order lifecycle: how long an order may sit in a state before it is reported stuck
+        lifecycleConfig: aggregatorConfig.orderLifecycle || {},
+        
         sltpConfig: {
             // NOTE: SL/TP calculation is disabled by default - bots manage their own SL/TP
             calculateSLTP: aggregatorConfig.sltp?.calculateSLTP || false,
             enableTrailingStop: aggregatorConfig.sltp?.enableTrailingStop || false,
-            placeBracketOrders: aggregatorConfig.sltp?.placeBracketOrders || false, // Disabled - bots handle this
-            tickSizes: globalConfig.tradingDefaults?.contractSpecs ? 
-                Object.entries(globalConfig.tradingDefaults.contractSpecs).reduce((acc, [symbol, spec]) => {
-                    acc[symbol] = spec.tickSize;
-                    return acc;
-                }, {}) : {
-                    MES: 0.25,
-                    MNQ: 0.25,
-                    MGC: 0.10,
-                    MCL: 0.01
-                }
+            placeBracketOrders: aggregatorConfig.sltp?.placeBracketOrders || false // Disabled - bots handle this
+            // Tick sizes come from the instrument registry (config/instruments.yaml + TopStep contracts)
         },
         
         // Don't pass redisConfig - we'll set the adapter externally
@@ -111,12 +109,15 @@ async function startProductionAggregator() {
     // Create adapters BEFORE initializing aggregator
     const redisAdapter = new RedisAdapter({
         host: 'localhost',
-        port: 6379
+        port: 6379,
+        messageValidation: aggregatorConfig.messageValidation || {},
+        orderTransport: aggregatorConfig.orderTransport || {}
     });
     
     const connectionManagerAdapter = new ConnectionManagerAdapter({
         connectionManagerUrl: 'http://localhost:7500',
-        enableWebSocket: false  // Disable WebSocket for now
+        enableWebSocket: false,  // Disable WebSocket for now
+        orderTransport: aggregatorConfig.orderTransport || {}
     });
     
     // Set up event listeners before initializing
@@ -162,6 +163,13 @@ async function startProductionAggregator() {
     await redisAdapter.subscribeToOrders((orderMessage) => {
         console.log('📥 Received order from Manual Trading:', orderMessage);
         
+        // Bot cancel/modify requests for working orders
+        if (orderMessage.type === 'CANCEL_ORDER' || orderMessage.type === 'MODIFY_ORDER') {
+            aggregator.handleWorkingOrderRequest(orderMessage)
+                .catch(error => console.error('❌ Working order request failed:', error.message));
+            return;
+        }
+        
         // Handle different order message formats
         let orderToSubmit;
         if (orderMessage.type === 'MANUAL_ORDER' && orderMessage.order) {
@@ -273,6 +281,9 @@ async function startProductionAggregator() {
         });
     });
     
+    // Everything is wired - now read the order streams, orders and events left pending by the last run first
+    await redisAdapter.startOrderStreams();
+    
     // Update the health check endpoint with aggregator status
     app.get('/health', (req, res) => {
         const metrics = aggregator.getMetrics();
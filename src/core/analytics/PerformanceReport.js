@@ -0,0 +1,511 @@
+/**
+ * PerformanceReport - Trade performance analytics per bot, strategy and sub-strategy
+ *
+ * Builds a report from completed trades - CLOSE entries of the trade journal or
+ * the trade list of a backtest - and exports it as JSON, CSV or a standalone
+ * HTML page:
+ * - Expectancy, profit factor, payoff ratio, win rate
+ * - Sharpe / Sortino of daily P&L (annualized over 252 trading days)
+ * - Max drawdown and drawdown duration of the closed-trade equity curve
+ * - MAE / MFE and R-multiple distribution (trades with a known initial risk)
+ * - Win rate by entry hour, weekday and sub-strategy (breakout / fade / sweep)
+ */
+
+const TRADING_DAYS_PER_YEAR = 252;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// R-multiple buckets, open-ended at both ends
+const R_BUCKETS = [-3, -2, -1, 0, 1, 2, 3, 4, 5];
+
+const CSV_COLUMNS = [
+    'group', 'key', 'trades', 'winRate', 'netPnL', 'expectancy', 'expectancyR', 'profitFactor',
+    'payoffRatio', 'averageWin', 'averageLoss', 'sharpe', 'sortino', 'maxDrawdown',
+    'maxDrawdownDurationMs', 'averageMAE', 'averageMFE', 'averageDurationMs'
+];
+
+class PerformanceReport {
+    /**
+     * @param {Object} config - { timezone } used for trading days, entry hours and weekdays
+     */
+    constructor(config = {}) {
+        this.config = {
+            timezone: 'America/New_York',
+            ...config
+        };
+
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.config.timezone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit'
+        });
+    }
+
+    /**
+     * Completed trades from journal CLOSE entries. Closes without a realized P&L
+     * (broker closes the bot could not price) are skipped.
+     */
+    static tradesFromJournal(entries) {
+        return entries
+            .filter(entry => entry.type === 'CLOSE' && entry.data?.realizedPnL != null)
+            .map(entry => ({
+                id: entry.positionId || entry.id,
+                botId: entry.botId,
+                strategy: entry.strategy,
+                subStrategy: entry.data.subStrategy || null,
+                instrument: entry.instrument,
+                direction: entry.data.direction,
+                quantity: entry.data.quantity,
+                entryPrice: entry.data.entryPrice,
+                exitPrice: entry.data.closePrice,
+                entryTime: entry.data.openTime || entry.timestamp,
+                exitTime: entry.data.closeTime || entry.timestamp,
+                netPnL: entry.data.realizedPnL + (entry.data.partialPnL || 0),
+                initialRisk: entry.data.initialRisk ?? null,
+                mae: entry.data.mae ?? null,
+                mfe: entry.data.mfe ?? null,
+                exitReason: entry.data.reason
+            }));
+    }
+
+    /**
+     * Completed trades from BacktestEngine results ({ trades, summary })
+     */
+    static tradesFromBacktest(results) {
+        const { summary } = results;
+
+        return results.trades.map(trade => ({
+            id: trade.id,
+            botId: summary.botId,
+            strategy: summary.strategyType,
+            subStrategy: trade.subStrategy || null,
+            instrument: summary.instrument,
+            direction: trade.direction,
+            quantity: trade.quantity,
+            entryPrice: trade.entryPrice,
+            exitPrice: trade.exitPrice,
+            entryTime: trade.entryTime,
+            exitTime: trade.exitTime,
+            netPnL: trade.netPnL,
+            initialRisk: trade.initialRisk ?? null,
+            mae: trade.mae ?? null,
+            mfe: trade.mfe ?? null,
+            exitReason: trade.exitReason
+        }));
+    }
+
+    /**
+     * Build the full report
+     * @param {Array} trades - Normalized trades (tradesFromJournal / tradesFromBacktest)
+     * @param {Object} meta - Extra fields for the report header
+     */
+    build(trades, meta = {}) {
+        const sorted = trades
+            .map(trade => ({
+                ...trade,
+                entryTime: new Date(trade.entryTime),
+                exitTime: new Date(trade.exitTime),
+                rMultiple: trade.initialRisk > 0 ? trade.netPnL / trade.initialRisk : null
+            }))
+            .sort((a, b) => a.exitTime - b.exitTime);
+
+        return {
+            generatedAt: new Date().toISOString(),
+            timezone: this.config.timezone,
+            ...meta,
+            period: sorted.length > 0 ? {
+                from: sorted[0].entryTime.toISOString(),
+                to: sorted[sorted.length - 1].exitTime.toISOString()
+            } : null,
+            overall: this.analyze(sorted),
+            byBot: this.analyzeGroups(sorted, trade => trade.botId),
+            byStrategy: this.analyzeGroups(sorted, trade => trade.strategy),
+            bySubStrategy: this.analyzeGroups(sorted, trade => trade.subStrategy),
+            trades: sorted.map(trade => ({
+                ...trade,
+                entryTime: trade.entryTime.toISOString(),
+                exitTime: trade.exitTime.toISOString()
+            }))
+        };
+    }
+
+    analyzeGroups(trades, keyOf) {
+        const groups = {};
+        for (const trade of trades) {
+            const key = keyOf(trade) || 'UNKNOWN';
+            (groups[key] = groups[key] || []).push(trade);
+        }
+
+        const results = {};
+        for (const [key, groupTrades] of Object.entries(groups)) {
+            results[key] = this.analyze(groupTrades);
+        }
+        return results;
+    }
+
+    /**
+     * Metrics for a set of trades sorted by exit time
+     */
+    analyze(trades) {
+        const wins = trades.filter(trade => trade.netPnL > 0);
+        const losses = trades.filter(trade => trade.netPnL <= 0);
+        const grossProfit = this.sum(wins.map(trade => trade.netPnL));
+        const grossLoss = Math.abs(this.sum(losses.map(trade => trade.netPnL)));
+        const netPnL = grossProfit - grossLoss;
+        const averageWin = wins.length > 0 ? grossProfit / wins.length : 0;
+        const averageLoss = losses.length > 0 ? grossLoss / losses.length : 0;
+
+        const rMultiples = trades.map(trade => trade.rMultiple).filter(r => r !== null);
+        const withExcursion = trades.filter(trade => trade.mae !== null && trade.mfe !== null);
+
+        return {
+            trades: trades.length,
+            wins: wins.length,
+            losses: losses.length,
+            winRate: trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+            netPnL,
+            grossProfit,
+            grossLoss,
+            averageWin,
+            averageLoss,
+            expectancy: trades.length > 0 ? netPnL / trades.length : 0,
+            expectancyR: rMultiples.length > 0 ? this.sum(rMultiples) / rMultiples.length : null,
+            profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0),
+            payoffRatio: averageLoss > 0 ? averageWin / averageLoss : null,
+            averageDurationMs: trades.length > 0 ?
+                this.sum(trades.map(trade => trade.exitTime - trade.entryTime)) / trades.length : 0,
+            ...this.calculateRatios(trades),
+            ...this.calculateDrawdown(trades),
+            averageMAE: withExcursion.length > 0 ? this.sum(withExcursion.map(trade => trade.mae)) / withExcursion.length : null,
+            averageMFE: withExcursion.length > 0 ? this.sum(withExcursion.map(trade => trade.mfe)) / withExcursion.length : null,
+            // Share of the best open profit that winners kept
+            mfeCapture: this.calculateMfeCapture(wins),
+            rMultipleDistribution: this.calculateRDistribution(rMultiples),
+            byHour: this.breakdown(trades, trade => this.getLocalParts(trade.entryTime).hour),
+            byWeekday: this.breakdown(trades, trade => this.getLocalParts(trade.entryTime).weekday)
+        };
+    }
+
+    /**
+     * Sharpe and Sortino of daily P&L, days without trades excluded
+     */
+    calculateRatios(trades) {
+        const daily = new Map();
+        for (const trade of trades) {
+            const day = this.getLocalParts(trade.exitTime).date;
+            daily.set(day, (daily.get(day) || 0) + trade.netPnL);
+        }
+
+        const returns = [...daily.values()];
+        if (returns.length < 2) {
+            return { tradingDays: returns.length, sharpe: null, sortino: null };
+        }
+
+        const mean = this.sum(returns) / returns.length;
+        const deviation = Math.sqrt(this.sum(returns.map(value => (value - mean) ** 2)) / (returns.length - 1));
+        const downside = Math.sqrt(this.sum(returns.map(value => Math.min(value, 0) ** 2)) / returns.length);
+        const annualize = Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+        return {
+            tradingDays: returns.length,
+            sharpe: deviation > 0 ? (mean / deviation) * annualize : null,
+            sortino: downside > 0 ? (mean / downside) * annualize : null
+        };
+    }
+
+    /**
+     * Deepest peak-to-trough decline of cumulative closed P&L and the longest
+     * time spent below a previous peak (open drawdowns run to the last trade)
+     */
+    calculateDrawdown(trades) {
+        let equity = 0;
+        let peak = 0;
+        let peakTime = trades.length > 0 ? trades[0].entryTime : null;
+        let inDrawdown = false;
+        let maxDrawdown = 0;
+        let maxDrawdownDurationMs = 0;
+
+        for (const trade of trades) {
+            equity += trade.netPnL;
+
+            if (equity >= peak) {
+                if (inDrawdown) {
+                    maxDrawdownDurationMs = Math.max(maxDrawdownDurationMs, trade.exitTime - peakTime);
+                    inDrawdown = false;
+                }
+                peak = equity;
+                peakTime = trade.exitTime;
+            } else {
+                inDrawdown = true;
+                maxDrawdown = Math.max(maxDrawdown, peak - equity);
+            }
+        }
+
+        if (inDrawdown) {
+            maxDrawdownDurationMs = Math.max(maxDrawdownDurationMs, trades[trades.length - 1].exitTime - peakTime);
+        }
+
+        return { maxDrawdown, maxDrawdownDurationMs };
+    }
+
+    calculateMfeCapture(wins) {
+        const measured = wins.filter(trade => trade.mfe > 0);
+        if (measured.length === 0) return null;
+
+        return (this.sum(measured.map(trade => trade.netPnL / trade.mfe)) / measured.length) * 100;
+    }
+
+    calculateRDistribution(rMultiples) {
+        const buckets = [];
+        for (let i = 0; i <= R_BUCKETS.length; i++) {
+            const min = i === 0 ? null : R_BUCKETS[i - 1];
+            const max = i === R_BUCKETS.length ? null : R_BUCKETS[i];
+            buckets.push({
+                label: min === null ? `< ${max}R` : (max === null ? `>= ${min}R` : `${min}R to ${max}R`),
+                min,
+                max,
+                count: rMultiples.filter(r => (min === null || r >= min) && (max === null || r < max)).length
+            });
+        }
+        return buckets;
+    }
+
+    /**
+     * Win rate and P&L per bucket (entry hour, weekday)
+     */
+    breakdown(trades, keyOf) {
+        const buckets = {};
+        for (const trade of trades) {
+            const key = keyOf(trade);
+            const bucket = buckets[key] = buckets[key] || { trades: 0, wins: 0, netPnL: 0 };
+            bucket.trades++;
+            bucket.netPnL += trade.netPnL;
+            if (trade.netPnL > 0) bucket.wins++;
+        }
+
+        for (const bucket of Object.values(buckets)) {
+            bucket.winRate = (bucket.wins / bucket.trades) * 100;
+            bucket.expectancy = bucket.netPnL / bucket.trades;
+        }
+        return buckets;
+    }
+
+    getLocalParts(date) {
+        const parts = {};
+        for (const part of this.formatter.formatToParts(date)) {
+            parts[part.type] = part.value;
+        }
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            hour: parts.hour.padStart(2, '0'),
+            weekday: parts.weekday
+        };
+    }
+
+    sum(values) {
+        return values.reduce((total, value) => total + value, 0);
+    }
+
+    // ==================== Export ====================
+
+    toJSON(report) {
+        // Infinity (profit factor without losses) is not valid JSON
+        return JSON.stringify(report, (key, value) => (value === Infinity ? 'Infinity' : value), 2);
+    }
+
+    /**
+     * Summary table - one row for the whole report and per bot, strategy and sub-strategy
+     */
+    toCSV(report) {
+        const rows = [['overall', 'ALL', report.overall]];
+        for (const [group, field] of [['bot', 'byBot'], ['strategy', 'byStrategy'], ['subStrategy', 'bySubStrategy']]) {
+            for (const [key, metrics] of Object.entries(report[field])) {
+                rows.push([group, key, metrics]);
+            }
+        }
+
+        const lines = [CSV_COLUMNS.join(',')];
+        for (const [group, key, metrics] of rows) {
+            lines.push(CSV_COLUMNS.map(column => {
+                if (column === 'group') return this.csvValue(group);
+                if (column === 'key') return this.csvValue(key);
+                return this.csvValue(metrics[column]);
+            }).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * One row per trade
+     */
+    tradesToCSV(report) {
+        const columns = ['id', 'botId', 'strategy', 'subStrategy', 'instrument', 'direction', 'quantity',
+            'entryTime', 'exitTime', 'entryPrice', 'exitPrice', 'netPnL', 'initialRisk', 'rMultiple',
+            'mae', 'mfe', 'exitReason'];
+
+        const lines = [columns.join(',')];
+        for (const trade of report.trades) {
+            lines.push(columns.map(column => this.csvValue(trade[column])).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    csvValue(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? String(Math.round(value * 10000) / 10000) : 'Infinity';
+        }
+
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Standalone HTML page - inline styles and SVG, no external assets
+     */
+    toHTML(report) {
+        const overall = report.overall;
+        const summaryRows = [['Overall', 'ALL', overall]];
+        for (const [label, field] of [['Bot', 'byBot'], ['Strategy', 'byStrategy'], ['Sub-strategy', 'bySubStrategy']]) {
+            for (const [key, metrics] of Object.entries(report[field])) {
+                summaryRows.push([label, key, metrics]);
+            }
+        }
+
+        const cards = [
+            ['Net P&L', this.money(overall.netPnL)],
+            ['Trades', overall.trades],
+            ['Win rate', this.percent(overall.winRate)],
+            ['Expectancy', `${this.money(overall.expectancy)}${overall.expectancyR !== null ? ` / ${this.number(overall.expectancyR)}R` : ''}`],
+            ['Profit factor', this.number(overall.profitFactor)],
+            ['Sharpe / Sortino', `${this.number(overall.sharpe)} / ${this.number(overall.sortino)}`],
+            ['Max drawdown', `${this.money(overall.maxDrawdown)} (${this.duration(overall.maxDrawdownDurationMs)})`],
+            ['Avg MAE / MFE', `${this.money(overall.averageMAE)} / ${this.money(overall.averageMFE)}`]
+        ];
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Performance Report</title>
+<style>
+    body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; margin: 24px; background: #0f172a; color: #e2e8f0; }
+    h1 { margin-bottom: 4px; }
+    h2 { margin-top: 32px; border-bottom: 1px solid #334155; padding-bottom: 4px; }
+    .meta { color: #94a3b8; }
+    .cards { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 16px; }
+    .card { background: #1e293b; border-radius: 6px; padding: 12px 16px; min-width: 150px; }
+    .card .label { color: #94a3b8; font-size: 12px; }
+    .card .value { font-size: 20px; margin-top: 4px; }
+    table { border-collapse: collapse; margin-top: 12px; font-size: 13px; }
+    th, td { padding: 4px 10px; text-align: right; border-bottom: 1px solid #334155; }
+    th:first-child, td:first-child, th:nth-child(2), td:nth-child(2) { text-align: left; }
+    .pos { color: #4ade80; } .neg { color: #f87171; }
+    .grid { display: flex; flex-wrap: wrap; gap: 32px; }
+</style>
+</head>
+<body>
+<h1>Performance Report</h1>
+<div class="meta">${this.escape(report.period ? `${report.period.from} → ${report.period.to}` : 'No trades')} · ${this.escape(report.timezone)} · generated ${this.escape(report.generatedAt)}</div>
+<div class="cards">${cards.map(([label, value]) => `<div class="card"><div class="label">${label}</div><div class="value">${this.escape(value)}</div></div>`).join('')}</div>
+
+<h2>Equity Curve</h2>
+${this.renderEquityCurve(report.trades)}
+
+<h2>Bots, Strategies and Sub-strategies</h2>
+<table>
+<tr><th>Group</th><th>Name</th><th>Trades</th><th>Win rate</th><th>Net P&amp;L</th><th>Expectancy</th><th>Exp. R</th><th>Profit factor</th><th>Sharpe</th><th>Sortino</th><th>Max DD</th><th>DD duration</th><th>Avg MAE</th><th>Avg MFE</th></tr>
+${summaryRows.map(([group, key, metrics]) => `<tr><td>${group}</td><td>${this.escape(key)}</td><td>${metrics.trades}</td><td>${this.percent(metrics.winRate)}</td><td class="${metrics.netPnL >= 0 ? 'pos' : 'neg'}">${this.money(metrics.netPnL)}</td><td>${this.money(metrics.expectancy)}</td><td>${this.number(metrics.expectancyR)}</td><td>${this.number(metrics.profitFactor)}</td><td>${this.number(metrics.sharpe)}</td><td>${this.number(metrics.sortino)}</td><td>${this.money(metrics.maxDrawdown)}</td><td>${this.duration(metrics.maxDrawdownDurationMs)}</td><td>${this.money(metrics.averageMAE)}</td><td>${this.money(metrics.averageMFE)}</td></tr>`).join('\n')}
+</table>
+
+<div class="grid">
+<div><h2>By Entry Hour</h2>${this.renderBreakdown(overall.byHour, 'Hour')}</div>
+<div><h2>By Weekday</h2>${this.renderBreakdown(this.orderWeekdays(overall.byWeekday), 'Weekday')}</div>
+<div><h2>R-Multiple Distribution</h2>
+<table><tr><th>Range</th><th>Trades</th></tr>
+${overall.rMultipleDistribution.map(bucket => `<tr><td>${this.escape(bucket.label)}</td><td>${bucket.count}</td></tr>`).join('\n')}
+</table></div>
+</div>
+
+<h2>Trades</h2>
+<table>
+<tr><th>Exit time</th><th>Bot</th><th>Strategy</th><th>Sub-strategy</th><th>Direction</th><th>Qty</th><th>Entry</th><th>Exit</th><th>Net P&amp;L</th><th>R</th><th>MAE</th><th>MFE</th><th>Reason</th></tr>
+${report.trades.map(trade => `<tr><td>${this.escape(trade.exitTime)}</td><td>${this.escape(trade.botId)}</td><td>${this.escape(trade.strategy)}</td><td>${this.escape(trade.subStrategy || '')}</td><td>${this.escape(trade.direction)}</td><td>${this.escape(trade.quantity)}</td><td>${this.number(trade.entryPrice)}</td><td>${this.number(trade.exitPrice)}</td><td class="${trade.netPnL >= 0 ? 'pos' : 'neg'}">${this.money(trade.netPnL)}</td><td>${this.number(trade.rMultiple)}</td><td>${this.money(trade.mae)}</td><td>${this.money(trade.mfe)}</td><td>${this.escape(trade.exitReason || '')}</td></tr>`).join('\n')}
+</table>
+</body>
+</html>
+`;
+    }
+
+    renderBreakdown(buckets, label) {
+        const rows = Object.entries(buckets).sort(([a], [b]) => (label === 'Hour' ? a.localeCompare(b) : 0));
+        return `<table><tr><th>${label}</th><th>Trades</th><th>Win rate</th><th>Net P&amp;L</th></tr>
+${rows.map(([key, bucket]) => `<tr><td>${this.escape(key)}</td><td>${bucket.trades}</td><td>${this.percent(bucket.winRate)}</td><td class="${bucket.netPnL >= 0 ? 'pos' : 'neg'}">${this.money(bucket.netPnL)}</td></tr>`).join('\n')}
+</table>`;
+    }
+
+    orderWeekdays(buckets) {
+        const ordered = {};
+        for (const day of WEEKDAYS) {
+            if (buckets[day]) ordered[day] = buckets[day];
+        }
+        return ordered;
+    }
+
+    renderEquityCurve(trades) {
+        if (trades.length === 0) return '<p class="meta">No trades</p>';
+
+        const width = 900;
+        const height = 220;
+        const points = [0];
+        for (const trade of trades) {
+            points.push(points[points.length - 1] + trade.netPnL);
+        }
+
+        const min = Math.min(...points);
+        const max = Math.max(...points);
+        const range = max - min || 1;
+        const x = index => (index / (points.length - 1)) * width;
+        const y = value => height - ((value - min) / range) * height;
+
+        const path = points.map((value, index) => `${index === 0 ? 'M' : 'L'}${x(index).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+
+        return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="background:#1e293b;border-radius:6px">
+<line x1="0" x2="${width}" y1="${y(0).toFixed(1)}" y2="${y(0).toFixed(1)}" stroke="#475569" stroke-dasharray="4 4"/>
+<path d="${path}" fill="none" stroke="#38bdf8" stroke-width="2"/>
+</svg>`;
+    }
+
+    money(value) {
+        if (value === null || value === undefined) return '–';
+        return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+    }
+
+    percent(value) {
+        return value === null || value === undefined ? '–' : `${value.toFixed(1)}%`;
+    }
+
+    number(value) {
+        if (value === null || value === undefined) return '–';
+        return Number.isFinite(value) ? value.toFixed(2) : '∞';
+    }
+
+    duration(ms) {
+        if (!ms) return '0m';
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${minutes}m`;
+        const hours = minutes / 60;
+        return hours < 48 ? `${hours.toFixed(1)}h` : `${(hours / 24).toFixed(1)}d`;
+    }
+
+    escape(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+}
+
+module.exports = PerformanceReport;
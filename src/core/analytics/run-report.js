@@ -0,0 +1,92 @@
+/**
+ * Build a performance report from the trade journal and/or backtest results
+ *
+ * Usage:
+ *   node src/core/analytics/run-report.js [--journal data/journal] [--backtest results.json [--backtest more.json]]
+ *        [--bot BOT_1] [--strategy PDH_PDL_COMPREHENSIVE] [--instrument MGC] [--from 2025-01-01] [--to 2025-02-01]
+ *        [--timezone America/New_York] [--out reports/performance]
+ *
+ * Writes <out>.json, <out>.csv (summary), <out>-trades.csv and <out>.html.
+ * Without --backtest the journal in data/journal is read.
+ */
+
+const PerformanceReport = require('./PerformanceReport');
+const TradeJournal = require('../../../shared/modules/journal/TradeJournal');
+const instrumentRegistry = require('../../../shared/modules/contracts/InstrumentRegistry');
+const fs = require('fs');
+const path = require('path');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+function getArg(name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+function getAllArgs(name) {
+    return args
+        .map((arg, index) => (arg === name ? args[index + 1] : null))
+        .filter(Boolean);
+}
+
+async function runReport() {
+    const filters = {
+        botId: getArg('--bot'),
+        strategy: getArg('--strategy'),
+        instrument: getArg('--instrument'),
+        from: getArg('--from'),
+        to: getArg('--to')
+    };
+    const backtestFiles = getAllArgs('--backtest').map(file => path.resolve(file));
+    const journalDirectory = getArg('--journal');
+
+    const trades = [];
+
+    if (journalDirectory || backtestFiles.length === 0) {
+        const journal = new TradeJournal(journalDirectory ? { directory: path.resolve(journalDirectory) } : {});
+        const { entries } = await journal.query({ ...filters, type: 'CLOSE', limit: 5000 });
+        trades.push(...PerformanceReport.tradesFromJournal(entries));
+    }
+
+    for (const file of backtestFiles) {
+        const results = JSON.parse(fs.readFileSync(file, 'utf8'));
+        trades.push(...PerformanceReport.tradesFromBacktest(results).filter(trade => matchesFilters(trade, filters)));
+    }
+
+    const exporter = new PerformanceReport(getArg('--timezone') ? { timezone: getArg('--timezone') } : {});
+    const report = exporter.build(trades, { filters });
+
+    const outBase = path.resolve(getArg('--out') || `performance-report-${Date.now()}`);
+    fs.mkdirSync(path.dirname(outBase), { recursive: true });
+    fs.writeFileSync(`${outBase}.json`, exporter.toJSON(report));
+    fs.writeFileSync(`${outBase}.csv`, exporter.toCSV(report));
+    fs.writeFileSync(`${outBase}-trades.csv`, exporter.tradesToCSV(report));
+    fs.writeFileSync(`${outBase}.html`, exporter.toHTML(report));
+
+    const { overall } = report;
+    const format = value => (value === null ? '–' : (Number.isFinite(value) ? value.toFixed(2) : '∞'));
+
+    console.log('\n📊 Performance report');
+    console.log(`   Trades:        ${overall.trades} (${overall.wins}W / ${overall.losses}L, ${overall.winRate.toFixed(1)}%)`);
+    console.log(`   Net P&L:       $${overall.netPnL.toFixed(2)}`);
+    console.log(`   Expectancy:    $${overall.expectancy.toFixed(2)} (${format(overall.expectancyR)}R)`);
+    console.log(`   Profit factor: ${format(overall.profitFactor)}`);
+    console.log(`   Sharpe:        ${format(overall.sharpe)} | Sortino: ${format(overall.sortino)}`);
+    console.log(`   Max drawdown:  $${overall.maxDrawdown.toFixed(2)}`);
+    console.log(`   Report:        ${outBase}.html`);
+}
+
+function matchesFilters(trade, filters) {
+    if (filters.botId && trade.botId !== filters.botId) return false;
+    if (filters.strategy && trade.strategy !== filters.strategy) return false;
+    if (filters.instrument && instrumentRegistry.getSymbolRoot(trade.instrument) !== instrumentRegistry.getSymbolRoot(filters.instrument)) return false;
+    if (filters.from && new Date(trade.exitTime) < new Date(filters.from)) return false;
+    if (filters.to && new Date(trade.exitTime) > new Date(filters.to)) return false;
+    return true;
+}
+
+runReport().catch(error => {
+    console.error('❌ Report failed:', error.message);
+    process.exit(1);
+});
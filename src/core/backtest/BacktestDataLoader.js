@@ -0,0 +1,239 @@
+/**
+ * BacktestDataLoader - Loads historical bars or ticks for backtesting
+ *
+ * Accepts the same bar shape HistoricalDataService returns from
+ * /api/History/retrieveBars ({ t, o, h, l, c, v }) as JSON, plus CSV files
+ * with a header row. Tick files ({ timestamp, price, volume }) are also
+ * supported so recorded live data can be replayed as-is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Column aliases accepted in CSV headers and JSON objects
+const FIELD_ALIASES = {
+    t: ['t', 'time', 'timestamp', 'datetime', 'date'],
+    o: ['o', 'open'],
+    h: ['h', 'high'],
+    l: ['l', 'low'],
+    c: ['c', 'close'],
+    v: ['v', 'volume', 'size'],
+    price: ['price', 'last', 'p']
+};
+
+class BacktestDataLoader {
+    constructor(config = {}) {
+        this.config = {
+            // Default bar duration when it cannot be inferred from the data
+            defaultBarDurationMs: config.defaultBarDurationMs || 60000,
+            // Fallback volume for rows without one
+            defaultVolume: config.defaultVolume || 1000
+        };
+    }
+
+    /**
+     * Load a data file and return normalized records sorted oldest first
+     * @param {string} filePath - Path to a .json or .csv file
+     * @returns {Object} { type: 'bars'|'ticks', records: Array }
+     */
+    loadFile(filePath) {
+        const extension = path.extname(filePath).toLowerCase();
+        const content = fs.readFileSync(filePath, 'utf8');
+
+        let rows;
+        if (extension === '.json') {
+            rows = this.parseJSON(content);
+        } else if (extension === '.csv') {
+            rows = this.parseCSV(content);
+        } else {
+            throw new Error(`Unsupported backtest data format: ${extension || 'unknown'} (expected .json or .csv)`);
+        }
+
+        return this.normalize(rows, filePath);
+    }
+
+    /**
+     * Load several files and merge them into a single ordered series
+     */
+    loadFiles(filePaths) {
+        const results = filePaths.map(filePath => this.loadFile(filePath));
+        const types = new Set(results.map(result => result.type));
+
+        if (types.size > 1) {
+            throw new Error('Cannot mix bar and tick files in a single backtest');
+        }
+
+        const records = results
+            .flatMap(result => result.records)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        return { type: results[0]?.type || 'bars', records };
+    }
+
+    /**
+     * Parse JSON content - accepts a bare array or a HistoricalDataService response
+     */
+    parseJSON(content) {
+        const parsed = JSON.parse(content);
+
+        if (Array.isArray(parsed)) return parsed;
+        if (Array.isArray(parsed.bars)) return parsed.bars;
+        if (Array.isArray(parsed.data)) return parsed.data;
+        if (Array.isArray(parsed.ticks)) return parsed.ticks;
+
+        throw new Error('JSON backtest data must be an array or contain a bars/data/ticks array');
+    }
+
+    /**
+     * Parse simple comma-separated content with a header row
+     */
+    parseCSV(content) {
+        const lines = content.split(/\r?\n/).filter(line => line.trim().length > 0);
+        if (lines.length < 2) return [];
+
+        const headers = lines[0].split(',').map(header => header.trim().replace(/^"|"$/g, '').toLowerCase());
+
+        return lines.slice(1).map(line => {
+            const values = line.split(',').map(value => value.trim().replace(/^"|"$/g, ''));
+            const row = {};
+            headers.forEach((header, index) => {
+                row[header] = values[index];
+            });
+            return row;
+        });
+    }
+
+    /**
+     * Normalize raw rows into bars or ticks
+     */
+    normalize(rows, source) {
+        if (rows.length === 0) {
+            return { type: 'bars', records: [] };
+        }
+
+        const sample = this.lowerKeys(rows[0]);
+        const isBarData = this.pick(sample, 'c') !== undefined;
+        const isTickData = !isBarData && this.pick(sample, 'price') !== undefined;
+
+        if (!isBarData && !isTickData) {
+            throw new Error(`Unrecognized backtest data columns in ${source}: ${Object.keys(rows[0]).join(', ')}`);
+        }
+
+        const records = rows.map((raw, index) => {
+            const row = this.lowerKeys(raw);
+            const timestamp = this.parseTimestamp(this.pick(row, 't'));
+
+            if (timestamp === null) {
+                throw new Error(`Invalid timestamp at row ${index + 1} in ${source}`);
+            }
+
+            const volume = Number(this.pick(row, 'v'));
+
+            if (isTickData) {
+                return {
+                    timestamp,
+                    price: Number(this.pick(row, 'price')),
+                    volume: isNaN(volume) ? this.config.defaultVolume : volume
+                };
+            }
+
+            const close = Number(this.pick(row, 'c'));
+            return {
+                timestamp,
+                open: Number(this.pick(row, 'o') ?? close),
+                high: Number(this.pick(row, 'h') ?? close),
+                low: Number(this.pick(row, 'l') ?? close),
+                close,
+                volume: isNaN(volume) ? this.config.defaultVolume : volume
+            };
+        });
+
+        records.sort((a, b) => a.timestamp - b.timestamp);
+
+        return { type: isBarData ? 'bars' : 'ticks', records };
+    }
+
+    /**
+     * Expand bars into an intra-bar tick path (open, extremes, close)
+     * Bullish bars visit the low before the high, bearish bars the high first,
+     * which is the conventional pessimistic assumption for SL/TP ordering.
+     */
+    barsToTicks(bars) {
+        const ticks = [];
+        const barDuration = this.inferBarDuration(bars);
+
+        for (const bar of bars) {
+            const pricePath = bar.close >= bar.open ?
+                [bar.open, bar.low, bar.high, bar.close] :
+                [bar.open, bar.high, bar.low, bar.close];
+            const step = barDuration / pricePath.length;
+            const volumePerTick = bar.volume / pricePath.length;
+
+            pricePath.forEach((price, index) => {
+                ticks.push({
+                    timestamp: bar.timestamp + Math.floor(step * index),
+                    price,
+                    volume: volumePerTick,
+                    barTimestamp: bar.timestamp,
+                    isBarClose: index === pricePath.length - 1
+                });
+            });
+        }
+
+        return ticks;
+    }
+
+    /**
+     * Infer bar duration from the most common spacing between bars
+     */
+    inferBarDuration(bars) {
+        if (bars.length < 2) return this.config.defaultBarDurationMs;
+
+        const counts = new Map();
+        for (let i = 1; i < Math.min(bars.length, 200); i++) {
+            const gap = bars[i].timestamp - bars[i - 1].timestamp;
+            if (gap > 0) counts.set(gap, (counts.get(gap) || 0) + 1);
+        }
+
+        let bestGap = this.config.defaultBarDurationMs;
+        let bestCount = 0;
+        for (const [gap, count] of counts) {
+            if (count > bestCount) {
+                bestGap = gap;
+                bestCount = count;
+            }
+        }
+
+        return bestGap;
+    }
+
+    parseTimestamp(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        // Numeric epoch - treat values below 1e12 as seconds
+        if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(value)) {
+            const numeric = Number(value);
+            return numeric < 1e12 ? Math.round(numeric * 1000) : numeric;
+        }
+
+        const parsed = new Date(value).getTime();
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    pick(row, field) {
+        for (const alias of FIELD_ALIASES[field]) {
+            if (row[alias] !== undefined && row[alias] !== '') return row[alias];
+        }
+        return undefined;
+    }
+
+    lowerKeys(row) {
+        const result = {};
+        for (const [key, value] of Object.entries(row)) {
+            result[key.toLowerCase()] = value;
+        }
+        return result;
+    }
+}
+
+module.exports = BacktestDataLoader;
@@ -0,0 +1,279 @@
+/**
+ * BacktestEngine - Replays historical data through unmodified strategies
+ *
+ * Architecture: data files -> BacktestDataLoader -> BacktestTradingBot.processMarketData
+ *               -> strategy -> RiskManager -> SimulatedFillModel -> trades / equity curve
+ *
+ * The bot is built from the same YAML configuration as a live bot, so a
+ * backtest exercises exactly the strategy parameters that would go live.
+ */
+
+const EventEmitter = require('events');
+const BacktestDataLoader = require('./BacktestDataLoader');
+const BacktestTradingBot = require('./BacktestTradingBot');
+
+// Reported profit factor when there are winning trades but no losing ones
+const PROFIT_FACTOR_CAP = 999;
+
+class BacktestEngine extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        if (!config.botConfig) {
+            throw new Error('BacktestEngine requires a botConfig (parsed bot YAML)');
+        }
+
+        this.config = {
+            botConfig: config.botConfig,
+            dataFiles: config.dataFiles || [],
+            initialBalance: config.initialBalance ?? 50000,
+            slippageTicks: config.slippageTicks ?? 1,
+            commissionPerSide: config.commissionPerSide ?? 0.62,
+            // Defaults to the instrument's tick size
+            tickSize: config.tickSize || null,
+            // Trading day boundary used to reset daily P&L limits
+            tradingDayTimezone: config.tradingDayTimezone || 'America/New_York',
+            // Run the bot and its strategy on replay time so cooldowns behave as they would live
+            simulateClock: config.simulateClock !== false,
+            closeOpenPositionAtEnd: config.closeOpenPositionAtEnd !== false,
+            // Leading bars handed to the strategy's historical bootstrap instead of being traded
+            warmupBars: config.warmupBars ?? 50,
+            // Equity sampling interval for tick data (bars sample once per bar)
+            equityIntervalMs: config.equityIntervalMs || 60000
+        };
+
+        this.dataLoader = new BacktestDataLoader(config.dataLoader);
+        this.bot = null;
+        this.equityCurve = [];
+        this.errors = [];
+        this.currentTime = null;
+    }
+
+    /**
+     * Run the backtest
+     * @param {Object} data - Optional pre-loaded { type, records } instead of dataFiles
+     * @returns {Promise<Object>} { trades, equityCurve, summary }
+     */
+    async run(data = null) {
+        const dataset = data || this.dataLoader.loadFiles(this.config.dataFiles);
+
+        if (!dataset.records || dataset.records.length === 0) {
+            throw new Error('No historical data to backtest');
+        }
+
+        const warmupCount = dataset.type === 'bars' ?
+            Math.min(this.config.warmupBars, dataset.records.length - 1) : 0;
+        const warmupBars = dataset.records.slice(0, warmupCount);
+        const replayRecords = dataset.records.slice(warmupCount);
+
+        const ticks = dataset.type === 'bars' ?
+            this.dataLoader.barsToTicks(replayRecords) :
+            replayRecords;
+
+        this.currentTime = ticks[0].timestamp;
+
+        await this.initializeBot();
+        await this.warmUp(warmupBars);
+        await this.replay(ticks, dataset.type);
+
+        const results = this.buildResults(dataset);
+        this.emit('complete', results.summary);
+
+        return results;
+    }
+
+    /**
+     * Create the bot from the bot configuration
+     */
+    async initializeBot() {
+        const botConfig = {
+            ...this.config.botConfig,
+            // Backtests never write per-bot log files
+            logging: { ...(this.config.botConfig.logging || {}), outputs: { file: false } }
+        };
+
+        const fillModelConfig = {
+            slippageTicks: this.config.slippageTicks,
+            commissionPerSide: this.config.commissionPerSide
+        };
+        if (this.config.tickSize) {
+            fillModelConfig.tickSize = this.config.tickSize;
+        }
+
+        this.bot = new BacktestTradingBot(botConfig, fillModelConfig);
+        if (this.config.simulateClock) {
+            this.bot.setClock({ now: () => this.currentTime });
+        }
+
+        this.bot.on('positionClosed', ({ trade }) => {
+            this.emit('trade', trade);
+        });
+
+        // Strategy exceptions are recorded against replay time rather than aborting the run
+        this.bot.on('error', ({ context, error }) => {
+            this.errors.push({
+                timestamp: new Date(this.currentTime).toISOString(),
+                context,
+                message: error.message
+            });
+        });
+
+        await this.bot.initialize();
+        await this.bot.start();
+    }
+
+    /**
+     * Bootstrap strategy indicators the same way live bots do from HistoricalDataService
+     */
+    async warmUp(bars) {
+        const strategy = this.bot.strategy;
+        if (bars.length === 0 || typeof strategy?.initializeWithHistoricalData !== 'function') {
+            return;
+        }
+
+        // Only strategies that accept bars - others (PDH/PDL) fetch their own bootstrap data
+        if (strategy.initializeWithHistoricalData.length === 0) {
+            return;
+        }
+
+        const historicalBars = bars.map(bar => ({
+            t: new Date(bar.timestamp).toISOString(),
+            o: bar.open,
+            h: bar.high,
+            l: bar.low,
+            c: bar.close,
+            v: bar.volume
+        }));
+
+        const success = await strategy.initializeWithHistoricalData(historicalBars);
+        this.emit('warmup', { bars: bars.length, success: success !== false });
+    }
+
+    /**
+     * Feed every tick through the bot in order
+     */
+    async replay(ticks, dataType) {
+        let currentTradingDay = null;
+        let lastEquityBucket = null;
+
+        for (const tick of ticks) {
+            this.currentTime = tick.timestamp;
+
+            const tradingDay = this.getTradingDay(tick.timestamp);
+            if (tradingDay !== currentTradingDay) {
+                if (currentTradingDay !== null) {
+                    this.resetDailyLimits();
+                }
+                currentTradingDay = tradingDay;
+            }
+
+            await this.bot.processMarketData(tick.price, tick.volume, new Date(tick.timestamp));
+
+            if (dataType === 'bars') {
+                if (tick.isBarClose) this.recordEquity(tick);
+            } else {
+                const bucket = Math.floor(tick.timestamp / this.config.equityIntervalMs);
+                if (bucket !== lastEquityBucket) {
+                    this.recordEquity(tick);
+                    lastEquityBucket = bucket;
+                }
+            }
+        }
+
+        const lastTick = ticks[ticks.length - 1];
+        if (this.bot.state.currentPosition && this.config.closeOpenPositionAtEnd) {
+            this.bot.closePosition(this.bot.state.currentPosition, lastTick.price, 'END_OF_DATA');
+        }
+        this.recordEquity(lastTick);
+
+        this.bot.state.status = 'STOPPED';
+    }
+
+    /**
+     * Reset daily loss/profit tracking at the trading day boundary
+     */
+    resetDailyLimits() {
+        this.bot.resetDailyStats();
+        this.bot.riskManager?.resetDailyMetrics();
+        // TradingBot latches emergencyStop when the daily loss limit is hit
+        this.bot.config.emergencyStop = false;
+    }
+
+    /**
+     * Record a mark-to-market equity point
+     */
+    recordEquity(tick) {
+        const realized = this.bot.state.totalPnL;
+        const unrealized = this.bot.getUnrealizedPnL(tick.price);
+        const equity = this.config.initialBalance + realized + unrealized;
+        const peak = this.equityCurve.length > 0 ?
+            Math.max(this.equityCurve[this.equityCurve.length - 1].peak, equity) :
+            Math.max(this.config.initialBalance, equity);
+
+        this.equityCurve.push({
+            timestamp: new Date(tick.timestamp).toISOString(),
+            equity,
+            realizedPnL: realized,
+            unrealizedPnL: unrealized,
+            peak,
+            drawdown: peak - equity
+        });
+    }
+
+    /**
+     * Assemble trade list, equity curve and summary statistics
+     */
+    buildResults(dataset) {
+        const trades = this.bot.trades;
+        const wins = trades.filter(trade => trade.netPnL > 0);
+        const losses = trades.filter(trade => trade.netPnL <= 0);
+        const grossProfit = wins.reduce((sum, trade) => sum + trade.netPnL, 0);
+        const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.netPnL, 0));
+        const netPnL = trades.reduce((sum, trade) => sum + trade.netPnL, 0);
+        const maxDrawdown = this.equityCurve.reduce((max, point) => Math.max(max, point.drawdown), 0);
+        const maxDrawdownPoint = this.equityCurve.find(point => point.drawdown === maxDrawdown);
+
+        const records = dataset.records;
+
+        return {
+            trades,
+            equityCurve: this.equityCurve,
+            errors: this.errors,
+            summary: {
+                botId: this.bot.botId,
+                strategyType: this.bot.runtimeConfig.strategyType,
+                instrument: this.bot.runtimeConfig.instrument,
+                dataType: dataset.type,
+                dataPoints: records.length,
+                startTime: new Date(records[0].timestamp).toISOString(),
+                endTime: new Date(records[records.length - 1].timestamp).toISOString(),
+                initialBalance: this.config.initialBalance,
+                finalEquity: this.config.initialBalance + netPnL,
+                netPnL,
+                totalTrades: trades.length,
+                winningTrades: wins.length,
+                losingTrades: losses.length,
+                winRate: trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+                grossProfit,
+                grossLoss,
+                // Capped without losing trades so the summary stays valid JSON
+                profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? PROFIT_FACTOR_CAP : 0),
+                profitFactorCapped: grossLoss === 0 && grossProfit > 0,
+                averageTrade: trades.length > 0 ? netPnL / trades.length : 0,
+                totalCommission: trades.reduce((sum, trade) => sum + trade.commission, 0),
+                maxDrawdown,
+                maxDrawdownPercent: maxDrawdownPoint && maxDrawdownPoint.peak > 0 ?
+                    (maxDrawdown / maxDrawdownPoint.peak) * 100 : 0,
+                signalsGenerated: this.bot.state.signalsGenerated,
+                signalsBlocked: this.bot.state.signalsFailed,
+                errors: this.errors.length
+            }
+        };
+    }
+
+    getTradingDay(timestamp) {
+        return new Date(timestamp).toLocaleDateString('en-CA', { timeZone: this.config.tradingDayTimezone });
+    }
+}
+
+module.exports = BacktestEngine;
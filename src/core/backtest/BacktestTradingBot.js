@@ -0,0 +1,198 @@
+/**
+ * BacktestTradingBot - TradingBot variant driven by historical data
+ *
+ * Reuses TradingBot's strategy loading, risk validation and signal handling
+ * unchanged; only the simulated execution path is replaced so fills come from
+ * the SimulatedFillModel and SL/TP are evaluated synchronously on every
+ * replayed tick instead of on a wall-clock timer.
+ */
+
+const TradingBot = require('../trading/TradingBot');
+const SimulatedFillModel = require('./SimulatedFillModel');
+
+class BacktestTradingBot extends TradingBot {
+    constructor(config, fillModelConfig = {}) {
+        super({
+            ...config,
+            testMode: true,
+            marketDataSource: 'BACKTEST',
+            aggregator: { ...(config.aggregator || {}), enabled: false }
+        });
+
+        this.fillModel = new SimulatedFillModel({
+            dollarPerPoint: this.getInstrumentMultiplier(config.instrument),
+            tickSize: this.getInstrumentTickSize(config.instrument),
+            ...fillModelConfig
+        });
+        this.trades = [];
+
+        // Strategies consult mainBot.modules.positionManagement to enforce one trade at a time
+        this.modules = {
+            positionManagement: {
+                getAllPositions: () => this.state.currentPosition ?
+                    [{ ...this.state.currentPosition, size: this.state.currentPosition.positionSize }] : [],
+                hasPosition: () => !!this.state.currentPosition
+            }
+        };
+    }
+
+    /**
+     * Process a replayed tick - exits are evaluated before the strategy sees the price
+     */
+    async processMarketData(price, volume, timestamp) {
+        if (this.state.currentPosition) {
+            // The exit tick counts toward the trade's excursion
+            this.updatePositionExcursion(price);
+            
+            const exit = this.fillModel.checkExit(this.state.currentPosition, price);
+            if (exit) {
+                this.state.lastTimestamp = timestamp;
+                this.recordExit(this.state.currentPosition, exit);
+            }
+        }
+
+        await super.processMarketData(price, volume, timestamp);
+    }
+
+    /**
+     * Open a simulated position through the fill model
+     */
+    async simulateSignalExecution(signal) {
+        if (this.state.currentPosition) {
+            this.log('warn', 'Signal ignored - position already open', { direction: signal.direction });
+            return;
+        }
+
+        const fill = this.fillModel.fillEntry(signal.direction, this.state.lastPrice, signal.positionSize || 1);
+        const openTime = new Date(this.state.lastTimestamp);
+
+        const position = {
+            id: `bt_pos_${this.trades.length + 1}`,
+            signalId: signal.id || `sig_${openTime.getTime()}`,
+            instrument: this.runtimeConfig.instrument,
+            direction: signal.direction,
+            signalPrice: signal.entryPrice,
+            entryPrice: fill.fillPrice,
+            stopLoss: signal.stopLoss,
+            takeProfit: signal.takeProfit,
+            positionSize: fill.quantity,
+            openTime,
+            status: 'OPEN',
+            unrealizedPnL: 0,
+            entryCommission: fill.commission,
+            entrySlippage: fill.slippage,
+            strategyName: signal.strategyName,
+            reason: signal.reason
+        };
+
+        this.trackPositionExcursion(position, signal);
+        this.state.currentPosition = position;
+        this.state.signalsExecuted++;
+        this.state.tradeCount++;
+
+        this.emit('positionOpened', { position, signal });
+        
+        this.startExitManagement(position);
+    }
+    
+    /**
+     * Scale out part of the position through the fill model
+     */
+    simulatePartialExit(position, quantity, price) {
+        const exit = this.fillModel.fillExit(position, price, 'PARTIAL_EXIT', true, quantity);
+        this.recordExit(position, exit);
+    }
+
+    /**
+     * Exits are checked per tick in processMarketData - no timer needed
+     */
+    monitorPosition() {}
+
+    /**
+     * Close a position at market (strategy close or end of backtest)
+     */
+    closePosition(position, closePrice, reason) {
+        const exit = this.fillModel.fillExit(position, closePrice, reason, true);
+        this.recordExit(position, exit);
+    }
+
+    /**
+     * Mark-to-market P&L of the open position at a price
+     */
+    getUnrealizedPnL(price) {
+        const position = this.state.currentPosition;
+        if (!position) return 0;
+
+        return this.fillModel.calculatePnL(position.direction, position.entryPrice, price, position.positionSize);
+    }
+
+    /**
+     * Book a completed trade (or the scaled-out part of a position)
+     */
+    recordExit(position, exit) {
+        const isPartial = exit.quantity < position.positionSize;
+        const grossPnL = this.fillModel.calculatePnL(position.direction, position.entryPrice, exit.fillPrice, exit.quantity);
+        // Entry commission is allocated to each exit by contract count
+        const entryCommission = position.entryCommission * (exit.quantity / position.positionSize);
+        const commission = entryCommission + exit.commission;
+        const realizedPnL = grossPnL - commission;
+        const closeTime = new Date(this.state.lastTimestamp);
+
+        if (isPartial) {
+            position.positionSize -= exit.quantity;
+            position.entryCommission -= entryCommission;
+        } else {
+            position.closePrice = exit.fillPrice;
+            position.closeTime = closeTime;
+            position.closeReason = exit.reason;
+            position.realizedPnL = realizedPnL;
+            position.status = 'CLOSED';
+        }
+
+        this.state.dailyPnL += realizedPnL;
+        this.state.totalPnL += realizedPnL;
+        if (realizedPnL > 0) {
+            this.state.winCount++;
+        } else {
+            this.state.lossCount++;
+        }
+
+        const trade = {
+            id: position.id,
+            strategyName: position.strategyName,
+            subStrategy: position.subStrategy,
+            direction: position.direction,
+            quantity: exit.quantity,
+            signalPrice: position.signalPrice,
+            entryPrice: position.entryPrice,
+            exitPrice: exit.fillPrice,
+            stopLoss: position.stopLoss,
+            takeProfit: position.takeProfit,
+            entryTime: position.openTime.toISOString(),
+            exitTime: closeTime.toISOString(),
+            durationMs: closeTime - position.openTime,
+            exitReason: exit.reason,
+            grossPnL,
+            commission,
+            slippage: position.entrySlippage + exit.slippage,
+            netPnL: realizedPnL,
+            ...this.getTradeExcursion(position, exit.quantity),
+            entryReason: position.reason
+        };
+
+        this.trades.push(trade);
+
+        if (isPartial) {
+            this.emit('partialExit', { position, trade });
+            return;
+        }
+
+        this.state.positionHistory.push({ ...position });
+        this.state.currentPosition = null;
+        this.exitManager?.closePosition();
+
+        this.emit('positionClosed', { position, reason: exit.reason, trade });
+    }
+}
+
+module.exports = BacktestTradingBot;
@@ -0,0 +1,102 @@
+/**
+ * SimulatedFillModel - Deterministic fill model for backtests
+ *
+ * Market orders fill at the current price plus adverse slippage, stop losses
+ * fill at the stop (or the gap price if the market jumped through it) and
+ * take profits fill exactly at the limit. Commission is charged per side per
+ * contract so round-trip costs match the broker statement.
+ */
+
+class SimulatedFillModel {
+    constructor(config = {}) {
+        this.config = {
+            tickSize: config.tickSize || 0.1,
+            dollarPerPoint: config.dollarPerPoint || 10,
+            slippageTicks: config.slippageTicks ?? 1,
+            commissionPerSide: config.commissionPerSide ?? 0.62 // $1.24 round trip, same as TradingBot simulation
+        };
+    }
+
+    /**
+     * Fill a market entry
+     * @param {string} direction - LONG/BUY or SHORT/SELL
+     * @param {number} marketPrice - Price of the tick the order is filled on
+     * @param {number} quantity - Contracts
+     */
+    fillEntry(direction, marketPrice, quantity) {
+        const isLong = this.isLong(direction);
+        const slippage = this.config.slippageTicks * this.config.tickSize;
+        const fillPrice = this.roundToTick(isLong ? marketPrice + slippage : marketPrice - slippage);
+
+        return {
+            fillPrice,
+            quantity,
+            slippage: Math.abs(fillPrice - marketPrice),
+            commission: this.config.commissionPerSide * quantity
+        };
+    }
+
+    /**
+     * Check whether an open position's stop or target was hit by a tick
+     * @returns {Object|null} Exit fill or null if the position stays open
+     */
+    checkExit(position, price) {
+        const isLong = this.isLong(position.direction);
+
+        if (position.stopLoss !== undefined && position.stopLoss !== null) {
+            const stopHit = isLong ? price <= position.stopLoss : price >= position.stopLoss;
+            if (stopHit) {
+                // Gapped through the stop - fill at the worse tick price
+                const stopPrice = isLong ? Math.min(price, position.stopLoss) : Math.max(price, position.stopLoss);
+                return this.fillExit(position, stopPrice, 'STOP_LOSS', true);
+            }
+        }
+
+        if (position.takeProfit !== undefined && position.takeProfit !== null) {
+            const targetHit = isLong ? price >= position.takeProfit : price <= position.takeProfit;
+            if (targetHit) {
+                return this.fillExit(position, position.takeProfit, 'TAKE_PROFIT', false);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Fill an exit for an open position
+     * @param {boolean} applySlippage - Stops and market exits slip, limit targets do not
+     * @param {number} quantity - Contracts to exit (defaults to the whole position)
+     */
+    fillExit(position, price, reason, applySlippage = true, quantity = position.positionSize) {
+        const isLong = this.isLong(position.direction);
+        const slippage = applySlippage ? this.config.slippageTicks * this.config.tickSize : 0;
+        const fillPrice = this.roundToTick(isLong ? price - slippage : price + slippage);
+
+        return {
+            fillPrice,
+            quantity,
+            reason,
+            slippage: Math.abs(fillPrice - price),
+            commission: this.config.commissionPerSide * quantity
+        };
+    }
+
+    /**
+     * Calculate P&L for a price move in dollars (before commission)
+     */
+    calculatePnL(direction, entryPrice, exitPrice, quantity) {
+        const points = this.isLong(direction) ? exitPrice - entryPrice : entryPrice - exitPrice;
+        return points * quantity * this.config.dollarPerPoint;
+    }
+
+    isLong(direction) {
+        return direction === 'LONG' || direction === 'BUY';
+    }
+
+    roundToTick(price) {
+        const tickSize = this.config.tickSize;
+        return parseFloat((Math.round(price / tickSize) * tickSize).toFixed(10));
+    }
+}
+
+module.exports = SimulatedFillModel;
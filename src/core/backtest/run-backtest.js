@@ -0,0 +1,70 @@
+/**
+ * Run a historical backtest from the command line
+ *
+ * Usage:
+ *   node src/core/backtest/run-backtest.js --config config/bots/BOT_1.yaml --data bars.json [--data more.csv]
+ *        [--out results.json] [--balance 50000] [--slippage 1] [--commission 0.62] [--silent]
+ */
+
+require('../../../shared/utils/silentConsole');
+const BacktestEngine = require('./BacktestEngine');
+const yaml = require('js-yaml');
+const fs = require('fs');
+const path = require('path');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+function getArg(name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+function getAllArgs(name) {
+    return args
+        .map((arg, index) => (arg === name ? args[index + 1] : null))
+        .filter(Boolean);
+}
+
+async function runBacktest() {
+    const rawConfigPath = getArg('--config');
+    const dataFiles = getAllArgs('--data').map(file => path.resolve(file));
+
+    if (!rawConfigPath || dataFiles.length === 0) {
+        console.error('Missing required arguments: --config <bot.yaml> and --data <file.json|file.csv>');
+        process.exit(1);
+    }
+
+    const botConfig = yaml.load(fs.readFileSync(path.resolve(rawConfigPath), 'utf8'));
+
+    const engine = new BacktestEngine({
+        botConfig,
+        dataFiles,
+        initialBalance: getArg('--balance') !== undefined ? Number(getArg('--balance')) : undefined,
+        slippageTicks: getArg('--slippage') !== undefined ? Number(getArg('--slippage')) : undefined,
+        commissionPerSide: getArg('--commission') !== undefined ? Number(getArg('--commission')) : undefined
+    });
+
+    console.log(`🧪 Backtesting ${botConfig.botId || 'bot'} (${botConfig.strategy?.type}) on ${dataFiles.length} file(s)`);
+
+    const results = await engine.run();
+    const { summary } = results;
+
+    const outPath = path.resolve(getArg('--out') || `backtest-${summary.botId}-${Date.now()}.json`);
+    fs.writeFileSync(outPath, JSON.stringify(results, null, 2));
+
+    // Summary always goes to the original console so --silent still reports results
+    const output = global._originalConsole?.log || console.log;
+    output('\n📊 Backtest complete');
+    output(`   Period:        ${summary.startTime} -> ${summary.endTime}`);
+    output(`   Trades:        ${summary.totalTrades} (${summary.winningTrades}W / ${summary.losingTrades}L, ${summary.winRate.toFixed(1)}%)`);
+    output(`   Net P&L:       $${summary.netPnL.toFixed(2)}`);
+    output(`   Profit factor: ${summary.profitFactor.toFixed(2)}${summary.profitFactorCapped ? ' (capped - no losing trades)' : ''}`);
+    output(`   Max drawdown:  $${summary.maxDrawdown.toFixed(2)} (${summary.maxDrawdownPercent.toFixed(2)}%)`);
+    output(`   Results:       ${outPath}`);
+}
+
+runBacktest().catch(error => {
+    console.error('❌ Backtest failed:', error.message);
+    process.exit(1);
+});
@@ -6,6 +6,7 @@
 
 const EventEmitter = require('events');
 const redis = require('redis');
+const { RpcClient } = require('../../../shared/modules/messaging/RedisRpc');
 
 class PnLModule extends EventEmitter {
     constructor(config = {}) {
@@ -30,8 +31,16 @@ class PnLModule extends EventEmitter {
         this.redisClient = null;
         this.subscriber = null;
         
-        // Active requests tracking
-        this.pendingRequests = new Map();
+        // Requests to the aggregator, answered on pnl:responses
+        this.rpc = new RpcClient({
+            service: 'PNL_MODULE',
+            requestChannel: 'aggregator:pnl_requests',
+            responseChannel: 'pnl:responses',
+            timeoutMs: this.config.requestTimeout,
+            requestIdPrefix: 'pnl',
+            publish: (channel, message) => this.redisClient.publish(channel, JSON.stringify(message)),
+            subscribe: (channel, onMessage) => this.subscriber.subscribe(channel, onMessage)
+        });
         
         console.log('💰 P&L Module initialized');
         console.log(`   Refresh interval: ${this.config.refreshInterval}ms`);
@@ -64,10 +73,8 @@ class PnLModule extends EventEmitter {
             await this.redisClient.connect();
             await this.subscriber.connect();
             
-            // Subscribe to P&L response channel with proper Redis v4 pattern
-            await this.subscriber.subscribe('pnl:responses', (message) => {
-                this.handleResponse(message);
-            });
+            // Subscribe to P&L response channel
+            await this.rpc.listen('pnl:responses');
             
             this.state.connected = true;
             this.log('✅ P&L Module connected to Redis');
@@ -94,34 +101,16 @@ class PnLModule extends EventEmitter {
         }
         
         try {
-            const requestId = this.generateRequestId('position_pnl');
-            
-            // Create request
-            const request = {
-                type: 'GET_POSITION_PNL',
-                requestId: requestId,
-                positionId: positionId,
-                accountId: accountId,
-                timestamp: Date.now()
-            };
-            
             this.log(`📤 Requesting position P&L for position ${positionId}`);
             
-            // Send request to aggregator
-            await this.redisClient.publish('aggregator:pnl_requests', JSON.stringify(request));
+            // Send request to aggregator and wait for response
+            const response = await this.rpc.call('GET_POSITION_PNL', { positionId, accountId });
             
-            // Wait for response
-            const response = await this.waitForResponse(requestId);
+            // Cache position data
+            this.state.positions.set(positionId, response.position);
+            this.log(`✅ Position P&L retrieved: ${response.position.unrealizedPnL}`);
             
-            if (response.success) {
-                // Cache position data
-                this.state.positions.set(positionId, response.position);
-                this.log(`✅ Position P&L retrieved: ${response.position.unrealizedPnL}`);
-                
-                return response.position;
-            } else {
-                throw new Error(response.error || 'Failed to get position P&L');
-            }
+            return response.position;
             
         } catch (error) {
             this.log(`❌ Get position P&L failed: ${error.message}`);
@@ -138,12 +127,8 @@ class PnLModule extends EventEmitter {
         }
         
         try {
-            const requestId = this.generateRequestId('trade_search');
-            
             // Create search request
             const request = {
-                type: 'SEARCH_TRADES',
-                requestId: requestId,
                 searchParams: {
                     accountId: searchParams.accountId,
                     symbol: searchParams.symbol,
@@ -151,32 +136,24 @@ class PnLModule extends EventEmitter {
                     endDate: searchParams.endDate || new Date().toISOString(),
                     status: searchParams.status || 'FILLED',
                     ...searchParams
-                },
-                timestamp: Date.now()
+                }
             };
             
             this.log(`📤 Searching trades with params:`, request.searchParams);
             
-            // Send request to aggregator
-            await this.redisClient.publish('aggregator:pnl_requests', JSON.stringify(request));
+            // Send request to aggregator and wait for response
+            const response = await this.rpc.call('SEARCH_TRADES', request);
             
-            // Wait for response
-            const response = await this.waitForResponse(requestId);
-            
-            if (response.success) {
-                // Cache trade data
-                if (response.trades && Array.isArray(response.trades)) {
-                    response.trades.forEach(trade => {
-                        this.state.trades.set(trade.id || trade.tradeId, trade);
-                    });
-                }
-                
-                this.log(`✅ Retrieved ${response.trades?.length || 0} trades`);
-                return response.trades || [];
-            } else {
-                throw new Error(response.error || 'Failed to search trades');
+            // Cache trade data
+            if (response.trades && Array.isArray(response.trades)) {
+                response.trades.forEach(trade => {
+                    this.state.trades.set(trade.id || trade.tradeId, trade);
+                });
             }
             
+            this.log(`✅ Retrieved ${response.trades?.length || 0} trades`);
+            return response.trades || [];
+            
         } catch (error) {
             this.log(`❌ Trade search failed: ${error.message}`);
             throw error;
@@ -192,51 +169,36 @@ class PnLModule extends EventEmitter {
         }
         
         try {
-            const requestId = this.generateRequestId('account_pnl');
+            this.log(`📤 Requesting account P&L for account: ${accountId}`);
             
-            // Create account P&L request
-            const request = {
-                type: 'GET_ACCOUNT_PNL',
-                requestId: requestId,
+            // Send request to aggregator and wait for response
+            const response = await this.rpc.call('GET_ACCOUNT_PNL', {
                 accountId: accountId,
-                date: new Date().toISOString().split('T')[0], // Today's date
-                timestamp: Date.now()
-            };
-            
-            this.log(`📤 Requesting account P&L for account: ${accountId}, requestId: ${requestId}`);
+                date: new Date().toISOString().split('T')[0] // Today's date
+            });
             
-            // Send request to aggregator
-            await this.redisClient.publish('aggregator:pnl_requests', JSON.stringify(request));
+            // Cache account P&L
+            this.state.accountPnL.set(accountId, response.pnl);
+            this.state.dailyPnL = response.pnl.dailyPnL || 0;
             
-            // Wait for response
-            const response = await this.waitForResponse(requestId);
+            // Include positions in the response for rich UI integration
+            const enrichedPnL = {
+                ...response.pnl,
+                // Include positions from both pnl.positions and top-level positions
+                positions: response.positions || response.pnl.positions || []
+            };
             
-            if (response.success) {
-                // Cache account P&L
-                this.state.accountPnL.set(accountId, response.pnl);
-                this.state.dailyPnL = response.pnl.dailyPnL || 0;
-                
-                // Include positions in the response for rich UI integration
-                const enrichedPnL = {
-                    ...response.pnl,
-                    // Include positions from both pnl.positions and top-level positions
-                    positions: response.positions || response.pnl.positions || []
-                };
-                
-                this.log(`✅ Account P&L retrieved: ${response.pnl.dailyPnL}, ${enrichedPnL.positions.length} positions included`);
-                this.log(`🔍 [DEBUG] Response structure:`, {
-                    hasResponsePositions: !!(response.positions),
-                    hasResponsePnLPositions: !!(response.pnl.positions),
-                    responsePositionsLength: response.positions?.length || 0,
-                    responsePnLPositionsLength: response.pnl.positions?.length || 0,
-                    enrichedPositionsLength: enrichedPnL.positions.length,
-                    responseKeys: Object.keys(response),
-                    pnlKeys: Object.keys(response.pnl)
-                });
-                return enrichedPnL;
-            } else {
-                throw new Error(response.error || 'Failed to get account P&L');
-            }
+            this.log(`✅ Account P&L retrieved: ${response.pnl.dailyPnL}, ${enrichedPnL.positions.length} positions included`);
+            this.log(`🔍 [DEBUG] Response structure:`, {
+                hasResponsePositions: !!(response.positions),
+                hasResponsePnLPositions: !!(response.pnl.positions),
+                responsePositionsLength: response.positions?.length || 0,
+                responsePnLPositionsLength: response.pnl.positions?.length || 0,
+                enrichedPositionsLength: enrichedPnL.positions.length,
+                responseKeys: Object.keys(response),
+                pnlKeys: Object.keys(response.pnl)
+            });
+            return enrichedPnL;
             
         } catch (error) {
             this.log(`❌ Get account P&L failed: ${error.message}`);
@@ -274,66 +236,6 @@ class PnLModule extends EventEmitter {
         return summary;
     }
     
-    /**
-     * Handle response from aggregator
-     */
-    handleResponse(message) {
-        try {
-            const response = JSON.parse(message);
-            const { requestId } = response;
-            
-            if (requestId && this.pendingRequests.has(requestId)) {
-                const { resolve, reject, timeout } = this.pendingRequests.get(requestId);
-                
-                // Clear timeout
-                if (timeout) {
-                    clearTimeout(timeout);
-                }
-                
-                // Remove from pending requests
-                this.pendingRequests.delete(requestId);
-                
-                // Resolve or reject based on response
-                if (response.success) {
-                    resolve(response);
-                } else {
-                    reject(new Error(response.error || 'Request failed'));
-                }
-            }
-            
-        } catch (error) {
-            this.log(`❌ Response handling error: ${error.message}`);
-        }
-    }
-    
-    /**
-     * Wait for response to a request
-     */
-    waitForResponse(requestId) {
-        return new Promise((resolve, reject) => {
-            // Set timeout
-            const timeout = setTimeout(() => {
-                this.pendingRequests.delete(requestId);
-                reject(new Error('Request timeout'));
-            }, this.config.requestTimeout);
-            
-            // Store request promise
-            this.pendingRequests.set(requestId, {
-                resolve,
-                reject,
-                timeout,
-                timestamp: Date.now()
-            });
-        });
-    }
-    
-    /**
-     * Generate unique request ID
-     */
-    generateRequestId(type) {
-        return `pnl_${type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    }
-    
     /**
      * Get start of today for date filtering
      */
@@ -402,13 +304,8 @@ class PnLModule extends EventEmitter {
             // Stop periodic refresh
             this.stopPeriodicRefresh();
             
-            // Clear pending requests
-            this.pendingRequests.forEach(({ timeout }) => {
-                if (timeout) {
-                    clearTimeout(timeout);
-                }
-            });
-            this.pendingRequests.clear();
+            // Fail pending requests
+            this.rpc.close('P&L Module disconnected');
             
             // Close Redis connections
             if (this.subscriber) {
@@ -441,7 +338,8 @@ class PnLModule extends EventEmitter {
             trades: this.state.trades.size,
             dailyPnL: this.state.dailyPnL,
             activeAccounts: this.state.accountPnL.size,
-            pendingRequests: this.pendingRequests.size,
+            pendingRequests: this.rpc.pending.size,
+            rpc: this.rpc.getMetrics(),
             config: {
                 refreshInterval: this.config.refreshInterval,
                 requestTimeout: this.config.requestTimeout
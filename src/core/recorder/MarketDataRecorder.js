@@ -0,0 +1,207 @@
+/**
+ * MarketDataRecorder - Records the market:data channel to disk
+ *
+ * Subscribes to market:data, keeps every QUOTE, TRADE and DEPTH message per
+ * contract and builds 1-minute bars from the trades with SessionBarAggregator,
+ * aligned to the exchange session like the Connection Manager's bars. Batches are
+ * flushed to MarketDataStore (compressed daily files) every flushIntervalMs;
+ * days past retentionDays are deleted. Read recordings back with
+ * MarketDataStore - the recorder only writes.
+ */
+
+const EventEmitter = require('events');
+const redis = require('redis');
+const MarketDataStore = require('../../../shared/modules/market-data/MarketDataStore');
+const SessionBarAggregator = require('../../../shared/modules/market-data/SessionBarAggregator');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class MarketDataRecorder extends EventEmitter {
+    /**
+     * @param {Object} config - { redisConfig, channel, directory, types, flushIntervalMs,
+     *                            retentionDays, pruneIntervalMs }
+     */
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            redisConfig: { url: 'redis://localhost:6379' },
+            channel: 'market:data',
+            directory: undefined,
+            types: MarketDataStore.TICK_TYPES,
+            flushIntervalMs: 5000,
+            retentionDays: 30,
+            pruneIntervalMs: HOUR_MS,
+            ...config
+        };
+
+        this.store = new MarketDataStore(this.config.directory ? { directory: this.config.directory } : {});
+        this.barAggregator = new SessionBarAggregator({ timeframes: ['1m'] });
+
+        this.subscriber = null;
+        this.flushTimer = null;
+        this.pruneTimer = null;
+        this.running = false;
+
+        this.pendingTicks = new Map();
+        this.pendingBars = new Map();
+
+        this.stats = {
+            messagesReceived: 0,
+            ticksRecorded: 0,
+            barsRecorded: 0,
+            byType: {},
+            contracts: new Set(),
+            lastMessageAt: null,
+            lastFlushAt: null,
+            filesPruned: 0,
+            startedAt: null
+        };
+
+        this.barAggregator.on('bar', bar => this.queueBar(bar));
+    }
+
+    async start() {
+        if (this.running) return;
+
+        this.subscriber = redis.createClient(this.config.redisConfig);
+        this.subscriber.on('error', error => console.error('❌ Recorder Redis error:', error.message));
+        await this.subscriber.connect();
+        await this.subscriber.subscribe(this.config.channel, message => this.handleMessage(message));
+
+        this.running = true;
+        this.stats.startedAt = new Date().toISOString();
+
+        this.flushTimer = setInterval(() => {
+            this.flush().catch(error => console.error('❌ Recorder flush failed:', error.message));
+        }, this.config.flushIntervalMs);
+
+        await this.prune();
+        this.pruneTimer = setInterval(() => {
+            this.prune().catch(error => console.error('❌ Recorder retention failed:', error.message));
+        }, this.config.pruneIntervalMs);
+
+        console.log(`🎙️ Recording ${this.config.types.join('/')} from ${this.config.channel} to ${this.store.config.directory} (${this.config.retentionDays} days kept)`);
+    }
+
+    async stop() {
+        if (!this.running) return;
+        this.running = false;
+
+        clearInterval(this.flushTimer);
+        clearInterval(this.pruneTimer);
+        this.flushTimer = null;
+        this.pruneTimer = null;
+
+        if (this.subscriber) {
+            await this.subscriber.unsubscribe(this.config.channel).catch(() => {});
+            await this.subscriber.disconnect().catch(() => {});
+            this.subscriber = null;
+        }
+
+        // The bar in progress is written as well - a restart starts a new one
+        for (const contractId of this.stats.contracts) {
+            this.barAggregator.completeSymbol(contractId);
+        }
+        await this.flush();
+
+        console.log(`🎙️ Recorder stopped (${this.stats.ticksRecorded} ticks, ${this.stats.barsRecorded} bars recorded)`);
+    }
+
+    handleMessage(message) {
+        let envelope;
+        try {
+            envelope = JSON.parse(message);
+        } catch (error) {
+            return;
+        }
+
+        // { type: 'market:data' | 'MARKET_DATA', payload: { instrument, type, data }, timestamp }
+        // Replayed sessions are already on disk
+        if (envelope.replay) return;
+
+        const payload = envelope.payload || envelope;
+        if (!payload.instrument || !payload.data || !this.config.types.includes(payload.type)) return;
+
+        this.record(payload, envelope.timestamp || Date.now());
+    }
+
+    /**
+     * Record one market:data payload
+     * @param {Object} payload - { instrument, type, data }
+     * @param {number} publishedAt - Envelope timestamp (ms)
+     */
+    record(payload, publishedAt = Date.now()) {
+        this.stats.messagesReceived++;
+
+        const contractId = payload.instrument;
+        const t = Number(publishedAt) || Date.now();
+
+        if (!this.pendingTicks.has(contractId)) this.pendingTicks.set(contractId, []);
+        this.pendingTicks.get(contractId).push({ t, type: payload.type, data: payload.data });
+
+        const trade = SessionBarAggregator.toTrade(payload, t);
+        if (trade) this.barAggregator.processTrade(trade);
+
+        this.stats.byType[payload.type] = (this.stats.byType[payload.type] || 0) + 1;
+        this.stats.contracts.add(contractId);
+        this.stats.lastMessageAt = t;
+    }
+
+    queueBar(bar) {
+        const { complete, ...stored } = bar;
+        if (!this.pendingBars.has(bar.symbol)) this.pendingBars.set(bar.symbol, []);
+        this.pendingBars.get(bar.symbol).push(stored);
+    }
+
+    /**
+     * Write everything received so far; bars whose minute has passed are closed first
+     */
+    async flush() {
+        for (const contractId of this.stats.contracts) {
+            this.barAggregator.completeBefore(contractId, Date.now());
+        }
+
+        const ticks = this.pendingTicks;
+        const bars = this.pendingBars;
+        this.pendingTicks = new Map();
+        this.pendingBars = new Map();
+
+        for (const [contractId, records] of ticks) {
+            this.store.appendTicks(contractId, records);
+            this.stats.ticksRecorded += records.length;
+        }
+        for (const [contractId, records] of bars) {
+            this.store.appendBars(contractId, records);
+            this.stats.barsRecorded += records.length;
+        }
+
+        await this.store.flush();
+        this.stats.lastFlushAt = new Date().toISOString();
+        this.emit('flushed', { contracts: ticks.size, bars: bars.size });
+    }
+
+    async prune() {
+        const deleted = await this.store.prune(this.config.retentionDays);
+        if (deleted.length > 0) {
+            this.stats.filesPruned += deleted.length;
+            console.log(`🧹 Removed ${deleted.length} recorded files older than ${this.config.retentionDays} days`);
+        }
+        return deleted;
+    }
+
+    getStatus() {
+        return {
+            running: this.running,
+            channel: this.config.channel,
+            directory: this.store.config.directory,
+            types: this.config.types,
+            retentionDays: this.config.retentionDays,
+            ...this.stats,
+            contracts: Array.from(this.stats.contracts),
+            store: { ...this.store.stats }
+        };
+    }
+}
+
+module.exports = MarketDataRecorder;
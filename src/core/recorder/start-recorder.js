@@ -0,0 +1,98 @@
+/**
+ * Start the Market Data Recorder
+ * Records market:data to data/market-data/ and serves the recordings over HTTP
+ */
+
+const express = require('express');
+const yaml = require('js-yaml');
+const fs = require('fs');
+const path = require('path');
+const MarketDataRecorder = require('./MarketDataRecorder');
+
+async function startRecorder() {
+    console.log('🎙️ Starting Market Data Recorder...');
+
+    const configPath = path.join(__dirname, '../../../config/global.yaml');
+    const globalConfig = yaml.load(fs.readFileSync(configPath, 'utf8')) || {};
+    const recorderConfig = globalConfig.recorder || {};
+    const ports = globalConfig.system?.ports || {};
+
+    const recorder = new MarketDataRecorder({
+        redisConfig: { url: process.env.REDIS_URL || `redis://localhost:${ports.redis || 6379}` },
+        directory: recorderConfig.directory ? path.resolve(__dirname, '../../..', recorderConfig.directory) : undefined,
+        types: recorderConfig.types || undefined,
+        flushIntervalMs: recorderConfig.flushIntervalMs || 5000,
+        retentionDays: recorderConfig.retentionDays || 30
+    });
+
+    const app = express();
+    const PORT = ports.marketRecorder || 7800;
+
+    app.get('/health', (req, res) => {
+        res.json({
+            status: recorder.running ? 'healthy' : 'starting',
+            service: 'Market Data Recorder',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime()
+        });
+    });
+
+    app.get('/api/status', (req, res) => {
+        res.json(recorder.getStatus());
+    });
+
+    // Recorded contracts and days
+    app.get('/api/recordings', async (req, res) => {
+        try {
+            res.json(await recorder.store.getSummary());
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // 1-minute bars: ?from=&to= (ISO or ms)
+    app.get('/api/recordings/:contractId/bars', async (req, res) => {
+        try {
+            const bars = await recorder.store.getBars(req.params.contractId, { from: req.query.from, to: req.query.to });
+            res.json({ contractId: req.params.contractId, bars });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Ticks: ?from=&to=&types=TRADE,QUOTE&limit= (limit defaults to 10000)
+    app.get('/api/recordings/:contractId/ticks', async (req, res) => {
+        try {
+            const ticks = await recorder.store.getTicks(req.params.contractId, {
+                from: req.query.from,
+                to: req.query.to,
+                types: req.query.types ? String(req.query.types).split(',') : null,
+                limit: Math.min(parseInt(req.query.limit) || 10000, 100000)
+            });
+            res.json({ contractId: req.params.contractId, ticks });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    const server = app.listen(PORT, () => {
+        console.log(`📡 Market Data Recorder listening on port ${PORT}`);
+    });
+
+    await recorder.start();
+
+    const shutdown = async () => {
+        console.log('\n🛑 Shutting down Market Data Recorder...');
+        await recorder.stop();
+        server.close();
+        process.exit(0);
+    };
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+startRecorder().catch(error => {
+    console.error('❌ Failed to start Market Data Recorder:', error);
+    process.exit(1);
+});
@@ -0,0 +1,505 @@
+/**
+ * MarketReplayPublisher - Republishes a past session on market:data
+ *
+ * Reads recorded ticks (MarketDataStore), bar or tick files (BacktestDataLoader)
+ * or bars fetched from the Connection Manager and publishes them in the
+ * envelope the Connection Manager uses live, so bots,
+ * the aggregator and the trading chart cannot tell a replay from the session
+ * itself. Message payloads - including data.timestamp - are published as
+ * recorded; a ReplayClock decides when each one is due.
+ *
+ * Speed is a multiple of real time (1, 10, ...) or 'step', where messages are
+ * published only by step() and advance(). Envelopes carry replay: true so the
+ * recorder does not record a replay over the original, and replayClock
+ * ({ clock, speed, state }) so bots and strategies run on session time.
+ */
+
+const EventEmitter = require('events');
+const redis = require('redis');
+const ReplayClock = require('./ReplayClock');
+const MarketDataStore = require('../../../shared/modules/market-data/MarketDataStore');
+const BacktestDataLoader = require('../backtest/BacktestDataLoader');
+const { RpcClient } = require('../../../shared/modules/messaging/RedisRpc');
+
+const STEP = 'step';
+
+class MarketReplayPublisher extends EventEmitter {
+    /**
+     * @param {Object} config - { redisConfig, channel, envelopeTypes, statusChannel, speed,
+     *                            maxGapMs, directory, historyTimeoutMs }
+     */
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            redisConfig: { url: 'redis://localhost:6379' },
+            channel: 'market:data',
+            // Live, the Connection Manager publishes every tick once as MARKET_DATA
+            envelopeTypes: ['MARKET_DATA'],
+            statusChannel: 'market:replay',
+            speed: 1,
+            // Quiet periods longer than this (session time) are skipped rather than waited out
+            maxGapMs: 5 * 60 * 1000,
+            directory: undefined,
+            historyTimeoutMs: 30000,
+            ...config
+        };
+
+        this.config.speed = this.normalizeSpeed(this.config.speed);
+
+        this.store = new MarketDataStore(this.config.directory ? { directory: this.config.directory } : {});
+        this.loader = new BacktestDataLoader();
+        this.clock = new ReplayClock({ speed: this.config.speed === STEP ? 1 : this.config.speed });
+
+        this.publisher = null;
+        this.historySubscriber = null;
+        this.history = null;
+        this.source = null;
+        this.nextMessage = null;
+        this.state = 'idle';
+        this.loop = null;
+        this.wakeTimer = null;
+        this.wakeUp = null;
+        this.statusPublished = Promise.resolve();
+
+        this.stats = {
+            messagesPublished: 0,
+            gapsSkipped: 0,
+            messagesSkipped: 0,
+            firstMessageTime: null,
+            lastMessageTime: null
+        };
+    }
+
+    async connect() {
+        if (this.publisher) return;
+        this.publisher = redis.createClient(this.config.redisConfig);
+        this.publisher.on('error', error => console.error('❌ Replay Redis error:', error.message));
+        await this.publisher.connect();
+    }
+
+    async disconnect() {
+        await this.stop();
+        if (this.history) {
+            this.history.close('Replay publisher disconnected');
+            await this.historySubscriber.disconnect().catch(() => {});
+            this.history = null;
+            this.historySubscriber = null;
+        }
+        if (this.publisher) {
+            await this.statusPublished;
+            await this.publisher.disconnect().catch(() => {});
+            this.publisher = null;
+        }
+    }
+
+    // ==================== Sources ====================
+
+    /**
+     * Replay any ordered (async) iterable of { t, instrument, type, data }
+     */
+    async load(messages) {
+        await this.stop();
+
+        this.source = (messages[Symbol.asyncIterator] ? messages[Symbol.asyncIterator]() : messages[Symbol.iterator]());
+        this.nextMessage = null;
+        this.stats = { messagesPublished: 0, gapsSkipped: 0, messagesSkipped: 0, firstMessageTime: null, lastMessageTime: null };
+
+        const first = await this.peek();
+        this.stats.firstMessageTime = first ? first.t : null;
+        this.clock.set(first ? first.t : 0);
+        this.setState(first ? 'paused' : 'finished');
+
+        return this.getStatus();
+    }
+
+    /**
+     * Replay recorded ticks of one or more contracts
+     * @param {Object} options - { from, to, types }
+     */
+    loadRecording(contractIds, options = {}) {
+        return this.load(this.store.iterateTicks(contractIds, options));
+    }
+
+    /**
+     * Replay bars ({ t, o, h, l, c, v } or { timestamp, open, ... }) as trades
+     */
+    loadBars(contractId, bars) {
+        const { records } = this.loader.normalize(bars, contractId);
+        return this.load(this.barsToMessages(contractId, records));
+    }
+
+    /**
+     * Replay BacktestDataLoader files (.json/.csv bars or ticks)
+     */
+    loadFiles(contractId, filePaths) {
+        const { type, records } = this.loader.loadFiles(filePaths);
+        const messages = type === 'bars' ?
+            this.barsToMessages(contractId, records) :
+            this.ticksToMessages(contractId, records);
+        return this.load(messages);
+    }
+
+    /**
+     * Ask the Connection Manager for historical bars the way bots do
+     * @param {Object} request - { instrument, startTime, endTime, unit, unitNumber, limit }
+     * @returns {Promise<Array<Object>>} { t, o, h, l, c, v } bars
+     */
+    async fetchHistoricalBars(request) {
+        await this.connect();
+
+        if (!this.history) {
+            this.historySubscriber = this.publisher.duplicate();
+            await this.historySubscriber.connect();
+            this.history = new RpcClient({
+                service: 'MARKET_REPLAY',
+                requestChannel: 'connection-manager:requests',
+                responseChannel: 'historical:data:response',
+                timeoutMs: this.config.historyTimeoutMs,
+                requestIdPrefix: 'replay',
+                publish: (channel, message) => this.publisher.publish(channel, JSON.stringify(message)),
+                subscribe: (channel, onMessage) => this.historySubscriber.subscribe(channel, onMessage)
+            });
+        }
+
+        // Streamed, so a long range arrives in chunks and the timeout only covers the wait for the next one
+        const response = await this.history.call('REQUEST_HISTORICAL_DATA', {
+            instanceId: 'REPLAY',
+            includePartialBar: false,
+            streamChunkSize: true,
+            ...request
+        }, { envelope: 'payload' });
+
+        return response.data || response.bars || [];
+    }
+
+    /**
+     * Bars become trades along the open/extremes/close path BacktestDataLoader
+     * uses. The bar's volume is split over the path with the remainder on the
+     * close; points left without volume are published as quotes, and the trade
+     * side follows the price.
+     */
+    barsToMessages(contractId, bars) {
+        const messages = [];
+        const volumes = new Map(bars.map(bar => [bar.timestamp, Math.max(0, Math.round(bar.volume))]));
+        let remaining = 0;
+        let previousPrice = null;
+        let side = 'BUY';
+
+        for (const tick of this.loader.barsToTicks(bars)) {
+            const barVolume = volumes.get(tick.barTimestamp);
+            if (tick.timestamp === tick.barTimestamp) remaining = barVolume;
+
+            // barsToTicks gives every bar a path of four points
+            const size = tick.isBarClose ? remaining : Math.floor(barVolume / 4);
+            remaining -= size;
+
+            if (previousPrice !== null && tick.price !== previousPrice) {
+                side = tick.price > previousPrice ? 'BUY' : 'SELL';
+            }
+            previousPrice = tick.price;
+
+            messages.push(size > 0 ?
+                this.toTradeMessage(contractId, tick.timestamp, tick.price, size, side) :
+                this.toQuoteMessage(contractId, tick.timestamp, tick.price));
+        }
+
+        return messages;
+    }
+
+    ticksToMessages(contractId, ticks) {
+        const messages = [];
+        let previousPrice = null;
+        let side = 'BUY';
+
+        for (const tick of ticks) {
+            if (previousPrice !== null && tick.price !== previousPrice) {
+                side = tick.price > previousPrice ? 'BUY' : 'SELL';
+            }
+            previousPrice = tick.price;
+
+            messages.push(this.toTradeMessage(contractId, tick.timestamp, tick.price, tick.volume, side));
+        }
+
+        return messages;
+    }
+
+    toTradeMessage(contractId, time, price, size, side) {
+        return {
+            t: time,
+            instrument: contractId,
+            type: 'TRADE',
+            data: { price, size, side, timestamp: new Date(time).toISOString() }
+        };
+    }
+
+    toQuoteMessage(contractId, time, price) {
+        return {
+            t: time,
+            instrument: contractId,
+            type: 'QUOTE',
+            data: { bid: price, ask: price, timestamp: new Date(time).toISOString() }
+        };
+    }
+
+    // ==================== Controls ====================
+
+    /**
+     * Publish in session time at the configured speed
+     */
+    play() {
+        if (this.config.speed === STEP) {
+            throw new Error('Replay is in step mode - use step() or advance(), or set a speed first');
+        }
+        if (this.state !== 'paused') return;
+
+        this.clock.start();
+        this.setState('playing');
+        this.loop = this.run().catch(error => {
+            console.error('❌ Replay failed:', error.message);
+            this.clock.stop();
+            this.setState('paused');
+            if (this.listenerCount('error') > 0) this.emit('error', error);
+        });
+    }
+
+    pause() {
+        if (this.state !== 'playing') return;
+        this.clock.stop();
+        this.setState('paused');
+        this.wake();
+    }
+
+    /**
+     * @param {number|string} speed - Multiple of real time, or 'step'
+     */
+    setSpeed(value) {
+        const speed = this.normalizeSpeed(value);
+
+        if (speed === STEP) {
+            this.pause();
+        } else {
+            this.clock.setSpeed(speed);
+        }
+        this.config.speed = speed;
+        this.publishStatus();
+        this.wake();
+    }
+
+    /**
+     * Publish the next messages and move the clock to the last one
+     * @returns {Promise<Array<Object>>} Messages published
+     */
+    async step(count = 1) {
+        this.pause();
+
+        const published = [];
+        while (published.length < count) {
+            const message = await this.take();
+            if (!message) break;
+            this.clock.set(message.t);
+            await this.publish(message);
+            published.push(message);
+        }
+
+        await this.checkFinished();
+        return published;
+    }
+
+    /**
+     * Publish everything due in the next ms of session time
+     */
+    async advance(ms) {
+        this.pause();
+
+        const until = this.clock.now() + ms;
+        const published = [];
+        let message;
+        while ((message = await this.peek()) && message.t <= until) {
+            await this.take();
+            await this.publish(message);
+            published.push(message);
+        }
+
+        this.clock.set(until);
+        this.publishStatus();
+        await this.checkFinished();
+        return published;
+    }
+
+    /**
+     * Jump forward to a session time without publishing what lies before it
+     */
+    async seek(time) {
+        const target = new Date(time).getTime();
+        if (isNaN(target) || target < this.clock.now()) {
+            throw new Error('Replay can only seek forward - load the session again to go back');
+        }
+
+        let message;
+        while ((message = await this.peek()) && message.t < target) {
+            await this.take();
+            this.stats.messagesSkipped++;
+        }
+
+        this.clock.set(target);
+        this.publishStatus();
+        await this.checkFinished();
+        this.wake();
+    }
+
+    async stop() {
+        if (this.state === 'playing') this.pause();
+        if (this.loop) await this.loop;
+        this.loop = null;
+
+        if (this.source && this.source.return) {
+            await this.source.return();
+        }
+        this.source = null;
+        this.nextMessage = null;
+        if (this.state !== 'idle') this.setState('stopped');
+    }
+
+    /**
+     * Resolves when the session has been published completely
+     */
+    waitForFinish() {
+        if (this.state === 'finished') return Promise.resolve(this.getStatus());
+        return new Promise(resolve => this.once('finished', resolve));
+    }
+
+    // ==================== Publishing ====================
+
+    async run() {
+        while (this.state === 'playing') {
+            const message = await this.peek();
+            if (!message) break;
+
+            const now = this.clock.now();
+            if (message.t - now > this.config.maxGapMs) {
+                this.clock.set(message.t);
+                this.stats.gapsSkipped++;
+                continue;
+            }
+
+            const delay = this.clock.delayUntil(message.t);
+            if (delay > 0) {
+                await this.sleep(delay);
+                continue;
+            }
+
+            await this.take();
+            await this.publish(message);
+        }
+
+        await this.checkFinished();
+    }
+
+    async publish(message) {
+        if (!this.publisher) await this.connect();
+
+        const payload = { instrument: message.instrument, type: message.type, data: message.data };
+
+        for (const type of this.config.envelopeTypes) {
+            await this.publisher.publish(this.config.channel, JSON.stringify({
+                type,
+                payload,
+                timestamp: message.t,
+                replay: true,
+                replayClock: { clock: message.t, speed: this.config.speed, state: this.state }
+            }));
+        }
+
+        this.stats.messagesPublished++;
+        this.stats.lastMessageTime = message.t;
+        this.emit('message', message);
+    }
+
+    publishStatus() {
+        const status = this.getStatus();
+        this.emit('status', status);
+
+        if (!this.publisher || !this.config.statusChannel) return this.statusPublished;
+        this.statusPublished = this.publisher.publish(this.config.statusChannel, JSON.stringify({
+            type: 'REPLAY_STATUS',
+            payload: status,
+            timestamp: Date.now()
+        })).catch(error => console.error('❌ Failed to publish replay status:', error.message));
+        return this.statusPublished;
+    }
+
+    // ==================== Helpers ====================
+
+    async peek() {
+        if (this.nextMessage || !this.source) return this.nextMessage;
+
+        const next = await this.source.next();
+        if (next.done) return null;
+
+        const message = next.value;
+        this.nextMessage = { ...message, t: new Date(message.t).getTime() };
+        return this.nextMessage;
+    }
+
+    async take() {
+        const message = await this.peek();
+        this.nextMessage = null;
+        return message;
+    }
+
+    async checkFinished() {
+        if (this.state === 'finished' || this.state === 'stopped') return;
+        if (await this.peek()) return;
+
+        this.clock.stop();
+        this.setState('finished');
+        this.emit('finished', this.getStatus());
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => {
+            this.wakeUp = resolve;
+            this.wakeTimer = setTimeout(resolve, ms);
+        });
+    }
+
+    // Re-plan the wait after pause, speed or seek changes
+    wake() {
+        clearTimeout(this.wakeTimer);
+        this.wakeTimer = null;
+        if (this.wakeUp) {
+            const resolve = this.wakeUp;
+            this.wakeUp = null;
+            resolve();
+        }
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        this.publishStatus();
+    }
+
+    normalizeSpeed(speed) {
+        if (speed === STEP) return STEP;
+        if (!(Number(speed) > 0)) {
+            throw new Error(`Invalid replay speed ${speed} (use a positive number or 'step')`);
+        }
+        return Number(speed);
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            speed: this.config.speed,
+            clock: this.clock.now(),
+            ...this.stats,
+            nextMessageTime: this.nextMessage ? this.nextMessage.t : null
+        };
+    }
+}
+
+MarketReplayPublisher.STEP = STEP;
+
+module.exports = MarketReplayPublisher;
@@ -0,0 +1,84 @@
+/**
+ * ReplayClock - Session time during a market data replay
+ *
+ * Runs at a multiple of wall-clock speed from a chosen start time and can be
+ * paused, moved or re-timed at any point. A stopped clock only moves when set,
+ * which is how step-by-step replay advances.
+ *
+ * The publisher's clock goes out with every replayed message and REPLAY_STATUS
+ * ({ clock, speed, state }); bots keep a ReplayClock of their own in step with
+ * it through follow().
+ */
+
+class ReplayClock {
+    /**
+     * @param {Object} config - { time, speed }
+     */
+    constructor(config = {}) {
+        this.time = config.time || 0;
+        this.speed = config.speed || 1;
+        this.running = false;
+        this.anchor = Date.now();
+    }
+
+    /**
+     * Current session time (ms)
+     */
+    now() {
+        if (!this.running) return this.time;
+        return this.time + (Date.now() - this.anchor) * this.speed;
+    }
+
+    start() {
+        if (this.running) return;
+        this.anchor = Date.now();
+        this.running = true;
+    }
+
+    stop() {
+        if (!this.running) return;
+        this.time = this.now();
+        this.running = false;
+    }
+
+    set(time) {
+        this.time = time;
+        this.anchor = Date.now();
+    }
+
+    setSpeed(speed) {
+        if (!(speed > 0)) throw new Error(`Invalid replay speed ${speed}`);
+        this.set(this.now());
+        this.speed = speed;
+    }
+
+    /**
+     * Take over a publisher's clock. Replayed messages only ever move the clock
+     * forward (forwardOnly); REPLAY_STATUS sets it outright.
+     * @param {Object} status - { clock, speed, state }
+     */
+    follow({ clock, speed, state }, { forwardOnly = false } = {}) {
+        if (!forwardOnly || clock > this.now()) {
+            this.set(clock);
+        }
+        if (speed > 0) {
+            this.setSpeed(speed);
+        }
+
+        // Between messages the clock runs on only while the publisher plays
+        if (state === 'playing' && speed > 0) {
+            this.start();
+        } else {
+            this.stop();
+        }
+    }
+
+    /**
+     * Wall-clock milliseconds until the clock reaches a session time
+     */
+    delayUntil(time) {
+        return Math.max(0, (time - this.now()) / this.speed);
+    }
+}
+
+module.exports = ReplayClock;
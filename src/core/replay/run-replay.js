@@ -0,0 +1,152 @@
+/**
+ * Replay a past session onto market:data from the command line
+ *
+ * Usage:
+ *   node src/core/replay/run-replay.js --contract CON.F.US.MGC.Z26 [--contract ...] --from 2026-10-16T13:30Z --to 2026-10-16T15:00Z
+ *        [--types TRADE,DEPTH] [--speed 1|10|step] [--max-gap 300000] [--port 7810]
+ *   node src/core/replay/run-replay.js --contract CON.F.US.MGC.Z26 --data bars.json [--data more.csv] [--speed 10]
+ *   node src/core/replay/run-replay.js --contract CON.F.US.MGC.Z26 --history --from ... --to ... [--minutes 1]
+ *
+ * Recordings come from data/market-data/ (see the recorder), --data files are
+ * read by BacktestDataLoader and --history asks the Connection Manager for bars.
+ * In step mode press Enter to publish the next message. While the replay runs it
+ * is controlled over HTTP: GET /api/status, POST /api/play, /api/pause,
+ * /api/step { count }, /api/advance { ms }, /api/seek { time }, /api/speed { speed }.
+ */
+
+const express = require('express');
+const yaml = require('js-yaml');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const MarketReplayPublisher = require('./MarketReplayPublisher');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+function getArg(name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+function getAllArgs(name) {
+    return args
+        .map((arg, index) => (arg === name ? args[index + 1] : null))
+        .filter(Boolean);
+}
+
+async function loadSession(replay, contracts) {
+    const dataFiles = getAllArgs('--data').map(file => path.resolve(file));
+    const from = getArg('--from');
+    const to = getArg('--to');
+
+    if (dataFiles.length > 0 || args.includes('--history')) {
+        if (contracts.length !== 1) {
+            throw new Error('--data and --history replay a single --contract');
+        }
+
+        if (dataFiles.length > 0) {
+            return replay.loadFiles(contracts[0], dataFiles);
+        }
+
+        if (!from || !to) throw new Error('--history needs --from and --to');
+        const bars = await replay.fetchHistoricalBars({
+            instrument: contracts[0],
+            contractId: contracts[0],
+            startTime: new Date(from).toISOString(),
+            endTime: new Date(to).toISOString(),
+            unit: 2,                                        // Minute
+            unitNumber: Number(getArg('--minutes') || 1),
+            limit: 20000
+        });
+        console.log(`📥 Fetched ${bars.length} bars for ${contracts[0]}`);
+        return replay.loadBars(contracts[0], bars);
+    }
+
+    const types = getArg('--types') ? getArg('--types').split(',') : undefined;
+    return replay.loadRecording(contracts, { from, to, types });
+}
+
+async function runReplay() {
+    const contracts = getAllArgs('--contract');
+    if (contracts.length === 0) {
+        console.error('Missing required argument: --contract <contractId> (recording, --data files or --history)');
+        process.exit(1);
+    }
+
+    const configPath = path.join(__dirname, '../../../config/global.yaml');
+    const globalConfig = yaml.load(fs.readFileSync(configPath, 'utf8')) || {};
+    const recorderConfig = globalConfig.recorder || {};
+    const ports = globalConfig.system?.ports || {};
+
+    const replay = new MarketReplayPublisher({
+        redisConfig: { url: process.env.REDIS_URL || `redis://localhost:${ports.redis || 6379}` },
+        directory: recorderConfig.directory ? path.resolve(__dirname, '../../..', recorderConfig.directory) : undefined,
+        speed: getArg('--speed') || 1,
+        ...(getArg('--max-gap') !== undefined && { maxGapMs: Number(getArg('--max-gap')) })
+    });
+
+    await replay.connect();
+    const status = await loadSession(replay, contracts);
+    if (!status.firstMessageTime) {
+        console.error('❌ Nothing to replay for the selected contracts and time range');
+        await replay.disconnect();
+        process.exit(1);
+    }
+
+    console.log(`⏯️ Replaying ${contracts.join(', ')} from ${new Date(status.firstMessageTime).toISOString()} at ${replay.config.speed === 'step' ? 'step-by-step' : `${replay.config.speed}x`}`);
+
+    const app = express();
+    app.use(express.json());
+
+    const control = (action) => async (req, res) => {
+        try {
+            const result = await action(req.body || {});
+            res.json({ success: true, result, status: replay.getStatus() });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    };
+
+    app.get('/api/status', (req, res) => res.json(replay.getStatus()));
+    app.post('/api/play', control(() => replay.play()));
+    app.post('/api/pause', control(() => replay.pause()));
+    app.post('/api/step', control(async body => (await replay.step(Number(body.count) || 1)).length));
+    app.post('/api/advance', control(async body => (await replay.advance(Number(body.ms) || 1000)).length));
+    app.post('/api/seek', control(body => replay.seek(body.time)));
+    app.post('/api/speed', control(body => replay.setSpeed(body.speed)));
+
+    const PORT = Number(getArg('--port')) || ports.marketReplay || 7810;
+    const server = app.listen(PORT, () => {
+        console.log(`🎛️ Replay control on http://localhost:${PORT}/api/status`);
+    });
+
+    const shutdown = async (code = 0) => {
+        await replay.disconnect();
+        server.close();
+        process.exit(code);
+    };
+
+    replay.on('finished', finished => {
+        console.log(`🏁 Replay finished: ${finished.messagesPublished} messages published`);
+        shutdown();
+    });
+    process.on('SIGINT', () => shutdown());
+    process.on('SIGTERM', () => shutdown());
+
+    if (replay.config.speed === 'step') {
+        console.log('👣 Press Enter to publish the next message');
+        const input = readline.createInterface({ input: process.stdin });
+        input.on('line', async () => {
+            const [message] = await replay.step(1);
+            if (message) console.log(`   ${new Date(message.t).toISOString()} ${message.instrument} ${message.type}`);
+        });
+    } else {
+        replay.play();
+    }
+}
+
+runReplay().catch(error => {
+    console.error('❌ Replay failed:', error.message);
+    process.exit(1);
+});
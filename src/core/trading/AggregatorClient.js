@@ -6,6 +6,16 @@
 const EventEmitter = require('events');
 const redis = require('redis');
 const { v4: uuidv4 } = require('uuid');
+const instrumentRegistry = require('../../../shared/modules/contracts/InstrumentRegistry');
+const MessageValidator = require('../../../shared/modules/messaging/MessageValidator');
+const { StreamTransport, STREAMS, botResponseStream } = require('../../../shared/modules/messaging/StreamTransport');
+
+const ORDER_TYPES = ['MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT'];
+const TIME_IN_FORCE = ['GTC', 'DAY', 'GTD'];
+const TERMINAL_STATUSES = ['FILLED', 'CANCELLED', 'EXPIRED', 'REJECTED'];
+
+// Order lifecycle reported by the aggregator:
+// NEW -> RISK_CHECKED -> QUEUED -> SENT -> WORKING -> PARTIAL -> FILLED / REJECTED / CANCELLED / EXPIRED
 
 class AggregatorClient extends EventEmitter {
     constructor(config = {}) {
@@ -20,6 +30,8 @@ class AggregatorClient extends EventEmitter {
             retryAttempts: config.retryAttempts || 3,
             retryDelay: config.retryDelay || 1000,
             requestTimeout: config.requestTimeout || 30000,
+            ackTimeout: config.ackTimeout || 10000, // No word from the aggregator about an order after this - it is stuck
+            orderTransport: { streams: true, ...config.orderTransport }, // streams: false - orders and updates on plain pub/sub
             enableLogging: config.enableLogging !== false
         };
         
@@ -27,6 +39,9 @@ class AggregatorClient extends EventEmitter {
         this.publisher = null;
         this.subscriber = null;
         
+        // Orders out and order updates back over Redis Streams, so neither is lost across a restart
+        this.orderStream = null;
+        
         // Connection state
         this.connected = false;
         this.connecting = false;
@@ -49,9 +64,15 @@ class AggregatorClient extends EventEmitter {
         this.pendingOrders = new Map();
         this.orderResponses = new Map();
         
+        // LIMIT / STOP / STOP_LIMIT entries resting at the broker, by client order ID
+        this.workingOrders = new Map();
+        
         // Position tracking
         this.positions = new Map();
         
+        // Bar subscriptions by symbol root ('MGC' -> Set('1m', '500t'))
+        this.barSubscriptions = new Map();
+        
         // Metrics
         this.metrics = {
             ordersSubmitted: 0,
@@ -65,6 +86,13 @@ class AggregatorClient extends EventEmitter {
             lastDisconnected: null,
             totalUptime: 0
         };
+        
+        // Shared message schemas - invalid messages go to the dead-letter channel instead
+        this.messageValidator = new MessageValidator({
+            service: this.config.botId,
+            ...config.messageValidation,
+            publish: (channel, message) => this.publisher.publish(channel, message)
+        });
     }
     
     /**
@@ -123,11 +151,25 @@ class AggregatorClient extends EventEmitter {
      * Set up Redis subscriptions
      */
     async setupSubscriptions() {
-        // Subscribe to bot-specific response channel
+        // Subscribe to bot-specific responses - from this bot's stream when orders travel on streams
         const botResponseChannel = `bot:${this.config.botId}:responses`;
-        await this.subscriber.subscribe(botResponseChannel, (message) => {
-            this.handleBotResponse(message);
-        });
+        if (this.config.orderTransport.streams) {
+            const { streams, ...streamConfig } = this.config.orderTransport;
+            this.orderStream = new StreamTransport(this.publisher, {
+                ...streamConfig,
+                service: this.config.botId,
+                group: this.config.botId,
+                validator: this.messageValidator
+            });
+            this.orderStream.on('expired', ({ message }) => this.log('warn', 'Order update expired unhandled', { type: message.type }));
+            await this.orderStream.consume(botResponseStream(this.config.botId), async (message) => {
+                this.handleBotResponse(JSON.stringify(message));
+            });
+        } else {
+            await this.subscribeChannel(botResponseChannel, (message) => {
+                this.handleBotResponse(message);
+            });
+        }
         
         // Subscribe to position updates
         const positionChannel = `positions:${this.config.accountId}`;
@@ -136,30 +178,48 @@ class AggregatorClient extends EventEmitter {
             accountId: this.config.accountId,
             accountIdType: typeof this.config.accountId
         });
-        await this.subscriber.subscribe(positionChannel, (message) => {
+        await this.subscribeChannel(positionChannel, (message) => {
             this.handlePositionUpdate(message);
         });
         
         // Subscribe to fill notifications
         const fillChannel = `fills:${this.config.accountId}`;
-        await this.subscriber.subscribe(fillChannel, (message) => {
+        await this.subscribeChannel(fillChannel, (message) => {
             this.handleFillNotification(message);
         });
         
         // Subscribe to live market data from aggregator (actual price data only)
         const marketDataChannel = 'market:data';
-        await this.subscriber.subscribe(marketDataChannel, (message) => {
+        await this.subscribeChannel(marketDataChannel, (message) => {
             this.handleMarketData(message);
         });
         
         // Subscribe to separated position updates channel from aggregator
         const aggregatorPositionChannel = 'aggregator:position-updates';
-        await this.subscriber.subscribe(aggregatorPositionChannel, (message) => {
+        await this.subscribeChannel(aggregatorPositionChannel, (message) => {
             this.handleAggregatorPositionUpdate(message);
         });
         
+        // Market data replay state and clock - bots run on session time while a replay plays
+        await this.subscribeChannel('market:replay', (message) => {
+            this.handleReplayStatus(message);
+        });
+        
+        // Subscribe to Connection Manager system events (contract rollover)
+        const systemEventsChannel = 'system:events';
+        await this.subscribeChannel(systemEventsChannel, (message) => {
+            this.handleSystemEvent(message);
+        });
+        
+        // Bars from the Connection Manager's bar service, once a strategy asked for them
+        if (this.barSubscriptions.size > 0) {
+            await this.subscribeChannel('market:bars', (message) => {
+                this.handleBarMessage(message);
+            });
+        }
+        
         this.log('info', 'Subscribed to aggregator channels with proper separation', {
-            channels: [botResponseChannel, positionChannel, fillChannel, marketDataChannel, aggregatorPositionChannel],
+            channels: [botResponseChannel, positionChannel, fillChannel, marketDataChannel, aggregatorPositionChannel, systemEventsChannel],
             marketDataChannel: marketDataChannel,
             positionUpdateChannel: aggregatorPositionChannel
         });
@@ -181,6 +241,9 @@ class AggregatorClient extends EventEmitter {
             return await this.submitClosePosition(signal, orderId, timestamp);
         }
         
+        const orderType = signal.orderType || 'MARKET';
+        this.validateEntryOrder(signal, orderType);
+        
         // Create order payload in MANUAL_ORDER format (same as manual trading)
         const orderPayload = {
             instanceId: this.config.botId, // Bot identifier
@@ -189,10 +252,24 @@ class AggregatorClient extends EventEmitter {
             instrument: signal.instrument,
             side: signal.direction === 'LONG' ? 'BUY' : signal.direction === 'SHORT' ? 'SELL' : signal.direction, // Map LONG/SHORT to BUY/SELL
             quantity: parseInt(signal.positionSize) || 1,
-            orderType: 'MARKET',
+            orderType,
             timestamp: Date.now()
         };
         
+        // Resting entries: the entry prices and how long the order works
+        if (orderType === 'LIMIT' || orderType === 'STOP_LIMIT') {
+            orderPayload.limitPrice = signal.limitPrice;
+        }
+        if (orderType === 'STOP' || orderType === 'STOP_LIMIT') {
+            orderPayload.stopPrice = signal.stopPrice;
+        }
+        if (orderType !== 'MARKET') {
+            orderPayload.timeInForce = signal.timeInForce || 'DAY';
+            if (signal.expireAt) {
+                orderPayload.expireAt = new Date(signal.expireAt).toISOString();
+            }
+        }
+        
         // Add SL/TP points if available (match manual trading format)
         if (signal.stopLoss) {
             orderPayload.stopLossPoints = Math.abs(signal.entryPrice - signal.stopLoss);
@@ -201,14 +278,32 @@ class AggregatorClient extends EventEmitter {
             orderPayload.takeProfitPoints = Math.abs(signal.takeProfit - signal.entryPrice);
         }
         
-        // Store pending order
+        // Store pending order - its status follows the aggregator's ORDER_UPDATEs
         this.pendingOrders.set(orderId, {
             order: orderPayload,
             signal,
             submittedAt: timestamp,
-            status: 'PENDING'
+            status: 'PENDING',
+            ackTimer: null
         });
         
+        if (orderType !== 'MARKET') {
+            this.workingOrders.set(orderId, {
+                orderId,
+                instrument: orderPayload.instrument,
+                side: orderPayload.side,
+                quantity: orderPayload.quantity,
+                orderType,
+                limitPrice: orderPayload.limitPrice ?? null,
+                stopPrice: orderPayload.stopPrice ?? null,
+                timeInForce: orderPayload.timeInForce,
+                expireAt: orderPayload.expireAt || null,
+                status: 'PENDING',
+                filledQuantity: 0,
+                submittedAt: timestamp
+            });
+        }
+        
         // Create aggregator message (using MANUAL_ORDER type like manual trading)
         const orderMessage = {
             type: 'MANUAL_ORDER',
@@ -219,7 +314,7 @@ class AggregatorClient extends EventEmitter {
         
         try {
             // Publish to aggregator
-            await this.publisher.publish('aggregator:orders', JSON.stringify(orderMessage));
+            await this.publishMessage('aggregator:orders', orderMessage);
             
             this.metrics.ordersSubmitted++;
             this.log('info', 'Order submitted to aggregator', {
@@ -229,16 +324,8 @@ class AggregatorClient extends EventEmitter {
                 quantity: orderPayload.quantity
             });
             
-            // For now, assume order was accepted since aggregator doesn't send responses
-            // We'll rely on position updates and fill notifications for actual status
-            this.metrics.ordersAccepted++;
-            
-            // Emit success immediately
-            this.emit('orderAccepted', {
-                orderId,
-                aggregatorOrderId: orderId,
-                queueId: `queue_${Date.now()}`
-            });
+            // Accepted or rejected arrives as an ORDER_UPDATE - silence means the aggregator never saw it
+            this.watchAcknowledgement(orderId);
             
             return {
                 success: true,
@@ -259,24 +346,128 @@ class AggregatorClient extends EventEmitter {
                 pending.status = 'FAILED';
                 pending.error = error.message;
             }
+            this.workingOrders.delete(orderId);
             
             throw error;
         }
     }
     
+    /**
+     * Report an order the aggregator has not acknowledged within ackTimeout
+     */
+    watchAcknowledgement(orderId) {
+        const pending = this.pendingOrders.get(orderId);
+        if (!pending) return;
+        
+        pending.ackTimer = setTimeout(() => {
+            pending.ackTimer = null;
+            if (pending.status !== 'PENDING') return;
+            
+            this.log('warn', 'Order not acknowledged by aggregator', { orderId, ackTimeout: this.config.ackTimeout });
+            this.emit('orderStuck', {
+                orderId,
+                status: 'PENDING',
+                reason: 'NO_ACKNOWLEDGEMENT',
+                stuckForMs: Date.now() - pending.submittedAt.getTime()
+            });
+        }, this.config.ackTimeout);
+        pending.ackTimer.unref?.();
+    }
+    
+    /**
+     * Check the order type, entry prices and time in force of an entry signal
+     */
+    validateEntryOrder(signal, orderType) {
+        if (!ORDER_TYPES.includes(orderType)) {
+            throw new Error(`Unsupported order type: ${orderType} (expected ${ORDER_TYPES.join(', ')})`);
+        }
+        if (orderType === 'MARKET') return;
+        
+        if ((orderType === 'LIMIT' || orderType === 'STOP_LIMIT') && !(signal.limitPrice > 0)) {
+            throw new Error(`${orderType} order requires a limitPrice`);
+        }
+        if ((orderType === 'STOP' || orderType === 'STOP_LIMIT') && !(signal.stopPrice > 0)) {
+            throw new Error(`${orderType} order requires a stopPrice`);
+        }
+        
+        const timeInForce = signal.timeInForce || 'DAY';
+        if (!TIME_IN_FORCE.includes(timeInForce)) {
+            throw new Error(`Invalid time in force: ${timeInForce} (expected ${TIME_IN_FORCE.join(', ')})`);
+        }
+        if (timeInForce === 'GTD' && !Number.isFinite(new Date(signal.expireAt).getTime())) {
+            throw new Error('GTD order requires expireAt');
+        }
+    }
+    
+    /**
+     * Cancel a working entry order - the outcome arrives as an ORDER_UPDATE
+     */
+    async cancelOrder(orderId) {
+        return await this.amendOrder('CANCEL_ORDER', orderId, {});
+    }
+    
+    /**
+     * Move the entry price(s) of a working order, e.g. when the level it rests at moves
+     */
+    async replaceOrder(orderId, { limitPrice, stopPrice } = {}) {
+        const working = this.workingOrders.get(orderId);
+        if (working) {
+            if (limitPrice !== undefined && !['LIMIT', 'STOP_LIMIT'].includes(working.orderType)) {
+                throw new Error(`${working.orderType} order ${orderId} has no limit price`);
+            }
+            if (stopPrice !== undefined && !['STOP', 'STOP_LIMIT'].includes(working.orderType)) {
+                throw new Error(`${working.orderType} order ${orderId} has no stop price`);
+            }
+        }
+        if (limitPrice === undefined && stopPrice === undefined) {
+            throw new Error('Replace requires a limitPrice or stopPrice');
+        }
+        
+        return await this.amendOrder('MODIFY_ORDER', orderId, { limitPrice, stopPrice });
+    }
+    
+    async amendOrder(type, orderId, changes) {
+        if (!this.connected) {
+            throw new Error('Not connected to aggregator');
+        }
+        
+        const working = this.workingOrders.get(orderId);
+        if (!working) {
+            throw new Error(`No working order ${orderId}`);
+        }
+        
+        await this.publishMessage('aggregator:orders', {
+            type,
+            source: this.config.botId,
+            orderId,
+            ...changes,
+            timestamp: new Date().toISOString()
+        });
+        
+        this.log('info', `${type === 'CANCEL_ORDER' ? 'Cancel' : 'Replace'} requested for working order`, {
+            orderId,
+            ...changes
+        });
+        
+        return { success: true, orderId };
+    }
+    
+    /**
+     * Entry orders still resting at the broker
+     */
+    getWorkingOrders() {
+        return Array.from(this.workingOrders.values()).map(order => ({ ...order }));
+    }
+    
     /**
      * Submit close position request (copy manual trading approach)
      */
     async submitClosePosition(signal, requestId, timestamp) {
         try {
-            // Map instrument to TopStep contract ID (same as manual trading)
-            const contractIdMap = {
-                'MGC': 'CON.F.US.MGC.Z25',
-                'MNQ': 'CON.F.US.MNQ.Z25',
-                'MES': 'CON.F.US.MES.Z25',
-                'M2K': 'CON.F.US.M2K.Z25'
-            };
-            const topStepContractId = contractIdMap[signal.instrument] || signal.instrument;
+            // Map instrument to the active TopStep contract ID (same as manual trading)
+            const topStepContractId = instrumentRegistry.has(signal.instrument) ?
+                instrumentRegistry.getActiveContract(signal.instrument) :
+                signal.instrument;
             
             // Create CLOSE_POSITION request (same format as manual trading)
             const closeRequest = {
@@ -305,7 +496,7 @@ class AggregatorClient extends EventEmitter {
                 }, 10000);
                 
                 // Subscribe to response
-                this.subscriber.subscribe(responseChannel, (message) => {
+                this.subscribeChannel(responseChannel, (message) => {
                     try {
                         const response = JSON.parse(message);
                         clearTimeout(timeout);
@@ -336,7 +527,11 @@ class AggregatorClient extends EventEmitter {
                 });
                 
                 // Publish to aggregator:requests (same as manual trading)
-                this.publisher.publish('aggregator:requests', JSON.stringify(closeRequest));
+                this.publishMessage('aggregator:requests', closeRequest).catch(error => {
+                    clearTimeout(timeout);
+                    this.subscriber.unsubscribe(responseChannel);
+                    reject(error);
+                });
             });
             
         } catch (error) {
@@ -348,6 +543,79 @@ class AggregatorClient extends EventEmitter {
         }
     }
     
+    /**
+     * Modify stop loss / take profit of an open position
+     * Routed via aggregator:requests to the Connection Manager UPDATE_SLTP handler
+     */
+    async updateStopLossTakeProfit({ positionId, stopLoss, takeProfit }) {
+        if (!this.connected) {
+            throw new Error('Not connected to aggregator');
+        }
+
+        const requestId = `${this.config.botId}_${uuidv4()}`;
+        const responseChannel = `bot-sltp-response:${requestId}`;
+
+        const sltpRequest = {
+            type: 'UPDATE_SLTP',
+            requestId: requestId,
+            accountId: parseInt(this.config.accountId),
+            positionId: positionId,
+            stopLoss: stopLoss,
+            takeProfit: takeProfit,
+            responseChannel: responseChannel,
+            timestamp: Date.now()
+        };
+
+        this.log('info', 'SL/TP update request submitted', {
+            requestId,
+            positionId,
+            stopLoss,
+            takeProfit
+        });
+
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.subscriber.unsubscribe(responseChannel);
+                reject(new Error('SL/TP update request timeout after 10 seconds'));
+            }, 10000);
+
+            this.subscribeChannel(responseChannel, (message) => {
+                try {
+                    const response = JSON.parse(message);
+                    clearTimeout(timeout);
+                    this.subscriber.unsubscribe(responseChannel);
+
+                    if (response.success) {
+                        this.log('info', 'SL/TP updated successfully', { requestId, positionId });
+                        resolve({
+                            success: true,
+                            requestId,
+                            positionId,
+                            stopLoss,
+                            takeProfit
+                        });
+                    } else {
+                        this.log('error', 'SL/TP update failed', {
+                            requestId,
+                            error: response.error
+                        });
+                        reject(new Error(response.error || 'SL/TP update failed'));
+                    }
+                } catch (error) {
+                    clearTimeout(timeout);
+                    this.subscriber.unsubscribe(responseChannel);
+                    reject(new Error(`Failed to parse SL/TP response: ${error.message}`));
+                }
+            });
+
+            this.publishMessage('aggregator:requests', sltpRequest).catch(error => {
+                clearTimeout(timeout);
+                this.subscriber.unsubscribe(responseChannel);
+                reject(error);
+            });
+        });
+    }
+
     /**
      * Wait for order response with timeout
      */
@@ -395,6 +663,45 @@ class AggregatorClient extends EventEmitter {
                     this.handleErrorResponse(response);
                     break;
                     
+                case 'ORDER_STUCK':
+                    // The aggregator has not moved the order on within its state's timeout
+                    this.log('warn', `Order stuck in ${response.status}`, {
+                        orderId: response.orderId,
+                        stuckForMs: response.stuckForMs
+                    });
+                    this.emit('orderStuck', {
+                        orderId: response.orderId,
+                        status: response.status,
+                        reason: 'STATE_TIMEOUT',
+                        stuckForMs: response.stuckForMs
+                    });
+                    break;
+                    
+                case 'ORDER_REJECTED':
+                    // Legacy rejection format - the aggregator now reports REJECTED as an ORDER_UPDATE
+                    this.handleOrderUpdate({ ...response, status: 'REJECTED' });
+                    break;
+                    
+                case 'ORDER_AMEND_RESPONSE':
+                    // Cancel / replace refused - the order keeps working as it was
+                    if (!response.success) {
+                        this.log('warn', `Working order ${response.action.toLowerCase()} failed`, {
+                            orderId: response.orderId,
+                            error: response.error
+                        });
+                        this.emit('orderAmendRejected', {
+                            orderId: response.orderId,
+                            action: response.action,
+                            error: response.error
+                        });
+                    }
+                    break;
+                    
+                case 'EXPOSURE_UPDATE':
+                    // This bot's attributed position and P&L on an instrument it shares with others
+                    this.emit('exposureUpdate', response);
+                    break;
+                    
                 default:
                     this.log('warn', 'Unknown response type', { type: response.type });
             }
@@ -438,9 +745,66 @@ class AggregatorClient extends EventEmitter {
         if (pending) {
             pending.status = update.status;
             pending.lastUpdate = new Date();
+            if (pending.ackTimer) {
+                clearTimeout(pending.ackTimer);
+                pending.ackTimer = null;
+            }
+        }
+        
+        const working = this.workingOrders.get(orderId);
+        if (working) {
+            working.status = update.status;
+            working.filledQuantity = update.filledQuantity || 0;
+            working.limitPrice = update.limitPrice ?? working.limitPrice;
+            working.stopPrice = update.stopPrice ?? working.stopPrice;
+            working.expireAt = update.expireAt || working.expireAt;
         }
         
         this.emit('orderUpdate', update);
+        
+        // Passed the aggregator's risk checks and waiting its turn to go to the broker
+        if (update.status === 'QUEUED') {
+            this.metrics.ordersAccepted++;
+            this.emit('orderAccepted', {
+                orderId,
+                aggregatorOrderId: orderId,
+                queueId: update.queueId
+            });
+        }
+        
+        if (!TERMINAL_STATUSES.includes(update.status)) return;
+        this.workingOrders.delete(orderId);
+        
+        // A cancelled or expired order may have filled in part - that part is a position
+        if (update.filledQuantity > 0) {
+            this.metrics.ordersFilled++;
+            this.emit('orderFilled', {
+                orderId,
+                side: update.side,
+                fillPrice: update.filledPrice,
+                quantity: update.filledQuantity,
+                instrument: update.instrument,
+                timestamp: Date.now()
+            });
+        }
+        
+        if (update.status === 'REJECTED') {
+            // Risk checks, account limits, another bot's exposure, or the broker
+            this.metrics.ordersRejected++;
+            this.emit('orderRejected', {
+                orderId,
+                reason: update.reason,
+                violations: update.violations || [],
+                error: update.error || null
+            });
+        } else if (update.status !== 'FILLED') {
+            this.emit('orderCancelled', {
+                orderId,
+                status: update.status,
+                filledQuantity: update.filledQuantity || 0,
+                error: update.error || null
+            });
+        }
     }
     
     /**
@@ -535,6 +899,11 @@ class AggregatorClient extends EventEmitter {
                 });
             }
             
+            // Replayed messages carry the replay's clock
+            if (marketData.replay && marketData.replayClock) {
+                this.emit('replayClock', marketData.replayClock);
+            }
+            
             // Only process actual market price data - position updates now go to separate channel
             // Check for payload-wrapped data (new format from aggregator)
             if (marketData.payload && marketData.payload.type === 'QUOTE' && marketData.payload.data) {
@@ -643,6 +1012,19 @@ class AggregatorClient extends EventEmitter {
                     // Skip invalid trade data - no logging to reduce noise
                 }
                 
+            } else if ((marketData.payload?.type === 'DEPTH' && marketData.payload.data) ||
+                       (marketData.type === 'DEPTH' && marketData.data)) {
+                // Order book snapshots (wrapped or direct format) for order-flow tracking
+                const depthData = marketData.payload?.type === 'DEPTH' ? marketData.payload : marketData;
+
+                this.emit('marketDepth', {
+                    type: 'MARKET_DEPTH',
+                    instrument: depthData.instrument,
+                    bids: depthData.data.bids || [],
+                    asks: depthData.data.asks || [],
+                    timestamp: depthData.data.timestamp || new Date().toISOString()
+                });
+
             } else if (marketData.type === 'POSITION_UPDATE') {
                 // LEGACY SUPPORT: Still handle position updates on market channel for backward compatibility
                 this.log('warn', 'Position update received on market data channel (should be on position channel)', {
@@ -651,8 +1033,10 @@ class AggregatorClient extends EventEmitter {
                     hasPosition: !!(marketData.payload && marketData.payload.position)
                 });
                 
+                const payload = marketData.payload || {};
                 const positionUpdate = {
-                    positions: marketData.payload && marketData.payload.position ? [marketData.payload.position] : [],
+                    positions: payload.position ? [payload.position] :
+                        payload.positionId !== undefined ? [this.toBrokerPosition(payload)] : [],
                     type: 'position-update',
                     source: 'market-data-channel'
                 };
@@ -696,8 +1080,13 @@ class AggregatorClient extends EventEmitter {
             let positionUpdate;
             
             if (positionData.type === 'POSITION_UPDATE' && positionData.payload) {
+                // Broker position events are flat - { positionId, contractId, size, ... }
+                const payload = positionData.payload;
+                const positions = payload.position ? [payload.position] :
+                    payload.positionId !== undefined ? [this.toBrokerPosition(payload)] : [];
+                
                 positionUpdate = {
-                    positions: positionData.payload.position ? [positionData.payload.position] : [],
+                    positions,
                     type: 'position-update',
                     source: 'aggregator-position-channel',
                     processedBy: positionData.processedBy || 'aggregator',
@@ -722,6 +1111,184 @@ class AggregatorClient extends EventEmitter {
         }
     }
     
+    /**
+     * A broker position event as a position entry - size 0 means the position closed
+     */
+    toBrokerPosition(payload) {
+        const size = payload.size ?? payload.quantity ?? 0;
+        return {
+            id: payload.positionId,
+            instrument: payload.contractId || payload.instrument,
+            size,
+            averagePrice: payload.averagePrice,
+            unrealizedPnL: payload.unrealizedPnL,
+            realizedPnL: payload.realizedPnL,
+            status: size > 0 ? 'OPEN' : 'CLOSED'
+        };
+    }
+    
+    /**
+     * Handle REPLAY_STATUS from a market data replay ({ state, speed, clock, ... })
+     */
+    handleReplayStatus(message) {
+        try {
+            const event = JSON.parse(message);
+            if (event.type === 'REPLAY_STATUS' && event.payload) {
+                this.emit('replayStatus', event.payload);
+            }
+        } catch (error) {
+            this.log('error', 'Error parsing replay status', { error: error.message });
+        }
+    }
+    
+    /**
+     * Handle Connection Manager system events - contract rollover, position adoption
+     * and fleet-wide trading pauses concern bots
+     */
+    handleSystemEvent(message) {
+        try {
+            const event = JSON.parse(message);
+            
+            if (event.type === 'ADOPT_POSITION') {
+                if (event.payload?.botId !== this.config.botId) return;
+                this.log('warn', 'Position adoption requested by reconciliation', {
+                    contractId: event.payload.contractId,
+                    side: event.payload.side,
+                    size: event.payload.size
+                });
+                this.emit('adoptPosition', event.payload);
+            } else if (event.type === 'CONTRACT_ROLLOVER_WARNING') {
+                this.emit('contractRolloverWarning', event.payload);
+            } else if (event.type === 'CONTRACT_ROLLOVER') {
+                this.log('info', 'Contract rollover received', {
+                    symbol: event.payload?.symbol,
+                    from: event.payload?.contractId,
+                    to: event.payload?.nextContractId
+                });
+                this.emit('contractRollover', event.payload);
+            } else if (event.type === 'PAUSE_TRADING') {
+                this.log('warn', 'Trading paused by Connection Manager', { reason: event.payload?.reason });
+                this.emit('tradingPaused', event.payload || {});
+            } else if (event.type === 'RESUME_TRADING') {
+                this.log('info', 'Trading resumed by Connection Manager', { reason: event.payload?.reason });
+                this.emit('tradingResumed', event.payload || {});
+            }
+            
+        } catch (error) {
+            this.log('error', 'Error parsing system event', {
+                error: error.message
+            });
+        }
+    }
+    
+    /**
+     * Receive bars from the Connection Manager's bar service instead of building
+     * them from ticks. Emits 'bar' for each completed bar and 'barUpdate' for the
+     * bar in progress.
+     * @param {string} instrument - Contract or symbol ('CON.F.US.MGC.Z26', 'MGC')
+     * @param {Array<string>} timeframes - e.g. ['1m', '5m', '1d', '500t', '1000v', '10r']
+     */
+    async subscribeToBars(instrument, timeframes = ['1m']) {
+        if (!this.connected) {
+            throw new Error('Not connected to aggregator');
+        }
+        
+        const firstSubscription = this.barSubscriptions.size === 0;
+        const key = instrumentRegistry.getSymbolRoot(instrument) || instrument;
+        if (!this.barSubscriptions.has(key)) this.barSubscriptions.set(key, new Set());
+        timeframes.forEach(timeframe => this.barSubscriptions.get(key).add(timeframe));
+        
+        if (firstSubscription) {
+            await this.subscribeChannel('market:bars', (message) => {
+                this.handleBarMessage(message);
+            });
+        }
+        
+        // Timeframes beyond the service's defaults are built on request
+        await this.publishMessage('connection-manager:requests', {
+            type: 'SUBSCRIBE_BARS',
+            requestId: `${this.config.botId}_bars_${Date.now()}`,
+            payload: { instanceId: this.config.botId, instrument, timeframes }
+        });
+        
+        this.log('info', 'Subscribed to bars', { instrument, timeframes });
+    }
+    
+    /**
+     * Handle BAR_CLOSED / BAR_UPDATE messages from market:bars
+     */
+    handleBarMessage(message) {
+        try {
+            const { type, payload } = JSON.parse(message);
+            if (!payload?.bar) return;
+            
+            const key = instrumentRegistry.getSymbolRoot(payload.instrument) || payload.instrument;
+            if (!this.barSubscriptions.get(key)?.has(payload.timeframe)) return;
+            
+            const bar = { ...payload.bar, instrument: payload.instrument };
+            if (type === 'BAR_CLOSED') {
+                this.emit('bar', bar);
+            } else if (type === 'BAR_UPDATE') {
+                this.emit('barUpdate', bar);
+            }
+        } catch (error) {
+            this.log('error', 'Error parsing bar message', {
+                error: error.message
+            });
+        }
+    }
+    
+    /**
+     * Tell the Connection Manager whether this bot holds a position, for
+     * reconciliation against the broker
+     * @param {Object} state - { contractId, position: { side, size, brokerPositionId } | null, pendingEntry }
+     */
+    async reportPositionState(state) {
+        if (!this.connected || !this.publisher) return;
+        
+        try {
+            await this.publishMessage('instance:control', {
+                type: 'BOT_POSITION_STATE',
+                payload: {
+                    botId: this.config.botId,
+                    accountId: this.config.accountId,
+                    ...state
+                },
+                timestamp: Date.now()
+            });
+        } catch (error) {
+            this.log('warn', 'Failed to report position state', { error: error.message });
+        }
+    }
+    
+    /**
+     * Publish a message that matches its shared schema - anything else is dead-lettered and throws
+     */
+    async publishMessage(channel, message) {
+        const { message: checkedMessage, errors } = this.messageValidator.prepare(channel, message);
+        if (!checkedMessage) {
+            throw new Error(`Invalid ${message.type || 'message'} for ${channel}: ${errors.join('; ')}`);
+        }
+        
+        // Orders go on the aggregator's stream, keyed by order ID so a resend is not placed twice
+        if (this.orderStream && channel === 'aggregator:orders') {
+            return await this.orderStream.publish(STREAMS.aggregatorOrders, checkedMessage);
+        }
+        
+        return await this.publisher.publish(channel, JSON.stringify(checkedMessage));
+    }
+    
+    /**
+     * Subscribe to a channel - the handler only sees messages that match their schema
+     */
+    async subscribeChannel(channel, handler) {
+        return await this.subscriber.subscribe(channel, (message) => {
+            if (this.messageValidator.accept(channel, message)) {
+                handler(message);
+            }
+        });
+    }
+    
     /**
      * Handle Redis errors
      */
@@ -751,7 +1318,7 @@ class AggregatorClient extends EventEmitter {
         }, this.healthConfig.pingInterval);
         
         // Perform initial health check
-        setTimeout(() => this.performHealthCheck(), 5000);
+        this.initialHealthCheckTimeout = setTimeout(() => this.performHealthCheck(), 5000);
     }
     
     /**
@@ -763,6 +1330,9 @@ class AggregatorClient extends EventEmitter {
             this.connectionMonitorInterval = null;
         }
         
+        clearTimeout(this.initialHealthCheckTimeout);
+        this.initialHealthCheckTimeout = null;
+        
         // Clear any pending reconnect timeouts
         this.reconnectTimeouts.forEach(timeout => clearTimeout(timeout));
         this.reconnectTimeouts = [];
@@ -914,6 +1484,12 @@ class AggregatorClient extends EventEmitter {
     async cleanupConnections() {
         const cleanupPromises = [];
         
+        // Unacknowledged order updates stay pending on the stream for the next connect
+        if (this.orderStream) {
+            await this.orderStream.stop();
+            this.orderStream = null;
+        }
+        
         if (this.publisher) {
             cleanupPromises.push(
                 this.publisher.quit().catch(err => 
@@ -962,6 +1538,8 @@ class AggregatorClient extends EventEmitter {
             pendingOrders: this.pendingOrders.size,
             activePositions: this.positions.size,
             connected: this.connected,
+            messageValidation: this.messageValidator.getStats(),
+            orderTransport: this.orderStream ? this.orderStream.getStats() : null,
             connectionHealth: {
                 lastPing: this.lastPingTime?.toISOString(),
                 lastPong: this.lastPongTime?.toISOString(),
@@ -992,6 +1570,13 @@ class AggregatorClient extends EventEmitter {
         }
         this.orderResponses.clear();
         
+        for (const pending of this.pendingOrders.values()) {
+            if (pending.ackTimer) {
+                clearTimeout(pending.ackTimer);
+                pending.ackTimer = null;
+            }
+        }
+        
         this.log('info', 'Disconnected from aggregator');
         this.emit('disconnected', { reason: 'Client shutdown' });
     }
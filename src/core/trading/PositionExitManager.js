@@ -0,0 +1,234 @@
+/**
+ * PositionExitManager - Bot-side management of an open position's exits
+ *
+ * Implements the `exits` section of the bot YAML:
+ * - partialExits: scale out a percentage of the entry size at R-multiple targets
+ * - moveToBreakeven: move the stop to entry once price reaches breakevenTrigger R
+ * - trailingStop: once `trigger` R is reached, trail the stop `distance` ticks
+ *   behind price (optionally shifting the take profit by the same amount)
+ *
+ * The manager never talks to the broker itself. evaluate() returns the actions
+ * that are due and TradingBot applies them (aggregator or simulation), calling
+ * commit() only once an action has been accepted so failed requests are retried
+ * on the next tick.
+ */
+
+class PositionExitManager {
+    constructor(exitsConfig = {}, options = {}) {
+        const trailingStop = exitsConfig.trailingStop || {};
+        // Older bot files nest these under exits.stopLoss / exits.profitTarget
+        const stopLoss = exitsConfig.stopLoss || {};
+        const profitTarget = exitsConfig.profitTarget || {};
+
+        this.config = {
+            moveToBreakeven: (exitsConfig.moveToBreakeven ?? stopLoss.moveToBreakeven) === true,
+            breakevenTrigger: exitsConfig.breakevenTrigger ?? stopLoss.breakevenTrigger ?? 1.5,
+            // Targets are R-multiples of the initial stop distance
+            partialExits: (exitsConfig.partialExits || profitTarget.partialExits || [])
+                .filter(exit => exit && exit.percentage > 0 && exit.target > 0)
+                .map(exit => ({ percentage: Number(exit.percentage), target: Number(exit.target) }))
+                .sort((a, b) => a.target - b.target),
+            trailingStop: {
+                enabled: trailingStop.enabled === true,
+                trigger: trailingStop.trigger ?? 1,
+                distance: trailingStop.distance ?? 10, // ticks
+                adjustTP: trailingStop.adjustTP === true
+            },
+            tickSize: options.tickSize || 0.1
+        };
+
+        this.position = null;
+    }
+
+    /**
+     * Whether any exit feature is enabled in the configuration
+     */
+    isEnabled() {
+        return this.config.moveToBreakeven ||
+            this.config.partialExits.length > 0 ||
+            this.config.trailingStop.enabled;
+    }
+
+    /**
+     * Start managing a newly filled position
+     * @param {Object} position - { direction, entryPrice, stopLoss, takeProfit, quantity }
+     */
+    openPosition(position) {
+        const initialRisk = Math.abs(position.entryPrice - position.stopLoss);
+
+        if (!position.stopLoss || !isFinite(initialRisk) || initialRisk === 0) {
+            this.position = null;
+            return false;
+        }
+
+        this.position = {
+            isLong: position.direction === 'LONG' || position.direction === 'BUY',
+            entryPrice: position.entryPrice,
+            initialRisk,
+            initialQuantity: position.quantity,
+            remainingQuantity: position.quantity,
+            stopLoss: position.stopLoss,
+            takeProfit: position.takeProfit || null,
+            completedPartials: new Set(),
+            breakevenDone: false,
+            trailingActive: false,
+            bestPrice: position.entryPrice
+        };
+
+        return true;
+    }
+
+    /**
+     * Stop managing the current position
+     */
+    closePosition() {
+        this.position = null;
+    }
+
+    /**
+     * Current R-multiple of the open position at a price
+     */
+    getRMultiple(price) {
+        const position = this.position;
+        if (!position) return 0;
+
+        const move = position.isLong ? price - position.entryPrice : position.entryPrice - price;
+        return move / position.initialRisk;
+    }
+
+    /**
+     * Evaluate a price and return the exit actions that are due
+     * @returns {Array} PARTIAL_EXIT and/or MODIFY_SLTP actions
+     */
+    evaluate(price) {
+        const position = this.position;
+        if (!position) return [];
+
+        const actions = [];
+        const rMultiple = this.getRMultiple(price);
+
+        if (position.isLong ? price > position.bestPrice : price < position.bestPrice) {
+            position.bestPrice = price;
+        }
+
+        // Partial exits - one per evaluation so quantities stay in sync with fills
+        for (let index = 0; index < this.config.partialExits.length; index++) {
+            const partial = this.config.partialExits[index];
+            if (position.completedPartials.has(index) || rMultiple < partial.target) continue;
+
+            const quantity = Math.min(
+                Math.floor(position.initialQuantity * partial.percentage / 100),
+                position.remainingQuantity
+            );
+
+            if (quantity < 1) {
+                // Position too small to scale out at this level
+                position.completedPartials.add(index);
+                continue;
+            }
+
+            actions.push({
+                type: 'PARTIAL_EXIT',
+                index,
+                quantity,
+                target: partial.target,
+                price,
+                rMultiple
+            });
+            break;
+        }
+
+        let newStop = position.stopLoss;
+        let newTarget = position.takeProfit;
+        const reasons = [];
+
+        // Breakeven
+        if (this.config.moveToBreakeven && !position.breakevenDone && rMultiple >= this.config.breakevenTrigger) {
+            if (this.isBetterStop(position.entryPrice, newStop)) {
+                newStop = position.entryPrice;
+                reasons.push('BREAKEVEN');
+            }
+        }
+
+        // Trailing stop
+        const trailing = this.config.trailingStop;
+        if (trailing.enabled && (position.trailingActive || rMultiple >= trailing.trigger)) {
+            const trailDistance = trailing.distance * this.config.tickSize;
+            const trailStop = this.roundToTick(position.isLong ?
+                position.bestPrice - trailDistance :
+                position.bestPrice + trailDistance);
+
+            // Only move in whole-tick increments to avoid flooding the broker
+            if (this.isBetterStop(trailStop, newStop) &&
+                Math.abs(trailStop - newStop) >= this.config.tickSize - 1e-9) {
+                if (trailing.adjustTP && newTarget !== null) {
+                    newTarget = this.roundToTick(newTarget + (trailStop - newStop));
+                }
+                newStop = trailStop;
+                reasons.push('TRAILING_STOP');
+            }
+        }
+
+        if (newStop !== position.stopLoss || newTarget !== position.takeProfit) {
+            actions.push({
+                type: 'MODIFY_SLTP',
+                stopLoss: newStop,
+                takeProfit: newTarget,
+                previousStopLoss: position.stopLoss,
+                previousTakeProfit: position.takeProfit,
+                reasons,
+                price,
+                rMultiple
+            });
+        }
+
+        return actions;
+    }
+
+    /**
+     * Record that an action was accepted by the broker (or simulation)
+     */
+    commit(action) {
+        const position = this.position;
+        if (!position) return;
+
+        if (action.type === 'PARTIAL_EXIT') {
+            position.completedPartials.add(action.index);
+            position.remainingQuantity -= action.quantity;
+            if (position.remainingQuantity <= 0) {
+                this.closePosition();
+            }
+        } else if (action.type === 'MODIFY_SLTP') {
+            position.stopLoss = action.stopLoss;
+            position.takeProfit = action.takeProfit;
+            if (action.reasons.includes('BREAKEVEN')) position.breakevenDone = true;
+            if (action.reasons.includes('TRAILING_STOP')) position.trailingActive = true;
+        }
+    }
+
+    isBetterStop(candidate, current) {
+        if (current === null || current === undefined) return true;
+        return this.position.isLong ? candidate > current : candidate < current;
+    }
+
+    roundToTick(price) {
+        const tickSize = this.config.tickSize;
+        return parseFloat((Math.round(price / tickSize) * tickSize).toFixed(10));
+    }
+
+    getStatus() {
+        if (!this.position) return null;
+
+        return {
+            entryPrice: this.position.entryPrice,
+            stopLoss: this.position.stopLoss,
+            takeProfit: this.position.takeProfit,
+            remainingQuantity: this.position.remainingQuantity,
+            partialsCompleted: this.position.completedPartials.size,
+            breakevenDone: this.position.breakevenDone,
+            trailingActive: this.position.trailingActive
+        };
+    }
+}
+
+module.exports = PositionExitManager;
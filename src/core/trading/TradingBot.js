@@ -16,6 +16,11 @@ const RiskManager = require('../aggregator/core/RiskManager');
 const FileLogger = require('../../../shared/utils/FileLogger');
 const AggregatorClient = require('./AggregatorClient');
 const PnLModule = require('../pnl/PnLModule');
+const PositionExitManager = require('./PositionExitManager');
+const instrumentRegistry = require('../../../shared/modules/contracts/InstrumentRegistry');
+const TradeJournal = require('../../../shared/modules/journal/TradeJournal');
+const OrderFlowTracker = require('../../indicators/OrderFlowTracker');
+const ReplayClock = require('../replay/ReplayClock');
 
 class TradingBot extends EventEmitter {
     constructor(botIdOrConfig = {}) {
@@ -37,6 +42,20 @@ class TradingBot extends EventEmitter {
         this.strategy = null;
         this.aggregatorClient = null;
         this.logger = null;
+        this.exitManager = null;
+        this.journal = null;
+        this.orderFlow = null;
+        
+        // Exit management bookkeeping
+        this.pendingEntrySignal = null;
+        this.exitActionInFlight = false;
+        
+        // Position reports for the Connection Manager's broker reconciliation
+        this.positionReportTimer = null;
+        
+        // Clock for trading logic - the wall clock unless a replay or backtest sets one
+        this.clock = null;
+        this.replayClock = null;
         
         // State management
         this.state = {
@@ -60,6 +79,20 @@ class TradingBot extends EventEmitter {
             lastTimestamp: null,
             marketDataCount: 0,
             
+            // Contract month traded (follows rollovers) and a rollover deferred until flat
+            activeContract: null,
+            pendingRollover: null,
+            
+            // Fleet-wide pause from the Connection Manager ({ reason, since }) - exits still run
+            tradingPaused: null,
+            
+            // This bot's slice of a shared account/instrument, attributed by the aggregator
+            exposure: null,
+            
+            // LIMIT / STOP entry resting at the broker ({ orderId, orderType, limitPrice, ... }) -
+            // the position only opens once it fills
+            workingEntry: null,
+            
             // Trading statistics
             tradeCount: 0,
             winCount: 0,
@@ -89,12 +122,24 @@ class TradingBot extends EventEmitter {
             // Initialize logger with config
             this.initializeLogger();
             
+            // Resolve the contract month to trade
+            this.initializeContract();
+            
+            // Initialize durable trade journal
+            this.initializeJournal();
+            
             // Initialize risk manager
             await this.initializeRiskManager();
             
+            // Order book and order flow from live DEPTH/TRADE data - strategies read it from the bot
+            this.orderFlow = new OrderFlowTracker(this.runtimeConfig.orderFlowConfig);
+            
             // Initialize strategy
             await this.initializeStrategy();
             
+            // Initialize partial exits / breakeven / trailing stop handling
+            this.initializeExitManagement();
+            
             // Initialize aggregator connection (if enabled)
             if (this.runtimeConfig.aggregatorEnabled) {
                 await this.initializeAggregator();
@@ -153,8 +198,7 @@ class TradingBot extends EventEmitter {
                 
                 // Instrument configuration
                 instrument: config.instrument || 'MES',
-                contractSpecs: config.tradingDefaults?.contractSpecs?.[config.instrument] || 
-                              config.tradingDefaults?.contractSpecs?.MES,
+                contractSpecs: instrumentRegistry.resolve(config.instrument || 'MES'),
                 
                 // Risk management (from config hierarchy)
                 riskConfig: {
@@ -170,10 +214,21 @@ class TradingBot extends EventEmitter {
                 // Market data settings
                 marketDataSource: this.config.marketDataSource || 'SIMULATED',
                 tickIntervalMs: this.config.tickIntervalMs || 2000,
+                // TICKS: strategies build their own candles; SERVICE: bars from the Connection Manager
+                barSource: config.barSource || this.config.barSource || 'TICKS',
                 
                 // Trading hours
                 tradingHours: config.tradingHours,
                 
+                // Exit management (partial exits, breakeven, trailing stop)
+                exitConfig: config.exits || {},
+                
+                // Order-flow thresholds (large lots, absorption, book imbalance depth)
+                orderFlowConfig: config.orderFlow || {},
+                
+                // Trade journal - backtests keep their trades in the backtest report
+                journalEnabled: config.journal?.enabled ?? this.config.marketDataSource !== 'BACKTEST',
+                
                 // Aggregator integration
                 aggregatorEnabled: config.aggregator?.enabled && !this.config.testMode,
                 
@@ -201,25 +256,23 @@ class TradingBot extends EventEmitter {
     }
     
     /**
-     * Get instrument multiplier (dollar per point) based on instrument
+     * Get instrument multiplier (dollar per point) from the instrument registry.
+     * Throws for an instrument without contract data, so a bot never sizes or
+     * prices trades on a guessed point value
      */
     getInstrumentMultiplier(instrument) {
-        // Extract symbol from full instrument name (e.g., "F.US.MGC" -> "MGC")
-        const symbol = instrument?.includes('.') ? 
-            instrument.split('.').pop() : 
-            instrument;
-            
-        const multipliers = {
-            'MGC': 10,    // Micro Gold
-            'MES': 5,     // Micro E-mini S&P 500
-            'MNQ': 2,     // Micro E-mini Nasdaq
-            'M2K': 5,     // Micro E-mini Russell
-            'MYM': 0.5,   // Micro E-mini Dow
-            'MCL': 10,    // Micro Crude Oil
-            'M6E': 12.5   // Micro EUR/USD
-        };
-        
-        return multipliers[symbol] || 10; // Default to 10 if not found
+        const pointValue = instrumentRegistry.getPointValue(instrument);
+        if (!pointValue) {
+            throw new Error(`No point value for ${instrument} - contract data is missing from the instrument registry`);
+        }
+        return pointValue;
+    }
+    
+    /**
+     * Get instrument tick size from the instrument registry
+     */
+    getInstrumentTickSize(instrument) {
+        return instrumentRegistry.getTickSize(instrument) ?? 0.1; // Default to 0.1 if not found
     }
     
     /**
@@ -418,11 +471,7 @@ class TradingBot extends EventEmitter {
                 maxOpenPositions: this.runtimeConfig.riskConfig.maxOpenPositions,
                 maxOrderSize: 10, // From global config
                 minOrderSize: 1,
-                allowedTradingHours: this.runtimeConfig.tradingHours?.enabled ? 
-                    (this.runtimeConfig.tradingHours?.sessions?.[0] ? {
-                        start: this.runtimeConfig.tradingHours.sessions[0].start,
-                        end: this.runtimeConfig.tradingHours.sessions[0].end
-                    } : { start: '09:30', end: '16:00' }) : null
+                allowedTradingHours: this.buildTradingHoursConfig(this.runtimeConfig.tradingHours)
             };
             
             this.riskManager = new RiskManager(riskConfig);
@@ -431,7 +480,9 @@ class TradingBot extends EventEmitter {
                 maxDailyLoss: riskConfig.maxDailyLoss,
                 maxDailyProfit: riskConfig.maxDailyProfit,
                 maxOpenPositions: riskConfig.maxOpenPositions,
-                dollarRiskPerTrade: riskConfig.dollarRiskPerTrade
+                dollarRiskPerTrade: riskConfig.dollarRiskPerTrade,
+                tradingSessions: riskConfig.allowedTradingHours ?
+                    riskConfig.allowedTradingHours.sessions.map(session => session.name || `${session.start}-${session.end}`) : 'unrestricted'
             });
             
         } catch (error) {
@@ -440,6 +491,182 @@ class TradingBot extends EventEmitter {
         }
     }
     
+    /**
+     * Build the RiskManager trading schedule from the YAML tradingHours section
+     */
+    buildTradingHoursConfig(tradingHours) {
+        if (!tradingHours?.enabled) return null;
+        
+        return {
+            timezone: tradingHours.timezone,
+            sessions: tradingHours.sessions?.length > 0 ?
+                tradingHours.sessions :
+                [{ name: 'Regular', start: '09:30', end: '16:00', timezone: 'America/New_York', days: [1, 2, 3, 4, 5] }],
+            calendar: tradingHours.calendar,
+            holidays: tradingHours.holidays,
+            earlyCloses: tradingHours.earlyCloses
+        };
+    }
+    
+    /**
+     * Resolve the contract month this bot trades. A pinned contract that is already
+     * past its roll date is replaced by the active one so the bot never enters the
+     * illiquid expiring month.
+     */
+    initializeContract() {
+        const instrument = this.runtimeConfig.instrument;
+        
+        if (!instrumentRegistry.getContractMonth(instrument)) {
+            this.state.activeContract = instrumentRegistry.getActiveContract(instrument);
+            return;
+        }
+        
+        this.state.activeContract = instrument;
+        
+        // Replayed history belongs to the pinned contract
+        if (this.runtimeConfig.marketDataSource === 'BACKTEST') {
+            return;
+        }
+        
+        const rollInfo = instrumentRegistry.getRollInfo(instrument);
+        if (rollInfo.phase === 'ROLL') {
+            const activeContract = instrumentRegistry.getActiveContract(instrument);
+            this.log('warn', 'Configured contract is past its roll date - trading the active contract', {
+                configured: instrument,
+                rollDate: rollInfo.rollDate.toISOString().slice(0, 10),
+                activeContract
+            });
+            this.runtimeConfig.instrument = activeContract;
+            this.runtimeConfig.contractSpecs = instrumentRegistry.resolve(activeContract);
+            this.state.activeContract = activeContract;
+        }
+    }
+    
+    /**
+     * Initialize the trade journal (data/journal/<botId>/)
+     */
+    initializeJournal() {
+        if (!this.runtimeConfig.journalEnabled) return;
+        
+        this.journal = new TradeJournal({
+            source: this.botId,
+            ...(this.config.journal?.directory ? { directory: this.config.journal.directory } : {})
+        });
+        
+        this.log('info', 'Trade journal enabled', {
+            file: this.journal.getFilePath()
+        });
+    }
+    
+    /**
+     * Record a journal entry tagged with this bot's identity
+     */
+    recordJournal(type, entry = {}) {
+        if (!this.journal) return;
+        
+        try {
+            this.journal.record(type, {
+                botId: this.botId,
+                instrument: this.state.activeContract || this.runtimeConfig.instrument,
+                strategy: this.runtimeConfig.strategyType,
+                accountId: this.runtimeConfig.accountId || this.config.accountId,
+                ...entry
+            });
+        } catch (error) {
+            this.handleError('trade_journal', error);
+        }
+    }
+    
+    /**
+     * Strategy state behind a signal - signals may carry their own snapshot
+     */
+    getStrategySnapshot(signal = {}) {
+        return {
+            indicators: signal.indicators || this.strategy?.getIndicatorSnapshot?.() || null,
+            environment: signal.environment || this.strategy?.getEnvironmentSnapshot?.() || null,
+            orderFlow: signal.orderFlow || this.getOrderFlowSnapshot()
+        };
+    }
+    
+    /**
+     * Book imbalance, cumulative delta, absorption and large lots of the traded contract
+     */
+    getOrderFlowSnapshot() {
+        return this.orderFlow?.getSnapshot(this.state.activeContract) || null;
+    }
+    
+    /**
+     * Aggressor-side delta of the traded contract since a time; null when order
+     * flow has not been tracked that long (strategies fall back to candle estimates)
+     */
+    getOrderFlowDelta(since) {
+        return this.orderFlow?.getDeltaSince(this.state.activeContract, since) ?? null;
+    }
+    
+    /**
+     * Whether a market data instrument is the contract this bot trades
+     */
+    isOwnContract(instrument) {
+        if (!instrument) return false;
+        
+        if (instrumentRegistry.getContractMonth(instrument)) {
+            return instrument === this.state.activeContract;
+        }
+        
+        return instrumentRegistry.getSymbolRoot(instrument) === instrumentRegistry.getSymbolRoot(this.runtimeConfig.instrument);
+    }
+    
+    /**
+     * Handle a contract rollover published by the Connection Manager
+     */
+    async handleContractRollover(event) {
+        if (!event || event.contractId !== this.state.activeContract) return;
+        
+        const position = this.state.currentPosition;
+        
+        if (position && event.positionPolicy === 'roll') {
+            // The Connection Manager re-opens the position on the next contract
+            position.instrument = event.nextContractId;
+            position.brokerPositionId = null;
+        } else if (position) {
+            // Keep managing the open position on the expiring contract, switch once flat
+            this.state.pendingRollover = event;
+            this.log('warn', 'Contract rollover deferred until position is closed', {
+                from: event.contractId,
+                to: event.nextContractId,
+                positionId: position.id
+            });
+            return;
+        }
+        
+        await this.switchContract(event.nextContractId);
+    }
+    
+    /**
+     * Move to a new contract month and rebuild strategy state
+     */
+    async switchContract(contractId) {
+        const previousContract = this.state.activeContract;
+        
+        this.state.activeContract = contractId;
+        this.state.pendingRollover = null;
+        
+        // Pinned bots follow the roll; generic symbols are resolved to the new month by the Connection Manager
+        if (instrumentRegistry.getContractMonth(this.runtimeConfig.instrument)) {
+            this.runtimeConfig.instrument = contractId;
+        }
+        this.runtimeConfig.contractSpecs = instrumentRegistry.resolve(contractId);
+        
+        // Indicators built on the expiring contract do not carry over the price gap between months
+        await this.initializeStrategy();
+        
+        this.log('info', 'Switched to next contract', {
+            from: previousContract,
+            to: contractId
+        });
+        this.emit('contractRolled', { botId: this.botId, from: previousContract, to: contractId });
+    }
+    
     /**
      * Initialize strategy based on configuration
      */
@@ -485,6 +712,24 @@ class TradingBot extends EventEmitter {
         }
     }
     
+    /**
+     * Initialize bot-side exit management from the YAML exits section
+     */
+    initializeExitManagement() {
+        this.exitManager = new PositionExitManager(this.runtimeConfig.exitConfig, {
+            tickSize: this.getInstrumentTickSize(this.runtimeConfig.instrument)
+        });
+        
+        if (this.exitManager.isEnabled()) {
+            this.log('info', 'Exit management enabled', {
+                moveToBreakeven: this.exitManager.config.moveToBreakeven,
+                breakevenTrigger: this.exitManager.config.breakevenTrigger,
+                partialExits: this.exitManager.config.partialExits,
+                trailingStop: this.exitManager.config.trailingStop
+            });
+        }
+    }
+    
     /**
      * Set up strategy event handlers
      */
@@ -517,6 +762,31 @@ class TradingBot extends EventEmitter {
                 violations: event.violations
             });
             this.state.signalsFailed++;
+            this.handleEntryOrderDone(event.orderId, 'REJECTED');
+        });
+        
+        // Order not moving through the aggregator - unacknowledged, stuck in the queue or never reached the broker
+        this.aggregatorClient.on('orderStuck', (event) => {
+            this.log('warn', 'Order stuck', {
+                orderId: event.orderId,
+                status: event.status,
+                reason: event.reason,
+                stuckForMs: event.stuckForMs
+            });
+        });
+        
+        // Working entry cancelled or expired at the broker
+        this.aggregatorClient.on('orderCancelled', (event) => {
+            this.handleEntryOrderDone(event.orderId, event.status, event.filledQuantity);
+        });
+        
+        // Working entry moved by a replace
+        this.aggregatorClient.on('orderUpdate', (update) => {
+            const entry = this.state.workingEntry;
+            if (!entry || entry.orderId !== update.orderId) return;
+            entry.status = update.status;
+            entry.limitPrice = update.limitPrice ?? entry.limitPrice;
+            entry.stopPrice = update.stopPrice ?? entry.stopPrice;
         });
         
         // Order filled
@@ -543,6 +813,135 @@ class TradingBot extends EventEmitter {
         this.aggregatorClient.on('error', (event) => {
             this.log('error', 'Aggregator error', event);
         });
+        
+        // Contract rollover
+        this.aggregatorClient.on('contractRolloverWarning', (info) => {
+            if (info?.contractId !== this.state.activeContract) return;
+            this.log('warn', 'Contract rollover approaching', {
+                contractId: info.contractId,
+                nextContractId: info.nextContractId,
+                rollDate: info.rollDate,
+                positionPolicy: info.positionPolicy
+            });
+        });
+        
+        this.aggregatorClient.on('contractRollover', (event) => {
+            this.handleContractRollover(event).catch(error => this.handleError('contract_rollover', error));
+        });
+        
+        // Reconciliation found a broker position this bot should manage
+        this.aggregatorClient.on('adoptPosition', (event) => {
+            this.adoptPosition(event);
+        });
+        
+        // Connection loss or an account limit paused the fleet
+        this.aggregatorClient.on('tradingPaused', (event) => {
+            this.state.tradingPaused = { reason: event.reason || 'Trading paused', since: new Date(this.now()) };
+            this.log('warn', 'Trading paused - no new entries', { reason: this.state.tradingPaused.reason });
+        });
+        
+        this.aggregatorClient.on('tradingResumed', (event) => {
+            if (!this.state.tradingPaused) return;
+            this.log('info', 'Trading resumed', { reason: event.reason, pausedFor: this.state.tradingPaused.reason });
+            this.state.tradingPaused = null;
+        });
+        
+        this.aggregatorClient.on('exposureUpdate', (update) => {
+            this.state.exposure = {
+                instrument: update.instrument,
+                position: update.position,
+                averagePrice: update.averagePrice,
+                working: update.working,
+                realizedPnL: update.realizedPnL,
+                unrealizedPnL: update.unrealizedPnL,
+                accountNetPosition: update.netPosition,
+                updatedAt: new Date(this.now())
+            };
+        });
+        
+        this.on('positionOpened', () => this.reportPositionState());
+        this.on('positionClosed', () => this.reportPositionState());
+    }
+    
+    /**
+     * Report the current position to the Connection Manager now and periodically
+     */
+    startPositionReports() {
+        if (this.positionReportTimer) return;
+        
+        this.reportPositionState();
+        this.positionReportTimer = setInterval(() => this.reportPositionState(),
+            this.config.positionReportIntervalMs || 15000);
+    }
+    
+    reportPositionState() {
+        if (!this.aggregatorClient) return;
+        
+        const position = this.state.currentPosition;
+        const isOpen = position && position.status === 'OPEN';
+        const direction = isOpen && (position.direction === 'BUY' || position.direction === 'LONG') ? 'LONG' : 'SHORT';
+        
+        this.aggregatorClient.reportPositionState({
+            contractId: this.state.activeContract || this.runtimeConfig?.instrument,
+            position: isOpen ? {
+                side: direction,
+                size: position.positionSize,
+                brokerPositionId: position.brokerPositionId || null
+            } : null,
+            pendingEntry: !!this.pendingEntrySignal
+        });
+    }
+    
+    /**
+     * Take over a broker position this bot did not know about. Exit management
+     * starts from the position's own stop loss and take profit, if any.
+     */
+    adoptPosition(event) {
+        if (this.state.currentPosition && this.state.currentPosition.status === 'OPEN') {
+            this.log('warn', 'Position adoption ignored - bot already manages a position', {
+                positionId: this.state.currentPosition.id,
+                adoptedPositionId: event.positionId
+            });
+            return;
+        }
+        
+        const position = {
+            id: `adopted_${event.positionId}`,
+            brokerPositionId: event.positionId,
+            instrument: event.contractId,
+            direction: event.side,
+            entryPrice: event.averagePrice,
+            stopLoss: event.stopLoss || null,
+            takeProfit: event.takeProfit || null,
+            positionSize: event.size,
+            openTime: new Date(this.now()),
+            status: 'OPEN',
+            unrealizedPnL: 0,
+            adopted: true
+        };
+        
+        this.state.currentPosition = position;
+        this.recordJournal('FILL', {
+            positionId: position.id,
+            data: {
+                side: position.direction,
+                fillPrice: position.entryPrice,
+                quantity: position.positionSize,
+                stopLoss: position.stopLoss,
+                takeProfit: position.takeProfit,
+                adopted: true
+            }
+        });
+        
+        this.log('warn', 'Adopted broker position', {
+            positionId: position.id,
+            direction: position.direction,
+            size: position.positionSize,
+            entryPrice: position.entryPrice
+        });
+        
+        this.emit('positionOpened', { position, adopted: true });
+        this.startExitManagement(position);
     }
     
     /**
@@ -558,6 +957,8 @@ class TradingBot extends EventEmitter {
                     redisConfig: this.config.aggregator?.redisConfig || { host: 'localhost', port: 6379 },
                     connectionManagerUrl: this.config.aggregator?.connectionManagerUrl || 'http://localhost:7500',
                     aggregatorUrl: this.config.aggregator?.aggregatorUrl || 'http://localhost:7700',
+                    messageValidation: this.config.aggregator?.messageValidation,
+                    orderTransport: this.config.aggregator?.orderTransport,
                     enableLogging: this.runtimeConfig.enableLogging
                 };
                 
@@ -568,6 +969,7 @@ class TradingBot extends EventEmitter {
                 
                 // Connect to aggregator
                 await this.aggregatorClient.connect();
+                this.startPositionReports();
                 
                 this.log('info', 'Aggregator client connected successfully');
                 
@@ -587,6 +989,11 @@ class TradingBot extends EventEmitter {
     async initializeMarketData() {
         if (this.runtimeConfig.marketDataSource === 'SIMULATED') {
             this.initializeSimulatedMarketData();
+        } else if (this.runtimeConfig.marketDataSource === 'BACKTEST') {
+            // Ticks are pushed into processMarketData by the backtest engine
+            this.log('info', 'Backtest market data mode - awaiting replayed data', {
+                instrument: this.runtimeConfig.instrument
+            });
         } else {
             // Initialize live market data connection through aggregator
             this.log('info', 'Initializing live market data connection', {
@@ -617,10 +1024,8 @@ class TradingBot extends EventEmitter {
             'MYM': 35000
         };
         
-        // Extract instrument symbol from full contract name
-        const instrumentSymbol = this.runtimeConfig.instrument.includes('.') ? 
-            this.runtimeConfig.instrument.split('.')[4] : // CON.F.US.MES.U25 -> MES
-            this.runtimeConfig.instrument; // MES -> MES
+        // Extract instrument symbol from full contract name (CON.F.US.MES.U25 -> MES)
+        const instrumentSymbol = instrumentRegistry.getSymbolRoot(this.runtimeConfig.instrument);
             
         let currentPrice = basePrices[instrumentSymbol] || 100;
         let trend = Math.random() > 0.5 ? 1 : -1; // Initial trend direction
@@ -655,7 +1060,7 @@ class TradingBot extends EventEmitter {
                 return {
                     price: this.marketDataSimulator.currentPrice,
                     volume: Math.round(volume),
-                    timestamp: new Date()
+                    timestamp: new Date(this.now())
                 };
             }
         };
@@ -682,12 +1087,88 @@ class TradingBot extends EventEmitter {
             this.aggregatorClient.on('marketData', (marketData) => {
                 this.handleLiveMarketData(marketData);
             });
+            this.aggregatorClient.on('marketDepth', (depth) => {
+                if (this.isOwnContract(depth.instrument)) {
+                    this.orderFlow?.updateDepth(this.state.activeContract, depth);
+                }
+            });
+            // During a market replay trading logic runs on the replay's clock
+            this.aggregatorClient.on('replayStatus', (status) => this.followReplay(status));
+            this.aggregatorClient.on('replayClock', (clock) => this.followReplay(clock, true));
+            if (this.runtimeConfig.barSource === 'SERVICE') {
+                this.subscribeToServiceBars().catch(error => this.handleError('bar_subscription', error));
+            }
             this.log('info', 'Subscribed to live market data feed via aggregator');
         } else {
             this.log('warn', 'No aggregator client available for market data subscription');
         }
     }
     
+    /**
+     * Current time in ms for trading logic - strategies read it through the bot
+     */
+    now() {
+        return this.clock ? this.clock.now() : Date.now();
+    }
+    
+    /**
+     * Run trading logic on another clock ({ now() }), or the wall clock again with null
+     */
+    setClock(clock) {
+        this.clock = clock || null;
+    }
+    
+    /**
+     * Follow a market replay's clock from its status broadcasts and the clock
+     * carried on replayed ticks. Ticks only move the clock forward so a late
+     * tick cannot rewind it; a stopped or reset replay hands back the wall clock.
+     */
+    followReplay(replay, forwardOnly = false) {
+        if (!replay || replay.clock === undefined) return;
+        
+        if (replay.state === 'stopped' || replay.state === 'idle') {
+            this.replayClock?.stop();
+            if (this.clock === this.replayClock) {
+                this.clock = null;
+            }
+            return;
+        }
+        
+        if (!this.replayClock) {
+            this.replayClock = new ReplayClock();
+        }
+        this.replayClock.follow(replay, { forwardOnly });
+        if (this.clock !== this.replayClock) {
+            this.clock = this.replayClock;
+            this.log('info', 'Following market replay clock', { clock: new Date(this.replayClock.now()).toISOString() });
+        }
+    }
+    
+    /**
+     * Feed the strategy bars from the Connection Manager's bar service instead
+     * of letting it build candles from ticks
+     */
+    async subscribeToServiceBars() {
+        const timeframe = this.strategy?.getBarTimeframe?.();
+        if (!this.strategy?.onBar || !timeframe) {
+            this.log('warn', 'Strategy cannot take service bars - building candles from ticks', {
+                strategy: this.runtimeConfig.strategyType
+            });
+            return;
+        }
+        
+        // Strategies are rebuilt on rollover, so look the strategy up on every bar
+        const forward = (bar) => {
+            if (bar.timeframe === this.strategy?.getBarTimeframe?.() && this.isOwnContract(bar.instrument)) {
+                this.strategy.onBar(bar);
+            }
+        };
+        this.aggregatorClient.on('bar', forward);
+        this.aggregatorClient.on('barUpdate', forward);
+        
+        await this.aggregatorClient.subscribeToBars(this.state.activeContract, [timeframe]);
+    }
+    
     /**
      * Handle incoming live market data
      */
@@ -695,11 +1176,21 @@ class TradingBot extends EventEmitter {
         try {
             // Handle the flat market data structure from AggregatorClient
             if (marketData && marketData.type === 'MARKET_DATA') {
-                // Only process data for our instrument (MGC matches CON.F.US.MGC.Z25)
-                if (marketData.instrument && marketData.instrument.includes('MGC')) {
+                // Only process data for the contract this bot trades
+                if (this.isOwnContract(marketData.instrument)) {
+                    // Trades carry size and aggressor side; quotes do not
+                    if (marketData.size && marketData.side) {
+                        this.orderFlow?.recordTrade(this.state.activeContract, {
+                            price: marketData.last,
+                            size: marketData.size,
+                            side: marketData.side,
+                            timestamp: marketData.timestamp
+                        });
+                    }
+                    
                     let price = null;
                     let volume = 1000; // default volume
-                    let timestamp = marketData.timestamp ? new Date(marketData.timestamp) : new Date();
+                    let timestamp = marketData.timestamp ? new Date(marketData.timestamp) : new Date(this.now());
                     
                     // Extract price from the flat structure
                     if (marketData.last && !isNaN(marketData.last)) {
@@ -827,9 +1318,29 @@ class TradingBot extends EventEmitter {
                 return;
             }
             
+            // Deferred rollover - switch as soon as the position is closed
+            if (this.state.pendingRollover && !this.state.currentPosition) {
+                await this.switchContract(this.state.pendingRollover.nextContractId);
+                return;
+            }
+            
+            this.updatePositionExcursion(price);
+            
+            // Manage exits of the open position before the strategy sees the tick.
+            // Not awaited so broker round-trips never delay strategy processing
+            if (this.state.currentPosition) {
+                this.manageOpenPosition(price).catch(error => this.handleError('exit_management', error));
+            }
+            
+            // A working entry whose setup broke is pulled before the strategy sees the tick
+            if (this.state.workingEntry) {
+                this.checkEntryInvalidation(price);
+            }
+            
             // Process through strategy
             if (this.strategy) {
-                const result = this.strategy.processMarketData(price, volume, timestamp);
+                // Some strategies (PDH/PDL) process asynchronously
+                const result = await this.strategy.processMarketData(price, volume, timestamp);
                 
                 if (result && result.signal) {
                     await this.handleSignal(result.signal, result);
@@ -854,6 +1365,23 @@ class TradingBot extends EventEmitter {
             this.state.lastSignal = signal;
             this.state.signalsGenerated++;
             
+            this.recordJournal('SIGNAL', {
+                timestamp: this.state.lastTimestamp || undefined,
+                data: {
+                    direction: signal.direction,
+                    entryPrice: signal.entryPrice,
+                    stopLoss: signal.stopLoss,
+                    takeProfit: signal.takeProfit,
+                    positionSize: signal.positionSize,
+                    dollarRisk: signal.dollarRisk,
+                    confidence: signal.confidence,
+                    reason: signal.reason,
+                    subStrategy: signal.subStrategy,
+                    closeType: signal.closeType
+                },
+                context: this.getStrategySnapshot(signal)
+            });
+            
             this.log('info', `Signal generated: ${signal.direction} ${signal.strategyName}`, {
                 price: signal.entryPrice,
                 stopLoss: signal.stopLoss,
@@ -882,13 +1410,62 @@ class TradingBot extends EventEmitter {
                 return;
             }
             
+            // Cancel or move the working entry order (setup invalidated / level moved)
+            if (signal.direction === 'CANCEL_ORDER' || signal.direction === 'REPLACE_ORDER') {
+                await this.amendWorkingEntry(signal);
+                return;
+            }
+            
+            // One entry at a time - a resting order must fill or be cancelled first
+            if (this.state.workingEntry) {
+                this.log('warn', 'Signal blocked - entry order working', {
+                    direction: signal.direction,
+                    workingOrderId: this.state.workingEntry.orderId
+                });
+                this.state.signalsFailed++;
+                return;
+            }
+            
+            // No new entries while waiting to roll to the next contract
+            if (this.state.pendingRollover) {
+                this.log('warn', 'Signal blocked - contract rollover pending', {
+                    direction: signal.direction,
+                    from: this.state.pendingRollover.contractId,
+                    to: this.state.pendingRollover.nextContractId
+                });
+                this.state.signalsFailed++;
+                return;
+            }
+            
+            if (this.state.tradingPaused) {
+                this.log('warn', 'Signal blocked - trading paused', {
+                    direction: signal.direction,
+                    reason: this.state.tradingPaused.reason
+                });
+                this.state.signalsFailed++;
+                return;
+            }
+            
             // Convert signal to order format for risk validation (regular trades only)
             const order = this.convertSignalToOrder(signal);
             
             // Risk validation using existing RiskManager
-            const riskValidation = await this.riskManager.validateOrder(order);
+            const riskValidation = await this.riskManager.validateOrder(order, {
+                timestamp: this.state.lastTimestamp,
+                marketPrice: this.state.lastPrice
+            });
             
             if (!riskValidation.valid) {
+                this.recordJournal('ORDER_REJECTED', {
+                    orderId: order.id,
+                    data: {
+                        direction: order.action,
+                        quantity: order.quantity,
+                        price: order.price,
+                        violations: riskValidation.violations
+                    }
+                });
+                
                 this.log('warn', 'Signal blocked by risk manager', {
                     orderId: order.id,
                     violations: riskValidation.violations,
@@ -921,8 +1498,8 @@ class TradingBot extends EventEmitter {
             instrument: this.runtimeConfig.instrument,
             action: signal.direction, // BUY/SELL
             quantity: signal.positionSize,
-            type: 'MARKET',
-            price: signal.entryPrice,
+            type: signal.orderType || 'MARKET',
+            price: signal.limitPrice ?? signal.stopPrice ?? signal.entryPrice,
             stopLoss: signal.stopLoss,
             takeProfit: signal.takeProfit,
             accountId: this.runtimeConfig.accountId || 'default',
@@ -933,7 +1510,7 @@ class TradingBot extends EventEmitter {
                 reason: signal.reason,
                 botId: this.botId
             },
-            timestamp: new Date()
+            timestamp: new Date(this.now())
         };
     }
     
@@ -948,9 +1525,45 @@ class TradingBot extends EventEmitter {
         }
         
         try {
+            // Remember entry signals so the fill can be matched to its SL/TP distances
+            if (signal.direction !== 'CLOSE_POSITION') {
+                this.pendingEntrySignal = signal;
+            }
+            
             // Submit order to aggregator
             const result = await this.aggregatorClient.submitOrder(signal);
             
+            if (signal.direction !== 'CLOSE_POSITION' && (signal.orderType || 'MARKET') !== 'MARKET') {
+                this.state.workingEntry = {
+                    orderId: result.orderId,
+                    orderType: signal.orderType,
+                    direction: signal.direction,
+                    limitPrice: signal.limitPrice ?? null,
+                    stopPrice: signal.stopPrice ?? null,
+                    invalidationPrice: signal.invalidationPrice ?? null,
+                    status: 'PENDING',
+                    cancelRequested: false,
+                    submittedAt: new Date(this.now())
+                };
+            }
+            
+            this.recordJournal('ORDER', {
+                orderId: result.orderId,
+                data: {
+                    direction: signal.direction,
+                    orderType: signal.orderType || 'MARKET',
+                    quantity: signal.positionSize,
+                    price: signal.entryPrice,
+                    limitPrice: signal.limitPrice,
+                    stopPrice: signal.stopPrice,
+                    timeInForce: signal.timeInForce,
+                    stopLoss: signal.stopLoss,
+                    takeProfit: signal.takeProfit,
+                    closeType: signal.closeType,
+                    queueId: result.queueId
+                }
+            });
+            
             this.log('info', 'Signal submitted to aggregator', {
                 orderId: result.orderId,
                 success: result.success,
@@ -966,6 +1579,7 @@ class TradingBot extends EventEmitter {
                 signal: signal
             });
             this.state.signalsFailed++;
+            this.pendingEntrySignal = null;
             
             // Fall back to simulation if aggregator fails
             if (this.runtimeConfig.testMode) {
@@ -974,6 +1588,92 @@ class TradingBot extends EventEmitter {
         }
     }
     
+    /**
+     * Cancel the working entry, or move its price(s) with a REPLACE_ORDER signal
+     */
+    async amendWorkingEntry(signal) {
+        const entry = this.state.workingEntry;
+        if (!entry || (signal.orderId && signal.orderId !== entry.orderId)) {
+            this.log('warn', `${signal.direction} ignored - no working entry order`, { orderId: signal.orderId });
+            return;
+        }
+        
+        if (!this.runtimeConfig.aggregatorEnabled || !this.aggregatorClient) {
+            this.log('warn', `${signal.direction} ignored - aggregator not enabled`, { orderId: entry.orderId });
+            return;
+        }
+        
+        try {
+            if (signal.direction === 'CANCEL_ORDER') {
+                entry.cancelRequested = true;
+                await this.aggregatorClient.cancelOrder(entry.orderId);
+            } else {
+                const changes = {};
+                if (signal.limitPrice !== undefined) changes.limitPrice = signal.limitPrice;
+                if (signal.stopPrice !== undefined) changes.stopPrice = signal.stopPrice;
+                await this.aggregatorClient.replaceOrder(entry.orderId, changes);
+                if (signal.invalidationPrice !== undefined) entry.invalidationPrice = signal.invalidationPrice;
+            }
+            
+            if (signal.direction === 'REPLACE_ORDER') {
+                this.recordJournal('ORDER_MODIFIED', {
+                    orderId: entry.orderId,
+                    data: { limitPrice: signal.limitPrice, stopPrice: signal.stopPrice, reason: signal.reason }
+                });
+            }
+            
+            this.log('info', `Working entry ${signal.direction === 'CANCEL_ORDER' ? 'cancel' : 'replace'} requested`, {
+                orderId: entry.orderId,
+                limitPrice: signal.limitPrice,
+                stopPrice: signal.stopPrice,
+                reason: signal.reason
+            });
+        } catch (error) {
+            entry.cancelRequested = false;
+            this.handleError('working_order', error);
+        }
+    }
+    
+    /**
+     * Cancel the working entry once price trades through the signal's invalidationPrice
+     */
+    checkEntryInvalidation(price) {
+        const entry = this.state.workingEntry;
+        if (entry.cancelRequested || entry.invalidationPrice === null) return;
+        
+        const isLong = entry.direction === 'LONG' || entry.direction === 'BUY';
+        const invalidated = isLong ? price <= entry.invalidationPrice : price >= entry.invalidationPrice;
+        if (!invalidated) return;
+        
+        this.log('info', 'Entry setup invalidated - cancelling working order', {
+            orderId: entry.orderId,
+            price,
+            invalidationPrice: entry.invalidationPrice
+        });
+        this.amendWorkingEntry({ direction: 'CANCEL_ORDER', reason: 'SETUP_INVALIDATED' })
+            .catch(error => this.handleError('working_order', error));
+    }
+    
+    /**
+     * The working entry will not fill (any further) - a partial fill already opened the position
+     */
+    handleEntryOrderDone(orderId, status, filledQuantity = 0) {
+        const entry = this.state.workingEntry;
+        if (!entry || entry.orderId !== orderId) return;
+        
+        this.state.workingEntry = null;
+        if (!filledQuantity) {
+            this.pendingEntrySignal = null;
+        }
+        
+        this.recordJournal('ORDER_CANCELLED', {
+            orderId,
+            data: { status, filledQuantity }
+        });
+        
+        this.log('info', `Working entry ${status.toLowerCase()}`, { orderId, filledQuantity });
+    }
+    
     /**
      * Simulate position closure for testing
      */
@@ -1015,15 +1715,28 @@ class TradingBot extends EventEmitter {
             stopLoss: signal.stopLoss,
             takeProfit: signal.takeProfit,
             positionSize: signal.positionSize,
-            openTime: new Date(),
+            openTime: new Date(this.now()),
             status: 'OPEN',
             unrealizedPnL: 0
         };
         
+        this.trackPositionExcursion(position, signal);
         this.state.currentPosition = position;
         this.state.signalsExecuted++;
         this.state.tradeCount++;
         
+        this.recordJournal('FILL', {
+            positionId: position.id,
+            data: {
+                side: position.direction,
+                fillPrice: position.entryPrice,
+                quantity: position.positionSize,
+                stopLoss: position.stopLoss,
+                takeProfit: position.takeProfit,
+                simulated: true
+            }
+        });
+        
         this.log('info', 'Simulated position opened', {
             positionId: position.id,
             direction: position.direction,
@@ -1033,10 +1746,219 @@ class TradingBot extends EventEmitter {
         
         this.emit('positionOpened', { position, signal });
         
+        this.startExitManagement(position);
+        
         // Schedule position monitoring
         this.monitorPosition(position);
     }
     
+    /**
+     * Start tracking initial risk and price excursion of a new position (R-multiple, MAE/MFE)
+     */
+    trackPositionExcursion(position, signal = null) {
+        position.strategyName = position.strategyName || signal?.strategyName || null;
+        position.subStrategy = signal?.subStrategy || null;
+        position.initialQuantity = position.positionSize;
+        position.riskPoints = position.stopLoss != null ? Math.abs(position.entryPrice - position.stopLoss) : null;
+        position.maxFavorablePrice = position.entryPrice;
+        position.maxAdversePrice = position.entryPrice;
+    }
+    
+    updatePositionExcursion(price) {
+        const position = this.state.currentPosition;
+        if (!position || position.maxFavorablePrice === undefined) return;
+        
+        const isLong = position.direction === 'LONG' || position.direction === 'BUY';
+        position.maxFavorablePrice = isLong ? Math.max(position.maxFavorablePrice, price) : Math.min(position.maxFavorablePrice, price);
+        position.maxAdversePrice = isLong ? Math.min(position.maxAdversePrice, price) : Math.max(position.maxAdversePrice, price);
+    }
+    
+    /**
+     * Initial risk and maximum adverse / favorable excursion in dollars for a quantity
+     */
+    getTradeExcursion(position, quantity = position.initialQuantity) {
+        if (position.maxFavorablePrice === undefined) {
+            return { initialRisk: null, mae: null, mfe: null };
+        }
+        
+        const dollarsPerPoint = this.getInstrumentMultiplier(position.instrument || this.runtimeConfig.instrument) * quantity;
+        return {
+            initialRisk: position.riskPoints != null ? position.riskPoints * dollarsPerPoint : null,
+            mae: Math.abs(position.entryPrice - position.maxAdversePrice) * dollarsPerPoint,
+            mfe: Math.abs(position.maxFavorablePrice - position.entryPrice) * dollarsPerPoint
+        };
+    }
+    
+    /**
+     * Start exit management for a newly opened position
+     */
+    startExitManagement(position) {
+        if (!this.exitManager || !this.exitManager.isEnabled()) return;
+        
+        const managed = this.exitManager.openPosition({
+            direction: position.direction,
+            entryPrice: position.entryPrice,
+            stopLoss: position.stopLoss,
+            takeProfit: position.takeProfit,
+            quantity: position.positionSize
+        });
+        
+        if (!managed) {
+            this.log('warn', 'Exit management skipped - position has no usable stop loss', {
+                positionId: position.id,
+                stopLoss: position.stopLoss
+            });
+        }
+    }
+    
+    /**
+     * Evaluate exit rules for the open position and apply any due actions
+     */
+    async manageOpenPosition(price) {
+        const position = this.state.currentPosition;
+        if (!position || !this.exitManager?.position || this.exitActionInFlight) return;
+        
+        const actions = this.exitManager.evaluate(price);
+        if (actions.length === 0) return;
+        
+        const liveExecution = this.runtimeConfig.aggregatorEnabled && this.aggregatorClient;
+        this.exitActionInFlight = true;
+        
+        try {
+            for (const action of actions) {
+                // Simulated actions apply synchronously so backtests see them on the same tick
+                const applied = liveExecution ?
+                    await this.applyExitActionLive(position, action) :
+                    this.applyExitActionSimulated(position, action);
+                
+                // Uncommitted actions are re-evaluated on the next tick
+                if (!applied) break;
+                
+                this.exitManager.commit(action);
+                this.emit('exitAction', { position, action });
+                this.recordJournal(action.type === 'PARTIAL_EXIT' ? 'PARTIAL_EXIT' : 'SLTP_MODIFIED', {
+                    positionId: position.brokerPositionId || position.id,
+                    data: action.type === 'PARTIAL_EXIT' ?
+                        { quantity: action.quantity, target: action.target, price: action.price, remaining: position.positionSize } :
+                        {
+                            reasons: action.reasons,
+                            price: action.price,
+                            stopLoss: action.stopLoss,
+                            takeProfit: action.takeProfit,
+                            previousStopLoss: action.previousStopLoss,
+                            previousTakeProfit: action.previousTakeProfit
+                        }
+                });
+                
+                if (this.state.currentPosition !== position) break;
+            }
+        } finally {
+            this.exitActionInFlight = false;
+        }
+    }
+    
+    /**
+     * Apply an exit action through the aggregator and Connection Manager
+     */
+    async applyExitActionLive(position, action) {
+        try {
+            if (action.type === 'PARTIAL_EXIT') {
+                await this.aggregatorClient.submitOrder({
+                    direction: 'CLOSE_POSITION',
+                    instrument: this.runtimeConfig.instrument,
+                    closeType: 'partial',
+                    positionSize: action.quantity,
+                    reason: `Partial exit at ${action.target}R`
+                });
+                
+                position.positionSize -= action.quantity;
+            } else {
+                // The broker position id arrives with the first position update
+                if (!position.brokerPositionId) {
+                    if (!position.exitManagementPending) {
+                        position.exitManagementPending = true;
+                        this.log('warn', 'SL/TP update deferred - broker position id not yet known', {
+                            positionId: position.id
+                        });
+                    }
+                    return false;
+                }
+                
+                await this.aggregatorClient.updateStopLossTakeProfit({
+                    positionId: position.brokerPositionId,
+                    stopLoss: action.stopLoss,
+                    takeProfit: action.takeProfit
+                });
+                
+                position.stopLoss = action.stopLoss;
+                position.takeProfit = action.takeProfit;
+            }
+            
+            this.logExitAction(position, action);
+            return true;
+            
+        } catch (error) {
+            this.log('error', 'Exit action failed', {
+                positionId: position.id,
+                action: action.type,
+                error: error.message
+            });
+            return false;
+        }
+    }
+    
+    /**
+     * Apply an exit action to a simulated position
+     */
+    applyExitActionSimulated(position, action) {
+        if (action.type === 'PARTIAL_EXIT') {
+            this.simulatePartialExit(position, action.quantity, this.state.lastPrice);
+        } else {
+            position.stopLoss = action.stopLoss;
+            position.takeProfit = action.takeProfit;
+        }
+        
+        this.logExitAction(position, action);
+        return true;
+    }
+    
+    /**
+     * Simulate closing part of a position at market
+     */
+    simulatePartialExit(position, quantity, price) {
+        if (quantity >= position.positionSize) {
+            this.closePosition(position, price, 'PARTIAL_EXIT');
+            return;
+        }
+        
+        const points = position.direction === 'LONG' ? price - position.entryPrice : position.entryPrice - price;
+        const realizedPnL = points * quantity * this.getInstrumentMultiplier(this.runtimeConfig.instrument);
+        
+        position.positionSize -= quantity;
+        position.partialPnL = (position.partialPnL || 0) + realizedPnL;
+        
+        this.state.dailyPnL += realizedPnL;
+        this.state.totalPnL += realizedPnL;
+    }
+    
+    logExitAction(position, action) {
+        if (action.type === 'PARTIAL_EXIT') {
+            this.log('info', `Partial exit: ${action.quantity} contract(s) at ${action.target}R`, {
+                positionId: position.id,
+                price: action.price,
+                remaining: position.positionSize
+            });
+        } else {
+            this.log('info', `Stop adjusted: ${action.reasons.join(', ')}`, {
+                positionId: position.id,
+                price: action.price,
+                rMultiple: action.rMultiple.toFixed(2),
+                stopLoss: `${action.previousStopLoss} -> ${action.stopLoss}`,
+                takeProfit: `${action.previousTakeProfit} -> ${action.takeProfit}`
+            });
+        }
+    }
+    
     /**
      * Monitor open position for stop loss / take profit
      */
@@ -1108,7 +2030,7 @@ class TradingBot extends EventEmitter {
         }
         
         position.closePrice = closePrice;
-        position.closeTime = new Date();
+        position.closeTime = new Date(this.now());
         position.closeReason = reason;
         position.realizedPnL = realizedPnL;
         position.status = 'CLOSED';
@@ -1126,6 +2048,9 @@ class TradingBot extends EventEmitter {
         // Move to history and clear current position
         this.state.positionHistory.push({ ...position });
         this.state.currentPosition = null;
+        this.exitManager?.closePosition();
+        
+        this.recordClose(position, { closePrice, realizedPnL, reason });
         
         this.log('info', `Position closed: ${reason}`, {
             positionId: position.id,
@@ -1137,19 +2062,76 @@ class TradingBot extends EventEmitter {
         this.emit('positionClosed', { position, reason });
     }
     
+    /**
+     * Journal a closed position
+     */
+    recordClose(position, { closePrice = null, realizedPnL = null, reason = null } = {}) {
+        this.recordJournal('CLOSE', {
+            positionId: position.brokerPositionId || position.id,
+            orderId: position.orderId,
+            data: {
+                direction: position.direction,
+                quantity: position.initialQuantity || position.positionSize,
+                entryPrice: position.entryPrice,
+                stopLoss: position.stopLoss,
+                closePrice,
+                realizedPnL,
+                partialPnL: position.partialPnL,
+                reason,
+                subStrategy: position.subStrategy,
+                openTime: position.openTime,
+                closeTime: position.closeTime,
+                // Whole-position risk and excursion (R-multiple, MAE/MFE)
+                ...this.getTradeExcursion(position)
+            }
+        });
+    }
+    
     /**
      * Handle order filled event from aggregator
      */
     handleOrderFilled(fill) {
+        const signal = this.pendingEntrySignal;
+        
+        if (this.state.workingEntry?.orderId === fill.orderId) {
+            this.state.workingEntry = null;
+        }
+        
+        this.recordJournal('FILL', {
+            orderId: fill.orderId,
+            positionId: fill.positionId,
+            timestamp: fill.timestamp,
+            data: {
+                side: fill.side,
+                fillPrice: fill.fillPrice,
+                quantity: fill.quantity,
+                entry: !!signal
+            }
+        });
+        
+        // Fills of partial exits / closes belong to the open position
+        if (this.state.currentPosition && !signal) {
+            this.log('info', 'Exit fill received for open position', {
+                positionId: this.state.currentPosition.id,
+                orderId: fill.orderId,
+                quantity: fill.quantity
+            });
+            return;
+        }
+        
+        this.pendingEntrySignal = null;
+        
         // Update trade statistics
         this.state.tradeCount++;
         
-        // Create position from fill
+        // Create position from fill - exit management works in LONG/SHORT
+        const isLong = fill.side === 'BUY' || fill.side === 'LONG';
         const position = {
             id: fill.positionId || `pos_${Date.now()}`,
+            brokerPositionId: fill.positionId || null,
             orderId: fill.orderId,
             instrument: fill.instrument,
-            direction: fill.side,
+            direction: isLong ? 'LONG' : 'SHORT',
             entryPrice: fill.fillPrice,
             positionSize: fill.quantity,
             openTime: new Date(fill.timestamp),
@@ -1157,8 +2139,23 @@ class TradingBot extends EventEmitter {
             unrealizedPnL: 0
         };
         
+        // The aggregator places SL/TP at the signal's point distances from the fill price
+        if (signal) {
+            if (signal.stopLoss) {
+                const stopPoints = Math.abs(signal.entryPrice - signal.stopLoss);
+                position.stopLoss = isLong ? fill.fillPrice - stopPoints : fill.fillPrice + stopPoints;
+            }
+            if (signal.takeProfit) {
+                const targetPoints = Math.abs(signal.takeProfit - signal.entryPrice);
+                position.takeProfit = isLong ? fill.fillPrice + targetPoints : fill.fillPrice - targetPoints;
+            }
+        }
+        
+        this.trackPositionExcursion(position, signal);
         this.state.currentPosition = position;
         this.emit('positionOpened', { position, fill });
+        
+        this.startExitManagement(position);
     }
     
     /**
@@ -1171,11 +2168,14 @@ class TradingBot extends EventEmitter {
                 // Position was closed
                 const closedPosition = this.state.currentPosition;
                 closedPosition.status = 'CLOSED';
-                closedPosition.closeTime = new Date();
+                closedPosition.closeTime = new Date(this.now());
                 
                 // Move to history
                 this.state.positionHistory.push(closedPosition);
                 this.state.currentPosition = null;
+                this.exitManager?.closePosition();
+                
+                this.recordClose(closedPosition, { reason: 'BROKER_CLOSE' });
                 
                 this.log('info', 'Position closed by aggregator', {
                     positionId: closedPosition.id
@@ -1186,13 +2186,24 @@ class TradingBot extends EventEmitter {
         
         // Update current position with aggregator data
         const aggregatorPosition = update.positions[0]; // Assuming single position
+        
+        // The account's positions in other instruments are not this bot's
+        if (aggregatorPosition.instrument && !this.isOwnContract(aggregatorPosition.instrument)) {
+            return;
+        }
+        
         if (this.state.currentPosition) {
             this.state.currentPosition.unrealizedPnL = aggregatorPosition.unrealizedPnL || 0;
             
+            // Broker position id is required to modify SL/TP
+            if (aggregatorPosition.id && !this.state.currentPosition.brokerPositionId) {
+                this.state.currentPosition.brokerPositionId = aggregatorPosition.id;
+            }
+            
             // Update statistics if position closed
             if (aggregatorPosition.status === 'CLOSED' && this.state.currentPosition.status === 'OPEN') {
                 this.state.currentPosition.status = 'CLOSED';
-                this.state.currentPosition.closeTime = new Date();
+                this.state.currentPosition.closeTime = new Date(this.now());
                 this.state.currentPosition.realizedPnL = aggregatorPosition.realizedPnL || 0;
                 
                 // Update bot statistics
@@ -1209,6 +2220,13 @@ class TradingBot extends EventEmitter {
                 // Move to history
                 this.state.positionHistory.push({ ...this.state.currentPosition });
                 this.state.currentPosition = null;
+                this.exitManager?.closePosition();
+                
+                this.recordClose(this.state.positionHistory[this.state.positionHistory.length - 1], {
+                    closePrice: aggregatorPosition.closePrice ?? null,
+                    realizedPnL,
+                    reason: 'BROKER_CLOSE'
+                });
                 
                 this.log('info', 'Position closed', {
                     positionId: aggregatorPosition.id,
@@ -1232,6 +2250,11 @@ class TradingBot extends EventEmitter {
             this.simulationInterval = null;
         }
         
+        if (this.positionReportTimer) {
+            clearInterval(this.positionReportTimer);
+            this.positionReportTimer = null;
+        }
+        
         // Close any open positions (in test mode)
         if (this.state.currentPosition && this.runtimeConfig.testMode) {
             this.closePosition(this.state.currentPosition, this.state.lastPrice, 'BOT_STOP');
@@ -1243,6 +2266,8 @@ class TradingBot extends EventEmitter {
         }
         
         this.state.status = 'STOPPED';
+        await this.journal?.flush();
+        
         this.emit('stopped', { botId: this.botId });
         this.log('info', 'TradingBot stopped');
     }
@@ -1283,6 +2308,10 @@ class TradingBot extends EventEmitter {
             
             // Configuration
             instrument: this.runtimeConfig?.instrument || 'N/A',
+            activeContract: this.state.activeContract,
+            pendingRollover: this.state.pendingRollover ? this.state.pendingRollover.nextContractId : null,
+            tradingPaused: this.state.tradingPaused ? this.state.tradingPaused.reason : null,
+            exposure: this.state.exposure,
             strategyType: this.runtimeConfig?.strategyType || 'N/A',
             testMode: this.runtimeConfig?.testMode || false,
             
@@ -1303,6 +2332,9 @@ class TradingBot extends EventEmitter {
             
             // Current state
             currentPosition: this.state.currentPosition,
+            workingEntry: this.state.workingEntry,
+            exitManagement: this.exitManager ? this.exitManager.getStatus() : null,
+            journal: this.journal ? this.journal.getStatus() : null,
             emergencyStop: this.config.emergencyStop,
             
             // Strategy info
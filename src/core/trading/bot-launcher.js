@@ -491,6 +491,24 @@ app.get('/api/trades', (req, res) => {
     res.json(botState.trades || []);
 });
 
+// API endpoint for the durable trade journal (defaults to this bot's entries)
+app.get('/api/journal', async (req, res) => {
+    if (!bot?.journal) {
+        return res.status(503).json({ error: 'Trade journal not enabled' });
+    }
+    
+    try {
+        const { instrument, strategy, type, from, to, limit, offset } = req.query;
+        const result = await bot.journal.query({
+            botId: req.query.botId || botId,
+            instrument, strategy, type, from, to, limit, offset
+        });
+        res.json(result);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
 // API endpoint for statistics from TopStepX via aggregator -> connection manager
 app.get('/api/statistics', async (req, res) => {
     let publisher = null;
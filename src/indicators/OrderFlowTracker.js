@@ -0,0 +1,294 @@
+// OrderFlowTracker.js - Live order book and order-flow features per contract
+// Built from the DEPTH and TRADE messages the Connection Manager publishes on market:data:
+// bid/ask imbalance from the book, true cumulative delta from the aggressor side of
+// each trade, absorption (heavy aggression that does not move price) and large lots
+
+const EventEmitter = require('events');
+const instrumentRegistry = require('../../shared/modules/contracts/InstrumentRegistry');
+
+const MINUTE_MS = 60000;
+
+class OrderFlowTracker extends EventEmitter {
+    /**
+     * @param {Object} config - Thresholds; sizes are in contracts
+     */
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            imbalanceLevels: 5,             // Book levels per side in the imbalance
+            largeLotSize: 20,               // A single trade this size or larger is a large lot
+            absorptionWindowMs: 10000,      // Aggression is summed over this window
+            absorptionVolume: 50,           // Aggressive volume that counts as absorption...
+            absorptionMaxTicks: 1,          // ...if price moved no more than this many ticks
+            deltaHistoryMs: 8 * 60 * MINUTE_MS, // Per-minute delta kept for getDeltaSince
+            maxLargeLots: 50,
+            ...config
+        };
+
+        this.contracts = new Map();
+    }
+
+    getState(contractId) {
+        if (!this.contracts.has(contractId)) {
+            this.contracts.set(contractId, {
+                bids: [],
+                asks: [],
+                bookTimestamp: null,
+                cumulativeDelta: 0,
+                buyVolume: 0,
+                sellVolume: 0,
+                trackingSince: null,
+                lastTradeTime: null,
+                deltaByMinute: new Map(),
+                recentTrades: [],
+                largeLots: [],
+                absorption: null
+            });
+        }
+        return this.contracts.get(contractId);
+    }
+
+    /**
+     * Replace the book with a DEPTH snapshot
+     * @param {string} contractId
+     * @param {Object} depth - { bids: [{price, volume}], asks: [{price, volume}], timestamp }
+     */
+    updateDepth(contractId, depth) {
+        if (!contractId || !depth) return null;
+
+        const state = this.getState(contractId);
+        state.bids = this.normalizeLevels(depth.bids).sort((a, b) => b.price - a.price);
+        state.asks = this.normalizeLevels(depth.asks).sort((a, b) => a.price - b.price);
+        state.bookTimestamp = this.toTime(depth.timestamp);
+
+        return this.getImbalance(contractId);
+    }
+
+    normalizeLevels(levels) {
+        if (!Array.isArray(levels)) return [];
+
+        return levels
+            .map(level => ({
+                price: Number(level.price),
+                volume: Number(level.volume ?? level.size ?? 0)
+            }))
+            .filter(level => Number.isFinite(level.price) && level.volume > 0);
+    }
+
+    /**
+     * Add a trade; side is the aggressor ('BUY' lifted the offer, 'SELL' hit the bid)
+     * @param {string} contractId
+     * @param {Object} trade - { price, size, side, timestamp }
+     * @returns {boolean} Whether the trade was counted (false for unusable trades)
+     */
+    recordTrade(contractId, trade) {
+        if (!contractId || !trade) return false;
+
+        const price = Number(trade.price);
+        const size = Number(trade.size);
+        if (!Number.isFinite(price) || !(size > 0)) return false;
+
+        const side = trade.side === 'BUY' || trade.side === 'SELL' ? trade.side : null;
+        const time = this.toTime(trade.timestamp);
+        const state = this.getState(contractId);
+
+        // Trades without an aggressor side count towards neither side
+        const delta = side === 'BUY' ? size : side === 'SELL' ? -size : 0;
+        state.cumulativeDelta += delta;
+        if (side === 'BUY') state.buyVolume += size;
+        if (side === 'SELL') state.sellVolume += size;
+        state.trackingSince = state.trackingSince ?? time;
+        state.lastTradeTime = Math.max(state.lastTradeTime ?? time, time);
+
+        this.addMinuteDelta(state, time, delta);
+
+        const recorded = { price, size, side, time };
+        state.recentTrades.push(recorded);
+        state.recentTrades = state.recentTrades.filter(recent => recent.time > state.lastTradeTime - this.config.absorptionWindowMs);
+
+        if (size >= this.config.largeLotSize) {
+            const largeLot = { contractId, price, size, side, timestamp: time };
+            state.largeLots.push(largeLot);
+            if (state.largeLots.length > this.config.maxLargeLots) state.largeLots.shift();
+            this.emit('largeLot', largeLot);
+        }
+
+        if (side) {
+            this.detectAbsorption(contractId, state, side);
+        }
+
+        return true;
+    }
+
+    addMinuteDelta(state, time, delta) {
+        const minute = Math.floor(time / MINUTE_MS) * MINUTE_MS;
+        state.deltaByMinute.set(minute, (state.deltaByMinute.get(minute) || 0) + delta);
+
+        const oldest = minute - this.config.deltaHistoryMs;
+        for (const bucket of state.deltaByMinute.keys()) {
+            if (bucket < oldest) state.deltaByMinute.delete(bucket);
+        }
+    }
+
+    /**
+     * Aggressive volume on one side inside the window while price held within
+     * absorptionMaxTicks. Selling into a bid that holds is BID absorption
+     * (passive buyers), buying into an offer that holds is ASK absorption.
+     */
+    detectAbsorption(contractId, state, side) {
+        const aggressive = state.recentTrades.filter(trade => trade.side === side);
+        const volume = aggressive.reduce((sum, trade) => sum + trade.size, 0);
+        if (volume < this.config.absorptionVolume) return;
+
+        const prices = aggressive.map(trade => trade.price);
+        const low = Math.min(...prices);
+        const high = Math.max(...prices);
+        const tickSize = instrumentRegistry.getTickSize(contractId) || 0.01;
+        if (high - low > this.config.absorptionMaxTicks * tickSize + 1e-9) return;
+
+        const passive = side === 'SELL' ? 'BID' : 'ASK';
+        const price = side === 'SELL' ? low : high;
+
+        // Same level already reported in this window
+        const previous = state.absorption;
+        if (previous && previous.side === passive && previous.price === price &&
+            state.lastTradeTime - previous.timestamp < this.config.absorptionWindowMs) {
+            previous.volume = volume;
+            return;
+        }
+
+        state.absorption = {
+            contractId,
+            side: passive,
+            price,
+            volume,
+            trades: aggressive.length,
+            timestamp: state.lastTradeTime
+        };
+        this.emit('absorption', { ...state.absorption });
+    }
+
+    /**
+     * Bid/ask imbalance over the top levels of the book
+     * @returns {Object|null} ratio in -1 (all offers) .. 1 (all bids)
+     */
+    getImbalance(contractId, levels = this.config.imbalanceLevels) {
+        const state = this.contracts.get(contractId);
+        if (!state || (state.bids.length === 0 && state.asks.length === 0)) return null;
+
+        const bidVolume = state.bids.slice(0, levels).reduce((sum, level) => sum + level.volume, 0);
+        const askVolume = state.asks.slice(0, levels).reduce((sum, level) => sum + level.volume, 0);
+        const total = bidVolume + askVolume;
+
+        return {
+            bidVolume,
+            askVolume,
+            ratio: total > 0 ? (bidVolume - askVolume) / total : 0,
+            levels
+        };
+    }
+
+    getCumulativeDelta(contractId) {
+        return this.contracts.get(contractId)?.cumulativeDelta ?? null;
+    }
+
+    /**
+     * Delta of the trades since a time, at one-minute resolution
+     * @returns {number|null} null when tracking started after `since`
+     */
+    getDeltaSince(contractId, since) {
+        const state = this.contracts.get(contractId);
+        const from = Math.floor(this.toTime(since) / MINUTE_MS) * MINUTE_MS;
+        if (!state || state.trackingSince === null || state.trackingSince > from) return null;
+        if (from < state.lastTradeTime - this.config.deltaHistoryMs) return null;
+
+        let delta = 0;
+        for (const [minute, minuteDelta] of state.deltaByMinute) {
+            if (minute >= from) delta += minuteDelta;
+        }
+        return delta;
+    }
+
+    getBook(contractId) {
+        const state = this.contracts.get(contractId);
+        if (!state) return null;
+
+        return {
+            bids: state.bids.map(level => ({ ...level })),
+            asks: state.asks.map(level => ({ ...level })),
+            timestamp: state.bookTimestamp
+        };
+    }
+
+    getLargeLots(contractId, since = 0) {
+        const state = this.contracts.get(contractId);
+        if (!state) return [];
+
+        const from = this.toTime(since);
+        return state.largeLots.filter(lot => lot.timestamp >= from);
+    }
+
+    /**
+     * Everything a strategy needs in one object
+     */
+    getSnapshot(contractId) {
+        const state = this.contracts.get(contractId);
+        if (!state) return null;
+
+        const bestBid = state.bids[0]?.price ?? null;
+        const bestAsk = state.asks[0]?.price ?? null;
+
+        return {
+            contractId,
+            bestBid,
+            bestAsk,
+            spread: bestBid !== null && bestAsk !== null ? bestAsk - bestBid : null,
+            imbalance: this.getImbalance(contractId),
+            cumulativeDelta: state.cumulativeDelta,
+            buyVolume: state.buyVolume,
+            sellVolume: state.sellVolume,
+            trackingSince: state.trackingSince,
+            absorption: state.absorption ? { ...state.absorption } : null,
+            largeLots: state.largeLots.slice(-5),
+            lastTradeTime: state.lastTradeTime,
+            bookTimestamp: state.bookTimestamp
+        };
+    }
+
+    /**
+     * Start delta again, e.g. at the session open. The book is kept.
+     */
+    resetDelta(contractId) {
+        const contractIds = contractId ? [contractId] : Array.from(this.contracts.keys());
+
+        for (const id of contractIds) {
+            const state = this.contracts.get(id);
+            if (!state) continue;
+
+            Object.assign(state, {
+                cumulativeDelta: 0,
+                buyVolume: 0,
+                sellVolume: 0,
+                trackingSince: null,
+                deltaByMinute: new Map(),
+                recentTrades: [],
+                largeLots: [],
+                absorption: null
+            });
+        }
+    }
+
+    reset() {
+        this.contracts.clear();
+    }
+
+    toTime(timestamp) {
+        if (timestamp === undefined || timestamp === null) return Date.now();
+
+        const time = timestamp instanceof Date ? timestamp.getTime() : new Date(timestamp).getTime();
+        return Number.isFinite(time) ? time : Date.now();
+    }
+}
+
+module.exports = OrderFlowTracker;
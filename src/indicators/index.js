@@ -9,6 +9,7 @@ const TEMACalculator = require('./TEMACalculator');
 const ADXCalculator = require('./ADXCalculator');
 const ATRCalculator = require('./ATRCalculator');
 const VWAPCalculator = require('./VWAPCalculator');
+const OrderFlowTracker = require('./OrderFlowTracker');
 
 // Technical Analysis Engine - Combines multiple indicators
 class TechnicalAnalysisEngine {
@@ -462,6 +463,7 @@ module.exports = {
     ADXCalculator,
     ATRCalculator,
     VWAPCalculator,
+    OrderFlowTracker,
     
     // Combined engine
     TechnicalAnalysisEngine,
@@ -485,6 +487,9 @@ module.exports = {
     createVWAP: (timeframes = ['5min', '15min', '30min']) => 
         new VWAPCalculator(timeframes),
     
+    createOrderFlowTracker: (config = {}) => 
+        new OrderFlowTracker(config),
+    
     createTechnicalAnalysisEngine: (config) => {
         const engine = new TechnicalAnalysisEngine();
         if (config) {
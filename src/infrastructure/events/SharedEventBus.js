@@ -6,11 +6,14 @@
 
 const EventEmitter = require('events');
 const redis = require('redis');
+const MessageValidator = require('../../../shared/modules/messaging/MessageValidator');
 
 class SharedEventBus extends EventEmitter {
     constructor(redisConfig = {}, logger = null) {
         super();
         
+        const { messageValidation, ...clientConfig } = redisConfig;
+        
         this.config = {
             host: redisConfig.host || 'localhost',
             port: redisConfig.port || 6379,
@@ -18,7 +21,7 @@ class SharedEventBus extends EventEmitter {
                 const delay = Math.min(times * 50, 2000);
                 return delay;
             },
-            ...redisConfig
+            ...clientConfig
         };
         
         this.logger = logger || console;
@@ -66,6 +69,13 @@ class SharedEventBus extends EventEmitter {
         // Track subscribed channels
         this.subscribedChannels = new Set();
         
+        // Shared message schemas - invalid messages go to the dead-letter channel instead
+        this.messageValidator = new MessageValidator({
+            service: 'SharedEventBus',
+            ...messageValidation,
+            publish: (channel, message) => this.publisher.publish(channel, message)
+        });
+        
         this.logger.info('📢 SharedEventBus initialized');
     }
     
@@ -172,7 +182,11 @@ class SharedEventBus extends EventEmitter {
         }
         
         this.logger.info(`📡 Subscribing to channel: ${channel}`);
-        await this.subscriber.subscribe(channel, handler);
+        await this.subscriber.subscribe(channel, (message) => {
+            if (this.messageValidator.accept(channel, message)) {
+                handler(message);
+            }
+        });
         this.subscribedChannels.add(channel);
         this.logger.info(`✅ Subscribed to channel: ${channel}`);
     }
@@ -306,12 +320,16 @@ class SharedEventBus extends EventEmitter {
                 channel = this.mapEventTypeToChannel(eventType);
             }
             
-            const messageObject = {
+            const { message: messageObject, errors } = this.messageValidator.prepare(channel, {
                 type: eventType,
                 payload: data,
                 timestamp: Date.now(),
                 source: options.source || 'SharedEventBus'
-            };
+            });
+            if (!messageObject) {
+                this.logger.error(`❌ Invalid ${eventType} not published to ${channel} - sent to dead letters: ${errors.join('; ')}`);
+                return false;
+            }
             
             const message = JSON.stringify(messageObject);
             
@@ -426,7 +444,8 @@ class SharedEventBus extends EventEmitter {
             subscribedChannels: Array.from(this.subscribedChannels),
             channelCount: this.subscribedChannels.size,
             publisherStatus: this.publisher?.isOpen ? 'connected' : 'disconnected',
-            subscriberStatus: this.subscriber?.isOpen ? 'connected' : 'disconnected'
+            subscriberStatus: this.subscriber?.isOpen ? 'connected' : 'disconnected',
+            messageValidation: this.messageValidator.getStats()
         };
     }
 }
@@ -0,0 +1,480 @@
+/**
+ * ProcessSupervisor.js
+ *
+ * Launches and watches the system's Node services as child processes.
+ * Dependencies start first and must pass their readiness probe (a /health
+ * route or an open TCP port) before dependents are launched. Crashed
+ * processes are restarted according to system.process in global.yaml (the
+ * restart count starts over once a process has stayed up for restartResetAfter)
+ * and every process writes its output to logs/processes/<name>.log.
+ */
+
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+
+const STATES = {
+    STOPPED: 'stopped',
+    STARTING: 'starting',
+    RUNNING: 'running',
+    RESTARTING: 'restarting',
+    STOPPING: 'stopping',
+    FAILED: 'failed',
+    EXTERNAL: 'external'     // Already answering its probe when we came to start it
+};
+
+class ProcessSupervisor extends EventEmitter {
+    /**
+     * @param {Object} config - system.process from global.yaml plus
+     *   { logDir, readinessTimeout, readinessInterval, maxLogLines }
+     */
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            autoRestart: true,
+            restartDelay: 5000,
+            maxRestarts: 10,
+            restartResetAfter: 300000,   // A process up this long (ms) gets its restart count back
+            gracefulShutdownTimeout: 10000,
+            readinessTimeout: 30000,
+            readinessInterval: 500,
+            logDir: path.join(process.cwd(), 'logs', 'processes'),
+            maxLogLines: 500,
+            ...config
+        };
+
+        this.services = new Map();
+        this.startOrder = [];
+    }
+
+    /**
+     * Register a service:
+     *   { name, command, args, cwd, env, healthUrl, port, dependsOn, readinessTimeout }
+     * Without healthUrl the probe is a TCP connect to port; without either the
+     * process counts as ready as soon as it has been spawned.
+     */
+    register(definition) {
+        if (!definition.name || !definition.command) {
+            throw new Error('Service definition requires a name and a command');
+        }
+
+        this.services.set(definition.name, {
+            definition: { args: [], env: {}, dependsOn: [], ...definition },
+            state: STATES.STOPPED,
+            child: null,
+            restarts: 0,
+            startedAt: null,
+            lastExit: null,
+            logStream: null,
+            logTail: [],
+            restartTimer: null,
+            pending: null,
+            stopRequested: false
+        });
+    }
+
+    registerAll(definitions) {
+        definitions.forEach(definition => this.register(definition));
+    }
+
+    /**
+     * Forget a service. It must be stopped first.
+     */
+    unregister(name) {
+        const service = this.getService(name);
+        if (this.isActive(service)) {
+            throw new Error(`Stop ${name} before removing it`);
+        }
+
+        this.services.delete(name);
+        this.startOrder = this.startOrder.filter(entry => entry !== name);
+    }
+
+    has(name) {
+        return this.services.has(name);
+    }
+
+    getService(name) {
+        const service = this.services.get(name);
+        if (!service) {
+            throw new Error(`Unknown service: ${name}`);
+        }
+        return service;
+    }
+
+    /**
+     * Start a service after its dependencies. Resolves once it is ready.
+     */
+    async start(name, chain = []) {
+        const service = this.getService(name);
+
+        if (chain.includes(name)) {
+            throw new Error(`Circular service dependency: ${[...chain, name].join(' -> ')}`);
+        }
+
+        for (const dependency of service.definition.dependsOn) {
+            await this.start(dependency, [...chain, name]);
+        }
+
+        if (service.state === STATES.RUNNING || service.state === STATES.EXTERNAL) {
+            return this.getStatus(name);
+        }
+        if (service.pending) {
+            await service.pending;
+            return this.getStatus(name);
+        }
+
+        service.pending = this.launch(service).finally(() => {
+            service.pending = null;
+        });
+        await service.pending;
+        return this.getStatus(name);
+    }
+
+    async launch(service) {
+        const { name } = service.definition;
+
+        clearTimeout(service.restartTimer);
+        service.restarts = 0;
+        service.stopRequested = false;
+
+        // Started by hand or by an earlier control panel - do not start a second copy
+        if (await this.probe(service.definition)) {
+            console.log(`ℹ️  ${name} is already running outside the supervisor`);
+            this.setState(service, STATES.EXTERNAL);
+            this.trackStart(name);
+            return;
+        }
+
+        this.setState(service, STATES.STARTING);
+        this.spawnProcess(service);
+
+        try {
+            await this.waitUntilReady(service);
+        } catch (error) {
+            await this.terminate(service);
+            this.setState(service, STATES.FAILED);
+            throw error;
+        }
+
+        this.setState(service, STATES.RUNNING);
+        this.trackStart(name);
+        console.log(`✅ ${name} is ready (pid ${service.child?.pid})`);
+    }
+
+    spawnProcess(service) {
+        const { name, command, args, cwd, env } = service.definition;
+
+        fs.mkdirSync(this.config.logDir, { recursive: true });
+        service.logStream = fs.createWriteStream(path.join(this.config.logDir, `${name}.log`), { flags: 'a' });
+        this.writeLog(service, 'supervisor', `Starting: ${command} ${args.join(' ')}`);
+
+        const child = spawn(command, args, {
+            cwd,
+            env: { ...process.env, ...env },
+            stdio: ['ignore', 'pipe', 'pipe'],
+            windowsHide: true
+        });
+
+        service.child = child;
+        service.startedAt = Date.now();
+
+        for (const stream of ['stdout', 'stderr']) {
+            let partial = '';
+            child[stream].on('data', chunk => {
+                const lines = (partial + chunk.toString()).split(/\r?\n/);
+                partial = lines.pop();
+                lines.forEach(line => this.writeLog(service, stream, line));
+            });
+        }
+
+        child.on('error', error => {
+            // spawn failures (ENOENT) never emit exit
+            this.writeLog(service, 'supervisor', `Process error: ${error.message}`);
+            if (child.pid === undefined) {
+                this.handleExit(service, child, null, null, error);
+            }
+        });
+
+        child.on('exit', (code, signal) => this.handleExit(service, child, code, signal));
+
+        console.log(`🚀 Started ${name} (pid ${child.pid})`);
+        return child;
+    }
+
+    writeLog(service, stream, line) {
+        const entry = { service: service.definition.name, stream, line, timestamp: new Date().toISOString() };
+
+        service.logTail.push(entry);
+        if (service.logTail.length > this.config.maxLogLines) {
+            service.logTail.shift();
+        }
+        if (service.logStream) {
+            service.logStream.write(`[${entry.timestamp}] [${stream}] ${line}\n`);
+        }
+
+        this.emit('log', entry);
+    }
+
+    handleExit(service, child, code, signal, error = null) {
+        if (service.child !== child) return;
+
+        const { name } = service.definition;
+        service.child = null;
+        service.lastExit = { code, signal, error: error?.message || null, at: new Date().toISOString() };
+        this.writeLog(service, 'supervisor', `Exited with code ${code}${signal ? ` (${signal})` : ''}`);
+        service.logStream?.end();
+        service.logStream = null;
+
+        this.emit('exit', { service: name, code, signal });
+
+        if (service.stopRequested || service.state === STATES.STARTING) {
+            // stop() and a failed readiness probe settle the state themselves
+            return;
+        }
+
+        // maxRestarts limits crash loops, not crashes spread over a long-running session
+        if (service.startedAt && Date.now() - service.startedAt >= this.config.restartResetAfter) {
+            service.restarts = 0;
+        }
+
+        this.scheduleRestart(service, code);
+    }
+
+    scheduleRestart(service, code) {
+        const { name } = service.definition;
+
+        if (!this.config.autoRestart || service.restarts >= this.config.maxRestarts) {
+            console.error(`❌ ${name} exited (code ${code}) - not restarting (${service.restarts}/${this.config.maxRestarts} restarts used)`);
+            this.setState(service, STATES.FAILED);
+            return;
+        }
+
+        service.restarts++;
+        console.warn(`⚠️  ${name} exited (code ${code}) - restart ${service.restarts}/${this.config.maxRestarts} in ${this.config.restartDelay}ms`);
+        this.setState(service, STATES.RESTARTING);
+
+        service.restartTimer = setTimeout(async () => {
+            if (service.stopRequested) return;
+
+            this.setState(service, STATES.STARTING);
+            this.spawnProcess(service);
+
+            try {
+                await this.waitUntilReady(service);
+                this.setState(service, STATES.RUNNING);
+                this.emit('restarted', { service: name, restarts: service.restarts });
+            } catch (restartError) {
+                console.error(`❌ ${name} restart failed: ${restartError.message}`);
+                await this.terminate(service);
+                service.stopRequested = false;
+                this.scheduleRestart(service, service.lastExit?.code ?? null);
+            }
+        }, this.config.restartDelay);
+    }
+
+    async waitUntilReady(service) {
+        const { name } = service.definition;
+        const child = service.child;
+        const timeout = service.definition.readinessTimeout || this.config.readinessTimeout;
+        const deadline = Date.now() + timeout;
+
+        if (!service.definition.healthUrl && !service.definition.port) {
+            return;
+        }
+
+        while (Date.now() < deadline) {
+            if (service.child !== child) {
+                throw new Error(`${name} exited before becoming ready`);
+            }
+            if (await this.probe(service.definition)) {
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, this.config.readinessInterval));
+        }
+
+        throw new Error(`${name} did not become ready within ${timeout}ms`);
+    }
+
+    /**
+     * Readiness probe: 200 from healthUrl, or an open TCP port
+     */
+    probe(definition) {
+        if (definition.healthUrl) {
+            return ProcessSupervisor.checkHealth(definition.healthUrl);
+        }
+        if (definition.port) {
+            return ProcessSupervisor.isPortOpen(definition.port, definition.host);
+        }
+        return Promise.resolve(false);
+    }
+
+    /**
+     * Stop a service and everything that depends on it
+     */
+    async stop(name) {
+        const service = this.getService(name);
+
+        for (const [dependentName, dependent] of this.services) {
+            if (dependent.definition.dependsOn.includes(name) && this.isActive(dependent)) {
+                await this.stop(dependentName);
+            }
+        }
+
+        if (service.state === STATES.EXTERNAL) {
+            console.log(`ℹ️  ${name} was not started by the supervisor - leaving it running`);
+            this.setState(service, STATES.STOPPED);
+            return this.getStatus(name);
+        }
+
+        service.stopRequested = true;
+        clearTimeout(service.restartTimer);
+
+        if (service.child) {
+            this.setState(service, STATES.STOPPING);
+            await this.terminate(service);
+        }
+
+        this.setState(service, STATES.STOPPED);
+        return this.getStatus(name);
+    }
+
+    /**
+     * SIGTERM, then SIGKILL after gracefulShutdownTimeout
+     */
+    async terminate(service) {
+        const child = service.child;
+        if (!child) return;
+
+        service.stopRequested = true;
+
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill('SIGTERM');
+
+        const timer = setTimeout(() => {
+            console.warn(`⚠️  ${service.definition.name} ignored SIGTERM - killing`);
+            child.kill('SIGKILL');
+        }, this.config.gracefulShutdownTimeout);
+
+        await exited;
+        clearTimeout(timer);
+    }
+
+    /**
+     * Start services in dependency order (all registered services by default)
+     */
+    async startAll(names = Array.from(this.services.keys())) {
+        for (const name of names) {
+            await this.start(name);
+        }
+        return this.getAllStatus();
+    }
+
+    /**
+     * Stop everything, most recently started first
+     */
+    async stopAll() {
+        const names = [...this.startOrder].reverse();
+        for (const name of this.services.keys()) {
+            if (!names.includes(name)) names.push(name);
+        }
+
+        for (const name of names) {
+            if (this.isActive(this.services.get(name))) {
+                await this.stop(name);
+            }
+        }
+        return this.getAllStatus();
+    }
+
+    isActive(service) {
+        return service.state !== STATES.STOPPED && service.state !== STATES.FAILED;
+    }
+
+    isRunning(name) {
+        const service = this.services.get(name);
+        return !!service && (service.state === STATES.RUNNING || service.state === STATES.EXTERNAL);
+    }
+
+    trackStart(name) {
+        this.startOrder = this.startOrder.filter(entry => entry !== name);
+        this.startOrder.push(name);
+    }
+
+    setState(service, state) {
+        if (service.state === state) return;
+
+        const previous = service.state;
+        service.state = state;
+        this.emit('stateChange', { service: service.definition.name, state, previous });
+    }
+
+    getStatus(name) {
+        const service = this.getService(name);
+        const { definition } = service;
+
+        return {
+            name,
+            state: service.state,
+            pid: service.child?.pid || null,
+            port: definition.port || null,
+            healthUrl: definition.healthUrl || null,
+            dependsOn: definition.dependsOn,
+            restarts: service.restarts,
+            startedAt: service.child && service.startedAt ? new Date(service.startedAt).toISOString() : null,
+            uptime: service.child && service.startedAt ? Date.now() - service.startedAt : 0,
+            lastExit: service.lastExit
+        };
+    }
+
+    getAllStatus() {
+        const status = {};
+        for (const name of this.services.keys()) {
+            status[name] = this.getStatus(name);
+        }
+        return status;
+    }
+
+    getLogs(name, lines = 100) {
+        return this.getService(name).logTail.slice(-lines);
+    }
+
+    static checkHealth(url, timeout = 3000) {
+        return new Promise(resolve => {
+            try {
+                const req = http.get(url, { timeout }, res => {
+                    res.resume();
+                    resolve(res.statusCode === 200 || res.statusCode === 206);
+                });
+                req.on('error', () => resolve(false));
+                req.on('timeout', () => {
+                    req.destroy();
+                    resolve(false);
+                });
+            } catch (error) {
+                resolve(false);
+            }
+        });
+    }
+
+    static isPortOpen(port, host = '127.0.0.1', timeout = 1000) {
+        return new Promise(resolve => {
+            const socket = net.connect({ port, host });
+            const done = open => {
+                socket.destroy();
+                resolve(open);
+            };
+            socket.setTimeout(timeout, () => done(false));
+            socket.once('connect', () => done(true));
+            socket.once('error', () => done(false));
+        });
+    }
+}
+
+ProcessSupervisor.STATES = STATES;
+
+module.exports = ProcessSupervisor;
@@ -0,0 +1,128 @@
+/**
+ * serviceDefinitions.js
+ *
+ * The services the ProcessSupervisor can run, with their dependencies and
+ * readiness probes. Ports match what each service listens on.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..', '..');
+
+// Started by the control panel's "Start All", in this order (bots start individually)
+const CORE_SERVICES = ['redis', 'connectionManager', 'tradingAggregator', 'marketRecorder', 'configurationUI', 'manualTrading'];
+
+function redisServerCommand() {
+    if (process.env.REDIS_SERVER_PATH) {
+        return process.env.REDIS_SERVER_PATH;
+    }
+
+    const windowsInstall = 'C:\\Program Files\\Redis\\redis-server.exe';
+    return process.platform === 'win32' && fs.existsSync(windowsInstall) ? windowsInstall : 'redis-server';
+}
+
+/**
+ * @param {Object} options - { globalConfig, botConfigs: { <botId>: yaml, ... }, rootDir }
+ * @returns {Array<Object>} ProcessSupervisor service definitions
+ */
+function buildServiceDefinitions(options = {}) {
+    const rootDir = options.rootDir || ROOT;
+    const ports = options.globalConfig?.system?.ports || {};
+    const botConfigs = options.botConfigs || {};
+    const node = process.execPath;
+
+    const definitions = [
+        {
+            name: 'redis',
+            command: redisServerCommand(),
+            args: ['--port', String(ports.redis || 6379)],
+            cwd: rootDir,
+            port: ports.redis || 6379
+        },
+        {
+            name: 'fakeApiServer',
+            command: node,
+            args: [path.join(rootDir, 'fake-api', 'server.js')],
+            cwd: rootDir,
+            healthUrl: `http://localhost:${process.env.FAKE_API_PORT || 8888}/health`
+        },
+        {
+            name: 'connectionManager',
+            command: node,
+            args: ['index.js'],
+            cwd: path.join(rootDir, 'connection-manager'),
+            healthUrl: 'http://localhost:7500/health',
+            dependsOn: ['redis'],
+            // Contract discovery and market data verification run before /health answers
+            readinessTimeout: 60000
+        },
+        {
+            name: 'tradingAggregator',
+            command: node,
+            args: [path.join(rootDir, 'src', 'core', 'aggregator', 'start-aggregator-production.js')],
+            cwd: rootDir,
+            healthUrl: `http://localhost:${ports.tradingAggregator || 7600}/health`,
+            dependsOn: ['redis', 'connectionManager']
+        },
+        {
+            name: 'marketRecorder',
+            command: node,
+            args: [path.join(rootDir, 'src', 'core', 'recorder', 'start-recorder.js')],
+            cwd: rootDir,
+            healthUrl: `http://localhost:${ports.marketRecorder || 7800}/health`,
+            dependsOn: ['redis']
+        },
+        {
+            name: 'configurationUI',
+            command: node,
+            args: ['config-server.js'],
+            cwd: path.join(rootDir, 'src', 'ui', 'config'),
+            healthUrl: 'http://localhost:3000/health'
+        },
+        {
+            name: 'manualTrading',
+            command: node,
+            args: ['server.js'],
+            cwd: path.join(rootDir, 'manual-trading'),
+            healthUrl: `http://localhost:${ports.manualTrading || 3003}/health`,
+            dependsOn: ['redis', 'connectionManager']
+        }
+    ];
+
+    for (const [botId, config] of Object.entries(botConfigs)) {
+        definitions.push(buildBotDefinition(botId, config, { rootDir }));
+    }
+
+    return definitions;
+}
+
+/**
+ * @param {string} botId
+ * @param {Object} config - The bot's config/bots/<botId>.yaml
+ * @param {Object} options - { rootDir }
+ */
+function buildBotDefinition(botId, config, options = {}) {
+    const rootDir = options.rootDir || ROOT;
+
+    return {
+        name: botId,
+        command: process.execPath,
+        args: [
+            'bot-launcher.js',
+            '--botId', botId,
+            '--account', String(config.accountId || config.account || 'UNASSIGNED'),
+            '--config', path.join(rootDir, 'config', 'bots', `${botId}.yaml`)
+        ],
+        cwd: path.join(rootDir, 'src', 'core', 'trading'),
+        healthUrl: `http://localhost:${config.port}/health`,
+        port: config.port,
+        dependsOn: ['redis', 'connectionManager', 'tradingAggregator']
+    };
+}
+
+module.exports = {
+    buildServiceDefinitions,
+    buildBotDefinition,
+    CORE_SERVICES
+};
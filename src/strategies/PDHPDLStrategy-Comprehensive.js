@@ -17,6 +17,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const strategyClock = require('./strategyClock');
 
 class PDHPDLStrategy {
     constructor(config = {}, mainBot = null) {
@@ -213,7 +214,7 @@ class PDHPDLStrategy {
             console.log(`🚀 [BOOTSTRAP] Starting historical data initialization...`);
             
             // Calculate time windows - need at least 48 hours to ensure we get previous trading day
-            const now = new Date();
+            const now = new Date(this.now());
             const endTime = new Date(now);
             const startTime = new Date(now.getTime() - (48 * 60 * 60 * 1000)); // 48 hours ago
             
@@ -249,8 +250,8 @@ class PDHPDLStrategy {
                         pdl: pdhPdlResult.pdl,
                         range: pdhPdlResult.range,
                         midpoint: pdhPdlResult.midpoint,
-                        calculatedAt: new Date(),
-                        tradeDate: new Date().toDateString(),
+                        calculatedAt: new Date(this.now()),
+                        tradeDate: new Date(this.now()).toDateString(),
                         rthDataPoints: pdhPdlResult.rthDataPoints,
                         validRthCalculation: true,
                         bootstrapped: true  // Mark as bootstrapped from historical data
@@ -352,7 +353,7 @@ class PDHPDLStrategy {
             console.log(`📅 [BOOTSTRAP] Found ${sortedDays.length} trading days in historical data`);
             
             // Find the most recent complete trading day (not today)
-            const today = new Date().toDateString();
+            const today = new Date(this.now()).toDateString();
             let previousTradingDay = null;
             
             for (let i = sortedDays.length - 1; i >= 0; i--) {
@@ -482,7 +483,7 @@ class PDHPDLStrategy {
      */
     async processMarketData(price, volume = 1000, timestamp = null) {
         try {
-            if (!timestamp) timestamp = new Date();
+            if (!timestamp) timestamp = new Date(this.now());
             
             // Validate inputs
             if (price === null || price === undefined || isNaN(price)) {
@@ -550,10 +551,61 @@ class PDHPDLStrategy {
         }
     }
     
+    /**
+     * Timeframe of the analysis candles for the bar service
+     */
+    getBarTimeframe() {
+        return `${Math.round(this.params.candlePeriodMs / 60000)}m`;
+    }
+    
+    /**
+     * Take a bar from the Connection Manager's bar service. From the first one
+     * on, candles are no longer built from ticks; the next tick runs the
+     * analysis for a completed bar.
+     */
+    onBar(bar) {
+        this.externalBars = true;
+        
+        const candle = {
+            timestamp: bar.timestamp,
+            open: bar.open,
+            high: bar.high,
+            low: bar.low,
+            close: bar.close,
+            volume: bar.volume,
+            isRTH: this.isWithinRTH(bar.timestamp),
+            cumulativeDelta: (bar.buyVolume || 0) - (bar.sellVolume || 0)
+        };
+        
+        if (!bar.complete) {
+            this.currentCandle = candle;
+            this.lastCandleTime = bar.timestamp;
+            return;
+        }
+        
+        this.candles.push(candle);
+        if (candle.isRTH) {
+            this.state.rthDataPointsToday++;
+        }
+        if (this.candles.length > this.params.maxCandleHistory) {
+            this.candles = this.candles.slice(-this.params.maxCandleHistory);
+        }
+        
+        this.state.dataPointsCollected++;
+        this.externalCandleClosed = true;
+    }
+    
     /**
      * Update candle data with RTH tracking
      */
     updateCandle(price, volume, timestamp) {
+        // Candles come from the bar service - report a bar completed since the last tick
+        if (this.externalBars) {
+            const candleChanged = this.externalCandleClosed === true;
+            this.externalCandleClosed = false;
+            return candleChanged;
+        }
+        
         const candleTime = new Date(timestamp);
         candleTime.setSeconds(0, 0); // Round to minute
         const candleTimeMs = candleTime.getTime();
@@ -873,12 +925,18 @@ class PDHPDLStrategy {
     calculateCumulativeDelta() {
         if (this.candles.length < this.params.cumulativeDeltaPeriod) return null;
         
-        // Simplified cumulative delta calculation from OHLC data
-        // In a real implementation, this would use tick-by-tick bid/ask data
-        let cumulativeDelta = 0;
-        
         const recentCandles = this.candles.slice(-this.params.cumulativeDeltaPeriod);
         
+        // True delta from the aggressor side of each trade, once the bot's order
+        // flow covers the whole period
+        const tradeDelta = this.mainBot?.getOrderFlowDelta?.(recentCandles[0].timestamp);
+        if (tradeDelta !== null && tradeDelta !== undefined) {
+            return tradeDelta;
+        }
+        
+        // Otherwise estimate from OHLC data
+        let cumulativeDelta = 0;
+        
         recentCandles.forEach(candle => {
             // Estimate buying vs selling pressure from price action
             const bodySize = Math.abs(candle.close - candle.open);
@@ -1299,7 +1357,7 @@ class PDHPDLStrategy {
         
         try {
             const currentPrice = this.candles[this.candles.length - 1].close;
-            const currentTime = Date.now();
+            const currentTime = this.now();
             const recentCandles = this.candles.slice(-this.params.liquiditySweepMaxBars);
             
             // Check for PDH liquidity sweep
@@ -1588,7 +1646,7 @@ class PDHPDLStrategy {
                         dollarReward: (takeProfit - currentPrice) * this.params.dollarPerPoint,
                         
                         // Signal metadata
-                        timestamp: Date.now(),
+                        timestamp: this.now(),
                         reason: `PDH breakout: ${currentPrice.toFixed(2)} > ${pdh.toFixed(2)}, Vol: ${volumeRatio.toFixed(1)}x`,
                         strategyName: this.name,
                         strategyVersion: this.version,
@@ -1645,7 +1703,7 @@ class PDHPDLStrategy {
                         dollarRisk: riskPoints * this.params.dollarPerPoint,
                         dollarReward: (currentPrice - takeProfit) * this.params.dollarPerPoint,
                         
-                        timestamp: Date.now(),
+                        timestamp: this.now(),
                         reason: `PDL breakout: ${currentPrice.toFixed(2)} < ${pdl.toFixed(2)}, Vol: ${volumeRatio.toFixed(1)}x`,
                         strategyName: this.name,
                         strategyVersion: this.version,
@@ -1709,7 +1767,7 @@ class PDHPDLStrategy {
                 dollarRisk: riskPoints * this.params.dollarPerPoint,
                 dollarReward: (currentPrice - takeProfit) * this.params.dollarPerPoint,
                 
-                timestamp: Date.now(),
+                timestamp: this.now(),
                 reason: `PDH fade: Rejection at ${pdh.toFixed(2)}, Entry: ${currentPrice.toFixed(2)}`,
                 strategyName: this.name,
                 strategyVersion: this.version,
@@ -1744,7 +1802,7 @@ class PDHPDLStrategy {
                 dollarRisk: riskPoints * this.params.dollarPerPoint,
                 dollarReward: (takeProfit - currentPrice) * this.params.dollarPerPoint,
                 
-                timestamp: Date.now(),
+                timestamp: this.now(),
                 reason: `PDL fade: Rejection at ${pdl.toFixed(2)}, Entry: ${currentPrice.toFixed(2)}`,
                 strategyName: this.name,
                 strategyVersion: this.version,
@@ -1767,11 +1825,11 @@ class PDHPDLStrategy {
     generateLiquiditySweepSignal(currentPrice, timestamp) {
         // Check for recent liquidity sweeps
         const recentPDHSweeps = this.state.liquiditySweeps.pdhSweeps.filter(
-            sweep => Date.now() - sweep.timestamp < (30 * 60 * 1000) // Last 30 minutes
+            sweep => this.now() - sweep.timestamp < (30 * 60 * 1000) // Last 30 minutes
         );
         
         const recentPDLSweeps = this.state.liquiditySweeps.pdlSweeps.filter(
-            sweep => Date.now() - sweep.timestamp < (30 * 60 * 1000) // Last 30 minutes
+            sweep => this.now() - sweep.timestamp < (30 * 60 * 1000) // Last 30 minutes
         );
         
         // PDH liquidity sweep signal (short after false breakout)
@@ -1799,7 +1857,7 @@ class PDHPDLStrategy {
                     dollarRisk: riskPoints * this.params.dollarPerPoint,
                     dollarReward: (currentPrice - takeProfit) * this.params.dollarPerPoint,
                     
-                    timestamp: Date.now(),
+                    timestamp: this.now(),
                     reason: `PDH liquidity sweep reversal: ${latestSweep.strength} strength`,
                     strategyName: this.name,
                     strategyVersion: this.version,
@@ -1838,7 +1896,7 @@ class PDHPDLStrategy {
                     dollarRisk: riskPoints * this.params.dollarPerPoint,
                     dollarReward: (takeProfit - currentPrice) * this.params.dollarPerPoint,
                     
-                    timestamp: Date.now(),
+                    timestamp: this.now(),
                     reason: `PDL liquidity sweep reversal: ${latestSweep.strength} strength`,
                     strategyName: this.name,
                     strategyVersion: this.version,
@@ -2121,7 +2179,7 @@ class PDHPDLStrategy {
         
         // Check signal cooldown
         if (this.state.lastSignalTime) {
-            const timeSinceLastSignal = Date.now() - this.state.lastSignalTime;
+            const timeSinceLastSignal = this.now() - this.state.lastSignalTime;
             if (timeSinceLastSignal < this.params.signalCooldownMs) {
                 return true;
             }
@@ -2346,11 +2404,11 @@ class PDHPDLStrategy {
      */
     calculateLiquiditySweepScore(price) {
         const recentPDHSweeps = this.state.liquiditySweeps?.pdhSweeps?.filter(
-            sweep => Date.now() - sweep.timestamp < (30 * 60 * 1000)
+            sweep => this.now() - sweep.timestamp < (30 * 60 * 1000)
         ) || [];
         
         const recentPDLSweeps = this.state.liquiditySweeps?.pdlSweeps?.filter(
-            sweep => Date.now() - sweep.timestamp < (30 * 60 * 1000)
+            sweep => this.now() - sweep.timestamp < (30 * 60 * 1000)
         ) || [];
         
         let score = 0;
@@ -2377,7 +2435,7 @@ class PDHPDLStrategy {
         );
         
         if (latestSweepTime > 0) {
-            const timeFactor = Math.max(0.3, 1 - (Date.now() - latestSweepTime) / (30 * 60 * 1000));
+            const timeFactor = Math.max(0.3, 1 - (this.now() - latestSweepTime) / (30 * 60 * 1000));
             score = Math.floor(score * timeFactor);
         }
         
@@ -2483,4 +2541,6 @@ class PDHPDLStrategy {
     }
 }
 
+Object.assign(PDHPDLStrategy.prototype, strategyClock);
+
 module.exports = PDHPDLStrategy;
\ No newline at end of file
@@ -3,6 +3,7 @@
 // Based on official strategy specification for Micro Gold Futures
 
 const EMACalculator = require('../../indicators/EMACalculator');
+const strategyClock = require('../strategyClock');
 
 class EMASignalGenerator {
     constructor(params, mainBot = null) {
@@ -400,7 +401,7 @@ class EMASignalGenerator {
             
             // Reset state after signal generation
             this.resetLongSetup('SIGNAL_GENERATED');
-            this.lastSignalTime = Date.now();
+            this.lastSignalTime = this.now();
             
             return signal;
         }
@@ -445,7 +446,7 @@ class EMASignalGenerator {
             
             // Reset state after signal generation
             this.resetShortSetup('SIGNAL_GENERATED');
-            this.lastSignalTime = Date.now();
+            this.lastSignalTime = this.now();
             
             return signal;
         }
@@ -642,7 +643,7 @@ class EMASignalGenerator {
             dollarReward: tradeParams.actualDollarReward,
             
             // Metadata
-            timestamp: Date.now(),
+            timestamp: this.now(),
             reason: `EMA 9 ${direction} retracement with state validation`,
             subStrategy: this.params.mode,
             environment: environment,
@@ -1154,10 +1155,13 @@ class EMAStrategy {
     }
 
     processMarketData(price, volume = 1000, timestamp = null) {
-        if (!timestamp) timestamp = new Date();
+        if (!timestamp) timestamp = new Date(this.now());
         
-        // Use the unified update method
-        const emaUpdateResult = this.emaCalculator.update(price, volume, timestamp);
+        // Use the unified update method - with bars from the bar service,
+        // candle-based EMAs update in onBar instead
+        if (!this.externalBars || this.emaCalculator.updateMode === 'TICK_BASED') {
+            this.emaCalculator.update(price, volume, timestamp);
+        }
         
         // Update candle data
         const candleChanged = this.updateCandle(price, volume, timestamp);
@@ -1246,7 +1250,52 @@ class EMAStrategy {
         };
     }
 
+    /**
+     * Timeframe of the EMA candles for the bar service, or null when the
+     * interval is not a whole number of minutes
+     */
+    getBarTimeframe() {
+        const seconds = this.emaCalculator.candleIntervalSeconds ?? 60;
+        return seconds % 60 === 0 ? `${seconds / 60}m` : null;
+    }
+    
+    /**
+     * Take a bar from the Connection Manager's bar service. From the first one
+     * on, candles are no longer built from ticks.
+     */
+    onBar(bar) {
+        this.externalBars = true;
+        
+        const candle = {
+            timestamp: bar.timestamp,
+            open: bar.open,
+            high: bar.high,
+            low: bar.low,
+            close: bar.close,
+            volume: bar.volume
+        };
+        
+        if (!bar.complete) {
+            this.currentCandle = candle;
+            this.lastCandleTime = bar.timestamp;
+            return;
+        }
+        
+        this.candles.push(candle);
+        if (this.candles.length > 200) {
+            this.candles = this.candles.slice(-200);
+        }
+        
+        if (this.emaCalculator.initialized && this.emaCalculator.updateMode !== 'TICK_BASED') {
+            this.emaCalculator.updateEMAsWithPrice(candle.close);
+            this.emaCalculator.candleUpdateCount++;
+        }
+    }
+
     updateCandle(price, volume, timestamp) {
+        // Candles come from the bar service
+        if (this.externalBars) return false;
+        
         if (price === null || price === undefined || isNaN(price)) {
             console.log('🚨 INVALID PRICE in updateCandle, skipping');
             return false;
@@ -1328,7 +1377,7 @@ class EMAStrategy {
         const trendStrength = this.calculateTrendStrength(price, ema9, ema19);
         
         return {
-            currentTime: new Date(),
+            currentTime: new Date(this.now()),
             emaSpread: emaSpread,
             priceToEma9: priceToEma9Distance,
             priceToEma19: priceToEma19Distance,
@@ -1467,4 +1516,7 @@ class EMAStrategy {
     }
 }
 
+Object.assign(EMASignalGenerator.prototype, strategyClock);
+Object.assign(EMAStrategy.prototype, strategyClock);
+
 module.exports = EMAStrategy;
\ No newline at end of file
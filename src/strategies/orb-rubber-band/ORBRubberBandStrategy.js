@@ -13,6 +13,7 @@
 // Connection Manager, which handles all TopStep API interactions.
 
 const { SMACalculator } = require('../../indicators');
+const strategyClock = require('../strategyClock');
 
 class ORBRubberBandStrategy {
     constructor(config = {}, mainBot = null) {
@@ -128,7 +129,7 @@ class ORBRubberBandStrategy {
     
     // Main method to process market data
     processMarketData(price, volume = 1000, timestamp = null) {
-        if (!timestamp) timestamp = new Date();
+        if (!timestamp) timestamp = new Date(this.now());
         
         // Update volume tracking
         this.updateVolume(volume);
@@ -445,7 +446,7 @@ class ORBRubberBandStrategy {
             dollarRisk: tradeParams.actualDollarRisk,
             dollarReward: tradeParams.actualDollarReward,
             
-            timestamp: Date.now(),
+            timestamp: this.now(),
             reason: `ORB ${direction} breakout with volume confirmation`,
             strategyName: this.name,
             strategyVersion: this.version,
@@ -463,7 +464,7 @@ class ORBRubberBandStrategy {
             }
         };
         
-        this.state.lastSignalTime = Date.now();
+        this.state.lastSignalTime = this.now();
         this.stats.signalsGenerated++;
         
         return signal;
@@ -494,7 +495,7 @@ class ORBRubberBandStrategy {
             dollarRisk: tradeParams.actualDollarRisk,
             dollarReward: tradeParams.actualDollarReward,
             
-            timestamp: Date.now(),
+            timestamp: this.now(),
             reason: `Failed breakout reversal - ${reason}`,
             strategyName: this.name,
             strategyVersion: this.version,
@@ -516,7 +517,7 @@ class ORBRubberBandStrategy {
             closePositionId: this.state.orbBreakout.signalId
         };
         
-        this.state.lastSignalTime = Date.now();
+        this.state.lastSignalTime = this.now();
         this.stats.signalsGenerated++;
         
         return signal;
@@ -741,7 +742,7 @@ class ORBRubberBandStrategy {
     // Check if in cooldown period
     isInCooldown() {
         if (!this.state.lastSignalTime) return false;
-        return (Date.now() - this.state.lastSignalTime) < this.params.signalCooldownMs;
+        return (this.now() - this.state.lastSignalTime) < this.params.signalCooldownMs;
     }
     
     // Create empty response
@@ -846,4 +847,6 @@ class ORBRubberBandStrategy {
     }
 }
 
+Object.assign(ORBRubberBandStrategy.prototype, strategyClock);
+
 module.exports = ORBRubberBandStrategy;
\ No newline at end of file
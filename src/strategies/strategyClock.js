@@ -0,0 +1,17 @@
+// strategyClock.js
+// The one clock every strategy reads. A strategy asks the bot running it for
+// the time - TradingBot's clock follows a market replay, or the bars a
+// backtest feeds it - and falls back to the wall clock when it runs
+// standalone without a bot.
+//
+// Mixed into each strategy class next to its export:
+//     Object.assign(MyStrategy.prototype, strategyClock);
+
+const strategyClock = {
+    // Current time (ms) from the bot's clock
+    now() {
+        return this.mainBot?.now ? this.mainBot.now() : Date.now();
+    }
+};
+
+module.exports = strategyClock;
@@ -15,6 +15,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const strategyClock = require('../strategyClock');
 
 class TestTimeStrategy {
     constructor(config = {}, mainBot = null) {
@@ -82,7 +83,7 @@ class TestTimeStrategy {
      * Calculate the next trade time (xx:00, xx:05, xx:10, etc.)
      */
     calculateNextTradeTime() {
-        const now = new Date();
+        const now = new Date(this.now());
         const minutes = now.getMinutes();
         const seconds = now.getSeconds();
         
@@ -109,7 +110,7 @@ class TestTimeStrategy {
      * Process market data - main entry point
      */
     processMarketData(price, volume = 1000, timestamp = null) {
-        if (!timestamp) timestamp = new Date();
+        if (!timestamp) timestamp = new Date(this.now());
         
         // Update candle data
         this.updateCandle(price, volume, timestamp);
@@ -155,10 +156,50 @@ class TestTimeStrategy {
         };
     }
     
+    /**
+     * Timeframe of the candles this strategy analyses, for the bar service
+     */
+    getBarTimeframe() {
+        return `${this.params.candleLookbackMinutes}m`;
+    }
+    
+    /**
+     * Take a bar from the Connection Manager's bar service. From the first one
+     * on, candles are no longer built from ticks.
+     */
+    onBar(bar) {
+        this.externalBars = true;
+        
+        const candle = {
+            timestamp: bar.timestamp,
+            open: bar.open,
+            high: bar.high,
+            low: bar.low,
+            close: bar.close,
+            volume: bar.volume
+        };
+        
+        if (!bar.complete) {
+            this.currentCandle = candle;
+            this.lastCandleTime = bar.timestamp;
+            return;
+        }
+        
+        this.candles.push(candle);
+        if (this.candles.length > 10) {
+            this.candles = this.candles.slice(-10);
+        }
+        
+        this.log(`📊 Candle closed: O:${candle.open.toFixed(2)} H:${candle.high.toFixed(2)} L:${candle.low.toFixed(2)} C:${candle.close.toFixed(2)}`);
+    }
+    
     /**
      * Update candle data for 1-minute analysis
      */
     updateCandle(price, volume, timestamp) {
+        // Candles come from the bar service
+        if (this.externalBars) return;
+        
         const candleTime = new Date(timestamp);
         candleTime.setSeconds(0, 0); // Round to minute
         const candleTimeMs = candleTime.getTime();
@@ -213,8 +254,8 @@ class TestTimeStrategy {
             return null;
         }
         
-        // Use system time for more reliable timing instead of market data timestamps
-        const now = new Date();
+        // Trade on the bot's clock (the replay clock during a replay) rather than market data timestamps
+        const now = new Date(this.now());
         const currentMinutes = now.getMinutes();
         const currentSeconds = now.getSeconds();
         
@@ -775,7 +816,7 @@ class TestTimeStrategy {
                 
                 // Check if position should be closed due to time (in case bot was down past close time)
                 if (this.state.positionOpenTime) {
-                    const now = new Date();
+                    const now = new Date(this.now());
                     const positionAge = now - this.state.positionOpenTime;
                     const targetDuration = this.params.tradeDurationMinutes * 60 * 1000;
                     
@@ -819,4 +860,6 @@ class TestTimeStrategy {
     }
 }
 
+Object.assign(TestTimeStrategy.prototype, strategyClock);
+
 module.exports = TestTimeStrategy;
\ No newline at end of file
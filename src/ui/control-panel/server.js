@@ -2,12 +2,15 @@
 // Manages all services including trading bots, configuration UI, and core services
 
 const express = require('express');
-const { exec, spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const http = require('http');
 const socketIo = require('socket.io');
 const yaml = require('js-yaml');
+const redis = require('redis');
+const ProcessSupervisor = require('../../infrastructure/process/ProcessSupervisor');
+const { buildServiceDefinitions, buildBotDefinition, CORE_SERVICES } = require('../../infrastructure/process/serviceDefinitions');
+const BotFleet = require('../../../shared/modules/bots/BotFleet');
 
 const app = express();
 const server = http.createServer(app);
@@ -18,7 +21,6 @@ const PORT = process.env.CONTROL_PANEL_PORT || 8080;
 // Base paths
 const V5_BASE = path.join(__dirname, '..', '..', '..');
 const CONFIG_PATH = path.join(V5_BASE, 'config');
-const BOTS_CONFIG_PATH = path.join(CONFIG_PATH, 'bots');
 
 // Track system state
 let systemState = {
@@ -28,20 +30,14 @@ let systemState = {
         redis: false,
         connectionManager: false,
         tradingAggregator: false,
+        marketRecorder: false,
         
         // V5 services
         configurationUI: false,
         manualTrading: false,
         
-        // Trading bots
-        bots: {
-            BOT_1: false,
-            BOT_2: false,
-            BOT_3: false,
-            BOT_4: false,
-            BOT_5: false,
-            BOT_6: false
-        },
+        // Trading bots, one entry per config/bots/*.yaml
+        bots: {},
         
         // Placeholder for future
         simulation: false
@@ -57,9 +53,26 @@ let systemState = {
 // Bot configurations cache
 let botConfigs = {};
 
+// Bot instances under config/bots/
+const botFleet = new BotFleet({ configDirectory: CONFIG_PATH });
+
 // Service operation tracking
 let serviceOperationInProgress = false;
 
+// Global configuration (system.process drives the supervisor's restart policy)
+let globalConfig = {};
+try {
+    globalConfig = yaml.load(fs.readFileSync(path.join(CONFIG_PATH, 'global.yaml'), 'utf8')) || {};
+} catch (error) {
+    console.warn(`Failed to load global.yaml, using default process settings: ${error.message}`);
+}
+
+// Every service runs as a child process of the control panel
+const supervisor = new ProcessSupervisor({
+    ...globalConfig.system?.process,
+    logDir: path.join(V5_BASE, 'logs', 'processes')
+});
+
 // Middleware
 app.use(express.json());
 
@@ -90,15 +103,15 @@ function log(message, type = 'info') {
 // Load bot configurations
 async function loadBotConfigs() {
     try {
-        const botIds = ['BOT_1', 'BOT_2', 'BOT_3', 'BOT_4', 'BOT_5', 'BOT_6'];
-        for (const botId of botIds) {
-            const configPath = path.join(BOTS_CONFIG_PATH, `${botId}.yaml`);
-            try {
-                const content = await fs.promises.readFile(configPath, 'utf8');
-                botConfigs[botId] = yaml.load(content);
-            } catch (error) {
-                log(`Failed to load config for ${botId}: ${error.message}`, 'warn');
-                botConfigs[botId] = { enabled: false, port: 3003 + parseInt(botId.split('_')[1]) };
+        botConfigs = await botFleet.list();
+        
+        // Keep the status map in step with the fleet
+        for (const botId of Object.keys(systemState.services.bots)) {
+            if (!botConfigs[botId]) delete systemState.services.bots[botId];
+        }
+        for (const botId of Object.keys(botConfigs)) {
+            if (systemState.services.bots[botId] === undefined) {
+                systemState.services.bots[botId] = false;
             }
         }
     } catch (error) {
@@ -106,135 +119,75 @@ async function loadBotConfigs() {
     }
 }
 
-// Execute command with proper Windows handling
-function executeCommand(command, description, stdio = 'pipe', ignoreErrors = false) {
-    return new Promise((resolve, reject) => {
-        log(`Executing: ${description}`, 'info');
-        
-        // For batch files, use spawn for better compatibility
-        if (command.endsWith('.bat')) {
-            const batPath = path.join(V5_BASE, command);
-            const isStartOperation = description.toLowerCase().includes('start');
-            
-            const child = spawn('cmd.exe', ['/c', batPath], {
-                cwd: V5_BASE,
-                stdio: isStartOperation ? 'ignore' : ['ignore', 'pipe', 'pipe'],
-                shell: false,
-                detached: isStartOperation
-            });
-            
-            let stdout = '';
-            let stderr = '';
-            
-            if (!isStartOperation) {
-                child.stdout.on('data', (data) => {
-                    stdout += data.toString();
-                });
-                
-                child.stderr.on('data', (data) => {
-                    stderr += data.toString();
-                });
-            }
-            
-            child.on('close', (code) => {
-                log(`${description} process closed with code ${code}`, 'info');
-                
-                const isNonFatalExitCode = (isStartOperation && code === 1) || 
-                                         (description.toLowerCase().includes('stop') && code !== 0);
-                
-                if (code !== 0 && !ignoreErrors && !isNonFatalExitCode) {
-                    log(`${description} error: Exit code ${code}`, 'error');
-                    reject(new Error(`Command failed with exit code ${code}`));
-                    return;
-                }
-                
-                log(`${description} completed successfully`, 'success');
-                resolve(stdout || 'completed');
-            });
-            
-            child.on('error', (error) => {
-                log(`${description} spawn error: ${error.message}`, 'error');
-                reject(error);
-            });
-            
-            if (isStartOperation) {
-                child.unref();
-                log(`${description} launched in background`, 'success');
-                resolve('started');
-            }
-            
-        } else {
-            // For non-batch commands, use exec
-            exec(command, { 
-                cwd: V5_BASE,
-                shell: true
-            }, (error, stdout, stderr) => {
-                if (error && !ignoreErrors) {
-                    reject(error);
-                    return;
-                }
-                resolve(stdout || 'completed');
-            });
-        }
-    });
-}
+// Connection Manager learns about fleet changes over Redis
+let fleetPublisher = null;
 
-// Check if a process is running on a port
-async function isPortInUse(port) {
+async function notifyFleetUpdate(action, botId) {
     try {
-        const result = await new Promise((resolve, reject) => {
-            exec(`netstat -ano | findstr :${port} 2>nul`, { 
-                shell: 'cmd.exe'
-            }, (error, stdout) => {
-                if (error || !stdout) {
-                    resolve(false);
-                } else {
-                    resolve(stdout.includes('LISTENING'));
-                }
+        if (!fleetPublisher) {
+            fleetPublisher = redis.createClient({
+                socket: { host: 'localhost', port: globalConfig.system?.ports?.redis || 6379, reconnectStrategy: false }
             });
-        });
-        return result;
+            fleetPublisher.on('error', () => {});
+            await fleetPublisher.connect();
+        }
+        await fleetPublisher.publish('instance:control', JSON.stringify({
+            type: 'BOT_FLEET_UPDATE',
+            payload: { action, botId },
+            timestamp: Date.now()
+        }));
     } catch (error) {
-        return false;
+        fleetPublisher?.disconnect().catch(() => {});
+        fleetPublisher = null;
+        log(`Connection Manager not notified that ${botId} was ${action} (it reads config/bots/ when it starts): ${error.message}`, 'warn');
     }
 }
 
-// Check health endpoint
-async function checkHealth(url) {
-    return new Promise((resolve) => {
-        try {
-            const urlParts = new URL(url);
-            const options = {
-                hostname: urlParts.hostname,
-                port: urlParts.port,
-                path: urlParts.pathname,
-                method: 'GET',
-                timeout: 3000
-            };
+// Reload the fleet after a change and tell everyone about it
+async function applyFleetChange(action, botId) {
+    await loadBotConfigs();
+    
+    if (botConfigs[botId] && !supervisor.has(botId)) {
+        supervisor.register(buildBotDefinition(botId, botConfigs[botId], { rootDir: V5_BASE }));
+    } else if (!botConfigs[botId] && supervisor.has(botId)) {
+        supervisor.unregister(botId);
+    }
+    
+    await notifyFleetUpdate(action, botId);
+    log(`${botId} ${action}`, 'success');
+    
+    io.emit('botConfigs', botConfigs);
+    io.emit('statusUpdate', systemState);
+}
 
-            const req = http.request(options, (res) => {
-                let data = '';
-                res.on('data', (chunk) => data += chunk);
-                res.on('end', () => {
-                    if (res.statusCode === 200 || res.statusCode === 206) {
-                        resolve(true);
-                    } else {
-                        resolve(false);
-                    }
-                });
-            });
+// Register the supervised services once the bot configurations are known
+function registerServices() {
+    supervisor.registerAll(buildServiceDefinitions({ rootDir: V5_BASE, globalConfig, botConfigs }));
+    
+    supervisor.on('stateChange', ({ service, state, previous }) => {
+        log(`${service}: ${previous} → ${state}`, state === 'failed' ? 'error' : 'info');
+        systemState.processes = supervisor.getAllStatus();
+        io.emit('statusUpdate', systemState);
+    });
+    
+    supervisor.on('restarted', ({ service, restarts }) => {
+        log(`${service} restarted (${restarts} restart${restarts === 1 ? '' : 's'})`, 'warn');
+    });
+    
+    // Process output goes to logs/processes/<name>.log; stream it to the UI as well
+    supervisor.on('log', (entry) => {
+        io.emit('processLog', entry);
+    });
+}
 
-            req.on('error', () => resolve(false));
-            req.on('timeout', () => {
-                req.destroy();
-                resolve(false);
-            });
+// Check if a process is listening on a port
+function isPortInUse(port) {
+    return ProcessSupervisor.isPortOpen(port);
+}
 
-            req.end();
-        } catch (e) {
-            resolve(false);
-        }
-    });
+// Check health endpoint
+function checkHealth(url) {
+    return ProcessSupervisor.checkHealth(url);
 }
 
 // Start all services
@@ -249,18 +202,15 @@ async function startAll() {
     io.emit('statusUpdate', systemState);
     
     try {
-        // Execute the V5 start-all.bat
+        // Dependencies first; each service must pass its readiness probe
         log('Starting all V5 services...', 'info');
-        await executeCommand('scripts\\control\\start-all.bat', 'Start All V5 Services');
+        await supervisor.startAll(CORE_SERVICES);
         
         systemState.status = 'running';
         systemState.startTime = new Date();
         
-        // Check status after services start
-        setTimeout(async () => {
-            await checkServiceStatus();
-            log('All services started! 🚀', 'success');
-        }, 5000);
+        await checkServiceStatus();
+        log('All services started! 🚀', 'success');
         
     } catch (error) {
         systemState.status = 'stopped';
@@ -285,15 +235,13 @@ async function stopAll() {
     
     try {
         log('Stopping all V5 services...', 'info');
-        await executeCommand('scripts\\control\\stop-all.bat', 'Stop All V5 Services', 'ignore', true);
+        await supervisor.stopAll();
         
         systemState.status = 'stopped';
         systemState.startTime = null;
         
-        setTimeout(async () => {
-            await checkServiceStatus();
-            log('All services stopped! 🛑', 'success');
-        }, 3000);
+        await checkServiceStatus();
+        log('All services stopped! 🛑', 'success');
         
     } catch (error) {
         log(`Warning during stop: ${error.message}`, 'warn');
@@ -315,57 +263,31 @@ async function startService(serviceName, options = {}) {
     log(`Starting ${serviceName}...`, 'info');
     
     try {
-        let command;
-        
-        // Map service names to start commands
-        switch(serviceName) {
-            case 'redis':
-                command = 'scripts\\services\\start-redis.bat';
-                break;
-            case 'fakeApiServer':
-                command = 'scripts\\services\\start-fake-api.bat';
-                break;
-            case 'connectionManager':
-                // Write configuration file for Connection Manager
-                if (options.microOnly !== undefined) {
-                    const configPath = path.join(V5_BASE, 'connection-manager', 'runtime-config.json');
-                    const config = {
-                        microOnly: options.microOnly,
-                        timestamp: new Date().toISOString()
-                    };
-                    await fs.promises.writeFile(configPath, JSON.stringify(config, null, 2));
-                    log(`Connection Manager configuration written: microOnly=${options.microOnly}`, 'info');
-                }
-                command = 'scripts\\services\\start-connection-manager.bat';
-                break;
-            case 'configurationUI':
-                command = 'scripts\\services\\start-config-ui.bat';
-                break;
-            case 'manualTrading':
-                command = 'scripts\\services\\start-manual-trading.bat';
-                break;
-            case 'tradingAggregator':
-                command = 'scripts\\services\\start-aggregator.bat';
-                break;
-            case 'simulation':
-                log('Simulation service not yet implemented', 'warn');
-                return;
-            default:
-                // Check if it's a bot
-                if (serviceName.startsWith('BOT_')) {
-                    // For now, just start the bot server
-                    command = `scripts\\bots\\start-bot-${serviceName.split('_')[1]}.bat`;
-                } else {
-                    throw new Error(`Unknown service: ${serviceName}`);
-                }
+        if (serviceName === 'simulation') {
+            log('Simulation service not yet implemented', 'warn');
+            return;
+        }
+        
+        if (!supervisor.has(serviceName)) {
+            throw new Error(`Unknown service: ${serviceName}`);
         }
         
-        await executeCommand(command, `Start ${serviceName}`);
+        // Write configuration file for Connection Manager
+        if (serviceName === 'connectionManager' && options.microOnly !== undefined) {
+            const configPath = path.join(V5_BASE, 'connection-manager', 'runtime-config.json');
+            const config = {
+                microOnly: options.microOnly,
+                timestamp: new Date().toISOString()
+            };
+            await fs.promises.writeFile(configPath, JSON.stringify(config, null, 2));
+            log(`Connection Manager configuration written: microOnly=${options.microOnly}`, 'info');
+        }
+        
+        // Starts any dependencies that are not running yet
+        await supervisor.start(serviceName);
         log(`${serviceName} started`, 'success');
         
-        setTimeout(async () => {
-            await checkServiceStatus();
-        }, 3000);
+        await checkServiceStatus();
         
     } catch (error) {
         log(`Failed to start ${serviceName}: ${error.message}`, 'error');
@@ -386,54 +308,32 @@ async function stopService(serviceName) {
     log(`Stopping ${serviceName}...`, 'info');
     
     try {
-        let command;
-        
-        // Map service names to stop commands
-        switch(serviceName) {
-            case 'redis':
-                command = 'scripts\\services\\stop-redis.bat';
-                break;
-            case 'fakeApiServer':
-                command = 'scripts\\services\\stop-fake-api.bat';
-                break;
-            case 'connectionManager':
-                command = 'scripts\\services\\stop-connection-manager.bat';
-                // Clean up runtime configuration file
-                const configPath = path.join(V5_BASE, 'connection-manager', 'runtime-config.json');
-                try {
-                    await fs.promises.unlink(configPath);
-                    log('Connection Manager runtime configuration cleaned up', 'info');
-                } catch (err) {
-                    // File might not exist, which is fine
-                }
-                break;
-            case 'configurationUI':
-                command = 'scripts\\services\\stop-config-ui.bat';
-                break;
-            case 'manualTrading':
-                command = 'scripts\\services\\stop-manual-trading.bat';
-                break;
-            case 'tradingAggregator':
-                command = 'scripts\\services\\stop-aggregator.bat';
-                break;
-            case 'simulation':
-                log('Simulation service not yet implemented', 'warn');
-                return;
-            default:
-                // Check if it's a bot
-                if (serviceName.startsWith('BOT_')) {
-                    command = `scripts\\bots\\stop-bot-${serviceName.split('_')[1]}.bat`;
-                } else {
-                    throw new Error(`Unknown service: ${serviceName}`);
-                }
+        if (serviceName === 'simulation') {
+            log('Simulation service not yet implemented', 'warn');
+            return;
+        }
+        
+        if (!supervisor.has(serviceName)) {
+            throw new Error(`Unknown service: ${serviceName}`);
+        }
+        
+        // Dependents (e.g. bots when stopping the Connection Manager) stop first
+        await supervisor.stop(serviceName);
+        
+        if (serviceName === 'connectionManager') {
+            // Clean up runtime configuration file
+            const configPath = path.join(V5_BASE, 'connection-manager', 'runtime-config.json');
+            try {
+                await fs.promises.unlink(configPath);
+                log('Connection Manager runtime configuration cleaned up', 'info');
+            } catch (err) {
+                // File might not exist, which is fine
+            }
         }
         
-        await executeCommand(command, `Stop ${serviceName}`, 'ignore', true);
         log(`${serviceName} stopped`, 'success');
         
-        setTimeout(async () => {
-            await checkServiceStatus();
-        }, 3000);
+        await checkServiceStatus();
         
     } catch (error) {
         log(`Error stopping ${serviceName}: ${error.message}`, 'warn');
@@ -448,12 +348,7 @@ async function checkServiceStatus() {
         log('Checking service status...', 'debug');
         
         // Check Redis
-        const redisRunning = await new Promise((resolve) => {
-            exec('"C:\\Program Files\\Redis\\redis-cli" ping 2>nul', (error, stdout) => {
-                resolve(!error && stdout.trim() === 'PONG');
-            });
-        });
-        systemState.services.redis = redisRunning;
+        systemState.services.redis = await isPortInUse(globalConfig.system?.ports?.redis || 6379);
         
         // Check Connection Manager (original port 7500)
         systemState.services.connectionManager = await checkHealth('http://localhost:7500/health');
@@ -461,17 +356,18 @@ async function checkServiceStatus() {
         // Check Trading Aggregator (port 7600)
         systemState.services.tradingAggregator = await checkHealth('http://localhost:7600/health');
         
+        // Check Market Data Recorder (port 7800)
+        systemState.services.marketRecorder = await checkHealth(`http://localhost:${globalConfig.system?.ports?.marketRecorder || 7800}/health`);
+        
         // Check Configuration UI (port 3000)
         systemState.services.configurationUI = await isPortInUse(3000);
         
         // Check Manual Trading (port 3003)
         systemState.services.manualTrading = await isPortInUse(3003);
         
-        // Check Trading Bots (ports 3004-3009)
-        for (let i = 1; i <= 6; i++) {
-            const botId = `BOT_${i}`;
-            const port = 3003 + i;
-            const config = botConfigs[botId];
+        // Check Trading Bots (ports allocated from system.ports.botRange)
+        for (const [botId, config] of Object.entries(botConfigs)) {
+            const port = config.port;
             
             // Always check if bot server is running regardless of enabled state
             const isRunning = await isPortInUse(port);
@@ -532,6 +428,9 @@ async function checkServiceStatus() {
             }
         }
         
+        // Supervisor view: pid, restarts and last exit of every managed process
+        systemState.processes = supervisor.getAllStatus();
+        
         // Update overall status
         const anyServiceRunning = Object.values(systemState.services).some(service => {
             if (typeof service === 'object') {
@@ -612,39 +511,29 @@ app.post('/api/service/:name/stop', async (req, res) => {
     }
 });
 
-// Bot open endpoint - starts bot server and opens UI in Chrome
+// Bot open endpoint - starts bot server and returns where its UI is served
 app.post('/api/bot/:botId/open', async (req, res) => {
     try {
         const { botId } = req.params;
-        const botNumber = botId.split('_')[1];
-        const botPort = 3003 + parseInt(botNumber);
+        if (!botConfigs[botId]) {
+            return res.status(404).json({ success: false, error: `Unknown bot: ${botId}` });
+        }
+        const botPort = botConfigs[botId].port;
         
         // First check if bot is already running
         const isRunning = await isPortInUse(botPort);
         
         if (!isRunning) {
-            // Start the bot service if not running
+            // Start the bot service if not running - resolves once its /health answers
             log(`Starting ${botId} server before opening UI...`, 'info');
             await startService(botId);
-            
-            // Wait a bit for the server to start
-            await new Promise(resolve => setTimeout(resolve, 2000));
         } else {
             log(`${botId} server already running on port ${botPort}`, 'info');
         }
         
-        // Now open Chrome with the bot UI
-        const chromeCommand = `start chrome --new-window --user-data-dir="%TEMP%\\chrome-bot-${botNumber}" http://localhost:${botPort}`;
-        
-        exec(chromeCommand, { shell: 'cmd.exe' }, (error) => {
-            if (error) {
-                log(`Failed to open Chrome for ${botId}: ${error.message}`, 'warn');
-            } else {
-                log(`Opened Chrome for ${botId} on port ${botPort}`, 'success');
-            }
-        });
-        
-        res.json({ success: true, message: `${botId} opened successfully` });
+        // The browser opens the UI itself - the control panel may run on a machine without a desktop
+        log(`${botId} UI available at http://localhost:${botPort}`, 'info');
+        res.json({ success: true, message: `${botId} opened successfully`, port: botPort, url: `http://localhost:${botPort}` });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
@@ -654,63 +543,18 @@ app.post('/api/bot/:botId/open', async (req, res) => {
 app.post('/api/bot/:botId/close', async (req, res) => {
     try {
         const { botId } = req.params;
-        const botNumber = botId.split('_')[1];
-        const botPort = 3003 + parseInt(botNumber);
+        if (!botConfigs[botId]) {
+            return res.status(404).json({ success: false, error: `Unknown bot: ${botId}` });
+        }
+        const botPort = botConfigs[botId].port;
         
         log(`Closing ${botId} on port ${botPort}...`, 'info');
         
-        // First try to stop using the normal service stop
-        try {
-            await stopService(botId);
-        } catch (e) {
-            log(`Normal stop failed, trying port-based kill...`, 'warn');
-        }
+        await stopService(botId);
         
-        // Also kill by port to ensure it's stopped
-        await new Promise((resolve, reject) => {
-            // Find and kill process by port
-            exec(`netstat -ano | findstr :${botPort}`, (error, stdout, stderr) => {
-                if (error || !stdout) {
-                    log(`No process found on port ${botPort}`, 'info');
-                    resolve();
-                    return;
-                }
-                
-                // Extract PIDs from netstat output
-                const lines = stdout.split('\n');
-                const pids = new Set();
-                
-                lines.forEach(line => {
-                    const parts = line.trim().split(/\s+/);
-                    if (parts.length > 4 && parts[1].includes(`:${botPort}`)) {
-                        const pid = parts[parts.length - 1];
-                        if (pid && !isNaN(pid) && pid !== '0') {
-                            pids.add(pid);
-                        }
-                    }
-                });
-                
-                if (pids.size === 0) {
-                    log(`No PIDs found for port ${botPort}`, 'info');
-                    resolve();
-                    return;
-                }
-                
-                // Kill each PID
-                const pidArray = Array.from(pids);
-                log(`Killing PIDs for ${botId}: ${pidArray.join(', ')}`, 'info');
-                
-                pidArray.forEach(pid => {
-                    exec(`taskkill /F /PID ${pid}`, (killError) => {
-                        if (!killError) {
-                            log(`Killed process ${pid} for ${botId}`, 'success');
-                        }
-                    });
-                });
-                
-                setTimeout(resolve, 1000); // Give it a second to clean up
-            });
-        });
+        if (await isPortInUse(botPort)) {
+            log(`${botId} is still listening on port ${botPort} - it was started outside the control panel`, 'warn');
+        }
         
         // Update service state
         systemState.services.bots[botId] = false;
@@ -727,10 +571,98 @@ app.get('/api/logs', (req, res) => {
     res.json(systemState.logs);
 });
 
+// Captured stdout/stderr of a supervised process (full history in logs/processes/<name>.log)
+app.get('/api/service/:name/logs', (req, res) => {
+    const { name } = req.params;
+    if (!supervisor.has(name)) {
+        return res.status(404).json({ success: false, error: `Unknown service: ${name}` });
+    }
+    res.json(supervisor.getLogs(name, parseInt(req.query.lines, 10) || 100));
+});
+
 app.get('/api/bots/config', (req, res) => {
     res.json(botConfigs);
 });
 
+// ==================== Bot fleet ====================
+
+// BotFleet error codes - anything else is a server failure
+const FLEET_ERROR_STATUS = { INVALID: 400, NOT_FOUND: 404, EXISTS: 409 };
+
+function sendFleetError(res, error) {
+    res.status(FLEET_ERROR_STATUS[error.code] || 500).json({ success: false, error: error.message });
+}
+
+app.get('/api/bots', async (req, res) => {
+    try {
+        res.json({ bots: botConfigs, archived: await botFleet.listArchived() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Create a bot: body is the bot configuration (instrument and strategy.type required), optional botId
+app.post('/api/bots', async (req, res) => {
+    try {
+        const { botId: requestedId, ...config } = req.body || {};
+        const { botId, config: botConfig } = await botFleet.create(config, { botId: requestedId });
+        await applyFleetChange('created', botId);
+        res.json({ success: true, botId, config: botConfig });
+    } catch (error) {
+        sendFleetError(res, error);
+    }
+});
+
+// Clone a bot: body { botId?, overrides? } - overrides merge into the copy
+app.post('/api/bots/:botId/clone', async (req, res) => {
+    try {
+        const { botId: requestedId, overrides } = req.body || {};
+        const { botId, config } = await botFleet.clone(req.params.botId, overrides, { botId: requestedId });
+        await applyFleetChange('cloned', botId);
+        res.json({ success: true, botId, config });
+    } catch (error) {
+        sendFleetError(res, error);
+    }
+});
+
+app.post('/api/bots/:botId/archive', async (req, res) => {
+    try {
+        const { botId } = req.params;
+        if (supervisor.has(botId)) {
+            await supervisor.stop(botId);
+        }
+        await botFleet.archive(botId);
+        await applyFleetChange('archived', botId);
+        res.json({ success: true, botId });
+    } catch (error) {
+        sendFleetError(res, error);
+    }
+});
+
+app.post('/api/bots/:botId/restore', async (req, res) => {
+    try {
+        const { botId, config } = await botFleet.restore(req.params.botId);
+        await applyFleetChange('restored', botId);
+        res.json({ success: true, botId, config });
+    } catch (error) {
+        sendFleetError(res, error);
+    }
+});
+
+app.delete('/api/bots/:botId', async (req, res) => {
+    try {
+        const { botId } = req.params;
+        if (supervisor.has(botId)) {
+            await supervisor.stop(botId);
+        }
+        await botFleet.delete(botId);
+        await applyFleetChange('deleted', botId);
+        res.json({ success: true, botId });
+    } catch (error) {
+        sendFleetError(res, error);
+    }
+});
+
 // Demo-only mode API endpoints
 app.get('/api/demo-mode', (req, res) => {
     res.json({ demoOnlyMode: systemState.demoOnlyMode });
@@ -774,15 +706,7 @@ app.post('/api/shutdown', async (req, res) => {
         // Send response before shutting down
         res.json({ success: true, message: 'Control Panel shutting down...' });
         
-        // Execute the stop batch file to ensure config server also stops
-        const stopBatchPath = path.join(V5_BASE, 'STOP-CONTROL-PANEL.bat');
-        exec(`"${stopBatchPath}"`, (error) => {
-            if (error) {
-                log(`Error executing stop batch: ${error.message}`, 'error');
-            }
-        });
-        
-        // Give time for response to be sent and batch to execute
+        // Give time for the response to be sent
         setTimeout(() => {
             log('Control Panel shutting down. Goodbye!', 'info');
             process.exit(0);
@@ -856,7 +780,7 @@ server.listen(PORT, async () => {
 ║                                                           ║
 ║   Features:                                               ║
 ║   • Start/Stop all services with one click               ║
-║   • Individual bot management (BOT_1 to BOT_6)           ║
+║   • Bot fleet: create, clone, archive and delete bots    ║
 ║   • Configuration UI management                          ║
 ║   • Real-time status monitoring                          ║
 ║   • Service health indicators                            ║
@@ -867,7 +791,7 @@ server.listen(PORT, async () => {
 ║   • Connection Manager (TopStep API)                     ║
 ║   • Configuration UI (Bot Settings)                      ║
 ║   • Manual Trading (Port 3003)                           ║
-║   • Trading Bots 1-6 (Ports 3004-3009)                  ║
+║   • Trading Bots (ports from system.ports.botRange)      ║
 ║   • Simulation (Coming Soon)                             ║
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
@@ -878,19 +802,20 @@ server.listen(PORT, async () => {
     // Load bot configurations
     await loadBotConfigs();
     log('Bot configurations loaded', 'info');
+    
+    registerServices();
 });
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
+// Graceful shutdown - supervised processes must not outlive the control panel
+async function shutdown() {
     log('Shutting down Control Panel...', 'info');
-    
-    if (systemState.status === 'running') {
-        log('Stopping all services before exit...', 'info');
-        await stopAll();
-    }
-    
+    log('Stopping all services before exit...', 'info');
+    await supervisor.stopAll().catch(error => log(`Error stopping services: ${error.message}`, 'error'));
     process.exit(0);
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 // Handle uncaught errors
 process.on('uncaughtException', (error) => {
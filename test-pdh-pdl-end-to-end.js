@@ -1,156 +0,0 @@
-/**
- * END-TO-END PDH/PDL Integration Test
- * Tests complete workflow from YAML loading to strategy execution
- * PROOF OF EXECUTION TEST as per CLAUDE.md requirements
- */
-
-const fs = require('fs').promises;
-const path = require('path');
-const yaml = require('js-yaml');
-
-console.log('=== END-TO-END PDH/PDL INTEGRATION TEST ===');
-console.log('Timestamp:', new Date().toISOString());
-console.log('Random verification:', Math.floor(Math.random() * 1000000));
-
-async function testEndToEndIntegration() {
-    try {
-        console.log('\n=== PHASE 1: YAML CONFIGURATION LOADING ===');
-        
-        // 1. Load and parse YAML configuration
-        const yamlPath = path.join(__dirname, 'BOT_PDH_PDL.yaml');
-        const yamlContent = await fs.readFile(yamlPath, 'utf8');
-        const config = yaml.load(yamlContent);
-        
-        console.log('✅ YAML loaded successfully');
-        console.log('✅ Bot name:', config.bot.name);
-        console.log('✅ Strategy type:', config.bot.strategy);
-        console.log('✅ Config enabled:', config.bot.enabled);
-        
-        // 2. Verify strategy file exists
-        console.log('\n=== PHASE 2: STRATEGY FILE VERIFICATION ===');
-        const strategyPath = path.join(__dirname, 'src/strategies/PDHPDLStrategy-Comprehensive.js');
-        await fs.access(strategyPath);
-        const strategyContent = await fs.readFile(strategyPath, 'utf8');
-        
-        console.log('✅ Strategy file exists:', strategyPath);
-        console.log('✅ Strategy file size:', strategyContent.length, 'characters');
-        console.log('✅ Strategy file lines:', strategyContent.split('\n').length);
-        
-        // 3. Load TradingBot class
-        console.log('\n=== PHASE 3: TRADING BOT INITIALIZATION ===');
-        const TradingBot = require('./src/core/trading/TradingBot');
-        
-        const testConfig = {
-            botId: 'e2e-test-bot',
-            name: config.bot.name,
-            enabled: config.bot.enabled,
-            
-            // Strategy configuration from YAML
-            strategy: {
-                type: config.bot.strategy,
-                dollarRiskPerTrade: config.strategy.dollarRiskPerTrade,
-                dollarPerPoint: config.strategy.dollarPerPoint,
-                volumeConfirmationMultiplier: config.strategy.volumeConfirmationMultiplier,
-                breakoutBufferTicks: config.strategy.breakoutBufferTicks,
-                enableBreakoutStrategy: config.strategy.enableBreakoutStrategy,
-                enableFadeStrategy: config.strategy.enableFadeStrategy
-            },
-            
-            // Instrument and risk config
-            instrument: 'MGC',
-            risk: {
-                dollarRiskPerTrade: config.strategy.dollarRiskPerTrade
-            },
-            
-            testMode: true
-        };
-        
-        const bot = new TradingBot(testConfig);
-        console.log('✅ TradingBot instance created');
-        console.log('✅ Bot ID:', bot.botId);
-        console.log('✅ Bot name:', bot.name);
-        
-        // 4. Initialize bot components
-        console.log('\n=== PHASE 4: BOT COMPONENT INITIALIZATION ===');
-        await bot.initialize(testConfig);
-        
-        console.log('✅ Bot initialized successfully');
-        console.log('✅ Bot status:', bot.state.status);
-        console.log('✅ Bot ready:', bot.state.isReady);
-        
-        // 5. Verify strategy loading
-        console.log('\n=== PHASE 5: STRATEGY LOADING VERIFICATION ===');
-        console.log('✅ Strategy loaded:', bot.strategy ? 'YES' : 'NO');
-        console.log('✅ Strategy name:', bot.strategy?.name);
-        console.log('✅ Strategy version:', bot.strategy?.version);
-        console.log('✅ Strategy ready:', bot.strategy?.isStrategyReady?.());
-        
-        // 6. Test market data processing
-        console.log('\n=== PHASE 6: MARKET DATA PROCESSING TEST ===');
-        const testPrice = 1825.50;
-        const testVolume = 2500;
-        const timestamp = Date.now();
-        
-        console.log('📊 Sending test market data...');
-        console.log('📊 Price:', testPrice);
-        console.log('📊 Volume:', testVolume);
-        console.log('📊 Timestamp:', new Date(timestamp).toISOString());
-        
-        const result = await bot.strategy.processMarketData(testPrice, testVolume, timestamp);
-        
-        console.log('✅ Market data processed successfully');
-        console.log('✅ Result type:', typeof result);
-        console.log('✅ Result keys:', Object.keys(result || {}));
-        
-        // 7. Test configuration parameter access
-        console.log('\n=== PHASE 7: CONFIGURATION PARAMETER VERIFICATION ===');
-        const strategyConfig = bot.runtimeConfig?.strategyConfig;
-        console.log('✅ Strategy config exists:', strategyConfig ? 'YES' : 'NO');
-        console.log('✅ Dollar risk per trade:', strategyConfig?.dollarRiskPerTrade);
-        console.log('✅ Volume confirmation multiplier:', strategyConfig?.volumeConfirmationMultiplier);
-        console.log('✅ Breakout buffer ticks:', strategyConfig?.breakoutBufferTicks);
-        console.log('✅ Enable breakout strategy:', strategyConfig?.enableBreakoutStrategy);
-        console.log('✅ Enable fade strategy:', strategyConfig?.enableFadeStrategy);
-        
-        // 8. Test method availability
-        console.log('\n=== PHASE 8: STRATEGY METHOD VERIFICATION ===');
-        console.log('✅ processMarketData method:', typeof bot.strategy.processMarketData);
-        console.log('✅ reset method:', typeof bot.strategy.reset);
-        console.log('✅ isStrategyReady method:', typeof bot.strategy.isStrategyReady);
-        
-        console.log('\n=== END-TO-END INTEGRATION TEST RESULTS ===');
-        console.log('🚀 ALL PHASES PASSED - Complete Integration Successful!');
-        console.log('🚀 PHASE 1: YAML Configuration Loading - SUCCESS');
-        console.log('🚀 PHASE 2: Strategy File Verification - SUCCESS');
-        console.log('🚀 PHASE 3: Trading Bot Initialization - SUCCESS');
-        console.log('🚀 PHASE 4: Bot Component Initialization - SUCCESS');
-        console.log('🚀 PHASE 5: Strategy Loading Verification - SUCCESS');
-        console.log('🚀 PHASE 6: Market Data Processing Test - SUCCESS');
-        console.log('🚀 PHASE 7: Configuration Parameter Verification - SUCCESS');
-        console.log('🚀 PHASE 8: Strategy Method Verification - SUCCESS');
-        
-        console.log('\n=== DEPLOYMENT READINESS VERIFICATION ===');
-        console.log('✅ Bot can load PDH/PDL strategy from YAML');
-        console.log('✅ Strategy parameters are correctly mapped');
-        console.log('✅ Market data processing is functional');
-        console.log('✅ All required methods are available');
-        console.log('✅ Configuration integration is complete');
-        console.log('✅ PDH/PDL strategy is PRODUCTION READY');
-        
-    } catch (error) {
-        console.log('\n❌ END-TO-END INTEGRATION TEST FAILED');
-        console.log('❌ Error:', error.message);
-        console.log('❌ Stack:', error.stack);
-        process.exit(1);
-    }
-}
-
-testEndToEndIntegration().then(() => {
-    console.log('\n=== FINAL VERIFICATION ===');
-    console.log('Test completed at:', new Date().toISOString());
-    console.log('Exit code: 0 (SUCCESS)');
-    process.exit(0);
-}).catch(error => {
-    console.log('❌ Test failed:', error.message);
-    process.exit(1);
-});
\ No newline at end of file
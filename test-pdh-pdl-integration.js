@@ -1,171 +0,0 @@
-/**
- * PDH/PDL Strategy Integration Test
- * Tests complete bot integration with PDH/PDL strategy
- * PROOF OF EXECUTION TEST as per CLAUDE.md requirements
- */
-
-const yaml = require('js-yaml');
-const fs = require('fs').promises;
-const TradingBot = require('./src/core/trading/TradingBot');
-
-console.log('=== PDH/PDL Strategy Integration Test ===');
-console.log('Timestamp:', new Date().toISOString());
-console.log('Random verification:', Math.floor(Math.random() * 1000000));
-
-async function testIntegration() {
-    try {
-        console.log('\n1. Loading YAML configuration...');
-        const yamlContent = await fs.readFile('BOT_PDH_PDL.yaml', 'utf8');
-        const config = yaml.load(yamlContent);
-        console.log('✅ YAML configuration loaded successfully');
-        console.log('✅ Bot name:', config.bot.name);
-        console.log('✅ Strategy type:', config.bot.strategy);
-        console.log('✅ Instrument:', config.trading.instrument);
-        
-        console.log('\n2. Creating TradingBot instance...');
-        const botConfig = {
-            id: 'test-pdh-pdl-bot',
-            name: config.bot.name,
-            enabled: config.bot.enabled,
-            port: config.bot.port,
-            
-            // Map YAML structure to bot expected structure
-            strategy: {
-                type: config.bot.strategy,
-                ...config.strategy
-            },
-            instrument: config.trading.instrument,
-            
-            // Risk configuration
-            risk: config.risk,
-            
-            // Account configuration  
-            account: config.account,
-            
-            // Trading configuration
-            trading: config.trading,
-            
-            // Add required fields for bot initialization
-            testMode: true,
-            aggregatorEnabled: false
-        };
-        
-        const bot = new TradingBot(botConfig);
-        console.log('✅ TradingBot instance created successfully');
-        console.log('✅ Bot ID:', bot.botId);
-        console.log('✅ Bot name:', bot.name);
-        
-        console.log('\n3. Testing strategy type mapping...');
-        const mappedType = bot.mapStrategyType(config.bot.strategy);
-        console.log('✅ Strategy mapping result:', `"${config.bot.strategy}" → "${mappedType}"`);
-        
-        if (mappedType === 'PDH_PDL_COMPREHENSIVE') {
-            console.log('✅ Strategy type mapping: SUCCESS');
-        } else {
-            console.log('❌ Strategy type mapping: FAILED');
-            console.log('❌ Expected: PDH_PDL_COMPREHENSIVE');
-            console.log('❌ Got:', mappedType);
-            throw new Error('Strategy type mapping failed');
-        }
-        
-        console.log('\n4. Testing configuration building...');
-        const strategyConfig = bot.buildStrategyConfig(botConfig);
-        console.log('✅ Strategy configuration built successfully');
-        console.log('✅ Dollar risk per trade:', strategyConfig.dollarRiskPerTrade);
-        console.log('✅ Risk reward ratio:', strategyConfig.riskRewardRatio);
-        console.log('✅ Volume confirmation multiplier:', strategyConfig.volumeConfirmationMultiplier);
-        console.log('✅ Breakout buffer ticks:', strategyConfig.breakoutBufferTicks);
-        console.log('✅ Enable breakout strategy:', strategyConfig.enableBreakoutStrategy);
-        console.log('✅ Enable fade strategy:', strategyConfig.enableFadeStrategy);
-        
-        console.log('\n5. Testing bot initialization...');
-        await bot.initialize();
-        console.log('✅ Bot initialized successfully');
-        console.log('✅ Bot status:', bot.state.status);
-        console.log('✅ Bot ready:', bot.state.isReady);
-        
-        console.log('\n6. Testing strategy loading...');
-        if (bot.strategy) {
-            console.log('✅ Strategy loaded successfully');
-            console.log('✅ Strategy name:', bot.strategy.name);
-            console.log('✅ Strategy version:', bot.strategy.version);
-            
-            // Test strategy methods
-            if (typeof bot.strategy.processMarketData === 'function') {
-                console.log('✅ processMarketData method available');
-            } else {
-                console.log('❌ processMarketData method missing');
-            }
-            
-            if (typeof bot.strategy.reset === 'function') {
-                console.log('✅ reset method available');  
-            } else {
-                console.log('❌ reset method missing');
-            }
-            
-            if (typeof bot.strategy.isStrategyReady === 'function') {
-                console.log('✅ isStrategyReady method available');
-            } else {
-                console.log('❌ isStrategyReady method missing');
-            }
-            
-        } else {
-            console.log('❌ Strategy failed to load');
-            throw new Error('Strategy loading failed');
-        }
-        
-        console.log('\n7. Testing market data processing...');
-        const testPrice = 1950.5;
-        const testVolume = 1500;
-        const testTimestamp = new Date();
-        
-        const result = bot.strategy.processMarketData(testPrice, testVolume, testTimestamp);
-        console.log('✅ Market data processed successfully');
-        console.log('✅ Result type:', typeof result);
-        console.log('✅ Has ready property:', 'ready' in result);
-        console.log('✅ Has signal property:', 'signal' in result);
-        console.log('✅ Strategy ready status:', result.ready);
-        
-        console.log('\n8. Testing configuration parameter usage...');
-        console.log('✅ Strategy params dollar risk:', bot.strategy.params.dollarRiskPerTrade);
-        console.log('✅ Strategy params risk reward:', bot.strategy.params.riskRewardRatio);  
-        console.log('✅ Strategy params breakout buffer:', bot.strategy.params.breakoutBufferTicks);
-        console.log('✅ Strategy params volume multiplier:', bot.strategy.params.volumeConfirmationMultiplier);
-        console.log('✅ Strategy params enable breakout:', bot.strategy.params.enableBreakoutStrategy);
-        console.log('✅ Strategy params enable fade:', bot.strategy.params.enableFadeStrategy);
-        
-        console.log('\n=== INTEGRATION TEST RESULTS ===');
-        console.log('✅ ALL TESTS PASSED - PDH/PDL Strategy Integration Successful!');
-        console.log('✅ YAML Configuration: LOADED');
-        console.log('✅ Bot Creation: SUCCESS');
-        console.log('✅ Strategy Mapping: SUCCESS');
-        console.log('✅ Configuration Building: SUCCESS');
-        console.log('✅ Bot Initialization: SUCCESS');
-        console.log('✅ Strategy Loading: SUCCESS');
-        console.log('✅ Method Availability: SUCCESS');
-        console.log('✅ Market Data Processing: SUCCESS');
-        console.log('✅ Parameter Usage: SUCCESS');
-        
-        console.log('\n=== STRATEGY READY FOR DEPLOYMENT ===');
-        console.log('🚀 Bot can successfully load and run PDH/PDL strategy');
-        console.log('🚀 All integration points working correctly');
-        console.log('🚀 Configuration mapping complete');
-        console.log('🚀 No code changes needed to strategy file');
-        
-    } catch (error) {
-        console.log('\n❌ INTEGRATION TEST FAILED');
-        console.log('❌ Error:', error.message);
-        console.log('❌ Stack:', error.stack);
-        process.exit(1);
-    }
-}
-
-testIntegration().then(() => {
-    console.log('\n=== FINAL VERIFICATION ===');
-    console.log('Test completed at:', new Date().toISOString());
-    console.log('Exit code: 0 (SUCCESS)');
-    process.exit(0);
-}).catch(error => {
-    console.log('❌ Test failed:', error.message);
-    process.exit(1);
-});
\ No newline at end of file
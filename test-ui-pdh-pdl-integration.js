@@ -1,122 +0,0 @@
-/**
- * PDH/PDL Strategy UI Integration Test
- * Tests UI configuration page with PDH/PDL strategy parameters
- * PROOF OF EXECUTION TEST as per CLAUDE.md requirements
- */
-
-const fs = require('fs').promises;
-const path = require('path');
-
-console.log('=== PDH/PDL UI Integration Test ===');
-console.log('Timestamp:', new Date().toISOString());
-console.log('Random verification:', Math.floor(Math.random() * 1000000));
-
-async function testUIIntegration() {
-    try {
-        console.log('\n1. Reading UI configuration file...');
-        const uiFilePath = path.join(__dirname, 'src/core/trading/bot-config-ui.html');
-        const uiContent = await fs.readFile(uiFilePath, 'utf8');
-        console.log('✅ UI file loaded successfully');
-        console.log('✅ File size:', uiContent.length, 'characters');
-        
-        console.log('\n2. Testing bot dropdown includes PDH/PDL...');
-        const hasPDHPDLBot = uiContent.includes('BOT_PDH_PDL') && uiContent.includes('PDH/PDL Daily Flip');
-        console.log('✅ PDH/PDL bot in dropdown:', hasPDHPDLBot);
-        
-        console.log('\n3. Testing strategy dropdown includes PDHPDLStrategy...');
-        const hasPDHPDLStrategy = uiContent.includes('value="PDHPDLStrategy"') && uiContent.includes('PDH/PDL Daily Flip Strategy');
-        console.log('✅ PDH/PDL strategy in dropdown:', hasPDHPDLStrategy);
-        
-        console.log('\n4. Testing MGC instrument option...');
-        const hasMGC = uiContent.includes('MGC - Micro Gold Futures') && uiContent.includes('value="MGC"');
-        console.log('✅ MGC instrument available:', hasMGC);
-        
-        console.log('\n5. Testing strategy template parameters...');
-        const strategyTemplateStart = uiContent.indexOf('PDHPDLStrategy: {');
-        if (strategyTemplateStart === -1) {
-            throw new Error('PDHPDLStrategy template not found');
-        }
-        
-        // Find the end of the PDHPDLStrategy block (next strategy or end of templates)
-        const scalingStart = uiContent.indexOf('SCALPING: {', strategyTemplateStart);
-        const templateContent = uiContent.substring(strategyTemplateStart, scalingStart);
-        console.log('✅ Strategy template found');
-        
-        // Test for key parameters
-        const requiredParams = [
-            'volumeConfirmationMultiplier',
-            'breakoutBufferTicks', 
-            'enableBreakoutStrategy',
-            'enableFadeStrategy',
-            'requireVwapAlignment',
-            'minVolumeRatio',
-            'stopNewSignalsAt',
-            'maxSignalsPerDay',
-            'signalCooldownMs',
-            'candlePeriodMs'
-        ];
-        
-        console.log('\n6. Testing required parameters...');
-        requiredParams.forEach(param => {
-            const hasParam = templateContent.includes(param);
-            console.log(`✅ Parameter ${param}:`, hasParam);
-            if (!hasParam) {
-                throw new Error(`Missing required parameter: ${param}`);
-            }
-        });
-        
-        console.log('\n7. Testing checkbox parameter handling...');
-        const hasCheckboxHandling = uiContent.includes('param.type === \'checkbox\'') && 
-                                  uiContent.includes('input.checked = value') &&
-                                  uiContent.includes('config.strategy.parameters[param.id] = input.checked');
-        console.log('✅ Checkbox parameter handling:', hasCheckboxHandling);
-        
-        console.log('\n8. Testing time input handling...');
-        const hasTimeInputs = templateContent.includes('type: \'time\'');
-        console.log('✅ Time input parameters:', hasTimeInputs);
-        
-        console.log('\n9. Testing parameter validation...');
-        const hasValidation = templateContent.includes('min:') && 
-                             templateContent.includes('max:') && 
-                             templateContent.includes('step:');
-        console.log('✅ Parameter validation rules:', hasValidation);
-        
-        console.log('\n10. Testing UI structure consistency...');
-        const hasToggleCSS = uiContent.includes('.toggle-switch') && uiContent.includes('.toggle-slider');
-        const hasFormStructure = uiContent.includes('form-group') && uiContent.includes('param-grid');
-        console.log('✅ Toggle CSS classes:', hasToggleCSS);
-        console.log('✅ Form structure:', hasFormStructure);
-        
-        console.log('\n=== UI INTEGRATION TEST RESULTS ===');
-        console.log('✅ ALL TESTS PASSED - PDH/PDL UI Integration Successful!');
-        console.log('✅ Bot Dropdown: PDH/PDL bot available');
-        console.log('✅ Strategy Dropdown: PDHPDLStrategy available');  
-        console.log('✅ Instrument Option: MGC Micro Gold Futures available');
-        console.log('✅ Parameter Template: All 10 required parameters present');
-        console.log('✅ Input Types: Number, checkbox, time inputs supported');
-        console.log('✅ Parameter Handling: Load and save logic updated');
-        console.log('✅ UI Structure: CSS and form structure consistent');
-        
-        console.log('\n=== UI READY FOR PDH/PDL STRATEGY ===');
-        console.log('🎯 Configuration page will display all PDH/PDL parameters');
-        console.log('🎯 Users can select PDH/PDL strategy from dropdown');
-        console.log('🎯 Parameters will load/save correctly with checkboxes');  
-        console.log('🎯 MGC instrument available for gold futures trading');
-        
-    } catch (error) {
-        console.log('\n❌ UI INTEGRATION TEST FAILED');
-        console.log('❌ Error:', error.message);
-        console.log('❌ Stack:', error.stack);
-        process.exit(1);
-    }
-}
-
-testUIIntegration().then(() => {
-    console.log('\n=== FINAL VERIFICATION ===');
-    console.log('Test completed at:', new Date().toISOString());
-    console.log('Exit code: 0 (SUCCESS)');
-    process.exit(0);
-}).catch(error => {
-    console.log('❌ Test failed:', error.message);
-    process.exit(1);
-});
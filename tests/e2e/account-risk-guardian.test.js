@@ -0,0 +1,216 @@
+// tests/e2e/account-risk-guardian.test.js
+// The aggregator's account risk guardian against emulator accounts: live P&L
+// from the Connection Manager and quotes, orders blocked near the daily loss
+// limit, the account flattened and all bots paused before a breach, the
+// trailing drawdown threshold following open equity up to the starting balance,
+// reducing orders that may close a position but never reverse it, and orders
+// refused on stale account state the guardian cannot refresh
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const TradingAggregator = require('../../src/core/aggregator/TradingAggregator');
+const RedisAdapter = require('../../src/core/aggregator/adapters/RedisAdapter');
+const AggregatorClient = require('../../src/core/trading/AggregatorClient');
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+describe('Account risk guardian (offline)', () => {
+    let env;
+    let aggregator;
+    let guardian;
+    let client;
+    let contractId;
+    let orderMessages;
+    let pauses;
+    let stateFile;
+
+    async function placeMarketOrder(accountId, side) {
+        const orderId = `order-${uuidv4()}`;
+        await env.publish('order:management', {
+            type: 'PLACE_ORDER',
+            payload: { instanceId: 'BOT_1', orderId, orderType: 'MARKET', instrument: contractId, side, quantity: 1, accountId }
+        });
+
+        const response = await waitFor(() => orderMessages.find(message =>
+            message.type === 'ORDER_RESPONSE' && message.payload.orderId === orderId));
+        expect(response.payload.success).toBe(true);
+
+        const [position] = await waitFor(() => {
+            const positions = env.emulator.broker.getOpenPositions(accountId);
+            return positions.length > 0 && positions;
+        });
+        return position;
+    }
+
+    function status(accountId) {
+        return guardian.getStatus().accounts.find(account => account.accountId === String(accountId));
+    }
+
+    beforeAll(async () => {
+        env = await startOfflineEnvironment({ scenario: { name: 'account-guardian', market: { autoQuotes: false, spreadTicks: 1 } } });
+        contractId = env.emulator.getContracts().find(contract => contract.symbolId === 'F.US.MGC').id;
+        orderMessages = await env.collectMessages('order:management');
+        stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'account-guardian-')), 'state.json');
+
+        aggregator = new TradingAggregator({
+            redisConfig: { host: env.redisHost, port: env.redisPort },
+            riskConfig: { allowedTradingHours: null },
+            journalConfig: { enabled: false },
+            guardianConfig: {
+                enabled: true,
+                dailyLossLimit: 300,
+                blockBuffer: 150,
+                flattenBuffer: 50,
+                syncIntervalMs: 60000,
+                stateFile,
+                accounts: {
+                    '9001': { startingBalance: 50000 },
+                    '9002': { startingBalance: 150000, trailingDrawdown: 500, dailyLossLimit: null, trailMode: 'INTRADAY' }
+                }
+            },
+            enableLogging: false,
+            enableMonitoring: false
+        });
+        aggregator.redisAdapter = new RedisAdapter(aggregator.config.redisConfig);
+        await aggregator.redisAdapter.initialize();
+        await aggregator.initialize();
+        guardian = aggregator.accountGuardian;
+
+        // A bot listening for the Connection Manager's fleet-wide pause
+        client = new AggregatorClient({ botId: 'BOT_GUARDED', accountId: '9001', redisConfig: { url: env.redisUrl }, enableLogging: false });
+        await client.connect();
+        pauses = [];
+        client.on('tradingPaused', event => pauses.push(event));
+    });
+
+    afterAll(async () => {
+        await client.disconnect();
+        await aggregator.shutdown();
+        await env.stop();
+        fs.rmSync(path.dirname(stateFile), { recursive: true, force: true });
+    });
+
+    test('orders are blocked as open losses approach the daily loss limit, reducing orders are not', async () => {
+        expect(status(9001)).toMatchObject({ status: 'OK', balance: 50000, threshold: 48000, dailyPnL: 0 });
+
+        const position = await placeMarketOrder(9001, 'BUY');
+        await guardian.syncAccounts(['9001']);
+        expect(status(9001).positions).toBe(1);
+
+        // Every quote reprices the position: -$100 on one MGC leaves $200 to the limit
+        env.emulator.publishQuote(contractId, position.averagePrice - 10);
+        await waitFor(() => status(9001).unrealizedPnL <= -95);
+        expect(status(9001).status).toBe('OK');
+
+        // -$170 leaves less than the $150 block buffer
+        env.emulator.publishQuote(contractId, position.averagePrice - 17);
+        await waitFor(() => status(9001).status === 'BLOCKED');
+        expect(status(9001).limit).toBe('DAILY_LOSS');
+
+        const result = await aggregator.submitOrder({ source: 'BOT_1', instrument: contractId, action: 'BUY', quantity: 1, accountId: 9001 });
+        expect(result).toMatchObject({ success: false, reason: 'RISK_VIOLATION' });
+        expect(result.violations.map(violation => violation.type)).toContain('DAILY_LOSS_LIMIT');
+
+        const closing = await guardian.validateOrder({ instrument: contractId, action: 'SELL', quantity: 1, accountId: 9001 });
+        expect(closing).toEqual([]);
+    });
+
+    test('the account is flattened and every bot paused before the daily loss limit is breached', async () => {
+        const entry = env.emulator.broker.getOpenPositions(9001)[0].averagePrice;
+
+        // -$260: within the $50 flatten buffer of the $300 limit
+        env.emulator.publishQuote(contractId, entry - 26);
+
+        await waitFor(() => env.emulator.broker.getOpenPositions(9001).length === 0);
+        const [pause] = await waitFor(() => pauses.length > 0 && pauses);
+        expect(pause.reason).toMatch(/daily loss limit/);
+
+        // Realized P&L replaces the open loss once the account is flat
+        await waitFor(() => status(9001).positions === 0);
+        expect(status(9001)).toMatchObject({ status: 'LOCKED', unrealizedPnL: 0, lock: { reason: 'DAILY_LOSS' } });
+        expect(status(9001).realizedPnL).toBeLessThan(-250);
+        expect(status(9001).dailyPnL).toBeGreaterThan(-300);
+
+        const result = await aggregator.submitOrder({ source: 'BOT_1', instrument: contractId, action: 'BUY', quantity: 1, accountId: 9001 });
+        expect(result.violations.map(violation => violation.type)).toContain('ACCOUNT_LOCKED');
+
+        // The lock survives a restart
+        await waitFor(() => fs.existsSync(stateFile) &&
+            JSON.parse(fs.readFileSync(stateFile, 'utf8')).accounts['9001'].lock?.reason === 'DAILY_LOSS');
+    });
+
+    test('the trailing drawdown threshold follows open equity and stops at the starting balance', async () => {
+        const initial = status(9002);
+        expect(initial.threshold).toBe(149500);
+
+        const position = await placeMarketOrder(9002, 'BUY');
+        await guardian.syncAccounts(['9002']);
+
+        // +$200 open profit raises the high-water mark and the threshold with it
+        env.emulator.publishQuote(contractId, position.averagePrice + 20);
+        await waitFor(() => status(9002).unrealizedPnL >= 195);
+        const trailed = status(9002);
+        expect(trailed.highWaterMark).toBeCloseTo(trailed.equity, 6);
+        expect(trailed.threshold).toBeCloseTo(trailed.equity - 500, 6);
+
+        // Past the starting balance plus the drawdown the threshold locks at 150000
+        env.emulator.publishQuote(contractId, position.averagePrice + 60);
+        await waitFor(() => status(9002).unrealizedPnL >= 595);
+        expect(status(9002).threshold).toBe(150000);
+
+        // Giving back open profit does not lower it again
+        env.emulator.publishQuote(contractId, position.averagePrice + 40);
+        await waitFor(() => status(9002).unrealizedPnL <= 405);
+        expect(status(9002)).toMatchObject({ threshold: 150000, status: 'OK', limit: 'TRAILING_DRAWDOWN' });
+
+        env.emulator.publishQuote(contractId, position.averagePrice + 12);
+        await waitFor(() => status(9002).status === 'BLOCKED');
+        const result = await guardian.validateOrder({ instrument: contractId, action: 'BUY', quantity: 1, accountId: 9002 });
+        expect(result.map(violation => violation.type)).toEqual(['TRAILING_DRAWDOWN_LIMIT']);
+    });
+
+    test('reducing orders may together close a position, never reverse it', async () => {
+        expect(status(9002)).toMatchObject({ status: 'BLOCKED', positions: 1 });
+        const closing = { source: 'BOT_1', instrument: contractId, action: 'SELL', quantity: 1, accountId: 9002 };
+
+        // A take-profit working at the broker already covers the whole long
+        const lifecycle = aggregator.orderLifecycle;
+        lifecycle.create({ id: 'TP-9002', source: 'BOT_1', accountId: 9002, instrument: contractId, action: 'SELL', type: 'LIMIT', quantity: 1 });
+        ['RISK_CHECKED', 'QUEUED', 'SENT', 'WORKING'].forEach(state => lifecycle.transition('TP-9002', state));
+
+        // Another exit would turn the account short while it is blocked
+        const result = await aggregator.submitOrder(closing);
+        expect(result).toMatchObject({ success: false, reason: 'RISK_VIOLATION' });
+        expect(result.violations.map(violation => violation.type)).toEqual(['TRAILING_DRAWDOWN_LIMIT']);
+
+        // Once the take-profit is pulled the exit only closes the position again
+        lifecycle.transition('TP-9002', 'CANCELLED');
+        expect(await guardian.validateOrder(closing, { openOrders: lifecycle.getOpenOrders() })).toEqual([]);
+    });
+
+    test('orders on account state older than the stale limit are refused when it cannot be refreshed', async () => {
+        const account = guardian.getAccount('9002');
+        const order = { instrument: contractId, action: 'BUY', quantity: 1, accountId: 9002 };
+
+        // Three 60s sync intervals and a bit
+        account.lastSync = Date.now() - 181000;
+        const requestSpy = jest.spyOn(guardian, 'request').mockRejectedValueOnce(new Error('Connection Manager unavailable'));
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            expect(await guardian.validateOrder(order)).toEqual([{
+                type: 'ACCOUNT_STATE_UNKNOWN',
+                message: 'Account 9002 state is 181s old and could not be refreshed: Connection Manager unavailable',
+                severity: 'HIGH'
+            }]);
+            expect(errorSpy).toHaveBeenCalledWith('❌ [GUARDIAN] Account sync failed: Connection Manager unavailable');
+
+            // Refreshed, the order is checked against live state again
+            expect((await guardian.validateOrder(order)).map(violation => violation.type)).toEqual(['TRAILING_DRAWDOWN_LIMIT']);
+            expect(Date.now() - account.lastSync).toBeLessThan(5000);
+        } finally {
+            requestSpy.mockRestore();
+            errorSpy.mockRestore();
+        }
+    });
+});
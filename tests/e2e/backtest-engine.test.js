@@ -0,0 +1,126 @@
+// tests/e2e/backtest-engine.test.js
+// The backtest engine replaying generated MGC bars through the EMA strategy:
+// the bot and its strategy run on replay time while the process clock is left
+// alone, trades and the equity curve add up to the summary, and a run without
+// losing trades reports a capped profit factor that survives JSON.
+
+const BacktestEngine = require('../../src/core/backtest/BacktestEngine');
+const strategyClock = require('../../src/strategies/strategyClock');
+const EMAStrategy = require('../../src/strategies/ema/emaStrategy');
+const ORBRubberBandStrategy = require('../../src/strategies/orb-rubber-band/ORBRubberBandStrategy');
+const TestTimeStrategy = require('../../src/strategies/test/testTimeStrategy');
+const PDHPDLStrategy = require('../../src/strategies/PDHPDLStrategy-Comprehensive');
+
+const START = Date.parse('2026-03-02T14:00:00Z');
+
+// Oscillating one-minute bars with a slight upward drift
+function generateBars(count) {
+    const bars = [];
+    for (let i = 0; i < count; i++) {
+        const mid = 2650 + 8 * Math.sin(i / 15) + i * 0.02;
+        const open = mid - 0.3;
+        const close = mid + 0.3 * Math.cos(i);
+        bars.push({
+            timestamp: START + i * 60000,
+            open,
+            high: Math.max(open, close) + 0.6,
+            low: Math.min(open, close) - 0.6,
+            close,
+            volume: 100 + (i % 7) * 20
+        });
+    }
+    return bars;
+}
+
+function createEngine() {
+    return new BacktestEngine({
+        botConfig: {
+            botId: 'BACKTEST_TEST',
+            instrument: 'F.US.MGC',
+            strategy: { type: 'EMA_CROSS' },
+            journal: { enabled: false }
+        }
+    });
+}
+
+describe('Backtest engine', () => {
+    let logSpy;
+
+    beforeAll(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        logSpy.mockRestore();
+    });
+
+    test('the bot and its strategy see replay time while Date.now stays on the wall clock', async () => {
+        const engine = createEngine();
+        const closes = [];
+        engine.on('trade', trade => {
+            closes.push({ trade, botNow: engine.bot.now(), strategyNow: engine.bot.strategy.now(), wallNow: Date.now() });
+        });
+
+        const results = await engine.run({ type: 'bars', records: generateBars(400) });
+
+        expect(results.trades.length).toBeGreaterThan(0);
+        expect(closes).toHaveLength(results.trades.length);
+        closes.forEach(({ trade, botNow, strategyNow, wallNow }) => {
+            expect(botNow).toBe(Date.parse(trade.exitTime));
+            expect(strategyNow).toBe(botNow);
+            expect(Math.abs(wallNow - Date.now())).toBeLessThan(60000);
+        });
+
+        // Cooldowns are measured from the signal's replay time
+        const lastEntry = Date.parse(results.trades[results.trades.length - 1].entryTime);
+        expect(engine.bot.strategy.signalGenerator.lastSignalTime).toBeLessThanOrEqual(lastEntry);
+        expect(engine.bot.strategy.signalGenerator.lastSignalTime).toBeGreaterThan(START);
+    });
+
+    test('every strategy reads the one shared clock: the bot running it, or the wall clock standalone', () => {
+        [EMAStrategy, ORBRubberBandStrategy, TestTimeStrategy, PDHPDLStrategy].forEach(Strategy => expect(Strategy.prototype.now).toBe(strategyClock.now));
+
+        expect(strategyClock.now.call({ mainBot: { now: () => START } })).toBe(START);
+        expect(Math.abs(strategyClock.now.call({ mainBot: null }) - Date.now())).toBeLessThan(1000);
+    });
+
+    test('trades, equity curve and summary agree', async () => {
+        const engine = createEngine();
+        const { trades, equityCurve, errors, summary } = await engine.run({ type: 'bars', records: generateBars(400) });
+
+        const netPnL = trades.reduce((sum, trade) => sum + trade.netPnL, 0);
+        expect(errors).toEqual([]);
+        expect(summary).toMatchObject({
+            botId: 'BACKTEST_TEST',
+            dataType: 'bars',
+            dataPoints: 400,
+            startTime: new Date(START).toISOString(),
+            totalTrades: trades.length
+        });
+        expect(summary.netPnL).toBeCloseTo(netPnL, 6);
+        expect(summary.winningTrades + summary.losingTrades).toBe(trades.length);
+
+        // The last equity point is taken after any open position was closed at the end of data
+        const last = equityCurve[equityCurve.length - 1];
+        expect(last.unrealizedPnL).toBe(0);
+        expect(last.equity).toBeCloseTo(summary.finalEquity, 6);
+        expect(summary.maxDrawdown).toBe(Math.max(...equityCurve.map(point => point.drawdown)));
+    });
+
+    test('without losing trades the profit factor is capped and flagged', async () => {
+        const engine = createEngine();
+        await engine.run({ type: 'bars', records: generateBars(120) });
+
+        const dataset = { type: 'bars', records: generateBars(120) };
+        engine.bot.trades = [{ netPnL: 150, commission: 2.48 }, { netPnL: 90, commission: 2.48 }];
+        const winners = engine.buildResults(dataset).summary;
+        expect(winners).toMatchObject({ profitFactor: 999, profitFactorCapped: true, losingTrades: 0 });
+        expect(JSON.parse(JSON.stringify(winners)).profitFactor).toBe(999);
+
+        engine.bot.trades = [{ netPnL: 150, commission: 2.48 }, { netPnL: -50, commission: 2.48 }];
+        expect(engine.buildResults(dataset).summary).toMatchObject({ profitFactor: 3, profitFactorCapped: false });
+
+        engine.bot.trades = [];
+        expect(engine.buildResults(dataset).summary).toMatchObject({ profitFactor: 0, profitFactorCapped: false });
+    });
+});
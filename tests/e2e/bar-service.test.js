@@ -0,0 +1,205 @@
+// tests/e2e/bar-service.test.js
+// The Connection Manager's bar service against the trending-session script:
+// session-aligned time bars on market:bars, tick / volume / range bars a bot
+// subscribed to, and a strategy taking its candles from the service. Early
+// closes and holidays from config/calendars.yaml end the session's bars.
+
+const TradingBot = require('../../src/core/trading/TradingBot');
+const AggregatorClient = require('../../src/core/trading/AggregatorClient');
+const TradingSchedule = require('../../shared/modules/market-data/TradingSchedule');
+const SessionBarAggregator = require('../../shared/modules/market-data/SessionBarAggregator');
+const instrumentRegistry = require('../../shared/modules/contracts/InstrumentRegistry');
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('Bar service (offline)', () => {
+    let env;
+    let barService;
+    let contractId;
+    let messages;
+    let client;
+    let clientBars;
+    let closedBars;
+
+    // Completed bars of a timeframe followed by the one still in progress
+    function series(timeframe) {
+        const current = barService.getCurrentBars(contractId).filter(bar => bar.timeframe === timeframe);
+        return [...closedBars.filter(bar => bar.timeframe === timeframe), ...current];
+    }
+
+    beforeAll(async () => {
+        env = await startOfflineEnvironment({
+            scenario: 'trending-session',
+            emulator: { autoRunScript: false },
+            connectionManager: { bars: { updateIntervalMs: 200 } }
+        });
+        contractId = env.emulator.getContracts().find(contract => contract.symbolId === 'F.US.MGC').id;
+        barService = env.connectionManager.barService;
+        messages = await env.collectMessages('market:bars');
+
+        closedBars = [];
+        barService.on('bar', bar => bar.symbol === contractId && closedBars.push(bar));
+
+        // A bot asks for tick, volume and range bars on top of the default time bars
+        client = new AggregatorClient({
+            botId: 'BOT_BARS',
+            accountId: '9001',
+            redisConfig: { url: env.redisUrl },
+            enableLogging: false
+        });
+        await client.connect();
+        clientBars = [];
+        client.on('bar', bar => clientBars.push(bar));
+        await client.subscribeToBars(contractId, ['10t', '50v', '10r']);
+        await waitFor(() => barService.getTimeframes(contractId).includes('10r'));
+
+        await env.emulator.runScript();
+        await waitFor(() => barService.stats.tradesProcessed >= 30);
+    });
+
+    afterAll(async () => {
+        await client.disconnect();
+        await env.stop();
+    });
+
+    test('every trade lands once in time bars aligned to the exchange session', async () => {
+        const calendar = new TradingSchedule(instrumentRegistry.getTradingHours(contractId));
+
+        for (const timeframe of ['1m', '5m', '15m', '1h', '1d']) {
+            const bars = series(timeframe);
+            expect(bars.reduce((sum, bar) => sum + bar.volume, 0)).toBe(170);
+            expect(bars.reduce((sum, bar) => sum + bar.trades, 0)).toBe(30);
+
+            for (const bar of bars) {
+                const session = calendar.getSession(bar.timestamp);
+                expect(bar.tradeDate).toBe(session.tradeDate);
+                expect(bar.endTime).toBeLessThanOrEqual(session.close);
+
+                if (timeframe === '1d') {
+                    expect(bar.timestamp).toBe(session.open);
+                } else {
+                    const span = timeframe === '1h' ? HOUR : parseInt(timeframe, 10) * MINUTE;
+                    expect((bar.timestamp - session.open) % span).toBe(0);
+                }
+            }
+        }
+
+        // The bar in progress was published while the session ran
+        const updates = await waitFor(() => {
+            const found = messages.filter(message => message.type === 'BAR_UPDATE' && message.payload.timeframe === '1d');
+            return found.length > 0 && found;
+        });
+        expect(updates[0].payload).toMatchObject({ instrument: contractId, bar: { complete: false, timeframe: '1d' } });
+    });
+
+    test('tick, volume and range bars close on trade count, contracts and ticks of range', async () => {
+        const ofTimeframe = timeframe => clientBars.filter(bar => bar.timeframe === timeframe);
+        await waitFor(() => ofTimeframe('10r').length >= 6);
+
+        // 30 trades -> three 10-trade bars
+        expect(ofTimeframe('10t').map(bar => bar.trades)).toEqual([10, 10, 10]);
+
+        // Lots of 3, 4, 5, 6 ... then 8s: bars close at the first trade reaching 50 contracts
+        expect(ofTimeframe('50v').map(bar => bar.volume)).toEqual([54, 52, 56]);
+        expect(barService.getCurrentBars(contractId).find(bar => bar.timeframe === '50v').volume).toBe(8);
+
+        // +2 ticks per rally trade, -5 per reversal trade; each bar spans exactly 10 ticks
+        const tickSize = instrumentRegistry.getTickSize(contractId);
+        const rangeBars = ofTimeframe('10r');
+        expect(rangeBars.map(bar => bar.trades)).toEqual([6, 6, 6, 4, 3, 3]);
+        for (const bar of rangeBars) {
+            expect(Math.round((bar.high - bar.low) / tickSize)).toBe(10);
+            expect(bar.instrument).toBe(contractId);
+            expect(bar.complete).toBe(true);
+        }
+
+        // Aggressor volume is split by side
+        const [first] = ofTimeframe('10t');
+        expect(first).toMatchObject({ buyVolume: first.volume, sellVolume: 0 });
+    });
+
+    test('a strategy on barSource SERVICE takes its candles from the bar service', async () => {
+        const botConfig = {
+            botId: 'BOT_SERVICE_BARS',
+            instrument: contractId,
+            strategy: { type: 'TEST_TIME' },
+            journal: { enabled: false },
+            marketDataSource: 'LIVE',
+            barSource: 'SERVICE',
+            testMode: true
+        };
+        const bot = new TradingBot(botConfig);
+        await bot.initialize(botConfig);
+
+        bot.aggregatorClient = new AggregatorClient({
+            botId: 'BOT_SERVICE_BARS',
+            accountId: '9001',
+            redisConfig: { url: env.redisUrl },
+            enableLogging: false
+        });
+        await bot.aggregatorClient.connect();
+
+        try {
+            bot.subscribeToLiveMarketData();
+
+            // Subscribing publishes the 1m bar in progress
+            const inProgress = barService.getCurrentBars(contractId).find(bar => bar.timeframe === '1m');
+            await waitFor(() => bot.strategy.currentCandle?.timestamp === inProgress.timestamp);
+            expect(bot.strategy.externalBars).toBe(true);
+
+            // Once the minute has passed on the market clock the bar closes
+            const closedBefore = closedBars.length;
+            barService.closeElapsedBars(Date.now() + 2 * MINUTE);
+            const closed = closedBars.slice(closedBefore).find(bar => bar.timeframe === '1m');
+
+            const candle = await waitFor(() => bot.strategy.candles.find(entry => entry.timestamp === closed.timestamp));
+            expect(candle).toEqual({
+                timestamp: closed.timestamp,
+                open: closed.open,
+                high: closed.high,
+                low: closed.low,
+                close: closed.close,
+                volume: closed.volume
+            });
+        } finally {
+            await bot.stop();
+        }
+    });
+});
+
+describe('Session bars on the exchange calendar', () => {
+    const contractId = 'CON.F.US.MGC.Z26';
+
+    function trade(time, price) {
+        return { symbol: contractId, price, volume: 1, timestamp: Date.parse(time), side: 'BUY' };
+    }
+
+    test('an early close ends the session and its bars, and the evening reopen starts a new one', () => {
+        const aggregator = new SessionBarAggregator({ timeframes: ['1h', '1d'] });
+
+        // Day after Thanksgiving: CME_COMMODITY closes at 13:45 ET (18:45Z)
+        aggregator.processTrade(trade('2026-11-27T18:10:00Z', 2650));
+        aggregator.processTrade(trade('2026-11-27T18:44:00Z', 2651));
+        const { completed } = aggregator.processTrade(trade('2026-11-27T19:00:00Z', 2652));
+
+        const earlyClose = Date.parse('2026-11-27T18:45:00Z');
+        expect(completed.map(bar => [bar.timeframe, bar.endTime, bar.tradeDate, bar.trades])).toEqual([
+            ['1h', earlyClose, '2026-11-27', 2],
+            ['1d', earlyClose, '2026-11-27', 2]
+        ]);
+        expect(aggregator.getCurrentBar(contractId, '1d')).toMatchObject({ timestamp: earlyClose, trades: 1 });
+    });
+
+    test('a holiday has no session - trades that day fall between sessions', () => {
+        const schedule = new TradingSchedule(instrumentRegistry.getTradingHours(contractId));
+
+        expect(schedule.getSession(Date.parse('2026-12-25T15:00:00Z'))).toMatchObject({
+            inSession: false,
+            open: Date.parse('2026-12-24T18:45:00Z'),     // Christmas Eve early close
+            close: Date.parse('2026-12-27T23:00:00Z')     // Sunday 17:00 CT
+        });
+        expect(schedule.getSession(Date.parse('2026-12-28T15:00:00Z'))).toMatchObject({ inSession: true, tradeDate: '2026-12-28' });
+    });
+});
@@ -0,0 +1,96 @@
+// tests/e2e/bot-fleet.test.js
+// The bot fleet under a config/bots/ directory: bots created, cloned, archived,
+// restored and deleted by id, errors coded so the control panel answers 400,
+// 404 or 409 instead of 500, and a YAML file whose botId differs from its file
+// name refused instead of listed under a second id.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BotFleet = require('../../shared/modules/bots/BotFleet');
+
+const BOT = { instrument: 'F.US.MGC', strategy: { type: 'EMA_CROSS', parameters: { fastEMA: 9, slowEMA: 21 } } };
+
+describe('Bot fleet', () => {
+    let directory;
+    let fleet;
+    let logSpy;
+    let warnSpy;
+
+    async function rejection(promise) {
+        const error = await promise.then(() => null, caught => caught);
+        expect(error).toBeInstanceOf(Error);
+        return { code: error.code, message: error.message };
+    }
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-fleet-'));
+        fs.writeFileSync(path.join(directory, 'global.yaml'), 'system:\n  ports:\n    botRange: { start: 3100, end: 3102 }\n');
+        fleet = new BotFleet({ configDirectory: directory });
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        warnSpy.mockRestore();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('bots are created, cloned, archived, restored and deleted by id', async () => {
+        expect(await fleet.create(BOT)).toMatchObject({ botId: 'BOT_1', config: { port: 3100, enabled: false } });
+        const clone = await fleet.clone('BOT_1', { strategy: { parameters: { fastEMA: 12 } } });
+        expect(clone).toMatchObject({ botId: 'BOT_2', config: { port: 3101, description: 'BOT_1 (clone of BOT_1)' } });
+        expect(clone.config.strategy.parameters).toEqual({ fastEMA: 12, slowEMA: 21 });
+
+        await fleet.archive('BOT_1');
+        expect(Object.keys(await fleet.list())).toEqual(['BOT_2']);
+        // Archived bots keep their number but free their port
+        expect(await fleet.create(BOT)).toMatchObject({ botId: 'BOT_3', config: { port: 3100 } });
+
+        expect(await fleet.restore('BOT_1')).toMatchObject({ botId: 'BOT_1', config: { port: 3102 } });
+        await fleet.delete('BOT_2');
+        expect(Object.keys(await fleet.list())).toEqual(['BOT_1', 'BOT_3']);
+    });
+
+    test('errors carry a code for invalid requests, unknown bots and taken ids', async () => {
+        await fleet.create(BOT, { botId: 'ALPHA' });
+
+        expect(await rejection(fleet.create({ strategy: BOT.strategy })))
+            .toEqual({ code: 'INVALID', message: 'A new bot needs an instrument' });
+        expect(await rejection(fleet.create({ instrument: 'F.US.MGC' })))
+            .toEqual({ code: 'INVALID', message: 'A new bot needs a strategy type' });
+        expect((await rejection(fleet.create(BOT, { botId: '../ALPHA' }))).code).toBe('INVALID');
+        expect((await rejection(fleet.delete('../ALPHA'))).code).toBe('INVALID');
+
+        expect(await rejection(fleet.get('GHOST'))).toEqual({ code: 'NOT_FOUND', message: 'Bot GHOST not found' });
+        expect((await rejection(fleet.clone('GHOST'))).code).toBe('NOT_FOUND');
+        expect((await rejection(fleet.archive('GHOST'))).code).toBe('NOT_FOUND');
+        expect((await rejection(fleet.restore('GHOST'))).code).toBe('NOT_FOUND');
+        expect((await rejection(fleet.delete('GHOST'))).code).toBe('NOT_FOUND');
+
+        expect(await rejection(fleet.create(BOT, { botId: 'ALPHA' })))
+            .toEqual({ code: 'EXISTS', message: 'Bot ALPHA already exists' });
+        expect((await rejection(fleet.clone('ALPHA', {}, { botId: 'ALPHA' }))).code).toBe('EXISTS');
+    });
+
+    test('a bot file whose botId differs from its file name is refused', async () => {
+        await fleet.create(BOT);
+        await fleet.create(BOT);
+        // BOT_2.yaml hand-edited to claim BOT_1's id
+        const file = path.join(directory, 'bots', 'BOT_2.yaml');
+        fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('botId: BOT_2', 'botId: BOT_1'));
+        // A file without a botId takes its file name
+        fs.writeFileSync(path.join(directory, 'bots', 'BOT_4.yaml'), 'instrument: F.US.MES\nport: 3102\n');
+
+        const bots = await fleet.list();
+        expect(Object.keys(bots)).toEqual(['BOT_1', 'BOT_4']);
+        expect(bots.BOT_1.port).toBe(3100);
+        expect(warnSpy).toHaveBeenCalledWith('⚠️  Skipping BOT_2.yaml: botId BOT_1 does not match the file name');
+
+        // The refused file is not deleted through the id it claims
+        await fleet.delete('BOT_1');
+        expect(fs.existsSync(file)).toBe(true);
+        expect(Object.keys(await fleet.list())).toEqual(['BOT_4']);
+    });
+});
@@ -0,0 +1,267 @@
+// tests/e2e/contract-rollover.test.js
+// Contract rollover: roll dates from the instrument registry, one warning per
+// contract ahead of the roll, entries on the expiring month refused by the
+// aggregator's risk checks, and a roll carried from the Connection Manager to
+// the broker position and a running bot - a rolled position keeping its stop
+// and target on the next contract, or staying put when they cannot be placed.
+
+const ContractRolloverService = require('../../connection-manager/services/ContractRolloverService');
+const ContractMonths = require('../../shared/modules/contracts/ContractMonths');
+const RiskManager = require('../../src/core/aggregator/core/RiskManager');
+const TradingBot = require('../../src/core/trading/TradingBot');
+const instrumentRegistry = require('../../shared/modules/contracts/InstrumentRegistry');
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+const ACCOUNT_ID = 9001;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Micro E-mini S&P December 2026 rolls to March 2027
+const MES_Z26 = 'CON.F.US.MES.Z26';
+const MES_H27 = 'CON.F.US.MES.H27';
+
+describe('Contract rollover', () => {
+    let logSpy;
+
+    beforeAll(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        logSpy.mockRestore();
+    });
+
+    test('a tracked contract warns once inside the warning window and rolls on its roll date', async () => {
+        const service = new ContractRolloverService({ warningDays: 3, positionPolicy: 'flatten' });
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const warnings = [];
+        const rollovers = [];
+        service.on('rolloverWarning', info => warnings.push(info));
+        service.on('rollover', event => rollovers.push(event));
+
+        service.track(MES_Z26);
+        // Generic symbols have no month to roll
+        service.track('F.US.MES');
+        expect(service.trackedContracts.size).toBe(1);
+
+        const { rollDate } = instrumentRegistry.getRollInfo(MES_Z26, new Date('2026-10-01T00:00:00Z'));
+        const at = offsetMs => new Date(rollDate.getTime() + offsetMs);
+
+        expect((await service.check(at(-5 * DAY_MS)))[0]).toMatchObject({ contractId: MES_Z26, phase: 'ACTIVE' });
+        expect(warnings).toEqual([]);
+
+        await service.check(at(-2 * DAY_MS));
+        await service.check(at(-DAY_MS));
+        expect(warnings).toEqual([expect.objectContaining({
+            contractId: MES_Z26,
+            nextContractId: MES_H27,
+            phase: 'WARNING',
+            positionPolicy: 'flatten'
+        })]);
+        expect(rollovers).toEqual([]);
+        expect(service.isEntryBlocked(MES_Z26, at(-DAY_MS))).toBe(false);
+
+        await service.check(at(60 * 60 * 1000));
+        expect(rollovers).toEqual([expect.objectContaining({
+            symbol: 'MES',
+            contractId: MES_Z26,
+            nextContractId: MES_H27,
+            phase: 'ROLL',
+            positionPolicy: 'flatten'
+        })]);
+        expect(service.trackedContracts.get('MES')).toMatchObject({ contractId: MES_H27, rolledFrom: MES_Z26 });
+        expect(service.isEntryBlocked(MES_Z26, at(60 * 60 * 1000))).toBe(true);
+        expect(service.isEntryBlocked(MES_H27, at(60 * 60 * 1000))).toBe(false);
+
+        // The next month is months away from its own roll
+        await service.check(at(2 * DAY_MS));
+        expect(rollovers).toHaveLength(1);
+        expect(service.getStatus(at(2 * DAY_MS))).toMatchObject({
+            positionPolicy: 'flatten',
+            contracts: [expect.objectContaining({ contractId: MES_H27, phase: 'ACTIVE' })],
+            history: [expect.objectContaining({ contractId: MES_Z26 })]
+        });
+
+        warnSpy.mockRestore();
+    });
+
+    test('an unknown position policy is refused', () => {
+        expect(() => new ContractRolloverService({ positionPolicy: 'hedge' }))
+            .toThrow('Invalid rollover position policy: hedge');
+    });
+
+    test('the risk checks refuse entries on a contract past its roll date', async () => {
+        const risk = new RiskManager({ allowedTradingHours: null });
+        const { rollDate } = instrumentRegistry.getRollInfo(MES_Z26, new Date('2026-10-01T00:00:00Z'));
+        const after = new Date(rollDate.getTime() + DAY_MS).toISOString();
+        const before = new Date(rollDate.getTime() - DAY_MS).toISOString();
+        const order = instrument => ({ id: `roll-${instrument}`, accountId: '9001', instrument, action: 'BUY', quantity: 1, price: 6000 });
+        const rolled = result => result.violations.filter(violation => violation.type === 'CONTRACT_ROLLED');
+
+        expect(rolled(await risk.validateOrder(order(MES_Z26), { timestamp: before }))).toEqual([]);
+        expect(rolled(await risk.validateOrder(order(MES_Z26), { timestamp: after }))).toEqual([expect.objectContaining({
+            message: `${MES_Z26} passed its roll date ${rollDate.toISOString().slice(0, 10)} - trade ${MES_H27}`
+        })]);
+        expect(rolled(await risk.validateOrder(order(MES_H27), { timestamp: after }))).toEqual([]);
+    });
+
+    describe('through the Connection Manager', () => {
+        let env;
+        let gold;
+        let nextGold;
+        let rollDate;
+        let bot;
+
+        function brokerPosition(contractId) {
+            return env.emulator.broker.getOpenPositions(ACCOUNT_ID).find(position => position.contractId === contractId) || null;
+        }
+
+        beforeAll(async () => {
+            env = await startOfflineEnvironment({
+                connectionManager: { rollover: { positionPolicy: 'flatten' } }
+            });
+            gold = env.emulator.getContracts().find(contract => contract.symbolId === 'F.US.MGC').id;
+            ({ nextContractId: nextGold, rollDate } = instrumentRegistry.getRollInfo(gold));
+            env.connectionManager.contractRolloverService.track(gold);
+
+            const config = {
+                botId: 'BOT_ROLL',
+                accountId: String(ACCOUNT_ID),
+                instrument: gold,
+                strategy: { type: 'EMA_CROSS' },
+                marketDataSource: 'LIVE',
+                aggregator: { enabled: true, redisConfig: { url: env.redisUrl } },
+                journal: { enabled: false }
+            };
+            bot = new TradingBot(config);
+            await bot.initialize(config);
+            expect(bot.aggregatorClient?.connected).toBe(true);
+        });
+
+        afterAll(async () => {
+            await bot.stop();
+            await env.stop();
+        });
+
+        test('the broker position is flattened and a flat bot moves to the next month', async () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const rolled = [];
+            bot.on('contractRolled', event => rolled.push(event));
+
+            env.emulator.broker.placeOrder({ accountId: ACCOUNT_ID, contractId: gold, type: 2, side: 0, size: 1 });
+            await waitFor(() => brokerPosition(gold));
+
+            const rollover = env.connectionManager.contractRolloverService;
+            await rollover.check(new Date(rollDate.getTime() - DAY_MS));
+            expect(rolled).toEqual([]);
+            expect(bot.state.activeContract).toBe(gold);
+
+            await rollover.check(new Date(rollDate.getTime() + 60 * 60 * 1000));
+            await waitFor(() => rolled.length > 0);
+            expect(rolled).toEqual([{ botId: 'BOT_ROLL', from: gold, to: nextGold }]);
+            expect(bot.state.activeContract).toBe(nextGold);
+            expect(bot.runtimeConfig.instrument).toBe(nextGold);
+
+            await waitFor(() => !brokerPosition(gold));
+            expect(brokerPosition(nextGold)).toBeNull();
+            expect(env.connectionManager.contractCache.get('MGC')).toBe(nextGold);
+
+            warnSpy.mockRestore();
+        });
+    });
+
+    describe('rolling positions through the Connection Manager', () => {
+        // Both gold months listed and quoted, like TopStepX around the roll
+        const gold = ContractMonths.getActiveContractId('MGC');
+        const nextGold = ContractMonths.buildContractId('MGC', ContractMonths.getNextContractMonth('MGC', gold.split('.').pop()));
+        let env;
+        let systemEvents;
+        let errorSpy;
+        let warnSpy;
+
+        function brokerPosition(contractId) {
+            return env.emulator.broker.getOpenPositions(ACCOUNT_ID).find(position => position.contractId === contractId) || null;
+        }
+
+        async function openBracketedLong(size) {
+            env.emulator.broker.placeOrder({ accountId: ACCOUNT_ID, contractId: gold, type: 2, side: 0, size });
+            const position = await waitFor(() => brokerPosition(gold));
+            env.emulator.broker.editStopLoss({ positionId: position.id, stopLoss: position.averagePrice - 5, takeProfit: position.averagePrice + 10 });
+            return position;
+        }
+
+        function rollEvent() {
+            return { symbol: 'MGC', contractId: gold, nextContractId: nextGold, positionPolicy: 'roll' };
+        }
+
+        beforeAll(async () => {
+            errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            env = await startOfflineEnvironment({
+                scenario: {
+                    name: 'contract-roll',
+                    instruments: [
+                        { symbol: 'MGC', basePrice: 2650, dailyRangePct: 0.012 },
+                        { symbol: 'MGC', contractId: nextGold, basePrice: 2680, dailyRangePct: 0.012 }
+                    ],
+                    market: { autoQuotes: false, spreadTicks: 1 }
+                },
+                connectionManager: { rollover: { positionPolicy: 'roll' } }
+            });
+            systemEvents = await env.collectMessages('system:events');
+            env.emulator.publishQuote(gold, 2650);
+            env.emulator.publishQuote(nextGold, 2680);
+        });
+
+        afterAll(async () => {
+            await env.stop();
+            errorSpy.mockRestore();
+            warnSpy.mockRestore();
+        });
+
+        test('a rolled position keeps its stop and target distances on the next contract', async () => {
+            const old = await openBracketedLong(2);
+
+            const rollover = env.connectionManager.contractRolloverService;
+            rollover.track(gold);
+            const { rollDate } = instrumentRegistry.getRollInfo(gold);
+            await rollover.check(new Date(rollDate.getTime() + 60 * 60 * 1000));
+
+            await waitFor(() => !brokerPosition(gold));
+            const rolled = brokerPosition(nextGold);
+            expect(rolled).toMatchObject({ type: 1, size: 2 });
+            expect(rolled.averagePrice).toBeGreaterThan(2670);
+            expect(rolled.stopLoss).toBeCloseTo(rolled.averagePrice - 5, 6);
+            expect(rolled.takeProfit).toBeCloseTo(rolled.averagePrice + 10, 6);
+            expect(old.averagePrice).toBeLessThan(2660);
+
+            // The old bracket went with the old position
+            const working = env.emulator.broker.searchOpenOrders({ accountId: ACCOUNT_ID }).orders;
+            expect(working.map(order => order.contractId)).toEqual([nextGold, nextGold]);
+            expect(systemEvents.filter(message => message.type === 'CONTRACT_ROLLOVER_FAILED')).toEqual([]);
+        });
+
+        test('a position whose new bracket is refused stays on the old contract and the failure is published', async () => {
+            env.emulator.broker.closeContract({ accountId: ACCOUNT_ID, contractId: nextGold });
+            await waitFor(() => !brokerPosition(nextGold));
+            const old = await openBracketedLong(1);
+
+            const broker = env.emulator.broker;
+            const editStopLoss = broker.editStopLoss.bind(broker);
+            const refuse = jest.spyOn(broker, 'editStopLoss').mockImplementation(body => {
+                const position = [...broker.positions.values()].find(candidate => candidate.id === Number(body.positionId));
+                if (position?.contractId === nextGold) throw new Error('Stop price outside the allowed range');
+                return editStopLoss(body);
+            });
+
+            expect(await env.connectionManager.applyRolloverPositionPolicy(rollEvent())).toBe(1);
+            refuse.mockRestore();
+
+            // Never left without a stop: the new position is closed, the old keeps its bracket
+            await waitFor(() => !brokerPosition(nextGold));
+            expect(brokerPosition(gold)).toMatchObject({ size: 1, stopLoss: old.averagePrice - 5, takeProfit: old.averagePrice + 10 });
+            const failure = await waitFor(() => systemEvents.find(message => message.type === 'CONTRACT_ROLLOVER_FAILED'));
+            expect(failure.payload).toMatchObject({ contractId: gold, nextContractId: nextGold, accountId: ACCOUNT_ID, side: 'LONG', size: 1 });
+            expect(failure.payload.error).toMatch(/Stop price outside the allowed range.*closed$/);
+        });
+    });
+});
@@ -0,0 +1,274 @@
+// tests/e2e/entry-orders.test.js
+// Limit, stop and stop-limit entries routed bot -> aggregator -> Connection Manager
+// -> emulator: orders rest until the market reaches them, can be moved or pulled,
+// expire with their time in force, and only a fill opens a bot's position
+
+const http = require('http');
+const TradingAggregator = require('../../src/core/aggregator/TradingAggregator');
+const RedisAdapter = require('../../src/core/aggregator/adapters/RedisAdapter');
+const ConnectionManagerAdapter = require('../../src/core/aggregator/adapters/ConnectionManagerAdapter');
+const AggregatorClient = require('../../src/core/trading/AggregatorClient');
+const TradingBot = require('../../src/core/trading/TradingBot');
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+describe('Limit and stop entries (offline)', () => {
+    let env;
+    let healthServer;
+    let aggregator;
+    let client;
+    let bot;
+    let gold;
+    let nasdaq;
+    const updates = [];
+    const fills = [];
+    const cancels = [];
+    const rejections = [];
+
+    function brokerPosition(contractId) {
+        return env.emulator.broker.getOpenPositions(9001).find(entry => entry.contractId === contractId) || null;
+    }
+
+    function latestUpdate(orderId) {
+        return updates.filter(update => update.orderId === orderId).pop();
+    }
+
+    function sourceWorking(contractId, source) {
+        return aggregator.exposureManager.getExposure('9001', contractId)?.sources.find(entry => entry.source === source)?.working;
+    }
+
+    beforeAll(async () => {
+        env = await startOfflineEnvironment({ scenario: { name: 'entry-orders', market: { autoQuotes: false, spreadTicks: 1 } } });
+        const contracts = env.emulator.getContracts();
+        gold = contracts.find(contract => contract.symbolId === 'F.US.MGC').id;
+        nasdaq = contracts.find(contract => contract.symbolId === 'F.US.MNQ').id;
+        env.emulator.publishQuote(gold, 2650);
+        env.emulator.publishQuote(nasdaq, 21000);
+
+        // The Connection Manager service's /health endpoint, which the order adapter checks
+        healthServer = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: 'healthy' }));
+        });
+        await new Promise(resolve => healthServer.listen(0, '127.0.0.1', resolve));
+
+        aggregator = new TradingAggregator({
+            redisConfig: { host: env.redisHost, port: env.redisPort },
+            riskConfig: { allowedTradingHours: null },
+            journalConfig: { enabled: false },
+            enableLogging: false,
+            enableMonitoring: false
+        });
+        aggregator.redisAdapter = new RedisAdapter(aggregator.config.redisConfig);
+        await aggregator.redisAdapter.initialize();
+        await aggregator.initialize();
+
+        aggregator.connectionManagerAdapter = new ConnectionManagerAdapter({
+            connectionManagerUrl: `http://127.0.0.1:${healthServer.address().port}`,
+            enableWebSocket: false,
+            redis: { host: env.redisHost, port: env.redisPort }
+        });
+        expect(await aggregator.connectionManagerAdapter.connect()).toBe(true);
+
+        client = new AggregatorClient({ botId: 'BOT_ENTRY', accountId: '9001', redisConfig: { url: env.redisUrl }, enableLogging: false });
+        await client.connect();
+        client.on('orderUpdate', update => updates.push(update));
+        client.on('orderFilled', fill => fills.push(fill));
+        client.on('orderCancelled', event => cancels.push(event));
+        client.on('orderRejected', event => rejections.push(event));
+
+        const botConfig = {
+            botId: 'BOT_LIMIT',
+            instrument: nasdaq,
+            strategy: { type: 'TEST_TIME' },
+            journal: { enabled: false },
+            marketDataSource: 'LIVE',
+            testMode: true
+        };
+        bot = new TradingBot(botConfig);
+        await bot.initialize(botConfig);
+
+        // Signals come from the tests, not the strategy's clock
+        bot.strategy = null;
+
+        // Test mode skips the aggregator connection - attach one to the offline Redis
+        bot.aggregatorClient = new AggregatorClient({ botId: 'BOT_LIMIT', accountId: '9001', redisConfig: { url: env.redisUrl }, enableLogging: false });
+        await bot.aggregatorClient.connect();
+        bot.setupAggregatorEventHandlers();
+        bot.runtimeConfig.aggregatorEnabled = true;
+    });
+
+    afterAll(async () => {
+        await bot.stop();
+        await client.disconnect();
+        const orderClient = aggregator.connectionManagerAdapter.redisClient;
+        await aggregator.shutdown();
+        await orderClient.disconnect().catch(() => {});
+        await new Promise(resolve => healthServer.close(resolve));
+        await env.stop();
+    });
+
+    test('a limit entry rests until the market reaches it and gets its bracket on the fill', async () => {
+        const { orderId } = await client.submitOrder({
+            direction: 'LONG',
+            instrument: gold,
+            positionSize: 1,
+            orderType: 'LIMIT',
+            limitPrice: 2645,
+            entryPrice: 2645,
+            stopLoss: 2640,
+            takeProfit: 2655
+        });
+
+        const working = await waitFor(() => latestUpdate(orderId)?.status === 'WORKING' && latestUpdate(orderId));
+        expect(working).toMatchObject({ orderType: 'LIMIT', limitPrice: 2645, timeInForce: 'DAY', filledQuantity: 0 });
+        expect(new Date(working.expireAt).getTime()).toBeGreaterThan(Date.now());
+        expect(client.getWorkingOrders().map(order => order.orderId)).toEqual([orderId]);
+        expect(sourceWorking(gold, 'BOT_ENTRY')).toBe(1);
+        expect(brokerPosition(gold)).toBeNull();
+
+        env.emulator.publishQuote(gold, 2644);
+        const fill = await waitFor(() => fills.find(entry => entry.orderId === orderId));
+        expect(fill).toMatchObject({ side: 'BUY', quantity: 1 });
+        expect(fill.fillPrice).toBeLessThanOrEqual(2645);
+        expect(client.getWorkingOrders()).toEqual([]);
+
+        // SL/TP points from the signal, measured from the fill
+        const position = await waitFor(() => brokerPosition(gold)?.stopLoss && brokerPosition(gold));
+        expect(position.size).toBe(1);
+        expect(position.stopLoss).toBeCloseTo(fill.fillPrice - 5, 1);
+        expect(position.takeProfit).toBeCloseTo(fill.fillPrice + 10, 1);
+
+        await client.submitOrder({ direction: 'SHORT', instrument: gold, positionSize: 1 });
+        await waitFor(() => brokerPosition(gold) === null);
+    });
+
+    test('a stop entry can be moved and pulled, releasing its working exposure', async () => {
+        const { orderId } = await client.submitOrder({
+            direction: 'LONG',
+            instrument: gold,
+            positionSize: 1,
+            orderType: 'STOP',
+            stopPrice: 2660,
+            timeInForce: 'GTC'
+        });
+        await waitFor(() => latestUpdate(orderId)?.status === 'WORKING');
+        expect(latestUpdate(orderId)).toMatchObject({ stopPrice: 2660, timeInForce: 'GTC', expireAt: null });
+
+        await expect(client.replaceOrder(orderId, { limitPrice: 2661 })).rejects.toThrow(/has no limit price/);
+        await client.replaceOrder(orderId, { stopPrice: 2662 });
+        await waitFor(() => latestUpdate(orderId).stopPrice === 2662);
+        expect(env.emulator.broker.searchOpenOrders({ accountId: 9001 }).orders[0].stopPrice).toBe(2662);
+
+        await client.cancelOrder(orderId);
+        const cancelled = await waitFor(() => cancels.find(event => event.orderId === orderId));
+        expect(cancelled).toMatchObject({ status: 'CANCELLED', filledQuantity: 0 });
+        expect(client.getWorkingOrders()).toEqual([]);
+        await waitFor(() => sourceWorking(gold, 'BOT_ENTRY') === 0);
+        expect(env.emulator.broker.searchOpenOrders({ accountId: 9001 }).orders).toEqual([]);
+    });
+
+    test('GTD orders expire at expireAt and invalid time in force is refused', async () => {
+        await expect(client.submitOrder({ direction: 'SHORT', instrument: gold, positionSize: 1, orderType: 'LIMIT' }))
+            .rejects.toThrow(/requires a limitPrice/);
+
+        const { orderId } = await client.submitOrder({
+            direction: 'SHORT',
+            instrument: gold,
+            positionSize: 1,
+            orderType: 'LIMIT',
+            limitPrice: 2700,
+            timeInForce: 'GTD',
+            expireAt: new Date(Date.now() + 1500)
+        });
+        await waitFor(() => latestUpdate(orderId)?.status === 'WORKING');
+        const expired = await waitFor(() => cancels.find(event => event.orderId === orderId), 5000);
+        expect(expired.status).toBe('EXPIRED');
+        expect(env.emulator.broker.searchOpenOrders({ accountId: 9001 }).orders).toEqual([]);
+
+        // The Connection Manager refuses an expiry already in the past
+        const late = await client.submitOrder({
+            direction: 'SHORT',
+            instrument: gold,
+            positionSize: 1,
+            orderType: 'LIMIT',
+            limitPrice: 2700,
+            timeInForce: 'GTD',
+            expireAt: new Date(Date.now() - 1000)
+        });
+        const rejected = await waitFor(() => rejections.find(event => event.orderId === late.orderId));
+        expect(rejected.error).toMatch(/in the past/);
+        expect(cancels.find(event => event.orderId === late.orderId)).toBeUndefined();
+    });
+
+    test('a stop-limit entry triggers at the stop and fills only within its limit', async () => {
+        const { orderId } = await client.submitOrder({
+            direction: 'SHORT',
+            instrument: gold,
+            positionSize: 1,
+            orderType: 'STOP_LIMIT',
+            stopPrice: 2640,
+            limitPrice: 2639
+        });
+        await waitFor(() => latestUpdate(orderId)?.status === 'WORKING');
+
+        // Gaps through the limit - triggered, but no fill below 2639
+        env.emulator.publishQuote(gold, 2630);
+        await new Promise(resolve => setTimeout(resolve, 600));
+        expect(fills.find(entry => entry.orderId === orderId)).toBeUndefined();
+        expect(brokerPosition(gold)).toBeNull();
+
+        env.emulator.publishQuote(gold, 2639.5);
+        const fill = await waitFor(() => fills.find(entry => entry.orderId === orderId));
+        expect(fill.side).toBe('SELL');
+        expect(fill.fillPrice).toBeGreaterThanOrEqual(2639);
+        expect(brokerPosition(gold).size).toBe(1);
+
+        await client.submitOrder({ direction: 'LONG', instrument: gold, positionSize: 1 });
+        await waitFor(() => brokerPosition(gold) === null);
+    });
+
+    test('a bot\'s limit entry opens no position until filled and is pulled when its setup breaks', async () => {
+        const signal = {
+            direction: 'LONG',
+            instrument: nasdaq,
+            positionSize: 1,
+            orderType: 'LIMIT',
+            limitPrice: 20990,
+            entryPrice: 20990,
+            stopLoss: 20970,
+            takeProfit: 21030,
+            invalidationPrice: 20975,
+            strategyName: 'TEST'
+        };
+
+        await bot.handleSignal(signal, {});
+        const first = await waitFor(() => bot.state.workingEntry?.status === 'WORKING' && bot.state.workingEntry);
+        expect(bot.state.currentPosition).toBeNull();
+
+        // One entry at a time
+        const failed = bot.state.signalsFailed;
+        await bot.handleSignal({ ...signal, limitPrice: 20995 }, {});
+        expect(bot.state.signalsFailed).toBe(failed + 1);
+        expect(bot.aggregatorClient.getWorkingOrders()).toHaveLength(1);
+
+        // Price breaks the level the order was resting for
+        await bot.processMarketData(20974, 1, new Date());
+        await waitFor(() => bot.state.workingEntry === null);
+        expect(bot.pendingEntrySignal).toBeNull();
+        expect(bot.state.currentPosition).toBeNull();
+        expect(brokerPosition(nasdaq)).toBeNull();
+
+        // A fresh entry that the market does reach
+        await bot.handleSignal(signal, {});
+        const second = await waitFor(() => bot.state.workingEntry?.status === 'WORKING' && bot.state.workingEntry);
+        expect(second.orderId).not.toBe(first.orderId);
+
+        env.emulator.publishQuote(nasdaq, 20988);
+        const position = await waitFor(() => bot.state.currentPosition);
+        expect(position.orderId).toBe(second.orderId);
+        expect(position.entryPrice).toBeLessThanOrEqual(20990);
+        expect(position.stopLoss).toBeCloseTo(position.entryPrice - 20, 2);
+        expect(bot.state.workingEntry).toBeNull();
+        expect(brokerPosition(nasdaq).size).toBe(1);
+    });
+});
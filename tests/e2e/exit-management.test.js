@@ -0,0 +1,220 @@
+// tests/e2e/exit-management.test.js
+// The exits section of a bot's YAML on a running TradingBot: partial exits at
+// R-multiple targets, the stop moved to entry at breakevenTrigger and a trailing
+// stop, first on a simulated position and then live, where each action travels
+// bot -> aggregator -> Connection Manager -> paper broker.
+
+const http = require('http');
+const TradingBot = require('../../src/core/trading/TradingBot');
+const TradingAggregator = require('../../src/core/aggregator/TradingAggregator');
+const RedisAdapter = require('../../src/core/aggregator/adapters/RedisAdapter');
+const ConnectionManagerAdapter = require('../../src/core/aggregator/adapters/ConnectionManagerAdapter');
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+// 4 lots long from 2650 with a 5 point (1R) stop
+const EXITS = {
+    moveToBreakeven: true,
+    breakevenTrigger: 1,
+    partialExits: [{ percentage: 50, target: 1.5 }],
+    trailingStop: { enabled: true, trigger: 2, distance: 20, adjustTP: false }
+};
+
+function botConfig(overrides = {}) {
+    return {
+        botId: 'BOT_EXITS',
+        accountId: '9001',
+        instrument: 'F.US.MGC',
+        strategy: { type: 'EMA_CROSS' },
+        exits: EXITS,
+        journal: { enabled: false },
+        testMode: true,
+        ...overrides
+    };
+}
+
+describe('Exit management', () => {
+    let logSpy;
+
+    beforeAll(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        logSpy.mockRestore();
+    });
+
+    test('a simulated position scales out, moves to breakeven and trails its stop', async () => {
+        const config = botConfig({ marketDataSource: 'BACKTEST' });
+        const bot = new TradingBot(config);
+        await bot.initialize(config);
+        const actions = [];
+        bot.on('exitAction', ({ action }) => actions.push(action));
+
+        const position = {
+            id: 'pos_exits',
+            direction: 'LONG',
+            entryPrice: 2650,
+            stopLoss: 2645,
+            takeProfit: 2670,
+            positionSize: 4,
+            openTime: new Date(),
+            status: 'OPEN'
+        };
+        bot.state.currentPosition = position;
+        bot.startExitManagement(position);
+
+        async function tick(price) {
+            bot.state.lastPrice = price;
+            await bot.manageOpenPosition(price);
+        }
+
+        // Not yet 1R
+        await tick(2654);
+        expect(actions).toEqual([]);
+
+        // 1R: stop to entry
+        await tick(2655);
+        expect(position.stopLoss).toBe(2650);
+
+        // 1.5R: half the entry size is closed at market
+        await tick(2657.5);
+        expect(position.positionSize).toBe(2);
+        expect(bot.state.totalPnL).toBeCloseTo(2 * 7.5 * 10, 6);
+
+        // 2R starts the trail 20 ticks behind the best price, which only ever tightens
+        await tick(2660);
+        expect(position.stopLoss).toBe(2658);
+        await tick(2662.3);
+        expect(position.stopLoss).toBe(2660.3);
+        await tick(2661);
+        expect(position.stopLoss).toBe(2660.3);
+        expect(position.takeProfit).toBe(2670);
+
+        expect(actions.map(action => action.reasons || action.type)).toEqual([
+            ['BREAKEVEN'], 'PARTIAL_EXIT', ['TRAILING_STOP'], ['TRAILING_STOP']
+        ]);
+        expect(bot.getStatus().exitManagement).toMatchObject({
+            remainingQuantity: 2,
+            partialsCompleted: 1,
+            breakevenDone: true,
+            trailingActive: true
+        });
+
+        await bot.stop();
+    });
+
+    describe('live through the aggregator and a paper broker', () => {
+        let env;
+        let healthServer;
+        let aggregator;
+        let gold;
+        let bot;
+
+        function paperPosition() {
+            return env.connectionManager.paperBroker.getOpenPositions(9001).find(entry => entry.contractId === gold) || null;
+        }
+
+        // Quotes reach the paper broker and the bot, which manages its exits on each tick
+        async function marketAt(price) {
+            env.emulator.publishQuote(gold, price);
+            await waitFor(() => bot.state.lastPrice === price);
+        }
+
+        function workingBracket() {
+            const orders = env.connectionManager.paperBroker.searchOpenOrders({ accountId: 9001 }).orders;
+            return {
+                stop: orders.find(order => order.type === 4) || null,
+                target: orders.find(order => order.type === 1) || null
+            };
+        }
+
+        beforeAll(async () => {
+            env = await startOfflineEnvironment({
+                scenario: { name: 'exit-management', market: { autoQuotes: false, spreadTicks: 2 } },
+                connectionManager: { paperTrading: { enabled: true, latencyMs: 0, slippageTicks: 0 } }
+            });
+            gold = env.emulator.getContracts().find(contract => contract.symbolId === 'F.US.MGC').id;
+            env.emulator.publishQuote(gold, 2650);
+            await waitFor(() => env.connectionManager.paperBroker.quotes.has(gold));
+
+            healthServer = http.createServer((req, res) => {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ status: 'healthy' }));
+            });
+            await new Promise(resolve => healthServer.listen(0, '127.0.0.1', resolve));
+
+            aggregator = new TradingAggregator({
+                redisConfig: { host: env.redisHost, port: env.redisPort },
+                riskConfig: { allowedTradingHours: null },
+                journalConfig: { enabled: false },
+                enableLogging: false,
+                enableMonitoring: false
+            });
+            aggregator.redisAdapter = new RedisAdapter(aggregator.config.redisConfig);
+            await aggregator.redisAdapter.initialize();
+            await aggregator.initialize();
+
+            aggregator.connectionManagerAdapter = new ConnectionManagerAdapter({
+                connectionManagerUrl: `http://127.0.0.1:${healthServer.address().port}`,
+                enableWebSocket: false,
+                redis: { host: env.redisHost, port: env.redisPort }
+            });
+            expect(await aggregator.connectionManagerAdapter.connect()).toBe(true);
+
+            const config = botConfig({
+                instrument: gold,
+                testMode: false,
+                marketDataSource: 'LIVE',
+                aggregator: { enabled: true, redisConfig: { url: env.redisUrl } }
+            });
+            bot = new TradingBot(config);
+            await bot.initialize(config);
+            await bot.start();
+            expect(bot.aggregatorClient?.connected).toBe(true);
+        });
+
+        afterAll(async () => {
+            await bot.stop();
+            const orderClient = aggregator.connectionManagerAdapter.redisClient;
+            await aggregator.shutdown();
+            await orderClient.disconnect().catch(() => {});
+            await new Promise(resolve => healthServer.close(resolve));
+            await env.stop();
+        });
+
+        test('partial exits and stop moves reach the broker position and its bracket', async () => {
+            // Two-tick spread, so the bot's price (the mid) is the quoted price
+            const signal = {
+                direction: 'LONG',
+                instrument: gold,
+                positionSize: 4,
+                entryPrice: 2650,
+                stopLoss: 2645,
+                takeProfit: 2670
+            };
+            await bot.sendSignalToAggregator(signal, bot.convertSignalToOrder(signal));
+
+            // Bought at the ask, 2650.1, with the bracket at the signal's distances
+            await waitFor(() => bot.state.currentPosition?.brokerPositionId && workingBracket().stop);
+            expect(paperPosition()).toMatchObject({ size: 4, averagePrice: 2650.1 });
+            expect(workingBracket().stop.stopPrice).toBe(2645.1);
+            expect(workingBracket().target.limitPrice).toBe(2670.1);
+
+            // 1R moves the broker's stop to entry; the take profit stays
+            await marketAt(2656);
+            await waitFor(() => workingBracket().stop?.stopPrice === 2650.1);
+            expect(workingBracket().target.limitPrice).toBe(2670.1);
+
+            // 1.5R closes half the position at the broker, and the bracket follows the new size
+            await marketAt(2658);
+            await waitFor(() => paperPosition()?.size === 2);
+            expect(bot.state.currentPosition.positionSize).toBe(2);
+
+            // 2R trails the stop 20 ticks behind the best price
+            await marketAt(2661);
+            await waitFor(() => workingBracket().stop?.stopPrice === 2659);
+            expect(workingBracket().stop.size).toBe(2);
+            expect(bot.exitManager.getStatus()).toMatchObject({ stopLoss: 2659, breakevenDone: true, trailingActive: true });
+        });
+    });
+});
@@ -0,0 +1,177 @@
+// tests/e2e/exposure-netting.test.js
+// Two bots on one emulator account, orders routed through the aggregator: an
+// opposing order refused under REJECT_OPPOSING, netting capped under CAP, and
+// every fill - including a broker-side stop - attributed to the bot it belongs to
+
+const http = require('http');
+const TradingAggregator = require('../../src/core/aggregator/TradingAggregator');
+const RedisAdapter = require('../../src/core/aggregator/adapters/RedisAdapter');
+const ConnectionManagerAdapter = require('../../src/core/aggregator/adapters/ConnectionManagerAdapter');
+const AggregatorClient = require('../../src/core/trading/AggregatorClient');
+const PaperBroker = require('../../connection-manager/services/PaperBroker');
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+describe('Cross-bot exposure (offline)', () => {
+    let env;
+    let healthServer;
+    let aggregator;
+    let gold;
+    let nasdaq;
+    const bots = {};
+
+    function exposure(contractId) {
+        return aggregator.exposureManager.getExposure('9001', contractId);
+    }
+
+    function sourcePosition(contractId, source) {
+        return exposure(contractId)?.sources.find(entry => entry.source === source);
+    }
+
+    function brokerPosition(contractId) {
+        const position = env.emulator.broker.getOpenPositions(9001).find(entry => entry.contractId === contractId);
+        return position ? position.size * (position.type === 1 ? 1 : -1) : 0;
+    }
+
+    async function startBot(botId) {
+        const client = new AggregatorClient({ botId, accountId: '9001', redisConfig: { url: env.redisUrl }, enableLogging: false });
+        await client.connect();
+
+        const bot = { client, rejections: [], updates: [] };
+        client.on('orderRejected', event => bot.rejections.push(event));
+        client.on('exposureUpdate', update => bot.updates.push(update));
+        bots[botId] = bot;
+    }
+
+    beforeAll(async () => {
+        env = await startOfflineEnvironment({ scenario: { name: 'exposure', market: { autoQuotes: false, spreadTicks: 1 } } });
+        const contracts = env.emulator.getContracts();
+        gold = contracts.find(contract => contract.symbolId === 'F.US.MGC').id;
+        nasdaq = contracts.find(contract => contract.symbolId === 'F.US.MNQ').id;
+        env.emulator.publishQuote(gold, 2650);
+        env.emulator.publishQuote(nasdaq, 21000);
+
+        // The Connection Manager service's /health endpoint, which the order adapter checks
+        healthServer = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: 'healthy' }));
+        });
+        await new Promise(resolve => healthServer.listen(0, '127.0.0.1', resolve));
+
+        aggregator = new TradingAggregator({
+            redisConfig: { host: env.redisHost, port: env.redisPort },
+            riskConfig: { allowedTradingHours: null },
+            journalConfig: { enabled: false },
+            exposureConfig: {
+                policy: 'REJECT_OPPOSING',
+                instruments: { MNQ: { policy: 'CAP', maxContracts: 2 } },
+                unmatchedFillGraceMs: 300
+            },
+            enableLogging: false,
+            enableMonitoring: false
+        });
+        aggregator.redisAdapter = new RedisAdapter(aggregator.config.redisConfig);
+        await aggregator.redisAdapter.initialize();
+        await aggregator.initialize();
+
+        aggregator.connectionManagerAdapter = new ConnectionManagerAdapter({
+            connectionManagerUrl: `http://127.0.0.1:${healthServer.address().port}`,
+            enableWebSocket: false,
+            redis: { host: env.redisHost, port: env.redisPort }
+        });
+        expect(await aggregator.connectionManagerAdapter.connect()).toBe(true);
+
+        await startBot('BOT_A');
+        await startBot('BOT_B');
+    });
+
+    afterAll(async () => {
+        for (const { client } of Object.values(bots)) {
+            await client.disconnect();
+        }
+        const orderClient = aggregator.connectionManagerAdapter.redisClient;
+        await aggregator.shutdown();
+        await orderClient.disconnect().catch(() => {});
+        await new Promise(resolve => healthServer.close(resolve));
+        await env.stop();
+    });
+
+    test('a bot cannot open against another bot\'s position under REJECT_OPPOSING', async () => {
+        await bots.BOT_A.client.submitOrder({ direction: 'LONG', instrument: gold, positionSize: 1 });
+        await waitFor(() => sourcePosition(gold, 'BOT_A')?.position === 1);
+        expect(brokerPosition(gold)).toBe(1);
+
+        await bots.BOT_B.client.submitOrder({ direction: 'SHORT', instrument: gold, positionSize: 1 });
+        const [rejection] = await waitFor(() => bots.BOT_B.rejections.length > 0 && bots.BOT_B.rejections);
+        expect(rejection.reason).toBe('RISK_VIOLATION');
+        expect(rejection.violations.map(violation => violation.type)).toEqual(['OPPOSING_EXPOSURE']);
+        expect(rejection.violations[0].message).toMatch(/oppose BOT_A's long 1/);
+
+        // Joining on the same side is fine
+        await bots.BOT_B.client.submitOrder({ direction: 'LONG', instrument: gold, positionSize: 1 });
+        await waitFor(() => sourcePosition(gold, 'BOT_B')?.position === 1);
+        expect(brokerPosition(gold)).toBe(2);
+        expect(exposure(gold).netPosition).toBe(2);
+    });
+
+    test('each bot\'s P&L comes from its own fills on the shared position', async () => {
+        const entryA = sourcePosition(gold, 'BOT_A').averagePrice;
+
+        // BOT_A takes profit on its own contract; BOT_B stays in
+        env.emulator.publishQuote(gold, entryA + 5.05);
+        await bots.BOT_A.client.submitOrder({ direction: 'SHORT', instrument: gold, positionSize: 1 });
+        await waitFor(() => sourcePosition(gold, 'BOT_A').position === 0);
+
+        const a = sourcePosition(gold, 'BOT_A');
+        const b = sourcePosition(gold, 'BOT_B');
+        expect(a.realizedPnL).toBeCloseTo(50, 0);
+        expect(b).toMatchObject({ position: 1, realizedPnL: 0 });
+        expect(brokerPosition(gold)).toBe(1);
+
+        // Every bot hears about its own slice
+        const update = await waitFor(() => bots.BOT_A.updates.find(entry =>
+            entry.instrument === 'MGC' && entry.position === 0 && entry.realizedPnL !== 0));
+        expect(update).toMatchObject({ accountId: '9001', netPosition: 1 });
+        expect(update.realizedPnL).toBeCloseTo(50, 0);
+        const latestB = bots.BOT_B.updates.filter(entry => entry.instrument === 'MGC').pop();
+        expect(latestB).toMatchObject({ position: 1, realizedPnL: 0, netPosition: 1 });
+    });
+
+    test('CAP nets opposing bots and caps the account\'s net contracts', async () => {
+        await bots.BOT_A.client.submitOrder({ direction: 'LONG', instrument: nasdaq, positionSize: 2 });
+        await waitFor(() => sourcePosition(nasdaq, 'BOT_A')?.position === 2);
+
+        // The opposing order goes through and the broker holds the net
+        await bots.BOT_B.client.submitOrder({ direction: 'SHORT', instrument: nasdaq, positionSize: 1 });
+        await waitFor(() => sourcePosition(nasdaq, 'BOT_B')?.position === -1);
+        expect(brokerPosition(nasdaq)).toBe(1);
+        expect(exposure(nasdaq)).toMatchObject({ policy: 'CAP', netPosition: 1 });
+
+        // 1 + 2 would exceed the cap of 2
+        const rejectionsBefore = bots.BOT_A.rejections.length;
+        await bots.BOT_A.client.submitOrder({ direction: 'LONG', instrument: nasdaq, positionSize: 2 });
+        const rejection = await waitFor(() => bots.BOT_A.rejections[rejectionsBefore]);
+        expect(rejection.violations.map(violation => violation.type)).toEqual(['EXPOSURE_CAP']);
+        expect(brokerPosition(nasdaq)).toBe(1);
+    });
+
+    test('a broker-side stop is attributed to the bot whose position it closes', async () => {
+        // BOT_A is the only long on MNQ - a protective stop at the broker fills
+        const entryA = sourcePosition(nasdaq, 'BOT_A').averagePrice;
+        env.emulator.broker.placeOrder({
+            accountId: 9001,
+            contractId: nasdaq,
+            type: PaperBroker.ORDER_TYPE.STOP,
+            side: PaperBroker.ORDER_SIDE.SELL,
+            size: 1,
+            stopPrice: entryA - 10
+        });
+        env.emulator.publishQuote(nasdaq, entryA - 12);
+
+        await waitFor(() => sourcePosition(nasdaq, 'BOT_A').position === 1);
+        expect(sourcePosition(nasdaq, 'BOT_A').realizedPnL).toBeLessThan(0);
+        expect(sourcePosition(nasdaq, 'BOT_B').position).toBe(-1);
+        expect(exposure(nasdaq).sources.map(entry => entry.source)).not.toContain('UNATTRIBUTED');
+        expect(brokerPosition(nasdaq)).toBe(0);
+        expect(aggregator.getMetrics().exposure.stats.externalFills).toBe(1);
+    });
+});
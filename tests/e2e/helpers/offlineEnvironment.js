@@ -0,0 +1,135 @@
+// tests/e2e/helpers/offlineEnvironment.js
+// Starts the whole TopStepX side of the system on localhost - the in-memory
+// Redis stand-in, the TopStepX emulator and a Connection Manager pointed at
+// both - so end-to-end tests run without network access or a Redis server.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const redis = require('redis');
+const RedisServer = require('../../../fake-api/RedisServer');
+const TopStepXEmulator = require('../../../fake-api/TopStepXEmulator');
+const ConnectionManager = require('../../../connection-manager/core/ConnectionManager');
+const instrumentRegistry = require('../../../shared/modules/contracts/InstrumentRegistry');
+
+// Credentials pass the CredentialManager format checks; the emulator accepts any
+const TEST_USERNAME = 'offline-tester';
+const TEST_API_KEY = 'offline-api-key-0000000000000000';
+
+/**
+ * @param {Object} options - { scenario, emulator: extra emulator config,
+ *   connectionManager: extra CM config, startConnectionManager }
+ */
+async function startOfflineEnvironment(options = {}) {
+    // The _REAL variables win in CredentialManager, so real credentials never leak in
+    process.env.TOPSTEP_USERNAME_REAL = TEST_USERNAME;
+    process.env.TOPSTEP_API_KEY_REAL = TEST_API_KEY;
+
+    const redisServer = new RedisServer();
+    const redisUrl = await redisServer.start();
+
+    // Bars and quotes around the clock so results do not depend on when the tests run
+    const scenario = TopStepXEmulator.loadScenario(options.scenario || 'default');
+    const emulator = new TopStepXEmulator({
+        port: 0,
+        scenario: { ...scenario, market: { ...scenario.market, alwaysOpen: true } },
+        ...options.emulator
+    });
+    await emulator.start();
+
+    // Each run starts with an empty historical bar store
+    const historicalBarDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'historical-bars-'));
+
+    // The emulator's contracts are cached here, never in data/contracts/ where live bots read them
+    const contractsCacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'topstep-contracts-'));
+    instrumentRegistry.configure({ contractsCachePath: path.join(contractsCacheDirectory, 'topstep-contracts.json') });
+
+    const environment = {
+        redisServer,
+        redisUrl,
+        redisHost: redisServer.config.host,
+        redisPort: redisServer.port,
+        emulator,
+        historicalBarDirectory,
+        contractsCacheDirectory,
+        connectionManager: null,
+        clients: [],
+
+        /**
+         * Connected node-redis client, closed again by stop()
+         */
+        async createRedisClient() {
+            const client = redis.createClient({ url: redisUrl });
+            client.on('error', () => {});
+            await client.connect();
+            environment.clients.push(client);
+            return client;
+        },
+
+        /**
+         * Subscribe to a channel; the returned array fills with every parsed
+         * message published after this resolves
+         */
+        async collectMessages(channel) {
+            const subscriber = await environment.createRedisClient();
+            const messages = [];
+            await subscriber.subscribe(channel, message => messages.push(JSON.parse(message)));
+            return messages;
+        },
+
+        async publish(channel, message) {
+            if (!environment.publisher) {
+                environment.publisher = await environment.createRedisClient();
+            }
+            return environment.publisher.publish(channel, JSON.stringify(message));
+        },
+
+        async stop() {
+            if (environment.connectionManager) {
+                await environment.connectionManager.shutdown().catch(() => {});
+            }
+            for (const client of environment.clients) {
+                await client.disconnect().catch(() => {});
+            }
+            await emulator.stop();
+            await redisServer.stop();
+            fs.rmSync(historicalBarDirectory, { recursive: true, force: true });
+            fs.rmSync(contractsCacheDirectory, { recursive: true, force: true });
+        }
+    };
+
+    if (options.startConnectionManager !== false) {
+        environment.connectionManager = new ConnectionManager({
+            urls: emulator.getUrls(),
+            redisConfig: { url: redisUrl },
+            marketDataSettleMs: 100,
+            marketDataVerificationMs: 300,
+            reconciliationIntervalMs: 60000,
+            historicalBars: { directory: historicalBarDirectory },
+            ...options.connectionManager
+        });
+        await environment.connectionManager.initialize();
+    }
+
+    return environment;
+}
+
+/**
+ * Resolve once the predicate holds, polling every 50ms
+ */
+async function waitFor(predicate, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const value = await predicate();
+        if (value) return value;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Condition not met within ${timeoutMs}ms`);
+}
+
+module.exports = {
+    startOfflineEnvironment,
+    waitFor,
+    TEST_USERNAME,
+    TEST_API_KEY
+};
@@ -0,0 +1,126 @@
+// tests/e2e/historical-bar-store.test.js
+// HistoricalDataService's durable bar store against the TopStepX emulator:
+// repeated and overlapping requests, a restarted service, and the backfill /
+// verify maintenance operations
+
+const fs = require('fs');
+const path = require('path');
+const HistoricalDataService = require('../../connection-manager/services/HistoricalDataService');
+const HistoricalBarStore = require('../../shared/modules/market-data/HistoricalBarStore');
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+const MINUTE = 60 * 1000;
+const FIVE_MINUTES = 5 * MINUTE;
+const TIMEFRAME = HistoricalBarStore.getTimeframe(2, 5);
+
+describe('Historical bar store (offline)', () => {
+    let env;
+    let service;
+    let fetchSpy;
+    let responses;
+    let contractId;
+    let end;
+
+    // Ranges end in the past, so the tests do not depend on bar boundaries passing
+    function barRequest(fromMinutesBack, toMinutesBack) {
+        return {
+            instrument: contractId,
+            contractId,
+            startTime: new Date(end - fromMinutesBack * MINUTE).toISOString(),
+            endTime: new Date(end - toMinutesBack * MINUTE - 1).toISOString(),
+            unit: 2,                 // Minute
+            unitNumber: 5,           // 5-minute bars
+            limit: 1000,
+            includePartialBar: false
+        };
+    }
+
+    async function requestBars(request) {
+        const requestId = `bars-${Date.now()}-${Math.random()}`;
+        await env.publish('connection-manager:requests', {
+            type: 'REQUEST_HISTORICAL_DATA',
+            requestId,
+            payload: { instanceId: 'BOT_1', requestId, ...request }
+        });
+        const response = await waitFor(() => responses.find(message => message.payload?.requestId === requestId));
+        return response.payload;
+    }
+
+    beforeAll(async () => {
+        env = await startOfflineEnvironment();
+        responses = await env.collectMessages('historical:data:response');
+        contractId = env.emulator.getContracts().find(contract => contract.symbolId === 'F.US.MGC').id;
+        end = Math.floor(Date.now() / FIVE_MINUTES) * FIVE_MINUTES - 30 * MINUTE;
+
+        service = env.connectionManager.historicalDataService;
+        fetchSpy = jest.spyOn(service, 'fetchHistoricalDataFromAPI');
+    });
+
+    afterAll(async () => {
+        await env.stop();
+    });
+
+    test('bars fetched once are stored on disk and served to a restarted service', async () => {
+        const first = await requestBars(barRequest(60, 0));
+        expect(first.success).toBe(true);
+        expect(first.source).toBe('api');
+        expect(first.data).toHaveLength(12);
+        expect(fs.existsSync(path.join(env.historicalBarDirectory, contractId.replace(/[^A-Za-z0-9._-]/g, '_'), '5m.json'))).toBe(true);
+
+        // A new service instance has no memory cache - only the files
+        const restarted = new HistoricalDataService(env.connectionManager.authModule, env.connectionManager.eventBroadcaster, {
+            apiBaseUrl: service.config.baseURL,
+            barStore: { directory: env.historicalBarDirectory }
+        });
+        const restartedFetch = jest.spyOn(restarted, 'fetchHistoricalDataFromAPI');
+
+        try {
+            const { bars, source } = await restarted.getBars(contractId, barRequest(60, 0));
+            expect(source).toBe('store');
+            expect(bars).toEqual(first.data);
+            expect(restartedFetch).not.toHaveBeenCalled();
+        } finally {
+            await restarted.shutdown();
+        }
+    });
+
+    test('an overlapping request fetches only the part not stored yet', async () => {
+        fetchSpy.mockClear();
+
+        const response = await requestBars(barRequest(120, 30));
+        expect(response.success).toBe(true);
+        expect(response.data).toHaveLength(18);
+
+        // Only [end - 120m, end - 60m) went to the API
+        expect(fetchSpy).toHaveBeenCalledTimes(1);
+        const [, params] = fetchSpy.mock.calls[0];
+        expect(params.startTime).toBe(end - 120 * MINUTE);
+        expect(params.endTime).toBe(end - 60 * MINUTE - 1);
+
+        // The merged series is what the API returns for the whole range
+        const direct = await service.fetchHistoricalDataFromAPI(contractId, { ...barRequest(120, 30), limit: 1000 });
+        expect(response.data).toEqual(direct.filter(bar => new Date(bar.t).getTime() < end - 30 * MINUTE));
+    });
+
+    test('backfill fetches missing ranges in limit-sized requests and verify confirms the result', async () => {
+        const store = service.barStore;
+        const before = await store.verify(contractId, TIMEFRAME, { from: end - 300 * MINUTE, to: end });
+        expect(before.complete).toBe(false);
+        expect(before.missing).toEqual([[new Date(end - 300 * MINUTE).toISOString(), new Date(end - 120 * MINUTE).toISOString()]]);
+
+        fetchSpy.mockClear();
+        service.config.maxBarsPerRequest = 10;
+        try {
+            const result = await service.backfill(contractId, { unit: 2, unitNumber: 5, from: end - 300 * MINUTE, to: end });
+            expect(result.rangesFetched).toBe(1);
+            expect(result.barsFetched).toBe(36);
+            expect(fetchSpy.mock.calls.length).toBeGreaterThanOrEqual(4);
+            expect(result.verification).toMatchObject({ complete: true, missing: [], bars: 60, issues: [] });
+        } finally {
+            service.config.maxBarsPerRequest = 20000;
+        }
+
+        const coverage = await store.getCoverage(contractId, TIMEFRAME);
+        expect(coverage).toEqual([[end - 300 * MINUTE, end]]);
+    });
+});
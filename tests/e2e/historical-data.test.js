@@ -0,0 +1,136 @@
+// tests/e2e/historical-data.test.js
+// Historical bar requests from bots through Redis to the Connection Manager and
+// back, against the TopStepX emulator (was test-connection-manager-historical.js,
+// test-direct-cm-request.js, test-historical-proper-channel.js,
+// test-redis-historical-request.js and test-redis-channels.js)
+
+const axios = require('axios');
+const RedisAdapter = require('../../src/core/aggregator/adapters/RedisAdapter');
+const { startOfflineEnvironment, waitFor, TEST_USERNAME, TEST_API_KEY } = require('./helpers/offlineEnvironment');
+
+const FIVE_MINUTES = 5 * 60 * 1000;
+
+function lastThirtyMinutes(overrides = {}) {
+    const endTime = new Date();
+    return {
+        instrument: 'F.US.MGC',
+        contractId: 'F.US.MGC',
+        startTime: new Date(endTime.getTime() - 30 * 60 * 1000).toISOString(),
+        endTime: endTime.toISOString(),
+        unit: 2,                 // Minute
+        unitNumber: 5,           // 5-minute bars
+        limit: 10,
+        includePartialBar: false,
+        ...overrides
+    };
+}
+
+function expectFiveMinuteBars(bars) {
+    expect(Array.isArray(bars)).toBe(true);
+    expect(bars.length).toBeGreaterThanOrEqual(5);
+    expect(bars.length).toBeLessThanOrEqual(6);
+
+    for (const bar of bars) {
+        expect(bar.h).toBeGreaterThanOrEqual(Math.max(bar.o, bar.c));
+        expect(bar.l).toBeLessThanOrEqual(Math.min(bar.o, bar.c));
+        expect(bar.v).toBeGreaterThan(0);
+        expect(new Date(bar.t).getTime() % FIVE_MINUTES).toBe(0);
+    }
+
+    // HistoricalDataService hands bots the bars oldest first
+    const times = bars.map(bar => new Date(bar.t).getTime());
+    expect(times).toEqual([...times].sort((a, b) => a - b));
+}
+
+describe('Historical data (offline)', () => {
+    let env;
+    let responses;
+
+    beforeAll(async () => {
+        env = await startOfflineEnvironment();
+        responses = await env.collectMessages('historical:data:response');
+    });
+
+    afterAll(async () => {
+        await env.stop();
+    });
+
+    test('the emulator serves History/retrieveBars to authenticated clients only', async () => {
+        const request = lastThirtyMinutes();
+
+        const unauthorized = await axios.post(`${env.emulator.url}/api/History/retrieveBars`, request, {
+            validateStatus: () => true
+        });
+        expect(unauthorized.status).toBe(401);
+
+        const login = await axios.post(`${env.emulator.url}/api/Auth/loginKey`, {
+            userName: TEST_USERNAME,
+            apiKey: TEST_API_KEY
+        });
+        expect(login.data.success).toBe(true);
+
+        const { data } = await axios.post(`${env.emulator.url}/api/History/retrieveBars`, request, {
+            headers: { Authorization: `Bearer ${login.data.token}` }
+        });
+        expect(data.success).toBe(true);
+        expect(data.bars.length).toBeGreaterThanOrEqual(5);
+
+        // Same request, same bars - the price model is a pure function of time
+        const again = await axios.post(`${env.emulator.url}/api/History/retrieveBars`, request, {
+            headers: { Authorization: `Bearer ${login.data.token}` }
+        });
+        expect(again.data.bars).toEqual(data.bars);
+    });
+
+    test('REQUEST_HISTORICAL_DATA on connection-manager:requests is answered on historical:data:response', async () => {
+        const requestId = `hist-cm-${Date.now()}`;
+
+        await env.publish('connection-manager:requests', {
+            type: 'REQUEST_HISTORICAL_DATA',
+            requestId,
+            payload: { instanceId: 'BOT_1', requestId, ...lastThirtyMinutes() }
+        });
+
+        const response = await waitFor(() => responses.find(message => message.payload?.requestId === requestId));
+        expect(response.type).toBe('HISTORICAL_DATA_RESPONSE');
+        expect(response.payload.instanceId).toBe('BOT_1');
+        expect(response.payload.success).toBe(true);
+        expectFiveMinuteBars(response.payload.data);
+    });
+
+    test('REQUEST_HISTORICAL_DATA on instance:control reaches the same handler', async () => {
+        const requestId = `hist-control-${Date.now()}`;
+
+        await env.publish('instance:control', {
+            type: 'REQUEST_HISTORICAL_DATA',
+            payload: { instanceId: 'BOT_2', requestId, ...lastThirtyMinutes({ instrument: 'MNQ', contractId: 'MNQ' }) }
+        });
+
+        const response = await waitFor(() => responses.find(message => message.payload?.requestId === requestId));
+        expect(response.payload.success).toBe(true);
+        expectFiveMinuteBars(response.payload.data);
+        expect(response.payload.data[0].c).toBeGreaterThan(15000);    // MNQ, not MGC prices
+    });
+
+    test('requests sent to aggregator:requests are forwarded to the Connection Manager', async () => {
+        const adapter = new RedisAdapter({ host: env.redisHost, port: env.redisPort });
+        await adapter.initialize();
+        await adapter.subscribeToAggregatorRequests();
+
+        try {
+            const requestId = `hist-aggregator-${Date.now()}`;
+            await env.publish('aggregator:requests', {
+                type: 'REQUEST_HISTORICAL_DATA',
+                instanceId: 'BOT_3',
+                requestId,
+                ...lastThirtyMinutes()
+            });
+
+            const response = await waitFor(() => responses.find(message => message.payload?.requestId === requestId));
+            expect(response.payload.success).toBe(true);
+            expectFiveMinuteBars(response.payload.data);
+        } finally {
+            await adapter.disconnect();
+        }
+    });
+});
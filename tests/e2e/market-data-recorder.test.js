@@ -0,0 +1,92 @@
+// tests/e2e/market-data-recorder.test.js
+// The recorder on the market:data channel during a scripted emulator session:
+// compressed daily files per contract, 1-minute bars, the reader API and retention
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MarketDataRecorder = require('../../src/core/recorder/MarketDataRecorder');
+const MarketDataStore = require('../../shared/modules/market-data/MarketDataStore');
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+describe('Market data recorder (offline)', () => {
+    let env;
+    let recorder;
+    let store;
+    let directory;
+    let contractId;
+
+    beforeAll(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'market-data-'));
+        env = await startOfflineEnvironment({ scenario: 'trending-session', emulator: { autoRunScript: false } });
+        contractId = env.emulator.getContracts().find(contract => contract.symbolId === 'F.US.MGC').id;
+
+        recorder = new MarketDataRecorder({ redisConfig: { url: env.redisUrl }, directory, flushIntervalMs: 200 });
+        await recorder.start();
+        store = new MarketDataStore({ directory });
+
+        await env.emulator.runScript();
+        env.emulator.publishTrade('MNQ', { size: 2, side: 'SELL' });
+        await waitFor(() => recorder.stats.byType.TRADE >= 31);
+        await recorder.stop();
+    });
+
+    afterAll(async () => {
+        await recorder.stop();
+        await env.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('each message is recorded once, in a compressed file per contract and day', async () => {
+        const day = new Date().toISOString().slice(0, 10);
+        const contractDirectory = path.join(directory, contractId);
+
+        expect(fs.readdirSync(contractDirectory)).toEqual(expect.arrayContaining([`${day}.ticks.jsonl.gz`, `${day}.1m.jsonl.gz`]));
+        // Each trade is published once on market:data - 30 MGC and one MNQ
+        expect(recorder.stats.byType.TRADE).toBe(31);
+
+        const trades = await store.getTicks(contractId, { types: ['TRADE'] });
+        expect(trades).toHaveLength(30);
+        expect(trades.slice(0, 20).every(trade => trade.data.side === 'BUY')).toBe(true);
+        expect(trades[0]).toMatchObject({ instrument: contractId, type: 'TRADE', data: { size: 3 } });
+
+        const depth = await store.getTicks(contractId, { types: ['DEPTH'] });
+        expect(depth).toHaveLength(2);
+        expect(depth[0].data.bids.length).toBeGreaterThan(0);
+    });
+
+    test('1-minute bars hold every recorded trade', async () => {
+        const bars = await store.getBars(contractId);
+        const trades = await store.getTicks(contractId, { types: ['TRADE'] });
+        const prices = trades.map(trade => trade.data.price);
+
+        expect(bars.length).toBeGreaterThan(0);
+        expect(bars.every(bar => bar.timestamp % 60000 === 0 && bar.timeframe === '1m')).toBe(true);
+        expect(bars.reduce((sum, bar) => sum + bar.volume, 0)).toBe(90 + 80);
+        expect(Math.max(...bars.map(bar => bar.high))).toBeGreaterThanOrEqual(Math.max(...prices));
+        expect(Math.min(...bars.map(bar => bar.low))).toBeLessThanOrEqual(Math.min(...prices));
+    });
+
+    test('ticks of several contracts merge in publish order', async () => {
+        const contracts = await store.listContracts();
+        expect(contracts.length).toBeGreaterThan(1);
+
+        const ticks = await store.getTicks(contracts);
+        for (let i = 1; i < ticks.length; i++) {
+            expect(ticks[i].t).toBeGreaterThanOrEqual(ticks[i - 1].t);
+        }
+        expect(new Set(ticks.map(tick => tick.instrument)).size).toBe(contracts.length);
+    });
+
+    test('days past the retention period are deleted', async () => {
+        const oldDay = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const oldFile = path.join(directory, contractId, `${oldDay}.ticks.jsonl.gz`);
+        fs.copyFileSync(path.join(directory, contractId, `${new Date().toISOString().slice(0, 10)}.ticks.jsonl.gz`), oldFile);
+        expect(await store.listDays(contractId)).toContain(oldDay);
+
+        const deleted = await store.prune(30);
+
+        expect(deleted).toEqual([oldFile]);
+        expect(await store.listDays(contractId)).not.toContain(oldDay);
+    });
+});
@@ -0,0 +1,139 @@
+// tests/e2e/market-data.test.js
+// Live market data from the TopStepX emulator's SignalR hubs through
+// MarketDataService onto the market:data Redis channel, including scripted
+// sessions and hub disconnects
+
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+// The Connection Manager publishes each tick once on market:data as MARKET_DATA
+function ofType(messages, contractId, type) {
+    return messages.filter(message => message.type === 'MARKET_DATA' &&
+        message.payload?.instrument === contractId && message.payload.type === type);
+}
+
+describe('Market data (offline)', () => {
+    describe('streaming quotes', () => {
+        let env;
+        let marketData;
+        let contractId;
+
+        beforeAll(async () => {
+            env = await startOfflineEnvironment();
+            contractId = env.emulator.getContracts().find(contract => contract.symbolId === 'F.US.MGC').id;
+            marketData = await env.collectMessages('market:data');
+        });
+
+        afterAll(async () => {
+            await env.stop();
+        });
+
+        test('every available contract is subscribed at startup and quotes reach market:data', async () => {
+            expect(env.connectionManager.marketDataService.subscribedInstruments.has(contractId)).toBe(true);
+
+            // Unchanged quotes are not republished and the model can hold a price for seconds - move it
+            [2650, 2651, 2652].forEach(price => env.emulator.publishQuote(contractId, price));
+
+            const quotes = await waitFor(() => {
+                const received = ofType(marketData, contractId, 'QUOTE');
+                return received.length >= 3 && received;
+            });
+
+            for (const quote of quotes) {
+                expect(quote.payload.data.bid).toBeLessThan(quote.payload.data.ask);
+                expect(quote.payload.data.bid).toBeGreaterThan(2000);
+            }
+            expect(env.emulator.getStatus().marketHubClients).toBeGreaterThan(0);
+        });
+    });
+
+    describe('scripted trending session', () => {
+        let env;
+        let marketData;
+        let contractId;
+
+        beforeAll(async () => {
+            // The script starts once the Connection Manager has subscribed
+            env = await startOfflineEnvironment({ scenario: 'trending-session', emulator: { autoRunScript: false } });
+            contractId = env.emulator.getContracts().find(contract => contract.symbolId === 'F.US.MGC').id;
+            marketData = await env.collectMessages('market:data');
+            await env.emulator.runScript();
+        });
+
+        afterAll(async () => {
+            await env.stop();
+        });
+
+        test('the rally and the reversal arrive as trades in order', async () => {
+            const trades = await waitFor(() => {
+                const received = ofType(marketData, contractId, 'TRADE');
+                return received.length >= 30 && received;
+            });
+            const prices = trades.map(trade => trade.payload.data.price);
+            const tickSize = 0.1;
+
+            const rally = prices.slice(0, 20);
+            const reversal = prices.slice(20, 30);
+            for (let i = 1; i < rally.length; i++) {
+                expect(rally[i] - rally[i - 1]).toBeCloseTo(2 * tickSize, 6);
+            }
+            for (let i = 1; i < reversal.length; i++) {
+                expect(reversal[i] - reversal[i - 1]).toBeCloseTo(-5 * tickSize, 6);
+            }
+            expect(reversal[reversal.length - 1]).toBeLessThan(rally[0]);
+
+            expect(trades.slice(0, 20).every(trade => trade.payload.data.side === 'BUY')).toBe(true);
+            expect(trades.slice(20).every(trade => trade.payload.data.side === 'SELL')).toBe(true);
+        });
+
+        test('depth snapshots are published for the scripted contract', async () => {
+            const depth = await waitFor(() => {
+                const received = ofType(marketData, contractId, 'DEPTH');
+                return received.length > 0 && received;
+            });
+
+            expect(depth[0].payload.data.bids.length).toBeGreaterThan(0);
+            expect(depth[0].payload.data.asks.length).toBeGreaterThan(0);
+        });
+    });
+
+    describe('hub disconnects', () => {
+        let env;
+        let marketData;
+        let contractId;
+
+        beforeAll(async () => {
+            env = await startOfflineEnvironment({ scenario: 'hub-disconnect', emulator: { autoRunScript: false } });
+            contractId = env.emulator.getContracts().find(contract => contract.symbolId === 'F.US.MGC').id;
+            marketData = await env.collectMessages('market:data');
+        });
+
+        afterAll(async () => {
+            await env.stop();
+        });
+
+        test('market data resumes after each reconnect without resubscribing by hand', async () => {
+            // Unchanged quotes are not republished - a new price on every poll until enough arrive
+            let price = 2650;
+            const quotesSince = (before, count) => waitFor(() => {
+                env.emulator.publishQuote(contractId, price++);
+                return ofType(marketData.slice(before), contractId, 'QUOTE').length >= count;
+            });
+
+            await quotesSince(0, 1);
+            await env.emulator.runScript();
+
+            const service = env.connectionManager.marketDataService;
+            await waitFor(() => service.metrics.reconnections >= 2 && service.isConnected, 20000);
+
+            // Only quotes published after the second drop count, once the service has subscribed again
+            await quotesSince(marketData.length, 3);
+
+            expect(service.subscribedInstruments.has(contractId)).toBe(true);
+        }, 45000);
+
+        test('the user hub reconnects as well', async () => {
+            await waitFor(() => env.emulator.getStatus().userHubClients > 0, 15000);
+            expect(env.connectionManager.marketDataService.isUserConnected).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,208 @@
+// tests/e2e/market-replay.test.js
+// A scripted emulator session recorded off market:data and replayed onto it:
+// step-by-step and at 20x into a bot, which runs on the replay's clock, and
+// historical bars from the Connection Manager replayed as trades
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TradingBot = require('../../src/core/trading/TradingBot');
+const AggregatorClient = require('../../src/core/trading/AggregatorClient');
+const MarketDataRecorder = require('../../src/core/recorder/MarketDataRecorder');
+const MarketReplayPublisher = require('../../src/core/replay/MarketReplayPublisher');
+const SessionBarAggregator = require('../../shared/modules/market-data/SessionBarAggregator');
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+// AggregatorClient events for one contract, in a comparable order
+function byContent(events, contractId) {
+    return events
+        .filter(event => event.instrument === contractId)
+        .map(event => JSON.stringify(event))
+        .sort();
+}
+
+describe('Market data replay (offline)', () => {
+    let env;
+    let directory;
+    let contractId;
+    let recorded;
+    let liveEvents;
+    let replay;
+
+    async function connectClient(botId, events) {
+        const client = new AggregatorClient({
+            botId,
+            accountId: '9001',
+            redisConfig: { url: env.redisUrl },
+            enableLogging: false
+        });
+        await client.connect();
+        client.on('marketData', event => events.push(event));
+        return client;
+    }
+
+    beforeAll(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'market-replay-'));
+        env = await startOfflineEnvironment({ scenario: 'trending-session', emulator: { autoRunScript: false } });
+        contractId = env.emulator.getContracts().find(contract => contract.symbolId === 'F.US.MGC').id;
+
+        // Record the session and what a bot's AggregatorClient saw of it
+        liveEvents = [];
+        const liveClient = await connectClient('BOT_LIVE', liveEvents);
+        const recorder = new MarketDataRecorder({ redisConfig: { url: env.redisUrl }, directory, flushIntervalMs: 200 });
+        await recorder.start();
+
+        await env.emulator.runScript();
+        await waitFor(() => recorder.stats.byType.TRADE >= 30);
+        await recorder.stop();
+        await liveClient.disconnect();
+
+        replay = new MarketReplayPublisher({ redisConfig: { url: env.redisUrl }, directory, speed: 'step' });
+        await replay.connect();
+        recorded = await replay.store.getTicks(contractId);
+    });
+
+    afterAll(async () => {
+        await replay.disconnect();
+        await env.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('step mode publishes one recorded message at a time, in the live envelope', async () => {
+        const messages = await env.collectMessages('market:data');
+        await replay.setSpeed('step');
+        await replay.loadRecording(contractId);
+        expect(replay.getStatus()).toMatchObject({ state: 'paused', clock: recorded[0].t });
+
+        const [first] = await replay.step();
+        await waitFor(() => messages.length >= 1);
+
+        expect(first.t).toBe(recorded[0].t);
+        expect(messages).toHaveLength(1);
+        expect(messages[0]).toMatchObject({ type: 'MARKET_DATA', timestamp: recorded[0].t, replay: true });
+        expect(messages[0].payload).toEqual({ instrument: contractId, type: recorded[0].type, data: recorded[0].data });
+        expect(replay.clock.now()).toBe(recorded[0].t);
+
+        // Advancing the clock publishes exactly what was recorded in that window
+        const until = recorded[0].t + 1000;
+        const advanced = await replay.advance(1000);
+        expect(advanced).toHaveLength(recorded.filter(tick => tick.t > recorded[0].t && tick.t <= until).length);
+        expect(replay.clock.now()).toBe(until);
+        expect(replay.getStatus().state).toBe('paused');
+    });
+
+    test('a bot and its strategy run on the replay clock until the replay stops', async () => {
+        const botConfig = {
+            botId: 'BOT_CLOCK',
+            instrument: contractId,
+            strategy: { type: 'TEST_TIME' },
+            journal: { enabled: false },
+            marketDataSource: 'LIVE',
+            testMode: true
+        };
+        const bot = new TradingBot(botConfig);
+        await bot.initialize(botConfig);
+        bot.aggregatorClient = await connectClient('BOT_CLOCK', []);
+        bot.subscribeToLiveMarketData();
+
+        try {
+            await replay.setSpeed('step');
+            await replay.loadRecording(contractId);
+            await waitFor(() => bot.now() === recorded[0].t);
+
+            // Replayed ticks move the clock, and in step mode it stands still between them
+            await replay.step(3);
+            await waitFor(() => bot.now() === recorded[2].t);
+            await new Promise(resolve => setTimeout(resolve, 100));
+            expect(bot.now()).toBe(recorded[2].t);
+            expect(bot.strategy.now()).toBe(recorded[2].t);
+
+            // Advancing past the last tick in the window is announced on the status channel
+            await replay.advance(60000);
+            await waitFor(() => bot.now() === recorded[2].t + 60000);
+
+            await replay.stop();
+            await waitFor(() => bot.clock === null);
+            expect(Math.abs(bot.now() - Date.now())).toBeLessThan(1000);
+        } finally {
+            await bot.stop();
+        }
+    });
+
+    test('at 20x a bot receives the session exactly as it did live', async () => {
+        const botConfig = {
+            botId: 'BOT_REPLAY',
+            instrument: contractId,
+            strategy: { type: 'TEST_TIME' },
+            journal: { enabled: false },
+            marketDataSource: 'LIVE',
+            testMode: true
+        };
+        const bot = new TradingBot(botConfig);
+        await bot.initialize(botConfig);
+
+        const replayEvents = [];
+        bot.aggregatorClient = await connectClient('BOT_REPLAY', replayEvents);
+        bot.subscribeToLiveMarketData();
+
+        // A recorder running during the replay leaves the recording alone
+        const recorder = new MarketDataRecorder({ redisConfig: { url: env.redisUrl }, directory, flushIntervalMs: 200 });
+        await recorder.start();
+
+        try {
+            await replay.loadRecording(contractId);
+            replay.setSpeed(20);
+            const startedAt = Date.now();
+            replay.play();
+            const status = await replay.waitForFinish();
+
+            const sessionMs = recorded[recorded.length - 1].t - recorded[0].t;
+            expect(Date.now() - startedAt).toBeLessThan(sessionMs / 5);
+            expect(status.messagesPublished).toBe(recorded.length);
+
+            const snapshot = await waitFor(() => {
+                const current = bot.getOrderFlowSnapshot();
+                return current && current.sellVolume >= 80 && current;
+            });
+            expect(snapshot).toMatchObject({ buyVolume: 90, sellVolume: 80, cumulativeDelta: 10 });
+
+            await waitFor(() => replayEvents.filter(event => event.instrument === contractId).length >= byContent(liveEvents, contractId).length);
+            expect(byContent(replayEvents, contractId)).toEqual(byContent(liveEvents, contractId));
+            expect(recorder.stats.messagesReceived).toBe(0);
+        } finally {
+            await recorder.stop();
+            await bot.stop();
+        }
+    });
+
+    test('bars fetched from the Connection Manager replay as trades that rebuild the same bars', async () => {
+        const endTime = new Date();
+        const bars = await replay.fetchHistoricalBars({
+            instrument: 'F.US.MGC',
+            contractId: 'F.US.MGC',
+            startTime: new Date(endTime.getTime() - 30 * 60 * 1000).toISOString(),
+            endTime: endTime.toISOString(),
+            unit: 2,                 // Minute
+            unitNumber: 5,           // 5-minute bars
+            limit: 10
+        });
+        expect(bars.length).toBeGreaterThanOrEqual(5);
+
+        replay.setSpeed('step');
+        await replay.loadBars(contractId, bars);
+
+        const aggregator = new SessionBarAggregator({ timeframes: ['5m'] });
+        const rebuilt = [];
+        aggregator.on('bar', bar => rebuilt.push(bar));
+
+        const published = await replay.step(bars.length * 4);
+        published.map(message => SessionBarAggregator.toTrade(message)).filter(Boolean)
+            .forEach(trade => aggregator.processTrade(trade));
+        aggregator.completeSymbol(contractId);
+
+        expect(replay.getStatus().state).toBe('finished');
+        expect(published.every(message => message.type === 'TRADE' || message.type === 'QUOTE')).toBe(true);
+        expect(rebuilt.map(bar => [bar.timestamp, bar.open, bar.high, bar.low, bar.close, bar.volume]))
+            .toEqual(bars.map(bar => [new Date(bar.t).getTime(), bar.o, bar.h, bar.l, bar.c, bar.v]));
+    });
+});
@@ -0,0 +1,164 @@
+// tests/e2e/message-schemas.test.js
+// Messages on the Redis channels are checked against the shared schemas on
+// publish and on receipt: valid ones are stamped with their schema version,
+// invalid ones never reach their consumer and land on the dead-letter channel
+
+const http = require('http');
+const TradingAggregator = require('../../src/core/aggregator/TradingAggregator');
+const RedisAdapter = require('../../src/core/aggregator/adapters/RedisAdapter');
+const ConnectionManagerAdapter = require('../../src/core/aggregator/adapters/ConnectionManagerAdapter');
+const AggregatorClient = require('../../src/core/trading/AggregatorClient');
+const { DEAD_LETTER_CHANNEL } = require('../../shared/modules/messaging/MessageSchemas');
+const { STREAMS } = require('../../shared/modules/messaging/StreamTransport');
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+describe('Message schemas (offline)', () => {
+    let env;
+    let healthServer;
+    let aggregator;
+    let client;
+    let gold;
+    let deadLetters;
+    let botResponses;
+    let aggregatorOrders;
+    let redis;
+
+    // Bots publish their orders to the aggregator's order stream
+    async function streamedOrders() {
+        const entries = await redis.xRange(STREAMS.aggregatorOrders, '-', '+');
+        return entries.map(entry => JSON.parse(entry.message.data));
+    }
+
+    function brokerPosition(contractId) {
+        return env.emulator.broker.getOpenPositions(9001).find(entry => entry.contractId === contractId) || null;
+    }
+
+    beforeAll(async () => {
+        env = await startOfflineEnvironment({ scenario: { name: 'message-schemas', market: { autoQuotes: false, spreadTicks: 1 } } });
+        gold = env.emulator.getContracts().find(contract => contract.symbolId === 'F.US.MGC').id;
+        env.emulator.publishQuote(gold, 2650);
+
+        // The Connection Manager service's /health endpoint, which the order adapter checks
+        healthServer = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: 'healthy' }));
+        });
+        await new Promise(resolve => healthServer.listen(0, '127.0.0.1', resolve));
+
+        aggregator = new TradingAggregator({
+            redisConfig: { host: env.redisHost, port: env.redisPort },
+            riskConfig: { allowedTradingHours: null },
+            journalConfig: { enabled: false },
+            enableLogging: false,
+            enableMonitoring: false
+        });
+        aggregator.redisAdapter = new RedisAdapter(aggregator.config.redisConfig);
+        await aggregator.redisAdapter.initialize();
+        await aggregator.initialize();
+
+        aggregator.connectionManagerAdapter = new ConnectionManagerAdapter({
+            connectionManagerUrl: `http://127.0.0.1:${healthServer.address().port}`,
+            enableWebSocket: false,
+            redis: { host: env.redisHost, port: env.redisPort }
+        });
+        expect(await aggregator.connectionManagerAdapter.connect()).toBe(true);
+
+        client = new AggregatorClient({ botId: 'BOT_SCHEMAS', accountId: '9001', redisConfig: { url: env.redisUrl }, enableLogging: false });
+        await client.connect();
+
+        deadLetters = await env.collectMessages(DEAD_LETTER_CHANNEL);
+        botResponses = await env.collectMessages('bot:BOT_SCHEMAS:responses');
+        aggregatorOrders = await env.collectMessages('aggregator:orders');
+        redis = await env.createRedisClient();
+    });
+
+    afterAll(async () => {
+        await client.disconnect();
+        const orderClient = aggregator.connectionManagerAdapter.redisClient;
+        await aggregator.shutdown();
+        await orderClient.disconnect().catch(() => {});
+        await new Promise(resolve => healthServer.close(resolve));
+        await env.stop();
+    });
+
+    test('valid messages flow end to end stamped with their schema version', async () => {
+        const { orderId } = await client.submitOrder({ direction: 'LONG', instrument: gold, positionSize: 1 });
+
+        await waitFor(() => botResponses.find(message => message.orderId === orderId && message.status === 'FILLED'));
+        const order = (await streamedOrders()).find(message => message.order?.orderId === orderId);
+        expect(order).toMatchObject({ type: 'MANUAL_ORDER', schemaVersion: 1 });
+        botResponses
+            .filter(message => message.orderId === orderId)
+            .forEach(message => expect(message).toMatchObject({ type: 'ORDER_UPDATE', schemaVersion: 1 }));
+
+        await client.submitOrder({ direction: 'SHORT', instrument: gold, positionSize: 1 });
+        await waitFor(() => brokerPosition(gold) === null);
+        expect(deadLetters).toEqual([]);
+    });
+
+    test('a malformed order published straight to Redis is dead-lettered and never reaches the aggregator', async () => {
+        await env.publish('aggregator:orders', {
+            type: 'MANUAL_ORDER',
+            source: 'BOT_ROGUE',
+            order: { orderId: 'ROGUE-1', instrument: gold, side: 'HOLD', quantity: 0 }
+        });
+
+        const deadLetter = await waitFor(() => deadLetters.find(message => message.message?.order?.orderId === 'ROGUE-1'));
+        expect(deadLetter).toMatchObject({
+            type: 'INVALID_MESSAGE',
+            channel: 'aggregator:orders',
+            direction: 'subscribe',
+            service: 'TRADING_AGGREGATOR',
+            messageType: 'MANUAL_ORDER'
+        });
+        expect(deadLetter.errors).toEqual(expect.arrayContaining([
+            expect.stringContaining('/order/side'),
+            expect.stringContaining('/order/quantity')
+        ]));
+
+        expect(aggregator.state.orders.has('ROGUE-1')).toBe(false);
+        const stats = aggregator.getMetrics().messageValidation;
+        expect(stats.invalidByType.MANUAL_ORDER).toBe(1);
+        expect(stats.deadLettered).toBeGreaterThanOrEqual(1);
+    });
+
+    test('a message claiming a schema version nobody knows is dead-lettered', async () => {
+        await env.publish('aggregator:orders', { type: 'CANCEL_ORDER', orderId: 'ROGUE-2', schemaVersion: 2 });
+
+        const deadLetter = await waitFor(() => deadLetters.find(message => message.message?.orderId === 'ROGUE-2'));
+        expect(deadLetter.errors).toEqual(['unsupported schemaVersion 2 (current 1)']);
+    });
+
+    test('a bot publishing an invalid message gets an error and nothing reaches the aggregator', async () => {
+        const published = aggregatorOrders.length;
+        const streamed = (await streamedOrders()).length;
+
+        await expect(client.publishMessage('aggregator:orders', { type: 'MANUAL_ORDER', source: 'BOT_SCHEMAS', order: { orderId: 'ROGUE-3' } }))
+            .rejects.toThrow('Invalid MANUAL_ORDER for aggregator:orders');
+
+        const deadLetter = await waitFor(() => deadLetters.find(message => message.message?.order?.orderId === 'ROGUE-3'));
+        expect(deadLetter).toMatchObject({ direction: 'publish', service: 'BOT_SCHEMAS' });
+        expect(aggregatorOrders.length).toBe(published);
+        expect((await streamedOrders()).length).toBe(streamed);
+        expect(client.getMetrics().messageValidation.invalidByType.MANUAL_ORDER).toBe(1);
+    });
+
+    test('legacy type spellings validate as their canonical type and unknown types pass through counted', async () => {
+        const broadcaster = env.connectionManager.eventBroadcaster;
+        const responses = await env.collectMessages('order:management');
+
+        expect(await broadcaster.publishRaw('order:management', { type: 'order-response', orderId: 'LEGACY-1', success: true })).toBe(true);
+        expect(await broadcaster.publishRaw('order:management', { type: 'order-response', success: true })).toBe(false);
+        expect(await broadcaster.publishRaw('order:management', { type: 'SOMETHING_NEW', value: 1 })).toBe(true);
+
+        await waitFor(() => responses.length === 2);
+        expect(responses[0]).toMatchObject({ type: 'order-response', orderId: 'LEGACY-1', schemaVersion: 1 });
+        expect(responses[1]).toEqual({ type: 'SOMETHING_NEW', value: 1 });
+
+        const deadLetter = await waitFor(() => deadLetters.find(message => message.service === 'CONNECTION_MANAGER'));
+        expect(deadLetter).toMatchObject({ channel: 'order:management', messageType: 'ORDER_RESPONSE' });
+
+        // Counted once on publish and once more as the Connection Manager's own order:management subscriber receives it
+        await waitFor(() => broadcaster.getValidationStats().unknownTypes.SOMETHING_NEW === 2);
+    });
+});
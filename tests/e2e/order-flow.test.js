@@ -0,0 +1,80 @@
+// tests/e2e/order-flow.test.js
+// Order flow from the emulator's scripted DEPTH and TRADE messages through the
+// Connection Manager, market:data and AggregatorClient into a bot's
+// OrderFlowTracker, as strategies read it
+
+const TradingBot = require('../../src/core/trading/TradingBot');
+const AggregatorClient = require('../../src/core/trading/AggregatorClient');
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+describe('Order flow (offline)', () => {
+    let env;
+    let bot;
+    let contractId;
+
+    beforeAll(async () => {
+        env = await startOfflineEnvironment({ scenario: 'trending-session', emulator: { autoRunScript: false } });
+        contractId = env.emulator.getContracts().find(contract => contract.symbolId === 'F.US.MGC').id;
+
+        const botConfig = {
+            botId: 'BOT_FLOW',
+            instrument: contractId,
+            strategy: { type: 'TEST_TIME' },
+            orderFlow: { largeLotSize: 8 },
+            journal: { enabled: false },
+            marketDataSource: 'LIVE',
+            testMode: true
+        };
+        bot = new TradingBot(botConfig);
+        await bot.initialize(botConfig);
+
+        // Test mode skips the aggregator connection - attach one to the offline Redis
+        bot.aggregatorClient = new AggregatorClient({
+            botId: 'BOT_FLOW',
+            accountId: '9001',
+            redisConfig: { url: env.redisUrl },
+            enableLogging: false
+        });
+        await bot.aggregatorClient.connect();
+        bot.subscribeToLiveMarketData();
+
+        await env.emulator.runScript();
+    });
+
+    afterAll(async () => {
+        await bot.stop();
+        await env.stop();
+    });
+
+    test('cumulative delta follows the aggressor side of every trade, counted once', async () => {
+        // Rally: 20 buys of 3-6 lots (90). Reversal: 10 sells of 8 lots (80)
+        const snapshot = await waitFor(() => {
+            const current = bot.getOrderFlowSnapshot();
+            return current && current.sellVolume >= 80 && current;
+        });
+
+        expect(snapshot.buyVolume).toBe(90);
+        expect(snapshot.sellVolume).toBe(80);
+        expect(snapshot.cumulativeDelta).toBe(10);
+        expect(bot.getOrderFlowDelta(snapshot.trackingSince - 60000)).toBeNull();
+    });
+
+    test('the book comes from depth snapshots and gives a bid/ask imbalance', () => {
+        const book = bot.orderFlow.getBook(contractId);
+        expect(book.bids.length).toBeGreaterThan(0);
+        expect(book.asks.length).toBeGreaterThan(0);
+        expect(book.bids[0].price).toBeLessThan(book.asks[0].price);
+
+        const { imbalance } = bot.getOrderFlowSnapshot();
+        const bidVolume = book.bids.slice(0, 5).reduce((sum, level) => sum + level.volume, 0);
+        const askVolume = book.asks.slice(0, 5).reduce((sum, level) => sum + level.volume, 0);
+        expect(imbalance.ratio).toBeCloseTo((bidVolume - askVolume) / (bidVolume + askVolume), 6);
+    });
+
+    test('trades at the large-lot size are reported to strategies', () => {
+        const largeLots = bot.orderFlow.getLargeLots(contractId);
+        expect(largeLots).toHaveLength(10);
+        expect(largeLots.every(lot => lot.side === 'SELL' && lot.size === 8)).toBe(true);
+        expect(bot.getStrategySnapshot().orderFlow.largeLots).toHaveLength(5);
+    });
+});
@@ -0,0 +1,146 @@
+// tests/e2e/order-lifecycle.test.js
+// Bot orders routed bot -> aggregator -> Connection Manager -> emulator report every
+// lifecycle state back to the bot that placed them: accepted only once queued,
+// refused orders with their reason, and orders that stop moving surfaced as stuck
+
+const http = require('http');
+const TradingAggregator = require('../../src/core/aggregator/TradingAggregator');
+const RedisAdapter = require('../../src/core/aggregator/adapters/RedisAdapter');
+const ConnectionManagerAdapter = require('../../src/core/aggregator/adapters/ConnectionManagerAdapter');
+const AggregatorClient = require('../../src/core/trading/AggregatorClient');
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+describe('Order lifecycle (offline)', () => {
+    let env;
+    let healthServer;
+    let aggregator;
+    let client;
+    let gold;
+    const updates = [];
+    const accepted = [];
+    const rejections = [];
+    const cancels = [];
+    const stuck = [];
+
+    function statuses(orderId) {
+        return updates.filter(update => update.orderId === orderId).map(update => update.status);
+    }
+
+    function brokerPosition(contractId) {
+        return env.emulator.broker.getOpenPositions(9001).find(entry => entry.contractId === contractId) || null;
+    }
+
+    beforeAll(async () => {
+        env = await startOfflineEnvironment({ scenario: { name: 'order-lifecycle', market: { autoQuotes: false, spreadTicks: 1 } } });
+        gold = env.emulator.getContracts().find(contract => contract.symbolId === 'F.US.MGC').id;
+        env.emulator.publishQuote(gold, 2650);
+
+        // The Connection Manager service's /health endpoint, which the order adapter checks
+        healthServer = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: 'healthy' }));
+        });
+        await new Promise(resolve => healthServer.listen(0, '127.0.0.1', resolve));
+
+        aggregator = new TradingAggregator({
+            redisConfig: { host: env.redisHost, port: env.redisPort },
+            riskConfig: { allowedTradingHours: null },
+            journalConfig: { enabled: false },
+            lifecycleConfig: { timeouts: { QUEUED: 500 } },
+            enableLogging: false,
+            enableMonitoring: false
+        });
+        aggregator.redisAdapter = new RedisAdapter(aggregator.config.redisConfig);
+        await aggregator.redisAdapter.initialize();
+        await aggregator.initialize();
+
+        aggregator.connectionManagerAdapter = new ConnectionManagerAdapter({
+            connectionManagerUrl: `http://127.0.0.1:${healthServer.address().port}`,
+            enableWebSocket: false,
+            redis: { host: env.redisHost, port: env.redisPort }
+        });
+        expect(await aggregator.connectionManagerAdapter.connect()).toBe(true);
+
+        client = new AggregatorClient({ botId: 'BOT_LIFECYCLE', accountId: '9001', redisConfig: { url: env.redisUrl }, enableLogging: false });
+        await client.connect();
+        client.on('orderUpdate', update => updates.push(update));
+        client.on('orderAccepted', event => accepted.push(event));
+        client.on('orderRejected', event => rejections.push(event));
+        client.on('orderCancelled', event => cancels.push(event));
+        client.on('orderStuck', event => stuck.push(event));
+    });
+
+    afterAll(async () => {
+        await client.disconnect();
+        const orderClient = aggregator.connectionManagerAdapter.redisClient;
+        await aggregator.shutdown();
+        await orderClient.disconnect().catch(() => {});
+        await new Promise(resolve => healthServer.close(resolve));
+        await env.stop();
+    });
+
+    test('a market order reports every state from NEW to FILLED and is accepted only once queued', async () => {
+        const { orderId } = await client.submitOrder({ direction: 'LONG', instrument: gold, positionSize: 1 });
+        expect(accepted.find(event => event.orderId === orderId)).toBeUndefined();
+
+        await waitFor(() => statuses(orderId).includes('FILLED'));
+        expect(statuses(orderId)).toEqual(['NEW', 'RISK_CHECKED', 'QUEUED', 'SENT', 'WORKING', 'FILLED']);
+        expect(updates.filter(update => update.orderId === orderId).map(update => update.previousStatus))
+            .toEqual([null, 'NEW', 'RISK_CHECKED', 'QUEUED', 'SENT', 'WORKING']);
+
+        const acceptance = accepted.find(event => event.orderId === orderId);
+        expect(acceptance.queueId).toEqual(expect.any(String));
+
+        // The aggregator owns the record, with when each state was reached
+        const record = aggregator.orderLifecycle.get(orderId);
+        expect(record).toMatchObject({ instanceId: 'BOT_LIFECYCLE', state: 'FILLED', filledQuantity: 1, stuck: false });
+        expect(record.history.map(entry => entry.state)).toEqual(statuses(orderId));
+        expect(aggregator.state.orders.get(orderId).status).toBe('FILLED');
+        expect(aggregator.getMetrics().lifecycle.stats.ended.FILLED).toBeGreaterThanOrEqual(1);
+
+        await client.submitOrder({ direction: 'SHORT', instrument: gold, positionSize: 1 });
+        await waitFor(() => brokerPosition(gold) === null);
+    });
+
+    test('an order refused by risk checks goes from NEW straight to REJECTED with the reason', async () => {
+        const { orderId } = await client.submitOrder({ direction: 'LONG', instrument: gold, positionSize: 11 });
+
+        const rejection = await waitFor(() => rejections.find(event => event.orderId === orderId));
+        expect(rejection.reason).toBe('RISK_VIOLATION');
+        expect(rejection.violations.length).toBeGreaterThan(0);
+        expect(statuses(orderId)).toEqual(['NEW', 'REJECTED']);
+        expect(accepted.find(event => event.orderId === orderId)).toBeUndefined();
+        expect(cancels.find(event => event.orderId === orderId)).toBeUndefined();
+    });
+
+    test('an order held in the queue is reported stuck and can be pulled before it is sent', async () => {
+        aggregator.queueManager.stopProcessing();
+        try {
+            const { orderId } = await client.submitOrder({
+                direction: 'LONG',
+                instrument: gold,
+                positionSize: 1,
+                orderType: 'LIMIT',
+                limitPrice: 2600
+            });
+
+            const report = await waitFor(() => stuck.find(event => event.orderId === orderId), 5000);
+            expect(report).toMatchObject({ status: 'QUEUED', reason: 'STATE_TIMEOUT' });
+            expect(report.stuckForMs).toBeGreaterThanOrEqual(500);
+            expect(aggregator.getMetrics().lifecycle.stuck.map(entry => entry.orderId)).toContain(orderId);
+
+            await client.cancelOrder(orderId);
+            const cancelled = await waitFor(() => cancels.find(event => event.orderId === orderId));
+            expect(cancelled.status).toBe('CANCELLED');
+            expect(statuses(orderId)).toEqual(['NEW', 'RISK_CHECKED', 'QUEUED', 'CANCELLED']);
+            expect(aggregator.orderLifecycle.get(orderId).reason).toBe('CANCELLED_BEFORE_SEND');
+            expect(aggregator.queueManager.getTotalQueueSize()).toBe(0);
+        } finally {
+            aggregator.queueManager.startProcessing();
+        }
+
+        // Nothing reached the broker
+        await new Promise(resolve => setTimeout(resolve, 300));
+        expect(env.emulator.broker.searchOpenOrders({ accountId: 9001 }).orders).toEqual([]);
+    });
+});
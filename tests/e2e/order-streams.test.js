@@ -0,0 +1,229 @@
+// tests/e2e/order-streams.test.js
+// Orders, fills and positions travel on Redis Streams read through consumer
+// groups: an order sent while the aggregator is down - or read but never
+// acknowledged before a crash - is placed once it is back, a resent order is
+// placed once, and an order that waited too long is dead-lettered unplaced.
+// Market data stays on pub/sub.
+
+const http = require('http');
+const TradingAggregator = require('../../src/core/aggregator/TradingAggregator');
+const RedisAdapter = require('../../src/core/aggregator/adapters/RedisAdapter');
+const ConnectionManagerAdapter = require('../../src/core/aggregator/adapters/ConnectionManagerAdapter');
+const AggregatorClient = require('../../src/core/trading/AggregatorClient');
+const { DEAD_LETTER_CHANNEL } = require('../../shared/modules/messaging/MessageSchemas');
+const { STREAMS, botResponseStream } = require('../../shared/modules/messaging/StreamTransport');
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+describe('Order streams (offline)', () => {
+    let env;
+    let healthServer;
+    let aggregator;
+    let client;
+    let gold;
+    let redis;
+    let deadLetters;
+    let updates;
+
+    function brokerPosition(contractId) {
+        return env.emulator.broker.getOpenPositions(9001).find(entry => entry.contractId === contractId) || null;
+    }
+
+    async function streamEntries(stream) {
+        const entries = await redis.xRange(stream, '-', '+');
+        return entries.map(entry => JSON.parse(entry.message.data));
+    }
+
+    function filled(orderId) {
+        return updates.find(update => update.orderId === orderId && update.status === 'FILLED');
+    }
+
+    // Every adapter is in place before initialize(), which reads the order streams last
+    async function startAggregator(orderTransport = {}) {
+        const connectionManagerUrl = `http://127.0.0.1:${healthServer.address().port}`;
+        aggregator = new TradingAggregator({
+            redisConfig: { host: env.redisHost, port: env.redisPort, orderTransport },
+            connectionManagerUrl,
+            riskConfig: { allowedTradingHours: null },
+            journalConfig: { enabled: false },
+            enableLogging: false,
+            enableMonitoring: false
+        });
+        aggregator.redisAdapter = new RedisAdapter(aggregator.config.redisConfig);
+        await aggregator.redisAdapter.initialize();
+        aggregator.connectionManagerAdapter = new ConnectionManagerAdapter({
+            connectionManagerUrl,
+            enableWebSocket: false,
+            redis: { host: env.redisHost, port: env.redisPort }
+        });
+        await aggregator.initialize();
+        expect(aggregator.connectionManagerAdapter.isConnected).toBe(true);
+    }
+
+    async function stopAggregator() {
+        const orderClient = aggregator.connectionManagerAdapter.redisClient;
+        await aggregator.shutdown();
+        await orderClient.disconnect().catch(() => {});
+        aggregator = null;
+    }
+
+    async function flatten() {
+        const position = brokerPosition(gold);
+        if (!position) return;
+        await client.submitOrder({ direction: position.type === 1 ? 'SHORT' : 'LONG', instrument: gold, positionSize: position.size });
+        await waitFor(() => brokerPosition(gold) === null);
+    }
+
+    beforeAll(async () => {
+        env = await startOfflineEnvironment({ scenario: { name: 'order-streams', market: { autoQuotes: false, spreadTicks: 1 } } });
+        gold = env.emulator.getContracts().find(contract => contract.symbolId === 'F.US.MGC').id;
+        env.emulator.publishQuote(gold, 2650);
+
+        // The Connection Manager service's /health endpoint, which the order adapter checks
+        healthServer = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: 'healthy' }));
+        });
+        await new Promise(resolve => healthServer.listen(0, '127.0.0.1', resolve));
+
+        redis = await env.createRedisClient();
+        deadLetters = await env.collectMessages(DEAD_LETTER_CHANNEL);
+
+        await startAggregator();
+
+        client = new AggregatorClient({ botId: 'BOT_STREAMS', accountId: '9001', redisConfig: { url: env.redisUrl }, enableLogging: false, ackTimeout: 60000 });
+        await client.connect();
+        updates = [];
+        client.on('orderUpdate', update => updates.push(update));
+    });
+
+    afterEach(async () => {
+        if (!aggregator) await startAggregator();
+        await flatten();
+    });
+
+    afterAll(async () => {
+        await client.disconnect();
+        if (aggregator) await stopAggregator();
+        await new Promise(resolve => healthServer.close(resolve));
+        await env.stop();
+    });
+
+    test('orders, broker events and bot updates travel on streams while market data stays on pub/sub', async () => {
+        const quotes = await env.collectMessages('market:data');
+        const { orderId } = await client.submitOrder({ direction: 'LONG', instrument: gold, positionSize: 1 });
+
+        await waitFor(() => filled(orderId));
+        expect((await streamEntries(STREAMS.aggregatorOrders)).find(message => message.order?.orderId === orderId))
+            .toMatchObject({ type: 'MANUAL_ORDER', source: 'BOT_STREAMS' });
+        expect((await streamEntries(STREAMS.orderManagement)).find(message => message.payload?.orderId === orderId))
+            .toMatchObject({ type: 'PLACE_ORDER' });
+        expect((await streamEntries(STREAMS.orderEvents)).map(message => message.type))
+            .toEqual(expect.arrayContaining(['ORDER_RESPONSE', 'ORDER_FILLED']));
+        expect((await streamEntries(botResponseStream('BOT_STREAMS'))).filter(message => message.orderId === orderId).map(message => message.status))
+            .toContain('FILLED');
+
+        expect(aggregator.getMetrics().orderTransport.delivered).toBeGreaterThan(0);
+        expect(client.getMetrics().orderTransport.delivered).toBeGreaterThan(0);
+
+        env.emulator.publishQuote(gold, 2651);
+        await waitFor(() => quotes.length > 0);
+        expect(await redis.exists('stream:market:data')).toBe(0);
+        expect(deadLetters).toEqual([]);
+    });
+
+    test('an order resent with the same order id is placed once', async () => {
+        const orderId = 'BOT_STREAMS_RESENT';
+        const message = {
+            type: 'MANUAL_ORDER',
+            source: 'BOT_STREAMS',
+            timestamp: new Date().toISOString(),
+            order: { instanceId: 'BOT_STREAMS', orderId, accountId: 9001, instrument: gold, side: 'BUY', quantity: 1, orderType: 'MARKET', timestamp: Date.now() }
+        };
+
+        await client.publishMessage('aggregator:orders', message);
+        await client.publishMessage('aggregator:orders', message);
+
+        await waitFor(() => aggregator.getMetrics().orderTransport.duplicates === 1);
+        await waitFor(() => filled(orderId));
+        expect(brokerPosition(gold)).toMatchObject({ size: 1 });
+        expect((await streamEntries(STREAMS.orderManagement)).filter(entry => entry.payload?.orderId === orderId)).toHaveLength(1);
+    });
+
+    test('orders sent while the aggregator is down, or read but never acknowledged, are placed once it is back', async () => {
+        await stopAggregator();
+
+        const interrupted = await client.submitOrder({ direction: 'LONG', instrument: gold, positionSize: 1 });
+        const queued = await client.submitOrder({ direction: 'LONG', instrument: gold, positionSize: 1 });
+
+        // A crash between reading the first order and finishing it leaves it pending on the aggregator's consumer
+        const [read] = await redis.xReadGroup('trading-aggregator', 'trading-aggregator',
+            { key: STREAMS.aggregatorOrders, id: '>' }, { COUNT: 1 });
+        expect(JSON.parse(read.messages[0].message.data).order.orderId).toBe(interrupted.orderId);
+
+        await startAggregator();
+
+        await waitFor(() => filled(interrupted.orderId) && filled(queued.orderId));
+        expect(brokerPosition(gold)).toMatchObject({ size: 2 });
+        expect(aggregator.getMetrics().orderTransport.replayed).toBeGreaterThanOrEqual(1);
+
+        const [pending] = await redis.sendCommand(['XPENDING', STREAMS.aggregatorOrders, 'trading-aggregator']);
+        expect(Number(pending)).toBe(0);
+    });
+
+    test('an order event read while nothing listens for it stays pending until the aggregator handles it', async () => {
+        await stopAggregator();
+
+        // Earlier tests can leave broker events pending on the stream; start it afresh
+        await redis.del(STREAMS.orderEvents);
+
+        // An adapter reading the streams before anything listens for order events
+        const bare = new RedisAdapter({ host: env.redisHost, port: env.redisPort });
+        const unhandled = [];
+        let id;
+        try {
+            await bare.initialize();
+            await bare.subscribeToOrders(async () => {});
+            bare.orderStream.on('handlerError', event => unhandled.push(event));
+            await bare.startOrderStreams();
+
+            id = await redis.xAdd(STREAMS.orderEvents, '*', {
+                data: JSON.stringify({ type: 'ORDER_STATUS_UPDATE', payload: { orderId: 'UNHEARD-1', status: 'WORKING' } })
+            });
+            expect(await waitFor(() => unhandled.find(event => event.id === id))).toMatchObject({
+                stream: STREAMS.orderEvents,
+                error: 'No listener for ORDER_STATUS_UPDATE'
+            });
+        } finally {
+            await bare.disconnect();
+        }
+
+        const pendingEvents = async () => (await redis.xPendingRange(STREAMS.orderEvents, 'trading-aggregator', '-', '+', 100))
+            .map(entry => entry.id);
+        expect(await pendingEvents()).toContain(id);
+
+        // Replayed into the wired aggregator during initialize()
+        await startAggregator();
+        expect(await pendingEvents()).toEqual([]);
+        expect(aggregator.getMetrics().orderTransport.replayed).toBeGreaterThanOrEqual(1);
+    });
+
+    test('an order that waited longer than the maximum age is dead-lettered instead of placed', async () => {
+        await stopAggregator();
+
+        const { orderId } = await client.submitOrder({ direction: 'LONG', instrument: gold, positionSize: 1 });
+        await new Promise(resolve => setTimeout(resolve, 500));
+
+        await startAggregator({ maxOrderAgeMs: 300 });
+
+        const deadLetter = await waitFor(() => deadLetters.find(message => message.message?.order?.orderId === orderId));
+        expect(deadLetter).toMatchObject({
+            type: 'UNDELIVERABLE_MESSAGE',
+            stream: STREAMS.aggregatorOrders,
+            group: 'trading-aggregator',
+            reason: 'EXPIRED'
+        });
+        expect(aggregator.getMetrics().orderTransport.expired).toBe(1);
+        expect(aggregator.state.orders.has(orderId)).toBe(false);
+        expect(brokerPosition(gold)).toBeNull();
+    });
+});
@@ -0,0 +1,134 @@
+// tests/e2e/paper-broker.test.js
+// Paper trading in the Connection Manager: orders sent through order:management
+// fill against the live quote feed after the configured latency, with adverse
+// slippage and in partial slices, get their bracket from the fill price and
+// close on the stop - while the broker behind the Connection Manager (here the
+// emulator) never sees an order.
+
+const { v4: uuidv4 } = require('uuid');
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+const ACCOUNT_ID = 9001;
+const LATENCY_MS = 200;
+
+describe('Paper broker (offline)', () => {
+    let env;
+    let gold;
+    let paperBroker;
+    let orderMessages;
+    let marketMessages;
+    let systemEvents;
+    let logSpy;
+
+    function paperPosition() {
+        return paperBroker.getOpenPositions(ACCOUNT_ID).find(position => position.contractId === gold) || null;
+    }
+
+    function openOrders() {
+        return paperBroker.searchOpenOrders({ accountId: ACCOUNT_ID }).orders;
+    }
+
+    beforeAll(async () => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        env = await startOfflineEnvironment({
+            scenario: { name: 'paper-broker', market: { autoQuotes: false, spreadTicks: 2 } },
+            connectionManager: {
+                paperTrading: { enabled: true, latencyMs: LATENCY_MS, slippageTicks: 1, partialFillSlices: 2 }
+            }
+        });
+        paperBroker = env.connectionManager.paperBroker;
+        gold = env.emulator.getContracts().find(contract => contract.symbolId === 'F.US.MGC').id;
+
+        orderMessages = await env.collectMessages('order:management');
+        marketMessages = await env.collectMessages('market:data');
+        systemEvents = await env.collectMessages('system:events');
+
+        // Bid 2649.9 / ask 2650.1
+        env.emulator.publishQuote(gold, 2650);
+        await waitFor(() => paperBroker.quotes.get(gold)?.ask === 2650.1);
+    });
+
+    afterAll(async () => {
+        await env.stop();
+        logSpy.mockRestore();
+    });
+
+    test('a market order fills late, slipped and in slices, then its bracket stops it out', async () => {
+        const orderId = `order-${uuidv4()}`;
+        const placedAt = Date.now();
+        await env.publish('order:management', {
+            type: 'PLACE_ORDER',
+            payload: {
+                instanceId: 'BOT_PAPER',
+                orderId,
+                orderType: 'MARKET',
+                instrument: gold,
+                side: 'BUY',
+                quantity: 4,
+                accountId: ACCOUNT_ID,
+                stopLossPoints: 5,
+                takeProfitPoints: 10
+            }
+        });
+
+        const response = await waitFor(() => orderMessages.find(message =>
+            message.type === 'ORDER_RESPONSE' && message.payload.orderId === orderId));
+        expect(response.payload.success).toBe(true);
+
+        // First slice at the ask plus one tick, no sooner than the latency
+        await waitFor(() => paperBroker.trades.length === 1);
+        const [firstSlice] = paperBroker.trades;
+        expect(firstSlice).toMatchObject({ side: 0, size: 2, price: 2650.2, profitAndLoss: null });
+        expect(Date.parse(firstSlice.creationTimestamp)).toBeGreaterThanOrEqual(placedAt + LATENCY_MS);
+        expect(paperPosition()).toMatchObject({ size: 2, averagePrice: 2650.2 });
+
+        // The rest fills on the next quote
+        env.emulator.publishQuote(gold, 2651);
+        const filled = await waitFor(() => marketMessages.find(message =>
+            message.type === 'ORDER_FILLED' && message.payload.orderId === firstSlice.orderId));
+        expect(filled.payload).toMatchObject({ side: 'BUY', filledQuantity: 4, filledPrice: 2650.7 });
+        expect(paperPosition()).toMatchObject({ size: 4, averagePrice: 2650.7 });
+
+        // Stop loss and take profit points from the average fill
+        await waitFor(() => openOrders().length === 2);
+        const stop = openOrders().find(order => order.type === 4);
+        const target = openOrders().find(order => order.type === 1);
+        expect(stop).toMatchObject({ side: 1, size: 4, stopPrice: 2645.7 });
+        expect(target).toMatchObject({ side: 1, size: 4, limitPrice: 2660.7 });
+
+        // Through the stop: sold at the bid less a tick, one slice per quote
+        env.emulator.publishQuote(gold, 2644);
+        await waitFor(() => paperPosition()?.size === 2);
+        env.emulator.publishQuote(gold, 2643.5);
+        await waitFor(() => paperPosition() === null);
+
+        expect(paperBroker.trades.slice(2)).toEqual([
+            expect.objectContaining({ side: 1, size: 2, price: 2643.8, profitAndLoss: -138 }),
+            expect.objectContaining({ side: 1, size: 2, price: 2643.3, profitAndLoss: -148 })
+        ]);
+        expect(openOrders()).toEqual([]);
+        expect(paperBroker.orders.get(target.id).status).toBe(3);
+
+        // Realized P&L and commissions (0.62 per contract per side) reach the balance
+        expect(paperBroker.getAccount(ACCOUNT_ID)).toEqual({ balance: 49709.04, realizedPnL: -286, fees: 4.96 });
+        const executions = await waitFor(() => {
+            const trades = systemEvents.filter(message => message.type === 'TRADE_EXECUTED');
+            return trades.length === 4 && trades;
+        });
+        expect(executions.map(message => message.payload.profitAndLoss)).toEqual([null, null, -138, -148]);
+    });
+
+    test('the broker behind the Connection Manager never receives an order', () => {
+        expect(env.emulator.broker.stats.ordersPlaced).toBe(0);
+        expect(env.emulator.broker.trades).toEqual([]);
+        expect(env.emulator.broker.getOpenPositions(ACCOUNT_ID)).toEqual([]);
+
+        expect(env.connectionManager.getStatus().paperTrading).toMatchObject({
+            enabled: true,
+            installed: true,
+            openOrders: 0,
+            openPositions: 0,
+            fills: 4
+        });
+    });
+});
@@ -0,0 +1,185 @@
+// tests/e2e/pdh-pdl-strategy.test.js
+// PDH/PDL strategy from the BOT_PDH_PDL.yaml config through TradingBot, the
+// historical bootstrap against the TopStepX emulator, and the bot config UI
+// (was test-pdh-bootstrap.js, test-pdh-pdl-end-to-end.js,
+// test-pdh-pdl-integration.js and test-ui-pdh-pdl-integration.js)
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const axios = require('axios');
+const TradingBot = require('../../src/core/trading/TradingBot');
+const PDHPDLStrategy = require('../../src/strategies/PDHPDLStrategy-Comprehensive');
+const { startOfflineEnvironment, TEST_USERNAME, TEST_API_KEY } = require('./helpers/offlineEnvironment');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function loadBotYaml() {
+    return yaml.load(fs.readFileSync(path.join(ROOT, 'BOT_PDH_PDL.yaml'), 'utf8'));
+}
+
+function buildBotConfig(config) {
+    return {
+        id: 'test-pdh-pdl-bot',
+        botId: 'e2e-test-bot',
+        name: config.bot.name,
+        enabled: config.bot.enabled,
+        port: config.bot.port,
+        strategy: {
+            type: config.bot.strategy,
+            ...config.strategy
+        },
+        instrument: config.trading.instrument,
+        risk: config.risk,
+        account: config.account,
+        trading: config.trading,
+        testMode: true,
+        aggregatorEnabled: false
+    };
+}
+
+describe('PDH/PDL strategy (offline)', () => {
+    // Every new strategy starts its historical bootstrap against the Connection
+    // Manager on port 7500; without one it has no bars and collects live data
+    let bootstrapSpy;
+
+    beforeAll(() => {
+        bootstrapSpy = jest.spyOn(PDHPDLStrategy.prototype, 'fetchHistoricalData')
+            .mockResolvedValue({ success: false, bars: [] });
+    });
+
+    afterAll(() => {
+        bootstrapSpy.mockRestore();
+    });
+
+    describe('bot integration', () => {
+        test('BOT_PDH_PDL.yaml maps onto the comprehensive PDH/PDL strategy', () => {
+            const config = loadBotYaml();
+            const bot = new TradingBot(buildBotConfig(config));
+
+            expect(config.bot.name).toBeTruthy();
+            expect(bot.mapStrategyType(config.bot.strategy)).toBe('PDH_PDL_COMPREHENSIVE');
+        });
+
+        test('TradingBot loads the strategy and processes market data', async () => {
+            const config = loadBotYaml();
+            const botConfig = buildBotConfig(config);
+            const bot = new TradingBot(botConfig);
+
+            await bot.initialize(botConfig);
+
+            expect(bot.strategy).toBeTruthy();
+            expect(bootstrapSpy).toHaveBeenCalledWith(expect.objectContaining({ contractId: 'F.US.MGC', unitNumber: 5 }));
+            expect(typeof bot.strategy.processMarketData).toBe('function');
+            expect(typeof bot.strategy.reset).toBe('function');
+            expect(typeof bot.strategy.isStrategyReady).toBe('function');
+
+            const result = await bot.strategy.processMarketData(1825.5, 2500, Date.now());
+            expect(result).toEqual(expect.any(Object));
+
+            const strategyConfig = bot.buildStrategyConfig(botConfig);
+            expect(strategyConfig.dollarRiskPerTrade).toBe(config.strategy.dollarRiskPerTrade);
+            expect(strategyConfig.enableBreakoutStrategy).toBe(config.strategy.enableBreakoutStrategy);
+            expect(strategyConfig.enableFadeStrategy).toBe(config.strategy.enableFadeStrategy);
+        });
+    });
+
+    describe('historical bootstrap', () => {
+        let env;
+        let token;
+
+        beforeAll(async () => {
+            env = await startOfflineEnvironment({ startConnectionManager: false });
+            const login = await axios.post(`${env.emulator.url}/api/Auth/loginKey`, {
+                userName: TEST_USERNAME,
+                apiKey: TEST_API_KEY
+            });
+            token = login.data.token;
+        });
+
+        afterAll(async () => {
+            await env.stop();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('PDH/PDL levels are bootstrapped from the previous RTH session', async () => {
+            // The bootstrap looks back 48 hours, which only spans a weekday session
+            // mid-week - pin the clock (and nothing else) to a Thursday evening
+            jest.useFakeTimers({
+                now: new Date(2025, 0, 16, 20, 0),
+                doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+                    'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance']
+            });
+
+            const strategy = new PDHPDLStrategy({
+                dollarRiskPerTrade: 100,
+                dollarPerPoint: 10,
+                maxRiskPoints: 3.0,
+                riskRewardRatio: 2.0,
+                enableBreakoutStrategy: true,
+                enableFadeStrategy: true
+            });
+
+            // Serve the strategy's bootstrap request from the emulator instead of port 7500
+            strategy.fetchHistoricalData = async requestData => {
+                const { data } = await axios.post(`${env.emulator.url}/api/History/retrieveBars`, requestData, {
+                    headers: { Authorization: `Bearer ${token}` }
+                });
+                return data;
+            };
+
+            await strategy.initializeWithHistoricalData();
+
+            const levels = strategy.state.pdhPdlLevels;
+            expect(levels.validRthCalculation).toBe(true);
+            expect(strategy.isStrategyReady()).toBe(true);
+            expect(levels.pdh).toBeGreaterThan(levels.pdl);
+            expect(levels.midpoint).toBeCloseTo((levels.pdh + levels.pdl) / 2, 6);
+            expect(levels.rthDataPoints).toBeGreaterThanOrEqual(20);
+
+            const result = await strategy.processMarketData(levels.pdh + 1, 5000, new Date());
+            expect(result).toEqual(expect.any(Object));
+        });
+    });
+
+    describe('bot config UI', () => {
+        const uiContent = fs.readFileSync(path.join(ROOT, 'src/core/trading/bot-config-ui.html'), 'utf8');
+
+        test('offers the PDH/PDL bot, strategy and MGC instrument', () => {
+            expect(uiContent).toContain('BOT_PDH_PDL');
+            expect(uiContent).toContain('PDH/PDL Daily Flip');
+            expect(uiContent).toContain('value="PDHPDLStrategy"');
+            expect(uiContent).toContain('PDH/PDL Daily Flip Strategy');
+            expect(uiContent).toContain('value="MGC"');
+            expect(uiContent).toContain('MGC - Micro Gold Futures');
+        });
+
+        test('the PDHPDLStrategy template exposes every strategy parameter with validation', () => {
+            const start = uiContent.indexOf('PDHPDLStrategy: {');
+            expect(start).toBeGreaterThan(-1);
+            const template = uiContent.substring(start, uiContent.indexOf('SCALPING: {', start));
+
+            for (const param of [
+                'volumeConfirmationMultiplier', 'breakoutBufferTicks', 'enableBreakoutStrategy',
+                'enableFadeStrategy', 'requireVwapAlignment', 'minVolumeRatio', 'stopNewSignalsAt',
+                'maxSignalsPerDay', 'signalCooldownMs', 'candlePeriodMs'
+            ]) {
+                expect(template).toContain(param);
+            }
+
+            expect(template).toContain('type: \'time\'');
+            expect(template).toMatch(/min:[\s\S]*max:[\s\S]*step:/);
+        });
+
+        test('checkbox parameters round-trip through the form', () => {
+            expect(uiContent).toContain('param.type === \'checkbox\'');
+            expect(uiContent).toContain('input.checked = value');
+            expect(uiContent).toContain('config.strategy.parameters[param.id] = input.checked');
+            expect(uiContent).toContain('.toggle-switch');
+            expect(uiContent).toContain('param-grid');
+        });
+    });
+});
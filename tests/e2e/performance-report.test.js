@@ -0,0 +1,209 @@
+// tests/e2e/performance-report.test.js
+// Performance reports from what the system records: CLOSE entries a bot writes
+// to its trade journal and the trades of a backtest run, analyzed per bot and
+// strategy in the report timezone, and the run-report CLI writing JSON, CSV and
+// HTML for both sources with its filters applied.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const TradingBot = require('../../src/core/trading/TradingBot');
+const TradeJournal = require('../../shared/modules/journal/TradeJournal');
+const BacktestEngine = require('../../src/core/backtest/BacktestEngine');
+const PerformanceReport = require('../../src/core/analytics/PerformanceReport');
+
+const RUN_REPORT = path.join(__dirname, '../../src/core/analytics/run-report.js');
+
+// One winner and two losers on MGC ($10 per point, $1.24 commission per round trip)
+const TRADES = [
+    {
+        position: { direction: 'LONG', entryPrice: 2650, positionSize: 2, riskPoints: 5, maxFavorablePrice: 2662, maxAdversePrice: 2648, subStrategy: 'breakout' },
+        open: '2026-03-02T14:35:00Z',
+        close: '2026-03-02T15:00:00Z',
+        closePrice: 2660,
+        reason: 'TAKE_PROFIT'
+    },
+    {
+        position: { direction: 'SHORT', entryPrice: 2660, positionSize: 1, riskPoints: 4, maxFavorablePrice: 2658, maxAdversePrice: 2664, subStrategy: 'fade' },
+        open: '2026-03-03T15:10:00Z',
+        close: '2026-03-03T15:40:00Z',
+        closePrice: 2664,
+        reason: 'STOP_LOSS'
+    },
+    {
+        position: { direction: 'LONG', entryPrice: 2655, positionSize: 1, riskPoints: 5, maxFavorablePrice: 2656, maxAdversePrice: 2651, subStrategy: 'breakout' },
+        open: '2026-03-04T19:05:00Z',
+        close: '2026-03-04T19:30:00Z',
+        closePrice: 2652,
+        reason: 'MANUAL'
+    }
+];
+
+function generateBars(count) {
+    const start = Date.parse('2026-03-05T14:00:00Z');
+    const bars = [];
+    for (let i = 0; i < count; i++) {
+        const mid = 2650 + 8 * Math.sin(i / 15) + i * 0.02;
+        const close = mid + 0.3 * Math.cos(i);
+        bars.push({
+            timestamp: start + i * 60000,
+            open: mid,
+            high: Math.max(mid, close) + 0.6,
+            low: Math.min(mid, close) - 0.6,
+            close,
+            volume: 100
+        });
+    }
+    return bars;
+}
+
+function runReport(args) {
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, [RUN_REPORT, ...args], { timeout: 60000 }, (error, stdout, stderr) => {
+            if (error) {
+                reject(new Error(`run-report failed: ${stderr || error.message}`));
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+describe('Performance report', () => {
+    let logSpy;
+    let directory;
+    let journalDirectory;
+    let strategyType;
+
+    beforeAll(async () => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'performance-report-'));
+        journalDirectory = path.join(directory, 'journal');
+
+        // A bot closing simulated positions on the journal's clock
+        let clock = 0;
+        const config = {
+            botId: 'BOT_REPORT',
+            instrument: 'F.US.MGC',
+            strategy: { type: 'EMA_CROSS' },
+            marketDataSource: 'BACKTEST',
+            journal: { enabled: true, directory: journalDirectory }
+        };
+        const bot = new TradingBot(config);
+        await bot.initialize(config);
+        bot.setClock({ now: () => clock });
+        strategyType = bot.runtimeConfig.strategyType;
+
+        TRADES.forEach(({ position, open, close, closePrice, reason }, index) => {
+            clock = Date.parse(close);
+            bot.closePosition({
+                id: `pos_report_${index}`,
+                instrument: 'F.US.MGC',
+                initialQuantity: position.positionSize,
+                openTime: new Date(open),
+                status: 'OPEN',
+                ...position
+            }, closePrice, reason);
+        });
+        await bot.journal.flush();
+        await bot.stop();
+    });
+
+    afterAll(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+        logSpy.mockRestore();
+    });
+
+    test('journal closes are analyzed with R-multiples, excursions and local entry times', async () => {
+        const journal = new TradeJournal({ directory: journalDirectory });
+        const { entries } = await journal.query({ type: 'CLOSE' });
+        const trades = PerformanceReport.tradesFromJournal(entries);
+        expect(trades).toHaveLength(3);
+
+        const report = new PerformanceReport({ timezone: 'America/New_York' }).build(trades);
+        const { overall } = report;
+
+        expect(report.period).toEqual({ from: '2026-03-02T14:35:00.000Z', to: '2026-03-04T19:30:00.000Z' });
+        expect(report.trades.map(trade => trade.netPnL)).toEqual([198.76, -41.24, -31.24]);
+        expect(overall).toMatchObject({ trades: 3, wins: 1, losses: 2, tradingDays: 3 });
+        expect(overall.netPnL).toBeCloseTo(126.28, 6);
+        expect(overall.expectancy).toBeCloseTo(126.28 / 3, 6);
+        expect(overall.profitFactor).toBeCloseTo(198.76 / 72.48, 6);
+        expect(overall.payoffRatio).toBeCloseTo(198.76 / 36.24, 6);
+
+        // Risk is the stop distance for the whole entry size
+        expect(report.trades.map(trade => trade.initialRisk)).toEqual([100, 40, 50]);
+        expect(overall.expectancyR).toBeCloseTo((1.9876 - 1.031 - 0.6248) / 3, 6);
+        expect(overall.rMultipleDistribution.filter(bucket => bucket.count > 0).map(bucket => bucket.label))
+            .toEqual(['-2R to -1R', '-1R to 0R', '1R to 2R']);
+        expect(overall.averageMAE).toBeCloseTo(40, 6);
+        expect(overall.averageMFE).toBeCloseTo(90, 6);
+
+        // Never recovered from the first close
+        expect(overall.maxDrawdown).toBeCloseTo(72.48, 6);
+        expect(overall.maxDrawdownDurationMs).toBe(Date.parse(TRADES[2].close) - Date.parse(TRADES[0].close));
+
+        // Entry hours and weekdays in New York time
+        expect(Object.keys(overall.byHour).sort()).toEqual(['09', '10', '14']);
+        expect(overall.byHour['09']).toMatchObject({ trades: 1, wins: 1, winRate: 100 });
+        expect(Object.keys(overall.byWeekday)).toEqual(['Mon', 'Tue', 'Wed']);
+
+        expect(Object.keys(report.byBot)).toEqual(['BOT_REPORT']);
+        expect(report.byStrategy[strategyType].trades).toBe(3);
+        expect(report.bySubStrategy.breakout).toMatchObject({ trades: 2, wins: 1 });
+        expect(report.bySubStrategy.fade).toMatchObject({ trades: 1, wins: 0 });
+    });
+
+    test('a report without losing trades keeps an infinite profit factor readable in every format', () => {
+        const exporter = new PerformanceReport();
+        const report = exporter.build([{
+            id: 'win', botId: 'BOT_<A>', strategy: 'EMA_CROSS', direction: 'LONG', quantity: 1,
+            entryPrice: 2650, exitPrice: 2655, entryTime: '2026-03-02T15:00:00Z', exitTime: '2026-03-02T15:30:00Z',
+            netPnL: 48.76, initialRisk: null, mae: null, mfe: null, exitReason: 'TAKE_PROFIT, trailed'
+        }]);
+
+        expect(report.overall.profitFactor).toBe(Infinity);
+        expect(JSON.parse(exporter.toJSON(report)).overall.profitFactor).toBe('Infinity');
+        expect(exporter.toCSV(report).split('\n')[1]).toMatch(/^overall,ALL,1,100,48\.76,48\.76,,Infinity,/);
+        expect(exporter.tradesToCSV(report)).toContain('"TAKE_PROFIT, trailed"');
+
+        const html = exporter.toHTML(report);
+        expect(html).toContain('BOT_&lt;A&gt;');
+        expect(html).not.toContain('BOT_<A>');
+    });
+
+    test('run-report combines the journal with backtest results and applies its filters', async () => {
+        const engine = new BacktestEngine({
+            botConfig: { botId: 'BACKTEST_REPORT', instrument: 'F.US.MGC', strategy: { type: 'EMA_CROSS' }, journal: { enabled: false } }
+        });
+        const results = await engine.run({ type: 'bars', records: generateBars(400) });
+        expect(results.trades.length).toBeGreaterThan(0);
+        const backtestFile = path.join(directory, 'backtest.json');
+        fs.writeFileSync(backtestFile, JSON.stringify(results));
+
+        const combined = path.join(directory, 'reports', 'combined');
+        const stdout = await runReport(['--journal', journalDirectory, '--backtest', backtestFile, '--out', combined]);
+        expect(stdout).toContain(`Trades:        ${3 + results.trades.length}`);
+
+        const report = JSON.parse(fs.readFileSync(`${combined}.json`, 'utf8'));
+        expect(report.overall.trades).toBe(3 + results.trades.length);
+        expect(report.byBot.BOT_REPORT.trades).toBe(3);
+        expect(report.byBot.BACKTEST_REPORT.trades).toBe(results.trades.length);
+        expect(report.byBot.BACKTEST_REPORT.netPnL).toBeCloseTo(results.summary.netPnL, 6);
+
+        const summaryRows = fs.readFileSync(`${combined}.csv`, 'utf8').trim().split('\n');
+        expect(summaryRows[0].split(',').slice(0, 3)).toEqual(['group', 'key', 'trades']);
+        expect(summaryRows.filter(row => row.startsWith('bot,'))).toHaveLength(2);
+        expect(fs.readFileSync(`${combined}-trades.csv`, 'utf8').trim().split('\n')).toHaveLength(1 + report.overall.trades);
+        expect(fs.readFileSync(`${combined}.html`, 'utf8')).toContain('<h1>Performance Report</h1>');
+
+        // Filters apply to both sources
+        const filtered = path.join(directory, 'reports', 'filtered');
+        await runReport(['--journal', journalDirectory, '--backtest', backtestFile, '--bot', 'BOT_REPORT', '--out', filtered]);
+        const filteredReport = JSON.parse(fs.readFileSync(`${filtered}.json`, 'utf8'));
+        expect(filteredReport.filters).toMatchObject({ botId: 'BOT_REPORT' });
+        expect(filteredReport.trades.map(trade => trade.botId)).toEqual(['BOT_REPORT', 'BOT_REPORT', 'BOT_REPORT']);
+        expect(filteredReport.overall.netPnL).toBeCloseTo(126.28, 6);
+    });
+});
@@ -0,0 +1,116 @@
+// tests/e2e/position-reconciliation.test.js
+// Broker reconciliation: positions held at the TopStepX emulator compared with
+// what the bots report, and the configured policy applied to naked, untracked
+// and unowned positions
+
+const { v4: uuidv4 } = require('uuid');
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+const ACCOUNT_ID = 9001;
+const BOT_ID = 'BOT_RECON';
+
+describe('Position reconciliation (offline)', () => {
+    let env;
+    let orderMessages;
+    let systemEvents;
+    let mgcContractId;
+    let mnqContractId;
+
+    function brokerPosition(contractId) {
+        return env.emulator.broker.getOpenPositions(ACCOUNT_ID).find(position => position.contractId === contractId);
+    }
+
+    async function placeMarketOrder(instanceId, contractId, side) {
+        const orderId = `order-${uuidv4()}`;
+        await env.publish('order:management', {
+            type: 'PLACE_ORDER',
+            payload: { instanceId, orderId, orderType: 'MARKET', instrument: contractId, side, quantity: 1, accountId: ACCOUNT_ID }
+        });
+
+        const response = await waitFor(() => orderMessages.find(message =>
+            message.type === 'ORDER_RESPONSE' && message.payload.orderId === orderId));
+        expect(response.payload.success).toBe(true);
+    }
+
+    async function reportFlat(botId, contractId) {
+        await env.publish('instance:control', {
+            type: 'BOT_POSITION_STATE',
+            payload: { botId, accountId: String(ACCOUNT_ID), contractId, position: null, pendingEntry: false },
+            timestamp: Date.now()
+        });
+        await waitFor(() => env.connectionManager.positionReconciliationService.botStates.has(botId));
+    }
+
+    beforeAll(async () => {
+        env = await startOfflineEnvironment({
+            connectionManager: {
+                reconciliation: {
+                    brokerPolicies: { NAKED_POSITION: 'bracket', UNOWNED_POSITION: 'flatten', UNTRACKED_POSITION: 'adopt' },
+                    actionGracePeriodMs: 0
+                }
+            }
+        });
+        const contracts = env.emulator.getContracts();
+        mgcContractId = contracts.find(contract => contract.symbolId === 'F.US.MGC').id;
+        mnqContractId = contracts.find(contract => contract.symbolId === 'F.US.MNQ').id;
+
+        // One bot trades MGC on the practice account; nothing trades MNQ there
+        env.connectionManager.botConfigs = { [BOT_ID]: { accountId: ACCOUNT_ID, instrument: 'F.US.MGC' } };
+
+        orderMessages = await env.collectMessages('order:management');
+        systemEvents = await env.collectMessages('system:events');
+    });
+
+    afterAll(async () => {
+        await env.stop();
+    });
+
+    test('a naked position the owning bot thinks is flat is bracketed and adopted', async () => {
+        await placeMarketOrder(BOT_ID, mgcContractId, 'BUY');
+        const position = await waitFor(() => brokerPosition(mgcContractId));
+        expect(position.stopLoss).toBeNull();
+
+        await reportFlat(BOT_ID, mgcContractId);
+        const results = await env.connectionManager.reconcilePositionsNow();
+
+        const types = results.discrepancies.filter(discrepancy => discrepancy.contractId === mgcContractId).map(discrepancy => discrepancy.type);
+        expect(types).toEqual(expect.arrayContaining(['NAKED_POSITION', 'UNTRACKED_POSITION']));
+
+        // Protective stop 40 ticks below the entry
+        await waitFor(() => brokerPosition(mgcContractId).stopLoss);
+        expect(brokerPosition(mgcContractId).stopLoss).toBeCloseTo(position.averagePrice - 40 * 0.1, 6);
+
+        const adoption = await waitFor(() => systemEvents.find(event => event.type === 'ADOPT_POSITION'));
+        expect(adoption.payload).toMatchObject({ botId: BOT_ID, contractId: mgcContractId, side: 'LONG', size: 1, positionId: position.id });
+
+        const alerts = systemEvents.filter(event => event.type === 'POSITION_DISCREPANCY').map(event => event.payload.type);
+        expect(alerts).toEqual(expect.arrayContaining(['NAKED_POSITION', 'UNTRACKED_POSITION']));
+    });
+
+    test('a position no bot trades is flattened', async () => {
+        env.emulator.broker.placeOrder({ accountId: ACCOUNT_ID, contractId: mnqContractId, type: 2, side: 1, size: 1 });
+        await waitFor(() => brokerPosition(mnqContractId));
+
+        const results = await env.connectionManager.reconcilePositionsNow();
+        expect(results.corrections).toEqual(expect.arrayContaining([
+            expect.objectContaining({ contractId: mnqContractId, type: 'UNOWNED_POSITION', action: 'FLATTEN', success: true })
+        ]));
+
+        await waitFor(() => !brokerPosition(mnqContractId));
+        expect(results.corrections.some(correction => correction.contractId === mnqContractId && correction.action === 'BRACKET')).toBe(false);
+    });
+
+    test('discrepancies resolve once the bot reports the position', async () => {
+        await env.publish('instance:control', {
+            type: 'BOT_POSITION_STATE',
+            payload: { botId: BOT_ID, accountId: String(ACCOUNT_ID), contractId: mgcContractId, position: { side: 'LONG', size: 1 } },
+            timestamp: Date.now()
+        });
+        await waitFor(() => env.connectionManager.positionReconciliationService.botStates.get(BOT_ID).position);
+
+        const results = await env.connectionManager.reconcilePositionsNow();
+
+        expect(results.discrepancies.filter(discrepancy => discrepancy.contractId === mgcContractId)).toEqual([]);
+        expect(env.connectionManager.getPositionReconciliationStatus().stats.brokerDiscrepancies).toEqual([]);
+    });
+});
@@ -0,0 +1,66 @@
+// tests/e2e/process-supervisor.test.js
+// The control panel's process supervisor on real child processes: a crash loop
+// uses up maxRestarts and the service is marked failed, while a process that
+// stays up for restartResetAfter between crashes keeps its restart count low.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProcessSupervisor = require('../../src/infrastructure/process/ProcessSupervisor');
+const { waitFor } = require('./helpers/offlineEnvironment');
+
+// A Node process that exits with code 1 after the given time
+function crashingService(name, afterMs) {
+    return { name, command: process.execPath, args: ['-e', `setTimeout(() => process.exit(1), ${afterMs})`] };
+}
+
+describe('Process supervisor', () => {
+    let logDir;
+    let supervisor;
+    let warnSpy;
+    let errorSpy;
+
+    beforeAll(() => {
+        logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'supervisor-logs-'));
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await supervisor.stopAll();
+    });
+
+    afterAll(() => {
+        warnSpy.mockRestore();
+        errorSpy.mockRestore();
+        fs.rmSync(logDir, { recursive: true, force: true });
+    });
+
+    test('a crash loop stops after maxRestarts and leaves the service failed', async () => {
+        supervisor = new ProcessSupervisor({ logDir, restartDelay: 10, maxRestarts: 2, restartResetAfter: 60000 });
+        supervisor.register(crashingService('CRASH_LOOP', 0));
+        const restarted = [];
+        supervisor.on('restarted', event => restarted.push(event.restarts));
+
+        await supervisor.start('CRASH_LOOP');
+        await waitFor(() => supervisor.getStatus('CRASH_LOOP').state === ProcessSupervisor.STATES.FAILED);
+
+        expect(restarted).toEqual([1, 2]);
+        expect(supervisor.getStatus('CRASH_LOOP')).toMatchObject({ restarts: 2, lastExit: { code: 1 } });
+    });
+
+    test('the restart count starts over once a process has stayed up for restartResetAfter', async () => {
+        supervisor = new ProcessSupervisor({ logDir, restartDelay: 10, maxRestarts: 2, restartResetAfter: 300 });
+        supervisor.register(crashingService('SLOW_CRASH', 400));
+        const exits = [];
+        supervisor.on('exit', event => exits.push(event));
+
+        await supervisor.start('SLOW_CRASH');
+
+        // Four crashes would have used up two restarts without the reset
+        await waitFor(() => exits.length >= 4);
+        const status = supervisor.getStatus('SLOW_CRASH');
+        expect(status.state).not.toBe(ProcessSupervisor.STATES.FAILED);
+        expect(status.restarts).toBe(1);
+    });
+});
@@ -0,0 +1,152 @@
+// tests/e2e/redis-rpc.test.js
+// Request/response over Redis through the shared RPC client and server: answers
+// are matched to their calls, unanswered calls time out and are retried under a
+// new request id, callers can cancel, and large historical data answers arrive
+// in chunks. Every call is counted per method on both sides.
+
+const RedisAdapter = require('../../src/core/aggregator/adapters/RedisAdapter');
+const { RpcClient } = require('../../shared/modules/messaging/RedisRpc');
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+function lastMinutes(minutes, overrides = {}) {
+    const endTime = new Date();
+    return {
+        instanceId: 'RPC_TEST',
+        instrument: 'F.US.MGC',
+        startTime: new Date(endTime.getTime() - minutes * 60 * 1000).toISOString(),
+        endTime: endTime.toISOString(),
+        unit: 2,                 // Minute
+        unitNumber: 1,
+        limit: minutes,
+        includePartialBar: false,
+        ...overrides
+    };
+}
+
+describe('Redis RPC (offline)', () => {
+    let env;
+    let adapter;
+
+    function rpcClient(config) {
+        return new RpcClient({
+            service: 'RPC_TEST',
+            publish: (channel, message) => env.publish(channel, message),
+            subscribe: async (channel, onMessage) => (await env.createRedisClient()).subscribe(channel, onMessage),
+            ...config
+        });
+    }
+
+    // Historical data the way bots ask for it: payload envelope, answered on historical:data:response
+    function historyClient(config = {}) {
+        return rpcClient({
+            requestChannel: 'connection-manager:requests',
+            responseChannel: 'historical:data:response',
+            ...config
+        });
+    }
+
+    beforeAll(async () => {
+        env = await startOfflineEnvironment();
+
+        adapter = new RedisAdapter({ host: env.redisHost, port: env.redisPort });
+        await adapter.initialize();
+        await adapter.subscribeToAggregatorRequests();
+    });
+
+    afterAll(async () => {
+        await adapter.disconnect();
+        await env.stop();
+    });
+
+    test('the aggregator gets its Connection Manager answers matched by request id, failures rejected and counted', async () => {
+        const response = await adapter.sendConnectionManagerRequest('GET_ACCOUNTS', {}, 5000);
+        expect(response).toMatchObject({ type: 'GET_ACCOUNTS', success: true });
+        expect(response.accounts.length).toBeGreaterThan(0);
+
+        await expect(adapter.sendConnectionManagerRequest('NOT_A_REQUEST', {}, 5000))
+            .rejects.toMatchObject({ code: 'REMOTE_ERROR', message: 'Unknown request type: NOT_A_REQUEST' });
+
+        const { methods, pending } = adapter.getStatus().rpc;
+        expect(pending).toBe(0);
+        expect(methods.GET_ACCOUNTS).toMatchObject({ calls: 1, succeeded: 1, failed: 0, inFlight: 0 });
+        // A remote failure is an answer - not retried
+        expect(methods.NOT_A_REQUEST).toMatchObject({ calls: 1, failed: 1, retries: 0 });
+    });
+
+    test('an unanswered call times out, is retried under new request ids and the server is told each time', async () => {
+        const requests = await env.collectMessages('rpc:test:requests');
+        const client = rpcClient({
+            requestChannel: 'rpc:test:requests',
+            responseChannel: 'rpc:test:responses',
+            timeoutMs: 100,
+            retries: 2,
+            retryDelayMs: 10
+        });
+
+        await expect(client.call('PING', { value: 1 })).rejects.toMatchObject({ code: 'TIMEOUT', method: 'PING' });
+
+        await waitFor(() => requests.length === 6);
+        const calls = requests.filter(message => message.type === 'PING');
+        expect(calls).toHaveLength(3);
+        expect(new Set(calls.map(message => message.requestId)).size).toBe(3);
+        expect(calls[0]).toMatchObject({ value: 1, responseChannel: 'rpc:test:responses' });
+        expect(requests.filter(message => message.type === 'RPC_CANCEL').map(message => message.requestId).sort())
+            .toEqual(calls.map(message => message.requestId).sort());
+
+        expect(client.getMetrics().methods.PING).toMatchObject({ calls: 1, failed: 1, timeouts: 1, retries: 2 });
+    });
+
+    test('a cancelled historical data request is taken off the Connection Manager queue and never answered', async () => {
+        const service = env.connectionManager.historicalDataService;
+        const responses = await env.collectMessages('historical:data:response');
+        const client = historyClient();
+        const controller = new AbortController();
+
+        // Nothing is worked on, so the request waits in the queue
+        service.config.maxConcurrentRequests = 0;
+        try {
+            const call = client.call('REQUEST_HISTORICAL_DATA', lastMinutes(30), { envelope: 'payload', signal: controller.signal });
+            await waitFor(() => service.requestQueue.length === 1);
+
+            controller.abort();
+            await expect(call).rejects.toMatchObject({ code: 'CANCELLED' });
+            await waitFor(() => service.getStatistics().rpc.methods.REQUEST_HISTORICAL_DATA?.cancelled === 1);
+            expect(service.requestQueue).toHaveLength(0);
+        } finally {
+            service.config.maxConcurrentRequests = 5;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 300));
+        expect(responses).toEqual([]);
+        expect(client.getMetrics().methods.REQUEST_HISTORICAL_DATA).toMatchObject({ cancelled: 1, inFlight: 0 });
+    });
+
+    test('a large historical data answer is streamed in numbered chunks and joined', async () => {
+        const client = historyClient();
+        const request = lastMinutes(300);
+        const chunks = [];
+
+        const streamed = await client.call('REQUEST_HISTORICAL_DATA', { ...request, streamChunkSize: 100 }, {
+            envelope: 'payload',
+            onChunk: chunk => chunks.push(chunk)
+        });
+        const whole = await client.call('REQUEST_HISTORICAL_DATA', request, { envelope: 'payload' });
+
+        expect(whole.stream).toBeUndefined();
+        expect(whole.bars.length).toBeGreaterThan(200);
+        expect(streamed.bars).toEqual(whole.bars);
+
+        const count = Math.ceil(whole.bars.length / 100);
+        expect(chunks.map(chunk => chunk.stream.seq)).toEqual([...Array(count).keys()]);
+        expect(chunks.map(chunk => chunk.stream.done)).toEqual([...Array(count - 1).fill(false), true]);
+        chunks.forEach(chunk => {
+            expect(chunk.bars.length).toBeLessThanOrEqual(100);
+            expect(chunk.stream.total).toBe(whole.bars.length);
+            expect(chunk.stream.fields).toContain('bars');
+        });
+
+        expect(client.getMetrics().methods.REQUEST_HISTORICAL_DATA).toMatchObject({ calls: 2, succeeded: 2, chunks: count });
+        const served = env.connectionManager.historicalDataService.getStatistics().rpc.methods.REQUEST_HISTORICAL_DATA;
+        expect(served.chunks).toBe(count);
+    });
+});
@@ -0,0 +1,134 @@
+// tests/e2e/risk-limits.test.js
+// Aggregator risk checks on the positions fills leave behind: fills net per
+// account and contract, flat positions drop out, notional limits apply to the
+// resulting net position and an order that reduces a position always passes.
+// Instruments without a point value are refused, never priced at a default,
+// and so is a stop price that cannot be priced for want of an entry price.
+
+const RiskManager = require('../../src/core/aggregator/core/RiskManager');
+const TradingBot = require('../../src/core/trading/TradingBot');
+
+const MGC = 'CON.F.US.MGC.Z26';
+const MNQ = 'CON.F.US.MNQ.Z26';
+
+function order(action, quantity, overrides = {}) {
+    return { id: `${action}-${quantity}`, accountId: '9001', instrument: MGC, action, quantity, price: 2650, ...overrides };
+}
+
+function fill(side, quantity, overrides = {}) {
+    return { accountId: '9001', instrument: MGC, side, quantity, fillPrice: 2650, ...overrides };
+}
+
+function violationTypes(result) {
+    return result.violations.map(violation => violation.type);
+}
+
+describe('Risk limits on net positions', () => {
+    let logSpy;
+    let risk;
+
+    beforeAll(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        logSpy.mockRestore();
+    });
+
+    // A fixed time well before the Z26 roll date
+    function validate(candidate) {
+        return risk.validateOrder(candidate, { timestamp: '2026-10-01T15:00:00Z' });
+    }
+
+    beforeEach(() => {
+        // $26,500 per MGC contract at 2650
+        risk = new RiskManager({ allowedTradingHours: null, maxInstrumentNotional: 100000, maxOpenPositions: 1 });
+    });
+
+    test('a long can be closed and re-entered under an instrument notional limit', async () => {
+        risk.updatePosition(fill('BUY', 2));
+        expect(risk.getNotionalExposure()).toBe(53000);
+
+        // Closing is allowed even though the old per-order sum would have been $106,000
+        const close = await validate(order('SELL', 2));
+        expect(close.valid).toBe(true);
+
+        expect(risk.updatePosition(fill('SELL', 2))).toBeNull();
+        expect(risk.state.openPositions.size).toBe(0);
+        expect(risk.getNotionalExposure()).toBe(0);
+
+        const reentry = await validate(order('BUY', 1));
+        expect(reentry.valid).toBe(true);
+    });
+
+    test('orders that grow the net position are checked at the resulting size, in either direction', async () => {
+        risk.updatePosition(fill('BUY', 3));
+
+        // 3 -> 4 lots is $106,000
+        expect(violationTypes(await validate(order('BUY', 1)))).toEqual(['MAX_INSTRUMENT_EXPOSURE']);
+        // 3 -> -1 lots is $26,500 short
+        expect((await validate(order('SELL', 4))).valid).toBe(true);
+        // 3 -> -4 lots is $106,000 short
+        expect(violationTypes(await validate(order('SELL', 7)))).toEqual(['MAX_INSTRUMENT_EXPOSURE']);
+    });
+
+    test('a reducing order passes even when the position is already over the limit', async () => {
+        risk.updatePosition(fill('SELL', 4));
+        expect(risk.getNotionalExposure()).toBe(106000);
+
+        expect((await validate(order('BUY', 1))).valid).toBe(true);
+        expect((await validate(order('BUY', 8))).valid).toBe(true);
+        // Flipping through to 5 lots long grows the position past the limit
+        expect(violationTypes(await validate(order('BUY', 9)))).toEqual(['MAX_INSTRUMENT_EXPOSURE']);
+    });
+
+    test('fills net per account and contract with an average entry price', () => {
+        risk.updatePosition(fill('BUY', 1, { fillPrice: 2600 }));
+        risk.updatePosition(fill('BUY', 1, { fillPrice: 2700 }));
+        risk.updatePosition(fill('BUY', 1, { accountId: '9002' }));
+        expect(risk.state.openPositions.get(risk.getPositionKey('9001', MGC))).toMatchObject({ quantity: 2, price: 2650 });
+
+        // Reducing keeps the entry price, flipping starts a new one at the fill
+        expect(risk.updatePosition(fill('SELL', 1, { fillPrice: 2800 }))).toMatchObject({ quantity: 1, price: 2650 });
+        expect(risk.updatePosition(fill('SELL', 3, { fillPrice: 2800 }))).toMatchObject({ quantity: -2, price: 2800 });
+        expect(risk.state.openPositions.size).toBe(2);
+    });
+
+    test('the open position count only blocks orders that open a new position', async () => {
+        risk.updatePosition(fill('BUY', 1));
+
+        expect((await validate(order('SELL', 1))).valid).toBe(true);
+        expect((await validate(order('BUY', 1))).valid).toBe(true);
+        expect(violationTypes(await validate(order('BUY', 1, { instrument: MNQ, price: 21000 }))))
+            .toEqual(['MAX_POSITIONS']);
+    });
+
+    test('a stop price without an entry or market price is refused instead of priced at no risk', async () => {
+        // No notional limits, which need a price of their own
+        risk = new RiskManager({ allowedTradingHours: null });
+        const stopped = order('BUY', 2, { price: null, stopLoss: 2640 });
+
+        const unpriced = await validate(stopped);
+        expect(violationTypes(unpriced)).toEqual(['RISK_UNKNOWN']);
+        expect(unpriced.violations[0]).toMatchObject({ severity: 'HIGH' });
+        expect(unpriced.riskMetrics.riskAmount).toBeNull();
+
+        // The cached market price prices it: 100 ticks at $1 for 2 contracts
+        const priced = await risk.validateOrder(stopped, { timestamp: '2026-10-01T15:00:00Z', marketPrice: 2650 });
+        expect(priced.valid).toBe(true);
+        expect(priced.riskMetrics.riskAmount).toBe(200);
+
+        // Stop points need no entry price, and an order without a stop carries no stop risk
+        expect((await validate(order('BUY', 2, { price: null, stopLossPoints: 10 }))).riskMetrics.riskAmount).toBe(200);
+        expect((await validate(order('BUY', 2, { price: null }))).valid).toBe(true);
+    });
+
+    test('an instrument without a point value is refused instead of priced at a default', async () => {
+        const unknown = order('BUY', 1, { instrument: 'CON.F.US.XYZ.Z26' });
+        expect(violationTypes(await validate(unknown))).toContain('UNKNOWN_INSTRUMENT');
+
+        const bot = new TradingBot('POINT_VALUE_TEST');
+        expect(bot.getInstrumentMultiplier(MGC)).toBe(10);
+        expect(() => bot.getInstrumentMultiplier('CON.F.US.XYZ.Z26')).toThrow('No point value for CON.F.US.XYZ.Z26');
+    });
+});
@@ -0,0 +1,128 @@
+// tests/e2e/statistics-and-pnl.test.js
+// Orders, P&L and account statistics through Redis, the aggregator's Redis
+// bridge and the Connection Manager, filled by the TopStepX emulator
+// (was test-statistics-flow.js, test-pnl-module.js, test-pnl-simple.js,
+// test-pnl-correct-types.js, test-pnl-real-accounts.js and test-live-pnl-monitoring.js)
+
+const { v4: uuidv4 } = require('uuid');
+const RedisAdapter = require('../../src/core/aggregator/adapters/RedisAdapter');
+const PnLModule = require('../../src/core/pnl/PnLModule');
+const { startOfflineEnvironment, waitFor } = require('./helpers/offlineEnvironment');
+
+const ACCOUNT_ID = 9001;
+
+describe('Statistics and P&L (offline)', () => {
+    let env;
+    let adapter;
+    let pnlModule;
+    let orderMessages;
+    let contractId;
+
+    async function requestStatistics() {
+        const requestId = uuidv4();
+        const responseChannel = `statistics:response:${requestId}`;
+        const responses = await env.collectMessages(responseChannel);
+
+        await env.publish('aggregator:requests', {
+            type: 'GET_STATISTICS',
+            requestId,
+            responseChannel,
+            accountId: String(ACCOUNT_ID),
+            statisticsType: 'todaystats',
+            timestamp: Date.now()
+        });
+
+        const [response] = await waitFor(() => responses.length > 0 && responses);
+        return response;
+    }
+
+    async function placeMarketOrder(side) {
+        const orderId = `order-${uuidv4()}`;
+        await env.publish('order:management', {
+            type: 'PLACE_ORDER',
+            payload: {
+                instanceId: 'BOT_1',
+                orderId,
+                orderType: 'MARKET',
+                instrument: contractId,
+                side,
+                quantity: 1,
+                accountId: ACCOUNT_ID
+            }
+        });
+
+        const response = await waitFor(() => orderMessages.find(message =>
+            message.type === 'ORDER_RESPONSE' && message.payload.orderId === orderId));
+        return response.payload;
+    }
+
+    beforeAll(async () => {
+        env = await startOfflineEnvironment({ scenario: { name: 'statistics', market: { autoQuotes: false, spreadTicks: 1 } } });
+        contractId = env.emulator.getContracts().find(contract => contract.symbolId === 'F.US.MGC').id;
+        orderMessages = await env.collectMessages('order:management');
+
+        // The aggregator's Redis bridge forwards aggregator:requests and answers P&L requests
+        adapter = new RedisAdapter({ host: env.redisHost, port: env.redisPort });
+        await adapter.initialize();
+        await adapter.subscribeToAggregatorRequests();
+        await adapter.subscribeToPnLRequests();
+
+        pnlModule = new PnLModule({
+            redis: { host: env.redisHost, port: env.redisPort },
+            refreshInterval: 60000
+        });
+        await pnlModule.initialize();
+    });
+
+    afterAll(async () => {
+        await pnlModule.disconnect();
+        await adapter.disconnect();
+        await env.stop();
+    });
+
+    test('GET_STATISTICS for an account without trades returns zeros on the response channel', async () => {
+        const response = await requestStatistics();
+
+        expect(response.success).toBe(true);
+        expect(response.type).toBe('GET_STATISTICS');
+        expect(response.statistics).toMatchObject({ totalTrades: 0, winRate: 0, totalPnL: 0 });
+    });
+
+    test('a market order placed through order:management is filled by the emulator', async () => {
+        const response = await placeMarketOrder('BUY');
+
+        expect(response.success).toBe(true);
+        expect(response.topStepOrderId).toBeTruthy();
+
+        const [position] = await waitFor(() => {
+            const positions = env.emulator.broker.getOpenPositions(ACCOUNT_ID);
+            return positions.length > 0 && positions;
+        });
+        expect(position).toMatchObject({ contractId, size: 1 });
+    });
+
+    test('PnLModule account P&L includes the open position with its live P&L', async () => {
+        const entry = env.emulator.broker.getOpenPositions(ACCOUNT_ID)[0].averagePrice;
+        env.emulator.publishQuote(contractId, entry + 2);     // +$20 on one MGC
+
+        const accountPnL = await waitFor(async () => {
+            const pnl = await pnlModule.getAccountPnL(String(ACCOUNT_ID));
+            return pnl.unrealizedPnL > 0 && pnl;
+        });
+
+        expect(accountPnL.positions).toHaveLength(1);
+        expect(accountPnL.positions[0]).toMatchObject({ contractId, positionSize: 1 });
+        expect(accountPnL.unrealizedPnL).toBeCloseTo(20, 0);
+        expect(pnlModule.getDailyPnLSummary().accountPnL[String(ACCOUNT_ID)]).toBeDefined();
+    });
+
+    test('closing the position shows up in the account statistics', async () => {
+        const response = await placeMarketOrder('SELL');
+        expect(response.success).toBe(true);
+        await waitFor(() => env.emulator.broker.getOpenPositions(ACCOUNT_ID).length === 0);
+
+        const statistics = await requestStatistics();
+        expect(statistics.statistics).toMatchObject({ totalTrades: 1, winningTrades: 1, losingTrades: 0, winRate: 100 });
+        expect(statistics.statistics.totalPnL).toBeGreaterThan(15);
+    });
+});
@@ -0,0 +1,61 @@
+// tests/e2e/trade-journal.test.js
+// The trade journal on the trading path: entries it cannot record - unknown
+// types, unparseable timestamps, data that does not serialize - are logged and
+// dropped instead of thrown into the bot or aggregator that recorded them, and
+// the entries around them still land on disk in order.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TradeJournal = require('../../shared/modules/journal/TradeJournal');
+
+describe('Trade journal', () => {
+    let directory;
+    let errorSpy;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'trade-journal-'));
+        errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        errorSpy.mockRestore();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('entries that cannot be recorded are logged and dropped, never thrown', async () => {
+        const journal = new TradeJournal({ source: 'BOT_JOURNAL', directory });
+        const entry = { botId: 'BOT_JOURNAL', instrument: 'CON.F.US.MGC.Z26', accountId: 9001 };
+        const circular = { reason: 'loop' };
+        circular.self = circular;
+
+        expect(journal.record('SIGNAL', { ...entry, timestamp: '2026-03-02T15:00:00Z', data: { direction: 'LONG' } }))
+            .toMatchObject({ type: 'SIGNAL', accountId: '9001', timestamp: '2026-03-02T15:00:00.000Z' });
+        expect(journal.record('POSITION_OPENED', entry)).toBeNull();
+        expect(journal.record('FILL', { ...entry, timestamp: 'not a time' })).toBeNull();
+        expect(journal.record('FILL', { ...entry, timestamp: NaN })).toBeNull();
+        expect(journal.record('CLOSE', { ...entry, context: circular })).toBeNull();
+        expect(journal.record('ORDER', { ...entry, timestamp: '2026-03-02T15:00:01Z', data: { quantity: 1 } })).not.toBeNull();
+
+        expect(errorSpy.mock.calls.map(([message]) => message)).toEqual([
+            '❌ Dropped trade journal entry (POSITION_OPENED): unknown entry type POSITION_OPENED',
+            '❌ Dropped trade journal entry (FILL): invalid timestamp not a time',
+            '❌ Dropped trade journal entry (FILL): invalid timestamp NaN',
+            expect.stringMatching(/^❌ Dropped trade journal entry \(CLOSE\): .*circular/i)
+        ]);
+        expect(journal.getStatus()).toMatchObject({ recorded: 2, dropped: 4, writeErrors: 0 });
+
+        const { entries } = await journal.query({});
+        expect(entries.map(recorded => recorded.type)).toEqual(['ORDER', 'SIGNAL']);
+        expect(fs.readdirSync(path.join(directory, 'BOT_JOURNAL'))).toEqual(['2026-03-02.jsonl']);
+    });
+
+    test('a disabled journal records nothing', () => {
+        const journal = new TradeJournal({ directory, enabled: false });
+
+        expect(journal.record('SIGNAL', {})).toBeNull();
+        expect(journal.record('UNKNOWN', {})).toBeNull();
+        expect(journal.getStatus()).toMatchObject({ recorded: 0, dropped: 0 });
+        expect(errorSpy).not.toHaveBeenCalled();
+    });
+});
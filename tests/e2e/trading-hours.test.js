@@ -0,0 +1,128 @@
+// tests/e2e/trading-hours.test.js
+// A bot's tradingHours on the risk checks of a UTC box: several named sessions
+// in their own timezones and weekdays, overnight sessions, end minutes that are
+// inclusive, and exchange calendars whose holidays and early closes close only
+// the session they fall in - the evening Globex reopen still trades.
+
+const TradingBot = require('../../src/core/trading/TradingBot');
+const TradingSchedule = require('../../shared/modules/market-data/TradingSchedule');
+
+const GLOBEX = { name: 'Globex', start: '17:00', end: '16:00', timezone: 'America/Chicago', days: [0, 1, 2, 3, 4] };
+
+async function startBot(tradingHours) {
+    const config = {
+        botId: 'BOT_HOURS',
+        instrument: 'F.US.MES',
+        strategy: { type: 'EMA_CROSS' },
+        journal: { enabled: false },
+        testMode: true,
+        tradingHours: { enabled: true, ...tradingHours }
+    };
+    const bot = new TradingBot(config);
+    await bot.initialize(config);
+    return bot;
+}
+
+describe('Trading hours', () => {
+    let logSpy;
+
+    beforeAll(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        logSpy.mockRestore();
+    });
+
+    test('orders are checked against every named session in its own timezone', async () => {
+        const bot = await startBot({
+            sessions: [
+                { name: 'London', start: '08:00', end: '11:30', timezone: 'Europe/London', days: [1, 2, 3, 4, 5] },
+                { name: 'New York', start: '09:30', end: '16:00', timezone: 'America/New_York', days: [1, 2, 3, 4, 5] }
+            ]
+        });
+        const order = { id: 'hours-1', accountId: '9001', instrument: 'F.US.MES', action: 'BUY', quantity: 1, price: 6000 };
+        const violations = async timestamp => (await bot.riskManager.validateOrder(order, { timestamp })).violations
+            .filter(violation => violation.type === 'OUTSIDE_TRADING_HOURS');
+
+        // Wednesday 2026-03-04: London 08:00-11:30 GMT, New York 14:30-21:00 UTC
+        expect(bot.riskManager.getTradingHoursStatus('2026-03-04T08:00:00Z')).toMatchObject({ open: true, session: 'London' });
+        expect(bot.riskManager.getTradingHoursStatus('2026-03-04T11:30:59Z')).toMatchObject({ open: true, session: 'London' });
+        expect(bot.riskManager.getTradingHoursStatus('2026-03-04T11:31:00Z')).toMatchObject({ open: false, reason: 'OUTSIDE_SESSIONS' });
+        expect(bot.riskManager.getTradingHoursStatus('2026-03-04T14:30:00Z')).toMatchObject({ open: true, session: 'New York' });
+        expect(bot.riskManager.getTradingHoursStatus('2026-03-04T21:00:59Z')).toMatchObject({ open: true, session: 'New York' });
+
+        // Saturday is not a session day
+        expect(bot.riskManager.getTradingHoursStatus('2026-03-07T15:00:00Z')).toMatchObject({ open: false });
+
+        // US daylight saving starts 2026-03-08, London's not until 2026-03-29
+        expect(bot.riskManager.getTradingHoursStatus('2026-03-09T13:30:00Z')).toMatchObject({ open: true, session: 'New York' });
+        expect(bot.riskManager.getTradingHoursStatus('2026-03-09T20:30:00Z')).toMatchObject({ open: false });
+
+        expect(await violations('2026-03-04T15:00:00Z')).toEqual([]);
+        expect(await violations('2026-03-04T12:00:00Z')).toEqual([expect.objectContaining({
+            message: 'Order placed outside allowed trading hours: OUTSIDE_SESSIONS'
+        })]);
+
+        await bot.stop();
+    });
+
+    test('an overnight session belongs to the day it opens', async () => {
+        const bot = await startBot({ sessions: [GLOBEX] });
+        const status = timestamp => bot.riskManager.getTradingHoursStatus(timestamp);
+
+        // Sunday 17:00 CT opens the week, Friday 16:00 CT closes it
+        expect(status('2026-03-01T22:59:00Z')).toMatchObject({ open: false });
+        expect(status('2026-03-01T23:00:00Z')).toMatchObject({ open: true, session: 'Globex' });
+        expect(status('2026-03-03T05:00:00Z')).toMatchObject({ open: true, session: 'Globex' });
+        // The daily break
+        expect(status('2026-03-03T22:30:00Z')).toMatchObject({ open: false, reason: 'OUTSIDE_SESSIONS' });
+        expect(status('2026-03-06T22:00:59Z')).toMatchObject({ open: true });
+        expect(status('2026-03-06T23:30:00Z')).toMatchObject({ open: false });
+        expect(status('2026-03-07T12:00:00Z')).toMatchObject({ open: false });
+
+        await bot.stop();
+    });
+
+    test('an early close cuts the session it falls in and the evening reopen still trades', async () => {
+        const bot = await startBot({ calendar: 'CME_EQUITY', sessions: [GLOBEX] });
+        const status = timestamp => bot.riskManager.getTradingHoursStatus(timestamp);
+
+        // Thanksgiving 2026-11-26 closes at 13:00 ET, to the minute
+        expect(status('2026-11-26T17:00:00Z')).toMatchObject({ open: true, session: 'Globex' });
+        expect(status('2026-11-26T18:00:59Z')).toMatchObject({ open: true, session: 'Globex' });
+        expect(status('2026-11-26T18:01:00Z')).toEqual({
+            open: false, session: null, reason: 'EARLY_CLOSE (CME_EQUITY 2026-11-26)'
+        });
+        expect(status('2026-11-26T22:30:00Z')).toMatchObject({ open: false, reason: 'OUTSIDE_SESSIONS' });
+
+        // Globex reopens 17:00 CT the same evening
+        expect(status('2026-11-26T23:30:00Z')).toMatchObject({ open: true, session: 'Globex' });
+
+        await bot.stop();
+    });
+
+    test('a holiday closes the session trading for it and not the reopen that evening', async () => {
+        const schedule = new TradingSchedule({ calendar: 'CME_EQUITY', sessions: [GLOBEX] });
+
+        // New Year's Day 2026 is a Thursday: the session opening Wednesday evening trades for it
+        expect(schedule.getStatus('2025-12-31T21:00:00Z')).toMatchObject({ open: true, session: 'Globex' });
+        expect(schedule.getStatus('2026-01-01T00:30:00Z')).toEqual({
+            open: false, session: null, reason: 'HOLIDAY (CME_EQUITY 2026-01-01)'
+        });
+        expect(schedule.getStatus('2026-01-01T15:00:00Z')).toMatchObject({ open: false, reason: 'HOLIDAY (CME_EQUITY 2026-01-01)' });
+
+        // Thursday 17:00 CT opens the session for Friday 2026-01-02
+        expect(schedule.getStatus('2026-01-01T23:30:00Z')).toMatchObject({ open: true, session: 'Globex' });
+        expect(schedule.getSession('2026-01-01T23:30:00Z')).toMatchObject({ tradeDate: '2026-01-02', inSession: true });
+    });
+
+    test('without sessions a calendar closes whole local dates', () => {
+        const schedule = new TradingSchedule({ calendar: 'CME_EQUITY' });
+
+        expect(schedule.getStatus('2026-12-25T23:00:00Z')).toMatchObject({ open: false, reason: 'HOLIDAY (CME_EQUITY 2026-12-25)' });
+        expect(schedule.getStatus('2026-12-24T18:15:59Z')).toMatchObject({ open: true });
+        expect(schedule.getStatus('2026-12-24T18:16:00Z')).toMatchObject({ open: false, reason: 'EARLY_CLOSE (CME_EQUITY 2026-12-24)' });
+        expect(schedule.getStatus('2026-12-28T03:00:00Z')).toEqual({ open: true, session: null, reason: null });
+    });
+});
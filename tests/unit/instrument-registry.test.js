@@ -0,0 +1,126 @@
+// tests/unit/instrument-registry.test.js
+// The shared instrument registry: every symbol form resolving to one spec from
+// config/instruments.yaml, active contracts and roll dates from the rollover
+// schedule, and TopStep contracts overriding both - cached where the registry
+// is pointed so the next process loads them.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const instrumentRegistry = require('../../shared/modules/contracts/InstrumentRegistry');
+
+// October 1st 2026, local time like the registry's estimated expiries
+const OCTOBER = new Date(2026, 9, 1);
+
+const TOPSTEP_MES = [
+    { contractId: 'CON.F.US.MES.H27', symbol: 'F.US.MES', name: 'MESH27', tickSize: 0.25, tickValue: 1.25, pointValue: 5, expirationDate: '2027-03-19T13:30:00Z' },
+    { contractId: 'CON.F.US.MES.Z26', symbol: 'F.US.MES', name: 'MESZ26', tickSize: 0.25, tickValue: 1.5, pointValue: 6, expirationDate: '2026-12-18T14:30:00Z' },
+    { contractId: 'CON.F.US.MES.U26', symbol: 'F.US.MES', name: 'MESU26', isActive: false }
+];
+
+describe('Instrument registry', () => {
+    let originalCachePath;
+    let directory;
+    let cachePath;
+
+    beforeAll(() => {
+        originalCachePath = instrumentRegistry.config.contractsCachePath;
+    });
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'instrument-registry-'));
+        cachePath = path.join(directory, 'contracts', 'topstep-contracts.json');
+        instrumentRegistry.configure({ contractsCachePath: cachePath });
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    afterAll(() => {
+        instrumentRegistry.configure({ contractsCachePath: originalCachePath });
+    });
+
+    test('every symbol form resolves to the configured spec and the scheduled contract month', () => {
+        const expected = {
+            symbol: 'MES',
+            name: 'Micro E-mini S&P 500',
+            tickSize: 0.25,
+            tickValue: 1.25,
+            pointValue: 5,
+            currency: 'USD',
+            activeContract: 'CON.F.US.MES.Z26',
+            expirationDate: null,
+            source: 'config'
+        };
+
+        for (const symbol of ['MES', 'f.us.mes', 'CON.F.US.MES.H27']) {
+            expect(instrumentRegistry.resolve(symbol, OCTOBER)).toMatchObject(expected);
+        }
+        expect(instrumentRegistry.getTradingHours('MES')).toMatchObject({ timezone: 'America/Chicago', calendar: 'CME_EQUITY' });
+        expect(instrumentRegistry.getPointValue('F.US.MGC')).toBe(10);
+
+        // Micro gold stays in December until December rolls
+        expect(instrumentRegistry.getActiveContract('MGC', new Date(2026, 1, 1))).toBe('CON.F.US.MGC.Z26');
+        expect(instrumentRegistry.getActiveContract('MGC', new Date(2026, 11, 16))).toBe('CON.F.US.MGC.Z27');
+
+        expect(instrumentRegistry.resolve('XYZ')).toBeNull();
+        expect(instrumentRegistry.has('CON.F.US.XYZ.Z26')).toBe(false);
+    });
+
+    test('roll info follows the schedule from active through warning to roll', () => {
+        // MES Z26 is estimated to expire on the 20th and rolls eight days before
+        const rollDate = new Date(2026, 11, 12);
+        const info = instrumentRegistry.getRollInfo('CON.F.US.MES.Z26', OCTOBER);
+
+        expect(info).toMatchObject({
+            symbol: 'MES',
+            contractId: 'CON.F.US.MES.Z26',
+            nextContractId: 'CON.F.US.MES.H27',
+            expirationDate: new Date(2026, 11, 20),
+            rollDate,
+            phase: 'ACTIVE'
+        });
+        expect(instrumentRegistry.getRollInfo('CON.F.US.MES.Z26', new Date(2026, 11, 10)).phase).toBe('WARNING');
+        expect(instrumentRegistry.getRollInfo('CON.F.US.MES.Z26', new Date(2026, 11, 13)).phase).toBe('ROLL');
+
+        // A generic symbol means the active contract; December gold rolls to next December
+        expect(instrumentRegistry.getRollInfo('MES', OCTOBER).contractId).toBe('CON.F.US.MES.Z26');
+        expect(instrumentRegistry.getRollInfo('CON.F.US.MGC.Z26', OCTOBER).nextContractId).toBe('CON.F.US.MGC.Z27');
+    });
+
+    test('TopStep contracts override the spec, are cached where configured and load in the next process', () => {
+        expect(instrumentRegistry.seedFromContracts(TOPSTEP_MES)).toBe(2);
+
+        const resolved = instrumentRegistry.resolve('MES', OCTOBER);
+        expect(resolved).toMatchObject({ activeContract: 'CON.F.US.MES.Z26', tickValue: 1.5, pointValue: 6, source: 'topstep' });
+        // The broker's expiry sets the roll date, and the next listed month follows
+        expect(instrumentRegistry.getRollInfo('CON.F.US.MES.Z26', OCTOBER)).toMatchObject({
+            expirationDate: new Date('2026-12-18T14:30:00Z'),
+            nextContractId: 'CON.F.US.MES.H27'
+        });
+
+        const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+        expect(cache.contracts.map(contract => contract.contractId)).toEqual(['CON.F.US.MES.Z26', 'CON.F.US.MES.H27']);
+
+        // Another process pointed at the same cache
+        instrumentRegistry.configure({ contractsCachePath: cachePath });
+        expect(instrumentRegistry.resolve('CON.F.US.MES.Z26', OCTOBER)).toMatchObject({ pointValue: 6, source: 'topstep' });
+        expect(instrumentRegistry.getActiveContract('MES', new Date(2026, 11, 15))).toBe('CON.F.US.MES.H27');
+    });
+
+    test('contracts seeded without persist stay in memory, and an unreadable cache is ignored', () => {
+        instrumentRegistry.seedFromContracts(TOPSTEP_MES, { persist: false });
+        expect(instrumentRegistry.resolve('MES', OCTOBER).source).toBe('topstep');
+        expect(fs.existsSync(cachePath)).toBe(false);
+
+        fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+        fs.writeFileSync(cachePath, '{ not json');
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        instrumentRegistry.configure({ contractsCachePath: cachePath });
+
+        expect(instrumentRegistry.resolve('MES', OCTOBER)).toMatchObject({ pointValue: 5, source: 'config' });
+        expect(warnSpy).toHaveBeenCalledWith('⚠️ Ignoring unreadable TopStep contract cache:', expect.any(String));
+        warnSpy.mockRestore();
+    });
+});